@@ -28,6 +28,7 @@ import {
   ResponsiveContainer
 } from 'recharts'
 import { createClient } from '@supabase/supabase-js'
+import { getAccessToken } from '@/lib/auth/session-client'
 
 const COLORS = {
   'gpt-4': '#8b5cf6',
@@ -64,7 +65,7 @@ export default function AIAnalyticsFixedPage() {
       console.log('[AI Analytics] Checking authentication...')
       
       // Check for simple auth token
-      const simpleAuthToken = localStorage.getItem('auth_token')
+      const simpleAuthToken = await getAccessToken('app')
       if (simpleAuthToken) {
         console.log('[AI Analytics] Found simple auth token')
         setIsAuthenticated(true)
@@ -0,0 +1,28 @@
+"use client"
+
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { AuditLogViewer } from "@/components/audit/audit-log-viewer"
+
+export default function AdminAuditLogPage() {
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight text-gray-900">Audit Log</h1>
+        <p className="text-gray-600 mt-1">Organization and admin actions across every organization</p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>All Activity</CardTitle>
+          <CardDescription>
+            Includes changes made by Leadify admins on an organization&apos;s behalf, such as agent edits from AI details.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <AuditLogViewer scope="admin" />
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
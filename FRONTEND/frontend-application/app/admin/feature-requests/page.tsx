@@ -52,9 +52,17 @@ import {
   XCircle,
   PauseCircle,
   PlayCircle,
-  Plus
+  Plus,
+  GitMerge
 } from "lucide-react"
 import { toast } from "sonner"
+import { getAccessToken } from "@/lib/auth/session-client"
+import { FeatureRequestComments } from "@/components/feature-requests/feature-request-comments"
+import {
+  useAddAdminFeatureRequestComment,
+  useAdminFeatureRequestComments,
+  useMergeFeatureRequest,
+} from "@/lib/queries/feature-request-queries"
 
 interface FeatureRequest {
   id: string
@@ -67,6 +75,7 @@ interface FeatureRequest {
   organization_id: string | null
   upvotes: number
   comment_count?: number
+  merged_into_id?: string | null
   admin_notes: string | null
   assigned_to: string | null
   created_at: string
@@ -161,6 +170,7 @@ function AdminFeatureRequestsContent() {
   const [lastRefreshed, setLastRefreshed] = useState<Date | null>(null)
   const [newRequestIds, setNewRequestIds] = useState<Set<string>>(new Set())
   const [adminNotes, setAdminNotes] = useState("")
+  const [mergeTargetId, setMergeTargetId] = useState("")
   
   // Create dialog state
   const [showCreateDialog, setShowCreateDialog] = useState(false)
@@ -171,6 +181,10 @@ function AdminFeatureRequestsContent() {
   })
   const [isCreating, setIsCreating] = useState(false)
 
+  const { data: comments = [] } = useAdminFeatureRequestComments(dialogOpen ? selectedRequest?.id ?? null : null)
+  const addComment = useAddAdminFeatureRequestComment()
+  const mergeRequest = useMergeFeatureRequest()
+
   useEffect(() => {
     fetchFeatureRequests()
     
@@ -209,9 +223,9 @@ function AdminFeatureRequestsContent() {
     setError(null)
 
     try {
-      // Get admin token from localStorage
-      const adminToken = localStorage.getItem('admin_token')
-      const authToken = localStorage.getItem('auth_token')
+      // Prefer the admin session, fall back to the app session
+      const adminToken = await getAccessToken('admin')
+      const authToken = await getAccessToken('app')
       const token = adminToken || authToken
       
       const headers: HeadersInit = {
@@ -302,8 +316,8 @@ function AdminFeatureRequestsContent() {
     setIsCreating(true)
     
     try {
-      const adminToken = localStorage.getItem('admin_token')
-      const authToken = localStorage.getItem('auth_token')
+      const adminToken = await getAccessToken('admin')
+      const authToken = await getAccessToken('app')
       const token = adminToken || authToken
       
       const headers: HeadersInit = {
@@ -352,9 +366,9 @@ function AdminFeatureRequestsContent() {
     setUpdatingStatus(requestId)
     
     try {
-      // Get admin token from localStorage
-      const adminToken = localStorage.getItem('admin_token')
-      const authToken = localStorage.getItem('auth_token')
+      // Prefer the admin session, fall back to the app session
+      const adminToken = await getAccessToken('admin')
+      const authToken = await getAccessToken('app')
       const token = adminToken || authToken
       
       const headers: HeadersInit = {
@@ -622,6 +636,12 @@ function AdminFeatureRequestsContent() {
                         {getStatusIcon(request.status)}
                         <span className="ml-1">{request.status.replace('_', ' ')}</span>
                       </Badge>
+                      {request.merged_into_id && (
+                        <Badge variant="outline">
+                          <GitMerge className="h-3 w-3 mr-1" />
+                          Merged
+                        </Badge>
+                      )}
                       
                       <Badge variant="secondary" className="flex items-center gap-1">
                         <ThumbsUp className="h-3 w-3" />
@@ -671,6 +691,7 @@ function AdminFeatureRequestsContent() {
                       <DropdownMenuItem onClick={() => {
                         setSelectedRequest(request)
                         setAdminNotes(request.admin_notes || "")
+                        setMergeTargetId("")
                         setDialogOpen(true)
                       }}>
                         View Details
@@ -826,6 +847,65 @@ function AdminFeatureRequestsContent() {
                     <p className="mt-1">{new Date(selectedRequest.updated_at).toLocaleString()}</p>
                   </div>
                 </div>
+
+                {!selectedRequest.merged_into_id && (
+                  <div>
+                    <Label htmlFor="merge-target">Merge as Duplicate</Label>
+                    <p className="text-xs text-muted-foreground mt-1 mb-2">
+                      Votes and comments move to the chosen request and this one is hidden from the portal
+                    </p>
+                    <div className="flex gap-2">
+                      <Select value={mergeTargetId} onValueChange={setMergeTargetId}>
+                        <SelectTrigger id="merge-target" className="flex-1">
+                          <SelectValue placeholder="Choose the request to keep..." />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {requests
+                            .filter((request) => request.id !== selectedRequest.id && !request.merged_into_id)
+                            .map((request) => (
+                              <SelectItem key={request.id} value={request.id}>
+                                {request.requested_feature}
+                              </SelectItem>
+                            ))}
+                        </SelectContent>
+                      </Select>
+                      <Button
+                        variant="outline"
+                        disabled={!mergeTargetId || mergeRequest.isPending}
+                        onClick={async () => {
+                          try {
+                            await mergeRequest.mutateAsync({ id: selectedRequest.id, targetId: mergeTargetId })
+                            setDialogOpen(false)
+                            fetchFeatureRequests(true)
+                          } catch {
+                            // useMergeFeatureRequest already reported the failure
+                          }
+                        }}
+                      >
+                        {mergeRequest.isPending ? (
+                          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        ) : (
+                          <GitMerge className="mr-2 h-4 w-4" />
+                        )}
+                        Merge
+                      </Button>
+                    </div>
+                  </div>
+                )}
+
+                <div>
+                  <Label>Discussion</Label>
+                  <div className="mt-2">
+                    <FeatureRequestComments
+                      comments={comments}
+                      placeholder="Reply to customers as the Leadify team..."
+                      isSubmitting={addComment.isPending}
+                      onSubmit={(comment, parentId) =>
+                        addComment.mutateAsync({ id: selectedRequest.id, comment, parentId })
+                      }
+                    />
+                  </div>
+                </div>
               </div>
               
               <DialogFooter className="mt-6">
@@ -51,21 +51,28 @@ import {
   ExternalLink,
   Lightbulb,
   Loader2,
-  Plus
+  Plus,
+  Link2
 } from "lucide-react"
 import { toast } from "sonner"
+import { getAccessToken } from "@/lib/auth/session-client"
+import { IssueTriagePanel } from "@/components/issues/issue-triage-panel"
+import { findSimilarIssues, type IssueStatus, type SimilarIssueGroup } from "@/lib/issues/triage"
+import { useMergeIssues, useUpdateIssue } from "@/lib/queries/issue-queries"
+import { useSupportAgents } from "@/lib/queries/support-queries"
 
 interface Issue {
   id: string
   subject: string
   description: string
   priority: 'urgent' | 'high' | 'medium' | 'low'
-  status: 'open' | 'in_progress' | 'resolved' | 'closed'
+  status: IssueStatus
   category: 'bug' | 'feature_request' | 'performance' | 'security' | 'other'
   user_email: string
   user_name: string | null
   organization_id: string | null
   assigned_to: string | null
+  duplicate_of_id: string | null
   ai_priority_score: number
   ai_classification: {
     priority: string
@@ -132,12 +139,16 @@ function getStatusColor(status: string) {
   switch (status) {
     case 'open':
       return 'bg-blue-100 text-blue-800 border-blue-300'
+    case 'investigating':
+      return 'bg-cyan-100 text-cyan-800 border-cyan-300'
     case 'in_progress':
       return 'bg-purple-100 text-purple-800 border-purple-300'
     case 'resolved':
       return 'bg-green-100 text-green-800 border-green-300'
     case 'closed':
       return 'bg-gray-100 text-gray-800 border-gray-300'
+    case 'wont_fix':
+      return 'bg-red-100 text-red-800 border-red-300'
     default:
       return 'bg-gray-100 text-gray-800 border-gray-300'
   }
@@ -167,6 +178,14 @@ function AdminIssuesContent() {
   })
   const [isCreating, setIsCreating] = useState(false)
 
+  // Triage state
+  const [resolutionNotes, setResolutionNotes] = useState("")
+  const [linkingGroupId, setLinkingGroupId] = useState<string | null>(null)
+  // Support agents are the active dev_members, the same people issues are assigned to
+  const { data: assignees = [] } = useSupportAgents()
+  const updateIssue = useUpdateIssue()
+  const mergeIssues = useMergeIssues()
+
   useEffect(() => {
     fetchIssues()
     
@@ -208,9 +227,9 @@ function AdminIssuesContent() {
     setError(null)
 
     try {
-      // Get admin token from localStorage
-      const adminToken = localStorage.getItem('admin_token')
-      const authToken = localStorage.getItem('auth_token')
+      // Prefer the admin session, fall back to the app session
+      const adminToken = await getAccessToken('admin')
+      const authToken = await getAccessToken('app')
       const token = adminToken || authToken
       
       const headers: HeadersInit = {
@@ -301,8 +320,8 @@ function AdminIssuesContent() {
     setIsCreating(true)
     
     try {
-      const adminToken = localStorage.getItem('admin_token')
-      const authToken = localStorage.getItem('auth_token')
+      const adminToken = await getAccessToken('admin')
+      const authToken = await getAccessToken('app')
       const token = adminToken || authToken
       
       const headers: HeadersInit = {
@@ -358,9 +377,9 @@ function AdminIssuesContent() {
     setUpdatingStatus(issueId)
     
     try {
-      // Get admin token from localStorage
-      const adminToken = localStorage.getItem('admin_token')
-      const authToken = localStorage.getItem('auth_token')
+      // Prefer the admin session, fall back to the app session
+      const adminToken = await getAccessToken('admin')
+      const authToken = await getAccessToken('app')
       const token = adminToken || authToken
       
       const headers: HeadersInit = {
@@ -397,6 +416,47 @@ function AdminIssuesContent() {
     }
   }
 
+  const openIssue = (issue: Issue) => {
+    setSelectedIssue(issue)
+    setResolutionNotes(issue.resolution_notes || "")
+    setDialogOpen(true)
+  }
+
+  const applyIssueUpdate = async (issue: Issue, updates: Parameters<typeof updateIssue.mutateAsync>[0]['updates']) => {
+    try {
+      await updateIssue.mutateAsync({ id: issue.id, updates })
+      const updated = { ...issue, ...updates } as Issue
+      setIssues(prev => prev.map(i => (i.id === issue.id ? updated : i)))
+      if (selectedIssue?.id === issue.id) {
+        setSelectedIssue(updated)
+      }
+    } catch {
+      // useUpdateIssue already showed the error
+    }
+  }
+
+  const linkAsDuplicates = async (ids: string[], targetId: string) => {
+    try {
+      await mergeIssues.mutateAsync({ ids, targetId })
+      setDialogOpen(false)
+      fetchIssues(true)
+    } catch {
+      // Some may have been linked before the failure; refresh to show where things stand
+      fetchIssues(true)
+    }
+  }
+
+  const handleLinkGroup = async (group: SimilarIssueGroup<Issue>) => {
+    setLinkingGroupId(group.primary.id)
+    await linkAsDuplicates(group.duplicates.map(issue => issue.id), group.primary.id)
+    setLinkingGroupId(null)
+  }
+
+  const assigneeName = (userId: string | null) => {
+    const assignee = assignees.find(a => a.user_id === userId)
+    return assignee ? assignee.name || assignee.email : null
+  }
+
   const filteredIssues = issues.filter(issue => {
     const matchesPriority = filterPriority === "all" || issue.priority === filterPriority
     const matchesStatus = filterStatus === "all" || issue.status === filterStatus
@@ -490,6 +550,15 @@ function AdminIssuesContent() {
         </Card>
       </div>
 
+      {/* Triage */}
+      <IssueTriagePanel
+        issues={issues}
+        assignees={assignees}
+        onOpenIssue={openIssue}
+        onLinkGroup={handleLinkGroup}
+        linkingGroupId={linkingGroupId}
+      />
+
       {/* Filters */}
       <Card>
         <CardHeader>
@@ -534,9 +603,11 @@ function AdminIssuesContent() {
                 <SelectContent>
                   <SelectItem value="all">All statuses</SelectItem>
                   <SelectItem value="open">Open</SelectItem>
+                  <SelectItem value="investigating">Investigating</SelectItem>
                   <SelectItem value="in_progress">In Progress</SelectItem>
                   <SelectItem value="resolved">Resolved</SelectItem>
                   <SelectItem value="closed">Closed</SelectItem>
+                  <SelectItem value="wont_fix">Won&apos;t Fix</SelectItem>
                 </SelectContent>
               </Select>
             </div>
@@ -583,10 +654,7 @@ function AdminIssuesContent() {
                       ? 'bg-green-50 border-green-400 animate-pulse' 
                       : ''
                   }`}
-                  onClick={() => {
-                    setSelectedIssue(issue)
-                    setDialogOpen(true)
-                  }}
+                  onClick={() => openIssue(issue)}
                 >
                   <div className="flex items-start space-x-3 flex-1">
                     <div className={`p-2 rounded-full ${getPriorityColor(issue.priority).replace('text-', 'bg-').replace('800', '100')}`}>
@@ -606,6 +674,12 @@ function AdminIssuesContent() {
                         <Badge variant="outline" className={getStatusColor(issue.status)}>
                           {issue.status.replace('_', ' ')}
                         </Badge>
+                        {issue.duplicate_of_id && (
+                          <Badge variant="outline">
+                            <Link2 className="h-3 w-3 mr-1" />
+                            Duplicate
+                          </Badge>
+                        )}
                         <div className="flex items-center gap-1 text-gray-500">
                           {getCategoryIcon(issue.category)}
                           <span className="text-xs">{issue.category.replace('_', ' ')}</span>
@@ -621,6 +695,12 @@ function AdminIssuesContent() {
                           <Calendar className="h-3 w-3 mr-1" />
                           {new Date(issue.created_at).toLocaleDateString()}
                         </span>
+                        {assigneeName(issue.assigned_to) && (
+                          <span className="flex items-center">
+                            <User className="h-3 w-3 mr-1" />
+                            Assigned to {assigneeName(issue.assigned_to)}
+                          </span>
+                        )}
                         {issue.posthog_session_id && (
                           <span className="flex items-center text-green-600">
                             <ExternalLink className="h-3 w-3 mr-1" />
@@ -717,6 +797,46 @@ function AdminIssuesContent() {
                   </Badge>
                 </div>
 
+                {selectedIssue.duplicate_of_id && (
+                  <div className="flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-900">
+                    <Link2 className="h-4 w-4" />
+                    Linked as a duplicate of
+                    {(() => {
+                      const original = issues.find(i => i.id === selectedIssue.duplicate_of_id)
+                      return original ? (
+                        <button type="button" className="font-medium underline" onClick={() => openIssue(original)}>
+                          {original.subject}
+                        </button>
+                      ) : (
+                        <span className="font-medium">another issue</span>
+                      )
+                    })()}
+                  </div>
+                )}
+
+                <div>
+                  <Label htmlFor="issue-assignee">Assigned To</Label>
+                  <Select
+                    value={selectedIssue.assigned_to || "unassigned"}
+                    onValueChange={(value) =>
+                      applyIssueUpdate(selectedIssue, { assigned_to: value === "unassigned" ? null : value })
+                    }
+                    disabled={updateIssue.isPending}
+                  >
+                    <SelectTrigger id="issue-assignee" className="mt-1">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="unassigned">Unassigned</SelectItem>
+                      {assignees.map((assignee) => (
+                        <SelectItem key={assignee.user_id} value={assignee.user_id}>
+                          {assignee.name || assignee.email}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
                 <div>
                   <Label>Description</Label>
                   <div className="mt-1 p-3 bg-gray-50 rounded-md">
@@ -788,12 +908,74 @@ function AdminIssuesContent() {
                     </div>
                   </div>
                 )}
+
+                {!selectedIssue.duplicate_of_id && (() => {
+                  const similar = findSimilarIssues(selectedIssue, issues)
+                  if (similar.length === 0) return null
+                  return (
+                    <div>
+                      <Label>Similar Issues</Label>
+                      <div className="mt-1 space-y-2">
+                        {similar.map(({ issue, score }) => (
+                          <div key={issue.id} className="flex items-center justify-between gap-3 p-2 border rounded-md">
+                            <button
+                              type="button"
+                              className="min-w-0 truncate text-left text-sm hover:underline"
+                              onClick={() => openIssue(issue)}
+                            >
+                              {issue.subject}
+                              <span className="ml-2 text-xs text-gray-500">{Math.round(score * 100)}% match</span>
+                            </button>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={mergeIssues.isPending}
+                              onClick={() => linkAsDuplicates([selectedIssue.id], issue.id)}
+                            >
+                              Duplicate of this
+                            </Button>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )
+                })()}
+
+                {selectedIssue.status !== 'resolved' && !selectedIssue.duplicate_of_id && (
+                  <div>
+                    <Label htmlFor="resolution-notes">Resolution Notes</Label>
+                    <Textarea
+                      id="resolution-notes"
+                      value={resolutionNotes}
+                      onChange={(e) => setResolutionNotes(e.target.value)}
+                      placeholder="What was fixed? This is sent to everyone who reported the issue."
+                      className="mt-1"
+                      rows={3}
+                    />
+                  </div>
+                )}
               </div>
 
               <DialogFooter>
                 <Button variant="outline" onClick={() => setDialogOpen(false)}>
                   Close
                 </Button>
+                {selectedIssue.status !== 'resolved' && !selectedIssue.duplicate_of_id && (
+                  <Button
+                    onClick={() =>
+                      applyIssueUpdate(selectedIssue, { status: 'resolved', resolution_notes: resolutionNotes.trim() })
+                    }
+                    disabled={updateIssue.isPending}
+                    className="bg-green-600 hover:bg-green-700 text-white"
+                  >
+                    {updateIssue.isPending ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <CheckCircle className="mr-2 h-4 w-4" />
+                    )}
+                    Mark Resolved
+                  </Button>
+                )}
               </DialogFooter>
             </>
           )}
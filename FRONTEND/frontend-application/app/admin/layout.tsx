@@ -16,11 +16,14 @@ import {
   X,
   Shield,
   ChevronRight,
-  LogOut
+  LogOut,
+  ScrollText,
+  Headphones
 } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { ScrollArea } from "@/components/ui/scroll-area"
-import { AdminAuthProvider } from "@/contexts/admin-auth-context"
+import { AdminAuthProvider, useAdminAuth } from "@/contexts/admin-auth-context"
+import { clearSession, getAccessToken } from "@/lib/auth/session-client"
 
 const sidebarItems = [
   {
@@ -59,18 +62,31 @@ const sidebarItems = [
     icon: AlertTriangle,
     color: "text-red-600"
   },
+  {
+    title: "Support",
+    href: "/admin/support",
+    icon: Headphones,
+    color: "text-cyan-600"
+  },
   {
     title: "Feature Requests",
     href: "/admin/feature-requests",
     icon: Lightbulb,
     color: "text-blue-600"
   },
+  {
+    title: "Audit Log",
+    href: "/admin/audit-log",
+    icon: ScrollText,
+    color: "text-gray-600"
+  },
 ]
 
 function AdminLayoutContent({ children }: { children: React.ReactNode }) {
   const pathname = usePathname()
   const router = useRouter()
   const [sidebarOpen, setSidebarOpen] = useState(false)
+  const { adminUser: sessionUser, signOut } = useAdminAuth()
   
   // Check for admin authentication
   useEffect(() => {
@@ -86,57 +102,51 @@ function AdminLayoutContent({ children }: { children: React.ReactNode }) {
       return
     }
 
-    const adminToken = localStorage.getItem('admin_token')
-    const adminUser = localStorage.getItem('admin_user')
-    
-    if (!adminToken || !adminUser) {
-      console.log('[Admin Layout] No admin credentials, redirecting to admin login')
-      router.push('/admin/login')
-      return
-    }
+    // Verify token with error handling and retry logic
+    const verifyToken = async (retryCount = 0) => {
+      const adminToken = await getAccessToken('admin')
+      if (!adminToken) {
+        console.log('[Admin Layout] No admin session, redirecting to admin login')
+        router.push('/admin/login')
+        return
+      }
 
-    // Verify the token is still valid (skip in test mode)
-    if (!isTestMode) {
-      // Verify token with error handling and retry logic
-      const verifyToken = async (retryCount = 0) => {
-        try {
-          const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/admin/verify`, {
-            headers: {
-              'Authorization': `Bearer ${adminToken}`
-            },
-            // Add timeout to prevent hanging
-            signal: AbortSignal.timeout(5000)
-          })
-          
-          if (!response.ok) {
-            // Only redirect if we get an explicit auth failure (401/403)
-            if (response.status === 401 || response.status === 403) {
-              console.log('[Admin Layout] Admin token invalid, redirecting to admin login')
-              localStorage.removeItem('admin_token')
-              localStorage.removeItem('admin_user')
-              router.push('/admin/login')
-            } else {
-              // For other errors, log but don't redirect (server might be temporarily down)
-              console.warn(`[Admin Layout] Verify endpoint returned ${response.status}, continuing with cached auth`)
-            }
-          }
-        } catch (error) {
-          console.error('[Admin Layout] Error verifying admin token:', error)
-          
-          // Retry with exponential backoff for network errors
-          if (retryCount < 2) {
-            const delay = Math.pow(2, retryCount) * 1000
-            console.log(`[Admin Layout] Retrying verification in ${delay}ms...`)
-            setTimeout(() => verifyToken(retryCount + 1), delay)
+      try {
+        const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/admin/verify`, {
+          headers: {
+            'Authorization': `Bearer ${adminToken}`
+          },
+          // Add timeout to prevent hanging
+          signal: AbortSignal.timeout(5000)
+        })
+        
+        if (!response.ok) {
+          // Only redirect if we get an explicit auth failure (401/403)
+          if (response.status === 401 || response.status === 403) {
+            console.log('[Admin Layout] Admin token invalid, redirecting to admin login')
+            await clearSession('admin')
+            router.push('/admin/login')
           } else {
-            // After retries, continue with cached auth rather than blocking
-            console.warn('[Admin Layout] Could not verify token after retries, continuing with cached authentication')
+            // For other errors, log but don't redirect (server might be temporarily down)
+            console.warn(`[Admin Layout] Verify endpoint returned ${response.status}, continuing with cached auth`)
           }
         }
+      } catch (error) {
+        console.error('[Admin Layout] Error verifying admin token:', error)
+        
+        // Retry with exponential backoff for network errors
+        if (retryCount < 2) {
+          const delay = Math.pow(2, retryCount) * 1000
+          console.log(`[Admin Layout] Retrying verification in ${delay}ms...`)
+          setTimeout(() => verifyToken(retryCount + 1), delay)
+        } else {
+          // After retries, continue with cached auth rather than blocking
+          console.warn('[Admin Layout] Could not verify token after retries, continuing with cached authentication')
+        }
       }
-      
-      verifyToken()
     }
+    
+    verifyToken()
   }, [pathname, router])
 
   // Don't show layout for login page
@@ -145,9 +155,7 @@ function AdminLayoutContent({ children }: { children: React.ReactNode }) {
   }
 
   const handleSignOut = () => {
-    localStorage.removeItem('admin_token')
-    localStorage.removeItem('admin_user')
-    router.push('/admin/login')
+    signOut()
   }
 
   const adminUser = (() => {
@@ -162,8 +170,7 @@ function AdminLayoutContent({ children }: { children: React.ReactNode }) {
           role: 'Admin'
         }
       }
-      const stored = localStorage.getItem('admin_user')
-      return stored ? JSON.parse(stored) : null
+      return sessionUser
     } catch {
       return null
     }
@@ -20,6 +20,7 @@ import {
   User
 } from "lucide-react"
 import { toast } from "sonner"
+import { getAccessToken } from "@/lib/auth/session-client"
 
 interface TeamMember {
   id: string
@@ -64,7 +65,7 @@ export default function LeadifyTeamPage() {
     setLoading(true)
     try {
       // Get auth token
-      const token = localStorage.getItem('auth_token')
+      const token = await getAccessToken('app')
       if (!token) {
         throw new Error('No authentication token found')
       }
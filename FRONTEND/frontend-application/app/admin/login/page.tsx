@@ -9,6 +9,7 @@ import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Eye, EyeOff, Mail, Lock, Shield, Loader2, AlertTriangle } from "lucide-react"
 import { useRouter } from "next/navigation"
 import { toast } from "sonner"
+import { loadSession, saveSession } from "@/lib/auth/session-client"
 
 export default function AdminLoginPage() {
   const [email, setEmail] = useState("")
@@ -20,27 +21,11 @@ export default function AdminLoginPage() {
 
   // Check if already logged in as admin
   useEffect(() => {
-    const checkExistingAuth = () => {
-      const adminToken = localStorage.getItem('admin_token')
-      const adminUser = localStorage.getItem('admin_user')
-      
-      if (adminToken && adminUser) {
-        // Verify the token is still valid
-        fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/admin/verify`, {
-          headers: {
-            'Authorization': `Bearer ${adminToken}`
-          }
-        }).then(response => {
-          if (response.ok) {
-            router.push('/admin')
-          } else {
-            // Clear invalid tokens
-            localStorage.removeItem('admin_token')
-            localStorage.removeItem('admin_user')
-          }
-        }).catch(() => {
-          // Network error, let user try to login
-        })
+    const checkExistingAuth = async () => {
+      // The session route only answers with a session whose token still refreshes
+      const session = await loadSession('admin')
+      if (session) {
+        router.push('/admin')
       }
     }
 
@@ -80,15 +65,15 @@ export default function AdminLoginPage() {
         return
       }
 
-      // Store admin credentials separately from regular user auth
-      localStorage.setItem('admin_token', data.token)
-      localStorage.setItem('admin_user', JSON.stringify({
-        id: data.user.id,
-        email: data.user.email,
-        name: data.user.full_name || data.user.email.split('@')[0],
-        role: data.user.role,
-        permissions: data.user.permissions
-      }))
+      // Admin session is kept separately from regular user auth
+      await saveSession('admin', {
+        token: data.token,
+        refreshToken: data.refreshToken ?? data.refresh_token,
+        user: {
+          email: data.user.email,
+          name: data.user.full_name || data.user.email.split('@')[0],
+        }
+      })
 
       toast.success("Admin login successful!")
       
@@ -60,6 +60,7 @@ import {
 import { cn } from "@/lib/utils"
 import { toast } from "sonner"
 import { mockAgentsData } from "@/lib/test-data"
+import { getAccessToken } from "@/lib/auth/session-client"
 
 interface BANTConfig {
   enabled: boolean
@@ -161,7 +162,7 @@ export default function OrganizationAIDetailsPage() {
         return
       }
       
-      const token = localStorage.getItem('admin_token')
+      const token = await getAccessToken('admin')
       if (!token) {
         throw new Error('Not authenticated')
       }
@@ -305,7 +306,7 @@ export default function OrganizationAIDetailsPage() {
   
   const handleSaveChanges = async () => {
     setSavingChanges(true)
-    const token = localStorage.getItem('admin_token')
+    const token = await getAccessToken('admin')
     
     try {
       // Save all pending changes
@@ -32,6 +32,7 @@ import {
 } from "lucide-react"
 import { cn } from "@/lib/utils"
 import { mockAnalyticsData } from "@/lib/test-data"
+import { getAccessToken } from "@/lib/auth/session-client"
 
 interface AnalyticsData {
   overview: {
@@ -78,7 +79,7 @@ export default function OrganizationAnalyticsPage() {
   
   const fetchAnalytics = async () => {
     try {
-      const token = localStorage.getItem('admin_token') || localStorage.getItem('auth_token')
+      const token = await getAccessToken('admin') || await getAccessToken('app')
       if (!token) {
         throw new Error('Not authenticated')
       }
@@ -45,6 +45,7 @@ import {
 } from "lucide-react"
 import { cn } from "@/lib/utils"
 import { mockConversationsData } from "@/lib/test-data"
+import { getAccessToken } from "@/lib/auth/session-client"
 
 interface Message {
   id: string
@@ -124,7 +125,7 @@ export default function OrganizationConversationsPage() {
         return
       }
       
-      const token = localStorage.getItem('admin_token')
+      const token = await getAccessToken('admin')
       if (!token) {
         throw new Error('Not authenticated')
       }
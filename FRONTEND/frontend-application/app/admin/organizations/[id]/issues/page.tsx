@@ -60,6 +60,7 @@ import {
 import { cn } from "@/lib/utils"
 import { toast } from "sonner"
 import { mockIssuesData } from "@/lib/test-data"
+import { getAccessToken } from "@/lib/auth/session-client"
 
 interface Issue {
   id: string
@@ -213,7 +214,7 @@ export default function OrganizationIssuesPage() {
         return
       }
       
-      const token = localStorage.getItem('admin_token')
+      const token = await getAccessToken('admin')
       if (!token) {
         throw new Error('Not authenticated')
       }
@@ -21,6 +21,7 @@ import {
   Clock,
   Activity
 } from "lucide-react"
+import { getAccessToken } from "@/lib/auth/session-client"
 
 interface Organization {
   id: string
@@ -104,7 +105,7 @@ export default function OrganizationDetailLayout({
           return
         }
         
-        const token = localStorage.getItem('admin_token')
+        const token = await getAccessToken('admin')
         if (!token) {
           router.push('/admin/login')
           return
@@ -51,6 +51,11 @@ import {
 } from "lucide-react"
 import { cn } from "@/lib/utils"
 import { mockLeadsData } from "@/lib/test-data"
+import { LeadExportButton } from "@/components/leads/lead-export-button"
+import { LeadSearchHighlight } from "@/components/leads/lead-search-highlight"
+import { useDebounce } from "@/hooks/use-debounce"
+import { DEFAULT_LEAD_SEARCH_LIMIT, isLeadSearchQuery, type LeadSearchMatch, type LeadSearchResult } from "@/lib/leads/search"
+import { getAccessToken } from "@/lib/auth/session-client"
 
 interface Lead {
   id: string
@@ -105,10 +110,21 @@ export default function OrganizationLeadsPage() {
   const [statusFilter, setStatusFilter] = useState("all")
   const [sourceFilter, setSourceFilter] = useState("all")
   const [scoreFilter, setScoreFilter] = useState("all")
-  const [sortBy, setSortBy] = useState<"date" | "score" | "name">("date")
+  const [sortBy, setSortBy] = useState<"date" | "score" | "name" | "relevance">("date")
   const [sortOrder, setSortOrder] = useState<"asc" | "desc">("desc")
   const [expandedLeads, setExpandedLeads] = useState<Set<string>>(new Set())
+  // Ranked matches from search_leads, for the query they were fetched for
+  const [searchResults, setSearchResults] = useState<{ query: string; matches: Record<string, LeadSearchMatch> } | null>(null)
+  const debouncedSearch = useDebounce(searchTerm.trim(), 300)
   
+  const getAdminHeaders = async () => {
+    const token = await getAccessToken('admin')
+    if (!token) {
+      throw new Error('Not authenticated')
+    }
+    return { 'Authorization': `Bearer ${token}` }
+  }
+
   const fetchLeads = async () => {
     try {
       // Check for test mode
@@ -163,7 +179,7 @@ export default function OrganizationLeadsPage() {
         return
       }
       
-      const token = localStorage.getItem('admin_token')
+      const token = await getAccessToken('admin')
       if (!token) {
         throw new Error('Not authenticated')
       }
@@ -240,6 +256,66 @@ export default function OrganizationLeadsPage() {
   useEffect(() => {
     fetchLeads()
   }, [orgId])
+
+  // Every loaded lead can be a match, not just the first page of results
+  const searchLimit = Math.max(leads.length, DEFAULT_LEAD_SEARCH_LIMIT)
+
+  useEffect(() => {
+    const isTestMode = typeof window !== 'undefined' && localStorage.getItem('test_mode') === 'true'
+    if (isTestMode || !isLeadSearchQuery(debouncedSearch)) {
+      setSearchResults(null)
+      return
+    }
+
+    // Ignore answers for a query the user has already typed past
+    let cancelled = false
+    const fetchSearchResults = async () => {
+      try {
+        const token = await getAccessToken('admin')
+        if (!token) {
+          throw new Error('Not authenticated')
+        }
+
+        const response = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/admin/organizations/${orgId}/leads/search?q=${encodeURIComponent(debouncedSearch)}&limit=${searchLimit}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${token}`
+            }
+          }
+        )
+
+        if (!response.ok) {
+          throw new Error('Failed to search leads')
+        }
+
+        const data: { results?: LeadSearchResult[] } = await response.json()
+        const matches = Object.fromEntries((data.results || []).map(({ lead_id, ...match }) => [lead_id, match]))
+        if (!cancelled) setSearchResults({ query: debouncedSearch, matches })
+      } catch (err) {
+        // The table falls back to plain substring matching
+        console.error('Error searching leads:', err)
+        if (!cancelled) setSearchResults(null)
+      }
+    }
+
+    fetchSearchResults()
+    return () => {
+      cancelled = true
+    }
+  }, [orgId, debouncedSearch, searchLimit])
+
+  const handleSearchChange = (value: string) => {
+    // Searching sorts by relevance until another sort is picked
+    if (value.trim() && !searchTerm.trim() && sortBy === "date") {
+      setSortBy("relevance")
+      setSortOrder("desc")
+    } else if (!value.trim() && sortBy === "relevance") {
+      setSortBy("date")
+      setSortOrder("desc")
+    }
+    setSearchTerm(value)
+  }
   
   const handleRefresh = () => {
     setRefreshing(true)
@@ -277,12 +353,16 @@ export default function OrganizationLeadsPage() {
   }
   
   // Filter and sort leads
+  const searchMatches = searchResults && searchResults.query === searchTerm.trim() ? searchResults.matches : null
   const filteredLeads = leads
     .filter(lead => {
-      if (searchTerm && 
+      if (searchMatches) {
+        if (!searchMatches[lead.id]) return false
+      } else if (searchTerm && 
           !lead.name.toLowerCase().includes(searchTerm.toLowerCase()) &&
           !lead.email.toLowerCase().includes(searchTerm.toLowerCase()) &&
           !lead.phone?.toLowerCase().includes(searchTerm.toLowerCase())) {
+        // Test mode, or the ranked search hasn't answered yet
         return false
       }
       if (statusFilter !== "all" && lead.status !== statusFilter) {
@@ -312,6 +392,10 @@ export default function OrganizationLeadsPage() {
         case "name":
           comparison = a.name.localeCompare(b.name)
           break
+        case "relevance":
+          comparison = (searchMatches?.[a.id]?.rank ?? 0) - (searchMatches?.[b.id]?.rank ?? 0)
+            || new Date(a.created_at).getTime() - new Date(b.created_at).getTime()
+          break
       }
       
       return sortOrder === "asc" ? comparison : -comparison
@@ -543,15 +627,28 @@ export default function OrganizationLeadsPage() {
               <CardTitle>All Leads</CardTitle>
               <CardDescription>Complete list of captured leads with BANT scoring</CardDescription>
             </div>
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={handleRefresh}
-              disabled={refreshing}
-            >
-              <RefreshCw className={cn("h-4 w-4 mr-2", refreshing && "animate-spin")} />
-              Refresh
-            </Button>
+            <div className="flex items-center gap-2">
+              <LeadExportButton
+                endpoint={`/api/admin/organizations/${orgId}/leads/export`}
+                filters={{
+                  search: searchTerm,
+                  status: statusFilter,
+                  source: sourceFilter,
+                  temperature: scoreFilter
+                }}
+                getHeaders={getAdminHeaders}
+                disabled={leads.length === 0}
+              />
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={handleRefresh}
+                disabled={refreshing}
+              >
+                <RefreshCw className={cn("h-4 w-4 mr-2", refreshing && "animate-spin")} />
+                Refresh
+              </Button>
+            </div>
           </div>
         </CardHeader>
         <CardContent>
@@ -563,7 +660,7 @@ export default function OrganizationLeadsPage() {
                 <Input
                   placeholder="Search by name, email, or phone..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={(e) => handleSearchChange(e.target.value)}
                   className="pl-10"
                 />
               </div>
@@ -612,6 +709,7 @@ export default function OrganizationLeadsPage() {
                 <SelectItem value="date">Date</SelectItem>
                 <SelectItem value="score">Score</SelectItem>
                 <SelectItem value="name">Name</SelectItem>
+                {searchTerm.trim() && <SelectItem value="relevance">Relevance</SelectItem>}
               </SelectContent>
             </Select>
             <Button
@@ -649,13 +747,19 @@ export default function OrganizationLeadsPage() {
                       <TableRow>
                       <TableCell>
                         <div className="font-medium">
-                          {lead.name || 'Unknown'}
+                          <LeadSearchHighlight
+                            value={lead.name || 'Unknown'}
+                            highlight={searchMatches?.[lead.id]?.highlights.full_name}
+                          />
                         </div>
                       </TableCell>
                       <TableCell>
                         <div className="flex items-center text-sm">
                           <Phone className="h-3 w-3 mr-1 text-gray-400" />
-                          {lead.phone || 'No phone'}
+                          <LeadSearchHighlight
+                            value={lead.phone || 'No phone'}
+                            highlight={searchMatches?.[lead.id]?.highlights.mobile_number}
+                          />
                         </div>
                       </TableCell>
                       <TableCell>
@@ -63,6 +63,7 @@ import {
 import { cn } from "@/lib/utils"
 import { toast } from "sonner"
 import { mockMembersData } from "@/lib/test-data"
+import { getAccessToken } from "@/lib/auth/session-client"
 
 interface Member {
   id: string
@@ -143,7 +144,7 @@ export default function OrganizationMembersPage() {
         return
       }
       
-      const token = localStorage.getItem('admin_token')
+      const token = await getAccessToken('admin')
       if (!token) {
         throw new Error('Not authenticated')
       }
@@ -250,7 +251,7 @@ export default function OrganizationMembersPage() {
   
   const handleSaveChanges = async () => {
     setSavingChanges(true)
-    const token = localStorage.getItem('admin_token')
+    const token = await getAccessToken('admin')
     
     try {
       // Save all pending changes
@@ -289,7 +290,7 @@ export default function OrganizationMembersPage() {
   }
   
   const handleRemoveMember = async (member: Member) => {
-    const token = localStorage.getItem('admin_token')
+    const token = await getAccessToken('admin')
     
     try {
       const response = await fetch(
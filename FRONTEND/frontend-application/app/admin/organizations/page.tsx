@@ -42,6 +42,7 @@ import { toast } from "sonner"
 import { useOrganizations } from "@/hooks/use-organizations"
 import { useDebounce } from "@/hooks/use-debounce"
 import { useRouter } from "next/navigation"
+import { loadSession } from "@/lib/auth/session-client"
 
 const planColors = {
   Enterprise: "bg-purple-100 text-purple-700 border-purple-300",
@@ -94,16 +95,15 @@ export default function OrganizationsPage() {
 
   // Check admin authentication
   useEffect(() => {
-    const adminToken = localStorage.getItem('admin_token')
-    const adminUser = localStorage.getItem('admin_user')
-    
-    if (!adminToken || !adminUser) {
-      console.log('[Organizations] No admin credentials found')
-      router.push('/admin/login')
-    } else {
-      setIsAuthenticated(true)
-    }
-    setIsLoading(false)
+    loadSession('admin').then((session) => {
+      if (!session) {
+        console.log('[Organizations] No admin session found')
+        router.push('/admin/login')
+      } else {
+        setIsAuthenticated(true)
+      }
+      setIsLoading(false)
+    })
   }, [router])
 
   // Format number with commas
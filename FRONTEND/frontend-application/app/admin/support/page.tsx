@@ -1,10 +1,13 @@
 "use client"
 
-import { useState } from "react"
+import { useEffect, useMemo, useRef, useState } from "react"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
 import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { Switch } from "@/components/ui/switch"
+import { Label } from "@/components/ui/label"
 import { ScrollArea } from "@/components/ui/scroll-area"
 import {
   Select,
@@ -14,327 +17,148 @@ import {
   SelectValue,
 } from "@/components/ui/select"
 import {
-  Dialog,
-  DialogContent,
-  DialogDescription,
-  DialogFooter,
-  DialogHeader,
-  DialogTitle,
-} from "@/components/ui/dialog"
-import { 
   Headphones,
   Send,
   CheckCircle,
-  Clock,
-  User,
-  Calendar,
-  AlertCircle,
-  MessageSquare,
+  Loader2,
   Search,
-  Filter,
-  MoreVertical,
-  Archive,
-  Star,
-  Reply
+  MessageSquareText,
+  Lock,
+  Radio
 } from "lucide-react"
-import { toast } from "sonner"
-
-// Mock support request data
-const mockSupportRequests = [
-  {
-    id: "support-1",
-    conversationId: "conv-1",
-    user: "Alice Brown",
-    userEmail: "alice@techcorp.com",
-    subject: "Cannot access dashboard",
-    status: "open",
-    priority: "urgent",
-    assignedTo: null,
-    createdAt: "2024-03-15T14:30:00",
-    lastMessageAt: "2024-03-15T15:00:00",
-    unreadCount: 2,
-    messages: [
-      {
-        id: "msg-1",
-        sender: "user",
-        senderName: "Alice Brown",
-        content: "I'm unable to access my dashboard. When I try to login, I get an error message saying 'Access Denied'.",
-        timestamp: "2024-03-15T14:30:00"
-      },
-      {
-        id: "msg-2",
-        sender: "system",
-        senderName: "System",
-        content: "Support ticket created. An agent will assist you shortly.",
-        timestamp: "2024-03-15T14:30:01"
-      }
-    ]
-  },
-  {
-    id: "support-2",
-    conversationId: "conv-2",
-    user: "Bob Wilson",
-    userEmail: "bob@realestate.com",
-    subject: "Billing inquiry",
-    status: "in_progress",
-    priority: "normal",
-    assignedTo: "Support Agent 1",
-    createdAt: "2024-03-15T13:00:00",
-    lastMessageAt: "2024-03-15T14:00:00",
-    unreadCount: 0,
-    messages: [
-      {
-        id: "msg-3",
-        sender: "user",
-        senderName: "Bob Wilson",
-        content: "I was charged twice for my subscription this month. Can you please help me resolve this?",
-        timestamp: "2024-03-15T13:00:00"
-      },
-      {
-        id: "msg-4",
-        sender: "support_agent",
-        senderName: "Support Agent 1",
-        content: "Hi Bob, I'm looking into your billing issue. Let me check your account details.",
-        timestamp: "2024-03-15T13:15:00"
-      },
-      {
-        id: "msg-5",
-        sender: "support_agent",
-        senderName: "Support Agent 1",
-        content: "I can see the duplicate charge. I'll process a refund for you right away.",
-        timestamp: "2024-03-15T14:00:00"
-      }
-    ]
-  },
-  {
-    id: "support-3",
-    conversationId: "conv-3",
-    user: "Carol Davis",
-    userEmail: "carol@homefind.com",
-    subject: "Feature request - Export functionality",
-    status: "open",
-    priority: "normal",
-    assignedTo: null,
-    createdAt: "2024-03-15T12:00:00",
-    lastMessageAt: "2024-03-15T12:00:00",
-    unreadCount: 1,
-    messages: [
-      {
-        id: "msg-6",
-        sender: "user",
-        senderName: "Carol Davis",
-        content: "It would be great if we could export conversation history to PDF. Is this something you're planning to add?",
-        timestamp: "2024-03-15T12:00:00"
-      }
-    ]
-  },
-  {
-    id: "support-4",
-    conversationId: "conv-4",
-    user: "David Lee",
-    userEmail: "david@property.com",
-    subject: "Integration help needed",
-    status: "resolved",
-    priority: "normal",
-    assignedTo: "Support Agent 2",
-    createdAt: "2024-03-14T10:00:00",
-    lastMessageAt: "2024-03-14T16:00:00",
-    unreadCount: 0,
-    messages: [
-      {
-        id: "msg-7",
-        sender: "user",
-        senderName: "David Lee",
-        content: "How do I integrate the chat widget into my website?",
-        timestamp: "2024-03-14T10:00:00"
-      },
-      {
-        id: "msg-8",
-        sender: "support_agent",
-        senderName: "Support Agent 2",
-        content: "Hi David! I'll help you with the integration. First, you'll need to get your API key from the settings page.",
-        timestamp: "2024-03-14T10:30:00"
-      },
-      {
-        id: "msg-9",
-        sender: "support_agent",
-        senderName: "Support Agent 2",
-        content: "Here's the embed code: <script src='https://widget.leadify.ai/embed.js' data-key='YOUR_API_KEY'></script>",
-        timestamp: "2024-03-14T10:35:00"
-      },
-      {
-        id: "msg-10",
-        sender: "user",
-        senderName: "David Lee",
-        content: "Perfect! That worked. Thank you so much!",
-        timestamp: "2024-03-14T15:45:00"
-      },
-      {
-        id: "msg-11",
-        sender: "support_agent",
-        senderName: "Support Agent 2",
-        content: "You're welcome! Feel free to reach out if you need any more help.",
-        timestamp: "2024-03-14T16:00:00"
-      }
-    ]
-  },
-  {
-    id: "support-5",
-    conversationId: "conv-5",
-    user: "Emma Wilson",
-    userEmail: "emma@luxury.com",
-    subject: "Performance issues",
-    status: "in_progress",
-    priority: "urgent",
-    assignedTo: "Support Agent 1",
-    createdAt: "2024-03-15T09:00:00",
-    lastMessageAt: "2024-03-15T11:00:00",
-    unreadCount: 1,
-    messages: [
-      {
-        id: "msg-12",
-        sender: "user",
-        senderName: "Emma Wilson",
-        content: "The application has been extremely slow for the past 2 days. It's affecting our business operations.",
-        timestamp: "2024-03-15T09:00:00"
-      },
-      {
-        id: "msg-13",
-        sender: "support_agent",
-        senderName: "Support Agent 1",
-        content: "Hi Emma, I understand the urgency. We're investigating the performance issues. Can you tell me which specific features are slow?",
-        timestamp: "2024-03-15T09:30:00"
-      },
-      {
-        id: "msg-14",
-        sender: "user",
-        senderName: "Emma Wilson",
-        content: "The dashboard takes over 30 seconds to load, and the chat interface is lagging.",
-        timestamp: "2024-03-15T10:00:00"
-      },
-      {
-        id: "msg-15",
-        sender: "support_agent",
-        senderName: "Support Agent 1",
-        content: "Thank you for the details. Our engineering team is working on a fix. We expect to have this resolved within the next 2 hours.",
-        timestamp: "2024-03-15T11:00:00"
-      }
-    ]
-  }
-]
-
-const supportAgents = [
-  "Support Agent 1",
-  "Support Agent 2",
-  "Support Agent 3",
-  "Technical Specialist"
-]
-
-const priorityColors = {
-  urgent: "bg-red-100 text-red-700 border-red-300",
-  normal: "bg-blue-100 text-blue-700 border-blue-300"
-}
+import { formatDistanceToNow } from "date-fns"
+import { useAdminAuth } from "@/contexts/admin-auth-context"
+import { useDebounce } from "@/hooks/use-debounce"
+import { useSupportStream } from "@/hooks/use-support-stream"
+import {
+  useAdminSupportThread,
+  useSendAdminSupportMessage,
+  useSupportAgents,
+  useSupportCannedReplies,
+  useSupportQueue,
+  useUpdateSupportTicket,
+} from "@/lib/queries/support-queries"
+import {
+  fillCannedReply,
+  needsSupportAttention,
+  SUPPORT_CATEGORY_LABELS,
+  SUPPORT_PRIORITY_COLORS,
+  SUPPORT_PRIORITY_LABELS,
+  SUPPORT_STATUS_COLORS,
+  SUPPORT_STATUS_LABELS,
+  SUPPORT_STATUS_TRANSITIONS,
+  SUPPORT_TICKET_PRIORITIES,
+  SUPPORT_TICKET_STATUSES,
+  type SupportQueueFilters,
+  type SupportTicketPriority,
+  type SupportTicketStatus,
+} from "@/lib/support/tickets"
+import { CannedRepliesDialog } from "@/components/support/canned-replies-dialog"
 
-const statusColors = {
-  open: "bg-gray-100 text-gray-700 border-gray-300",
-  in_progress: "bg-yellow-100 text-yellow-700 border-yellow-300",
-  resolved: "bg-green-100 text-green-700 border-green-300"
-}
+const UNASSIGNED = "unassigned"
 
 export default function SupportRequestsPage() {
-  const [supportRequests, setSupportRequests] = useState(mockSupportRequests)
-  const [selectedRequest, setSelectedRequest] = useState<typeof mockSupportRequests[0] | null>(mockSupportRequests[0])
+  const { adminUser } = useAdminAuth()
+  const [selectedTicketId, setSelectedTicketId] = useState<string | null>(null)
   const [messageInput, setMessageInput] = useState("")
+  const [isInternal, setIsInternal] = useState(false)
   const [searchQuery, setSearchQuery] = useState("")
-  const [statusFilter, setStatusFilter] = useState("all")
-  const [priorityFilter, setPriorityFilter] = useState("all")
+  const [statusFilter, setStatusFilter] = useState<NonNullable<SupportQueueFilters["status"]>>("active")
+  const [priorityFilter, setPriorityFilter] = useState<NonNullable<SupportQueueFilters["priority"]>>("all")
+  const [assigneeFilter, setAssigneeFilter] = useState("all")
+  const [cannedRepliesOpen, setCannedRepliesOpen] = useState(false)
+  const scrollAreaRef = useRef<HTMLDivElement>(null)
 
-  // Filter requests
-  const filteredRequests = supportRequests.filter(request => {
-    const matchesSearch = 
-      request.user.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      request.subject.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      request.userEmail.toLowerCase().includes(searchQuery.toLowerCase())
-    
-    const matchesStatus = statusFilter === "all" || request.status === statusFilter
-    const matchesPriority = priorityFilter === "all" || request.priority === priorityFilter
-    
-    return matchesSearch && matchesStatus && matchesPriority
-  })
-
-  // Stats
-  const stats = {
-    total: supportRequests.length,
-    open: supportRequests.filter(r => r.status === "open").length,
-    inProgress: supportRequests.filter(r => r.status === "in_progress").length,
-    resolved: supportRequests.filter(r => r.status === "resolved").length,
-    urgent: supportRequests.filter(r => r.priority === "urgent").length
+  const debouncedSearch = useDebounce(searchQuery, 300)
+  const filters: SupportQueueFilters = {
+    status: statusFilter,
+    priority: priorityFilter,
+    assignee: assigneeFilter,
+    search: debouncedSearch,
   }
 
-  const handleSendMessage = () => {
-    if (!messageInput.trim() || !selectedRequest) return
+  // One channel for the whole queue; it also feeds the open thread
+  const { connected } = useSupportStream({ scope: "admin" })
+  const { data: tickets = [], isLoading } = useSupportQueue(filters, { live: connected })
+  const { data: allTickets = [] } = useSupportQueue({ status: "all" }, { live: connected })
+  const { data: thread, isLoading: threadLoading } = useAdminSupportThread(selectedTicketId, { live: connected })
+  const { data: agents = [] } = useSupportAgents()
+  const { data: cannedReplies = [] } = useSupportCannedReplies()
+  const updateTicket = useUpdateSupportTicket()
+  const sendMessage = useSendAdminSupportMessage()
 
-    const newMessage = {
-      id: `msg-${Date.now()}`,
-      sender: "support_agent",
-      senderName: "Support Team",
-      content: messageInput,
-      timestamp: new Date().toISOString()
-    }
+  const selectedTicket = thread?.ticket ?? tickets.find((ticket) => ticket.id === selectedTicketId) ?? null
+  const messages = thread?.messages ?? []
 
-    setSupportRequests(supportRequests.map(request => 
-      request.id === selectedRequest.id
-        ? {
-            ...request,
-            messages: [...request.messages, newMessage],
-            lastMessageAt: new Date().toISOString(),
-            status: request.status === "open" ? "in_progress" : request.status
-          }
-        : request
-    ))
+  // Open the first ticket in the queue when nothing is selected yet
+  useEffect(() => {
+    if (!selectedTicketId && tickets[0]) {
+      setSelectedTicketId(tickets[0].id)
+    }
+  }, [selectedTicketId, tickets])
 
-    // Update selected request
-    if (selectedRequest) {
-      setSelectedRequest({
-        ...selectedRequest,
-        messages: [...selectedRequest.messages, newMessage],
-        lastMessageAt: new Date().toISOString(),
-        status: selectedRequest.status === "open" ? "in_progress" : selectedRequest.status
-      })
+  useEffect(() => {
+    const viewport = scrollAreaRef.current?.querySelector('[data-radix-scroll-area-viewport]')
+    if (viewport) {
+      viewport.scrollTop = viewport.scrollHeight
     }
+  }, [messages.length, selectedTicketId])
+
+  const stats = useMemo(() => ({
+    needsAttention: allTickets.filter(needsSupportAttention).length,
+    waitingOnCustomer: allTickets.filter(ticket => ticket.status === "waiting_user").length,
+    unassigned: allTickets.filter(ticket => !ticket.assigned_to && ticket.status !== "resolved" && ticket.status !== "closed").length,
+    urgent: allTickets.filter(ticket => ticket.priority === "urgent" && ticket.status !== "resolved" && ticket.status !== "closed").length,
+    resolved: allTickets.filter(ticket => ticket.status === "resolved").length,
+  }), [allTickets])
 
-    setMessageInput("")
-    toast.success("Message sent")
+  const agentName = (userId: string | null) => {
+    if (!userId) return null
+    const agent = agents.find(candidate => candidate.user_id === userId)
+    return agent?.name || agent?.email || null
   }
 
-  const handleMarkAsResolved = (requestId: string) => {
-    setSupportRequests(supportRequests.map(request => 
-      request.id === requestId
-        ? { ...request, status: "resolved" }
-        : request
-    ))
-    
-    if (selectedRequest?.id === requestId) {
-      setSelectedRequest({ ...selectedRequest, status: "resolved" })
-    }
-    
-    toast.success("Support request marked as resolved")
+  const relevantCannedReplies = useMemo(() => {
+    if (!selectedTicket?.category) return cannedReplies
+    return cannedReplies.filter(reply => !reply.category || reply.category === selectedTicket.category)
+  }, [cannedReplies, selectedTicket?.category])
+
+  const handleSendMessage = () => {
+    const text = messageInput.trim()
+    if (!text || !selectedTicket) return
+
+    sendMessage.mutate(
+      { ticketId: selectedTicket.id, message: text, isInternal },
+      {
+        onSuccess: () => {
+          setMessageInput("")
+          setIsInternal(false)
+        },
+      }
+    )
   }
 
-  const handleAssignAgent = (requestId: string, agent: string) => {
-    setSupportRequests(supportRequests.map(request => 
-      request.id === requestId
-        ? { ...request, assignedTo: agent, status: "in_progress" }
-        : request
-    ))
-    
-    if (selectedRequest?.id === requestId) {
-      setSelectedRequest({ ...selectedRequest, assignedTo: agent, status: "in_progress" })
-    }
-    
-    toast.success(`Assigned to ${agent}`)
+  const handleInsertCannedReply = (replyId: string) => {
+    const reply = cannedReplies.find(candidate => candidate.id === replyId)
+    if (!reply || !selectedTicket) return
+
+    const text = fillCannedReply(reply.body, {
+      customerName: selectedTicket.user_name,
+      customerEmail: selectedTicket.user_email,
+      agentName: adminUser?.name,
+      ticketSubject: selectedTicket.subject,
+    })
+    setMessageInput(current => (current.trim() ? `${current.trimEnd()}\n\n${text}` : text))
+  }
+
+  const handleStatusChange = (status: SupportTicketStatus) => {
+    if (!selectedTicket) return
+    updateTicket.mutate({ ticketId: selectedTicket.id, status })
   }
 
+  const isClosed = selectedTicket?.status === "closed"
+  const isResolved = selectedTicket?.status === "resolved"
+
   return (
     <div className="space-y-6">
       {/* Page Header */}
@@ -347,12 +171,17 @@ export default function SupportRequestsPage() {
           <p className="text-gray-600 mt-1">Handle customer support inquiries and requests</p>
         </div>
         <div className="flex items-center space-x-2">
-          <Badge variant="outline" className="bg-green-50">
-            {stats.inProgress} Active
+          <Badge variant="outline" className={connected ? "bg-green-50 text-green-700" : "bg-yellow-50 text-yellow-700"}>
+            <Radio className="h-3 w-3 mr-1" />
+            {connected ? "Live" : "Polling"}
           </Badge>
           <Badge variant="outline" className="bg-red-50">
             {stats.urgent} Urgent
           </Badge>
+          <Button variant="outline" size="sm" onClick={() => setCannedRepliesOpen(true)}>
+            <MessageSquareText className="h-4 w-4 mr-2" />
+            Canned Replies
+          </Button>
         </div>
       </div>
 
@@ -360,26 +189,26 @@ export default function SupportRequestsPage() {
       <div className="grid gap-4 md:grid-cols-4">
         <Card className="bg-white">
           <CardHeader className="pb-2">
-            <CardTitle className="text-sm font-medium text-muted-foreground">Total Requests</CardTitle>
+            <CardTitle className="text-sm font-medium text-muted-foreground">Needs Attention</CardTitle>
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{stats.total}</div>
+            <div className="text-2xl font-bold text-yellow-600">{stats.needsAttention}</div>
           </CardContent>
         </Card>
         <Card className="bg-white">
           <CardHeader className="pb-2">
-            <CardTitle className="text-sm font-medium text-muted-foreground">Open</CardTitle>
+            <CardTitle className="text-sm font-medium text-muted-foreground">Unassigned</CardTitle>
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold text-gray-600">{stats.open}</div>
+            <div className="text-2xl font-bold text-gray-600">{stats.unassigned}</div>
           </CardContent>
         </Card>
         <Card className="bg-white">
           <CardHeader className="pb-2">
-            <CardTitle className="text-sm font-medium text-muted-foreground">In Progress</CardTitle>
+            <CardTitle className="text-sm font-medium text-muted-foreground">Waiting on Customer</CardTitle>
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold text-yellow-600">{stats.inProgress}</div>
+            <div className="text-2xl font-bold text-blue-600">{stats.waitingOnCustomer}</div>
           </CardContent>
         </Card>
         <Card className="bg-white">
@@ -393,7 +222,7 @@ export default function SupportRequestsPage() {
       </div>
 
       <div className="grid gap-6 md:grid-cols-3">
-        {/* Support Requests List */}
+        {/* Support Queue */}
         <Card className="md:col-span-1">
           <CardHeader>
             <CardTitle>Support Queue</CardTitle>
@@ -408,194 +237,294 @@ export default function SupportRequestsPage() {
                 />
               </div>
               <div className="grid grid-cols-2 gap-2">
-                <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <Select value={statusFilter} onValueChange={(value) => setStatusFilter(value as typeof statusFilter)}>
                   <SelectTrigger>
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
+                    <SelectItem value="active">Active</SelectItem>
                     <SelectItem value="all">All Status</SelectItem>
-                    <SelectItem value="open">Open</SelectItem>
-                    <SelectItem value="in_progress">In Progress</SelectItem>
-                    <SelectItem value="resolved">Resolved</SelectItem>
+                    {SUPPORT_TICKET_STATUSES.map(status => (
+                      <SelectItem key={status} value={status}>{SUPPORT_STATUS_LABELS[status]}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
-                <Select value={priorityFilter} onValueChange={setPriorityFilter}>
+                <Select value={priorityFilter} onValueChange={(value) => setPriorityFilter(value as typeof priorityFilter)}>
                   <SelectTrigger>
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="all">All Priority</SelectItem>
-                    <SelectItem value="urgent">Urgent</SelectItem>
-                    <SelectItem value="normal">Normal</SelectItem>
+                    {SUPPORT_TICKET_PRIORITIES.map(priority => (
+                      <SelectItem key={priority} value={priority}>{SUPPORT_PRIORITY_LABELS[priority]}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               </div>
+              <Select value={assigneeFilter} onValueChange={setAssigneeFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Everyone</SelectItem>
+                  <SelectItem value="me">Assigned to me</SelectItem>
+                  <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+                  {agents.map(agent => (
+                    <SelectItem key={agent.user_id} value={agent.user_id}>
+                      {agent.name || agent.email}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
             </div>
           </CardHeader>
           <CardContent>
             <ScrollArea className="h-[500px]">
-              <div className="space-y-3">
-                {filteredRequests.map((request) => (
-                  <div
-                    key={request.id}
-                    className={`p-4 border rounded-lg cursor-pointer transition-colors ${
-                      selectedRequest?.id === request.id
-                        ? "border-blue-500 bg-blue-50"
-                        : "border-gray-200 hover:border-gray-300"
-                    }`}
-                    onClick={() => setSelectedRequest(request)}
-                  >
-                    <div className="flex items-start justify-between mb-2">
-                      <div className="flex-1 min-w-0">
-                        <h4 className="font-medium text-sm truncate">{request.subject}</h4>
-                        <p className="text-xs text-muted-foreground mt-1">{request.user}</p>
+              {isLoading ? (
+                <div className="flex justify-center py-12">
+                  <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                </div>
+              ) : tickets.length === 0 ? (
+                <p className="text-sm text-muted-foreground text-center py-12">No tickets match these filters</p>
+              ) : (
+                <div className="space-y-3">
+                  {tickets.map((ticket) => (
+                    <div
+                      key={ticket.id}
+                      className={`p-4 border rounded-lg cursor-pointer transition-colors ${
+                        selectedTicketId === ticket.id
+                          ? "border-blue-500 bg-blue-50"
+                          : "border-gray-200 hover:border-gray-300"
+                      }`}
+                      onClick={() => setSelectedTicketId(ticket.id)}
+                    >
+                      <div className="flex items-start justify-between mb-2">
+                        <div className="flex-1 min-w-0">
+                          <h4 className="font-medium text-sm truncate">{ticket.subject || "(No subject)"}</h4>
+                          <p className="text-xs text-muted-foreground mt-1 truncate">
+                            {ticket.user_name || ticket.user_email}
+                            {ticket.organization_name && ` • ${ticket.organization_name}`}
+                          </p>
+                        </div>
+                        {!!ticket.unread_count && (
+                          <Badge variant="destructive" className="text-xs">
+                            {ticket.unread_count}
+                          </Badge>
+                        )}
                       </div>
-                      {request.unreadCount > 0 && (
-                        <Badge variant="destructive" className="text-xs">
-                          {request.unreadCount}
-                        </Badge>
-                      )}
-                    </div>
-                    <div className="flex items-center justify-between text-xs">
-                      <div className="flex items-center space-x-2">
-                        <Badge variant="outline" className={priorityColors[request.priority as keyof typeof priorityColors]}>
-                          {request.priority}
-                        </Badge>
-                        <Badge variant="outline" className={statusColors[request.status as keyof typeof statusColors]}>
-                          {request.status.replace('_', ' ')}
-                        </Badge>
+                      <div className="flex items-center justify-between text-xs">
+                        <div className="flex items-center space-x-2">
+                          <Badge variant="outline" className={SUPPORT_PRIORITY_COLORS[ticket.priority]}>
+                            {SUPPORT_PRIORITY_LABELS[ticket.priority]}
+                          </Badge>
+                          <Badge variant="outline" className={SUPPORT_STATUS_COLORS[ticket.status]}>
+                            {SUPPORT_STATUS_LABELS[ticket.status]}
+                          </Badge>
+                        </div>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {formatDistanceToNow(new Date(ticket.last_message_at), { addSuffix: true })}
+                        </span>
                       </div>
-                      <span className="text-muted-foreground">
-                        {new Date(request.lastMessageAt).toLocaleTimeString()}
-                      </span>
+                      {ticket.assigned_to && (
+                        <p className="text-xs text-green-600 mt-2">
+                          Assigned to: {ticket.assigned_to_name || agentName(ticket.assigned_to) || "Unknown"}
+                        </p>
+                      )}
                     </div>
-                    {request.assignedTo && (
-                      <p className="text-xs text-green-600 mt-2">
-                        Assigned to: {request.assignedTo}
-                      </p>
-                    )}
-                  </div>
-                ))}
-              </div>
+                  ))}
+                </div>
+              )}
             </ScrollArea>
           </CardContent>
         </Card>
 
-        {/* Chat Interface */}
+        {/* Ticket thread */}
         <Card className="md:col-span-2">
           <CardHeader>
-            <div className="flex items-center justify-between">
-              <div>
-                <CardTitle>
-                  {selectedRequest ? selectedRequest.subject : "Select a support request"}
+            <div className="flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <CardTitle className="truncate">
+                  {selectedTicket ? selectedTicket.subject || "(No subject)" : "Select a support request"}
                 </CardTitle>
-                {selectedRequest && (
+                {selectedTicket && (
                   <p className="text-sm text-muted-foreground mt-1">
-                    {selectedRequest.user} • {selectedRequest.userEmail}
+                    {selectedTicket.user_name || "Customer"} • {selectedTicket.user_email}
+                    {selectedTicket.organization_name && ` • ${selectedTicket.organization_name}`}
+                    {selectedTicket.category && ` • ${SUPPORT_CATEGORY_LABELS[selectedTicket.category]}`}
                   </p>
                 )}
               </div>
-              {selectedRequest && (
-                <div className="flex items-center space-x-2">
-                  {selectedRequest.status !== "resolved" && (
-                    <>
-                      {!selectedRequest.assignedTo ? (
-                        <Select
-                          onValueChange={(value) => handleAssignAgent(selectedRequest.id, value)}
-                        >
-                          <SelectTrigger className="w-[180px]">
-                            <SelectValue placeholder="Assign to agent..." />
-                          </SelectTrigger>
-                          <SelectContent>
-                            {supportAgents.map(agent => (
-                              <SelectItem key={agent} value={agent}>
-                                {agent}
-                              </SelectItem>
-                            ))}
-                          </SelectContent>
-                        </Select>
-                      ) : (
-                        <Badge variant="outline" className="bg-green-50">
-                          Assigned to: {selectedRequest.assignedTo}
-                        </Badge>
-                      )}
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => handleMarkAsResolved(selectedRequest.id)}
-                      >
-                        <CheckCircle className="h-4 w-4 mr-2" />
-                        Mark Resolved
-                      </Button>
-                    </>
-                  )}
+              {selectedTicket && (
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <Select
+                    value={selectedTicket.assigned_to ?? UNASSIGNED}
+                    onValueChange={(value) =>
+                      updateTicket.mutate({
+                        ticketId: selectedTicket.id,
+                        assigned_to: value === UNASSIGNED ? null : value,
+                      })
+                    }
+                    disabled={updateTicket.isPending}
+                  >
+                    <SelectTrigger className="w-[160px]">
+                      <SelectValue placeholder="Assign to agent..." />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+                      {agents.map(agent => (
+                        <SelectItem key={agent.user_id} value={agent.user_id}>
+                          {agent.user_id === adminUser?.id ? "Me" : agent.name || agent.email}
+                          {agent.open_tickets > 0 && ` (${agent.open_tickets})`}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Select
+                    value={selectedTicket.priority}
+                    onValueChange={(value) =>
+                      updateTicket.mutate({ ticketId: selectedTicket.id, priority: value as SupportTicketPriority })
+                    }
+                    disabled={updateTicket.isPending}
+                  >
+                    <SelectTrigger className="w-[110px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {SUPPORT_TICKET_PRIORITIES.map(priority => (
+                        <SelectItem key={priority} value={priority}>{SUPPORT_PRIORITY_LABELS[priority]}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Select
+                    value={selectedTicket.status}
+                    onValueChange={(value) => handleStatusChange(value as SupportTicketStatus)}
+                    disabled={updateTicket.isPending}
+                  >
+                    <SelectTrigger className="w-[170px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={selectedTicket.status} disabled>
+                        {SUPPORT_STATUS_LABELS[selectedTicket.status]}
+                      </SelectItem>
+                      {SUPPORT_STATUS_TRANSITIONS[selectedTicket.status].map(status => (
+                        <SelectItem key={status} value={status}>
+                          {status === "open" ? "Reopen" : SUPPORT_STATUS_LABELS[status]}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
                 </div>
               )}
             </div>
           </CardHeader>
           <CardContent>
-            {selectedRequest ? (
+            {selectedTicket ? (
               <div className="space-y-4">
-                <ScrollArea className="h-[400px] border rounded-lg p-4 bg-gray-50/50">
-                  <div className="space-y-4">
-                    {selectedRequest.messages.map((message) => (
-                      <div
-                        key={message.id}
-                        className={`flex ${
-                          message.sender === "user" ? "justify-start" : "justify-end"
-                        }`}
-                      >
+                <ScrollArea ref={scrollAreaRef} className="h-[400px] border rounded-lg p-4 bg-gray-50/50">
+                  {threadLoading ? (
+                    <div className="flex justify-center py-12">
+                      <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      {messages.map((message) => (
                         <div
-                          className={`max-w-[70%] p-3 rounded-lg ${
-                            message.sender === "user"
-                              ? "bg-white border"
-                              : message.sender === "system"
-                              ? "bg-gray-200 text-gray-700"
-                              : "bg-blue-100 text-blue-900 border border-blue-200"
+                          key={message.id}
+                          className={`flex ${
+                            message.sender_type === "user" ? "justify-start" : "justify-end"
                           }`}
                         >
-                          <div className="flex items-center space-x-2 mb-1">
-                            <span className="text-xs font-medium">
-                              {message.senderName}
-                            </span>
-                            <span className={`text-xs ${
-                              message.sender === "user" ? "text-muted-foreground" : 
-                              message.sender === "system" ? "text-gray-500" : 
-                              "text-blue-600"
-                            }`}>
-                              {new Date(message.timestamp).toLocaleTimeString()}
-                            </span>
+                          <div
+                            className={`max-w-[70%] p-3 rounded-lg ${
+                              message.sender_type === "user"
+                                ? "bg-white border"
+                                : message.sender_type === "system"
+                                ? "bg-gray-200 text-gray-700"
+                                : message.is_internal
+                                ? "bg-amber-50 text-amber-900 border border-amber-200"
+                                : "bg-blue-100 text-blue-900 border border-blue-200"
+                            }`}
+                          >
+                            <div className="flex items-center space-x-2 mb-1">
+                              {message.is_internal && <Lock className="h-3 w-3" />}
+                              <span className="text-xs font-medium">
+                                {message.sender_name || (message.sender_type === "system" ? "System" : "Unknown")}
+                                {message.is_internal && " (internal note)"}
+                              </span>
+                              <span className={`text-xs ${
+                                message.sender_type === "user" ? "text-muted-foreground" :
+                                message.sender_type === "system" ? "text-gray-500" :
+                                "text-blue-600"
+                              }`}>
+                                {new Date(message.created_at).toLocaleTimeString()}
+                              </span>
+                            </div>
+                            <p className="text-sm whitespace-pre-wrap">{message.message}</p>
                           </div>
-                          <p className="text-sm">{message.content}</p>
                         </div>
-                      </div>
-                    ))}
-                  </div>
+                      ))}
+                    </div>
+                  )}
                 </ScrollArea>
-                
-                {selectedRequest.status !== "resolved" && (
-                  <div className="flex space-x-2">
-                    <Input
-                      placeholder="Type your response..."
-                      value={messageInput}
-                      onChange={(e) => setMessageInput(e.target.value)}
-                      onKeyPress={(e) => {
-                        if (e.key === "Enter" && !e.shiftKey) {
-                          e.preventDefault()
-                          handleSendMessage()
-                        }
-                      }}
-                    />
-                    <Button onClick={handleSendMessage}>
-                      <Send className="h-4 w-4" />
+
+                {isClosed ? (
+                  <div className="text-center py-4 bg-gray-50 rounded-lg">
+                    <p className="text-sm font-medium text-gray-600">This ticket is closed</p>
+                    <Button variant="link" size="sm" onClick={() => handleStatusChange("open")}>
+                      Reopen ticket
                     </Button>
                   </div>
-                )}
-                
-                {selectedRequest.status === "resolved" && (
-                  <div className="text-center py-4 bg-green-50 rounded-lg">
-                    <CheckCircle className="h-8 w-8 text-green-600 mx-auto mb-2" />
-                    <p className="text-sm font-medium text-green-700">This support request has been resolved</p>
+                ) : (
+                  <div className="space-y-2">
+                    {isResolved && (
+                      <div className="flex items-center gap-2 text-sm text-green-700 bg-green-50 rounded-lg px-3 py-2">
+                        <CheckCircle className="h-4 w-4" />
+                        Resolved. A reply from the customer reopens it.
+                      </div>
+                    )}
+                    <div className="flex items-center justify-between gap-2">
+                      <Select value="" onValueChange={handleInsertCannedReply}>
+                        <SelectTrigger className="w-[220px]">
+                          <SelectValue placeholder="Insert canned reply..." />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {relevantCannedReplies.length === 0 ? (
+                            <div className="px-2 py-1.5 text-sm text-muted-foreground">No canned replies yet</div>
+                          ) : (
+                            relevantCannedReplies.map(reply => (
+                              <SelectItem key={reply.id} value={reply.id}>{reply.title}</SelectItem>
+                            ))
+                          )}
+                        </SelectContent>
+                      </Select>
+                      <div className="flex items-center gap-2">
+                        <Switch id="support-internal-note" checked={isInternal} onCheckedChange={setIsInternal} />
+                        <Label htmlFor="support-internal-note" className="text-sm">Internal note</Label>
+                      </div>
+                    </div>
+                    <div className="flex space-x-2">
+                      <Textarea
+                        placeholder={isInternal ? "Note for the support team (the customer won't see this)..." : "Type your response..."}
+                        value={messageInput}
+                        rows={3}
+                        className={isInternal ? "bg-amber-50" : undefined}
+                        onChange={(e) => setMessageInput(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter" && !e.shiftKey) {
+                            e.preventDefault()
+                            handleSendMessage()
+                          }
+                        }}
+                      />
+                      <Button
+                        onClick={handleSendMessage}
+                        disabled={!messageInput.trim() || sendMessage.isPending}
+                        className="self-end"
+                      >
+                        {sendMessage.isPending ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+                      </Button>
+                    </div>
                   </div>
                 )}
               </div>
@@ -611,6 +540,8 @@ export default function SupportRequestsPage() {
           </CardContent>
         </Card>
       </div>
+
+      <CannedRepliesDialog open={cannedRepliesOpen} onOpenChange={setCannedRepliesOpen} />
     </div>
   )
-}
\ No newline at end of file
+}
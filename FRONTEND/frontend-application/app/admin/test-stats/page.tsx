@@ -4,6 +4,7 @@ import { useEffect, useState } from 'react'
 import { adminUsersAPI } from '@/lib/api/admin-users'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
+import { getAccessToken } from '@/lib/auth/session-client'
 
 export default function TestStatsPage() {
   const [stats, setStats] = useState<any>(null)
@@ -40,9 +41,9 @@ export default function TestStatsPage() {
         addLog('Supabase not configured')
       }
       
-      // Check localStorage token
-      const localToken = localStorage.getItem('auth_token')
-      addLog(`localStorage auth_token exists: ${!!localToken}`)
+      // Check session token
+      const localToken = await getAccessToken('app')
+      addLog(`Session token exists: ${!!localToken}`)
       
       // Fetch stats
       addLog('Calling adminUsersAPI.getStats()...')
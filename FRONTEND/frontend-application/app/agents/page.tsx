@@ -8,6 +8,7 @@ import { useAuth } from "@/contexts/simple-auth-context"
 import { apiCall } from "@/lib/api"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Skeleton } from "@/components/ui/skeleton"
+import type { EmbedSettings } from "@/lib/embed"
 
 // Lazy load heavy components
 const CreateAgentModal = lazy(() => import("@/components/agents/create-agent-modal").then(mod => ({ default: mod.CreateAgentModal })))
@@ -44,6 +45,8 @@ interface AIAgent {
   createdAt?: string // From previous implementation, might be `created_at` in API
   openingMessage?: string // New field for configuration
   custom_greeting?: string // Custom greeting field from backend
+  embed_enabled?: boolean
+  embed_settings?: Partial<EmbedSettings> | null
 }
 
 export default function AgentsPage() {
@@ -104,6 +107,8 @@ export default function AgentsPage() {
           createdAt: agent.created_at || new Date().toISOString(),
           openingMessage: agent.openingMessage || "", // Assuming this comes from the API
           custom_greeting: agent.custom_greeting || "", // Add custom greeting from API
+          embed_enabled: agent.embed_enabled || false,
+          embed_settings: agent.embed_settings || null,
         })
       } else {
         setExistingAgent(null)
@@ -1,78 +1,150 @@
 "use client"
 
-import { Suspense, lazy } from "react"
-import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { useState } from "react"
+import { addDays } from "date-fns"
+import type { DateRange } from "react-day-picker"
 import { DateRangePicker } from "@/components/date-range-picker"
-import { Button } from "@/components/ui/button"
-import { Download } from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Skeleton } from "@/components/ui/skeleton"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { FunnelStages } from "@/components/analytics/funnel-stages"
+import { FunnelBreakdownTable } from "@/components/analytics/funnel-breakdown-table"
+import { BantDropoffChart } from "@/components/analytics/bant-dropoff-chart"
+import { useAgents } from "@/lib/queries/agent-queries"
+import { useLeadFunnel } from "@/lib/queries/analytics-queries"
+import {
+  EMPTY_FUNNEL_COUNTS,
+  FUNNEL_SOURCES,
+  FUNNEL_STAGES,
+  getConversionRate,
+  type FunnelSource,
+} from "@/lib/analytics/funnel"
+import { BarChart3 } from "lucide-react"
 
-// Lazy load heavy analytics components
-const OverviewTab = lazy(() => import("@/components/analytics/overview-tab").then(mod => ({ default: mod.OverviewTab })))
-const AnalyticsTab = lazy(() => import("@/components/analytics/analytics-tab").then(mod => ({ default: mod.AnalyticsTab })))
-const ReportsTab = lazy(() => import("@/components/analytics/reports-tab").then(mod => ({ default: mod.ReportsTab })))
-const NotificationsTab = lazy(() => import("@/components/analytics/notifications-tab").then(mod => ({ default: mod.NotificationsTab })))
-
-// Tab loading component
-function TabLoading() {
+function FunnelLoading() {
   return (
     <div className="space-y-4">
       <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
         {[...Array(4)].map((_, i) => (
-          <Skeleton key={i} className="h-32 w-full" />
+          <Skeleton key={i} className="h-28 w-full" />
         ))}
       </div>
-      <Skeleton className="h-96 w-full" />
+      <Skeleton className="h-80 w-full" />
     </div>
   )
 }
 
 export default function AnalyticsPage() {
-  const handleExportData = () => {
-    // Implement export functionality here
-    console.log("Exporting data...")
-  }
+  const [dateRange, setDateRange] = useState<DateRange | undefined>({
+    from: addDays(new Date(), -29),
+    to: new Date(),
+  })
+  const [agentId, setAgentId] = useState("all")
+  const [source, setSource] = useState<FunnelSource | "all">("all")
+
+  const { data: agentsData } = useAgents()
+  const agents = (agentsData as { agents?: { id: string; name: string }[] } | undefined)?.agents ?? []
+
+  const { data, isLoading, error } = useLeadFunnel({
+    from: dateRange?.from,
+    to: dateRange?.to ?? dateRange?.from,
+    agentId,
+    source,
+  })
+
+  const totals = data?.totals ?? EMPTY_FUNNEL_COUNTS
 
   return (
     <div className="flex-1 space-y-4 p-8 pt-6">
-      <div className="flex items-center justify-between space-y-2">
-        <h2 className="text-3xl font-bold tracking-tight">Analytics</h2>
-        <div className="flex items-center space-x-2">
-          <DateRangePicker />
-          <Button onClick={handleExportData} className="flex items-center gap-2">
-            <Download className="h-4 w-4" />
-            Export Data
-          </Button>
+      <div className="flex flex-col gap-4 lg:flex-row lg:items-center lg:justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <BarChart3 className="h-8 w-8 text-blue-600" />
+            <h2 className="text-3xl font-bold tracking-tight">Analytics</h2>
+          </div>
+          <p className="text-gray-600 ml-10">Where prospects drop out between first message and hot lead</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={agentId} onValueChange={setAgentId}>
+            <SelectTrigger className="w-[180px]">
+              <SelectValue placeholder="All agents" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All agents</SelectItem>
+              {agents.map((agent) => (
+                <SelectItem key={agent.id} value={agent.id}>
+                  {agent.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={source} onValueChange={(value) => setSource(value as FunnelSource | "all")}>
+            <SelectTrigger className="w-[170px]">
+              <SelectValue placeholder="All sources" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All sources</SelectItem>
+              {FUNNEL_SOURCES.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <DateRangePicker date={dateRange} onDateChange={setDateRange} />
         </div>
       </div>
-      <Tabs defaultValue="overview" className="space-y-4">
-        <TabsList className="grid w-full grid-cols-4">
-          <TabsTrigger value="overview">Overview</TabsTrigger>
-          <TabsTrigger value="analytics">Analytics</TabsTrigger>
-          <TabsTrigger value="reports">Reports</TabsTrigger>
-          <TabsTrigger value="notifications">Notifications</TabsTrigger>
-        </TabsList>
-        <TabsContent value="overview" className="space-y-4">
-          <Suspense fallback={<TabLoading />}>
-            <OverviewTab />
-          </Suspense>
-        </TabsContent>
-        <TabsContent value="analytics" className="space-y-4">
-          <Suspense fallback={<TabLoading />}>
-            <AnalyticsTab />
-          </Suspense>
-        </TabsContent>
-        <TabsContent value="reports" className="space-y-4">
-          <Suspense fallback={<TabLoading />}>
-            <ReportsTab />
-          </Suspense>
-        </TabsContent>
-        <TabsContent value="notifications" className="space-y-4">
-          <Suspense fallback={<TabLoading />}>
-            <NotificationsTab />
-          </Suspense>
-        </TabsContent>
-      </Tabs>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>
+            Failed to load funnel analytics: {error instanceof Error ? error.message : "Unknown error"}
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <FunnelLoading />
+      ) : (
+        <>
+          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+            {FUNNEL_STAGES.map((stage, index) => (
+              <Card key={stage.key}>
+                <CardHeader className="pb-2">
+                  <CardTitle className="text-sm font-medium text-muted-foreground">{stage.label}</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <div className="text-2xl font-bold">{totals[stage.key].toLocaleString()}</div>
+                  <p className="text-xs text-muted-foreground">
+                    {index === 0
+                      ? stage.description
+                      : `${getConversionRate(totals[stage.key], totals.conversations)}% of conversations`}
+                  </p>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          <div className="grid gap-4 lg:grid-cols-2">
+            <FunnelStages totals={totals} />
+            <BantDropoffChart rows={data?.bant_dropoff ?? []} />
+          </div>
+
+          <FunnelBreakdownTable
+            title="By Agent"
+            description="Funnel performance for each AI agent"
+            dimensionLabel="Agent"
+            rows={data?.by_agent ?? []}
+          />
+          <FunnelBreakdownTable
+            title="By Source"
+            description="Website, Facebook and embedded widget compared"
+            dimensionLabel="Source"
+            rows={data?.by_source ?? []}
+          />
+        </>
+      )}
     </div>
   )
 }
@@ -0,0 +1,33 @@
+import { NextResponse, type NextRequest } from 'next/server'
+import { getSessionScope, getTokenExpiry } from '@/lib/auth/session'
+import {
+  pickClientProfile,
+  readSession,
+  refreshWithBackend,
+  resolveSessionUser,
+  setSessionCookies,
+  unauthorized,
+} from '@/lib/auth/session-server'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Rotate the access token using the httpOnly refresh cookie
+ * Role and permissions are resolved again so changes reach the signed user cookie without a new sign-in
+ */
+export async function POST(request: NextRequest) {
+  const scope = getSessionScope(request.nextUrl.searchParams.get('scope'))
+  const { refreshToken, user } = await readSession(request, scope)
+
+  if (!refreshToken || !user) return unauthorized(scope)
+
+  const refreshed = await refreshWithBackend(scope, refreshToken)
+  if (!refreshed) return unauthorized(scope, 'Session expired')
+
+  const updated = await resolveSessionUser(scope, refreshed.token, pickClientProfile(user))
+  if (!updated) return unauthorized(scope, 'Session expired')
+
+  const response = NextResponse.json({ token: refreshed.token, expiresAt: getTokenExpiry(refreshed.token), user: updated })
+  await setSessionCookies(response, scope, refreshed, updated)
+  return response
+}
@@ -0,0 +1,83 @@
+import { NextResponse, type NextRequest } from 'next/server'
+import { getSessionScope, getTokenExpiry, isTokenExpiring } from '@/lib/auth/session'
+import {
+  pickClientProfile,
+  readSession,
+  refreshWithBackend,
+  resolveSessionUser,
+  setSessionCookies,
+  unauthorized,
+  clearSessionCookies,
+} from '@/lib/auth/session-server'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Current session: a usable access token (refreshed if it is about to expire) and the user
+ */
+export async function GET(request: NextRequest) {
+  const scope = getSessionScope(request.nextUrl.searchParams.get('scope'))
+  const { token, refreshToken, user } = await readSession(request, scope)
+
+  if (!user) return unauthorized(scope)
+
+  if (token && !isTokenExpiring(getTokenExpiry(token))) {
+    return NextResponse.json({ token, expiresAt: getTokenExpiry(token), user })
+  }
+
+  if (refreshToken) {
+    const refreshed = await refreshWithBackend(scope, refreshToken)
+    if (refreshed) {
+      const response = NextResponse.json({ token: refreshed.token, expiresAt: getTokenExpiry(refreshed.token), user })
+      await setSessionCookies(response, scope, refreshed)
+      return response
+    }
+  }
+
+  return unauthorized(scope, 'Session expired')
+}
+
+/**
+ * Start a session from the tokens the API returned on sign-in
+ */
+export async function POST(request: NextRequest) {
+  const scope = getSessionScope(request.nextUrl.searchParams.get('scope'))
+  const body = await request.json().catch(() => null)
+
+  if (!body?.token || typeof body.token !== 'string') {
+    return NextResponse.json({ message: 'token is required' }, { status: 400 })
+  }
+
+  const user = await resolveSessionUser(scope, body.token, pickClientProfile(body.user))
+  if (!user) return unauthorized(scope, 'Invalid token')
+
+  const response = NextResponse.json({ token: body.token, expiresAt: getTokenExpiry(body.token), user })
+  await setSessionCookies(response, scope, { token: body.token, refreshToken: body.refreshToken }, user)
+  return response
+}
+
+/**
+ * Update profile fields and re-read role and organization from the API
+ */
+export async function PATCH(request: NextRequest) {
+  const scope = getSessionScope(request.nextUrl.searchParams.get('scope'))
+  const { token, user } = await readSession(request, scope)
+  const body = await request.json().catch(() => ({}))
+
+  if (!token || !user) return unauthorized(scope)
+
+  const updated = await resolveSessionUser(scope, token, {
+    ...pickClientProfile(user),
+    ...pickClientProfile(body.user),
+  })
+  if (!updated) return unauthorized(scope, 'Session expired')
+
+  const response = NextResponse.json({ token, expiresAt: getTokenExpiry(token), user: updated })
+  await setSessionCookies(response, scope, { token }, updated)
+  return response
+}
+
+export async function DELETE(request: NextRequest) {
+  const scope = getSessionScope(request.nextUrl.searchParams.get('scope'))
+  return clearSessionCookies(NextResponse.json({ success: true }), scope)
+}
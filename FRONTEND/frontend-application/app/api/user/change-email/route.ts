@@ -0,0 +1,50 @@
+import { NextResponse, type NextRequest } from 'next/server'
+import { changeEmailRequestSchema } from '@/lib/validation/schemas'
+import { endSession, getAppOrigin, reauthenticate } from '@/lib/auth/account-server'
+import { readSession, unauthorized } from '@/lib/auth/session-server'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Start an email change. Supabase mails a confirmation link to the new address and the email
+ * only changes once that link is opened on /auth/confirm-email.
+ */
+export async function POST(request: NextRequest) {
+  const { token, user } = await readSession(request, 'app')
+  if (!token || !user) return unauthorized('app')
+
+  const parsed = changeEmailRequestSchema.safeParse(await request.json().catch(() => ({})))
+  if (!parsed.success) {
+    return NextResponse.json({ message: parsed.error.issues[0]?.message ?? 'Invalid request' }, { status: 400 })
+  }
+  const { newEmail, currentPassword } = parsed.data
+
+  if (newEmail === user.email.toLowerCase()) {
+    return NextResponse.json({ message: 'That is already your email address' }, { status: 400 })
+  }
+
+  try {
+    const reauth = await reauthenticate(user.id, user.email, currentPassword)
+    if (!reauth) {
+      return NextResponse.json({ message: 'Current password is incorrect' }, { status: 403 })
+    }
+
+    const { error } = await reauth.client.auth.updateUser(
+      { email: newEmail },
+      { emailRedirectTo: `${getAppOrigin(request.nextUrl.origin)}/auth/confirm-email` }
+    )
+    await endSession(reauth.client)
+
+    if (error) {
+      return NextResponse.json({ message: error.message }, { status: 400 })
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `We sent a confirmation link to ${newEmail}. Your email changes once you open it.`,
+    })
+  } catch (error) {
+    console.error('[Account] Email change failed:', error)
+    return NextResponse.json({ message: 'Failed to change email' }, { status: 500 })
+  }
+}
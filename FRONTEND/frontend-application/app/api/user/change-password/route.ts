@@ -0,0 +1,53 @@
+import { NextResponse, type NextRequest } from 'next/server'
+import { changePasswordRequestSchema } from '@/lib/validation/schemas'
+import { createAdminClient, reauthenticate } from '@/lib/auth/account-server'
+import { readSession, setSessionCookies, unauthorized } from '@/lib/auth/session-server'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Change the password after re-checking the current one, then sign out every other session
+ */
+export async function POST(request: NextRequest) {
+  const { token, user } = await readSession(request, 'app')
+  if (!token || !user) return unauthorized('app')
+
+  const parsed = changePasswordRequestSchema.safeParse(await request.json().catch(() => ({})))
+  if (!parsed.success) {
+    return NextResponse.json({ message: parsed.error.issues[0]?.message ?? 'Invalid request' }, { status: 400 })
+  }
+  const { currentPassword, newPassword } = parsed.data
+
+  try {
+    const reauth = await reauthenticate(user.id, user.email, currentPassword)
+    if (!reauth) {
+      return NextResponse.json({ message: 'Current password is incorrect' }, { status: 403 })
+    }
+
+    const admin = createAdminClient()
+    const { error } = await admin.auth.admin.updateUserById(user.id, { password: newPassword })
+    if (error) {
+      return NextResponse.json({ message: error.message }, { status: 400 })
+    }
+
+    // Revokes the refresh tokens of every other session. Their access tokens stop working when
+    // they expire; this browser carries on with the session from the re-authentication.
+    const { error: signOutError } = await admin.auth.admin.signOut(reauth.session.access_token, 'others')
+    if (signOutError) {
+      console.error('[Account] Failed to sign out other sessions:', signOutError.message)
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      message: 'Your password has been changed and your other sessions were signed out.',
+    })
+    await setSessionCookies(response, 'app', {
+      token: reauth.session.access_token,
+      refreshToken: reauth.session.refresh_token,
+    })
+    return response
+  } catch (error) {
+    console.error('[Account] Password change failed:', error)
+    return NextResponse.json({ message: 'Failed to change password' }, { status: 500 })
+  }
+}
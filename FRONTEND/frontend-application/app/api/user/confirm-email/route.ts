@@ -0,0 +1,43 @@
+import { NextResponse, type NextRequest } from 'next/server'
+import { confirmEmailRequestSchema } from '@/lib/validation/schemas'
+import { createAuthClient, endSession } from '@/lib/auth/account-server'
+import { pickClientProfile, readSession, resolveSessionUser, setSessionCookies } from '@/lib/auth/session-server'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Verify the token_hash from an email change link. Needs the "Change Email Address" template to
+ * link to {{ .RedirectTo }}?token_hash={{ .TokenHash }}&type=email_change.
+ */
+export async function POST(request: NextRequest) {
+  const parsed = confirmEmailRequestSchema.safeParse(await request.json().catch(() => ({})))
+  if (!parsed.success) {
+    return NextResponse.json({ message: 'Missing confirmation token' }, { status: 400 })
+  }
+
+  try {
+    const client = createAuthClient()
+    const { data, error } = await client.auth.verifyOtp({ token_hash: parsed.data.tokenHash, type: 'email_change' })
+    if (error || !data.user) {
+      return NextResponse.json({ message: 'This confirmation link is invalid or has expired' }, { status: 400 })
+    }
+    if (data.session) await endSession(client)
+
+    // With secure email change on, the old address has to confirm as well
+    const pending = !!data.user.new_email && data.user.new_email !== data.user.email
+    const email = data.user.email ?? null
+    const response = NextResponse.json({ success: true, pending, email })
+
+    // Keep the signed-in user's session cookie in step with the new address
+    const { token, user } = await readSession(request, 'app')
+    if (!pending && email && token && user?.id === data.user.id) {
+      const updated = await resolveSessionUser('app', token, { ...pickClientProfile(user), email })
+      if (updated) await setSessionCookies(response, 'app', { token }, updated)
+    }
+
+    return response
+  } catch (error) {
+    console.error('[Account] Email confirmation failed:', error)
+    return NextResponse.json({ message: 'Failed to confirm email change' }, { status: 500 })
+  }
+}
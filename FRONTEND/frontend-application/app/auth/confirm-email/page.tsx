@@ -0,0 +1,150 @@
+"use client"
+
+import { useEffect, useRef, useState, Suspense } from "react"
+import { useSearchParams, useRouter } from "next/navigation"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { CheckCircle, Loader2, MailCheck, XCircle } from "lucide-react"
+import { loadSession, updateSession } from "@/lib/auth/session-client"
+
+export const dynamic = 'force-dynamic'
+
+type ConfirmState =
+  | { status: "loading" }
+  | { status: "confirmed"; email: string | null }
+  | { status: "pending"; message: string }
+  | { status: "error"; message: string }
+
+async function confirmWithTokenHash(tokenHash: string): Promise<ConfirmState> {
+  const response = await fetch("/api/user/confirm-email", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "same-origin",
+    body: JSON.stringify({ tokenHash }),
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    return { status: "error", message: data.message || "Failed to confirm email change" }
+  }
+  if (data.pending) {
+    return { status: "pending", message: "Now open the confirmation link we sent to your other email address." }
+  }
+  return { status: "confirmed", email: data.email }
+}
+
+// Links from the default Supabase template carry the result in the URL fragment instead
+function readFragmentResult(): ConfirmState {
+  const params = new URLSearchParams(window.location.hash.slice(1))
+
+  const error = params.get("error_description")
+  if (error) return { status: "error", message: error.replace(/\+/g, " ") }
+
+  const message = params.get("message")
+  if (message) return { status: "pending", message: message.replace(/\+/g, " ") }
+
+  if (params.get("access_token")) return { status: "confirmed", email: null }
+
+  return { status: "error", message: "This confirmation link is incomplete. Please use the link from your email." }
+}
+
+function ConfirmEmailContent() {
+  const searchParams = useSearchParams()
+  const router = useRouter()
+  const [state, setState] = useState<ConfirmState>({ status: "loading" })
+  // Tokens are single use, so never verify twice (React strict mode runs effects twice)
+  const startedRef = useRef(false)
+
+  useEffect(() => {
+    if (startedRef.current) return
+    startedRef.current = true
+
+    const confirm = async () => {
+      const tokenHash = searchParams.get("token_hash")
+      const result = tokenHash ? await confirmWithTokenHash(tokenHash) : readFragmentResult()
+
+      // Pick up the new address in this tab if the user is signed in here
+      if (result.status === "confirmed" && (await loadSession("app"))) {
+        await updateSession("app").catch(() => null)
+      }
+      setState(result)
+    }
+
+    confirm().catch((error) => {
+      console.error("[Confirm Email] Error:", error)
+      setState({ status: "error", message: "Failed to confirm email change" })
+    })
+  }, [searchParams])
+
+  if (state.status === "loading") {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-background">
+        <Card className="w-full max-w-md">
+          <CardContent className="flex items-center justify-center py-12">
+            <Loader2 className="h-8 w-8 animate-spin" />
+          </CardContent>
+        </Card>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="text-center">
+          {state.status === "confirmed" && (
+            <>
+              <CheckCircle className="h-12 w-12 mx-auto mb-4 text-green-500" />
+              <CardTitle className="text-xl font-bold text-green-600">Email Confirmed</CardTitle>
+              <CardDescription>
+                {state.email
+                  ? `Your account email is now ${state.email}. Use it the next time you sign in.`
+                  : "Your new email address is confirmed. Use it the next time you sign in."}
+              </CardDescription>
+            </>
+          )}
+          {state.status === "pending" && (
+            <>
+              <MailCheck className="h-12 w-12 mx-auto mb-4 text-blue-500" />
+              <CardTitle className="text-xl font-bold">One More Step</CardTitle>
+              <CardDescription>{state.message}</CardDescription>
+            </>
+          )}
+          {state.status === "error" && (
+            <>
+              <XCircle className="h-12 w-12 mx-auto mb-4 text-destructive" />
+              <CardTitle className="text-xl font-bold text-destructive">Confirmation Failed</CardTitle>
+              <CardDescription>{state.message}</CardDescription>
+            </>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <Button onClick={() => router.push("/settings")} className="w-full">
+            Back to Settings
+          </Button>
+          <Button variant="outline" onClick={() => router.push("/auth")} className="w-full">
+            Go to Login
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default function ConfirmEmailPage() {
+  return (
+    <Suspense
+      fallback={
+        <div className="min-h-screen flex items-center justify-center bg-background">
+          <Card className="w-full max-w-md">
+            <CardContent className="flex items-center justify-center py-12">
+              <Loader2 className="h-8 w-8 animate-spin" />
+            </CardContent>
+          </Card>
+        </div>
+      }
+    >
+      <ConfirmEmailContent />
+    </Suspense>
+  )
+}
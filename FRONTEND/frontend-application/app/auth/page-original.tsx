@@ -11,6 +11,7 @@ import { Eye, EyeOff, Mail, Lock, User, Loader2 } from "lucide-react"
 import { useAuth } from "@/contexts/simple-auth-context"
 import { useRouter, useSearchParams } from "next/navigation"
 import { toast } from "sonner"
+import { loadSession } from "@/lib/auth/session-client"
 
 export default function AuthPage() {
   const [activeTab, setActiveTab] = useState("signin")
@@ -102,17 +103,16 @@ export default function AuthPage() {
       await signIn(signInEmail, signInPassword)
       console.log('[Auth Page] signIn completed successfully')
       
-      // Check if auth was stored
-      const storedToken = localStorage.getItem('auth_token')
-      const storedUser = localStorage.getItem('auth_user')
-      console.log('[Auth Page] After signIn - token stored:', !!storedToken, 'user stored:', !!storedUser)
+      // Check the session cookie was set
+      const session = await loadSession('app')
+      console.log('[Auth Page] After signIn - session stored:', !!session)
       
-      if (storedToken && storedUser) {
+      if (session) {
         toast.success("Login successful! Redirecting...")
         // Force a page refresh to trigger the auth check
         window.location.href = '/dashboard'
       } else {
-        throw new Error('Authentication data was not stored properly')
+        throw new Error('Session was not stored properly')
       }
     } catch (error: any) {
       console.error("[Auth Page] Sign in error:", error)
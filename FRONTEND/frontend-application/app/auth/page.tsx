@@ -11,6 +11,7 @@ import { Eye, EyeOff, Mail, Lock, User, Loader2 } from "lucide-react"
 import { useAuth } from "@/contexts/simple-auth-context"
 import { useRouter, useSearchParams } from "next/navigation"
 import { toast } from "sonner"
+import { loadSession } from "@/lib/auth/session-client"
 
 export default function AuthPage() {
   const [activeTab, setActiveTab] = useState("signin")
@@ -34,6 +35,10 @@ export default function AuthPage() {
   const router = useRouter()
   const searchParams = useSearchParams()
 
+  // Only same-origin paths, so ?redirect= can't send users off-site
+  const redirectParam = searchParams.get('redirect')
+  const redirectTarget = redirectParam?.startsWith('/') && !redirectParam.startsWith('//') ? redirectParam : null
+
   // Fix for client-side rendering: Add initialization delay
   useEffect(() => {
     // Give the auth context time to initialize
@@ -53,13 +58,13 @@ export default function AuthPage() {
       
       if (user.hasOrganization) {
         console.log("User has organization, redirecting to dashboard")
-        router.replace("/dashboard")
+        router.replace(redirectTarget ?? "/dashboard")
       } else {
         console.log("User does not have organization, redirecting to organization setup")
         router.replace("/organization-setup")
       }
     }
-  }, [user, authLoading, isRedirecting, isInitialized, router])
+  }, [user, authLoading, isRedirecting, isInitialized, redirectTarget, router])
 
   useEffect(() => {
     const verified = searchParams.get('verified')
@@ -91,16 +96,15 @@ export default function AuthPage() {
       await signIn(signInEmail, signInPassword)
       console.log('[Auth Page] signIn completed successfully')
       
-      const storedToken = localStorage.getItem('auth_token')
-      const storedUser = localStorage.getItem('auth_user')
-      console.log('[Auth Page] After signIn - token stored:', !!storedToken, 'user stored:', !!storedUser)
+      const session = await loadSession('app')
+      console.log('[Auth Page] After signIn - session stored:', !!session)
       
-      if (storedToken && storedUser) {
+      if (session) {
         toast.success("Login successful! Redirecting...")
-        // Redirect to root page to check organization status
-        window.location.href = '/'
+        // Back to the page the route guard sent us from, or root to check organization status
+        window.location.href = redirectTarget ?? '/'
       } else {
-        throw new Error('Authentication data was not stored properly')
+        throw new Error('Session was not stored properly')
       }
     } catch (error: any) {
       console.error("[Auth Page] Sign in error:", error)
@@ -8,6 +8,7 @@ import { useSidebar } from "@/contexts/sidebar-context"
 import { Loader2 } from "lucide-react"
 import { cn } from "@/lib/utils"
 import { PostHogAuthWrapper } from "@/components/posthog-auth-wrapper"
+import { SupportChat } from "@/components/support-chat"
 
 export default function ClientLayout({ children }: { children: React.ReactNode }) {
   const pathname = usePathname()
@@ -17,6 +18,12 @@ export default function ClientLayout({ children }: { children: React.ReactNode }
   const isAuthPage = pathname?.startsWith("/auth")
   const isOrganizationSetupPage = pathname === "/organization-setup"
   const isAdminPage = pathname?.startsWith("/admin")
+  const isEmbedPage = pathname?.startsWith("/embed")
+
+  // The embeddable chat widget runs inside an iframe on customer sites: no auth, no app chrome
+  if (isEmbedPage) {
+    return <main className="min-h-screen">{children}</main>
+  }
 
   if (loading) {
     return (
@@ -58,6 +65,7 @@ export default function ClientLayout({ children }: { children: React.ReactNode }
         >
           <main className="p-6 bg-gray-50">{children}</main>
         </div>
+        <SupportChat />
       </div>
     </PostHogAuthWrapper>
   )
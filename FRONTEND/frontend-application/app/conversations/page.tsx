@@ -1,14 +1,18 @@
 "use client"
 
 import { useEffect, useState, useCallback, lazy, Suspense } from "react"
-import { useSearchParams } from "next/navigation"
+import { useRouter, useSearchParams } from "next/navigation"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
 import { useAuth } from "@/contexts/simple-auth-context"
 import { apiCall } from "@/lib/api"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { useMessageStreaming } from "@/hooks/use-message-streaming"
 import { Skeleton } from "@/components/ui/skeleton"
-import { MessageSquare } from "lucide-react"
+import { List, MessageSquare, Search } from "lucide-react"
+import { ConversationSearch } from "@/components/conversations/conversation-search"
+import { getConversationHref } from "@/lib/conversations/search"
+import type { ConversationSearchResult } from "@/lib/validation/schemas"
 
 // Lazy load conversation components
 const ConversationsList = lazy(() => import("@/components/conversations/conversations-list").then(mod => ({ default: mod.ConversationsList })))
@@ -41,6 +45,7 @@ interface Message {
 
 export default function ConversationsPage() {
   const { user, getAuthHeaders } = useAuth()
+  const router = useRouter()
   const searchParams = useSearchParams()
   const initialConversationId = searchParams.get("conversationId")
 
@@ -52,6 +57,8 @@ export default function ConversationsPage() {
   const [authHeaders, setAuthHeaders] = useState<Record<string, string>>({})
   const [_loadingMessages, setLoadingMessages] = useState(false)
   const [initialMessagesLoaded, setInitialMessagesLoaded] = useState<Set<string>>(new Set())
+  const [showSearch, setShowSearch] = useState(false)
+  const [highlightMessageId, setHighlightMessageId] = useState<string | null>(searchParams.get("messageId"))
 
   // Get auth headers and store them
   useEffect(() => {
@@ -153,6 +160,7 @@ export default function ConversationsPage() {
     const conversationId = searchParams.get("conversationId")
     if (conversationId && conversations.length > 0) {
       setSelectedConversation(conversationId)
+      setHighlightMessageId(searchParams.get("messageId"))
     }
   }, [searchParams, conversations])
 
@@ -375,6 +383,21 @@ export default function ConversationsPage() {
   }
 
 
+  const handleSelectConversation = (conversationId: string) => {
+    setSelectedConversation(conversationId)
+    setHighlightMessageId(null)
+  }
+
+  const handleSelectSearchResult = (result: ConversationSearchResult) => {
+    // Handoff conversations aren't listed here, open them on /handoff instead
+    if (result.mode !== "ai") {
+      router.push(getConversationHref(result))
+      return
+    }
+    setSelectedConversation(result.conversation_id)
+    setHighlightMessageId(result.message_id)
+  }
+
   if (loading) {
     return <div className="flex items-center justify-center h-64">Loading conversations...</div>
   }
@@ -402,16 +425,30 @@ export default function ConversationsPage() {
       <div className="grid gap-6 md:grid-cols-3">
         <Card className="md:col-span-1 bg-white border-gray-200">
           <CardHeader>
-            <CardTitle>Conversations ({conversations.length})</CardTitle>
+            <div className="flex items-center justify-between">
+              <CardTitle>{showSearch ? "Search Messages" : `Conversations (${conversations.length})`}</CardTitle>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setShowSearch(!showSearch)}
+                title={showSearch ? "Back to conversations" : "Search messages"}
+              >
+                {showSearch ? <List className="h-4 w-4" /> : <Search className="h-4 w-4" />}
+              </Button>
+            </div>
           </CardHeader>
           <CardContent>
-            <Suspense fallback={<Skeleton className="h-96 w-full" />}>
-              <ConversationsList
-                conversations={conversations}
-                selectedId={selectedConversation}
-                onSelect={setSelectedConversation}
-              />
-            </Suspense>
+            {showSearch ? (
+              <ConversationSearch onSelectResult={handleSelectSearchResult} selectedMessageId={highlightMessageId} />
+            ) : (
+              <Suspense fallback={<Skeleton className="h-96 w-full" />}>
+                <ConversationsList
+                  conversations={conversations}
+                  selectedId={selectedConversation}
+                  onSelect={handleSelectConversation}
+                />
+              </Suspense>
+            )}
           </CardContent>
         </Card>
 
@@ -436,6 +473,7 @@ export default function ConversationsPage() {
                   onRefreshConversation={handleRefreshConversation}
                   onNewConversation={handleNewConversation}
                   agentId={conversations.find(c => c.id === selectedConversation)?.agentId || null}
+                  highlightMessageId={highlightMessageId}
                 />
               </Suspense>
             ) : (
@@ -0,0 +1,27 @@
+import { notFound } from "next/navigation"
+import { EmbedChat } from "@/components/embed/embed-chat"
+import { embedSettingsFromSearchParams, getAllowedParentOrigin } from "@/lib/embed"
+import { getAgentEmbedConfig } from "@/lib/embed-server"
+
+interface EmbedPageProps {
+  params: Promise<{ agentId: string }>
+  searchParams: Promise<Record<string, string | string[] | undefined>>
+}
+
+// Rendered inside the iframe injected by /embed/widget.js on customer websites.
+// middleware.ts limits which sites may frame it; this only renders for agents with the widget switched on.
+export default async function EmbedPage({ params, searchParams }: EmbedPageProps) {
+  const { agentId } = await params
+  const query = await searchParams
+  const config = await getAgentEmbedConfig(agentId)
+
+  if (!config?.enabled) notFound()
+
+  const parent = Array.isArray(query.parent) ? query.parent[0] : query.parent
+  const parentOrigin = getAllowedParentOrigin(parent, config.allowedDomains)
+  if (config.allowedDomains.length > 0 && !parentOrigin) notFound()
+
+  const settings = { ...embedSettingsFromSearchParams(query), allowedDomains: config.allowedDomains }
+
+  return <EmbedChat agentId={agentId} settings={settings} parentOrigin={parentOrigin} />
+}
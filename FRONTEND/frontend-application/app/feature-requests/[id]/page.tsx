@@ -0,0 +1,132 @@
+"use client"
+
+import Link from "next/link"
+import { useParams } from "next/navigation"
+import { format } from "date-fns"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { ArrowLeft, GitMerge, Loader2 } from "lucide-react"
+import { FeatureRequestVoteButton } from "@/components/feature-requests/feature-request-vote-button"
+import { FeatureRequestProgress } from "@/components/feature-requests/feature-request-progress"
+import { FeatureRequestComments } from "@/components/feature-requests/feature-request-comments"
+import { useAddFeatureRequestComment, useFeatureRequest } from "@/lib/queries/feature-request-queries"
+import { FEATURE_REQUEST_STATUS_COLORS, FEATURE_REQUEST_STATUS_LABELS } from "@/lib/feature-requests/portal"
+
+export default function FeatureRequestDetailPage() {
+  const params = useParams()
+  const requestId = params.id as string
+
+  const { data, isLoading, error } = useFeatureRequest(requestId)
+  const addComment = useAddFeatureRequestComment()
+
+  const backLink = (
+    <Link href="/feature-requests" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+      <ArrowLeft className="h-4 w-4 mr-1" />
+      All feature requests
+    </Link>
+  )
+
+  if (isLoading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-gray-50">
+        <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+      </div>
+    )
+  }
+
+  if (error || !data?.request) {
+    return (
+      <div className="min-h-screen bg-gray-50 px-8 py-10 lg:px-12 lg:py-12">
+        <div className="max-w-4xl mx-auto space-y-4">
+          {backLink}
+          <Card>
+            <CardContent className="py-10 text-center text-sm text-muted-foreground">
+              This feature request couldn&apos;t be found.
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    )
+  }
+
+  const { request, comments, duplicates } = data
+
+  return (
+    <div className="min-h-screen bg-gray-50 px-8 py-10 lg:px-12 lg:py-12">
+      <div className="max-w-4xl mx-auto space-y-6">
+        {backLink}
+
+        {request.merged_into_id && (
+          <div className="flex items-center justify-between gap-4 rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-900">
+            <span className="flex items-center gap-2">
+              <GitMerge className="h-4 w-4" />
+              This request was merged into
+              {request.merged_into_title ? <strong>{request.merged_into_title}</strong> : " another request"}.
+              Your vote moved with it.
+            </span>
+            <Button asChild size="sm" variant="outline">
+              <Link href={`/feature-requests/${request.merged_into_id}`}>View request</Link>
+            </Button>
+          </div>
+        )}
+
+        <Card className="bg-white">
+          <CardContent className="flex items-start gap-4 p-6">
+            <FeatureRequestVoteButton request={request} />
+            <div className="min-w-0 flex-1 space-y-3">
+              <div className="flex flex-wrap items-center gap-2">
+                <h1 className="text-2xl font-bold text-gray-900">{request.requested_feature}</h1>
+                <Badge variant="outline" className={FEATURE_REQUEST_STATUS_COLORS[request.status]}>
+                  {FEATURE_REQUEST_STATUS_LABELS[request.status]}
+                </Badge>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Submitted by {request.is_own ? "you" : request.author_name || "a customer"} on{" "}
+                {format(new Date(request.created_at), "MMM d, yyyy")}
+                {request.status_changed_at &&
+                  ` · status updated ${format(new Date(request.status_changed_at), "MMM d, yyyy")}`}
+              </p>
+              {request.reason && <p className="text-gray-700 whitespace-pre-wrap">{request.reason}</p>}
+              <div className="pt-2">
+                <FeatureRequestProgress status={request.status} />
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {duplicates.length > 0 && (
+          <Card className="bg-white">
+            <CardHeader>
+              <CardTitle className="text-base">Merged duplicates</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {duplicates.map((duplicate) => (
+                <Link
+                  key={duplicate.id}
+                  href={`/feature-requests/${duplicate.id}`}
+                  className="block text-sm text-blue-600 hover:underline"
+                >
+                  {duplicate.requested_feature}
+                </Link>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
+        <Card className="bg-white">
+          <CardHeader>
+            <CardTitle className="text-base">Discussion ({comments.length})</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <FeatureRequestComments
+              comments={comments}
+              isSubmitting={addComment.isPending}
+              onSubmit={(comment, parentId) => addComment.mutateAsync({ id: request.id, comment, parentId })}
+            />
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,160 @@
+"use client"
+
+import { useState } from "react"
+import Link from "next/link"
+import { formatDistanceToNow } from "date-fns"
+import { Card, CardContent } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Lightbulb, Loader2, MessageSquare, Plus, Search } from "lucide-react"
+import { FeatureRequestModal } from "@/components/feature-request-modal"
+import { FeatureRequestVoteButton } from "@/components/feature-requests/feature-request-vote-button"
+import { useFeatureRequests } from "@/lib/queries/feature-request-queries"
+import { useDebounce } from "@/hooks/use-debounce"
+import {
+  FEATURE_REQUEST_SORTS,
+  FEATURE_REQUEST_STATUSES,
+  FEATURE_REQUEST_STATUS_COLORS,
+  FEATURE_REQUEST_STATUS_LABELS,
+  type FeatureRequestSort,
+  type FeatureRequestStatus,
+} from "@/lib/feature-requests/portal"
+
+export default function FeatureRequestsPage() {
+  const [status, setStatus] = useState<FeatureRequestStatus | "all">("all")
+  const [sort, setSort] = useState<FeatureRequestSort>("top")
+  const [searchQuery, setSearchQuery] = useState("")
+  const [mine, setMine] = useState(false)
+  const [isSubmitOpen, setIsSubmitOpen] = useState(false)
+  const debouncedSearch = useDebounce(searchQuery, 300)
+
+  const { data: requests = [], isLoading, error } = useFeatureRequests({
+    status,
+    sort,
+    search: debouncedSearch,
+    mine,
+  })
+
+  return (
+    <div className="min-h-screen bg-gray-50 px-8 py-10 lg:px-12 lg:py-12">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Feature Requests</h1>
+            <p className="text-gray-600">
+              Vote for the ideas you want most and follow them from review to release
+            </p>
+          </div>
+          <Button onClick={() => setIsSubmitOpen(true)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Submit Idea
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="relative flex-1 min-w-[200px]">
+            <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+            <Input
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search requests..."
+              className="pl-9 bg-white"
+            />
+          </div>
+          <Select value={status} onValueChange={(value) => setStatus(value as FeatureRequestStatus | "all")}>
+            <SelectTrigger className="w-[170px] bg-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All statuses</SelectItem>
+              {FEATURE_REQUEST_STATUSES.map((value) => (
+                <SelectItem key={value} value={value}>
+                  {FEATURE_REQUEST_STATUS_LABELS[value]}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={sort} onValueChange={(value) => setSort(value as FeatureRequestSort)}>
+            <SelectTrigger className="w-[170px] bg-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {FEATURE_REQUEST_SORTS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <div className="flex items-center gap-2">
+            <Switch id="feature-requests-mine" checked={mine} onCheckedChange={setMine} />
+            <Label htmlFor="feature-requests-mine" className="text-sm">
+              Mine & voted
+            </Label>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-16">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : error ? (
+          <Card>
+            <CardContent className="py-10 text-center text-sm text-red-600">
+              Failed to load feature requests. Please try again.
+            </CardContent>
+          </Card>
+        ) : requests.length === 0 ? (
+          <Card>
+            <CardContent className="py-12 text-center">
+              <Lightbulb className="mx-auto mb-3 h-10 w-10 text-gray-300" />
+              <p className="font-medium text-gray-900">No feature requests found</p>
+              <p className="mt-1 text-sm text-muted-foreground">
+                {debouncedSearch || status !== "all" || mine
+                  ? "Try different filters, or submit the idea yourself."
+                  : "Be the first to suggest an improvement."}
+              </p>
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="space-y-3">
+            {requests.map((request) => (
+              <Link key={request.id} href={`/feature-requests/${request.id}`} className="block">
+                <Card className="bg-white transition-shadow hover:shadow-md">
+                  <CardContent className="flex items-start gap-4 p-4">
+                    <FeatureRequestVoteButton request={request} />
+                    <div className="min-w-0 flex-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <h3 className="font-medium text-gray-900">{request.requested_feature}</h3>
+                        <Badge variant="outline" className={FEATURE_REQUEST_STATUS_COLORS[request.status]}>
+                          {FEATURE_REQUEST_STATUS_LABELS[request.status]}
+                        </Badge>
+                        {request.is_own && <Badge variant="secondary">Yours</Badge>}
+                      </div>
+                      {request.reason && (
+                        <p className="mt-1 line-clamp-2 text-sm text-gray-600">{request.reason}</p>
+                      )}
+                      <div className="mt-2 flex items-center gap-4 text-xs text-muted-foreground">
+                        <span className="flex items-center gap-1">
+                          <MessageSquare className="h-3 w-3" />
+                          {request.comment_count}
+                        </span>
+                        <span>{formatDistanceToNow(new Date(request.created_at), { addSuffix: true })}</span>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <FeatureRequestModal open={isSubmitOpen} onOpenChange={setIsSubmitOpen} />
+    </div>
+  )
+}
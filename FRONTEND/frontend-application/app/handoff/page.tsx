@@ -1,7 +1,8 @@
 "use client"
 
-import { useEffect, useState, useCallback } from "react"
-import { useSearchParams } from "next/navigation"
+import { useEffect, useState, useCallback, useRef } from "react"
+import { useRouter, useSearchParams } from "next/navigation"
+import Link from "next/link"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
@@ -14,12 +15,25 @@ import {
   HandHeart,
   RotateCcw,
   Eye,
-  Building
+  Building,
+  Route,
+  Timer,
+  TrendingUp,
+  Search,
+  List
 } from "lucide-react"
 import { useAuth } from "@/contexts/simple-auth-context"
+import { usePermission } from "@/hooks/use-permission"
 import { apiCall } from "@/lib/api"
 import { toast } from "sonner"
 import { useMessageStreaming } from "@/hooks/use-message-streaming"
+import { useNow } from "@/hooks/use-now"
+import { SlaCountdown } from "@/components/human-in-loop/sla-countdown"
+import { PresenceAvatar } from "@/components/presence/presence-avatar"
+import { formatDurationSeconds, getAverageResponseTime } from "@/lib/handoff/sla"
+import { ConversationSearch } from "@/components/conversations/conversation-search"
+import { getConversationHref } from "@/lib/conversations/search"
+import type { ConversationSearchResult } from "@/lib/validation/schemas"
 
 interface HandoffConversation {
   id: string
@@ -32,6 +46,13 @@ interface HandoffConversation {
   handoffReason?: string
   assignedAgent?: string
   assignedAgentName?: string
+  routingReason?: string
+  requestedAt?: string
+  acceptDueAt?: string
+  resolveDueAt?: string
+  assignedAt?: string
+  escalatedAt?: string
+  escalationCount?: number
   source?: string
   classification?: string
 }
@@ -45,6 +66,7 @@ interface Message {
 
 export default function HandoffPage() {
   const { user, canAccessHumanDashboard, getAuthHeaders } = useAuth()
+  const router = useRouter()
   const searchParams = useSearchParams()
   const initialConversationId = searchParams.get("conversationId")
 
@@ -58,6 +80,10 @@ export default function HandoffPage() {
   const [initialMessagesLoaded, setInitialMessagesLoaded] = useState<Set<string>>(new Set())
   const [viewMode, setViewMode] = useState<'personal' | 'organization'>('personal')
   const [transferring, setTransferring] = useState<string | null>(null)
+  const [showSearch, setShowSearch] = useState(false)
+  const [highlightMessageId, setHighlightMessageId] = useState<string | null>(searchParams.get("messageId"))
+  const messagesContainerRef = useRef<HTMLDivElement>(null)
+  const now = useNow()
 
   // Access control with debug logging
   console.log("[Handoff] Access Control Debug:", {
@@ -70,15 +96,16 @@ export default function HandoffPage() {
     timestamp: new Date().toISOString()
   })
 
-  // Determine if user is admin (can see organization view)
-  const isAdmin = user?.role === 'admin' || user?.role === 'moderator'
+  // Members who can take over any conversation also get the organization view
+  const canManageAllHandoffs = usePermission('handoff.transfer_any')
+  const canManageHandoffs = usePermission('handoff.manage')
 
-  // Auto-set view mode based on user role
+  // Auto-set view mode based on permissions
   useEffect(() => {
-    if (user && !isAdmin) {
+    if (user && !canManageAllHandoffs) {
       setViewMode('personal')
     }
-  }, [user, isAdmin])
+  }, [user, canManageAllHandoffs])
 
   // Get auth headers and store them
   useEffect(() => {
@@ -129,9 +156,18 @@ export default function HandoffPage() {
     const conversationId = searchParams.get("conversationId")
     if (conversationId && handoffConversations.length > 0) {
       setSelectedConversation(conversationId)
+      setHighlightMessageId(searchParams.get("messageId"))
     }
   }, [searchParams, handoffConversations])
 
+  // Bring a message picked from search into view once it has loaded
+  useEffect(() => {
+    if (!highlightMessageId) return
+    messagesContainerRef.current
+      ?.querySelector(`[data-message-id="${CSS.escape(highlightMessageId)}"]`)
+      ?.scrollIntoView({ block: "center" })
+  }, [highlightMessageId, loadingMessages])
+
   useEffect(() => {
     if (selectedConversation && !initialMessagesLoaded.has(selectedConversation)) {
       setMessages([])
@@ -204,6 +240,13 @@ export default function HandoffPage() {
         handoffReason: conversation.handoff_details?.reason || "Human assistance requested",
         assignedAgent: conversation.assigned_human_agent_id,
         assignedAgentName: conversation.assigned_agent_name,
+        routingReason: conversation.handoff_details?.routing_reason,
+        requestedAt: conversation.handoff_details?.requested_at,
+        acceptDueAt: conversation.handoff_details?.accept_due_at,
+        resolveDueAt: conversation.handoff_details?.resolve_due_at,
+        assignedAt: conversation.handoff_details?.assigned_at,
+        escalatedAt: conversation.handoff_details?.escalated_at,
+        escalationCount: conversation.handoff_details?.escalation_count || 0,
         source: conversation.source || "web",
         classification: "warm",
         leadInfo: conversation.lead_info,
@@ -219,6 +262,16 @@ export default function HandoffPage() {
     }
   }
 
+  const handleSelectSearchResult = (result: ConversationSearchResult) => {
+    // Conversations still with the AI are handled on /conversations
+    if (result.mode === "ai") {
+      router.push(getConversationHref(result))
+      return
+    }
+    setSelectedConversation(result.conversation_id)
+    setHighlightMessageId(result.message_id)
+  }
+
   const handleTransferToAI = async (conversationId: string) => {
     if (!conversationId) return
 
@@ -251,7 +304,7 @@ export default function HandoffPage() {
   }
 
   const canTransferConversation = (_conversation: HandoffConversation) => {
-    if (isAdmin) return true // Admins can transfer any conversation
+    if (canManageAllHandoffs) return true
     if (viewMode === 'personal') return true // In personal view, user can only see their own conversations
     return false
   }
@@ -286,6 +339,10 @@ export default function HandoffPage() {
     }
   }
 
+  const averageResponseTime = getAverageResponseTime(
+    handoffConversations.map((c) => ({ requested_at: c.requestedAt, assigned_at: c.assignedAt }))
+  )
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case "pending": return "bg-yellow-100 text-yellow-800"
@@ -361,82 +418,160 @@ export default function HandoffPage() {
           </div>
           <p className="text-gray-600 ml-10">Handle complex inquiries requiring human agent assistance</p>
         </div>
-        {isAdmin && (
-          <div className="flex items-center space-x-2">
-            <Badge variant="outline" className="text-sm">
-              {viewMode === 'personal' ? (
-                <><User className="h-3 w-3 mr-1" /> Personal View</>
-              ) : (
-                <><Building className="h-3 w-3 mr-1" /> Organization View</>
-              )}
-            </Badge>
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={() => setViewMode(viewMode === 'personal' ? 'organization' : 'personal')}
-            >
-              <Eye className="h-4 w-4 mr-2" />
-              Switch to {viewMode === 'personal' ? 'Organization' : 'Personal'}
-            </Button>
-          </div>
-        )}
+        <div className="flex items-center space-x-2">
+          {canManageAllHandoffs && (
+            <>
+              <Badge variant="outline" className="text-sm">
+                {viewMode === 'personal' ? (
+                  <><User className="h-3 w-3 mr-1" /> Personal View</>
+                ) : (
+                  <><Building className="h-3 w-3 mr-1" /> Organization View</>
+                )}
+              </Badge>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setViewMode(viewMode === 'personal' ? 'organization' : 'personal')}
+              >
+                <Eye className="h-4 w-4 mr-2" />
+                Switch to {viewMode === 'personal' ? 'Organization' : 'Personal'}
+              </Button>
+            </>
+          )}
+          {canManageHandoffs && (
+            <>
+              <Button variant="outline" size="sm" asChild>
+                <Link href="/handoff/sla">
+                  <Timer className="h-4 w-4 mr-2" />
+                  SLAs
+                </Link>
+              </Button>
+              <Button variant="outline" size="sm" asChild>
+                <Link href="/handoff/routing">
+                  <Route className="h-4 w-4 mr-2" />
+                  Routing
+                </Link>
+              </Button>
+            </>
+          )}
+        </div>
       </div>
 
       <div className="grid gap-6 md:grid-cols-3">
         <Card className="md:col-span-1 bg-white border-gray-200">
           <CardHeader>
-            <CardTitle>Handoff Queue ({handoffConversations.length})</CardTitle>
+            <div className="flex items-center justify-between">
+              <CardTitle>{showSearch ? "Search Messages" : `Handoff Queue (${handoffConversations.length})`}</CardTitle>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setShowSearch(!showSearch)}
+                title={showSearch ? "Back to the queue" : "Search messages"}
+              >
+                {showSearch ? <List className="h-4 w-4" /> : <Search className="h-4 w-4" />}
+              </Button>
+            </div>
+            {!showSearch && averageResponseTime > 0 && (
+              <p className="flex items-center text-xs text-muted-foreground">
+                <TrendingUp className="h-3 w-3 mr-1" />
+                Avg. response {formatDurationSeconds(averageResponseTime)}
+              </p>
+            )}
           </CardHeader>
           <CardContent>
-            <div className="space-y-4">
-              {handoffConversations.map((conversation) => (
-                <div
-                  key={conversation.id}
-                  className={`p-4 border rounded-lg cursor-pointer transition-colors ${
-                    selectedConversation === conversation.id
-                      ? "border-blue-500 bg-blue-50"
-                      : "border-gray-200 hover:border-gray-300"
-                  }`}
-                  onClick={() => setSelectedConversation(conversation.id)}
-                >
-                  <div className="flex items-start justify-between mb-2">
-                    <h3 className="font-medium text-sm truncate">{conversation.leadName}</h3>
-                    <Badge variant="outline" className={`text-xs ${getPriorityColor(conversation.priority)}`}>
-                      {conversation.priority}
-                    </Badge>
+            {showSearch ? (
+              <ConversationSearch onSelectResult={handleSelectSearchResult} selectedMessageId={highlightMessageId} />
+            ) : (
+              <div className="space-y-4">
+                {handoffConversations.map((conversation) => (
+                  <div
+                    key={conversation.id}
+                    className={`p-4 border rounded-lg cursor-pointer transition-colors ${
+                      selectedConversation === conversation.id
+                        ? "border-blue-500 bg-blue-50"
+                        : "border-gray-200 hover:border-gray-300"
+                    }`}
+                    onClick={() => {
+                      setSelectedConversation(conversation.id)
+                      setHighlightMessageId(null)
+                    }}
+                  >
+                    <div className="flex items-start justify-between mb-2">
+                      <h3 className="font-medium text-sm truncate">{conversation.leadName}</h3>
+                      <Badge variant="outline" className={`text-xs ${getPriorityColor(conversation.priority)}`}>
+                        {conversation.priority}
+                      </Badge>
+                    </div>
+                    <p className="text-xs text-muted-foreground mb-2 line-clamp-2">
+                      {conversation.lastMessage}
+                    </p>
+                    <div className="flex items-center justify-between text-xs text-muted-foreground">
+                      <span>{conversation.source}</span>
+                      <span>{new Date(conversation.lastMessageAt).toLocaleDateString()}</span>
+                    </div>
+                    {conversation.requestedAt && conversation.status !== 'resolved' && (
+                      <div className="flex flex-wrap items-center gap-1 mt-2">
+                        {conversation.status === 'pending'
+                          ? conversation.acceptDueAt && (
+                              <SlaCountdown
+                                requestedAt={conversation.requestedAt}
+                                dueAt={conversation.acceptDueAt}
+                                now={now}
+                              />
+                            )
+                          : conversation.resolveDueAt && (
+                              <SlaCountdown
+                                label="Resolve"
+                                requestedAt={conversation.requestedAt}
+                                dueAt={conversation.resolveDueAt}
+                                now={now}
+                              />
+                            )}
+                        {conversation.escalatedAt && (
+                          <Badge variant="outline" className="text-xs bg-red-100 text-red-800">
+                            Escalated{conversation.escalationCount && conversation.escalationCount > 1 ? ` ×${conversation.escalationCount}` : ''}
+                          </Badge>
+                        )}
+                      </div>
+                    )}
+                    {conversation.handoffReason && (
+                      <p className="text-xs text-blue-600 mt-1 font-medium">
+                        Reason: {conversation.handoffReason}
+                      </p>
+                    )}
+                    {conversation.assignedAgentName && viewMode === 'organization' && (
+                      <div className="flex items-center gap-2 mt-1">
+                        <PresenceAvatar
+                          userId={conversation.assignedAgent}
+                          name={conversation.assignedAgentName}
+                          className="scale-90"
+                        />
+                        <p className="text-xs text-green-600">
+                          Assigned to: {conversation.assignedAgentName}
+                        </p>
+                      </div>
+                    )}
+                    {conversation.status === 'assigned' && viewMode === 'personal' && (
+                      <p className="text-xs text-green-600 mt-1">
+                        Assigned to you
+                      </p>
+                    )}
+                    {conversation.routingReason && (
+                      <p className="text-xs text-muted-foreground mt-1">
+                        Auto-assigned: {conversation.routingReason}
+                      </p>
+                    )}
                   </div>
-                  <p className="text-xs text-muted-foreground mb-2 line-clamp-2">
-                    {conversation.lastMessage}
-                  </p>
-                  <div className="flex items-center justify-between text-xs text-muted-foreground">
-                    <span>{conversation.source}</span>
-                    <span>{new Date(conversation.lastMessageAt).toLocaleDateString()}</span>
+                ))}
+                {handoffConversations.length === 0 && (
+                  <div className="text-center py-8 text-muted-foreground">
+                    <HandHeart className="h-12 w-12 mx-auto mb-2 opacity-50" />
+                    <p className="text-sm">No handoff conversations</p>
+                    <p className="text-xs">Conversations requiring human assistance will appear here</p>
                   </div>
-                  {conversation.handoffReason && (
-                    <p className="text-xs text-blue-600 mt-1 font-medium">
-                      Reason: {conversation.handoffReason}
-                    </p>
-                  )}
-                  {conversation.assignedAgentName && viewMode === 'organization' && (
-                    <p className="text-xs text-green-600 mt-1">
-                      Assigned to: {conversation.assignedAgentName}
-                    </p>
-                  )}
-                  {conversation.status === 'assigned' && viewMode === 'personal' && (
-                    <p className="text-xs text-green-600 mt-1">
-                      Assigned to you
-                    </p>
-                  )}
-                </div>
-              ))}
-              {handoffConversations.length === 0 && (
-                <div className="text-center py-8 text-muted-foreground">
-                  <HandHeart className="h-12 w-12 mx-auto mb-2 opacity-50" />
-                  <p className="text-sm">No handoff conversations</p>
-                  <p className="text-xs">Conversations requiring human assistance will appear here</p>
-                </div>
-              )}
-            </div>
+                )}
+              </div>
+            )}
           </CardContent>
         </Card>
 
@@ -468,7 +603,7 @@ export default function HandoffPage() {
           <CardContent>
             {selectedConversation ? (
               <div className="space-y-4">
-                <div className="h-96 border rounded-lg p-4 overflow-y-auto bg-gray-50">
+                <div ref={messagesContainerRef} className="h-96 border rounded-lg p-4 overflow-y-auto bg-gray-50">
                   {loadingMessages ? (
                     <div className="flex items-center justify-center h-full">
                       <Loader2 className="h-6 w-6 animate-spin" />
@@ -476,12 +611,12 @@ export default function HandoffPage() {
                   ) : messages.length > 0 ? (
                     <div className="space-y-4">
                       {messages.map((message) => (
-                        <div key={message.id} className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'}`}>
+                        <div key={message.id} data-message-id={message.id} className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'}`}>
                           <div className={`max-w-xs px-4 py-2 rounded-lg ${
                             message.sender === 'user' 
                               ? 'bg-blue-500 text-white' 
                               : 'bg-white border'
-                          }`}>
+                          } ${message.id === highlightMessageId ? 'ring-2 ring-yellow-400' : ''}`}>
                             <p className="text-sm">{message.content}</p>
                             <p className="text-xs opacity-70 mt-1">
                               {new Date(message.timestamp).toLocaleTimeString()}
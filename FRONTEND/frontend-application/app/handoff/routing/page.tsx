@@ -0,0 +1,127 @@
+"use client"
+
+import { useState } from "react"
+import Link from "next/link"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Button } from "@/components/ui/button"
+import { AlertTriangle, ArrowLeft, History, Loader2, Route, Users } from "lucide-react"
+import { usePermission } from "@/hooks/use-permission"
+import { RoutingStrategySettings } from "@/components/human-in-loop/routing-strategy-settings"
+import { RoutingAgentsTable } from "@/components/human-in-loop/routing-agents-table"
+import { RoutingAuditLog } from "@/components/human-in-loop/routing-audit-log"
+import {
+  useHandoffRoutingAgents,
+  useHandoffRoutingSettings,
+  useUpdateHandoffRoutingAgent,
+  useUpdateHandoffRoutingSettings,
+} from "@/lib/queries/human-in-loop-queries"
+import { getRoutingExclusion, type HandoffRoutingProfileUpdate } from "@/lib/handoff/routing"
+import { handoffRoutingSettingsSchema } from "@/lib/validation/schemas"
+import { usePresence } from "@/contexts/presence-context"
+
+const DEFAULT_ROUTING_SETTINGS = handoffRoutingSettingsSchema.parse({})
+
+export default function HandoffRoutingPage() {
+  const canManageHandoffs = usePermission("handoff.manage")
+
+  const { data: settings = DEFAULT_ROUTING_SETTINGS, isLoading: settingsLoading } = useHandoffRoutingSettings()
+  const { data: agents = [], isLoading: agentsLoading } = useHandoffRoutingAgents()
+  const updateSettings = useUpdateHandoffRoutingSettings()
+  const updateAgent = useUpdateHandoffRoutingAgent()
+  const [savingAgentId, setSavingAgentId] = useState<string | null>(null)
+  const { getStatus } = usePresence()
+
+  const handleUpdateAgent = async (id: string, data: HandoffRoutingProfileUpdate) => {
+    setSavingAgentId(id)
+    try {
+      await updateAgent.mutateAsync({ id, data })
+    } finally {
+      setSavingAgentId(null)
+    }
+  }
+
+  if (!canManageHandoffs) {
+    return (
+      <div className="p-6">
+        <Alert>
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>You need the &ldquo;Manage routing and SLAs&rdquo; permission to change handoff routing.</AlertDescription>
+        </Alert>
+      </div>
+    )
+  }
+
+  if (settingsLoading || agentsLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="h-6 w-6 animate-spin" />
+      </div>
+    )
+  }
+
+  const inRotation = agents.filter(
+    (agent) => !getRoutingExclusion({ ...agent, status: getStatus(agent.user_id) }, settings)
+  ).length
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <Route className="h-8 w-8 text-blue-600" />
+            <h1 className="text-3xl font-bold tracking-tight text-gray-900">Handoff Routing</h1>
+          </div>
+          <p className="text-gray-600 ml-10">Automatically assign handoffs to the right human agent</p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/handoff">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Handoffs
+          </Link>
+        </Button>
+      </div>
+
+      <RoutingStrategySettings
+        settings={settings}
+        saving={updateSettings.isPending}
+        onSave={(data) => updateSettings.mutate(data)}
+      />
+
+      <Card className="bg-white border-gray-200">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Users className="h-5 w-5 text-blue-600" />
+            Human Agents
+          </CardTitle>
+          <CardDescription>
+            {settings.strategy === "manual"
+              ? "Automatic routing is off; agents accept handoffs from the queue"
+              : `${inRotation} of ${agents.length} agents can receive the next handoff`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <RoutingAgentsTable
+            agents={agents}
+            settings={settings}
+            savingId={savingAgentId}
+            onUpdate={handleUpdateAgent}
+          />
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white border-gray-200">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <History className="h-5 w-5 text-blue-600" />
+            Routing Audit
+          </CardTitle>
+          <CardDescription>Why each handoff went to whom, and which agents were skipped</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <RoutingAuditLog agents={agents} />
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
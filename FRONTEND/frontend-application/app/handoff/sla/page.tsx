@@ -0,0 +1,109 @@
+"use client"
+
+import { useState } from "react"
+import Link from "next/link"
+import { addDays, endOfDay, startOfDay } from "date-fns"
+import type { DateRange } from "react-day-picker"
+import { DateRangePicker } from "@/components/date-range-picker"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Button } from "@/components/ui/button"
+import { Skeleton } from "@/components/ui/skeleton"
+import { AlertTriangle, ArrowLeft, BarChart3, Loader2, Timer } from "lucide-react"
+import { usePermission } from "@/hooks/use-permission"
+import { SlaPolicySettings } from "@/components/human-in-loop/sla-policy-settings"
+import { SlaComplianceReport } from "@/components/human-in-loop/sla-compliance-report"
+import {
+  useHandoffSlaPolicy,
+  useHandoffSlaReport,
+  useUpdateHandoffSlaPolicy,
+} from "@/lib/queries/human-in-loop-queries"
+import { handoffSlaPolicySchema } from "@/lib/validation/schemas"
+
+const DEFAULT_SLA_POLICY = handoffSlaPolicySchema.parse({})
+
+export default function HandoffSlaPage() {
+  const canManageHandoffs = usePermission("handoff.manage")
+
+  const [dateRange, setDateRange] = useState<DateRange | undefined>({
+    from: addDays(new Date(), -29),
+    to: new Date(),
+  })
+
+  const from = dateRange?.from ?? addDays(new Date(), -29)
+  const to = dateRange?.to ?? from
+
+  const { data: policy = DEFAULT_SLA_POLICY, isLoading: policyLoading } = useHandoffSlaPolicy()
+  const updatePolicy = useUpdateHandoffSlaPolicy()
+  const { data: report, isLoading: reportLoading, error: reportError } = useHandoffSlaReport({
+    start: startOfDay(from).toISOString(),
+    end: endOfDay(to).toISOString(),
+  })
+
+  if (!canManageHandoffs) {
+    return (
+      <div className="p-6">
+        <Alert>
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>You need the &ldquo;Manage routing and SLAs&rdquo; permission to manage handoff SLAs.</AlertDescription>
+        </Alert>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <Timer className="h-8 w-8 text-blue-600" />
+            <h1 className="text-3xl font-bold tracking-tight text-gray-900">Handoff SLAs</h1>
+          </div>
+          <p className="text-gray-600 ml-10">Response targets, escalation and compliance per human agent</p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/handoff">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Handoffs
+          </Link>
+        </Button>
+      </div>
+
+      {policyLoading ? (
+        <div className="flex items-center justify-center h-32">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ) : (
+        <SlaPolicySettings
+          policy={policy}
+          saving={updatePolicy.isPending}
+          onSave={(data) => updatePolicy.mutate(data)}
+        />
+      )}
+
+      <Card className="bg-white border-gray-200">
+        <CardHeader className="flex flex-col gap-4 lg:flex-row lg:items-center lg:justify-between space-y-0">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <BarChart3 className="h-5 w-5 text-blue-600" />
+              SLA Compliance
+            </CardTitle>
+            <CardDescription>Measured against the targets in effect when each handoff was requested</CardDescription>
+          </div>
+          <DateRangePicker date={dateRange} onDateChange={setDateRange} />
+        </CardHeader>
+        <CardContent>
+          {reportError ? (
+            <Alert variant="destructive">
+              <AlertDescription>Failed to load the SLA report</AlertDescription>
+            </Alert>
+          ) : reportLoading || !report ? (
+            <Skeleton className="h-64 w-full" />
+          ) : (
+            <SlaComplianceReport report={report} />
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -1,17 +1,17 @@
 "use client"
 
 import { useState } from "react"
+import { useRouter } from "next/navigation"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "@/components/ui/accordion"
 import { BookOpen, Lightbulb, AlertCircle, ExternalLink, Mail, TrendingUp } from "lucide-react"
 import { IssueReportModal } from "@/components/issue-report-modal"
-import { FeatureRequestModal } from "@/components/feature-request-modal"
 import { toast } from "sonner"
 
 export default function HelpPage() {
   const [isIssueModalOpen, setIsIssueModalOpen] = useState(false)
-  const [isFeatureModalOpen, setIsFeatureModalOpen] = useState(false)
+  const router = useRouter()
 
   const handleCardClick = (destination: string) => {
     switch (destination) {
@@ -20,8 +20,8 @@ export default function HelpPage() {
         window.open('https://docs.yourapp.com', '_blank')
         break
       case '/feature-request':
-        // Open feature request modal
-        setIsFeatureModalOpen(true)
+        // Browse, vote on and submit requests on the portal
+        router.push('/feature-requests')
         break
       case '/report-issue':
         // Open issue report modal
@@ -71,7 +71,7 @@ export default function HelpPage() {
             </div>
             <CardTitle className="mt-4">Request Feature</CardTitle>
             <CardDescription>
-              Suggest new features and improvements - Help shape the future of our platform
+              Suggest new features and vote on ideas from other customers - Help shape the future of our platform
             </CardDescription>
           </CardHeader>
         </Card>
@@ -186,12 +186,6 @@ export default function HelpPage() {
         open={isIssueModalOpen} 
         onOpenChange={setIsIssueModalOpen} 
       />
-
-      {/* Feature Request Modal */}
-      <FeatureRequestModal 
-        open={isFeatureModalOpen} 
-        onOpenChange={setIsFeatureModalOpen} 
-      />
     </div>
   )
 }
\ No newline at end of file
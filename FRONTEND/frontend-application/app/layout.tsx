@@ -8,6 +8,8 @@ import { TooltipProvider } from "@/components/ui/tooltip"
 import { SettingsProvider } from "@/contexts/settings-context"
 import { SimpleAuthProvider as AuthProvider } from "@/contexts/simple-auth-context"
 import { SidebarProvider } from "@/contexts/sidebar-context"
+import { PresenceProvider } from "@/contexts/presence-context"
+import { NotificationToaster } from "@/components/notifications/notification-toaster"
 import { QueryProvider } from "@/lib/queries/query-provider"
 import ClientLayout from "./clientLayout"
 import dynamic from "next/dynamic"
@@ -35,12 +37,15 @@ export default function RootLayout({
             <AuthProvider>
               <QueryProvider>
                 <SettingsProvider>
-                  <SidebarProvider>
-                    <TooltipProvider delayDuration={0}>
-                      <ClientLayout>{children}</ClientLayout>
-                      <Toaster />
-                    </TooltipProvider>
-                  </SidebarProvider>
+                  <PresenceProvider>
+                    <SidebarProvider>
+                      <TooltipProvider delayDuration={0}>
+                        <ClientLayout>{children}</ClientLayout>
+                        <Toaster />
+                        <NotificationToaster />
+                      </TooltipProvider>
+                    </SidebarProvider>
+                  </PresenceProvider>
                 </SettingsProvider>
               </QueryProvider>
             </AuthProvider>
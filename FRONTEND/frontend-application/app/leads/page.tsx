@@ -1,14 +1,35 @@
 "use client"
 
-import { useEffect, useState } from "react"
+import { useEffect, useMemo, useState } from "react"
+import { usePathname, useRouter, useSearchParams } from "next/navigation"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { useAuth } from "@/contexts/simple-auth-context"
+import { usePermission } from "@/hooks/use-permission"
 import { apiCall } from "@/lib/api"
 import { LeadsTable } from "@/components/leads/leads-table"
 import { LeadsFilters } from "@/components/leads/leads-filters"
+import { LeadsPipelineBoard } from "@/components/leads/leads-pipeline-board"
+import { LeadDetailsModal } from "@/components/leads/lead-details-modal"
+import { LeadExportButton } from "@/components/leads/lead-export-button"
+import { LeadImportWizard } from "@/components/leads/lead-import-wizard"
+import { LeadsPagination } from "@/components/leads/leads-pagination"
+import { LeadSegmentsBar } from "@/components/leads/lead-segments-bar"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Button } from "@/components/ui/button"
-import { Users2 } from "lucide-react"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { Users2, Table2, Columns3 } from "lucide-react"
+import { useLeads, usePipelineLeads, useUpdateLeadStatus } from "@/lib/queries/lead-queries"
+import { normalizeLeadStatus, type LeadStatus } from "@/lib/leads/pipeline"
+import {
+  getLeadListTotalPages,
+  getSortForSearchChange,
+  leadListParamsFromSearchParams,
+  leadListParamsToSearchParams,
+  type LeadListFilters,
+  type LeadListParams,
+  type LeadSortField,
+} from "@/lib/leads/query"
+import { summarizeLeadSearchResults } from "@/lib/leads/search"
 
 interface Lead {
   id: string
@@ -16,6 +37,7 @@ interface Lead {
   email: string
   phone: string
   classification: "cold" | "warm" | "hot" | "priority"
+  status: LeadStatus
   assignedAgent: {
     id: string
     name: string
@@ -30,171 +52,97 @@ interface Agent {
   email: string
 }
 
+// Flatten the API lead shape into what the table and board render
+function transformLead(lead: any, agentMap: Record<string, string>, index: number): Lead {
+  const agentName = lead.agent_name || agentMap[lead.agent_id] || "Unknown Agent"
+
+  return {
+    id: lead.id || `lead-${index}`,
+    name: lead.name || lead.full_name || "Unknown Lead",
+    email: lead.email || lead.email_address || "No email provided",
+    phone: lead.phone || lead.phone_number || lead.mobile_number || lead.mobile || "No phone provided",
+    classification: lead.classification || lead.lead_classification || lead.priority || "warm",
+    status: normalizeLeadStatus(lead.status),
+    assignedAgent:
+      lead.assignedAgent ||
+      lead.assigned_agent ||
+      (lead.agent_id
+        ? {
+            id: lead.agent_id,
+            name: agentName,
+          }
+        : null),
+    createdAt: lead.createdAt || lead.created_at || new Date().toISOString(),
+    source: lead.source || lead.lead_source || lead.conversations?.source || "Unknown",
+  }
+}
+
 export default function LeadsPage() {
   const { user, loading: authLoading, getAuthHeaders } = useAuth()
-  const [allLeads, setAllLeads] = useState<Lead[]>([]) // Store all leads for local filtering
-  const [searchResults, setSearchResults] = useState<Lead[]>([]) // Store search results
-  const [displayedLeads, setDisplayedLeads] = useState<Lead[]>([]) // Leads to display after filtering
+  const canAssignLeads = usePermission("leads.assign")
+  const canEditLeads = usePermission("leads.edit")
+  const router = useRouter()
+  const pathname = usePathname()
+  const searchParams = useSearchParams()
   const [agents, setAgents] = useState<Agent[]>([])
-  const [rawLeads, setRawLeads] = useState<any[]>([]); // Store raw leads for transformation after agents are loaded
-  const [loading, setLoading] = useState(true)
-  const [searching, setSearching] = useState(false)
-  const [error, setError] = useState<string | null>(null)
-  const [filters, setFilters] = useState({
-    classification: "all",
-    agent: "all",
-    search: "",
-  })
+  const [view, setView] = useState<"table" | "board">("table")
+  const [selectedLeadId, setSelectedLeadId] = useState<string | null>(null)
+  const updateLeadStatus = useUpdateLeadStatus()
+
+  // Filters, sort and page live in the URL so a view can be bookmarked or shared
+  const params = useMemo(
+    () => leadListParamsFromSearchParams(new URLSearchParams(searchParams.toString())),
+    [searchParams]
+  )
+  const filters: LeadListFilters = useMemo(
+    () => ({
+      classification: params.classification,
+      agent: params.agent,
+      search: params.search,
+    }),
+    [params.classification, params.agent, params.search]
+  )
+
+  const {
+    data: leadsResponse,
+    isLoading: loading,
+    isFetching,
+    error: leadsError,
+    refetch,
+  } = useLeads(params, { enabled: !authLoading && !!user })
+  const {
+    data: pipelineResponse,
+    isLoading: pipelineLoading,
+    error: pipelineError,
+  } = usePipelineLeads(params, { enabled: !authLoading && !!user && view === "board" })
 
   useEffect(() => {
     if (!authLoading && user) {
-      fetchLeads()
       fetchAgents()
     }
   }, [user, authLoading])
 
-  // Apply filters whenever filters change or data changes
-  useEffect(() => {
-    applyFilters()
-  }, [filters.classification, filters.agent, allLeads, searchResults, filters.search])
-
-  // Transform leads after both agents and rawLeads are loaded
-  useEffect(() => {
-    console.log("[LEADS DEBUG] Transform check:", { 
-      agentsLength: agents.length, 
-      rawLeadsLength: rawLeads.length,
-      agents,
-      rawLeads: rawLeads.slice(0, 2) // First 2 for debugging
-    })
-    
-    // Transform leads even if no agents are loaded (some leads might not have agents)
-    if (rawLeads.length > 0) {
-      const agentMap = Object.fromEntries(agents.map(a => [a.id, a.name]));
-      console.log('[LEADS] agentMap:', agentMap);
-      // Log all agent IDs and their types
-      agents.forEach(a => console.log('[LEADS] Agent array id:', a.id, 'type:', typeof a.id));
-      rawLeads.forEach((lead: any, idx: number) => {
-        if (lead.agent_id) {
-          console.log('[LEADS] Lead', idx, 'agent_id:', lead.agent_id, 'type:', typeof lead.agent_id);
-        }
-      });
-      const transformedLeads = rawLeads.map((lead: any, index: number) => {
-        let agentName = lead.agent_name || agentMap[lead.agent_id] || "Unknown Agent";
-        if (lead.agent_id) {
-          console.log(`[LEADS] Looking up agentId:`, lead.agent_id, '=>', agentMap[lead.agent_id]);
-        }
-        if (lead.agent_id && agentMap[lead.agent_id]) {
-          console.log(`[LEADS] Found agent for lead:`, { agentId: lead.agent_id, agentName });
-        }
-        
-        // Debug source values
-        console.log(`[LEADS] Lead ${index} source values:`, {
-          lead_source: lead.lead_source,
-          source: lead.source,
-          conversations_source: lead.conversations?.source,
-          final_source: lead.source || lead.lead_source || lead.conversations?.source || "Unknown"
-        });
-        
-        return {
-          id: lead.id || `lead-${index}`,
-          name: lead.name || lead.full_name || lead.firstName + " " + lead.lastName || "Unknown Lead",
-          email: lead.email || lead.email_address || "No email provided",
-          phone: lead.phone || lead.phone_number || lead.mobile_number || lead.mobile || "No phone provided",
-          classification: lead.classification || lead.lead_classification || lead.priority || lead.status || "warm",
-          assignedAgent:
-            lead.assignedAgent ||
-            lead.assigned_agent ||
-            (lead.agent_id
-              ? {
-                  id: lead.agent_id,
-                  name: agentName,
-                }
-              : null),
-          createdAt: lead.createdAt || lead.created_at || new Date().toISOString(),
-          source: lead.source || lead.lead_source || lead.conversations?.source || "Unknown",
-        }
-      });
-      console.log("Transformed leads:", transformedLeads);
-      setAllLeads(transformedLeads);
-    }
-  }, [agents, rawLeads]);
-
-  const fetchLeads = async (searchTerm?: string) => {
-    try {
-      setError(null)
-
-      // Only set searching state for actual search operations, not initial load
-      if (searchTerm !== undefined) {
-        setSearching(true)
-      } else if (!loading) {
-        setSearching(true)
-      }
-
-      const authHeaders = await getAuthHeaders()
-
-      console.log("Fetching leads from /api/leads...")
-
-      // Build the API URL with search parameter if provided
-      let apiUrl = "/api/leads"
-      if (searchTerm && searchTerm.trim()) {
-        apiUrl += `?search=${encodeURIComponent(searchTerm.trim())}`
-        console.log("Searching leads with term:", searchTerm)
-      }
-
-      let response
-      try {
-        response = await apiCall(apiUrl, {
-          headers: authHeaders,
-        })
-      } catch (leadsError) {
-        console.log("Leads endpoint failed, this might be expected if no leads exist yet")
-        setAllLeads([])
-        setSearchResults([])
-        setDisplayedLeads([])
-        return
-      }
-
-      console.log("Raw leads response:", response)
-
-      // Handle the nested response structure
-      let leadsData = []
-      if (response && response.leads && Array.isArray(response.leads)) {
-        leadsData = response.leads
-      } else if (Array.isArray(response)) {
-        leadsData = response
-      } else if (response && response.data && Array.isArray(response.data)) {
-        leadsData = response.data
-      }
-
-      // Store raw leads for transformation after agents are loaded
-      setRawLeads(leadsData);
-
-      if (searchTerm !== undefined) {
-        // If this was a search operation
-        if (searchTerm.trim()) {
-          // Store search results (will be transformed in useEffect)
-          // For now, just set rawLeads
-          setRawLeads(leadsData);
-        } else {
-          // Clear search - reset to all leads
-          setSearchResults([])
-          setRawLeads(leadsData);
-        }
-      } else {
-        // Initial load - store all leads
-        setRawLeads(leadsData);
-        setSearchResults([])
-      }
-    } catch (error) {
-      console.error("Failed to fetch leads:", error)
-      setError(error instanceof Error ? error.message : "Failed to fetch leads")
-      setAllLeads([])
-      setSearchResults([])
-      setDisplayedLeads([])
-    } finally {
-      setLoading(false)
-      setSearching(false)
-    }
+  const agentMap = useMemo(() => Object.fromEntries(agents.map((a) => [a.id, a.name])), [agents])
+  const displayedLeads = useMemo(
+    () => (leadsResponse?.leads || []).map((lead: any, index: number) => transformLead(lead, agentMap, index)),
+    [leadsResponse, agentMap]
+  )
+  const pipelineLeads = useMemo(
+    () => (pipelineResponse?.leads || []).map((lead: any, index: number) => transformLead(lead, agentMap, index)),
+    [pipelineResponse, agentMap]
+  )
+  const searchMatches = useMemo(
+    () => (params.search ? summarizeLeadSearchResults(leadsResponse?.leads || []) : []),
+    [leadsResponse, params.search]
+  )
+  const totalLeads = leadsResponse?.pagination?.total ?? displayedLeads.length
+  const totalPages = getLeadListTotalPages(leadsResponse, params.pageSize)
+  const error = leadsError ? (leadsError instanceof Error ? leadsError.message : "Failed to fetch leads") : null
+
+  const updateParams = (changes: Partial<LeadListParams>) => {
+    const next = { ...params, ...changes }
+    const query = leadListParamsToSearchParams(next).toString()
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false })
   }
 
   const fetchAgents = async () => {
@@ -233,49 +181,14 @@ export default function LeadsPage() {
     }
   }
 
-  const applyFilters = () => {
-    // Determine which dataset to filter from
-    const sourceData = filters.search ? searchResults : allLeads
-    let filtered = [...sourceData]
-
-    console.log("Applying filters:", filters)
-    console.log("Source data length:", sourceData.length)
-
-    // Apply classification filter (case-insensitive)
-    if (filters.classification && filters.classification !== "all") {
-      filtered = filtered.filter((lead) => {
-        const leadClassification = (lead.classification || "").toLowerCase()
-        const filterClassification = filters.classification.toLowerCase()
-        const matches = leadClassification === filterClassification
-        console.log(
-          `Lead ${lead.name} classification: "${lead.classification}" (${leadClassification}), filter: "${filters.classification}" (${filterClassification}), matches: ${matches}`,
-        )
-        return matches
-      })
-    }
-
-    // Apply agent filter
-    if (filters.agent && filters.agent !== "all") {
-      filtered = filtered.filter((lead) => {
-        const matches = lead.assignedAgent?.id === filters.agent
-        console.log(`Lead ${lead.name} agent: ${lead.assignedAgent?.id}, filter: ${filters.agent}, matches: ${matches}`)
-        return matches
-      })
-    }
-
-    console.log("Filtered results length:", filtered.length)
-    console.log("[LEADS DEBUG] About to set displayedLeads:", filtered.slice(0, 2))
-    setDisplayedLeads(filtered)
-  }
-
-  const handleSearch = async (searchTerm: string) => {
-    console.log("Searching for:", searchTerm)
-    await fetchLeads(searchTerm)
+  const handleFiltersChange = (newFilters: LeadListFilters) => {
+    // Any filter change starts again from the first page
+    updateParams({ ...newFilters, ...getSortForSearchChange(params, newFilters.search), page: 1 })
   }
 
-  const handleFiltersChange = (newFilters: { classification: string; agent: string; search: string }) => {
-    console.log("Filters changed:", newFilters)
-    setFilters(newFilters)
+  const handleSortChange = (field: LeadSortField) => {
+    const sortOrder = params.sortBy === field && params.sortOrder === "desc" ? "asc" : "desc"
+    updateParams({ sortBy: field, sortOrder, page: 1 })
   }
 
   const handleAssignAgent = async (leadId: string, agentId: string) => {
@@ -288,16 +201,21 @@ export default function LeadsPage() {
       })
 
       // Refresh leads after assignment
-      if (filters.search) {
-        await handleSearch(filters.search)
-      } else {
-        await fetchLeads()
-      }
+      await refetch()
     } catch (error) {
       console.error("Failed to assign agent:", error)
     }
   }
 
+  // useUpdateLeadStatus moves the lead optimistically and rolls back on failure
+  const handleStatusChange = async (leadId: string, status: LeadStatus, reason?: string) => {
+    try {
+      await updateLeadStatus.mutateAsync({ leadId, status, reason })
+    } catch (error) {
+      console.error("Failed to update lead stage:", error)
+    }
+  }
+
   if (authLoading || loading) {
     return <div className="flex items-center justify-center h-64">Loading...</div>
   }
@@ -325,59 +243,128 @@ export default function LeadsPage() {
           <AlertDescription>Error: {error}</AlertDescription>
         </Alert>
         <div className="flex justify-center">
-          <Button onClick={() => fetchLeads()}>Retry</Button>
+          <Button onClick={() => refetch()}>Retry</Button>
         </div>
       </div>
     )
   }
 
-  // Create filter summary for display
-  const getFilterSummary = () => {
-    const parts = []
-    if (filters.search) parts.push(`search: "${filters.search}"`)
-    if (filters.classification !== "all") parts.push(`classification: ${filters.classification}`)
-    if (filters.agent !== "all") {
-      const agentName = agents.find((a) => a.id === filters.agent)?.name || "Unknown"
-      parts.push(`agent: ${agentName}`)
-    }
-    return parts.length > 0 ? ` (filtered by ${parts.join(", ")})` : ""
-  }
-
   return (
     <div className="min-h-screen bg-gray-50 p-6 space-y-6">
-      <div className="mb-4">
-        <div className="flex items-center space-x-2">
-          <Users2 className="h-8 w-8 text-blue-600" />
-          <h1 className="text-3xl font-bold tracking-tight text-gray-900">Leads</h1>
+      <div className="mb-4 flex items-start justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <Users2 className="h-8 w-8 text-blue-600" />
+            <h1 className="text-3xl font-bold tracking-tight text-gray-900">Leads</h1>
+          </div>
+          <p className="text-gray-600 ml-10">Track and manage your qualified real estate leads</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <LeadImportWizard onImported={() => refetch()} />
+          <LeadExportButton
+            endpoint="/api/leads/export"
+            filters={{ ...filters, segment_id: params.segment ?? undefined }}
+            getHeaders={getAuthHeaders}
+            disabled={loading || displayedLeads.length === 0}
+          />
         </div>
-        <p className="text-gray-600 ml-10">Track and manage your qualified real estate leads</p>
       </div>
       
       <Card className="bg-white border-gray-200">
         <CardContent className="p-6">
+          <div className="mb-4">
+            <LeadSegmentsBar
+              activeSegmentId={params.segment}
+              onSelectSegment={(segment) => updateParams({ segment, page: 1 })}
+              filters={filters}
+              agents={agents}
+            />
+          </div>
           <LeadsFilters
             filters={filters}
             onFiltersChange={handleFiltersChange}
-            onSearch={handleSearch}
             agents={agents}
-            searching={searching}
-            totalLeads={displayedLeads.length}
-            qualifiedLeads={displayedLeads.filter(l => l.classification === "hot" || l.classification === "priority").length}
-            nonQualifiedLeads={displayedLeads.filter(l => l.classification === "cold" || l.classification === "warm").length}
+            searching={isFetching && !loading}
+            searchMatches={searchMatches}
+            onSelectMatch={setSelectedLeadId}
+            totalLeads={totalLeads}
+            qualifiedLeads={
+              leadsResponse?.stats?.qualified ??
+              displayedLeads.filter((l) => l.classification === "hot" || l.classification === "priority").length
+            }
+            nonQualifiedLeads={
+              leadsResponse?.stats?.non_qualified ??
+              displayedLeads.filter((l) => l.classification === "cold" || l.classification === "warm").length
+            }
           />
         </CardContent>
       </Card>
 
       <Card className="bg-white border-gray-200">
         <CardContent className="p-6">
-          <LeadsTable
-            leads={displayedLeads}
-            agents={agents}
-            onAssignAgent={handleAssignAgent}
-            canAssignAgents={user?.role === "admin" || user?.role === "moderator"}
-          />
+          <Tabs value={view} onValueChange={(value) => setView(value as "table" | "board")}>
+            <TabsList className="mb-4">
+              <TabsTrigger value="table" className="gap-2">
+                <Table2 className="h-4 w-4" />
+                Table
+              </TabsTrigger>
+              <TabsTrigger value="board" className="gap-2">
+                <Columns3 className="h-4 w-4" />
+                Pipeline
+              </TabsTrigger>
+            </TabsList>
+            <TabsContent value="table">
+              <LeadsTable
+                leads={displayedLeads}
+                agents={agents}
+                onAssignAgent={handleAssignAgent}
+                canAssignAgents={canAssignLeads}
+                sortBy={params.sortBy}
+                sortOrder={params.sortOrder}
+                onSortChange={handleSortChange}
+              />
+            </TabsContent>
+            <TabsContent value="board">
+              {pipelineLoading ? (
+                <div className="flex items-center justify-center h-32 text-sm text-muted-foreground">
+                  Loading pipeline...
+                </div>
+              ) : pipelineError ? (
+                <Alert variant="destructive">
+                  <AlertDescription>Failed to load the pipeline</AlertDescription>
+                </Alert>
+              ) : (
+                <LeadsPipelineBoard
+                  leads={pipelineLeads}
+                  onStatusChange={handleStatusChange}
+                  onOpenLead={setSelectedLeadId}
+                  canChangeStatus={canEditLeads}
+                />
+              )}
+            </TabsContent>
+          </Tabs>
+          {/* The board shows every matching lead, so only the table pages */}
+          {view === "table" && (
+            <LeadsPagination
+              page={params.page}
+              pageSize={params.pageSize}
+              totalPages={totalPages}
+              total={totalLeads}
+              fetching={isFetching}
+              onPageChange={(page) => updateParams({ page })}
+              onPageSizeChange={(pageSize) => updateParams({ pageSize, page: 1 })}
+            />
+          )}
         </CardContent>
       </Card>
+
+      {selectedLeadId && (
+        <LeadDetailsModal
+          leadId={selectedLeadId}
+          open={!!selectedLeadId}
+          onClose={() => setSelectedLeadId(null)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,56 @@
+"use client"
+
+import Link from "next/link"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { AlertTriangle, ArrowLeft, ScrollText } from "lucide-react"
+import { usePermission } from "@/hooks/use-permission"
+import { AuditLogViewer } from "@/components/audit/audit-log-viewer"
+
+export default function OrganizationAuditPage() {
+  const canViewAudit = usePermission("audit.view")
+
+  if (!canViewAudit) {
+    return (
+      <div className="p-6">
+        <Alert>
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>You need the &ldquo;View audit log&rdquo; permission to see your organization&apos;s audit log.</AlertDescription>
+        </Alert>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <ScrollText className="h-8 w-8 text-blue-600" />
+            <h1 className="text-3xl font-bold tracking-tight text-gray-900">Audit Log</h1>
+          </div>
+          <p className="text-gray-600 ml-10">Who changed what in your organization, and when</p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/organization">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Organization
+          </Link>
+        </Button>
+      </div>
+
+      <Card className="bg-white border-gray-200">
+        <CardHeader>
+          <CardTitle>Activity</CardTitle>
+          <CardDescription>
+            Entries can&apos;t be edited or deleted. Expand a row to see the values before and after the change.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <AuditLogViewer scope="organization" />
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
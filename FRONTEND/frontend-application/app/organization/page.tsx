@@ -3,7 +3,8 @@
 import { useState, useEffect } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { Plus, Users, Shield, Settings, Building2 } from "lucide-react"
+import { Plus, Users, Shield, Settings, Building2, ScrollText } from "lucide-react"
+import Link from "next/link"
 import { OrganizationMembersTable } from "@/components/organization/organization-members-table"
 import { InviteMemberModal } from "@/components/organization/invite-member-modal"
 import { OrganizationSettingsModal } from "@/components/organization/organization-settings-modal"
@@ -11,6 +12,7 @@ import { useAuth } from "@/contexts/simple-auth-context"
 import { toast } from "sonner"
 import { getOrganizationMembers, removeOrganizationMember } from "@/lib/api/organization"
 import { useRouter } from "next/navigation"
+import { usePermission } from "@/hooks/use-permission"
 
 interface OrganizationMember {
   id: string
@@ -33,6 +35,7 @@ export default function OrganizationPage() {
   const [inviteModalOpen, setInviteModalOpen] = useState(false)
   const [settingsModalOpen, setSettingsModalOpen] = useState(false)
   const { user, getAuthHeaders, loading: authLoading } = useAuth()
+  const canViewAudit = usePermission("audit.view")
   const router = useRouter()
 
   const fetchMembers = async () => {
@@ -152,6 +155,14 @@ export default function OrganizationPage() {
           <p className="text-gray-600 ml-10">Manage your organization members and their roles</p>
         </div>
         <div className="flex gap-2">
+          {canViewAudit && (
+            <Button variant="outline" asChild>
+              <Link href="/organization/audit">
+                <ScrollText className="mr-2 h-4 w-4" />
+                Audit Log
+              </Link>
+            </Button>
+          )}
           <Button 
             variant="outline" 
             onClick={() => setSettingsModalOpen(true)}
@@ -14,6 +14,9 @@ import { useAuth } from "@/contexts/simple-auth-context"
 import { useRouter } from "next/navigation"
 import { NotificationPreferences } from "@/components/settings/notification-preferences"
 import { NotificationTest } from "@/components/notifications/notification-test"
+import { PasswordStrengthMeter } from "@/components/settings/password-strength-meter"
+import { changePasswordRequestSchema } from "@/lib/validation/schemas"
+import { refreshSession } from "@/lib/auth/session-client"
 import { useTheme } from "next-themes"
 import { Moon, Sun, Monitor, Settings, LogOut, Shield } from "lucide-react"
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group"
@@ -104,13 +107,12 @@ export default function SettingsPage() {
     setIsChangingEmail(true)
 
     try {
-      // NOTE: Email change endpoint not documented in backend API
-      // This functionality may need to be implemented in the backend
       const response = await fetch("/api/user/change-email", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
+        credentials: "same-origin",
         body: JSON.stringify({
           newEmail,
           currentPassword: currentPasswordForEmail,
@@ -154,10 +156,11 @@ export default function SettingsPage() {
       return
     }
 
-    if (newPassword.length < 6) {
+    const validation = changePasswordRequestSchema.safeParse({ currentPassword, newPassword })
+    if (!validation.success) {
       toast({
         title: "Error",
-        description: "Password must be at least 6 characters long",
+        description: validation.error.issues[0]?.message ?? "Please choose a stronger password",
         variant: "destructive",
       })
       return
@@ -166,13 +169,12 @@ export default function SettingsPage() {
     setIsChangingPassword(true)
 
     try {
-      // NOTE: Password change endpoint not documented in backend API
-      // This functionality may need to be implemented in the backend
       const response = await fetch("/api/user/change-password", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
+        credentials: "same-origin",
         body: JSON.stringify({
           currentPassword,
           newPassword,
@@ -182,9 +184,11 @@ export default function SettingsPage() {
       const data = await response.json()
 
       if (response.ok) {
+        // The server switched this browser to a new session; load its access token
+        await refreshSession("app")
         toast({
           title: "Password changed",
-          description: "Your password has been changed successfully.",
+          description: data.message || "Your password has been changed successfully.",
         })
         setCurrentPassword("")
         setNewPassword("")
@@ -330,7 +334,9 @@ export default function SettingsPage() {
           <Card className="bg-white border-gray-200">
             <CardHeader>
               <CardTitle>Change Email Address</CardTitle>
-              <CardDescription>Update your email address.</CardDescription>
+              <CardDescription>
+                Update your email address. We will send a confirmation link to the new address.
+              </CardDescription>
             </CardHeader>
             <CardContent>
               <form onSubmit={handleEmailChange} className="space-y-4">
@@ -380,7 +386,7 @@ export default function SettingsPage() {
           <Card className="bg-white border-gray-200">
             <CardHeader>
               <CardTitle>Change Password</CardTitle>
-              <CardDescription>Update your password.</CardDescription>
+              <CardDescription>Update your password. This signs you out on all other devices.</CardDescription>
             </CardHeader>
             <CardContent>
               <form onSubmit={handlePasswordChange} className="space-y-4">
@@ -405,6 +411,7 @@ export default function SettingsPage() {
                     placeholder="Enter new password"
                     required
                   />
+                  <PasswordStrengthMeter password={newPassword} />
                 </div>
                 <div className="grid gap-2">
                   <Label htmlFor="confirm-password">Confirm New Password</Label>
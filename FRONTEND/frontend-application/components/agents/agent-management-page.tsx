@@ -4,7 +4,7 @@ import { Badge } from "@/components/ui/badge"
 
 import type React from "react"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useMemo } from "react"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
@@ -29,11 +29,15 @@ import { Textarea } from "@/components/ui/textarea"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { ChatPreviewModal } from "@/components/agents/chat-preview-modal"
 import { FacebookIntegration } from "@/components/agents/facebook-integration"
+import { EmbedWidgetSettings } from "@/components/agents/embed-widget-settings"
 import { CustomBANTConfig } from "@/components/agents/custom-bant-config"
+import { BantConfigVersions } from "@/components/agents/bant-config-versions"
+import { getDimensions, getQuestionDimensions } from "@/lib/bant/frameworks"
 import { CustomBANTQuestions, type BANTQuestion } from "@/components/agents/custom-bant-questions"
 import { EnhancedAttachmentUpload, AttachmentFile } from "@/components/attachments/enhanced-attachment-upload"
 import { useBANTConfig } from "@/hooks/use-bant-config"
 import { useAuth } from "@/contexts/simple-auth-context"
+import type { EmbedSettings } from "@/lib/embed"
 import { toast } from "sonner"
 
 interface Message {
@@ -54,6 +58,8 @@ interface AIAgent {
   createdAt?: string
   openingMessage?: string
   custom_greeting?: string
+  embed_enabled?: boolean
+  embed_settings?: Partial<EmbedSettings> | null
 }
 
 interface AgentDocument {
@@ -74,7 +80,20 @@ interface AgentManagementPageProps {
 
 export function AgentManagementPage({ agent, onAgentUpdated }: AgentManagementPageProps) {
   const { getAuthHeaders } = useAuth()
-  const { config: bantConfig, saveConfig: saveBantConfig, deleteConfig: deleteBantConfig } = useBANTConfig(agent?.id || '')
+  const {
+    config: bantConfig,
+    versions: bantConfigVersions,
+    draft: bantDraft,
+    publishedVersion: publishedBantVersion,
+    loading: bantConfigLoading,
+    saveConfig: saveBantConfig,
+    publishDraft: publishBantDraft,
+    discardDraft: discardBantDraft,
+    rollbackToVersion: rollbackBantConfig,
+    deleteConfig: deleteBantConfig,
+  } = useBANTConfig(agent?.id || '')
+  // Questions follow the saved framework (draft, else published)
+  const questionDimensions = useMemo(() => getQuestionDimensions(getDimensions(bantConfig ?? {})), [bantConfig])
   const [formData, setFormData] = useState({
     name: agent.name,
     language: agent.language,
@@ -799,8 +818,19 @@ export function AgentManagementPage({ agent, onAgentUpdated }: AgentManagementPa
       <CustomBANTConfig 
         agentId={agent.id}
         onSave={saveBantConfig}
+        onPublish={publishBantDraft}
         onDelete={deleteBantConfig}
         initialConfig={bantConfig}
+        draft={bantDraft}
+        publishedVersion={publishedBantVersion}
+        versions={bantConfigVersions}
+      />
+
+      <BantConfigVersions
+        versions={bantConfigVersions}
+        loading={bantConfigLoading}
+        onRollback={rollbackBantConfig}
+        onDiscardDraft={discardBantDraft}
       />
 
       {/* Custom BANT Questions Section */}
@@ -809,6 +839,16 @@ export function AgentManagementPage({ agent, onAgentUpdated }: AgentManagementPa
         onSave={saveBANTQuestions}
         initialQuestions={bantQuestions}
         isLoading={loadingQuestions}
+        dimensions={questionDimensions}
+      />
+
+      {/* Website Chat Widget Section */}
+      <EmbedWidgetSettings
+        agentId={agent.id}
+        agentName={agent.name}
+        enabled={agent.embed_enabled}
+        initialSettings={agent.embed_settings}
+        onSaved={onAgentUpdated}
       />
 
       <Card className="bg-white border-gray-200">
@@ -0,0 +1,231 @@
+"use client"
+
+import { useEffect, useMemo, useState } from "react"
+import { format } from "date-fns"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { ArrowRight, History, Loader2, RotateCcw, Trash2 } from "lucide-react"
+import { toast } from "sonner"
+import { diffBantConfigs, getVersionLabel } from "@/lib/bant/versions"
+import { transformDBToFrontend } from "@/utils/bant-transform"
+import type { BantConfigVersion } from "@/lib/validation/schemas"
+
+const STATUS_STYLES: Record<BantConfigVersion["status"], string> = {
+  published: "bg-green-100 text-green-700",
+  draft: "bg-yellow-100 text-yellow-800",
+  archived: "bg-gray-100 text-gray-600",
+}
+
+interface BantConfigVersionsProps {
+  versions: BantConfigVersion[]
+  loading?: boolean
+  onRollback: (versionId: string) => Promise<void>
+  onDiscardDraft: () => Promise<void>
+}
+
+export function BantConfigVersions({ versions, loading, onRollback, onDiscardDraft }: BantConfigVersionsProps) {
+  const sortedVersions = useMemo(() => [...versions].sort((a, b) => b.version - a.version), [versions])
+  const published = sortedVersions.find((version) => version.status === "published")
+  const draft = sortedVersions.find((version) => version.status === "draft")
+
+  const [baseId, setBaseId] = useState("")
+  const [compareId, setCompareId] = useState("")
+  const [pendingAction, setPendingAction] = useState<string | null>(null)
+
+  // Default to "what would publishing change", or the last publish if there is no draft
+  useEffect(() => {
+    const compare = draft ?? published
+    const base = sortedVersions.find((version) => compare && version.version < compare.version && version.status !== "draft")
+    setCompareId(compare?.id ?? "")
+    setBaseId(base?.id ?? "")
+  }, [draft, published, sortedVersions])
+
+  const base = sortedVersions.find((version) => version.id === baseId)
+  const compare = sortedVersions.find((version) => version.id === compareId)
+  const changes = compare
+    ? diffBantConfigs(base ? transformDBToFrontend(base.config) : null, transformDBToFrontend(compare.config))
+    : []
+
+  const handleRollback = async (version: BantConfigVersion) => {
+    if (!confirm(`Publish a copy of ${getVersionLabel(version)}? New leads will be scored with it straight away.`)) {
+      return
+    }
+
+    setPendingAction(version.id)
+    try {
+      await onRollback(version.id)
+      toast.success(`Rolled back to ${getVersionLabel(version)}`)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to roll back")
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const handleDiscardDraft = async () => {
+    if (!confirm("Discard the unpublished draft? The published configuration is not affected.")) {
+      return
+    }
+
+    setPendingAction("draft")
+    try {
+      await onDiscardDraft()
+      toast.success("Draft discarded")
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to discard draft")
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  return (
+    <Card className="bg-white border-gray-200">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <History className="h-5 w-5" />
+          BANT Configuration History
+        </CardTitle>
+        <CardDescription>
+          Every lead records the version that scored it. Compare versions or roll back to an earlier one.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {sortedVersions.length === 0 ? (
+          <p className="py-6 text-center text-sm text-muted-foreground">
+            No versions yet. Publishing a configuration creates the first one.
+          </p>
+        ) : (
+          <>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Version</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Notes</TableHead>
+                  <TableHead>Created</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {sortedVersions.map((version) => (
+                  <TableRow key={version.id}>
+                    <TableCell className="font-medium">
+                      {getVersionLabel(version)}
+                      {version.based_on_version && (
+                        <span className="ml-1 text-xs text-muted-foreground">from v{version.based_on_version}</span>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant="outline" className={`capitalize ${STATUS_STYLES[version.status]}`}>
+                        {version.status}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="max-w-xs text-sm text-muted-foreground">{version.notes || "—"}</TableCell>
+                    <TableCell className="whitespace-nowrap text-sm">
+                      {format(new Date(version.published_at ?? version.created_at), "MMM d, yyyy h:mm a")}
+                      {version.created_by_email && (
+                        <div className="text-xs text-muted-foreground">{version.created_by_email}</div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {version.status === "archived" && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleRollback(version)}
+                          disabled={loading || pendingAction !== null}
+                        >
+                          {pendingAction === version.id ? (
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          ) : (
+                            <RotateCcw className="mr-2 h-4 w-4" />
+                          )}
+                          Roll back
+                        </Button>
+                      )}
+                      {version.status === "draft" && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={handleDiscardDraft}
+                          disabled={loading || pendingAction !== null}
+                        >
+                          {pendingAction === "draft" ? (
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          ) : (
+                            <Trash2 className="mr-2 h-4 w-4" />
+                          )}
+                          Discard
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div className="space-y-3">
+              <div className="flex flex-wrap items-center gap-2">
+                <h4 className="text-sm font-medium">Compare</h4>
+                <Select value={baseId || "none"} onValueChange={(value) => setBaseId(value === "none" ? "" : value)}>
+                  <SelectTrigger className="w-[180px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">No version</SelectItem>
+                    {sortedVersions.map((version) => (
+                      <SelectItem key={version.id} value={version.id}>
+                        {getVersionLabel(version)} ({version.status})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <ArrowRight className="h-4 w-4 text-muted-foreground" />
+                <Select value={compareId} onValueChange={setCompareId}>
+                  <SelectTrigger className="w-[180px]">
+                    <SelectValue placeholder="Select a version" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {sortedVersions.map((version) => (
+                      <SelectItem key={version.id} value={version.id}>
+                        {getVersionLabel(version)} ({version.status})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {!compare ? null : changes.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No differences between these versions</p>
+              ) : (
+                <div className="rounded-md border">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Setting</TableHead>
+                        <TableHead>{base ? getVersionLabel(base) : "Before"}</TableHead>
+                        <TableHead>{getVersionLabel(compare)}</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {changes.map((change) => (
+                        <TableRow key={`${change.field}-${change.label}`}>
+                          <TableCell className="text-sm">{change.label}</TableCell>
+                          <TableCell className="text-sm text-red-700">{change.before}</TableCell>
+                          <TableCell className="text-sm text-green-700">{change.after}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,241 @@
+"use client"
+
+import { useMemo } from "react"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { ArrowRight, Info, Loader2, RefreshCw } from "lucide-react"
+import { cn } from "@/lib/utils"
+import { useAgentLeadScores, useRescoreAgentLeads } from "@/lib/queries/agent-queries"
+import {
+  LEAD_CLASSIFICATIONS,
+  simulateScoring,
+  type BantScoringConfig,
+  type LeadClassification,
+  type LeadScoreSnapshot,
+} from "@/lib/bant/simulation"
+import { getVersionLabel } from "@/lib/bant/versions"
+import { transformDBToFrontend } from "@/utils/bant-transform"
+import type { BantConfigVersion } from "@/lib/validation/schemas"
+
+// Longer lists are summarized; the counts above still cover every lead
+const MAX_LISTED_LEADS = 100
+
+const CLASSIFICATION_STYLES: Record<LeadClassification, string> = {
+  priority: "bg-red-500 text-white",
+  hot: "bg-orange-500 text-white",
+  warm: "bg-yellow-500 text-black",
+  cold: "bg-blue-500 text-white",
+}
+
+function ClassificationBadge({ classification }: { classification: LeadClassification }) {
+  return <Badge className={cn("capitalize", CLASSIFICATION_STYLES[classification])}>{classification}</Badge>
+}
+
+interface BantScoringSimulatorProps {
+  agentId: string
+  proposedConfig: BantScoringConfig
+  // Scoring config for leads scored before any version was published
+  defaultConfig: BantScoringConfig
+  versions: BantConfigVersion[]
+  publishedVersion?: BantConfigVersion | null
+  // Applying re-scores with the published version, so only allowed when that's what is being simulated
+  canApply: boolean
+}
+
+export function BantScoringSimulator({
+  agentId,
+  proposedConfig,
+  defaultConfig,
+  versions,
+  publishedVersion,
+  canApply,
+}: BantScoringSimulatorProps) {
+  const { data: leads = [], isLoading, error, refetch, isFetching } = useAgentLeadScores(agentId)
+  const rescoreLeads = useRescoreAgentLeads()
+
+  const simulation = useMemo(() => {
+    const configsByVersion = new Map(
+      versions.map((version) => [version.version, transformDBToFrontend(version.config)])
+    )
+    const publishedConfig = publishedVersion ? configsByVersion.get(publishedVersion.version) : undefined
+    const getScoredWith = (lead: LeadScoreSnapshot) =>
+      (lead.bant_config_version ? configsByVersion.get(lead.bant_config_version) : undefined) ??
+      publishedConfig ??
+      defaultConfig
+
+    return simulateScoring(leads, proposedConfig, getScoredWith)
+  }, [leads, proposedConfig, defaultConfig, versions, publishedVersion])
+
+  const rescored = simulation.results.filter(
+    (result) =>
+      result.proposedScore !== result.currentScore || result.proposedClassification !== result.currentClassification
+  )
+
+  const handleApply = () => {
+    if (!confirm(`Re-score ${rescored.length} existing leads with ${publishedVersion ? getVersionLabel(publishedVersion) : "the published configuration"}? This updates their scores and classifications.`)) {
+      return
+    }
+    rescoreLeads.mutate({ agentId, leadIds: rescored.map((result) => result.lead.id) })
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <Loader2 className="h-6 w-6 animate-spin" />
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>Failed to load lead scores. Please try again.</AlertDescription>
+      </Alert>
+    )
+  }
+
+  if (leads.length === 0) {
+    return (
+      <div className="text-center py-8 text-muted-foreground">
+        <p className="text-sm">No scored leads yet</p>
+        <p className="text-xs">The simulator replays your settings against leads this agent has already qualified</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <Alert>
+        <Info className="h-4 w-4" />
+        <AlertDescription>
+          Replays the weights and thresholds on screen against {leads.length} scored leads, using each lead&apos;s
+          stored Budget, Authority, Need, Timeline and Contact scores. Nothing is saved until you apply it.
+        </AlertDescription>
+      </Alert>
+
+      <div className="grid gap-3 sm:grid-cols-4">
+        {LEAD_CLASSIFICATIONS.map((classification) => {
+          const current = simulation.currentCounts[classification]
+          const proposed = simulation.proposedCounts[classification]
+          const delta = proposed - current
+
+          return (
+            <div key={classification} className="rounded-md border p-3">
+              <ClassificationBadge classification={classification} />
+              <div className="mt-2 flex items-center gap-2 text-lg font-semibold">
+                {current}
+                <ArrowRight className="h-4 w-4 text-muted-foreground" />
+                {proposed}
+              </div>
+              <p className={cn("text-xs", delta > 0 ? "text-green-700" : delta < 0 ? "text-red-700" : "text-muted-foreground")}>
+                {delta === 0 ? "No change" : `${delta > 0 ? "+" : ""}${delta} leads`}
+              </p>
+            </div>
+          )
+        })}
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-medium">Movement between classifications</h4>
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Currently</TableHead>
+                {LEAD_CLASSIFICATIONS.map((classification) => (
+                  <TableHead key={classification} className="text-center capitalize">
+                    → {classification}
+                  </TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {LEAD_CLASSIFICATIONS.map((from) => (
+                <TableRow key={from}>
+                  <TableCell className="capitalize font-medium">{from}</TableCell>
+                  {LEAD_CLASSIFICATIONS.map((to) => {
+                    const count = simulation.transitions[from][to]
+                    return (
+                      <TableCell
+                        key={to}
+                        className={cn(
+                          "text-center",
+                          from === to ? "text-muted-foreground" : count > 0 && "font-semibold text-orange-700"
+                        )}
+                      >
+                        {count}
+                      </TableCell>
+                    )
+                  })}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h4 className="text-sm font-medium">Leads that would change classification ({simulation.changed.length})</h4>
+          <Button variant="ghost" size="sm" onClick={() => refetch()} disabled={isFetching}>
+            <RefreshCw className={cn("mr-2 h-4 w-4", isFetching && "animate-spin")} />
+            Refresh
+          </Button>
+        </div>
+        {simulation.changed.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No lead changes classification with these settings</p>
+        ) : (
+          <div className="max-h-72 overflow-y-auto rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Lead</TableHead>
+                  <TableHead>Current</TableHead>
+                  <TableHead>Proposed</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {simulation.changed.slice(0, MAX_LISTED_LEADS).map((result) => (
+                  <TableRow key={result.lead.id}>
+                    <TableCell>{result.lead.full_name || "Unknown"}</TableCell>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        <ClassificationBadge classification={result.currentClassification} />
+                        <span className="text-sm text-muted-foreground">{result.currentScore}</span>
+                      </div>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        <ClassificationBadge classification={result.proposedClassification} />
+                        <span className="text-sm text-muted-foreground">{result.proposedScore}</span>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {simulation.changed.length > MAX_LISTED_LEADS && (
+              <p className="p-3 text-center text-xs text-muted-foreground">
+                and {simulation.changed.length - MAX_LISTED_LEADS} more
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between gap-4 border-t pt-4">
+        <p className="text-xs text-muted-foreground">
+          {canApply
+            ? `${rescored.length} leads have a different score under the published configuration.`
+            : "Publish these settings first to apply them to existing leads."}
+        </p>
+        <Button onClick={handleApply} disabled={!canApply || rescored.length === 0 || rescoreLeads.isPending}>
+          {rescoreLeads.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Apply to Existing Leads
+        </Button>
+      </div>
+    </div>
+  )
+}
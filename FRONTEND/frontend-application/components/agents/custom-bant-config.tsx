@@ -10,11 +10,28 @@ import { Slider } from "@/components/ui/slider"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Badge } from "@/components/ui/badge"
-import { Info, Plus, Trash2, Save, AlertCircle } from "lucide-react"
+import { Info, Plus, Trash2, Save, AlertCircle, Upload, FlaskConical } from "lucide-react"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Separator } from "@/components/ui/separator"
 import { Textarea } from "@/components/ui/textarea"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog"
 import { cn } from "@/lib/utils"
+import { getVersionLabel, validateBantConfig } from "@/lib/bant/versions"
+import {
+  FRAMEWORK_PRESETS,
+  QUALIFICATION_FRAMEWORKS,
+  createDimensionKey,
+  getDimensions,
+  getFramework,
+  getTotalWeight,
+  setDimensionWeight,
+  withDimensions,
+  type QualificationDimension,
+  type QualificationFrameworkId,
+} from "@/lib/bant/frameworks"
+import type { BANTConfig, CriteriaItem } from "@/utils/bant-transform"
+import { BantScoringSimulator } from "@/components/agents/bant-scoring-simulator"
+import type { BantConfigVersion } from "@/lib/validation/schemas"
 import {
   Tooltip,
   TooltipContent,
@@ -22,43 +39,17 @@ import {
   TooltipTrigger,
 } from "@/components/ui/tooltip"
 
-interface CriteriaItem {
-  id?: string
-  min?: number
-  max?: number
-  type?: string
-  points: number
-  label: string
-  // For budget criteria
-  section?: string
-  amount?: number
-  // For timeline criteria
-  timeAmount?: number
-  timeUnit?: string
-}
-
-interface BANTConfig {
-  budget_weight: number
-  authority_weight: number
-  need_weight: number
-  timeline_weight: number
-  contact_weight: number
-  budget_criteria: CriteriaItem[]
-  authority_criteria: CriteriaItem[]
-  need_criteria: CriteriaItem[]
-  timeline_criteria: CriteriaItem[]
-  contact_criteria: CriteriaItem[]
-  priority_threshold: number
-  hot_threshold: number
-  warm_threshold: number
-  bant_scoring_prompt?: string
-}
-
 interface CustomBANTConfigProps {
   agentId: string
+  // Saves the draft; leads are only scored with a config once it's published
   onSave?: (config: BANTConfig) => Promise<void>
+  onPublish?: (notes?: string) => Promise<void>
   onDelete?: () => Promise<void>
   initialConfig?: BANTConfig | null
+  draft?: BantConfigVersion | null
+  publishedVersion?: BantConfigVersion | null
+  // Full history, so the simulator knows which weights scored each lead
+  versions?: BantConfigVersion[]
 }
 
 const DEFAULT_CONFIG: BANTConfig = {
@@ -138,11 +129,20 @@ const BUDGET_SECTIONS = [
   { value: 'billions', label: 'Billions (B)' }
 ]
 
-export function CustomBANTConfig({ agentId, onSave, onDelete, initialConfig }: CustomBANTConfigProps) {
+export function CustomBANTConfig({
+  agentId,
+  onSave,
+  onPublish,
+  onDelete,
+  initialConfig,
+  draft,
+  publishedVersion,
+  versions = [],
+}: CustomBANTConfigProps) {
   // Ensure all arrays are initialized
   const initializeConfig = (config: BANTConfig | null): BANTConfig => {
     const base = config || DEFAULT_CONFIG
-    return {
+    const initialized = {
       ...base,
       budget_criteria: base.budget_criteria || [],
       authority_criteria: base.authority_criteria || [],
@@ -150,6 +150,8 @@ export function CustomBANTConfig({ agentId, onSave, onDelete, initialConfig }: C
       timeline_criteria: base.timeline_criteria || [],
       contact_criteria: base.contact_criteria || []
     }
+    // Configs from before frameworks get their BANT dimensions spelled out
+    return withDimensions(initialized, getDimensions(initialized))
   }
 
   const [config, setConfig] = useState<BANTConfig>(initializeConfig(initialConfig))
@@ -157,6 +159,8 @@ export function CustomBANTConfig({ agentId, onSave, onDelete, initialConfig }: C
   const [error, setError] = useState<string | null>(null)
   const [activeTab, setActiveTab] = useState("weights")
   const [previewPrompt, setPreviewPrompt] = useState("")
+  const [publishNotes, setPublishNotes] = useState("")
+  const [newDimensionLabel, setNewDimensionLabel] = useState("")
 
   // Update config when initialConfig changes
   useEffect(() => {
@@ -165,37 +169,41 @@ export function CustomBANTConfig({ agentId, onSave, onDelete, initialConfig }: C
     }
   }, [initialConfig])
 
-  // Calculate total weight
-  const totalWeight = config.budget_weight + config.authority_weight + 
-                     config.need_weight + config.timeline_weight + config.contact_weight
+  const hasUnsavedChanges = JSON.stringify(config) !== JSON.stringify(initializeConfig(initialConfig ?? null))
 
-  // Generate preview prompt
-  const generatePreviewPrompt = useCallback(() => {
-    const prompt = `You are an AI assistant that scores leads based on BANT criteria with the following custom configuration:
+  const framework = getFramework(config)
+  const frameworkLabel = QUALIFICATION_FRAMEWORKS.find(f => f.id === framework)?.label ?? framework
+  const dimensions = getDimensions(config)
+  const totalWeight = getTotalWeight(dimensions)
+  // BANT keeps its fixed dimensions; other frameworks can be reshaped freely
+  const canEditDimensions = framework !== 'bant'
 
-**Maximum Points Per Category:**
-- Budget: ${config.budget_weight} points (out of 100 total)
-- Authority: ${config.authority_weight} points (out of 100 total)
-- Need: ${config.need_weight} points (out of 100 total)
-- Timeline: ${config.timeline_weight} points (out of 100 total)
-- Contact: ${config.contact_weight} points (out of 100 total)
+  const updateDimensions = (update: (dimensions: QualificationDimension[]) => QualificationDimension[]) => {
+    setConfig(prev => withDimensions(prev, update(getDimensions(prev))))
+  }
 
-**Scoring Criteria:**
+  const updateDimension = (key: string, updates: Partial<QualificationDimension>) => {
+    updateDimensions(prev => prev.map(dimension => dimension.key === key ? { ...dimension, ...updates } : dimension))
+  }
 
-BUDGET (max ${config.budget_weight} points):
-${(config.budget_criteria || []).map(c => `- ${c.label}: ${c.points} points`).join('\n') || '- No criteria defined'}
+  // Generate preview prompt
+  const generatePreviewPrompt = useCallback(() => {
+    // Fallback lines kept from the original BANT prompt for dimensions without criteria
+    const emptyCriteriaLine = (dimension: QualificationDimension) => {
+      if (dimension.key === 'need') return `- If need is properly stated: ${dimension.weight} points`
+      if (dimension.key === 'contact') return `- If contact info provided: ${dimension.weight} points`
+      return '- No criteria defined'
+    }
 
-AUTHORITY (max ${config.authority_weight} points):
-${(config.authority_criteria || []).map(c => `- ${c.label}: ${c.points} points`).join('\n') || '- No criteria defined'}
+    const prompt = `You are an AI assistant that scores leads based on ${frameworkLabel} criteria with the following custom configuration:
 
-NEED (max ${config.need_weight} points):
-${(config.need_criteria || []).map(c => `- ${c.label}: ${c.points} points`).join('\n') || '- If need is properly stated: ${config.need_weight} points'}
+**Maximum Points Per Category:**
+${dimensions.map(d => `- ${d.label}: ${d.weight} points (out of 100 total)`).join('\n')}
 
-TIMELINE (max ${config.timeline_weight} points):
-${(config.timeline_criteria || []).map(c => `- ${c.label}: ${c.points} points`).join('\n') || '- No criteria defined'}
+**Scoring Criteria:**
 
-CONTACT (max ${config.contact_weight} points):
-${(config.contact_criteria || []).map(c => `- ${c.label}: ${c.points} points`).join('\n') || '- If contact info provided: ${config.contact_weight} points'}
+${dimensions.map(d => `${d.label.toUpperCase()} (max ${d.weight} points):
+${d.criteria.map(c => `- ${c.label}: ${c.points} points`).join('\n') || emptyCriteriaLine(d)}`).join('\n\n')}
 
 **Lead Classification:**
 - Priority Lead: ≥${config.priority_threshold} points
@@ -203,97 +211,87 @@ ${(config.contact_criteria || []).map(c => `- ${c.label}: ${c.points} points`).j
 - Warm Lead: ≥${config.warm_threshold} points
 - Cold Lead: <${config.warm_threshold} points
 
-Return the actual points for each category (not percentages). The total of all scores should equal 100 when all criteria are fully met.`
+Return the actual points for each category (not percentages), keyed by ${dimensions.map(d => d.key).join(', ')}. The total of all scores should equal 100 when all criteria are fully met.`
     
     setPreviewPrompt(prompt)
-  }, [config])
+  }, [config, dimensions, frameworkLabel])
 
   useEffect(() => {
     generatePreviewPrompt()
   }, [config, generatePreviewPrompt])
 
-  const updateWeight = (field: keyof BANTConfig, value: number) => {
-    const weightFields = ['budget_weight', 'authority_weight', 'need_weight', 'timeline_weight', 'contact_weight'] as const
-    
-    setConfig(prev => {
-      const newConfig = { ...prev, [field]: value }
-      
-      // Calculate total of all weights
-      const total = weightFields.reduce((sum, f) => sum + (f === field ? value : prev[f] as number), 0)
-      
-      // If total exceeds 100, we need to adjust other weights
-      if (total > 100) {
-        const excess = total - 100
-        const otherFields = weightFields.filter(f => f !== field)
-        const otherTotal = otherFields.reduce((sum, f) => sum + (prev[f] as number), 0)
-        
-        // Distribute the excess proportionally among other fields
-        if (otherTotal > 0) {
-          otherFields.forEach(f => {
-            const currentValue = prev[f] as number
-            const proportion = currentValue / otherTotal
-            const reduction = Math.round(excess * proportion)
-            newConfig[f] = Math.max(0, currentValue - reduction)
-          })
-          
-          // Ensure we still total exactly 100 after rounding
-          const newTotal = weightFields.reduce((sum, f) => sum + (newConfig[f] as number), 0)
-          if (newTotal !== 100) {
-            // Find the largest weight that isn't the current field and adjust it
-            const adjustField = otherFields.reduce((max, f) => 
-              (newConfig[f] as number) > (newConfig[max] as number) ? f : max
-            )
-            newConfig[adjustField] = (newConfig[adjustField] as number) + (100 - newTotal)
-          }
-        } else {
-          // If all other fields are 0, cap the current field at 100
-          newConfig[field] = 100
-        }
-      }
-      
-      return newConfig
-    })
+  const updateWeight = (key: string, value: number) => {
+    updateDimensions(prev => setDimensionWeight(prev, key, value))
   }
 
   const updateThreshold = (field: keyof BANTConfig, value: number) => {
     setConfig(prev => ({ ...prev, [field]: value }))
   }
 
-  const addCriteria = (field: keyof BANTConfig) => {
+  const changeFramework = (next: QualificationFrameworkId) => {
+    if (next === framework) return
+    if (!confirm(`Switch to ${QUALIFICATION_FRAMEWORKS.find(f => f.id === next)?.label ?? next}? The current dimensions, weights and criteria will be replaced with its defaults.`)) {
+      return
+    }
+
+    const nextDimensions = next === 'bant' ? getDimensions(DEFAULT_CONFIG) : FRAMEWORK_PRESETS[next]
+    setConfig(prev => withDimensions(prev, nextDimensions, next))
+    setError(null)
+  }
+
+  const addDimension = () => {
+    const label = newDimensionLabel.trim()
+    if (!label) return
+
+    updateDimensions(prev => [
+      ...prev,
+      { key: createDimensionKey(label, prev.map(d => d.key)), label, weight: 0, criteria: [], criteria_type: 'text' }
+    ])
+    setNewDimensionLabel("")
+  }
+
+  const removeDimension = (dimension: QualificationDimension) => {
+    if (!confirm(`Remove ${dimension.label}? Its weight and criteria will be lost.`)) {
+      return
+    }
+    updateDimensions(prev => prev.filter(d => d.key !== dimension.key))
+  }
+
+  const addCriteria = (dimension: QualificationDimension) => {
     let newCriteria: CriteriaItem
     
-    if (field === 'budget_criteria') {
-      const weight = config.budget_weight || 25
+    if (dimension.criteria_type === 'budget') {
+      const weight = dimension.weight || 25
       newCriteria = { 
         section: 'millions',  // Changed default to millions
         amount: 1, 
         points: Math.min(10, weight), 
         label: "$1M" 
       }
-    } else if (field === 'authority_criteria') {
-      const weight = config.authority_weight || 25
+    } else if (dimension.criteria_type === 'authority') {
+      const weight = dimension.weight || 25
       newCriteria = { 
         type: "single", 
         points: Math.min(10, weight), 
         label: "Single Decision Maker" 
       }
-    } else if (field === 'timeline_criteria') {
-      const weight = config.timeline_weight || 25
+    } else if (dimension.criteria_type === 'timeline') {
+      const weight = dimension.weight || 25
       newCriteria = { 
         timeAmount: 1, 
         timeUnit: "months", 
         points: Math.min(10, weight), 
         label: "1 month" 
       }
-    } else if (field === 'need_criteria') {
-      const weight = config.need_weight || 25
+    } else if (dimension.key === 'need') {
+      const weight = dimension.weight || 25
       newCriteria = { 
         type: "stated", 
         points: weight,  // Max points for pre-filled
         label: "If need was properly stated" 
       }
-    } else if (field === 'contact_criteria') {
-      const weight = config.contact_weight || 0
+    } else if (dimension.key === 'contact') {
+      const weight = dimension.weight || 0
       newCriteria = { 
         type: "complete", 
         points: weight,  // Max points for pre-filled
@@ -302,84 +300,79 @@ Return the actual points for each category (not percentages). The total of all s
     } else {
       newCriteria = { 
         type: "new_type", 
-        points: 10, 
+        points: Math.min(10, dimension.weight || 25), 
         label: "New Criteria" 
       }
     }
     
-    setConfig(prev => ({
-      ...prev,
-      [field]: [...(Array.isArray(prev[field]) ? prev[field] as CriteriaItem[] : []), newCriteria]
-    }))
+    updateDimension(dimension.key, { criteria: [...dimension.criteria, newCriteria] })
   }
 
-  const updateCriteria = (field: keyof BANTConfig, index: number, updates: Partial<CriteriaItem>) => {
-    // Get the weight for this component to use as max points
-    const componentName = field.replace('_criteria', '')
-    const maxPoints = config[`${componentName}_weight` as keyof BANTConfig] as number || 25
+  const updateCriteria = (dimension: QualificationDimension, index: number, updates: Partial<CriteriaItem>) => {
+    // The dimension's weight is the max points
+    const maxPoints = dimension.weight || 25
     
     // Validate points don't exceed the weight
     if (updates.points !== undefined && updates.points > maxPoints) {
-      setError(`Points cannot exceed ${maxPoints} (the weight for ${componentName})`)
+      setError(`Points cannot exceed ${maxPoints} (the weight for ${dimension.label})`)
       return
     }
     
+    const currentItem = dimension.criteria[index]
+
     // Auto-generate label for budget criteria
-    if (field === 'budget_criteria' && (updates.section !== undefined || updates.amount !== undefined)) {
-      const currentItem = (config[field] as CriteriaItem[])[index]
+    if (currentItem && dimension.criteria_type === 'budget' && (updates.section !== undefined || updates.amount !== undefined)) {
       const section = updates.section || currentItem.section
       const amount = updates.amount || currentItem.amount
       updates.label = formatBudgetLabel(section!, amount!)
     }
     
     // Auto-generate label for timeline criteria
-    if (field === 'timeline_criteria' && (updates.timeAmount !== undefined || updates.timeUnit !== undefined)) {
-      const currentItem = (config[field] as CriteriaItem[])[index]
+    if (currentItem && dimension.criteria_type === 'timeline' && (updates.timeAmount !== undefined || updates.timeUnit !== undefined)) {
       const timeAmount = updates.timeAmount || currentItem.timeAmount
       const timeUnit = updates.timeUnit || currentItem.timeUnit
       updates.label = `${timeAmount} ${timeUnit}`
     }
     
-    setConfig(prev => ({
-      ...prev,
-      [field]: (Array.isArray(prev[field]) ? prev[field] as CriteriaItem[] : []).map((item, i) => 
-        i === index ? { ...item, ...updates } : item
-      )
-    }))
+    updateDimension(dimension.key, {
+      criteria: dimension.criteria.map((item, i) => i === index ? { ...item, ...updates } : item)
+    })
     setError(null) // Clear error after successful update
   }
 
-  const removeCriteria = (field: keyof BANTConfig, index: number) => {
-    setConfig(prev => ({
-      ...prev,
-      [field]: (Array.isArray(prev[field]) ? prev[field] as CriteriaItem[] : []).filter((_, i) => i !== index)
-    }))
+  const removeCriteria = (dimension: QualificationDimension, index: number) => {
+    updateDimension(dimension.key, { criteria: dimension.criteria.filter((_, i) => i !== index) })
   }
 
-  const handleSave = async () => {
-    if (totalWeight !== 100) {
-      setError("Weights must total exactly 100%")
-      return
+  const validateConfig = () => {
+    const validationError = validateBantConfig(config)
+    if (validationError) {
+      setError(validationError)
+      return false
     }
 
-    if (config.priority_threshold <= config.hot_threshold || 
-        config.hot_threshold <= config.warm_threshold) {
-      setError("Thresholds must be in descending order: Priority > Hot > Warm")
-      return
+    return true
+  }
+
+  const saveDraft = async () => {
+    if (onSave) {
+      // Include the criteria_prompt in the save payload
+      const configWithPrompt = {
+        ...config,
+        criteria_prompt: previewPrompt
+      }
+      await onSave(configWithPrompt)
     }
+  }
+
+  const handleSave = async () => {
+    if (!validateConfig()) return
 
     setLoading(true)
     setError(null)
 
     try {
-      if (onSave) {
-        // Include the criteria_prompt in the save payload
-        const configWithPrompt = {
-          ...config,
-          criteria_prompt: previewPrompt
-        }
-        await onSave(configWithPrompt)
-      }
+      await saveDraft()
     } catch (err) {
       setError(err instanceof Error ? err.message : "Failed to save configuration")
     } finally {
@@ -387,6 +380,26 @@ Return the actual points for each category (not percentages). The total of all s
     }
   }
 
+  const handlePublish = async () => {
+    if (!validateConfig() || !onPublish) return
+
+    setLoading(true)
+    setError(null)
+
+    try {
+      // Publish exactly what's on screen, so save any pending edits to the draft first
+      if (hasUnsavedChanges || !draft) {
+        await saveDraft()
+      }
+      await onPublish(publishNotes)
+      setPublishNotes("")
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to publish configuration")
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const handleDelete = async () => {
     if (!confirm("Are you sure you want to delete this BANT configuration? The agent will use default BANT scoring.")) {
       return
@@ -411,8 +424,21 @@ Return the actual points for each category (not percentages). The total of all s
       <CardHeader>
         <CardTitle>Custom BANT Configuration</CardTitle>
         <CardDescription>
-          Customize how leads are scored based on Budget, Authority, Need, Timeline, and Contact information
+          Customize how leads are scored: start from BANT, CHAMP or MEDDIC, or define your own dimensions
         </CardDescription>
+        <div className="flex flex-wrap items-center gap-2 pt-2">
+          {publishedVersion ? (
+            <Badge className="bg-green-100 text-green-700 hover:bg-green-100">Scoring with {getVersionLabel(publishedVersion)}</Badge>
+          ) : (
+            <Badge variant="outline">Using default scoring</Badge>
+          )}
+          {draft && (
+            <Badge variant="outline" className="border-yellow-300 bg-yellow-50 text-yellow-800">
+              Draft {getVersionLabel(draft)} not published
+            </Badge>
+          )}
+          {hasUnsavedChanges && <Badge variant="outline">Unsaved changes</Badge>}
+        </div>
       </CardHeader>
       <CardContent>
         {error && (
@@ -431,6 +457,27 @@ Return the actual points for each category (not percentages). The total of all s
 
           <TabsContent value="weights" className="space-y-6 mt-6">
             <div className="space-y-4">
+              <div className="space-y-2">
+                <Label>Qualification Framework</Label>
+                <Select
+                  value={framework}
+                  onValueChange={(value) => changeFramework(value as QualificationFrameworkId)}
+                  disabled={loading}
+                >
+                  <SelectTrigger className="w-full sm:w-[320px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {QUALIFICATION_FRAMEWORKS.map(option => (
+                      <SelectItem key={option.id} value={option.id}>
+                        {option.label}
+                        <span className="ml-2 text-xs text-muted-foreground">{option.description}</span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
               <div className="flex items-center justify-between">
                 <h3 className="text-lg font-medium">Component Weights</h3>
                 <Badge variant={totalWeight === 100 ? "success" : "destructive"}>
@@ -441,24 +488,40 @@ Return the actual points for each category (not percentages). The total of all s
               <Alert>
                 <Info className="h-4 w-4" />
                 <AlertDescription>
-                  Adjust the importance of each BANT component. Weights must total exactly 100 pts.
+                  Adjust the importance of each {frameworkLabel} component. Weights must total exactly 100 pts.
                 </AlertDescription>
               </Alert>
 
-              {(['budget', 'authority', 'need', 'timeline', 'contact'] as const).map(component => {
-                const currentValue = config[`${component}_weight` as keyof BANTConfig] as number
-                const otherWeights = ['budget', 'authority', 'need', 'timeline', 'contact']
-                  .filter(c => c !== component)
-                  .reduce((sum, c) => sum + (config[`${c}_weight` as keyof BANTConfig] as number), 0)
-                const maxValue = 100 - otherWeights
+              {dimensions.map(dimension => {
+                const currentValue = dimension.weight
+                const maxValue = 100 - (totalWeight - currentValue)
                 
                 return (
-                  <div key={component} className="space-y-2">
-                    <div className="flex items-center justify-between">
-                      <Label className="capitalize">{component}</Label>
+                  <div key={dimension.key} className="space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      {canEditDimensions ? (
+                        <Input
+                          value={dimension.label}
+                          onChange={(e) => updateDimension(dimension.key, { label: e.target.value })}
+                          className="h-8 max-w-xs"
+                          disabled={loading}
+                        />
+                      ) : (
+                        <Label>{dimension.label}</Label>
+                      )}
                       <div className="flex items-center gap-2">
                         <span className="text-sm font-medium">{currentValue} pts</span>
                         <span className="text-xs text-muted-foreground">(max: {maxValue} pts)</span>
+                        {canEditDimensions && (
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => removeDimension(dimension)}
+                            disabled={loading}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
                       </div>
                     </div>
                     <div className="relative">
@@ -466,8 +529,8 @@ Return the actual points for each category (not percentages). The total of all s
                         value={[currentValue]}
                         onValueChange={([value]) => {
                           // Ensure value doesn't exceed maxValue
-                          const clampedValue = Math.min(value, maxValue)
-                          updateWeight(`${component}_weight` as keyof BANTConfig, clampedValue)
+                          const clampedValue = Math.min(value ?? 0, maxValue)
+                          updateWeight(dimension.key, clampedValue)
                         }}
                         max={100}
                         step={5}
@@ -488,19 +551,38 @@ Return the actual points for each category (not percentages). The total of all s
                   </div>
                 )
               })}
+
+              {canEditDimensions && (
+                <div className="flex items-center gap-2 pt-2">
+                  <Input
+                    value={newDimensionLabel}
+                    onChange={(e) => setNewDimensionLabel(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") addDimension()
+                    }}
+                    placeholder="New dimension, e.g. Financing Pre-approval"
+                    className="max-w-xs"
+                    disabled={loading}
+                  />
+                  <Button variant="outline" onClick={addDimension} disabled={loading || !newDimensionLabel.trim()}>
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add Dimension
+                  </Button>
+                </div>
+              )}
             </div>
           </TabsContent>
 
           <TabsContent value="criteria" className="space-y-6 mt-6">
             <div className="space-y-6">
-              {(['budget', 'authority', 'need', 'timeline', 'contact'] as const).map(component => (
-                <div key={component} className="space-y-3">
+              {dimensions.map(dimension => (
+                <div key={dimension.key} className="space-y-3">
                   <div className="flex items-center justify-between">
-                    <h4 className="font-medium capitalize">{component} Criteria</h4>
+                    <h4 className="font-medium">{dimension.label} Criteria</h4>
                     <Button
                       size="sm"
                       variant="outline"
-                      onClick={() => addCriteria(`${component}_criteria` as keyof BANTConfig)}
+                      onClick={() => addCriteria(dimension)}
                       disabled={loading}
                     >
                       <Plus className="h-4 w-4 mr-1" />
@@ -510,18 +592,14 @@ Return the actual points for each category (not percentages). The total of all s
 
                   <div className="space-y-2">
                     <TooltipProvider>
-                      {(config[`${component}_criteria` as keyof BANTConfig] as CriteriaItem[] || []).map((criteria, index) => (
+                      {dimension.criteria.map((criteria, index) => (
                         <div key={index} className="flex items-center gap-2 p-2 border rounded">
                           {/* Budget Criteria - Two dropdowns */}
-                          {component === 'budget' ? (
+                          {dimension.criteria_type === 'budget' ? (
                             <>
                               <Select
                                 value={criteria.section || 'millions'}
-                                onValueChange={(value) => updateCriteria(
-                                  'budget_criteria', 
-                                  index, 
-                                  { section: value }
-                                )}
+                                onValueChange={(value) => updateCriteria(dimension, index, { section: value })}
                                 disabled={loading}
                               >
                                 <SelectTrigger className="w-[180px]">
@@ -538,11 +616,7 @@ Return the actual points for each category (not percentages). The total of all s
                               
                               <Select
                                 value={String(criteria.amount || 1)}
-                                onValueChange={(value) => updateCriteria(
-                                  'budget_criteria', 
-                                  index, 
-                                  { amount: parseInt(value) }
-                                )}
+                                onValueChange={(value) => updateCriteria(dimension, index, { amount: parseInt(value) })}
                                 disabled={loading}
                               >
                                 <SelectTrigger className="w-[120px]">
@@ -560,16 +634,12 @@ Return the actual points for each category (not percentages). The total of all s
                           ) : null}
                           
                           {/* Authority Criteria - Dropdown with tooltips */}
-                          {component === 'authority' ? (
+                          {dimension.criteria_type === 'authority' ? (
                             <Select
                               value={criteria.type || 'single'}
                               onValueChange={(value) => {
                                 const option = AUTHORITY_OPTIONS.find(o => o.value === value)
-                                updateCriteria(
-                                  'authority_criteria', 
-                                  index, 
-                                  { type: value, label: option?.label || value }
-                                )
+                                updateCriteria(dimension, index, { type: value, label: option?.label || value })
                               }}
                               disabled={loading}
                             >
@@ -594,15 +664,11 @@ Return the actual points for each category (not percentages). The total of all s
                           ) : null}
                           
                           {/* Timeline Criteria - Amount dropdown and unit dropdown */}
-                          {component === 'timeline' ? (
+                          {dimension.criteria_type === 'timeline' ? (
                             <>
                               <Select
                                 value={String(criteria.timeAmount || 1)}
-                                onValueChange={(value) => updateCriteria(
-                                  'timeline_criteria', 
-                                  index, 
-                                  { timeAmount: parseInt(value) }
-                                )}
+                                onValueChange={(value) => updateCriteria(dimension, index, { timeAmount: parseInt(value) })}
                                 disabled={loading}
                               >
                                 <SelectTrigger className="w-[100px]">
@@ -619,11 +685,7 @@ Return the actual points for each category (not percentages). The total of all s
                               
                               <Select
                                 value={criteria.timeUnit || 'months'}
-                                onValueChange={(value) => updateCriteria(
-                                  'timeline_criteria', 
-                                  index, 
-                                  { timeUnit: value }
-                                )}
+                                onValueChange={(value) => updateCriteria(dimension, index, { timeUnit: value })}
                                 disabled={loading}
                               >
                                 <SelectTrigger className="w-[120px]">
@@ -640,23 +702,19 @@ Return the actual points for each category (not percentages). The total of all s
                             </>
                           ) : null}
                           
-                          {/* Need and Contact Criteria - Keep as is */}
-                          {(component === 'need' || component === 'contact') ? (
+                          {/* Free-text criteria (Need, Contact and custom dimensions) */}
+                          {!dimension.criteria_type || dimension.criteria_type === 'text' ? (
                             <Input
                               placeholder="Label"
                               value={criteria.label}
-                              onChange={(e) => updateCriteria(
-                                `${component}_criteria` as keyof BANTConfig, 
-                                index, 
-                                { label: e.target.value }
-                              )}
+                              onChange={(e) => updateCriteria(dimension, index, { label: e.target.value })}
                               className="flex-1"
                               disabled={loading}
                             />
                           ) : null}
                           
                           {/* Auto-generated label display for Budget only */}
-                          {component === 'budget' ? (
+                          {dimension.criteria_type === 'budget' ? (
                             <div className="flex-1 px-3 py-2 bg-muted rounded text-sm">
                               {criteria.label}
                             </div>
@@ -665,23 +723,14 @@ Return the actual points for each category (not percentages). The total of all s
                           {/* Points dropdown (1 to weight max) */}
                           <Select
                             value={String(criteria.points || 10)}
-                            onValueChange={(value) => {
-                              updateCriteria(
-                                `${component}_criteria` as keyof BANTConfig, 
-                                index, 
-                                { points: parseInt(value) }
-                              )
-                            }}
+                            onValueChange={(value) => updateCriteria(dimension, index, { points: parseInt(value) })}
                             disabled={loading}
                           >
                             <SelectTrigger className="w-[100px]">
                               <SelectValue placeholder="Points" />
                             </SelectTrigger>
                             <SelectContent className="max-h-[300px]">
-                              {Array.from(
-                                { length: config[`${component}_weight` as keyof BANTConfig] as number || 25 }, 
-                                (_, i) => i + 1
-                              ).map(num => (
+                              {Array.from({ length: dimension.weight || 25 }, (_, i) => i + 1).map(num => (
                                 <SelectItem key={num} value={String(num)}>
                                   {num} pts
                                 </SelectItem>
@@ -692,7 +741,7 @@ Return the actual points for each category (not percentages). The total of all s
                           <Button
                             size="sm"
                             variant="ghost"
-                            onClick={() => removeCriteria(`${component}_criteria` as keyof BANTConfig, index)}
+                            onClick={() => removeCriteria(dimension, index)}
                             disabled={loading}
                           >
                             <Trash2 className="h-4 w-4" />
@@ -721,10 +770,10 @@ Return the actual points for each category (not percentages). The total of all s
                 <div key={level} className="space-y-2">
                   <div className="flex items-center justify-between">
                     <Label className="capitalize">{level} Lead (≥)</Label>
-                    <span className="text-sm font-medium">{config[`${level}_threshold` as keyof BANTConfig]} points</span>
+                    <span className="text-sm font-medium">{config[`${level}_threshold` as const]} points</span>
                   </div>
                   <Slider
-                    value={[config[`${level}_threshold` as keyof BANTConfig] as number]}
+                    value={[config[`${level}_threshold` as const]]}
                     onValueChange={([value]) => updateThreshold(`${level}_threshold` as keyof BANTConfig, value)}
                     max={100}
                     step={5}
@@ -756,13 +805,58 @@ Return the actual points for each category (not percentages). The total of all s
             Delete Configuration
           </Button>
           
-          <Button
-            onClick={handleSave}
-            disabled={loading || totalWeight !== 100}
-          >
-            <Save className="h-4 w-4 mr-2" />
-            {loading ? "Saving..." : "Save Configuration"}
-          </Button>
+          <div className="flex items-center gap-2">
+            <Dialog>
+              <DialogTrigger asChild>
+                <Button variant="outline" disabled={totalWeight !== 100}>
+                  <FlaskConical className="h-4 w-4 mr-2" />
+                  Simulate
+                </Button>
+              </DialogTrigger>
+              <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+                <DialogHeader>
+                  <DialogTitle>Scoring Simulator</DialogTitle>
+                  <DialogDescription>
+                    How existing leads would be classified with these weights and thresholds
+                  </DialogDescription>
+                </DialogHeader>
+                <BantScoringSimulator
+                  agentId={agentId}
+                  proposedConfig={config}
+                  defaultConfig={DEFAULT_CONFIG}
+                  versions={versions}
+                  publishedVersion={publishedVersion}
+                  canApply={!!publishedVersion && !draft && !hasUnsavedChanges}
+                />
+              </DialogContent>
+            </Dialog>
+            {onPublish && (
+              <Input
+                value={publishNotes}
+                onChange={(e) => setPublishNotes(e.target.value)}
+                placeholder="What changed? (optional)"
+                className="w-56"
+                disabled={loading}
+              />
+            )}
+            <Button
+              variant="outline"
+              onClick={handleSave}
+              disabled={loading || totalWeight !== 100 || !hasUnsavedChanges}
+            >
+              <Save className="h-4 w-4 mr-2" />
+              {loading ? "Saving..." : "Save Draft"}
+            </Button>
+            {onPublish && (
+              <Button
+                onClick={handlePublish}
+                disabled={loading || totalWeight !== 100 || (!draft && !hasUnsavedChanges)}
+              >
+                <Upload className="h-4 w-4 mr-2" />
+                Publish
+              </Button>
+            )}
+          </div>
         </div>
       </CardContent>
     </Card>
@@ -1,6 +1,6 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useMemo } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Label } from "@/components/ui/label"
@@ -17,13 +17,17 @@ import {
   Clock,
   ChevronRight,
   ChevronLeft,
-  Check
+  Check,
+  ListChecks,
+  type LucideIcon
 } from "lucide-react"
 import { cn } from "@/lib/utils"
+import { getDimensions, getQuestionDimensions, type QualificationDimension } from "@/lib/bant/frameworks"
 
 export interface BANTQuestion {
   id?: string
-  category: 'budget' | 'authority' | 'need' | 'timeline'
+  // Dimension key from the agent's qualification framework, e.g. 'budget' or 'move_in_date'
+  category: string
   question_text: string
   question_order: number
   is_active?: boolean
@@ -38,8 +42,12 @@ interface CustomBANTQuestionsProps {
   embedded?: boolean
   isOnboarding?: boolean  // New prop to distinguish onboarding flow
   className?: string
+  // Dimensions to ask about; defaults to BANT
+  dimensions?: QualificationDimension[]
 }
 
+const BANT_QUESTION_DIMENSIONS = getQuestionDimensions(getDimensions({}))
+
 const DEFAULT_QUESTIONS: BANTQuestion[] = [
   { category: 'budget', question_text: "What is your budget range for this property?", question_order: 1 },
   { category: 'authority', question_text: "Are you the sole decision maker for this purchase?", question_order: 1 },
@@ -47,7 +55,16 @@ const DEFAULT_QUESTIONS: BANTQuestion[] = [
   { category: 'timeline', question_text: "When are you planning to make a purchase?", question_order: 1 }
 ]
 
-const CATEGORY_INFO = {
+interface CategoryInfo {
+  icon: LucideIcon
+  title: string
+  description: string
+  color: string
+  bgColor: string
+  borderColor: string
+}
+
+const CATEGORY_INFO: Record<string, CategoryInfo> = {
   budget: {
     icon: DollarSign,
     title: "Budget",
@@ -82,7 +99,31 @@ const CATEGORY_INFO = {
   }
 }
 
-const CATEGORY_ORDER: ('budget' | 'authority' | 'need' | 'timeline')[] = ['budget', 'authority', 'need', 'timeline']
+function getCategoryInfo(dimension: QualificationDimension): CategoryInfo {
+  const known = CATEGORY_INFO[dimension.key]
+  if (known) {
+    return { ...known, title: dimension.label }
+  }
+
+  return {
+    icon: ListChecks,
+    title: dimension.label,
+    description: dimension.description || `Ask about ${dimension.label.toLowerCase()}`,
+    color: "text-slate-600",
+    bgColor: "bg-slate-50",
+    borderColor: "border-slate-200"
+  }
+}
+
+function getDefaultQuestion(dimension: QualificationDimension): BANTQuestion {
+  return DEFAULT_QUESTIONS.find(q => q.category === dimension.key) ||
+    { category: dimension.key, question_text: dimension.question || "", question_order: 1, is_active: true }
+}
+
+// One question per dimension, keeping saved questions and filling the rest with defaults
+function buildQuestions(dimensions: QualificationDimension[], saved?: BANTQuestion[]): BANTQuestion[] {
+  return dimensions.map(dimension => saved?.find(q => q.category === dimension.key) || getDefaultQuestion(dimension))
+}
 
 export function CustomBANTQuestions({
   agentId,
@@ -92,42 +133,43 @@ export function CustomBANTQuestions({
   isLoading = false,
   embedded = false,
   isOnboarding = false,
-  className
+  className,
+  dimensions = BANT_QUESTION_DIMENSIONS
 }: CustomBANTQuestionsProps) {
+  const categoryOrder = useMemo(() => dimensions.map(d => d.key), [dimensions])
+  const categoryInfoByKey = useMemo(
+    () => Object.fromEntries(dimensions.map(d => [d.key, getCategoryInfo(d)])),
+    [dimensions]
+  )
+
   // Initialize questions with one per category
-  const [questions, setQuestions] = useState<BANTQuestion[]>(() => {
-    if (initialQuestions && initialQuestions.length > 0) {
-      // Ensure we only have one question per category
-      const uniqueQuestions = CATEGORY_ORDER.map(cat => {
-        const existing = initialQuestions.find(q => q.category === cat)
-        return existing || DEFAULT_QUESTIONS.find(q => q.category === cat)!
-      })
-      return uniqueQuestions
-    }
-    return DEFAULT_QUESTIONS
-  })
+  const [questions, setQuestions] = useState<BANTQuestion[]>(() => buildQuestions(dimensions, initialQuestions))
   
   const [currentCategoryIndex, setCurrentCategoryIndex] = useState(0)
-  const [activeTab, setActiveTab] = useState<string>('budget')
+  const [activeTab, setActiveTab] = useState<string>(categoryOrder[0] ?? "")
   const [saving, setSaving] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [savedCategories, setSavedCategories] = useState<Set<string>>(new Set())
 
-  const currentCategory = CATEGORY_ORDER[currentCategoryIndex]
-  const categoryInfo = CATEGORY_INFO[currentCategory]
+  const currentCategory = categoryOrder[currentCategoryIndex] ?? categoryOrder[0] ?? ""
+  const categoryInfo = categoryInfoByKey[currentCategory] ?? getCategoryInfo({ key: currentCategory, label: currentCategory, weight: 0, criteria: [] })
   const Icon = categoryInfo.icon
-  const isLastCategory = currentCategoryIndex === CATEGORY_ORDER.length - 1
+  const isLastCategory = currentCategoryIndex >= categoryOrder.length - 1
   const isFirstCategory = currentCategoryIndex === 0
 
   useEffect(() => {
-    if (initialQuestions && initialQuestions.length > 0) {
-      const uniqueQuestions = CATEGORY_ORDER.map(cat => {
-        const existing = initialQuestions.find(q => q.category === cat)
-        return existing || DEFAULT_QUESTIONS.find(q => q.category === cat)!
-      })
-      setQuestions(uniqueQuestions)
+    setQuestions(prev => buildQuestions(dimensions, initialQuestions && initialQuestions.length > 0 ? initialQuestions : prev))
+  }, [initialQuestions, dimensions])
+
+  // Switching framework can remove the dimension being edited
+  useEffect(() => {
+    if (!categoryOrder.includes(activeTab)) {
+      setActiveTab(categoryOrder[0] ?? "")
     }
-  }, [initialQuestions])
+    if (currentCategoryIndex >= categoryOrder.length) {
+      setCurrentCategoryIndex(0)
+    }
+  }, [categoryOrder, activeTab, currentCategoryIndex])
 
   const getCurrentQuestion = () => {
     return questions.find(q => q.category === currentCategory) || 
@@ -138,8 +180,9 @@ export function CustomBANTQuestions({
     setQuestions(prev => {
       const updated = [...prev]
       const index = updated.findIndex(q => q.category === currentCategory)
-      if (index >= 0) {
-        updated[index] = { ...updated[index], question_text: text }
+      const existing = updated[index]
+      if (existing) {
+        updated[index] = { ...existing, question_text: text }
       } else {
         updated.push({
           category: currentCategory,
@@ -221,7 +264,7 @@ export function CustomBANTQuestions({
   }
 
   const resetToDefaults = () => {
-    setQuestions(DEFAULT_QUESTIONS)
+    setQuestions(dimensions.map(getDefaultQuestion))
     setSavedCategories(new Set())
     setCurrentCategoryIndex(0)
     setError(null)
@@ -230,10 +273,10 @@ export function CustomBANTQuestions({
   // Progress indicator
   const renderProgress = () => (
     <div className="flex items-center justify-center gap-2 mb-6">
-      {CATEGORY_ORDER.map((cat, index) => {
+      {categoryOrder.map((cat, index) => {
         const isActive = index === currentCategoryIndex
         const isCompleted = savedCategories.has(cat) || index < currentCategoryIndex
-        const catInfo = CATEGORY_INFO[cat]
+        const catInfo = categoryInfoByKey[cat] ?? categoryInfo
         const CatIcon = catInfo.icon
         
         return (
@@ -252,7 +295,7 @@ export function CustomBANTQuestions({
                 <CatIcon className="h-5 w-5" />
               )}
             </div>
-            {index < CATEGORY_ORDER.length - 1 && (
+            {index < categoryOrder.length - 1 && (
               <div className={cn(
                 "w-12 h-0.5 mx-1",
                 index < currentCategoryIndex ? "bg-primary" : "bg-muted"
@@ -269,11 +312,12 @@ export function CustomBANTQuestions({
     setQuestions(prev => {
       const updated = [...prev]
       const index = updated.findIndex(q => q.category === category)
-      if (index >= 0) {
-        updated[index] = { ...updated[index], question_text: text }
+      const existing = updated[index]
+      if (existing) {
+        updated[index] = { ...existing, question_text: text }
       } else {
         updated.push({
-          category: category as 'budget' | 'authority' | 'need' | 'timeline',
+          category,
           question_text: text,
           question_order: 1,
           is_active: true
@@ -287,7 +331,7 @@ export function CustomBANTQuestions({
   // Get question for specific category
   const getQuestionByCategory = (category: string) => {
     return questions.find(q => q.category === category) || 
-           { category: category as 'budget' | 'authority' | 'need' | 'timeline', question_text: "", question_order: 1, is_active: true }
+           { category, question_text: "", question_order: 1, is_active: true }
   }
 
   // Render tab-based UI for existing agents (non-onboarding)
@@ -301,9 +345,12 @@ export function CustomBANTQuestions({
       )}
 
       <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-        <TabsList className="grid w-full grid-cols-4">
-          {CATEGORY_ORDER.map(cat => {
-            const catInfo = CATEGORY_INFO[cat]
+        <TabsList
+          className="grid w-full h-auto"
+          style={{ gridTemplateColumns: `repeat(${Math.max(categoryOrder.length, 1)}, minmax(0, 1fr))` }}
+        >
+          {categoryOrder.map(cat => {
+            const catInfo = categoryInfoByKey[cat] ?? categoryInfo
             const CatIcon = catInfo.icon
             return (
               <TabsTrigger key={cat} value={cat} className="flex items-center gap-2">
@@ -314,8 +361,8 @@ export function CustomBANTQuestions({
           })}
         </TabsList>
 
-        {CATEGORY_ORDER.map(cat => {
-          const catInfo = CATEGORY_INFO[cat]
+        {categoryOrder.map(cat => {
+          const catInfo = categoryInfoByKey[cat] ?? categoryInfo
           const CatIcon = catInfo.icon
           const question = getQuestionByCategory(cat)
 
@@ -412,7 +459,7 @@ export function CustomBANTQuestions({
               </CardDescription>
             </div>
             <Badge variant="outline" className="ml-auto">
-              {currentCategoryIndex + 1} of {CATEGORY_ORDER.length}
+              {currentCategoryIndex + 1} of {categoryOrder.length}
             </Badge>
           </div>
         </CardHeader>
@@ -528,9 +575,9 @@ export function CustomBANTQuestions({
   return (
     <Card className={cn("bg-white border-gray-200", className)}>
       <CardHeader>
-        <CardTitle>Custom BANT Questions</CardTitle>
+        <CardTitle>Custom Qualification Questions</CardTitle>
         <CardDescription>
-          Define one question for each BANT category to qualify your leads effectively.
+          Define one question for each dimension of your qualification framework to qualify your leads effectively.
         </CardDescription>
       </CardHeader>
       <CardContent>{content}</CardContent>
@@ -0,0 +1,240 @@
+"use client"
+
+import { useEffect, useMemo, useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Textarea } from "@/components/ui/textarea"
+import { Badge } from "@/components/ui/badge"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Code2, Copy, Check, Loader2 } from "lucide-react"
+import { apiCall } from "@/lib/api"
+import { useAuth } from "@/contexts/simple-auth-context"
+import {
+  buildEmbedSnippet,
+  normalizeEmbedSettings,
+  parseAllowedDomains,
+  type EmbedPosition,
+  type EmbedSettings,
+} from "@/lib/embed"
+import { toast } from "sonner"
+
+interface EmbedWidgetSettingsProps {
+  agentId: string
+  agentName: string
+  enabled?: boolean
+  initialSettings?: Partial<EmbedSettings> | null
+  onSaved?: () => void
+}
+
+export function EmbedWidgetSettings({
+  agentId,
+  agentName,
+  enabled: initialEnabled = false,
+  initialSettings,
+  onSaved,
+}: EmbedWidgetSettingsProps) {
+  const { getAuthHeaders } = useAuth()
+  const [enabled, setEnabled] = useState(initialEnabled)
+  const [settings, setSettings] = useState<EmbedSettings>(() => normalizeEmbedSettings(initialSettings))
+  const [domainsInput, setDomainsInput] = useState(settings.allowedDomains.join(", "))
+  const [saving, setSaving] = useState(false)
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    const normalized = normalizeEmbedSettings(initialSettings)
+    setSettings(normalized)
+    setDomainsInput(normalized.allowedDomains.join(", "))
+    setEnabled(initialEnabled)
+  }, [agentId, initialEnabled, initialSettings])
+
+  const snippet = useMemo(() => buildEmbedSnippet(agentId, settings), [agentId, settings])
+
+  const updateSetting = <K extends keyof EmbedSettings>(key: K, value: EmbedSettings[K]) => {
+    setSettings((prev) => ({ ...prev, [key]: value }))
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(snippet)
+      setCopied(true)
+      toast.success("Embed code copied to clipboard")
+      setTimeout(() => setCopied(false), 2000)
+    } catch (error) {
+      console.error("Failed to copy embed code:", error)
+      toast.error("Could not copy embed code")
+    }
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      const authHeaders = await getAuthHeaders()
+      const embedSettings = { ...settings, allowedDomains: parseAllowedDomains(domainsInput) }
+
+      await apiCall(`/api/agents/${agentId}`, {
+        method: "PATCH",
+        headers: authHeaders,
+        body: {
+          embed_enabled: enabled,
+          embed_settings: embedSettings,
+        },
+      })
+
+      setSettings(embedSettings)
+      setDomainsInput(embedSettings.allowedDomains.join(", "))
+      toast.success("Website widget settings saved")
+      onSaved?.()
+    } catch (error) {
+      console.error("Failed to save embed settings:", error)
+      toast.error("Failed to save website widget settings")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Card className="bg-white border-gray-200">
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1">
+          <CardTitle className="flex items-center gap-2">
+            <Code2 className="h-5 w-5" />
+            Website Chat Widget
+          </CardTitle>
+          <CardDescription>
+            Let visitors chat with {agentName} directly on your listing site. Conversations appear with the Embed source.
+          </CardDescription>
+        </div>
+        <div className="flex items-center gap-2">
+          <Badge variant={enabled ? "default" : "secondary"}>{enabled ? "Enabled" : "Disabled"}</Badge>
+          <Switch checked={enabled} onCheckedChange={setEnabled} aria-label="Enable website widget" />
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {/* Left Column - Theming */}
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="embed-color">Brand Color</Label>
+                <div className="flex items-center gap-2">
+                  <Input
+                    id="embed-color"
+                    type="color"
+                    value={settings.primaryColor}
+                    onChange={(e) => updateSetting("primaryColor", e.target.value)}
+                    className="h-10 w-14 p-1"
+                  />
+                  <Input
+                    value={settings.primaryColor}
+                    onChange={(e) => updateSetting("primaryColor", e.target.value)}
+                    onBlur={() => setSettings((prev) => normalizeEmbedSettings(prev))}
+                    className="font-mono"
+                  />
+                </div>
+              </div>
+              <div className="space-y-2">
+                <Label>Position</Label>
+                <Select
+                  value={settings.position}
+                  onValueChange={(value) => updateSetting("position", value as EmbedPosition)}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="bottom-right">Bottom right</SelectItem>
+                    <SelectItem value="bottom-left">Bottom left</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="embed-title">Window Title</Label>
+                <Input
+                  id="embed-title"
+                  value={settings.title}
+                  onChange={(e) => updateSetting("title", e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="embed-launcher">Button Text</Label>
+                <Input
+                  id="embed-launcher"
+                  value={settings.launcherText}
+                  onChange={(e) => updateSetting("launcherText", e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="embed-greeting">Greeting</Label>
+              <Textarea
+                id="embed-greeting"
+                value={settings.greeting}
+                onChange={(e) => updateSetting("greeting", e.target.value)}
+                rows={3}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="embed-domains">Allowed Domains</Label>
+              <Input
+                id="embed-domains"
+                value={domainsInput}
+                onChange={(e) => setDomainsInput(e.target.value)}
+                placeholder="e.g., myrealty.com, listings.myrealty.com"
+              />
+              <p className="text-xs text-muted-foreground">
+                Leave empty to allow the widget on any website.
+              </p>
+            </div>
+
+            <Button onClick={handleSave} disabled={saving}>
+              {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+              {saving ? "Saving..." : "Save Widget Settings"}
+            </Button>
+          </div>
+
+          {/* Right Column - Preview & Snippet */}
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>Preview</Label>
+              <div
+                className={`relative h-40 rounded-lg border border-dashed bg-gray-50 flex items-end p-4 ${
+                  settings.position === "bottom-left" ? "justify-start" : "justify-end"
+                }`}
+              >
+                <span
+                  className="rounded-full px-5 py-3 text-sm font-semibold text-white shadow-lg"
+                  style={{ backgroundColor: settings.primaryColor }}
+                >
+                  {settings.launcherText || "Chat"}
+                </span>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="embed-snippet">Embed Code</Label>
+                <Button variant="outline" size="sm" onClick={handleCopy}>
+                  {copied ? <Check className="mr-2 h-4 w-4" /> : <Copy className="mr-2 h-4 w-4" />}
+                  {copied ? "Copied" : "Copy"}
+                </Button>
+              </div>
+              <Textarea id="embed-snippet" value={snippet} readOnly rows={8} className="font-mono text-xs" />
+              <p className="text-xs text-muted-foreground">
+                Paste this just before the closing &lt;/body&gt; tag of every page where the widget should appear.
+                {!enabled && " The widget will not respond until it is enabled and saved."}
+              </p>
+            </div>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,77 @@
+"use client"
+
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart"
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from "recharts"
+import { BANT_DIMENSION_LABELS, getConversionRate, type BantDropoffRow } from "@/lib/analytics/funnel"
+
+interface BantDropoffChartProps {
+  rows: BantDropoffRow[]
+}
+
+const chartConfig = {
+  reached: {
+    label: "Asked",
+    color: "#c7d2fe",
+  },
+  answered: {
+    label: "Answered",
+    color: "#6366f1",
+  },
+}
+
+export function BantDropoffChart({ rows }: BantDropoffChartProps) {
+  const data = rows.map((row) => ({
+    ...row,
+    label: BANT_DIMENSION_LABELS[row.dimension],
+    dropoff: 100 - getConversionRate(row.answered, row.reached),
+  }))
+
+  // The question that loses the largest share of prospects who were asked it
+  const worst = data.reduce<(typeof data)[number] | null>(
+    (current, row) => (row.reached > 0 && (!current || row.dropoff > current.dropoff) ? row : current),
+    null
+  )
+
+  return (
+    <Card className="bg-white border-gray-200">
+      <CardHeader>
+        <CardTitle>BANT Drop-off</CardTitle>
+        <CardDescription>
+          {worst
+            ? `${worst.label} loses the most prospects: ${worst.dropoff.toFixed(1)}% of those asked never answer`
+            : "Prospects who were asked each question vs. those who answered"}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {data.length === 0 ? (
+          <p className="text-center text-sm text-muted-foreground py-12">No data for the selected filters</p>
+        ) : (
+          <>
+            <ChartContainer config={chartConfig} className="h-[260px] w-full">
+              <BarChart data={data} margin={{ top: 5, right: 10, left: 10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                <YAxis allowDecimals={false} tickLine={false} axisLine={false} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <Bar dataKey="reached" fill="var(--color-reached)" radius={4} />
+                <Bar dataKey="answered" fill="var(--color-answered)" radius={4} />
+              </BarChart>
+            </ChartContainer>
+            <div className="mt-4 grid grid-cols-2 md:grid-cols-5 gap-2">
+              {data.map((row) => (
+                <div key={row.dimension} className="rounded-md border p-2 text-center">
+                  <p className="text-xs text-muted-foreground">{row.label}</p>
+                  <p className={`text-lg font-semibold ${row === worst ? "text-red-600" : "text-gray-900"}`}>
+                    {row.dropoff.toFixed(1)}%
+                  </p>
+                  <p className="text-[10px] text-muted-foreground">drop-off</p>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
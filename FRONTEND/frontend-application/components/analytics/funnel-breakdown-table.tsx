@@ -0,0 +1,61 @@
+"use client"
+
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { FUNNEL_STAGES, getConversionRate, type FunnelBreakdownRow } from "@/lib/analytics/funnel"
+
+interface FunnelBreakdownTableProps {
+  title: string
+  description: string
+  dimensionLabel: string
+  rows: FunnelBreakdownRow[]
+}
+
+export function FunnelBreakdownTable({ title, description, dimensionLabel, rows }: FunnelBreakdownTableProps) {
+  return (
+    <Card className="bg-white border-gray-200">
+      <CardHeader>
+        <CardTitle>{title}</CardTitle>
+        <CardDescription>{description}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{dimensionLabel}</TableHead>
+              {FUNNEL_STAGES.map((stage) => (
+                <TableHead key={stage.key} className="text-right">
+                  {stage.label}
+                </TableHead>
+              ))}
+              <TableHead className="text-right">Conversion</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {rows.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={FUNNEL_STAGES.length + 2} className="text-center text-muted-foreground py-6">
+                  No data for the selected filters
+                </TableCell>
+              </TableRow>
+            ) : (
+              rows.map((row) => (
+                <TableRow key={row.key}>
+                  <TableCell className="font-medium">{row.label}</TableCell>
+                  {FUNNEL_STAGES.map((stage) => (
+                    <TableCell key={stage.key} className="text-right">
+                      {row[stage.key].toLocaleString()}
+                    </TableCell>
+                  ))}
+                  <TableCell className="text-right font-semibold">
+                    {getConversionRate(row.priority_hot, row.conversations)}%
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,58 @@
+"use client"
+
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { ArrowDown } from "lucide-react"
+import { FUNNEL_STAGES, getConversionRate, type FunnelCounts } from "@/lib/analytics/funnel"
+
+interface FunnelStagesProps {
+  totals: FunnelCounts
+}
+
+export function FunnelStages({ totals }: FunnelStagesProps) {
+  const top = totals.conversations || 0
+
+  return (
+    <Card className="bg-white border-gray-200">
+      <CardHeader>
+        <CardTitle>Lead Funnel</CardTitle>
+        <CardDescription>How conversations turn into qualified, high-intent leads</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {FUNNEL_STAGES.map((stage, index) => {
+          const count = totals[stage.key] || 0
+          const previous = index > 0 ? totals[FUNNEL_STAGES[index - 1]!.key] || 0 : count
+          const width = top > 0 ? Math.max((count / top) * 100, 2) : 2
+
+          return (
+            <div key={stage.key}>
+              {index > 0 && (
+                <div className="flex items-center gap-2 py-1 pl-2 text-xs text-muted-foreground">
+                  <ArrowDown className="h-3 w-3" />
+                  <span>{getConversionRate(count, previous)}% continued</span>
+                  <span className="text-red-500">({previous - count} dropped)</span>
+                </div>
+              )}
+              <div className="flex items-center gap-4">
+                <div className="w-40 flex-shrink-0">
+                  <p className="text-sm font-medium text-gray-900">{stage.label}</p>
+                  <p className="text-xs text-muted-foreground">{stage.description}</p>
+                </div>
+                <div className="flex-1 h-9 rounded-md bg-gray-100 overflow-hidden">
+                  <div
+                    className="h-full rounded-md flex items-center px-3 text-sm font-semibold text-white transition-all"
+                    style={{ width: `${width}%`, backgroundColor: stage.color }}
+                  >
+                    {count.toLocaleString()}
+                  </div>
+                </div>
+                <span className="w-16 text-right text-sm text-muted-foreground">
+                  {getConversionRate(count, top)}%
+                </span>
+              </div>
+            </div>
+          )
+        })}
+      </CardContent>
+    </Card>
+  )
+}
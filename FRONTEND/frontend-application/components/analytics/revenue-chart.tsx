@@ -1,67 +0,0 @@
-"use client"
-
-import { Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts"
-import { Card, CardContent } from "@/components/ui/card"
-import { useTheme } from "next-themes"
-
-const data = [
-  { month: "Jan", revenue: 2000 },
-  { month: "Feb", revenue: 2200 },
-  { month: "Mar", revenue: 2700 },
-  { month: "Apr", revenue: 2400 },
-  { month: "May", revenue: 2800 },
-  { month: "Jun", revenue: 3200 },
-  { month: "Jul", revenue: 3100 },
-  { month: "Aug", revenue: 3400 },
-  { month: "Sep", revenue: 3700 },
-  { month: "Oct", revenue: 3500 },
-  { month: "Nov", revenue: 3800 },
-  { month: "Dec", revenue: 4200 },
-]
-
-export function RevenueChart() {
-  const { theme } = useTheme()
-
-  const CustomTooltip = ({ active, payload, label }) => {
-    if (active && payload && payload.length) {
-      return (
-        <Card className="border-none shadow-lg">
-          <CardContent className="p-2">
-            <p className="text-sm font-semibold">{label}</p>
-            <p className="text-sm text-muted-foreground">Revenue: ${payload[0].value.toLocaleString()}</p>
-          </CardContent>
-        </Card>
-      )
-    }
-    return null
-  }
-
-  return (
-    <ResponsiveContainer width="100%" height={350}>
-      <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-        <XAxis
-          dataKey="month"
-          stroke={theme === "dark" ? "#888888" : "#333333"}
-          fontSize={12}
-          tickLine={false}
-          axisLine={false}
-        />
-        <YAxis
-          stroke={theme === "dark" ? "#888888" : "#333333"}
-          fontSize={12}
-          tickLine={false}
-          axisLine={false}
-          tickFormatter={(value) => `$${value}`}
-        />
-        <Tooltip content={<CustomTooltip />} />
-        <Line
-          type="monotone"
-          dataKey="revenue"
-          stroke={theme === "dark" ? "#adfa1d" : "#0ea5e9"}
-          strokeWidth={2}
-          dot={false}
-        />
-      </LineChart>
-    </ResponsiveContainer>
-  )
-}
@@ -0,0 +1,262 @@
+"use client"
+
+import { Fragment, useState } from "react"
+import { addDays, endOfDay, format, startOfDay } from "date-fns"
+import type { DateRange } from "react-day-picker"
+import { toast } from "sonner"
+import { DateRangePicker } from "@/components/date-range-picker"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { ChevronDown, ChevronLeft, ChevronRight, ChevronUp, Download, Loader2, Search } from "lucide-react"
+import { useAuth } from "@/contexts/simple-auth-context"
+import { useDebounce } from "@/hooks/use-debounce"
+import { useAuditLogs } from "@/lib/queries/audit-queries"
+import { getAuthorizationHeader } from "@/lib/auth/session-client"
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+  downloadAuditLogExport,
+  formatAuditValue,
+  getAuditActionLabel,
+  getAuditChanges,
+  type AuditLogScope,
+} from "@/lib/audit/log"
+import type { AuditLogEntry } from "@/lib/validation/schemas"
+
+const PAGE_SIZE = 25
+
+const getActorTypeColor = (actorType: AuditLogEntry["actor_type"]) => {
+  switch (actorType) {
+    case "platform_admin": return "bg-purple-100 text-purple-800"
+    case "system": return "bg-gray-100 text-gray-800"
+    default: return "bg-blue-100 text-blue-800"
+  }
+}
+
+const ACTOR_TYPE_LABELS: Record<AuditLogEntry["actor_type"], string> = {
+  member: "Member",
+  platform_admin: "Leadify admin",
+  system: "System",
+}
+
+interface AuditLogViewerProps {
+  scope: AuditLogScope
+}
+
+export function AuditLogViewer({ scope }: AuditLogViewerProps) {
+  const { getAuthHeaders } = useAuth()
+  const [page, setPage] = useState(1)
+  const [action, setAction] = useState("all")
+  const [targetType, setTargetType] = useState("all")
+  const [actor, setActor] = useState("")
+  const [organizationId, setOrganizationId] = useState("")
+  const [dateRange, setDateRange] = useState<DateRange | undefined>({
+    from: addDays(new Date(), -29),
+    to: new Date(),
+  })
+  const [expandedId, setExpandedId] = useState<string | null>(null)
+  const [exporting, setExporting] = useState(false)
+
+  const debouncedActor = useDebounce(actor, 400)
+  const debouncedOrganizationId = useDebounce(organizationId, 400)
+  const showOrganization = scope === "admin"
+
+  const filters = {
+    action: action === "all" ? undefined : action,
+    targetType: targetType === "all" ? undefined : targetType,
+    actor: debouncedActor || undefined,
+    organizationId: showOrganization ? debouncedOrganizationId.trim() || undefined : undefined,
+    start: dateRange?.from ? startOfDay(dateRange.from).toISOString() : undefined,
+    end: dateRange?.from ? endOfDay(dateRange.to ?? dateRange.from).toISOString() : undefined,
+  }
+
+  const { data, isLoading, isFetching } = useAuditLogs(scope, {
+    limit: PAGE_SIZE,
+    offset: (page - 1) * PAGE_SIZE,
+    ...filters,
+  })
+
+  const entries = data?.entries || []
+  const total = data?.total ?? entries.length
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE))
+  const columnCount = showOrganization ? 7 : 6
+
+  const withPageReset = <T,>(setter: (value: T) => void) => (value: T) => {
+    setter(value)
+    setPage(1)
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const headers = scope === "admin" ? await getAuthorizationHeader("admin") : await getAuthHeaders()
+      await downloadAuditLogExport(scope, headers, filters)
+    } catch (error: any) {
+      toast.error(`Failed to export audit log: ${error.message}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative">
+          <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-muted-foreground" />
+          <Input
+            value={actor}
+            onChange={(e) => withPageReset(setActor)(e.target.value)}
+            placeholder="Search by actor email"
+            className="w-[220px] pl-8"
+          />
+        </div>
+        {showOrganization && (
+          <Input
+            value={organizationId}
+            onChange={(e) => withPageReset(setOrganizationId)(e.target.value)}
+            placeholder="Organization ID"
+            className="w-[220px]"
+          />
+        )}
+        <Select value={action} onValueChange={withPageReset(setAction)}>
+          <SelectTrigger className="w-[230px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All actions</SelectItem>
+            {AUDIT_ACTIONS.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={targetType} onValueChange={withPageReset(setTargetType)}>
+          <SelectTrigger className="w-[160px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All targets</SelectItem>
+            {AUDIT_TARGET_TYPES.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <DateRangePicker date={dateRange} onDateChange={withPageReset(setDateRange)} />
+        {isFetching && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+        <Button variant="outline" className="ml-auto" onClick={handleExport} disabled={exporting}>
+          {exporting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Download className="mr-2 h-4 w-4" />}
+          Export CSV
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-32">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center py-8 text-muted-foreground">
+          <p className="text-sm">No audit entries match these filters</p>
+          <p className="text-xs">Changes to agents, BANT configs, members, roles and handoffs are recorded here</p>
+        </div>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Time</TableHead>
+              {showOrganization && <TableHead>Organization</TableHead>}
+              <TableHead>Actor</TableHead>
+              <TableHead>Action</TableHead>
+              <TableHead>Target</TableHead>
+              <TableHead>IP Address</TableHead>
+              <TableHead className="w-[40px]" />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {entries.map((entry) => {
+              const isExpanded = expandedId === entry.id
+              const changes = getAuditChanges(entry)
+
+              return (
+                <Fragment key={entry.id}>
+                  <TableRow>
+                    <TableCell className="whitespace-nowrap text-sm">
+                      {format(new Date(entry.created_at), "MMM d, yyyy h:mm a")}
+                    </TableCell>
+                    {showOrganization && (
+                      <TableCell className="text-sm">{entry.organization_name || entry.organization_id || "—"}</TableCell>
+                    )}
+                    <TableCell>
+                      <div className="text-sm">{entry.actor_email || "Unknown"}</div>
+                      <Badge variant="outline" className={`mt-1 text-xs ${getActorTypeColor(entry.actor_type)}`}>
+                        {ACTOR_TYPE_LABELS[entry.actor_type]}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-sm">{getAuditActionLabel(entry.action)}</TableCell>
+                    <TableCell className="text-sm">
+                      <span className="capitalize text-muted-foreground">{entry.target_type}</span>{" "}
+                      {entry.target_label || entry.target_id || ""}
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">{entry.ip_address || "—"}</TableCell>
+                    <TableCell>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        title="Show details"
+                        onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                      >
+                        {isExpanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                  {isExpanded && (
+                    <TableRow className="bg-gray-50 hover:bg-gray-50">
+                      <TableCell colSpan={columnCount}>
+                        {entry.user_agent && (
+                          <p className="text-xs text-muted-foreground mb-2">User agent: {entry.user_agent}</p>
+                        )}
+                        {changes.length === 0 ? (
+                          <p className="text-xs text-muted-foreground">No field changes recorded</p>
+                        ) : (
+                          <div className="space-y-1">
+                            {changes.map((change) => (
+                              <div key={change.field} className="grid grid-cols-[160px_1fr_1fr] gap-2 rounded border bg-white px-3 py-1.5 text-xs">
+                                <span className="font-medium">{change.field}</span>
+                                <pre className="whitespace-pre-wrap break-all text-red-700">{formatAuditValue(change.before)}</pre>
+                                <pre className="whitespace-pre-wrap break-all text-green-700">{formatAuditValue(change.after)}</pre>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </Fragment>
+              )
+            })}
+          </TableBody>
+        </Table>
+      )}
+
+      <div className="flex items-center justify-between text-sm text-muted-foreground">
+        <span>{total} entries</span>
+        <div className="flex items-center gap-2">
+          <span>
+            Page {page} of {totalPages}
+          </span>
+          <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -26,6 +26,8 @@ interface ChatInterfaceProps {
   onRefreshConversation?: () => void
   onNewConversation?: () => void
   agentId?: string | null
+  // Message to scroll to and mark, e.g. one picked from conversation search
+  highlightMessageId?: string | null
 }
 
 export function ChatInterface({ 
@@ -35,23 +37,40 @@ export function ChatInterface({
   onHandoffRequested,
   onRefreshConversation,
   onNewConversation,
-  agentId
+  agentId,
+  highlightMessageId
 }: ChatInterfaceProps) {
   const [newMessage, setNewMessage] = useState("")
   const [sending, setSending] = useState(false)
   const [handoffRequested, setHandoffRequested] = useState(false)
   const [refreshing, setRefreshing] = useState(false)
   const scrollAreaRef = useRef<HTMLDivElement>(null)
+  const scrolledToHighlightRef = useRef<string | null>(null)
+  const messageCountRef = useRef(0)
 
   // Ensure messages is always an array
   const safeMessages = Array.isArray(messages) ? messages : []
 
   useEffect(() => {
-    // Scroll to bottom when new messages arrive
-    if (scrollAreaRef.current) {
+    const messageCount = Array.isArray(messages) ? messages.length : 0
+    const hasNewMessages = messageCount > messageCountRef.current
+    messageCountRef.current = messageCount
+
+    if (highlightMessageId && scrolledToHighlightRef.current !== highlightMessageId) {
+      // Messages may still be loading; try again when they arrive
+      const target = scrollAreaRef.current?.querySelector(`[data-message-id="${CSS.escape(highlightMessageId)}"]`)
+      if (target) {
+        target.scrollIntoView({ block: "center" })
+        scrolledToHighlightRef.current = highlightMessageId
+      }
+      return
+    }
+
+    // Scroll to bottom when new messages arrive; a highlighted message stays in view until then
+    if (scrollAreaRef.current && (!highlightMessageId || hasNewMessages)) {
       scrollAreaRef.current.scrollTop = scrollAreaRef.current.scrollHeight
     }
-  }, [safeMessages])
+  }, [messages, highlightMessageId])
 
   const handleSend = async () => {
     if (!newMessage.trim() || sending) return
@@ -139,12 +158,16 @@ export function ChatInterface({
         ) : (
           <div className="space-y-4">
             {safeMessages.map((message) => (
-              <div key={message.id} className="flex items-start space-x-3">
+              <div key={message.id} data-message-id={message.id} className="flex items-start space-x-3">
                 <div className={`p-2 rounded-full ${getSenderColor(message.sender)}`}>
                   {getSenderIcon(message.sender)}
                 </div>
                 <div className="flex-1">
-                  <div className="bg-muted p-3 rounded-lg">
+                  <div
+                    className={`bg-muted p-3 rounded-lg ${
+                      message.id === highlightMessageId ? "ring-2 ring-yellow-400 bg-yellow-50" : ""
+                    }`}
+                  >
                     <p className="text-sm">{message.content}</p>
                   </div>
                   <p className="text-xs text-muted-foreground mt-1">
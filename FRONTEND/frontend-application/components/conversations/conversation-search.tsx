@@ -0,0 +1,200 @@
+"use client"
+
+import { useState } from "react"
+import type { DateRange } from "react-day-picker"
+import { formatDistanceToNow } from "date-fns"
+import { Input } from "@/components/ui/input"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { DateRangePicker } from "@/components/date-range-picker"
+import { Loader2, Search, X } from "lucide-react"
+import { useDebounce } from "@/hooks/use-debounce"
+import { useAgents } from "@/lib/queries/agent-queries"
+import { useConversationSearch } from "@/lib/queries/conversation-queries"
+import { FUNNEL_SOURCES, type FunnelSource } from "@/lib/analytics/funnel"
+import {
+  CONVERSATION_MODE_LABELS,
+  CONVERSATION_SEARCH_MODES,
+  isSearchableQuery,
+  splitHighlightedSnippet,
+} from "@/lib/conversations/search"
+import type { ConversationMode, ConversationSearchResult } from "@/lib/validation/schemas"
+
+const SENDER_LABELS: Record<ConversationSearchResult["sender"], string> = {
+  user: "Lead",
+  ai: "AI",
+  human_agent: "Agent",
+}
+
+function HighlightedSnippet({ snippet }: { snippet: string }) {
+  return (
+    <p className="text-xs text-gray-700 line-clamp-3">
+      {splitHighlightedSnippet(snippet).map((segment, index) =>
+        segment.highlighted ? (
+          <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm px-0.5">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </p>
+  )
+}
+
+interface ConversationSearchProps {
+  onSelectResult: (result: ConversationSearchResult) => void
+  selectedMessageId?: string | null
+}
+
+export function ConversationSearch({ onSelectResult, selectedMessageId }: ConversationSearchProps) {
+  const [query, setQuery] = useState("")
+  const [agentId, setAgentId] = useState("all")
+  const [source, setSource] = useState<FunnelSource | "all">("all")
+  const [mode, setMode] = useState<ConversationMode | "all">("all")
+  const [dateRange, setDateRange] = useState<DateRange | undefined>()
+  const debouncedQuery = useDebounce(query, 300)
+
+  const { data: agentsData } = useAgents()
+  const agents = (agentsData as { agents?: { id: string; name: string }[] } | undefined)?.agents ?? []
+
+  const { data, isFetching, error } = useConversationSearch({
+    query: debouncedQuery,
+    agentId,
+    source,
+    mode,
+    from: dateRange?.from,
+    to: dateRange?.to ?? dateRange?.from,
+  })
+  const searching = isSearchableQuery(debouncedQuery)
+  const results = searching ? data?.results ?? [] : []
+
+  return (
+    <div className="space-y-3">
+      <div className="relative">
+        <Search className="absolute left-2 top-2.5 h-4 w-4 text-muted-foreground" />
+        <Input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search message content..."
+          className="pl-8 pr-8"
+        />
+        {query && (
+          <button
+            type="button"
+            className="absolute right-2 top-2.5 text-muted-foreground hover:text-gray-900"
+            onClick={() => setQuery("")}
+            aria-label="Clear search"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <Select value={agentId} onValueChange={setAgentId}>
+          <SelectTrigger className="h-8 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All agents</SelectItem>
+            {agents.map((agent) => (
+              <SelectItem key={agent.id} value={agent.id}>
+                {agent.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={source} onValueChange={(value) => setSource(value as FunnelSource | "all")}>
+          <SelectTrigger className="h-8 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All sources</SelectItem>
+            {FUNNEL_SOURCES.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={mode} onValueChange={(value) => setMode(value as ConversationMode | "all")}>
+          <SelectTrigger className="h-8 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All modes</SelectItem>
+            {CONVERSATION_SEARCH_MODES.map((value) => (
+              <SelectItem key={value} value={value}>
+                {CONVERSATION_MODE_LABELS[value]}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <DateRangePicker date={dateRange} onDateChange={setDateRange} className="flex-1 [&_button]:w-full" />
+        {dateRange && (
+          <Button variant="ghost" size="sm" onClick={() => setDateRange(undefined)}>
+            Clear
+          </Button>
+        )}
+      </div>
+
+      {!searching ? (
+        <p className="py-6 text-center text-sm text-muted-foreground">
+          Type at least two characters to search every message
+        </p>
+      ) : error ? (
+        <p className="py-6 text-center text-sm text-red-600">Search failed. Please try again.</p>
+      ) : isFetching && results.length === 0 ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        </div>
+      ) : results.length === 0 ? (
+        <p className="py-6 text-center text-sm text-muted-foreground">No messages match your search</p>
+      ) : (
+        <div className="space-y-2">
+          <p className="text-xs text-muted-foreground">
+            {data?.total ?? results.length} matching message{(data?.total ?? results.length) === 1 ? "" : "s"}
+            {isFetching && <Loader2 className="ml-2 inline h-3 w-3 animate-spin" />}
+          </p>
+          {results.map((result) => (
+            <button
+              key={result.message_id}
+              type="button"
+              onClick={() => onSelectResult(result)}
+              className={`w-full text-left p-3 border rounded-lg transition-colors ${
+                selectedMessageId === result.message_id
+                  ? "border-blue-500 bg-blue-50"
+                  : "border-gray-200 hover:border-gray-300"
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2 mb-1">
+                <span className="text-sm font-medium truncate">{result.lead_name || "Unknown Lead"}</span>
+                <span className="text-xs text-muted-foreground flex-shrink-0">
+                  {formatDistanceToNow(new Date(result.sent_at), { addSuffix: true })}
+                </span>
+              </div>
+              <HighlightedSnippet snippet={result.snippet} />
+              <div className="flex flex-wrap items-center gap-1 mt-2">
+                <Badge variant="outline" className="text-[10px]">{SENDER_LABELS[result.sender]}</Badge>
+                {result.mode !== "ai" && (
+                  <Badge variant="outline" className="text-[10px] bg-orange-50 text-orange-700">
+                    {CONVERSATION_MODE_LABELS[result.mode]}
+                  </Badge>
+                )}
+                {result.agent_name && (
+                  <span className="text-[10px] text-muted-foreground">{result.agent_name}</span>
+                )}
+                {result.source && <span className="text-[10px] text-muted-foreground">· {result.source}</span>}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
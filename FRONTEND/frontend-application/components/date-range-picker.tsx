@@ -10,11 +10,18 @@ import { Button } from "@/components/ui/button"
 import { Calendar } from "@/components/ui/calendar"
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
 
-export function DateRangePicker({ className }: React.HTMLAttributes<HTMLDivElement>) {
-  const [date, setDate] = React.useState<DateRange | undefined>({
-    from: new Date(2023, 0, 20),
-    to: addDays(new Date(2023, 0, 20), 20),
+interface DateRangePickerProps extends React.HTMLAttributes<HTMLDivElement> {
+  date?: DateRange
+  onDateChange?: (date: DateRange | undefined) => void
+}
+
+export function DateRangePicker({ className, date: controlledDate, onDateChange }: DateRangePickerProps) {
+  const [uncontrolledDate, setUncontrolledDate] = React.useState<DateRange | undefined>({
+    from: addDays(new Date(), -29),
+    to: new Date(),
   })
+  const date = onDateChange ? controlledDate : uncontrolledDate
+  const setDate = onDateChange ?? setUncontrolledDate
 
   return (
     <div className={cn("grid gap-2", className)}>
@@ -0,0 +1,347 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Loader2, Send, Plus, X } from "lucide-react"
+import { apiCall } from "@/lib/api"
+import { useMessageStreaming } from "@/hooks/use-message-streaming"
+import type { EmbedSettings } from "@/lib/embed"
+
+interface Message {
+  id: string
+  content: string
+  sender: string
+  timestamp: string
+}
+
+interface ChatResponse {
+  conversationId?: string
+  response?: string
+  handoffCreated?: boolean
+  agentName?: string
+}
+
+interface NewConversationResponse {
+  conversation?: {
+    id: string
+  }
+}
+
+interface EmbedChatProps {
+  agentId: string
+  settings: EmbedSettings
+  // Origin of the site embedding the widget, checked against the agent's allowed domains
+  parentOrigin: string | null
+}
+
+interface StoredSession {
+  visitorId: string
+  conversationId: string | null
+}
+
+// Visitors are anonymous; keep a stable id per browser so the backend can
+// group their messages into one embed conversation
+const getStorageKey = (agentId: string) => `leadify-embed-${agentId}`
+
+const loadSession = (agentId: string): StoredSession => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(agentId))
+    if (stored) {
+      const parsed = JSON.parse(stored)
+      if (parsed?.visitorId) {
+        return { visitorId: parsed.visitorId, conversationId: parsed.conversationId || null }
+      }
+    }
+  } catch (error) {
+    console.warn("[Embed Chat] Failed to read stored session:", error)
+  }
+  return { visitorId: `embed-visitor-${crypto.randomUUID()}`, conversationId: null }
+}
+
+const saveSession = (agentId: string, session: StoredSession) => {
+  try {
+    localStorage.setItem(getStorageKey(agentId), JSON.stringify(session))
+  } catch (error) {
+    console.warn("[Embed Chat] Failed to store session:", error)
+  }
+}
+
+// Stable empty headers object so the streaming hook doesn't resubscribe on every render
+const PUBLIC_HEADERS: Record<string, string> = {}
+
+export function EmbedChat({ agentId, settings, parentOrigin }: EmbedChatProps) {
+  const [session, setSession] = useState<StoredSession | null>(null)
+  const [messages, setMessages] = useState<Message[]>([])
+  const [newMessage, setNewMessage] = useState("")
+  const [sending, setSending] = useState(false)
+  const [loadingHistory, setLoadingHistory] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const scrollRef = useRef<HTMLDivElement>(null)
+
+  const greetingMessage = useCallback(
+    (): Message[] =>
+      settings.greeting
+        ? [{ id: "initial-ai-message", content: settings.greeting, sender: "ai", timestamp: new Date().toISOString() }]
+        : [],
+    [settings.greeting]
+  )
+
+  const updateSession = useCallback(
+    (conversationId: string | null) => {
+      setSession((prev) => {
+        if (!prev) return prev
+        const next = { ...prev, conversationId }
+        saveSession(agentId, next)
+        return next
+      })
+    },
+    [agentId]
+  )
+
+  // Restore the visitor session and any previous conversation on load
+  useEffect(() => {
+    const stored = loadSession(agentId)
+    saveSession(agentId, stored)
+    setSession(stored)
+
+    if (!stored.conversationId) {
+      setMessages(greetingMessage())
+      return
+    }
+
+    setLoadingHistory(true)
+    apiCall<{ messages?: any[] } | any[]>(
+      `/api/conversations/${stored.conversationId}/messages?visitorId=${encodeURIComponent(stored.visitorId)}`
+    )
+      .then((response) => {
+        const messagesData = Array.isArray(response) ? response : response?.messages || []
+        const history = messagesData.map((message: any) => ({
+          id: message.id || `msg-${Date.now()}-${Math.random()}`,
+          content: message.content || "",
+          sender: message.sender || "user",
+          timestamp: message.timestamp || message.sent_at || new Date().toISOString(),
+        }))
+        setMessages(history.length > 0 ? history : greetingMessage())
+      })
+      .catch((error) => {
+        // Expired or foreign conversation - start over rather than blocking the visitor
+        console.warn("[Embed Chat] Could not restore conversation, starting fresh:", error)
+        saveSession(agentId, { ...stored, conversationId: null })
+        setSession({ ...stored, conversationId: null })
+        setMessages(greetingMessage())
+      })
+      .finally(() => setLoadingHistory(false))
+  }, [agentId, greetingMessage])
+
+  const handleNewMessage = useCallback((incoming: Message) => {
+    if (incoming.sender === "user") return
+
+    setMessages((prev) => {
+      const exists = prev.some(
+        (msg) =>
+          (msg.id && msg.id === incoming.id) ||
+          (msg.content === incoming.content &&
+            msg.sender === incoming.sender &&
+            Math.abs(new Date(msg.timestamp).getTime() - new Date(incoming.timestamp).getTime()) < 5000)
+      )
+      return exists ? prev : [...prev, incoming]
+    })
+  }, [])
+
+  // Human agent replies after a handoff arrive through realtime, same as the preview modal
+  useMessageStreaming({
+    conversationId: session?.conversationId || null,
+    onNewMessage: handleNewMessage,
+    authHeaders: PUBLIC_HEADERS,
+  })
+
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight
+    }
+  }, [messages])
+
+  const handleSend = async () => {
+    if (!newMessage.trim() || sending || !session) return
+
+    const content = newMessage.trim()
+    const userMessage: Message = {
+      id: `user-${Date.now()}`,
+      content,
+      sender: "user",
+      timestamp: new Date().toISOString(),
+    }
+
+    setMessages((prev) => [...prev, userMessage])
+    setNewMessage("")
+    setSending(true)
+    setError(null)
+
+    try {
+      const response = await apiCall<ChatResponse>("/api/chat", {
+        method: "POST",
+        body: {
+          agentId,
+          message: content,
+          conversationId: session.conversationId,
+          history: messages.map((msg) => ({
+            role: msg.sender === "user" ? "user" : "assistant",
+            content: msg.content,
+          })),
+          userId: session.visitorId,
+          source: "embed",
+        },
+      })
+
+      if (response.conversationId && response.conversationId !== session.conversationId) {
+        updateSession(response.conversationId)
+      }
+
+      if (response.handoffCreated) {
+        setMessages((prev) => [
+          ...prev,
+          {
+            id: `system-handoff-${Date.now()}`,
+            content: `A member of our team${response.agentName ? ` (${response.agentName})` : ""} will join this chat shortly.`,
+            sender: "system",
+            timestamp: new Date().toISOString(),
+          },
+        ])
+      } else if (typeof response.response === "string") {
+        handleNewMessage({
+          id: `immediate-ai-${Date.now()}`,
+          content: response.response,
+          sender: "ai",
+          timestamp: new Date().toISOString(),
+        })
+      }
+    } catch (error) {
+      console.error("[Embed Chat] Failed to send message:", error)
+      setError("Message could not be sent. Please try again.")
+    } finally {
+      setSending(false)
+    }
+  }
+
+  const handleNewConversation = async () => {
+    try {
+      const response = await apiCall<NewConversationResponse>("/api/conversations/new", {
+        method: "POST",
+        body: {
+          agentId,
+          source: "embed",
+          userId: session?.visitorId,
+        },
+      })
+      updateSession(response?.conversation?.id || null)
+    } catch (error) {
+      // The next message creates a conversation anyway, so just reset locally
+      console.warn("[Embed Chat] Failed to create new conversation:", error)
+      updateSession(null)
+    }
+    setMessages(greetingMessage())
+    setError(null)
+  }
+
+  const handleClose = () => {
+    if (!parentOrigin) return
+    window.parent?.postMessage({ source: "leadify-embed", type: "close" }, parentOrigin)
+  }
+
+  return (
+    <div className="flex h-screen flex-col bg-white text-sm">
+      <div
+        className="flex items-center justify-between px-4 py-3 text-white"
+        style={{ backgroundColor: settings.primaryColor }}
+      >
+        <span className="font-semibold">{settings.title}</span>
+        <div className="flex items-center gap-1">
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7 text-white hover:bg-white/20 hover:text-white"
+            onClick={handleNewConversation}
+            disabled={sending}
+            title="Start a new conversation"
+          >
+            <Plus className="h-4 w-4" />
+          </Button>
+          {parentOrigin && (
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7 text-white hover:bg-white/20 hover:text-white"
+              onClick={handleClose}
+              title="Close"
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div ref={scrollRef} className="flex-1 space-y-3 overflow-y-auto bg-gray-50 p-4">
+        {loadingHistory ? (
+          <div className="flex items-center justify-center py-8 text-muted-foreground">
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Loading conversation...
+          </div>
+        ) : (
+          messages.map((message) => (
+            <div
+              key={message.id}
+              className={`flex ${message.sender === "user" ? "justify-end" : message.sender === "system" ? "justify-center" : "justify-start"}`}
+            >
+              <div
+                className={
+                  message.sender === "system"
+                    ? "rounded-lg bg-gray-200 px-3 py-1 text-xs text-gray-600"
+                    : `max-w-[80%] whitespace-pre-wrap rounded-2xl px-3 py-2 ${
+                        message.sender === "user" ? "text-white" : "border border-gray-200 bg-white text-gray-900"
+                      }`
+                }
+                style={message.sender === "user" ? { backgroundColor: settings.primaryColor } : undefined}
+              >
+                {message.content}
+              </div>
+            </div>
+          ))
+        )}
+        {sending && (
+          <div className="flex justify-start">
+            <div className="rounded-2xl border border-gray-200 bg-white px-3 py-2">
+              <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="bg-red-50 px-4 py-2 text-xs text-red-600">{error}</div>}
+
+      <form
+        className="flex items-center gap-2 border-t p-3"
+        onSubmit={(e) => {
+          e.preventDefault()
+          handleSend()
+        }}
+      >
+        <Input
+          value={newMessage}
+          onChange={(e) => setNewMessage(e.target.value)}
+          placeholder="Type your message..."
+          disabled={!session || loadingHistory}
+          className="flex-1"
+        />
+        <Button
+          type="submit"
+          size="icon"
+          disabled={!newMessage.trim() || sending || !session}
+          style={{ backgroundColor: settings.primaryColor }}
+        >
+          {sending ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+        </Button>
+      </form>
+    </div>
+  )
+}
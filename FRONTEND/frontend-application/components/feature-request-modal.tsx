@@ -15,6 +15,7 @@ import { Textarea } from "@/components/ui/textarea"
 import { Label } from "@/components/ui/label"
 import { Lightbulb, CheckCircle, Loader2, TrendingUp, Star } from "lucide-react"
 import { toast } from "sonner"
+import { useCreateFeatureRequest } from "@/lib/queries/feature-request-queries"
 
 interface FeatureRequestModalProps {
   open: boolean
@@ -22,7 +23,8 @@ interface FeatureRequestModalProps {
 }
 
 export function FeatureRequestModal({ open, onOpenChange }: FeatureRequestModalProps) {
-  const { user, getAuthHeaders } = useAuth()
+  const { user } = useAuth()
+  const createFeatureRequest = useCreateFeatureRequest()
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [submitted, setSubmitted] = useState(false)
   const [submittedFeature, setSubmittedFeature] = useState<any>(null)
@@ -48,28 +50,11 @@ export function FeatureRequestModal({ open, onOpenChange }: FeatureRequestModalP
     setIsSubmitting(true)
 
     try {
-      // Get auth headers from context
-      const authHeaders = await getAuthHeaders()
-      
-      // Submit feature request - backend will auto-fetch user info
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/feature-requests`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...authHeaders
-        },
-        body: JSON.stringify({
-          requested_feature: formData.requestedFeature,
-          reason: formData.reason
-        })
+      // Backend fills in the user and organization from the token
+      const data = await createFeatureRequest.mutateAsync({
+        requested_feature: formData.requestedFeature,
+        reason: formData.reason
       })
-
-      if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.message || 'Failed to submit feature request')
-      }
-
-      const data = await response.json()
       
       // Store submitted feature for display
       setSubmittedFeature({
@@ -126,7 +111,7 @@ export function FeatureRequestModal({ open, onOpenChange }: FeatureRequestModalP
               <DialogDescription>
                 Have an idea for a new feature? Let us know what you'd like to see and why it would be valuable.
                 <span className="block mt-2 text-xs text-muted-foreground">
-                  Your request will be submitted with your account information for follow-up.
+                  Your request will appear on the feature request board, where other customers can vote on it.
                 </span>
               </DialogDescription>
             </DialogHeader>
@@ -239,7 +224,7 @@ export function FeatureRequestModal({ open, onOpenChange }: FeatureRequestModalP
                   
                   <div className="flex items-center gap-2 text-sm text-muted-foreground">
                     <Star className="h-4 w-4" />
-                    <span>You'll receive updates on this feature request via email</span>
+                    <span>You&apos;ll be notified when its status changes</span>
                   </div>
                 </div>
               )}
@@ -0,0 +1,155 @@
+"use client"
+
+import { useMemo, useState } from "react"
+import { formatDistanceToNow } from "date-fns"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Textarea } from "@/components/ui/textarea"
+import { Loader2, MessageSquare, Reply } from "lucide-react"
+import { buildCommentThreads } from "@/lib/feature-requests/portal"
+import type { FeatureRequestComment } from "@/lib/validation/schemas"
+
+interface FeatureRequestCommentsProps {
+  comments: FeatureRequestComment[]
+  // Resolves once the comment is saved; the composer clears only then
+  onSubmit: (comment: string, parentId: string | null) => Promise<unknown>
+  isSubmitting?: boolean
+  placeholder?: string
+}
+
+function CommentBody({ comment }: { comment: FeatureRequestComment }) {
+  return (
+    <div>
+      <div className="flex items-center gap-2 text-xs">
+        <span className="font-medium text-gray-900">
+          {comment.is_own ? "You" : comment.author_name || "Someone"}
+        </span>
+        {comment.is_admin_comment && (
+          <Badge className="bg-blue-100 text-blue-700 hover:bg-blue-100 text-[10px] px-1.5 py-0">Leadify team</Badge>
+        )}
+        <span className="text-muted-foreground">
+          {formatDistanceToNow(new Date(comment.created_at), { addSuffix: true })}
+        </span>
+      </div>
+      <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap">{comment.comment}</p>
+    </div>
+  )
+}
+
+function CommentComposer({
+  onSubmit,
+  isSubmitting,
+  placeholder,
+  autoFocus,
+  onCancel,
+}: {
+  onSubmit: (comment: string) => Promise<unknown>
+  isSubmitting?: boolean
+  placeholder: string
+  autoFocus?: boolean
+  onCancel?: () => void
+}) {
+  const [value, setValue] = useState("")
+
+  const handleSubmit = async () => {
+    const text = value.trim()
+    if (!text) return
+    try {
+      await onSubmit(text)
+      setValue("")
+    } catch {
+      // The mutation already showed the error; keep the text so it can be sent again
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <Textarea
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        rows={3}
+        autoFocus={autoFocus}
+      />
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <Button variant="ghost" size="sm" onClick={onCancel} disabled={isSubmitting}>
+            Cancel
+          </Button>
+        )}
+        <Button size="sm" onClick={handleSubmit} disabled={!value.trim() || isSubmitting}>
+          {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Post
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export function FeatureRequestComments({
+  comments,
+  onSubmit,
+  isSubmitting,
+  placeholder = "Share how this would help you...",
+}: FeatureRequestCommentsProps) {
+  const [replyingTo, setReplyingTo] = useState<string | null>(null)
+  const threads = useMemo(() => buildCommentThreads(comments), [comments])
+
+  return (
+    <div className="space-y-6">
+      <CommentComposer
+        placeholder={placeholder}
+        isSubmitting={isSubmitting && !replyingTo}
+        onSubmit={(comment) => onSubmit(comment, null)}
+      />
+
+      {threads.length === 0 ? (
+        <div className="py-6 text-center text-sm text-muted-foreground">
+          <MessageSquare className="mx-auto mb-2 h-8 w-8 text-gray-300" />
+          No comments yet
+        </div>
+      ) : (
+        <div className="space-y-5">
+          {threads.map(({ comment, replies }) => (
+            <div key={comment.id} className="space-y-3">
+              <CommentBody comment={comment} />
+
+              {replies.length > 0 && (
+                <div className="ml-4 space-y-3 border-l-2 border-gray-100 pl-4">
+                  {replies.map((reply) => (
+                    <CommentBody key={reply.id} comment={reply} />
+                  ))}
+                </div>
+              )}
+
+              <div className="ml-4 pl-4">
+                {replyingTo === comment.id ? (
+                  <CommentComposer
+                    placeholder="Write a reply..."
+                    autoFocus
+                    isSubmitting={isSubmitting}
+                    onCancel={() => setReplyingTo(null)}
+                    onSubmit={async (reply) => {
+                      await onSubmit(reply, comment.id)
+                      setReplyingTo(null)
+                    }}
+                  />
+                ) : (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 px-2 text-xs text-muted-foreground"
+                    onClick={() => setReplyingTo(comment.id)}
+                  >
+                    <Reply className="mr-1 h-3 w-3" />
+                    Reply
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,47 @@
+"use client"
+
+import { Check } from "lucide-react"
+import { cn } from "@/lib/utils"
+import {
+  FEATURE_REQUEST_PROGRESS,
+  FEATURE_REQUEST_STATUS_LABELS,
+  getFeatureRequestProgress,
+  type FeatureRequestStatus,
+} from "@/lib/feature-requests/portal"
+
+export function FeatureRequestProgress({ status }: { status: FeatureRequestStatus }) {
+  const current = getFeatureRequestProgress(status)
+
+  if (current === -1) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        {status === "on_hold"
+          ? "This request is on hold for now. Keep voting to show it still matters."
+          : "The team isn't planning to build this. See the comments for why."}
+      </p>
+    )
+  }
+
+  return (
+    <ol className="flex items-center gap-2">
+      {FEATURE_REQUEST_PROGRESS.map((step, index) => (
+        <li key={step} className="flex flex-1 items-center gap-2">
+          <span
+            className={cn(
+              "flex h-6 w-6 flex-shrink-0 items-center justify-center rounded-full border text-xs",
+              index < current && "border-green-500 bg-green-500 text-white",
+              index === current && "border-blue-600 bg-blue-600 text-white",
+              index > current && "border-gray-300 text-gray-400"
+            )}
+          >
+            {index < current ? <Check className="h-3.5 w-3.5" /> : index + 1}
+          </span>
+          <span className={cn("text-xs", index === current ? "font-medium text-gray-900" : "text-muted-foreground")}>
+            {FEATURE_REQUEST_STATUS_LABELS[step]}
+          </span>
+          {index < FEATURE_REQUEST_PROGRESS.length - 1 && <span className="h-px flex-1 bg-gray-200" />}
+        </li>
+      ))}
+    </ol>
+  )
+}
@@ -0,0 +1,42 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import { ChevronUp } from "lucide-react"
+import { cn } from "@/lib/utils"
+import { useFeatureRequestVote } from "@/lib/queries/feature-request-queries"
+import type { FeatureRequest } from "@/lib/validation/schemas"
+
+interface FeatureRequestVoteButtonProps {
+  request: Pick<FeatureRequest, "id" | "upvotes" | "has_voted" | "merged_into_id">
+  className?: string
+}
+
+export function FeatureRequestVoteButton({ request, className }: FeatureRequestVoteButtonProps) {
+  const vote = useFeatureRequestVote()
+  // Votes on a merged request live on the request it was merged into
+  const disabled = !!request.merged_into_id || vote.isPending
+
+  return (
+    <Button
+      type="button"
+      variant="outline"
+      className={cn(
+        "flex h-auto min-w-[56px] flex-col gap-0 px-3 py-2",
+        request.has_voted && "border-blue-500 bg-blue-50 text-blue-700 hover:bg-blue-100 hover:text-blue-700",
+        className
+      )}
+      disabled={disabled}
+      aria-pressed={request.has_voted}
+      title={request.has_voted ? "Remove your vote" : "Vote for this request"}
+      onClick={(e) => {
+        // Cards link to the request; voting shouldn't navigate
+        e.preventDefault()
+        e.stopPropagation()
+        vote.mutate({ id: request.id, voted: !request.has_voted })
+      }}
+    >
+      <ChevronUp className="h-4 w-4" />
+      <span className="text-sm font-semibold">{request.upvotes}</span>
+    </Button>
+  )
+}
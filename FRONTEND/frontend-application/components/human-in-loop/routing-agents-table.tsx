@@ -0,0 +1,173 @@
+"use client"
+
+import { useState } from "react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Progress } from "@/components/ui/progress"
+import { Switch } from "@/components/ui/switch"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Check, Loader2, Pencil, X } from "lucide-react"
+import {
+  HANDOFF_ROUTING_EXCLUSION_LABELS,
+  getAgentLoad,
+  getRoutingExclusion,
+  normalizeSpecialties,
+  type HandoffRoutingProfileUpdate,
+} from "@/lib/handoff/routing"
+import type { HandoffRoutingSettings, HumanAgentRoutingProfile } from "@/lib/validation/schemas"
+import { usePresence } from "@/contexts/presence-context"
+import { PresenceDot, getPresenceLabel } from "@/components/presence/presence-avatar"
+
+interface RoutingAgentsTableProps {
+  agents: HumanAgentRoutingProfile[]
+  settings: HandoffRoutingSettings
+  savingId?: string | null
+  onUpdate: (id: string, data: HandoffRoutingProfileUpdate) => Promise<void>
+}
+
+export function RoutingAgentsTable({ agents, settings, savingId, onUpdate }: RoutingAgentsTableProps) {
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [specialtiesText, setSpecialtiesText] = useState("")
+  const [capacity, setCapacity] = useState(5)
+  const { getStatus, getPresence } = usePresence()
+
+  const startEditing = (agent: HumanAgentRoutingProfile) => {
+    setEditingId(agent.id)
+    setSpecialtiesText(agent.specialties.join(", "))
+    setCapacity(agent.max_concurrent_conversations)
+  }
+
+  const saveEditing = async (agent: HumanAgentRoutingProfile) => {
+    try {
+      await onUpdate(agent.id, {
+        specialties: normalizeSpecialties(specialtiesText),
+        max_concurrent_conversations: Math.min(50, Math.max(1, capacity)),
+      })
+      setEditingId(null)
+    } catch {
+      // Error toast is raised by the mutation hook
+    }
+  }
+
+  if (agents.length === 0) {
+    return (
+      <div className="text-center py-8 text-muted-foreground">
+        <p className="text-sm">No human agents yet</p>
+        <p className="text-xs">Mark organization members as human agents to include them in routing</p>
+      </div>
+    )
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Agent</TableHead>
+          <TableHead>Status</TableHead>
+          <TableHead className="w-[180px]">Load</TableHead>
+          <TableHead>Specialties</TableHead>
+          <TableHead>Routing</TableHead>
+          <TableHead>Active</TableHead>
+          <TableHead className="w-[90px]" />
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {agents.map((agent) => {
+          const isEditing = editingId === agent.id
+          // Live presence wins over the last status the server saved from heartbeats
+          const status = getStatus(agent.user_id)
+          const idle = getPresence(agent.user_id)?.idle
+          const exclusion = getRoutingExclusion({ ...agent, status }, settings)
+
+          return (
+            <TableRow key={agent.id}>
+              <TableCell>
+                <p className="font-medium">{agent.display_name}</p>
+                {agent.email && <p className="text-xs text-muted-foreground">{agent.email}</p>}
+              </TableCell>
+              <TableCell>
+                <span className="flex items-center gap-2 text-sm">
+                  <PresenceDot status={status} idle={idle} />
+                  {getPresenceLabel(status, idle)}
+                </span>
+              </TableCell>
+              <TableCell>
+                {isEditing ? (
+                  <div className="flex items-center gap-2 text-sm">
+                    <span>{agent.current_conversation_count} /</span>
+                    <Input
+                      type="number"
+                      min={1}
+                      max={50}
+                      value={capacity}
+                      onChange={(e) => setCapacity(Number(e.target.value))}
+                      className="h-8 w-20"
+                    />
+                  </div>
+                ) : (
+                  <div className="space-y-1">
+                    <Progress value={getAgentLoad(agent)} className="h-2" />
+                    <p className="text-xs text-muted-foreground">
+                      {agent.current_conversation_count} of {agent.max_concurrent_conversations} conversations
+                    </p>
+                  </div>
+                )}
+              </TableCell>
+              <TableCell>
+                {isEditing ? (
+                  <Input
+                    value={specialtiesText}
+                    onChange={(e) => setSpecialtiesText(e.target.value)}
+                    placeholder="e.g., financing, condos, spanish"
+                    className="h-8"
+                  />
+                ) : agent.specialties.length > 0 ? (
+                  <div className="flex flex-wrap gap-1">
+                    {agent.specialties.map((specialty) => (
+                      <Badge key={specialty} variant="secondary" className="font-normal">
+                        {specialty}
+                      </Badge>
+                    ))}
+                  </div>
+                ) : (
+                  <span className="text-xs text-muted-foreground">None</span>
+                )}
+              </TableCell>
+              <TableCell>
+                {exclusion ? (
+                  <span className="text-xs text-muted-foreground">{HANDOFF_ROUTING_EXCLUSION_LABELS[exclusion]}</span>
+                ) : (
+                  <span className="text-xs text-green-700">In rotation</span>
+                )}
+              </TableCell>
+              <TableCell>
+                <Switch
+                  checked={agent.is_active}
+                  disabled={savingId === agent.id}
+                  onCheckedChange={(value) => onUpdate(agent.id, { is_active: value }).catch(() => undefined)}
+                />
+              </TableCell>
+              <TableCell>
+                {isEditing ? (
+                  <div className="flex gap-1">
+                    <Button variant="ghost" size="sm" onClick={() => saveEditing(agent)} disabled={savingId === agent.id}>
+                      {savingId === agent.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => setEditingId(null)}>
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ) : (
+                  <Button variant="ghost" size="sm" title="Edit routing profile" onClick={() => startEditing(agent)}>
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                )}
+              </TableCell>
+            </TableRow>
+          )
+        })}
+      </TableBody>
+    </Table>
+  )
+}
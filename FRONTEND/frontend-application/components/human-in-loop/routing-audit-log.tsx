@@ -0,0 +1,206 @@
+"use client"
+
+import { Fragment, useState } from "react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { ChevronDown, ChevronLeft, ChevronRight, ChevronUp, Loader2 } from "lucide-react"
+import { format } from "date-fns"
+import { useHandoffRoutingAudit } from "@/lib/queries/human-in-loop-queries"
+import { HANDOFF_ROUTING_EXCLUSION_LABELS, getRoutingStrategyLabel } from "@/lib/handoff/routing"
+import type { HandoffRoutingDecision, HumanAgentRoutingProfile } from "@/lib/validation/schemas"
+
+const PAGE_SIZE = 25
+
+const PRIORITY_LABELS: Record<HandoffRoutingDecision["priority"], string> = {
+  1: "Normal",
+  2: "High",
+  3: "Urgent",
+}
+
+const getOutcomeColor = (outcome: HandoffRoutingDecision["outcome"]) => {
+  switch (outcome) {
+    case "assigned": return "bg-green-100 text-green-800"
+    case "queued": return "bg-yellow-100 text-yellow-800"
+    default: return "bg-gray-100 text-gray-800"
+  }
+}
+
+interface RoutingAuditLogProps {
+  agents: HumanAgentRoutingProfile[]
+}
+
+export function RoutingAuditLog({ agents }: RoutingAuditLogProps) {
+  const [page, setPage] = useState(1)
+  const [agentId, setAgentId] = useState("all")
+  const [outcome, setOutcome] = useState<"all" | HandoffRoutingDecision["outcome"]>("all")
+  const [expandedId, setExpandedId] = useState<string | null>(null)
+
+  const { data, isLoading, isFetching } = useHandoffRoutingAudit({
+    limit: PAGE_SIZE,
+    offset: (page - 1) * PAGE_SIZE,
+    agentId: agentId === "all" ? undefined : agentId,
+    outcome: outcome === "all" ? undefined : outcome,
+  })
+
+  const decisions = data?.decisions || []
+  const total = data?.total ?? decisions.length
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <Select
+          value={agentId}
+          onValueChange={(value) => {
+            setAgentId(value)
+            setPage(1)
+          }}
+        >
+          <SelectTrigger className="w-[200px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All agents</SelectItem>
+            {agents.map((agent) => (
+              <SelectItem key={agent.user_id} value={agent.user_id}>
+                {agent.display_name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select
+          value={outcome}
+          onValueChange={(value) => {
+            setOutcome(value as typeof outcome)
+            setPage(1)
+          }}
+        >
+          <SelectTrigger className="w-[160px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All outcomes</SelectItem>
+            <SelectItem value="assigned">Assigned</SelectItem>
+            <SelectItem value="queued">Queued</SelectItem>
+            <SelectItem value="manual">Manual</SelectItem>
+          </SelectContent>
+        </Select>
+        {isFetching && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-32">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ) : decisions.length === 0 ? (
+        <div className="text-center py-8 text-muted-foreground">
+          <p className="text-sm">No routing decisions yet</p>
+          <p className="text-xs">Each automatically routed handoff is recorded here with the reason for the assignment</p>
+        </div>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Time</TableHead>
+              <TableHead>Lead</TableHead>
+              <TableHead>Priority</TableHead>
+              <TableHead>Strategy</TableHead>
+              <TableHead>Outcome</TableHead>
+              <TableHead>Assigned To</TableHead>
+              <TableHead>Reason</TableHead>
+              <TableHead className="w-[40px]" />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {decisions.map((decision) => {
+              const isExpanded = expandedId === decision.id
+
+              return (
+                <Fragment key={decision.id}>
+                  <TableRow>
+                    <TableCell className="whitespace-nowrap text-sm">
+                      {format(new Date(decision.decided_at), "MMM d, h:mm a")}
+                    </TableCell>
+                    <TableCell>{decision.lead_name || "Unknown"}</TableCell>
+                    <TableCell>{PRIORITY_LABELS[decision.priority]}</TableCell>
+                    <TableCell>{getRoutingStrategyLabel(decision.strategy)}</TableCell>
+                    <TableCell>
+                      <Badge variant="outline" className={`capitalize ${getOutcomeColor(decision.outcome)}`}>
+                        {decision.outcome}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>{decision.assigned_agent_name || "—"}</TableCell>
+                    <TableCell className="max-w-xs text-sm text-muted-foreground">{decision.reason}</TableCell>
+                    <TableCell>
+                      {decision.candidates.length > 0 && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title="Show candidates"
+                          onClick={() => setExpandedId(isExpanded ? null : decision.id)}
+                        >
+                          {isExpanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                  {isExpanded && (
+                    <TableRow className="bg-gray-50 hover:bg-gray-50">
+                      <TableCell colSpan={8}>
+                        {decision.required_specialties.length > 0 && (
+                          <p className="text-xs text-muted-foreground mb-2">
+                            Required specialties: {decision.required_specialties.join(", ")}
+                          </p>
+                        )}
+                        <div className="grid gap-1 sm:grid-cols-2 lg:grid-cols-3">
+                          {decision.candidates.map((candidate) => (
+                            <div
+                              key={candidate.agent_id}
+                              className="flex items-center justify-between rounded border bg-white px-3 py-1.5 text-xs"
+                            >
+                              <span className={candidate.agent_id === decision.assigned_to ? "font-semibold" : ""}>
+                                {candidate.display_name}
+                                <span className="text-muted-foreground">
+                                  {" "}
+                                  ({candidate.current_conversation_count}/{candidate.max_concurrent_conversations})
+                                </span>
+                              </span>
+                              <span className={candidate.eligible ? "text-green-700" : "text-muted-foreground"}>
+                                {candidate.excluded_reason
+                                  ? HANDOFF_ROUTING_EXCLUSION_LABELS[candidate.excluded_reason]
+                                  : candidate.matched_specialties.length > 0
+                                    ? `Matched ${candidate.matched_specialties.join(", ")}`
+                                    : "Eligible"}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </Fragment>
+              )
+            })}
+          </TableBody>
+        </Table>
+      )}
+
+      <div className="flex items-center justify-between text-sm text-muted-foreground">
+        <span>{total} decisions</span>
+        <div className="flex items-center gap-2">
+          <span>
+            Page {page} of {totalPages}
+          </span>
+          <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
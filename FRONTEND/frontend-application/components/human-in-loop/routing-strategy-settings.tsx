@@ -0,0 +1,155 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Loader2, Route } from "lucide-react"
+import { formatDistanceToNow } from "date-fns"
+import { HANDOFF_ROUTING_FALLBACKS, HANDOFF_ROUTING_STRATEGIES } from "@/lib/handoff/routing"
+import type { HandoffRoutingSettings } from "@/lib/validation/schemas"
+
+interface RoutingStrategySettingsProps {
+  settings: HandoffRoutingSettings
+  saving?: boolean
+  onSave: (settings: HandoffRoutingSettings) => void
+}
+
+export function RoutingStrategySettings({ settings, saving, onSave }: RoutingStrategySettingsProps) {
+  const [draft, setDraft] = useState<HandoffRoutingSettings>(settings)
+
+  useEffect(() => {
+    setDraft(settings)
+  }, [settings])
+
+  const update = (changes: Partial<HandoffRoutingSettings>) => setDraft((prev) => ({ ...prev, ...changes }))
+
+  const isDirty =
+    draft.strategy !== settings.strategy ||
+    draft.respect_capacity !== settings.respect_capacity ||
+    draft.only_available !== settings.only_available ||
+    draft.fallback_strategy !== settings.fallback_strategy ||
+    draft.urgent_overflow !== settings.urgent_overflow
+
+  const isAutomatic = draft.strategy !== "manual"
+
+  return (
+    <Card className="bg-white border-gray-200">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Route className="h-5 w-5 text-blue-600" />
+          Assignment Strategy
+        </CardTitle>
+        <CardDescription>
+          How new handoffs are assigned to human agents
+          {settings.updated_at && (
+            <>
+              {" "}
+              · Last changed {formatDistanceToNow(new Date(settings.updated_at), { addSuffix: true })}
+              {settings.updated_by_name && ` by ${settings.updated_by_name}`}
+            </>
+          )}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <RadioGroup
+          value={draft.strategy}
+          onValueChange={(value) => update({ strategy: value as HandoffRoutingSettings["strategy"] })}
+          className="grid gap-3 md:grid-cols-2"
+        >
+          {HANDOFF_ROUTING_STRATEGIES.map((strategy) => (
+            <Label
+              key={strategy.value}
+              htmlFor={`strategy-${strategy.value}`}
+              className={`flex items-start gap-3 rounded-md border p-3 cursor-pointer font-normal ${
+                draft.strategy === strategy.value ? "border-blue-500 bg-blue-50" : "border-gray-200"
+              }`}
+            >
+              <RadioGroupItem value={strategy.value} id={`strategy-${strategy.value}`} className="mt-0.5" />
+              <div>
+                <p className="text-sm font-medium">{strategy.label}</p>
+                <p className="text-xs text-muted-foreground">{strategy.description}</p>
+              </div>
+            </Label>
+          ))}
+        </RadioGroup>
+
+        {isAutomatic && (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between rounded-md border p-3">
+              <div>
+                <p className="text-sm font-medium">Only route to available agents</p>
+                <p className="text-xs text-muted-foreground">Skip agents who are busy or offline</p>
+              </div>
+              <Switch checked={draft.only_available} onCheckedChange={(value) => update({ only_available: value })} />
+            </div>
+            <div className="flex items-center justify-between rounded-md border p-3">
+              <div>
+                <p className="text-sm font-medium">Respect agent capacity</p>
+                <p className="text-xs text-muted-foreground">
+                  Skip agents already handling their maximum number of conversations
+                </p>
+              </div>
+              <Switch
+                checked={draft.respect_capacity}
+                onCheckedChange={(value) => update({ respect_capacity: value })}
+              />
+            </div>
+            {draft.respect_capacity && (
+              <div className="flex items-center justify-between rounded-md border p-3">
+                <div>
+                  <p className="text-sm font-medium">Allow urgent overflow</p>
+                  <p className="text-xs text-muted-foreground">
+                    Urgent handoffs may go one conversation over the limit instead of waiting
+                  </p>
+                </div>
+                <Switch
+                  checked={draft.urgent_overflow}
+                  onCheckedChange={(value) => update({ urgent_overflow: value })}
+                />
+              </div>
+            )}
+            {draft.strategy === "skill_match" && (
+              <div className="flex items-center justify-between gap-4 rounded-md border p-3">
+                <div>
+                  <p className="text-sm font-medium">When no specialty matches</p>
+                  <p className="text-xs text-muted-foreground">What to do if no eligible agent has a matching specialty</p>
+                </div>
+                <Select
+                  value={draft.fallback_strategy}
+                  onValueChange={(value) =>
+                    update({ fallback_strategy: value as HandoffRoutingSettings["fallback_strategy"] })
+                  }
+                >
+                  <SelectTrigger className="w-[200px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {HANDOFF_ROUTING_FALLBACKS.map((fallback) => (
+                      <SelectItem key={fallback.value} value={fallback.value}>
+                        {fallback.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={() => setDraft(settings)} disabled={!isDirty || saving}>
+            Reset
+          </Button>
+          <Button onClick={() => onSave(draft)} disabled={!isDirty || saving}>
+            {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Save Strategy
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
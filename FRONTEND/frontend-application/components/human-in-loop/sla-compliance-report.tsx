@@ -0,0 +1,93 @@
+"use client"
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Progress } from "@/components/ui/progress"
+import { formatDurationSeconds, getSlaComplianceRate } from "@/lib/handoff/sla"
+import type { HandoffSlaReport } from "@/lib/validation/schemas"
+
+interface SlaComplianceReportProps {
+  report: HandoffSlaReport
+}
+
+const getComplianceColor = (rate: number | null) => {
+  if (rate === null) return "text-muted-foreground"
+  if (rate >= 90) return "text-green-700"
+  if (rate >= 70) return "text-amber-700"
+  return "text-red-700"
+}
+
+export function SlaComplianceReport({ report }: SlaComplianceReportProps) {
+  const { totals } = report
+  const totalRate = getSlaComplianceRate(totals)
+
+  const summary = [
+    { label: "Handled", value: String(totals.handled) },
+    { label: "SLA Compliance", value: totalRate === null ? "—" : `${totalRate}%`, className: getComplianceColor(totalRate) },
+    { label: "Avg. Response", value: formatDurationSeconds(totals.average_response_seconds) },
+    { label: "Escalations", value: String(totals.escalations) },
+  ]
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-4 md:grid-cols-4">
+        {summary.map((item) => (
+          <Card key={item.label} className="bg-white border-gray-200">
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm font-medium text-muted-foreground">{item.label}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className={`text-2xl font-bold ${item.className ?? ""}`}>{item.value}</div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {report.agents.length === 0 ? (
+        <div className="text-center py-8 text-muted-foreground">
+          <p className="text-sm">No handoffs in this period</p>
+        </div>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Agent</TableHead>
+              <TableHead className="text-right">Handled</TableHead>
+              <TableHead className="w-[200px]">Accepted within SLA</TableHead>
+              <TableHead className="text-right">Resolved within SLA</TableHead>
+              <TableHead className="text-right">Breaches</TableHead>
+              <TableHead className="text-right">Escalations</TableHead>
+              <TableHead className="text-right">Avg. Response</TableHead>
+              <TableHead className="text-right">Avg. Resolution</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {report.agents.map((agent) => {
+              const rate = getSlaComplianceRate(agent)
+
+              return (
+                <TableRow key={agent.agent_id}>
+                  <TableCell className="font-medium">{agent.display_name}</TableCell>
+                  <TableCell className="text-right">{agent.handled}</TableCell>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <Progress value={rate ?? 0} className="h-2 flex-1" />
+                      <span className={`text-xs w-10 text-right ${getComplianceColor(rate)}`}>
+                        {rate === null ? "—" : `${rate}%`}
+                      </span>
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-right">{agent.resolved_within_sla}</TableCell>
+                  <TableCell className="text-right">{agent.breaches}</TableCell>
+                  <TableCell className="text-right">{agent.escalations}</TableCell>
+                  <TableCell className="text-right">{formatDurationSeconds(agent.average_response_seconds)}</TableCell>
+                  <TableCell className="text-right">{formatDurationSeconds(agent.average_resolution_seconds)}</TableCell>
+                </TableRow>
+              )
+            })}
+          </TableBody>
+        </Table>
+      )}
+    </div>
+  )
+}
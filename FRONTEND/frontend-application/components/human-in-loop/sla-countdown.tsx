@@ -0,0 +1,40 @@
+"use client"
+
+import { Timer, AlertTriangle } from "lucide-react"
+import { cn } from "@/lib/utils"
+import { formatSlaCountdown, getSlaState } from "@/lib/handoff/sla"
+
+interface SlaCountdownProps {
+  requestedAt: string
+  dueAt: string
+  // Shared clock from useNow so every card on the page ticks together
+  now: number
+  label?: string
+  className?: string
+}
+
+const STATUS_STYLES = {
+  on_track: "bg-green-50 text-green-700 border-green-200",
+  at_risk: "bg-amber-50 text-amber-700 border-amber-200",
+  breached: "bg-red-50 text-red-700 border-red-200",
+}
+
+export function SlaCountdown({ requestedAt, dueAt, now, label = "Accept", className }: SlaCountdownProps) {
+  const { deadline, remainingMs, status } = getSlaState(requestedAt, dueAt, now)
+
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center gap-1 rounded border px-1.5 py-0.5 text-xs font-medium tabular-nums",
+        STATUS_STYLES[status],
+        className
+      )}
+      title={`${label} by ${deadline.toLocaleString()}`}
+    >
+      {status === "breached" ? <AlertTriangle className="h-3 w-3" /> : <Timer className="h-3 w-3" />}
+      {status === "breached"
+        ? `${label} overdue ${formatSlaCountdown(remainingMs)}`
+        : `${label} in ${formatSlaCountdown(remainingMs)}`}
+    </span>
+  )
+}
@@ -0,0 +1,144 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Switch } from "@/components/ui/switch"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Loader2, Timer } from "lucide-react"
+import { HANDOFF_SLA_PRIORITIES, type HandoffSlaPriority } from "@/lib/handoff/sla"
+import type { HandoffSlaPolicy } from "@/lib/validation/schemas"
+
+interface SlaPolicySettingsProps {
+  policy: HandoffSlaPolicy
+  saving?: boolean
+  onSave: (policy: HandoffSlaPolicy) => void
+}
+
+const ESCALATION_OPTIONS: { key: keyof Omit<HandoffSlaPolicy["escalation"], "enabled">; label: string; description: string }[] = [
+  {
+    key: "raise_priority",
+    label: "Raise priority",
+    description: "Move the handoff up one priority level (normal → high → urgent)",
+  },
+  {
+    key: "notify_admins",
+    label: "Notify admins",
+    description: "Send an escalation notification to organization admins and moderators",
+  },
+  {
+    key: "reassign",
+    label: "Reassign",
+    description: "Route the handoff to another eligible agent using the routing strategy",
+  },
+]
+
+export function SlaPolicySettings({ policy, saving, onSave }: SlaPolicySettingsProps) {
+  const [draft, setDraft] = useState<HandoffSlaPolicy>(policy)
+
+  useEffect(() => {
+    setDraft(policy)
+  }, [policy])
+
+  const updateTarget = (priority: HandoffSlaPriority, field: "accept_minutes" | "resolve_minutes", value: string) => {
+    setDraft((prev) => ({
+      ...prev,
+      targets: {
+        ...prev.targets,
+        [priority]: { ...prev.targets[priority], [field]: Math.max(1, Number(value) || 1) },
+      },
+    }))
+  }
+
+  const updateEscalation = (changes: Partial<HandoffSlaPolicy["escalation"]>) =>
+    setDraft((prev) => ({ ...prev, escalation: { ...prev.escalation, ...changes } }))
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(policy)
+
+  return (
+    <Card className="bg-white border-gray-200">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Timer className="h-5 w-5 text-blue-600" />
+          SLA Targets
+        </CardTitle>
+        <CardDescription>Minutes allowed from the handoff request, per priority</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Priority</TableHead>
+              <TableHead>Accept within (min)</TableHead>
+              <TableHead>Resolve within (min)</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {HANDOFF_SLA_PRIORITIES.map((priority) => (
+              <TableRow key={priority.value}>
+                <TableCell className="font-medium">{priority.label}</TableCell>
+                <TableCell>
+                  <Input
+                    type="number"
+                    min={1}
+                    className="h-8 w-24"
+                    value={draft.targets[priority.value].accept_minutes}
+                    onChange={(e) => updateTarget(priority.value, "accept_minutes", e.target.value)}
+                  />
+                </TableCell>
+                <TableCell>
+                  <Input
+                    type="number"
+                    min={1}
+                    className="h-8 w-24"
+                    value={draft.targets[priority.value].resolve_minutes}
+                    onChange={(e) => updateTarget(priority.value, "resolve_minutes", e.target.value)}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between rounded-md border p-3">
+            <div>
+              <p className="text-sm font-medium">Escalate missed accept targets</p>
+              <p className="text-xs text-muted-foreground">
+                Act automatically when a handoff has not been accepted in time
+              </p>
+            </div>
+            <Switch
+              checked={draft.escalation.enabled}
+              onCheckedChange={(value) => updateEscalation({ enabled: value })}
+            />
+          </div>
+          {draft.escalation.enabled &&
+            ESCALATION_OPTIONS.map((option) => (
+              <div key={option.key} className="flex items-center justify-between rounded-md border p-3 ml-4">
+                <div>
+                  <p className="text-sm font-medium">{option.label}</p>
+                  <p className="text-xs text-muted-foreground">{option.description}</p>
+                </div>
+                <Switch
+                  checked={draft.escalation[option.key]}
+                  onCheckedChange={(value) => updateEscalation({ [option.key]: value })}
+                />
+              </div>
+            ))}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={() => setDraft(policy)} disabled={!isDirty || saving}>
+            Reset
+          </Button>
+          <Button onClick={() => onSave(draft)} disabled={!isDirty || saving}>
+            {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Save Targets
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,120 @@
+"use client"
+
+import { useMemo } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Link2, Loader2, Users } from "lucide-react"
+import {
+  buildIssueWorkload,
+  groupSimilarIssues,
+  isIssueActive,
+  type IssueAssignee,
+  type SimilarIssueGroup,
+  type TriageIssue,
+} from "@/lib/issues/triage"
+
+interface IssueTriagePanelProps<T extends TriageIssue> {
+  issues: T[]
+  assignees: IssueAssignee[]
+  onOpenIssue: (issue: T) => void
+  onLinkGroup: (group: SimilarIssueGroup<T>) => void
+  linkingGroupId?: string | null
+}
+
+export function IssueTriagePanel<T extends TriageIssue>({
+  issues,
+  assignees,
+  onOpenIssue,
+  onLinkGroup,
+  linkingGroupId,
+}: IssueTriagePanelProps<T>) {
+  const groups = useMemo(() => groupSimilarIssues(issues), [issues])
+  const workload = useMemo(() => buildIssueWorkload(issues, assignees), [issues, assignees])
+  const unassigned = issues.filter((issue) => isIssueActive(issue) && !issue.assigned_to).length
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-3">
+      <Card className="lg:col-span-2">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Link2 className="h-4 w-4" />
+            Possible Duplicates ({groups.length})
+          </CardTitle>
+          <CardDescription>Open issues with similar subjects and descriptions</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {groups.length === 0 ? (
+            <p className="text-sm text-gray-500">No similar open issues right now</p>
+          ) : (
+            <div className="space-y-3 max-h-[320px] overflow-y-auto">
+              {groups.map((group) => (
+                <div key={group.primary.id} className="rounded-lg border p-3">
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0 space-y-1">
+                      <button
+                        type="button"
+                        className="block truncate text-left text-sm font-medium text-gray-900 hover:underline"
+                        onClick={() => onOpenIssue(group.primary)}
+                      >
+                        {group.primary.subject}
+                      </button>
+                      {group.duplicates.map((duplicate) => (
+                        <button
+                          key={duplicate.id}
+                          type="button"
+                          className="block truncate text-left text-xs text-gray-600 hover:underline"
+                          onClick={() => onOpenIssue(duplicate)}
+                        >
+                          ↳ {duplicate.subject}
+                        </button>
+                      ))}
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={!!linkingGroupId}
+                      onClick={() => onLinkGroup(group)}
+                    >
+                      {linkingGroupId === group.primary.id && <Loader2 className="mr-2 h-3 w-3 animate-spin" />}
+                      Link {group.duplicates.length + 1}
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Users className="h-4 w-4" />
+            Team Workload
+          </CardTitle>
+          <CardDescription>Open issues per team member</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {workload.map(({ assignee, active, pressing }) => (
+            <div key={assignee.user_id} className="flex items-center justify-between text-sm">
+              <span className="truncate">{assignee.name || assignee.email}</span>
+              <span className="flex items-center gap-2">
+                {pressing > 0 && (
+                  <Badge variant="outline" className="bg-red-100 text-red-800 border-red-300">
+                    {pressing} urgent/high
+                  </Badge>
+                )}
+                <span className="font-medium">{active}</span>
+              </span>
+            </div>
+          ))}
+          <div className="flex items-center justify-between border-t pt-2 text-sm text-gray-500">
+            <span>Unassigned</span>
+            <span className="font-medium">{unassigned}</span>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
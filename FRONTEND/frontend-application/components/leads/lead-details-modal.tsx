@@ -1,14 +1,27 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState } from "react"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
 import { Progress } from "@/components/ui/progress"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
-import { MessageSquare, Phone, Calendar, Loader2 } from "lucide-react"
-import { useAuth } from "@/contexts/simple-auth-context"
-import { apiCall } from "@/lib/api"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { MessageSquare, Phone, Calendar, Loader2, History } from "lucide-react"
+import { useLead, useLeadStatusHistory, useUpdateLeadStatus } from "@/lib/queries/lead-queries"
+import { usePermission } from "@/hooks/use-permission"
+import {
+  LEAD_STAGES,
+  canTransitionLead,
+  getLeadStage,
+  normalizeLeadStatus,
+  requiresTransitionReason,
+  type LeadStatus,
+} from "@/lib/leads/pipeline"
+import { format } from "date-fns"
+import type { LeadDimensionScore } from "@/lib/bant/frameworks"
 
 interface LeadDetails {
   id: string
@@ -28,8 +41,13 @@ interface LeadDetails {
   authority_score: number
   timeline_score: number
   contact_score: number
+  // Per-dimension scores for leads scored with a qualification framework
+  dimension_scores?: LeadDimensionScore[] | null
+  // BANT config version that produced the scores; null for leads scored before versioning
+  bant_config_version?: number | null
   agent_id: string
   notified: boolean
+  status?: string
   agent: {
     name: string
   }
@@ -39,54 +57,18 @@ interface LeadDetailsModalProps {
   leadId: string
   open: boolean
   onClose: () => void
+  onStatusChanged?: (leadId: string, status: LeadStatus) => void
 }
 
-export function LeadDetailsModal({ leadId, open, onClose }: LeadDetailsModalProps) {
-  const { getAuthHeaders } = useAuth()
-  const [leadDetails, setLeadDetails] = useState<LeadDetails | null>(null)
-  const [loading, setLoading] = useState(false)
-  const [error, setError] = useState<string | null>(null)
-
-  useEffect(() => {
-    if (open && leadId) {
-      fetchLeadDetails()
-    }
-  }, [open, leadId])
-
-  const fetchLeadDetails = async () => {
-    setLoading(true)
-    setError(null)
-
-    try {
-      const authHeaders = await getAuthHeaders()
-
-      // Fetch all leads and find the specific one
-      const response = await apiCall("/api/leads", {
-        headers: authHeaders,
-      })
-
-      console.log("All leads response:", response)
-
-      // Find the specific lead by ID
-      let foundLead = null
-      if (response && Array.isArray(response)) {
-        foundLead = response.find((lead: any) => lead.id === leadId)
-      } else if (response && response.leads && Array.isArray(response.leads)) {
-        foundLead = response.leads.find((lead: any) => lead.id === leadId)
-      }
-
-      if (foundLead) {
-        setLeadDetails(foundLead)
-      } else {
-        setError("Lead not found")
-      }
-    } catch (error) {
-      console.error("Failed to fetch lead details:", error)
-      setError("Failed to fetch lead details")
-    } finally {
-      setLoading(false)
-    }
-  }
+export function LeadDetailsModal({ leadId, open, onClose, onStatusChanged }: LeadDetailsModalProps) {
+  const { data, isLoading: loading, error: leadError, refetch } = useLead(open ? leadId : null)
+  const leadDetails = (data as LeadDetails | undefined) ?? null
+  const error = leadError ? "Failed to fetch lead details" : null
+  const [nextStatus, setNextStatus] = useState<LeadStatus | "">("")
+  const [statusReason, setStatusReason] = useState("")
+  const { data: statusHistory = [], isLoading: loadingHistory } = useLeadStatusHistory(open ? leadId : null)
+  const updateLeadStatus = useUpdateLeadStatus()
+  const canEditLeads = usePermission("leads.edit")
 
   const getClassificationColor = (classification: string) => {
     switch (classification?.toLowerCase()) {
@@ -118,6 +100,24 @@ export function LeadDetailsModal({ leadId, open, onClose }: LeadDetailsModalProp
     )
   }
 
+  const currentStatus = normalizeLeadStatus(leadDetails?.status)
+  const availableTransitions = LEAD_STAGES.filter((stage) => canTransitionLead(currentStatus, stage.value))
+  const reasonRequired = nextStatus !== "" && requiresTransitionReason(currentStatus, nextStatus)
+
+  const handleStatusChange = async () => {
+    if (!nextStatus) return
+
+    await updateLeadStatus.mutateAsync({
+      leadId,
+      status: nextStatus,
+      reason: statusReason.trim() || undefined,
+    })
+
+    onStatusChanged?.(leadId, nextStatus)
+    setNextStatus("")
+    setStatusReason("")
+  }
+
   const handleStartChat = () => {
     // Navigate to conversations with the specific conversation ID
     if (leadDetails?.conversation_id) {
@@ -149,7 +149,7 @@ export function LeadDetailsModal({ leadId, open, onClose }: LeadDetailsModalProp
           </DialogHeader>
           <div className="p-4">
             <p className="text-red-600 mb-4">{error}</p>
-            <Button onClick={fetchLeadDetails}>Retry</Button>
+            <Button onClick={() => refetch()}>Retry</Button>
           </div>
         </DialogContent>
       </Dialog>
@@ -230,14 +230,27 @@ export function LeadDetailsModal({ leadId, open, onClose }: LeadDetailsModalProp
             <Card className="bg-slate-900 border-slate-700">
               <CardHeader className="pb-3">
                 <CardTitle className="text-base text-white">Lead Scoring</CardTitle>
+                <p className="text-xs text-slate-400">
+                  {leadDetails.bant_config_version
+                    ? `Scored with BANT config v${leadDetails.bant_config_version}`
+                    : "Scored before BANT config versioning"}
+                </p>
               </CardHeader>
               <CardContent className="space-y-3">
                 <div className="space-y-3">
-                  <ScoreBar label="Contact" score={leadDetails.contact_score || 10} maxScore={10} />
-                  <ScoreBar label="Timeline" score={leadDetails.timeline_score || 23} maxScore={35} />
-                  <ScoreBar label="Authority" score={leadDetails.authority_score || 17} maxScore={20} />
-                  <ScoreBar label="Budget" score={leadDetails.budget_score || 10} maxScore={25} />
-                  <ScoreBar label="Need" score={leadDetails.need_score || 10} maxScore={10} />
+                  {leadDetails.dimension_scores?.length ? (
+                    leadDetails.dimension_scores.filter((dimension) => dimension.weight > 0).map((dimension) => (
+                      <ScoreBar key={dimension.key} label={dimension.label} score={dimension.score} maxScore={dimension.weight} />
+                    ))
+                  ) : (
+                    <>
+                      <ScoreBar label="Contact" score={leadDetails.contact_score || 10} maxScore={10} />
+                      <ScoreBar label="Timeline" score={leadDetails.timeline_score || 23} maxScore={35} />
+                      <ScoreBar label="Authority" score={leadDetails.authority_score || 17} maxScore={20} />
+                      <ScoreBar label="Budget" score={leadDetails.budget_score || 10} maxScore={25} />
+                      <ScoreBar label="Need" score={leadDetails.need_score || 10} maxScore={10} />
+                    </>
+                  )}
                 </div>
 
                 {/* Total Score */}
@@ -278,6 +291,62 @@ export function LeadDetailsModal({ leadId, open, onClose }: LeadDetailsModalProp
               </CardContent>
             </Card>
 
+            {/* Pipeline Stage */}
+            <Card>
+              <CardHeader className="pb-3">
+                <CardTitle className="text-base flex items-center justify-between">
+                  <span>Pipeline Stage</span>
+                  <Badge className={getLeadStage(currentStatus).badgeClassName}>
+                    {getLeadStage(currentStatus).label}
+                  </Badge>
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {!canEditLeads ? (
+                  <p className="text-xs text-muted-foreground">You don&apos;t have permission to change the stage.</p>
+                ) : availableTransitions.length > 0 ? (
+                  <>
+                    <Select value={nextStatus} onValueChange={(value) => setNextStatus(value as LeadStatus)}>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Move to stage..." />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {availableTransitions.map((stage) => (
+                          <SelectItem key={stage.value} value={stage.value}>
+                            {stage.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {nextStatus && (
+                      <div className="space-y-2">
+                        <Label htmlFor="status-reason" className="text-xs">
+                          Reason {reasonRequired ? "*" : "(optional)"}
+                        </Label>
+                        <Textarea
+                          id="status-reason"
+                          value={statusReason}
+                          onChange={(e) => setStatusReason(e.target.value)}
+                          rows={2}
+                        />
+                        <Button
+                          size="sm"
+                          className="w-full"
+                          onClick={handleStatusChange}
+                          disabled={updateLeadStatus.isPending || (reasonRequired && !statusReason.trim())}
+                        >
+                          {updateLeadStatus.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+                          Update Stage
+                        </Button>
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-xs text-muted-foreground">This lead has reached a final stage.</p>
+                )}
+              </CardContent>
+            </Card>
+
             {/* View Conversation Button */}
             <Button onClick={handleStartChat} className="w-full">
               <MessageSquare className="mr-2 h-4 w-4" />
@@ -285,6 +354,51 @@ export function LeadDetailsModal({ leadId, open, onClose }: LeadDetailsModalProp
             </Button>
           </div>
         </div>
+
+        {/* Status History Timeline */}
+        <Card className="mx-4 mb-4">
+          <CardHeader className="pb-3">
+            <CardTitle className="text-base flex items-center gap-2">
+              <History className="h-4 w-4" />
+              Stage History
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {loadingHistory ? (
+              <div className="flex items-center text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 animate-spin mr-2" />
+                Loading history...
+              </div>
+            ) : statusHistory.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No stage changes yet.</p>
+            ) : (
+              <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+                {statusHistory.map((entry) => (
+                  <li key={entry.id} className="ml-4">
+                    <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-gray-300" />
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                      {entry.from_status && (
+                        <>
+                          <Badge className={getLeadStage(entry.from_status).badgeClassName}>
+                            {getLeadStage(entry.from_status).label}
+                          </Badge>
+                          <span className="text-muted-foreground">→</span>
+                        </>
+                      )}
+                      <Badge className={getLeadStage(entry.to_status).badgeClassName}>
+                        {getLeadStage(entry.to_status).label}
+                      </Badge>
+                      <span className="text-xs text-muted-foreground">
+                        by {entry.changed_by_name || "System"} · {format(new Date(entry.changed_at), "MMM d, yyyy h:mm a")}
+                      </span>
+                    </div>
+                    {entry.reason && <p className="mt-1 text-sm text-gray-700">{entry.reason}</p>}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </CardContent>
+        </Card>
       </DialogContent>
     </Dialog>
   )
@@ -0,0 +1,65 @@
+"use client"
+
+import { useState } from "react"
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { Download, FileSpreadsheet, FileText, Loader2 } from "lucide-react"
+import { downloadLeadExport, type LeadExportFilters, type LeadExportFormat } from "@/lib/leads/export"
+import { toast } from "sonner"
+
+interface LeadExportButtonProps {
+  endpoint: string
+  filters: LeadExportFilters
+  getHeaders: () => Promise<Record<string, string>>
+  disabled?: boolean
+}
+
+export function LeadExportButton({ endpoint, filters, getHeaders, disabled }: LeadExportButtonProps) {
+  const [exporting, setExporting] = useState<LeadExportFormat | null>(null)
+
+  const handleExport = async (format: LeadExportFormat) => {
+    setExporting(format)
+    try {
+      const headers = await getHeaders()
+      await downloadLeadExport(endpoint, headers, format, filters)
+      toast.success(`Leads exported as ${format.toUpperCase()}`)
+    } catch (error) {
+      console.error("Failed to export leads:", error)
+      toast.error(`Failed to export leads: ${error instanceof Error ? error.message : "Unknown error"}`)
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" disabled={disabled || exporting !== null}>
+          {exporting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+          Export
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel className="text-xs font-normal text-muted-foreground">
+          Exports leads matching the current filters
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        <DropdownMenuItem onClick={() => handleExport("csv")}>
+          <FileText className="h-4 w-4 mr-2" />
+          CSV (.csv)
+        </DropdownMenuItem>
+        <DropdownMenuItem onClick={() => handleExport("xlsx")}>
+          <FileSpreadsheet className="h-4 w-4 mr-2" />
+          Excel (.xlsx)
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
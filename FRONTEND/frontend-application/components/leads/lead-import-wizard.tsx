@@ -0,0 +1,323 @@
+"use client"
+
+import { useMemo, useState } from "react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { FileUpload } from "@/components/ui/file-upload"
+import { Label } from "@/components/ui/label"
+import { ScrollArea } from "@/components/ui/scroll-area"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog"
+import { Loader2, Upload } from "lucide-react"
+import {
+  LEAD_IMPORT_FIELDS,
+  getLeadImportContacts,
+  guessLeadImportMapping,
+  parseCsv,
+  validateLeadImportRows,
+  type LeadImportField,
+  type LeadImportMapping,
+  type LeadImportServerResult,
+  type ParsedCsv,
+} from "@/lib/leads/import"
+import { useExistingLeadContacts, useImportLeads } from "@/lib/queries/lead-queries"
+import { toast } from "sonner"
+
+type WizardStep = "upload" | "map" | "review" | "results"
+
+const UNMAPPED = "__none__"
+
+interface LeadImportWizardProps {
+  onImported?: () => void
+}
+
+export function LeadImportWizard({ onImported }: LeadImportWizardProps) {
+  const [open, setOpen] = useState(false)
+  const [step, setStep] = useState<WizardStep>("upload")
+  const [files, setFiles] = useState<File[]>([])
+  const [csv, setCsv] = useState<ParsedCsv | null>(null)
+  const [mapping, setMapping] = useState<LeadImportMapping>({})
+  const [serverResults, setServerResults] = useState<LeadImportServerResult[]>([])
+  const importLeads = useImportLeads()
+
+  const contacts = useMemo(() => (csv ? getLeadImportContacts(csv.rows, mapping) : { emails: [], phones: [] }), [csv, mapping])
+  const hasContacts = contacts.emails.length > 0 || contacts.phones.length > 0
+  const {
+    data: existingLeads = [],
+    isLoading: checkingDuplicates,
+    error: duplicateCheckError,
+    refetch: retryDuplicateCheck,
+  } = useExistingLeadContacts(contacts, { enabled: open && step === "review" })
+  const duplicatesChecked = !hasContacts || (!checkingDuplicates && !duplicateCheckError)
+
+  const rowResults = useMemo(
+    () => (csv ? validateLeadImportRows(csv.rows, mapping, existingLeads) : []),
+    [csv, mapping, existingLeads]
+  )
+  const validRows = rowResults.filter((row) => row.status === "valid")
+  const invalidCount = rowResults.filter((row) => row.status === "invalid").length
+  const duplicateCount = rowResults.filter((row) => row.status === "duplicate").length
+
+  const reset = () => {
+    setStep("upload")
+    setFiles([])
+    setCsv(null)
+    setMapping({})
+    setServerResults([])
+  }
+
+  const handleOpenChange = (value: boolean) => {
+    if (importLeads.isPending) return
+    setOpen(value)
+    if (!value) reset()
+  }
+
+  const handleFilesChange = async (selected: File[]) => {
+    setFiles(selected)
+    const file = selected[0]
+    if (!file) {
+      setCsv(null)
+      return
+    }
+
+    try {
+      const parsed = parseCsv(await file.text())
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        toast.error("The file has no data rows")
+        setCsv(null)
+        return
+      }
+      setCsv(parsed)
+      setMapping(guessLeadImportMapping(parsed.headers))
+    } catch (error) {
+      console.error("Failed to read CSV:", error)
+      toast.error("Could not read the CSV file")
+      setCsv(null)
+    }
+  }
+
+  const handleMappingChange = (field: LeadImportField, value: string) => {
+    setMapping((prev) => {
+      const next = { ...prev }
+      if (value === UNMAPPED) {
+        delete next[field]
+      } else {
+        next[field] = Number(value)
+      }
+      return next
+    })
+  }
+
+  const handleImport = async () => {
+    try {
+      const response = await importLeads.mutateAsync(validRows)
+      const results = response?.results || []
+      setServerResults(results)
+      setStep("results")
+
+      const created = results.filter((r) => r.status === "created").length
+      toast.success(`Imported ${created} lead${created === 1 ? "" : "s"}`)
+      onImported?.()
+    } catch {
+      // Error toast is raised by useImportLeads
+    }
+  }
+
+  const getServerResult = (rowNumber: number) => serverResults.find((r) => r.row_number === rowNumber)
+
+  const getRowBadge = (rowNumber: number, status: string) => {
+    const result = step === "results" ? getServerResult(rowNumber) : undefined
+    const value = result?.status || (step === "results" && status === "valid" ? "failed" : status)
+
+    switch (value) {
+      case "valid":
+      case "created":
+        return <Badge className="bg-green-100 text-green-800">{value === "created" ? "Imported" : "Ready"}</Badge>
+      case "duplicate":
+      case "skipped":
+        return <Badge className="bg-yellow-100 text-yellow-800">{value === "skipped" ? "Skipped" : "Duplicate"}</Badge>
+      default:
+        return <Badge className="bg-red-100 text-red-800">{value === "failed" ? "Failed" : "Invalid"}</Badge>
+    }
+  }
+
+  const requiredMapped = LEAD_IMPORT_FIELDS.every((field) => !field.required || mapping[field.key] !== undefined)
+  const hasContactColumn = mapping.email !== undefined || mapping.mobile_number !== undefined
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Upload className="h-4 w-4 mr-2" />
+          Import
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[760px]">
+        <DialogHeader>
+          <DialogTitle>Import Leads</DialogTitle>
+          <DialogDescription>
+            {step === "upload" && "Upload a CSV exported from your portal, open house sign-in sheet or spreadsheet."}
+            {step === "map" && "Match the columns in your file to lead fields."}
+            {step === "review" && "Review each row before importing. Invalid and duplicate rows are skipped."}
+            {step === "results" && "Import finished. Per-row results are listed below."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === "upload" && (
+          <div className="space-y-3">
+            <FileUpload files={files} onFilesChange={handleFilesChange} accept="text/csv" />
+            {csv && (
+              <p className="text-sm text-muted-foreground">
+                {csv.rows.length} row{csv.rows.length === 1 ? "" : "s"} and {csv.headers.length} columns found
+              </p>
+            )}
+          </div>
+        )}
+
+        {step === "map" && csv && (
+          <ScrollArea className="max-h-[420px] pr-3">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {LEAD_IMPORT_FIELDS.map((field) => (
+                <div key={field.key} className="space-y-1">
+                  <Label>
+                    {field.label} {field.required && <span className="text-red-500">*</span>}
+                  </Label>
+                  <Select
+                    value={mapping[field.key] !== undefined ? String(mapping[field.key]) : UNMAPPED}
+                    onValueChange={(value) => handleMappingChange(field.key, value)}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Not mapped" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={UNMAPPED}>Not mapped</SelectItem>
+                      {csv.headers.map((header, index) => (
+                        <SelectItem key={`${header}-${index}`} value={String(index)}>
+                          {header || `Column ${index + 1}`}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+            {!hasContactColumn && (
+              <p className="mt-4 text-sm text-red-600">Map an Email or Mobile Number column so duplicates can be detected.</p>
+            )}
+          </ScrollArea>
+        )}
+
+        {(step === "review" || step === "results") && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-2 text-sm">
+              {step === "review" ? (
+                <>
+                  <Badge variant="secondary">{validRows.length} ready</Badge>
+                  <Badge variant="secondary">{duplicateCount} duplicates</Badge>
+                  <Badge variant="secondary">{invalidCount} invalid</Badge>
+                  {checkingDuplicates && (
+                    <span className="flex items-center text-muted-foreground">
+                      <Loader2 className="mr-1 h-3 w-3 animate-spin" />
+                      Checking existing leads...
+                    </span>
+                  )}
+                  {duplicateCheckError && (
+                    <span className="text-red-600">
+                      Could not check existing leads for duplicates.{" "}
+                      <button type="button" className="underline" onClick={() => retryDuplicateCheck()}>
+                        Retry
+                      </button>
+                    </span>
+                  )}
+                </>
+              ) : (
+                <>
+                  <Badge variant="secondary">
+                    {serverResults.filter((r) => r.status === "created").length} imported
+                  </Badge>
+                  <Badge variant="secondary">
+                    {serverResults.filter((r) => r.status === "skipped").length + duplicateCount} skipped
+                  </Badge>
+                  <Badge variant="secondary">
+                    {serverResults.filter((r) => r.status === "failed").length + invalidCount} failed
+                  </Badge>
+                </>
+              )}
+            </div>
+            <ScrollArea className="h-[360px] rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-16">Row</TableHead>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Contact</TableHead>
+                    <TableHead>Result</TableHead>
+                    <TableHead>Details</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rowResults.map((row) => {
+                    const serverError = step === "results" ? getServerResult(row.rowNumber)?.error : undefined
+                    return (
+                      <TableRow key={row.rowNumber}>
+                        <TableCell className="text-muted-foreground">{row.rowNumber}</TableCell>
+                        <TableCell className="font-medium">{row.data?.name || "—"}</TableCell>
+                        <TableCell className="text-sm">{row.data?.email || row.data?.phone || "—"}</TableCell>
+                        <TableCell>{getRowBadge(row.rowNumber, row.status)}</TableCell>
+                        <TableCell className="text-xs text-muted-foreground">
+                          {[...row.errors, serverError].filter(Boolean).join("; ") || "—"}
+                        </TableCell>
+                      </TableRow>
+                    )
+                  })}
+                </TableBody>
+              </Table>
+            </ScrollArea>
+          </div>
+        )}
+
+        <DialogFooter>
+          {step === "upload" && (
+            <Button onClick={() => setStep("map")} disabled={!csv}>
+              Next: Map Columns
+            </Button>
+          )}
+          {step === "map" && (
+            <>
+              <Button variant="outline" onClick={() => setStep("upload")}>
+                Back
+              </Button>
+              <Button onClick={() => setStep("review")} disabled={!requiredMapped || !hasContactColumn}>
+                Next: Review
+              </Button>
+            </>
+          )}
+          {step === "review" && (
+            <>
+              <Button variant="outline" onClick={() => setStep("map")} disabled={importLeads.isPending}>
+                Back
+              </Button>
+              <Button
+                onClick={handleImport}
+                disabled={validRows.length === 0 || importLeads.isPending || !duplicatesChecked}
+              >
+                {importLeads.isPending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+                Import {validRows.length} Lead{validRows.length === 1 ? "" : "s"}
+              </Button>
+            </>
+          )}
+          {step === "results" && <Button onClick={() => handleOpenChange(false)}>Done</Button>}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
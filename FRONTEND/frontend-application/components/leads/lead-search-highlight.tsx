@@ -0,0 +1,25 @@
+"use client"
+
+import { getHighlightSegments } from "@/lib/leads/search"
+
+interface LeadSearchHighlightProps {
+  value: string
+  highlight?: string | null
+  className?: string
+}
+
+export function LeadSearchHighlight({ value, highlight, className }: LeadSearchHighlightProps) {
+  return (
+    <span className={className}>
+      {getHighlightSegments(value, highlight).map((segment, index) =>
+        segment.highlighted ? (
+          <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm px-0.5">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </span>
+  )
+}
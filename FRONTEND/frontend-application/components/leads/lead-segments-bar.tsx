@@ -0,0 +1,184 @@
+"use client"
+
+import { useMemo, useState } from "react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { Bookmark, BookmarkPlus, ChevronDown, Link2, Pencil, Pin, PinOff, Trash2, Users, X } from "lucide-react"
+import { useAuth } from "@/contexts/simple-auth-context"
+import { usePermission } from "@/hooks/use-permission"
+import { SegmentBuilderDialog } from "@/components/leads/segment-builder-dialog"
+import {
+  useCreateLeadSegment,
+  useDeleteLeadSegment,
+  useLeadSegments,
+  usePinLeadSegment,
+  useUpdateLeadSegment,
+} from "@/lib/queries/segment-queries"
+import { describeSegmentCriteria, segmentCriteriaFromFilters, type LeadSegmentInput } from "@/lib/leads/segments"
+import type { LeadListFilters } from "@/lib/leads/query"
+import type { LeadSegment } from "@/lib/validation/schemas"
+import { toast } from "sonner"
+
+interface LeadSegmentsBarProps {
+  activeSegmentId: string | null
+  onSelectSegment: (segmentId: string | null) => void
+  filters: LeadListFilters
+  agents: { id: string; name: string }[]
+}
+
+export function LeadSegmentsBar({ activeSegmentId, onSelectSegment, filters, agents }: LeadSegmentsBarProps) {
+  const { user } = useAuth()
+  const { data: segments = [] } = useLeadSegments()
+  const createSegment = useCreateLeadSegment()
+  const updateSegment = useUpdateLeadSegment()
+  const deleteSegment = useDeleteLeadSegment()
+  const pinSegment = usePinLeadSegment()
+  const [builderOpen, setBuilderOpen] = useState(false)
+  const [editingSegment, setEditingSegment] = useState<LeadSegment | null>(null)
+
+  const activeSegment = segments.find((segment) => segment.id === activeSegmentId) || null
+  const initialCriteria = useMemo(
+    () => segmentCriteriaFromFilters(filters, activeSegment?.criteria ?? null),
+    [filters, activeSegment]
+  )
+  const canManageShared = usePermission("segments.manage")
+  const canManage = (segment: LeadSegment) => segment.created_by === user?.id || canManageShared
+
+  const mySegments = segments.filter((segment) => segment.created_by === user?.id)
+  const sharedSegments = segments.filter((segment) => segment.created_by !== user?.id)
+
+  const openBuilder = (segment: LeadSegment | null) => {
+    setEditingSegment(segment)
+    setBuilderOpen(true)
+  }
+
+  const handleSave = async (data: LeadSegmentInput) => {
+    try {
+      if (editingSegment) {
+        await updateSegment.mutateAsync({ id: editingSegment.id, data })
+      } else {
+        const response = await createSegment.mutateAsync(data)
+        if (response?.segment?.id) onSelectSegment(response.segment.id)
+      }
+      setBuilderOpen(false)
+    } catch {
+      // Error toast is raised by the mutation hook
+    }
+  }
+
+  const handleDelete = async (segment: LeadSegment) => {
+    if (!confirm(`Delete the segment "${segment.name}"?`)) return
+    try {
+      await deleteSegment.mutateAsync(segment.id)
+      if (segment.id === activeSegmentId) onSelectSegment(null)
+    } catch {
+      // Error toast is raised by the mutation hook
+    }
+  }
+
+  const handleCopyLink = async (segment: LeadSegment) => {
+    await navigator.clipboard.writeText(`${window.location.origin}/leads?segment=${segment.id}`)
+    toast.success("Segment link copied")
+  }
+
+  const renderSegmentItem = (segment: LeadSegment) => (
+    <DropdownMenuItem key={segment.id} onClick={() => onSelectSegment(segment.id)} className="flex justify-between gap-4">
+      <span className="flex items-center gap-2 truncate">
+        {segment.visibility === "organization" && <Users className="h-3 w-3 text-muted-foreground" />}
+        <span className="truncate">{segment.name}</span>
+      </span>
+      <span className="text-xs text-muted-foreground">{segment.lead_count ?? ""}</span>
+    </DropdownMenuItem>
+  )
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm">
+            <Bookmark className="h-4 w-4 mr-2" />
+            {activeSegment ? activeSegment.name : "Segments"}
+            <ChevronDown className="h-3 w-3 ml-2" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="start" className="w-72">
+          {segments.length === 0 && (
+            <DropdownMenuLabel className="text-xs font-normal text-muted-foreground">No saved segments yet</DropdownMenuLabel>
+          )}
+          {mySegments.length > 0 && (
+            <>
+              <DropdownMenuLabel>My segments</DropdownMenuLabel>
+              {mySegments.map(renderSegmentItem)}
+            </>
+          )}
+          {sharedSegments.length > 0 && (
+            <>
+              {mySegments.length > 0 && <DropdownMenuSeparator />}
+              <DropdownMenuLabel>Shared with organization</DropdownMenuLabel>
+              {sharedSegments.map(renderSegmentItem)}
+            </>
+          )}
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onClick={() => openBuilder(null)}>
+            <BookmarkPlus className="h-4 w-4 mr-2" />
+            Save current filters as segment
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      {activeSegment && (
+        <>
+          <div className="flex flex-wrap gap-1">
+            {describeSegmentCriteria(activeSegment.criteria, agents).map((part) => (
+              <Badge key={part} variant="secondary" className="font-normal">
+                {part}
+              </Badge>
+            ))}
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            title={activeSegment.pinned ? "Unpin from sidebar" : "Pin to sidebar"}
+            onClick={() => pinSegment.mutate({ id: activeSegment.id, pinned: !activeSegment.pinned })}
+          >
+            {activeSegment.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+          </Button>
+          <Button variant="ghost" size="sm" title="Copy link" onClick={() => handleCopyLink(activeSegment)}>
+            <Link2 className="h-4 w-4" />
+          </Button>
+          {canManage(activeSegment) && (
+            <>
+              <Button variant="ghost" size="sm" title="Edit segment" onClick={() => openBuilder(activeSegment)}>
+                <Pencil className="h-4 w-4" />
+              </Button>
+              <Button variant="ghost" size="sm" title="Delete segment" onClick={() => handleDelete(activeSegment)}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </>
+          )}
+          <Button variant="ghost" size="sm" title="Clear segment" onClick={() => onSelectSegment(null)}>
+            <X className="h-4 w-4" />
+          </Button>
+        </>
+      )}
+
+      <SegmentBuilderDialog
+        open={builderOpen}
+        onOpenChange={setBuilderOpen}
+        initialCriteria={initialCriteria}
+        segment={editingSegment}
+        agents={agents}
+        saving={createSegment.isPending || updateSegment.isPending}
+        onSave={handleSave}
+      />
+    </div>
+  )
+}
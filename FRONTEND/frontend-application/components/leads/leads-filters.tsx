@@ -4,7 +4,14 @@ import { useEffect, useState } from "react"
 import { Input } from "@/components/ui/input"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
 import { Search, X, Loader2 } from "lucide-react"
+import { LeadSearchHighlight } from "@/components/leads/lead-search-highlight"
+import {
+  LEAD_SEARCH_FIELD_LABELS,
+  normalizePhoneQuery,
+  type LeadSearchResultSummary,
+} from "@/lib/leads/search"
 
 interface Agent {
   id: string
@@ -19,12 +26,15 @@ interface LeadsFiltersProps {
     search: string
   }
   onFiltersChange: (filters: { classification: string; agent: string; search: string }) => void
-  onSearch: (searchTerm: string) => void
+  onSearch?: (searchTerm: string) => void
   agents: Agent[]
   searching?: boolean
   totalLeads?: number
   qualifiedLeads?: number
   nonQualifiedLeads?: number
+  // Best matches for the current search, from the server's highlights
+  searchMatches?: LeadSearchResultSummary[]
+  onSelectMatch?: (leadId: string) => void
 }
 
 export function LeadsFilters({ 
@@ -35,7 +45,9 @@ export function LeadsFilters({
   searching,
   totalLeads = 0,
   qualifiedLeads = 0,
-  nonQualifiedLeads = 0
+  nonQualifiedLeads = 0,
+  searchMatches = [],
+  onSelectMatch,
 }: LeadsFiltersProps) {
   const [searchInput, setSearchInput] = useState(filters.search)
 
@@ -43,7 +55,7 @@ export function LeadsFilters({
   useEffect(() => {
     const timeoutId = setTimeout(() => {
       if (searchInput !== filters.search) {
-        onSearch(searchInput)
+        onSearch?.(searchInput)
         onFiltersChange({ ...filters, search: searchInput })
       }
     }, 300) // 300ms debounce
@@ -74,10 +86,11 @@ export function LeadsFilters({
   const clearAllFilters = () => {
     setSearchInput("")
     onFiltersChange({ classification: "all", agent: "all", search: "" })
-    onSearch("")
+    onSearch?.("")
   }
 
   const hasActiveFilters = filters.search || filters.classification !== "all" || filters.agent !== "all"
+  const phoneQuery = filters.search ? normalizePhoneQuery(filters.search) : null
 
   return (
     <div className="space-y-4">
@@ -107,6 +120,49 @@ export function LeadsFilters({
         </div>
       </div>
 
+      {/* Best Matches */}
+      {filters.search && !searching && (
+        <div className="space-y-2">
+          <p className="text-xs text-muted-foreground">
+            {searchMatches.length > 0 ? "Best matches" : "No close matches"}
+            {phoneQuery && ` · phone numbers containing ${phoneQuery}, with or without +63 / 0`}
+          </p>
+          {searchMatches.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {searchMatches.map(({ leadId, name, match }) => (
+                <button
+                  key={leadId}
+                  type="button"
+                  onClick={() => onSelectMatch?.(leadId)}
+                  className="flex items-center gap-2 rounded-lg border border-gray-200 bg-white px-3 py-1.5 text-left text-sm hover:border-gray-300"
+                >
+                  <LeadSearchHighlight value={name} highlight={match.highlights.full_name} className="font-medium" />
+                  {match.highlights.mobile_number && (
+                    <LeadSearchHighlight
+                      value={match.highlights.mobile_number}
+                      highlight={match.highlights.mobile_number}
+                      className="text-xs text-gray-600"
+                    />
+                  )}
+                  {!match.highlights.mobile_number && match.highlights.email && (
+                    <LeadSearchHighlight
+                      value={match.highlights.email}
+                      highlight={match.highlights.email}
+                      className="text-xs text-gray-600"
+                    />
+                  )}
+                  {match.matched_fields.map((field) => (
+                    <Badge key={field} variant="outline" className="text-[10px]">
+                      {LEAD_SEARCH_FIELD_LABELS[field]}
+                    </Badge>
+                  ))}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Filters and Stats Row */}
       <div className="flex flex-col lg:flex-row gap-4">
         {/* Filters Section */}
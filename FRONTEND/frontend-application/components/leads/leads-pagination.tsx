@@ -0,0 +1,68 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { ChevronLeft, ChevronRight, Loader2 } from "lucide-react"
+import { LEAD_PAGE_SIZES } from "@/lib/leads/query"
+
+interface LeadsPaginationProps {
+  page: number
+  pageSize: number
+  totalPages: number
+  total: number
+  fetching?: boolean
+  onPageChange: (page: number) => void
+  onPageSizeChange: (pageSize: number) => void
+}
+
+export function LeadsPagination({
+  page,
+  pageSize,
+  totalPages,
+  total,
+  fetching,
+  onPageChange,
+  onPageSizeChange,
+}: LeadsPaginationProps) {
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1
+  const last = Math.min(page * pageSize, total)
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between gap-3 pt-4 text-sm">
+      <div className="flex items-center gap-2 text-muted-foreground">
+        {fetching && <Loader2 className="h-4 w-4 animate-spin" />}
+        <span>
+          Showing {first}-{last} of {total} leads
+        </span>
+      </div>
+      <div className="flex items-center gap-3">
+        <div className="flex items-center gap-2">
+          <span className="text-muted-foreground">Rows per page</span>
+          <Select value={String(pageSize)} onValueChange={(value) => onPageSizeChange(Number(value))}>
+            <SelectTrigger className="w-[80px] h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {LEAD_PAGE_SIZES.map((size) => (
+                <SelectItem key={size} value={String(size)}>
+                  {size}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <span className="text-muted-foreground">
+          Page {page} of {totalPages}
+        </span>
+        <div className="flex items-center gap-1">
+          <Button variant="outline" size="sm" onClick={() => onPageChange(page - 1)} disabled={page <= 1}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => onPageChange(page + 1)} disabled={page >= totalPages}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
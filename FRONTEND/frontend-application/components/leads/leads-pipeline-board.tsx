@@ -0,0 +1,214 @@
+"use client"
+
+import { useState } from "react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Loader2, Phone, User } from "lucide-react"
+import {
+  LEAD_STAGES,
+  canTransitionLead,
+  getLeadStage,
+  normalizeLeadStatus,
+  requiresTransitionReason,
+  type LeadStatus,
+} from "@/lib/leads/pipeline"
+import { cn } from "@/lib/utils"
+
+interface Lead {
+  id: string
+  name: string
+  phone: string
+  classification: "cold" | "warm" | "hot" | "priority"
+  status: LeadStatus
+  assignedAgent: {
+    id: string
+    name: string
+  } | null
+  createdAt: string
+}
+
+interface PendingMove {
+  lead: Lead
+  to: LeadStatus
+}
+
+interface LeadsPipelineBoardProps {
+  leads: Lead[]
+  onStatusChange: (leadId: string, status: LeadStatus, reason?: string) => Promise<void>
+  onOpenLead: (leadId: string) => void
+  canChangeStatus: boolean
+}
+
+export function LeadsPipelineBoard({ leads, onStatusChange, onOpenLead, canChangeStatus }: LeadsPipelineBoardProps) {
+  const [draggedLead, setDraggedLead] = useState<Lead | null>(null)
+  const [dropTarget, setDropTarget] = useState<LeadStatus | null>(null)
+  const [pendingMove, setPendingMove] = useState<PendingMove | null>(null)
+  const [reason, setReason] = useState("")
+  const [saving, setSaving] = useState(false)
+
+  const getClassificationColor = (classification: string) => {
+    switch (classification?.toLowerCase()) {
+      case "priority":
+        return "bg-red-500 text-white"
+      case "hot":
+        return "bg-orange-500 text-white"
+      case "warm":
+        return "bg-yellow-500 text-black"
+      case "cold":
+        return "bg-blue-500 text-white"
+      default:
+        return "bg-gray-100 text-gray-800"
+    }
+  }
+
+  const handleDrop = (to: LeadStatus) => {
+    setDropTarget(null)
+    if (!draggedLead || !canTransitionLead(normalizeLeadStatus(draggedLead.status), to)) {
+      setDraggedLead(null)
+      return
+    }
+    setPendingMove({ lead: draggedLead, to })
+    setReason("")
+    setDraggedLead(null)
+  }
+
+  const handleConfirmMove = async () => {
+    if (!pendingMove) return
+    setSaving(true)
+    try {
+      await onStatusChange(pendingMove.lead.id, pendingMove.to, reason.trim() || undefined)
+      setPendingMove(null)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const reasonRequired =
+    !!pendingMove && requiresTransitionReason(normalizeLeadStatus(pendingMove.lead.status), pendingMove.to)
+
+  return (
+    <>
+      <div className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-5 gap-4">
+        {LEAD_STAGES.map((stage) => {
+          const stageLeads = leads.filter((lead) => normalizeLeadStatus(lead.status) === stage.value)
+          const isValidTarget =
+            !!draggedLead && canTransitionLead(normalizeLeadStatus(draggedLead.status), stage.value)
+
+          return (
+            <div
+              key={stage.value}
+              className={cn(
+                "flex flex-col rounded-lg border border-t-4 bg-gray-50 min-h-[300px] transition-colors",
+                stage.columnClassName,
+                draggedLead && !isValidTarget && "opacity-50",
+                dropTarget === stage.value && isValidTarget && "bg-blue-50 ring-2 ring-blue-300"
+              )}
+              onDragOver={(e) => {
+                if (isValidTarget) {
+                  e.preventDefault()
+                  setDropTarget(stage.value)
+                }
+              }}
+              onDragLeave={() => setDropTarget((current) => (current === stage.value ? null : current))}
+              onDrop={(e) => {
+                e.preventDefault()
+                handleDrop(stage.value)
+              }}
+            >
+              <div className="flex items-center justify-between px-3 py-2 border-b bg-white rounded-t-md">
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900">{stage.label}</h3>
+                  <p className="text-xs text-muted-foreground">{stage.description}</p>
+                </div>
+                <Badge variant="secondary">{stageLeads.length}</Badge>
+              </div>
+
+              <div className="flex-1 space-y-2 p-2">
+                {stageLeads.map((lead) => (
+                  <div
+                    key={lead.id}
+                    draggable={canChangeStatus && lead.status !== "converted"}
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = "move"
+                      setDraggedLead(lead)
+                    }}
+                    onDragEnd={() => {
+                      setDraggedLead(null)
+                      setDropTarget(null)
+                    }}
+                    onClick={() => onOpenLead(lead.id)}
+                    className={cn(
+                      "rounded-md border bg-white p-3 shadow-sm cursor-pointer hover:shadow-md transition-shadow",
+                      canChangeStatus && lead.status !== "converted" && "active:cursor-grabbing"
+                    )}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <span className="text-sm font-medium text-gray-900 truncate">{lead.name || "Unknown Lead"}</span>
+                      <Badge className={cn("text-[10px] px-1.5 py-0", getClassificationColor(lead.classification))}>
+                        {lead.classification || "warm"}
+                      </Badge>
+                    </div>
+                    <div className="mt-2 space-y-1 text-xs text-muted-foreground">
+                      <div className="flex items-center gap-1">
+                        <Phone className="h-3 w-3" />
+                        <span className="truncate">{lead.phone || "No phone provided"}</span>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <User className="h-3 w-3" />
+                        <span className="truncate">{lead.assignedAgent?.name || "Unassigned"}</span>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+                {stageLeads.length === 0 && (
+                  <p className="text-center text-xs text-muted-foreground py-6">No leads</p>
+                )}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      <Dialog open={!!pendingMove} onOpenChange={(open) => !open && !saving && setPendingMove(null)}>
+        <DialogContent className="sm:max-w-[480px]">
+          <DialogHeader>
+            <DialogTitle>Move to {pendingMove ? getLeadStage(pendingMove.to).label : ""}</DialogTitle>
+            <DialogDescription>
+              {pendingMove?.lead.name} will move from {pendingMove ? getLeadStage(pendingMove.lead.status).label : ""}{" "}
+              to {pendingMove ? getLeadStage(pendingMove.to).label : ""}. This is recorded in the lead&apos;s history.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            <Label htmlFor="stage-reason">Reason {reasonRequired ? "*" : "(optional)"}</Label>
+            <Textarea
+              id="stage-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g., Site visit scheduled for Saturday"
+              rows={3}
+            />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPendingMove(null)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={handleConfirmMove} disabled={saving || (reasonRequired && !reason.trim())}>
+              {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+              Move Lead
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
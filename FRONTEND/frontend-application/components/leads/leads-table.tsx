@@ -17,9 +17,15 @@ import {
   Facebook,
   MessageCircle,
   Mail,
+  ArrowDown,
+  ArrowUp,
+  ArrowUpDown,
 } from "lucide-react"
 import { useAuth } from "@/contexts/simple-auth-context"
 import { apiCall } from "@/lib/api"
+import { getLeadStage } from "@/lib/leads/pipeline"
+import type { LeadSortField, SortOrder } from "@/lib/leads/query"
+import type { LeadDimensionScore } from "@/lib/bant/frameworks"
 import React from "react"
 
 interface Lead {
@@ -28,6 +34,7 @@ interface Lead {
   email: string
   phone: string
   classification: "cold" | "warm" | "hot" | "priority"
+  status?: string
   assignedAgent: {
     id: string
     name: string
@@ -54,6 +61,8 @@ interface LeadDetails {
   authority_score: number
   timeline_score: number
   contact_score: number
+  // Per-dimension scores for leads scored with a qualification framework
+  dimension_scores?: LeadDimensionScore[] | null
   agent_id: string
   notified: boolean
   agent: {
@@ -72,9 +81,20 @@ interface LeadsTableProps {
   agents: Agent[]
   onAssignAgent: (leadId: string, agentId: string) => void
   canAssignAgents: boolean
+  sortBy?: LeadSortField
+  sortOrder?: SortOrder
+  onSortChange?: (field: LeadSortField) => void
 }
 
-export function LeadsTable({ leads, agents = [], onAssignAgent, canAssignAgents }: LeadsTableProps) {
+export function LeadsTable({
+  leads,
+  agents = [],
+  onAssignAgent,
+  canAssignAgents,
+  sortBy,
+  sortOrder,
+  onSortChange,
+}: LeadsTableProps) {
   const { getAuthHeaders } = useAuth()
   const [expandedLeadId, setExpandedLeadId] = useState<string | null>(null)
   const [leadDetails, setLeadDetails] = useState<LeadDetails | null>(null)
@@ -123,17 +143,11 @@ export function LeadsTable({ leads, agents = [], onAssignAgent, canAssignAgents
     setLoadingDetails(true)
     try {
       const authHeaders = await getAuthHeaders()
-      const response = await apiCall("/api/leads", {
+      const response = await apiCall<any>(`/api/leads/${leadId}`, {
         headers: authHeaders,
       })
 
-      // Find the specific lead by ID
-      let foundLead = null
-      if (response && Array.isArray(response)) {
-        foundLead = response.find((lead: any) => lead.id === leadId)
-      } else if (response && response.leads && Array.isArray(response.leads)) {
-        foundLead = response.leads.find((lead: any) => lead.id === leadId)
-      }
+      const foundLead = response?.lead ?? response
 
       if (foundLead) {
         setLeadDetails(foundLead)
@@ -180,6 +194,21 @@ export function LeadsTable({ leads, agents = [], onAssignAgent, canAssignAgents
     )
   }
 
+  const SortableHead = ({ field, children }: { field: LeadSortField; children: React.ReactNode }) => {
+    if (!onSortChange) return <TableHead>{children}</TableHead>
+
+    const active = sortBy === field
+    const Icon = !active ? ArrowUpDown : sortOrder === "asc" ? ArrowUp : ArrowDown
+    return (
+      <TableHead>
+        <Button variant="ghost" size="sm" className="-ml-3 h-8" onClick={() => onSortChange(field)}>
+          {children}
+          <Icon className={`ml-1 h-3 w-3 ${active ? "text-gray-900" : "text-muted-foreground"}`} />
+        </Button>
+      </TableHead>
+    )
+  }
+
   if (leads.length === 0) {
     return (
       <div className="text-center py-8">
@@ -193,9 +222,10 @@ export function LeadsTable({ leads, agents = [], onAssignAgent, canAssignAgents
       <Table>
         <TableHeader>
           <TableRow>
-            <TableHead>Name</TableHead>
+            <SortableHead field="full_name">Name</SortableHead>
             <TableHead>Contact</TableHead>
-            <TableHead>Classification</TableHead>
+            <SortableHead field="lead_score">Classification</SortableHead>
+            <SortableHead field="status">Stage</SortableHead>
             <TableHead>Assigned Agent</TableHead>
             <TableHead className="w-12"></TableHead>
             <TableHead className="text-right w-12"></TableHead>
@@ -214,6 +244,11 @@ export function LeadsTable({ leads, agents = [], onAssignAgent, canAssignAgents
                     {lead.classification || "warm"}
                   </Badge>
                 </TableCell>
+                <TableCell>
+                  <Badge className={getLeadStage(lead.status).badgeClassName}>
+                    {getLeadStage(lead.status).label}
+                  </Badge>
+                </TableCell>
                 <TableCell>
                   {canAssignAgents ? (
                     <Select
@@ -259,7 +294,7 @@ export function LeadsTable({ leads, agents = [], onAssignAgent, canAssignAgents
               {/* Expanded Details Row */}
               {expandedLeadId === lead.id && (
                 <TableRow>
-                  <TableCell colSpan={6} className="p-0">
+                  <TableCell colSpan={7} className="p-0">
                     <div className="border-t bg-muted/20 p-6">
                       {loadingDetails ? (
                         <div className="flex items-center justify-center py-8">
@@ -321,11 +356,19 @@ export function LeadsTable({ leads, agents = [], onAssignAgent, canAssignAgents
                               </CardHeader>
                               <CardContent className="space-y-3">
                                 <div className="space-y-3">
-                                  <ScoreBar label="Contact" score={leadDetails.contact_score || 10} maxScore={10} />
-                                  <ScoreBar label="Timeline" score={leadDetails.timeline_score || 23} maxScore={35} />
-                                  <ScoreBar label="Authority" score={leadDetails.authority_score || 17} maxScore={25} />
-                                  <ScoreBar label="Budget" score={leadDetails.budget_score || 10} maxScore={20} />
-                                  <ScoreBar label="Need" score={leadDetails.need_score || 10} maxScore={10} />
+                                  {leadDetails.dimension_scores?.length ? (
+                                    leadDetails.dimension_scores.filter((dimension) => dimension.weight > 0).map((dimension) => (
+                                      <ScoreBar key={dimension.key} label={dimension.label} score={dimension.score} maxScore={dimension.weight} />
+                                    ))
+                                  ) : (
+                                    <>
+                                      <ScoreBar label="Contact" score={leadDetails.contact_score || 10} maxScore={10} />
+                                      <ScoreBar label="Timeline" score={leadDetails.timeline_score || 23} maxScore={35} />
+                                      <ScoreBar label="Authority" score={leadDetails.authority_score || 17} maxScore={25} />
+                                      <ScoreBar label="Budget" score={leadDetails.budget_score || 10} maxScore={20} />
+                                      <ScoreBar label="Need" score={leadDetails.need_score || 10} maxScore={10} />
+                                    </>
+                                  )}
                                 </div>
 
                                 {/* Total Score */}
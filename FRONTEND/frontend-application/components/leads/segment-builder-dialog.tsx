@@ -0,0 +1,307 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { ScrollArea } from "@/components/ui/scroll-area"
+import { Separator } from "@/components/ui/separator"
+import { Switch } from "@/components/ui/switch"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Loader2 } from "lucide-react"
+import {
+  LEAD_SCORE_DIMENSIONS,
+  SEGMENT_CREATED_WITHIN,
+  SEGMENT_SOURCES,
+  type LeadSegmentInput,
+} from "@/lib/leads/segments"
+import type { LeadSegment, LeadSegmentCriteria } from "@/lib/validation/schemas"
+
+const CLASSIFICATIONS: LeadSegmentCriteria["classifications"] = ["priority", "hot", "warm", "cold"]
+
+interface Agent {
+  id: string
+  name: string
+}
+
+interface SegmentBuilderDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  initialCriteria: LeadSegmentCriteria
+  segment?: LeadSegment | null
+  agents: Agent[]
+  saving?: boolean
+  onSave: (data: LeadSegmentInput) => Promise<void>
+}
+
+export function SegmentBuilderDialog({
+  open,
+  onOpenChange,
+  initialCriteria,
+  segment,
+  agents,
+  saving,
+  onSave,
+}: SegmentBuilderDialogProps) {
+  const [name, setName] = useState("")
+  const [description, setDescription] = useState("")
+  const [shared, setShared] = useState(false)
+  const [criteria, setCriteria] = useState<LeadSegmentCriteria>(initialCriteria)
+
+  useEffect(() => {
+    if (open) {
+      setName(segment?.name || "")
+      setDescription(segment?.description || "")
+      setShared(segment?.visibility === "organization")
+      setCriteria(segment?.criteria || initialCriteria)
+    }
+  }, [open, segment, initialCriteria])
+
+  const update = (changes: Partial<LeadSegmentCriteria>) => setCriteria((prev) => ({ ...prev, ...changes }))
+
+  const toggleValue = <T extends string>(list: T[], value: T) =>
+    list.includes(value) ? list.filter((item) => item !== value) : [...list, value]
+
+  const parseScore = (value: string) => (value === "" ? null : Math.min(100, Math.max(0, Number(value))))
+
+  const handleDimensionChange = (key: (typeof LEAD_SCORE_DIMENSIONS)[number]["key"], value: string) => {
+    const next = { ...criteria.minDimensionScores }
+    if (value === "") {
+      delete next[key]
+    } else {
+      next[key] = Math.max(0, Number(value))
+    }
+    update({ minDimensionScores: next })
+  }
+
+  const scoreRangeInvalid =
+    criteria.minScore !== null && criteria.maxScore !== null && criteria.minScore > criteria.maxScore
+
+  const handleSave = async () => {
+    await onSave({
+      name: name.trim(),
+      description: description.trim() || null,
+      visibility: shared ? "organization" : "private",
+      criteria,
+    })
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !saving && onOpenChange(value)}>
+      <DialogContent className="sm:max-w-[640px]">
+        <DialogHeader>
+          <DialogTitle>{segment ? "Edit Segment" : "Save Segment"}</DialogTitle>
+          <DialogDescription>
+            Segments are re-evaluated every time they are opened, so new leads appear automatically.
+          </DialogDescription>
+        </DialogHeader>
+
+        <ScrollArea className="max-h-[60vh] pr-3">
+          <div className="space-y-5">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label htmlFor="segment-name">Name *</Label>
+                <Input
+                  id="segment-name"
+                  value={name}
+                  maxLength={60}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="e.g., Priority, unassigned, last 48h"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="segment-description">Description</Label>
+                <Input
+                  id="segment-description"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  placeholder="Optional"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between rounded-md border p-3">
+              <div>
+                <p className="text-sm font-medium">Share with organization</p>
+                <p className="text-xs text-muted-foreground">Everyone in your organization can open and pin it</p>
+              </div>
+              <Switch checked={shared} onCheckedChange={setShared} />
+            </div>
+
+            <Separator />
+
+            <div className="space-y-2">
+              <Label>Classification</Label>
+              <div className="flex flex-wrap gap-4">
+                {CLASSIFICATIONS.map((value) => (
+                  <label key={value} className="flex items-center gap-2 text-sm capitalize">
+                    <Checkbox
+                      checked={criteria.classifications.includes(value)}
+                      onCheckedChange={() => update({ classifications: toggleValue(criteria.classifications, value) })}
+                    />
+                    {value}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label>BANT Score</Label>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="number"
+                  min={0}
+                  max={100}
+                  className="w-24"
+                  placeholder="Min"
+                  value={criteria.minScore ?? ""}
+                  onChange={(e) => update({ minScore: parseScore(e.target.value) })}
+                />
+                <span className="text-muted-foreground">to</span>
+                <Input
+                  type="number"
+                  min={0}
+                  max={100}
+                  className="w-24"
+                  placeholder="Max"
+                  value={criteria.maxScore ?? ""}
+                  onChange={(e) => update({ maxScore: parseScore(e.target.value) })}
+                />
+              </div>
+              {scoreRangeInvalid && <p className="text-xs text-red-600">Minimum score is above the maximum</p>}
+            </div>
+
+            <div className="space-y-2">
+              <Label>Minimum dimension scores</Label>
+              <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+                {LEAD_SCORE_DIMENSIONS.map((dimension) => (
+                  <div key={dimension.key} className="space-y-1">
+                    <span className="text-xs text-muted-foreground">
+                      {dimension.label} (/{dimension.max})
+                    </span>
+                    <Input
+                      type="number"
+                      min={0}
+                      max={dimension.max}
+                      value={criteria.minDimensionScores[dimension.key] ?? ""}
+                      onChange={(e) => handleDimensionChange(dimension.key, e.target.value)}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Source</Label>
+              <div className="flex flex-wrap gap-4">
+                {SEGMENT_SOURCES.map((source) => (
+                  <label key={source.value} className="flex items-center gap-2 text-sm">
+                    <Checkbox
+                      checked={criteria.sources.includes(source.value)}
+                      onCheckedChange={() => update({ sources: toggleValue(criteria.sources, source.value) })}
+                    />
+                    {source.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-1">
+                <Label>Created</Label>
+                <Select
+                  value={criteria.createdWithinHours ? String(criteria.createdWithinHours) : "any"}
+                  onValueChange={(value) => update({ createdWithinHours: value === "any" ? null : Number(value) })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="any">Any time</SelectItem>
+                    {SEGMENT_CREATED_WITHIN.map((option) => (
+                      <SelectItem key={option.hours} value={String(option.hours)}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label>Assignment</Label>
+                <Select
+                  value={criteria.agentId || criteria.assignment}
+                  onValueChange={(value) => {
+                    if (value === "any" || value === "assigned" || value === "unassigned") {
+                      update({ assignment: value, agentId: null })
+                    } else {
+                      update({ assignment: "assigned", agentId: value })
+                    }
+                  }}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="any">Anyone</SelectItem>
+                    <SelectItem value="assigned">Assigned</SelectItem>
+                    <SelectItem value="unassigned">Unassigned</SelectItem>
+                    {agents.map((agent) => (
+                      <SelectItem key={agent.id} value={agent.id}>
+                        {agent.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label>Notification</Label>
+                <Select
+                  value={criteria.notified}
+                  onValueChange={(value) => update({ notified: value as LeadSegmentCriteria["notified"] })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="any">Any</SelectItem>
+                    <SelectItem value="notified">Notified</SelectItem>
+                    <SelectItem value="not_notified">Not notified</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="segment-search">Search text</Label>
+              <Input
+                id="segment-search"
+                value={criteria.search}
+                onChange={(e) => update({ search: e.target.value })}
+                placeholder="Name, email or phone contains…"
+              />
+            </div>
+          </div>
+        </ScrollArea>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={saving || !name.trim() || scoreRangeInvalid}>
+            {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+            {segment ? "Save Changes" : "Save Segment"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
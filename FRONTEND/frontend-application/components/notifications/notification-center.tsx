@@ -35,6 +35,7 @@ import {
 import { cn } from '@/lib/utils'
 import { toast } from 'sonner'
 import { notificationService, NotificationData } from '@/lib/services/notification-service'
+import { pushService } from '@/lib/services/push-service'
 import { useAuth } from '@/contexts/simple-auth-context'
 
 interface NotificationCenterProps {
@@ -42,7 +43,7 @@ interface NotificationCenterProps {
 }
 
 export function NotificationCenter({ isCollapsed = false }: NotificationCenterProps) {
-  const { getAuthHeaders } = useAuth()
+  const { user, getAuthHeaders } = useAuth()
   const [notifications, setNotifications] = useState<NotificationData[]>([])
   const [unreadCount, setUnreadCount] = useState(0)
   const [isLoading, setIsLoading] = useState(true)
@@ -53,50 +54,6 @@ export function NotificationCenter({ isCollapsed = false }: NotificationCenterPr
     read?: boolean
   }>({})
 
-  const setupRealtimeConnection = useCallback(async () => {
-    try {
-      await notificationService.startRealtimeConnection()
-      
-      // Listen for new notifications
-      notificationService.on('notification', (newNotification: NotificationData) => {
-        setNotifications(prev => [newNotification, ...prev])
-        setUnreadCount(prev => prev + 1)
-      })
-
-      // Listen for read notifications
-      notificationService.on('notification-read', (updatedNotification: NotificationData) => {
-        setNotifications(prev => 
-          prev.map(n => n.id === updatedNotification.id ? updatedNotification : n)
-        )
-        setUnreadCount(prev => Math.max(0, prev - 1))
-      })
-
-      // Listen for all read
-      notificationService.on('all-notifications-read', () => {
-        setNotifications(prev => prev.map(n => ({ ...n, read: true, readAt: new Date().toISOString() })))
-        setUnreadCount(0)
-      })
-
-      // Listen for deleted notifications
-      notificationService.on('notification-deleted', ({ id }: { id: string }) => {
-        setNotifications(prev => {
-          const notification = prev.find(n => n.id === id)
-          const newNotifications = prev.filter(n => n.id !== id)
-          
-          if (notification && !notification.read) {
-            setUnreadCount(prevCount => Math.max(0, prevCount - 1))
-          }
-          
-          return newNotifications
-        })
-      })
-
-    } catch (error) {
-      console.error('Failed to setup Realtime connection:', error)
-      toast.error('Failed to connect to notification system')
-    }
-  }, [])
-
   const loadNotifications = useCallback(async () => {
     try {
       setIsLoading(true)
@@ -118,17 +75,74 @@ export function NotificationCenter({ isCollapsed = false }: NotificationCenterPr
   // Initialize notification service
   useEffect(() => {
     notificationService.initialize(getAuthHeaders)
+    pushService.initialize(getAuthHeaders)
+
+    // Keep this browser's push subscription attached to whoever is signed in
+    pushService.syncSubscription()
     
     // Load initial notifications
     loadNotifications()
-    
-    // Setup Realtime connection
-    setupRealtimeConnection()
+  }, [getAuthHeaders, loadNotifications])
+
+  // Share the service's per-user realtime channel with the toast layer
+  useEffect(() => {
+    if (!user?.id) return
+
+    const handleNotification = (newNotification: NotificationData) => {
+      setNotifications(prev => [newNotification, ...prev])
+      setUnreadCount(prev => prev + 1)
+    }
+
+    const handleMissed = (missed: NotificationData[]) => {
+      setNotifications(prev => {
+        const known = new Set(prev.map(n => n.id))
+        const added = missed.filter(n => !known.has(n.id))
+        setUnreadCount(count => count + added.filter(n => !n.read).length)
+        return [...added.reverse(), ...prev]
+      })
+    }
+
+    const handleRead = (updatedNotification: NotificationData) => {
+      setNotifications(prev => 
+        prev.map(n => n.id === updatedNotification.id ? updatedNotification : n)
+      )
+      setUnreadCount(prev => Math.max(0, prev - 1))
+    }
+
+    const handleAllRead = () => {
+      setNotifications(prev => prev.map(n => ({ ...n, read: true, readAt: new Date().toISOString() })))
+      setUnreadCount(0)
+    }
+
+    const handleDeleted = ({ id }: { id: string }) => {
+      setNotifications(prev => {
+        const notification = prev.find(n => n.id === id)
+        const newNotifications = prev.filter(n => n.id !== id)
+        
+        if (notification && !notification.read) {
+          setUnreadCount(prevCount => Math.max(0, prevCount - 1))
+        }
+        
+        return newNotifications
+      })
+    }
+
+    notificationService.on('notification', handleNotification)
+    notificationService.on('missed-notifications', handleMissed)
+    notificationService.on('notification-read', handleRead)
+    notificationService.on('all-notifications-read', handleAllRead)
+    notificationService.on('notification-deleted', handleDeleted)
+    const release = notificationService.connectRealtime(user.id)
 
     return () => {
-      notificationService.stopRealtimeConnection()
+      notificationService.off('notification', handleNotification)
+      notificationService.off('missed-notifications', handleMissed)
+      notificationService.off('notification-read', handleRead)
+      notificationService.off('all-notifications-read', handleAllRead)
+      notificationService.off('notification-deleted', handleDeleted)
+      release()
     }
-  }, [getAuthHeaders, setupRealtimeConnection, loadNotifications])
+  }, [user?.id])
 
   // Reload when filter changes
   useEffect(() => {
@@ -186,6 +200,16 @@ export function NotificationCenter({ isCollapsed = false }: NotificationCenterPr
         return 'bg-emerald-100 text-emerald-800 border-emerald-200'
       case 'conversation_started':
         return 'bg-blue-100 text-blue-800 border-blue-200'
+      case 'message_received':
+        return 'bg-sky-100 text-sky-800 border-sky-200'
+      case 'handoff_requested':
+        return 'bg-orange-100 text-orange-800 border-orange-200'
+      case 'handoff_escalated':
+        return 'bg-red-100 text-red-800 border-red-200'
+      case 'feature_request_updated':
+        return 'bg-indigo-100 text-indigo-800 border-indigo-200'
+      case 'issue_resolved':
+        return 'bg-green-100 text-green-800 border-green-200'
       case 'system_announcement':
         return 'bg-purple-100 text-purple-800 border-purple-200'
       case 'marketing':
@@ -0,0 +1,48 @@
+'use client'
+
+import { useEffect } from 'react'
+import { toast } from 'sonner'
+import { notificationService, NotificationData } from '@/lib/services/notification-service'
+import { useAuth } from '@/contexts/simple-auth-context'
+
+/**
+ * Toasts live notifications from the shared realtime channel; renders nothing
+ */
+export function NotificationToaster() {
+  const { user, getAuthHeaders } = useAuth()
+
+  useEffect(() => {
+    notificationService.initialize(getAuthHeaders)
+  }, [getAuthHeaders])
+
+  useEffect(() => {
+    if (!user?.id) return
+
+    const handleNotification = (notification: NotificationData) => {
+      notificationService.showToastNotification(notification)
+    }
+
+    // One summary instead of a burst of toasts after being offline
+    const handleMissed = (missed: NotificationData[]) => {
+      if (missed.length === 1 && missed[0]) {
+        notificationService.showToastNotification(missed[0])
+      } else {
+        toast.info(`${missed.length} new notifications`, {
+          description: 'Received while you were disconnected',
+        })
+      }
+    }
+
+    notificationService.on('notification', handleNotification)
+    notificationService.on('missed-notifications', handleMissed)
+    const release = notificationService.connectRealtime(user.id)
+
+    return () => {
+      notificationService.off('notification', handleNotification)
+      notificationService.off('missed-notifications', handleMissed)
+      release()
+    }
+  }, [user?.id])
+
+  return null
+}
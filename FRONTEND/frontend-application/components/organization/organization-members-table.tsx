@@ -10,6 +10,8 @@ import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigge
 import { useState } from "react"
 import { toast } from "sonner"
 import { updateMemberRole } from "@/lib/api/organization"
+import { PresenceAvatar } from "@/components/presence/presence-avatar"
+import { usePermission } from "@/hooks/use-permission"
 
 interface OrganizationMember {
   id: string
@@ -44,6 +46,7 @@ export function OrganizationMembersTable({
   getAuthHeaders,
 }: OrganizationMembersTableProps) {
   const [updatingRoles, setUpdatingRoles] = useState<Set<string>>(new Set())
+  const canManageMembers = usePermission("members.manage")
 
   const getStatusColor = (status: string) => {
     switch (status) {
@@ -80,15 +83,7 @@ export function OrganizationMembersTable({
       return false
     }
 
-    if (currentUser.role === "admin") {
-      return true
-    }
-
-    if (currentUser.role === "moderator" && member.role === "agent") {
-      return true
-    }
-
-    return false
+    return canManageMembers
   }
 
   const handleRoleChange = async (memberId: string, newRole: string) => {
@@ -160,12 +155,15 @@ export function OrganizationMembersTable({
           {safeMembers.map((member) => (
             <TableRow key={member.id}>
               <TableCell className="font-medium">
-                {member.name || member.email?.split("@")[0] || "Unknown User"}
-                {currentUser?.id === member.id && (
-                  <Badge variant="outline" className="ml-2 text-xs">
-                    You
-                  </Badge>
-                )}
+                <div className="flex items-center gap-2">
+                  <PresenceAvatar userId={member.id} name={member.name || member.email || "?"} />
+                  {member.name || member.email?.split("@")[0] || "Unknown User"}
+                  {currentUser?.id === member.id && (
+                    <Badge variant="outline" className="text-xs">
+                      You
+                    </Badge>
+                  )}
+                </div>
               </TableCell>
               <TableCell>{member.email}</TableCell>
               <TableCell>
@@ -194,7 +192,7 @@ export function OrganizationMembersTable({
                           <SelectContent>
                             <SelectItem value="agent">Agent</SelectItem>
                             <SelectItem value="moderator">Moderator</SelectItem>
-                            {currentUser?.role === "admin" && <SelectItem value="admin">Admin</SelectItem>}
+                            <SelectItem value="admin">Admin</SelectItem>
                           </SelectContent>
                         </Select>
                         {updatingRoles.has(member.id) && (
@@ -224,7 +222,7 @@ export function OrganizationMembersTable({
                           </div>
                         </TooltipTrigger>
                         <TooltipContent>
-                          <p>You do not have permission to change this member's role (your role: {currentUser?.role})</p>
+                          <p>You do not have permission to manage members</p>
                         </TooltipContent>
                       </Tooltip>
                     )
@@ -12,6 +12,7 @@ import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Textarea } from "@/components/ui/textarea"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { 
   Building2, 
   Save, 
@@ -19,9 +20,12 @@ import {
   Info,
   Factory,
   Package,
-  FileText
+  FileText,
+  ShieldCheck
 } from "lucide-react"
 import { useAuth } from "@/contexts/simple-auth-context"
+import { usePermission } from "@/hooks/use-permission"
+import { PermissionsMatrix } from "@/components/organization/permissions-matrix"
 import { toast } from "sonner"
 
 interface OrganizationData {
@@ -51,6 +55,7 @@ export function OrganizationSettingsModal({
     product_service: ""
   })
   const { user, getAuthHeaders } = useAuth()
+  const canManageMembers = usePermission("members.manage")
 
   // Fetch organization data
   const fetchOrganization = async () => {
@@ -149,7 +154,7 @@ export function OrganizationSettingsModal({
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle className="flex items-center gap-2">
             <Building2 className="h-5 w-5 text-blue-500" />
@@ -160,134 +165,157 @@ export function OrganizationSettingsModal({
           </DialogDescription>
         </DialogHeader>
 
-        {loading ? (
-          <div className="flex items-center justify-center py-8">
-            <Loader2 className="h-8 w-8 animate-spin text-blue-500" />
-          </div>
-        ) : organization ? (
-          <div className="space-y-6 py-4">
-            {/* Organization Name */}
-            <div className="space-y-2">
-              <Label htmlFor="name" className="flex items-center">
-                <Building2 className="h-4 w-4 mr-2 text-blue-500" />
-                Organization Name
-              </Label>
-              <Input
-                id="name"
-                value={formData.name}
-                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                placeholder="Your organization name"
-                disabled={saving}
-              />
-            </div>
+        <Tabs defaultValue="details">
+          {canManageMembers && (
+            <TabsList>
+              <TabsTrigger value="details">
+                <Building2 className="mr-2 h-4 w-4" />
+                Details
+              </TabsTrigger>
+              <TabsTrigger value="permissions">
+                <ShieldCheck className="mr-2 h-4 w-4" />
+                Roles & Permissions
+              </TabsTrigger>
+            </TabsList>
+          )}
 
-            {/* Industry */}
-            <div className="space-y-2">
-              <Label htmlFor="industry" className="flex items-center">
-                <Factory className="h-4 w-4 mr-2 text-blue-500" />
-                Industry
-              </Label>
-              <Input
-                id="industry"
-                value={formData.industry}
-                onChange={(e) => setFormData({ ...formData, industry: e.target.value })}
-                placeholder="e.g., Real Estate, Technology, Healthcare..."
-                disabled={saving}
-              />
-              <p className="text-xs text-muted-foreground">
-                Specify your industry to help the AI understand your business context
-              </p>
-            </div>
-
-            {/* Company Overview */}
-            <div className="space-y-2">
-              <Label htmlFor="company_overview" className="flex items-center">
-                <FileText className="h-4 w-4 mr-2 text-blue-500" />
-                Company Overview
-              </Label>
-              <Textarea
-                id="company_overview"
-                value={formData.company_overview}
-                onChange={(e) => setFormData({ ...formData, company_overview: e.target.value })}
-                placeholder="Describe your company's mission, values, and what makes you unique..."
-                rows={4}
-                disabled={saving}
-                className="resize-none"
-              />
-              <p className="text-xs text-muted-foreground">
-                A brief description of your company and its mission
-              </p>
-            </div>
+          <TabsContent value="details">
+            {loading ? (
+              <div className="flex items-center justify-center py-8">
+                <Loader2 className="h-8 w-8 animate-spin text-blue-500" />
+              </div>
+            ) : organization ? (
+              <div className="space-y-6 py-4">
+                {/* Organization Name */}
+                <div className="space-y-2">
+                  <Label htmlFor="name" className="flex items-center">
+                    <Building2 className="h-4 w-4 mr-2 text-blue-500" />
+                    Organization Name
+                  </Label>
+                  <Input
+                    id="name"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    placeholder="Your organization name"
+                    disabled={saving}
+                  />
+                </div>
 
-            {/* Product/Service */}
-            <div className="space-y-2">
-              <Label htmlFor="product_service" className="flex items-center">
-                <Package className="h-4 w-4 mr-2 text-blue-500" />
-                Products & Services
-              </Label>
-              <Textarea
-                id="product_service"
-                value={formData.product_service}
-                onChange={(e) => setFormData({ ...formData, product_service: e.target.value })}
-                placeholder="Describe your main products or services, target customers, and value proposition..."
-                rows={4}
-                disabled={saving}
-                className="resize-none"
-              />
-              <p className="text-xs text-muted-foreground">
-                What products or services does your organization offer?
-              </p>
-            </div>
+                {/* Industry */}
+                <div className="space-y-2">
+                  <Label htmlFor="industry" className="flex items-center">
+                    <Factory className="h-4 w-4 mr-2 text-blue-500" />
+                    Industry
+                  </Label>
+                  <Input
+                    id="industry"
+                    value={formData.industry}
+                    onChange={(e) => setFormData({ ...formData, industry: e.target.value })}
+                    placeholder="e.g., Real Estate, Technology, Healthcare..."
+                    disabled={saving}
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Specify your industry to help the AI understand your business context
+                  </p>
+                </div>
 
-            {/* Important Note */}
-            <div className="rounded-lg bg-blue-50 p-4 border border-blue-200">
-              <div className="flex items-start space-x-2">
-                <Info className="h-5 w-5 text-blue-600 mt-0.5 flex-shrink-0" />
-                <div className="space-y-1">
-                  <p className="text-sm font-medium text-blue-900">
-                    AI Context Generation
+                {/* Company Overview */}
+                <div className="space-y-2">
+                  <Label htmlFor="company_overview" className="flex items-center">
+                    <FileText className="h-4 w-4 mr-2 text-blue-500" />
+                    Company Overview
+                  </Label>
+                  <Textarea
+                    id="company_overview"
+                    value={formData.company_overview}
+                    onChange={(e) => setFormData({ ...formData, company_overview: e.target.value })}
+                    placeholder="Describe your company's mission, values, and what makes you unique..."
+                    rows={4}
+                    disabled={saving}
+                    className="resize-none"
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    A brief description of your company and its mission
                   </p>
-                  <p className="text-sm text-blue-700">
-                    This information will be automatically processed into a concise context 
-                    that your AI assistant will use in every conversation to provide more 
-                    relevant and personalized responses for your business.
+                </div>
+
+                {/* Product/Service */}
+                <div className="space-y-2">
+                  <Label htmlFor="product_service" className="flex items-center">
+                    <Package className="h-4 w-4 mr-2 text-blue-500" />
+                    Products & Services
+                  </Label>
+                  <Textarea
+                    id="product_service"
+                    value={formData.product_service}
+                    onChange={(e) => setFormData({ ...formData, product_service: e.target.value })}
+                    placeholder="Describe your main products or services, target customers, and value proposition..."
+                    rows={4}
+                    disabled={saving}
+                    className="resize-none"
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    What products or services does your organization offer?
                   </p>
                 </div>
+
+                {/* Important Note */}
+                <div className="rounded-lg bg-blue-50 p-4 border border-blue-200">
+                  <div className="flex items-start space-x-2">
+                    <Info className="h-5 w-5 text-blue-600 mt-0.5 flex-shrink-0" />
+                    <div className="space-y-1">
+                      <p className="text-sm font-medium text-blue-900">
+                        AI Context Generation
+                      </p>
+                      <p className="text-sm text-blue-700">
+                        This information will be automatically processed into a concise context 
+                        that your AI assistant will use in every conversation to provide more 
+                        relevant and personalized responses for your business.
+                      </p>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Action Buttons */}
+                <div className="flex justify-end gap-3 pt-4">
+                  <Button
+                    variant="outline"
+                    onClick={() => onOpenChange(false)}
+                    disabled={saving}
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    onClick={handleSave}
+                    disabled={saving || !formData.name.trim()}
+                  >
+                    {saving ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        Saving...
+                      </>
+                    ) : (
+                      <>
+                        <Save className="mr-2 h-4 w-4" />
+                        Save Changes
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <div className="py-8 text-center text-muted-foreground">
+                Organization not found
               </div>
-            </div>
+            )}
+          </TabsContent>
 
-            {/* Action Buttons */}
-            <div className="flex justify-end gap-3 pt-4">
-              <Button
-                variant="outline"
-                onClick={() => onOpenChange(false)}
-                disabled={saving}
-              >
-                Cancel
-              </Button>
-              <Button
-                onClick={handleSave}
-                disabled={saving || !formData.name.trim()}
-              >
-                {saving ? (
-                  <>
-                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                    Saving...
-                  </>
-                ) : (
-                  <>
-                    <Save className="mr-2 h-4 w-4" />
-                    Save Changes
-                  </>
-                )}
-              </Button>
-            </div>
-          </div>
-        ) : (
-          <div className="py-8 text-center text-muted-foreground">
-            Organization not found
-          </div>
-        )}
+          {canManageMembers && (
+            <TabsContent value="permissions" className="py-4">
+              <PermissionsMatrix />
+            </TabsContent>
+          )}
+        </Tabs>
       </DialogContent>
     </Dialog>
   )
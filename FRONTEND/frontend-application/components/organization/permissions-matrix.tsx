@@ -0,0 +1,316 @@
+"use client"
+
+import { Fragment, useEffect, useMemo, useState } from "react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { Check, Loader2, Lock, RotateCcw, Save, X } from "lucide-react"
+import {
+  DEFAULT_ROLE_TEMPLATES,
+  LOCKED_ROLES,
+  ORGANIZATION_ROLES,
+  PERMISSIONS,
+  ROLE_LABELS,
+  getRolePermissions,
+  groupPermissions,
+  normalizeRole,
+  resolvePermissions,
+  type OrganizationRole,
+  type Permission,
+  type PermissionOverrides,
+} from "@/lib/auth/permissions"
+import {
+  useOrganizationPermissions,
+  useUpdateMemberPermissions,
+  useUpdateRoleTemplates,
+} from "@/lib/queries/permission-queries"
+import { usePermission } from "@/hooks/use-permission"
+
+type DraftTemplates = Record<OrganizationRole, Permission[]>
+type OverrideChoice = "inherit" | "allow" | "deny"
+
+const PERMISSION_GROUPS = groupPermissions()
+
+function buildDraft(templates?: Partial<Record<OrganizationRole, Permission[]>>): DraftTemplates {
+  return Object.fromEntries(
+    ORGANIZATION_ROLES.map((role) => [role, getRolePermissions(role, templates)])
+  ) as DraftTemplates
+}
+
+function sameTemplates(a: DraftTemplates, b: DraftTemplates) {
+  return ORGANIZATION_ROLES.every(
+    (role) => a[role].length === b[role].length && a[role].every((permission) => b[role].includes(permission))
+  )
+}
+
+function PermissionLabel({ permission }: { permission: Permission }) {
+  return (
+    <div>
+      <div className="text-sm font-medium text-gray-900">{PERMISSIONS[permission].label}</div>
+      <div className="text-xs text-muted-foreground">{PERMISSIONS[permission].description}</div>
+    </div>
+  )
+}
+
+export function PermissionsMatrix() {
+  const canManage = usePermission("members.manage")
+  const { data, isLoading } = useOrganizationPermissions()
+  const updateRoleTemplates = useUpdateRoleTemplates()
+  const updateMemberPermissions = useUpdateMemberPermissions()
+
+  const savedTemplates = useMemo(() => buildDraft(data?.roleTemplates), [data?.roleTemplates])
+  const [draftTemplates, setDraftTemplates] = useState<DraftTemplates>(savedTemplates)
+
+  const members = useMemo(() => data?.members ?? [], [data?.members])
+  const [selectedUserId, setSelectedUserId] = useState<string>("")
+  const selectedMember = members.find((member) => member.user_id === selectedUserId)
+  const [draftOverrides, setDraftOverrides] = useState<PermissionOverrides>({})
+
+  useEffect(() => {
+    setDraftTemplates(savedTemplates)
+  }, [savedTemplates])
+
+  useEffect(() => {
+    if (!selectedUserId && members[0]) setSelectedUserId(members[0].user_id)
+  }, [members, selectedUserId])
+
+  useEffect(() => {
+    setDraftOverrides(selectedMember?.overrides ?? {})
+  }, [selectedMember])
+
+  const toggleRolePermission = (role: OrganizationRole, permission: Permission, granted: boolean) => {
+    setDraftTemplates((current) => ({
+      ...current,
+      [role]: granted
+        ? [...current[role], permission]
+        : current[role].filter((existing) => existing !== permission),
+    }))
+  }
+
+  const setOverride = (permission: Permission, choice: OverrideChoice) => {
+    setDraftOverrides((current) => {
+      const next = { ...current }
+      if (choice === "inherit") delete next[permission]
+      else next[permission] = choice === "allow"
+      return next
+    })
+  }
+
+  const handleSaveTemplates = () => {
+    // Locked roles always get every permission, so there is nothing to store for them
+    const roleTemplates = Object.fromEntries(
+      ORGANIZATION_ROLES.filter((role) => !LOCKED_ROLES.includes(role)).map((role) => [role, draftTemplates[role]])
+    )
+    updateRoleTemplates.mutate(roleTemplates)
+  }
+
+  const handleSaveOverrides = () => {
+    if (!selectedMember) return
+    updateMemberPermissions.mutate({ userId: selectedMember.user_id, overrides: draftOverrides })
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-blue-500" />
+      </div>
+    )
+  }
+
+  const templatesChanged = !sameTemplates(draftTemplates, savedTemplates)
+  const selectedRole = normalizeRole(selectedMember?.role)
+  // Overrides apply on top of the saved templates, not unsaved edits in the other tab
+  const roleDefaults = new Set(getRolePermissions(selectedRole, savedTemplates))
+  const effective = resolvePermissions(selectedRole, savedTemplates, draftOverrides)
+  const memberLocked = LOCKED_ROLES.includes(selectedRole)
+
+  return (
+    <Tabs defaultValue="roles" className="space-y-4">
+      <TabsList>
+        <TabsTrigger value="roles">Role Templates</TabsTrigger>
+        <TabsTrigger value="members">Member Overrides</TabsTrigger>
+      </TabsList>
+
+      <TabsContent value="roles" className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Choose what each role can do. Owners always have every permission.
+        </p>
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-[40%]">Permission</TableHead>
+                {ORGANIZATION_ROLES.map((role) => (
+                  <TableHead key={role} className="text-center">
+                    {ROLE_LABELS[role]}
+                  </TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {PERMISSION_GROUPS.map((group) => (
+                <Fragment key={group.name}>
+                  <TableRow className="bg-gray-50 hover:bg-gray-50">
+                    <TableCell colSpan={ORGANIZATION_ROLES.length + 1} className="py-2 text-xs font-semibold uppercase text-gray-500">
+                      {group.name}
+                    </TableCell>
+                  </TableRow>
+                  {group.permissions.map((permission) => (
+                    <TableRow key={permission}>
+                      <TableCell>
+                        <PermissionLabel permission={permission} />
+                      </TableCell>
+                      {ORGANIZATION_ROLES.map((role) => {
+                        const locked = LOCKED_ROLES.includes(role)
+                        return (
+                          <TableCell key={role} className="text-center">
+                            <Checkbox
+                              checked={draftTemplates[role].includes(permission)}
+                              disabled={!canManage || locked}
+                              onCheckedChange={(checked) => toggleRolePermission(role, permission, checked === true)}
+                              aria-label={`${ROLE_LABELS[role]}: ${PERMISSIONS[permission].label}`}
+                            />
+                          </TableCell>
+                        )
+                      })}
+                    </TableRow>
+                  ))}
+                </Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+        {canManage && (
+          <div className="flex justify-end gap-3">
+            <Button
+              variant="outline"
+              onClick={() => setDraftTemplates(buildDraft(DEFAULT_ROLE_TEMPLATES))}
+              disabled={updateRoleTemplates.isPending}
+            >
+              <RotateCcw className="mr-2 h-4 w-4" />
+              Reset to Defaults
+            </Button>
+            <Button onClick={handleSaveTemplates} disabled={!templatesChanged || updateRoleTemplates.isPending}>
+              {updateRoleTemplates.isPending ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Save className="mr-2 h-4 w-4" />
+              )}
+              Save Roles
+            </Button>
+          </div>
+        )}
+      </TabsContent>
+
+      <TabsContent value="members" className="space-y-4">
+        {members.length === 0 ? (
+          <p className="py-6 text-center text-sm text-muted-foreground">No members found</p>
+        ) : (
+          <>
+            <div className="flex items-center gap-3">
+              <Select value={selectedUserId} onValueChange={setSelectedUserId}>
+                <SelectTrigger className="w-72">
+                  <SelectValue placeholder="Select a member" />
+                </SelectTrigger>
+                <SelectContent>
+                  {members.map((member) => (
+                    <SelectItem key={member.user_id} value={member.user_id}>
+                      {member.name || member.email || member.user_id}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Badge variant="outline">{ROLE_LABELS[selectedRole]}</Badge>
+              {memberLocked && (
+                <span className="flex items-center text-xs text-muted-foreground">
+                  <Lock className="mr-1 h-3 w-3" />
+                  Owners can&apos;t be restricted
+                </span>
+              )}
+            </div>
+
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-[45%]">Permission</TableHead>
+                    <TableHead className="text-center">Role Default</TableHead>
+                    <TableHead>Override</TableHead>
+                    <TableHead className="text-center">Effective</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {PERMISSION_GROUPS.flatMap((group) => group.permissions).map((permission) => {
+                    const override = draftOverrides[permission]
+                    const choice: OverrideChoice = override === undefined ? "inherit" : override ? "allow" : "deny"
+                    return (
+                      <TableRow key={permission}>
+                        <TableCell>
+                          <PermissionLabel permission={permission} />
+                        </TableCell>
+                        <TableCell className="text-center">
+                          {roleDefaults.has(permission) ? (
+                            <Check className="mx-auto h-4 w-4 text-green-600" />
+                          ) : (
+                            <X className="mx-auto h-4 w-4 text-gray-300" />
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Select
+                            value={choice}
+                            onValueChange={(value) => setOverride(permission, value as OverrideChoice)}
+                            disabled={!canManage || memberLocked}
+                          >
+                            <SelectTrigger className="h-8 w-28">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="inherit">Inherit</SelectItem>
+                              <SelectItem value="allow">Allow</SelectItem>
+                              <SelectItem value="deny">Deny</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        </TableCell>
+                        <TableCell className="text-center">
+                          {effective.has(permission) ? (
+                            <Badge className="bg-green-100 text-green-700 hover:bg-green-100">Allowed</Badge>
+                          ) : (
+                            <Badge variant="outline" className="text-gray-500">Denied</Badge>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    )
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+
+            {canManage && !memberLocked && (
+              <div className="flex justify-end gap-3">
+                <Button
+                  variant="outline"
+                  onClick={() => setDraftOverrides({})}
+                  disabled={updateMemberPermissions.isPending}
+                >
+                  <RotateCcw className="mr-2 h-4 w-4" />
+                  Clear Overrides
+                </Button>
+                <Button onClick={handleSaveOverrides} disabled={updateMemberPermissions.isPending}>
+                  {updateMemberPermissions.isPending ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : (
+                    <Save className="mr-2 h-4 w-4" />
+                  )}
+                  Save Overrides
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </TabsContent>
+    </Tabs>
+  )
+}
@@ -0,0 +1,71 @@
+"use client"
+
+import { Avatar, AvatarFallback } from "@/components/ui/avatar"
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip"
+import { cn } from "@/lib/utils"
+import { usePresence } from "@/contexts/presence-context"
+import type { HumanAgentStatus } from "@/types/human-in-loop"
+
+export const PRESENCE_STATUS_OPTIONS: { value: HumanAgentStatus; label: string; dotColor: string }[] = [
+  { value: "available", label: "Available", dotColor: "bg-green-500" },
+  { value: "busy", label: "Busy", dotColor: "bg-amber-500" },
+  { value: "offline", label: "Offline", dotColor: "bg-gray-400" },
+]
+
+export function getPresenceLabel(status: HumanAgentStatus, idle?: boolean) {
+  if (idle) return "Idle"
+  return PRESENCE_STATUS_OPTIONS.find((option) => option.value === status)?.label || status
+}
+
+export function PresenceDot({ status, idle, className }: { status: HumanAgentStatus; idle?: boolean; className?: string }) {
+  const dotColor = PRESENCE_STATUS_OPTIONS.find((option) => option.value === status)?.dotColor
+  return (
+    <span
+      className={cn(
+        "inline-block h-2.5 w-2.5 rounded-full ring-2 ring-white",
+        idle ? "bg-amber-300" : dotColor,
+        className
+      )}
+    />
+  )
+}
+
+interface PresenceAvatarProps {
+  userId: string | null | undefined
+  name: string
+  className?: string
+  showTooltip?: boolean
+}
+
+export function PresenceAvatar({ userId, name, className, showTooltip = true }: PresenceAvatarProps) {
+  const { getStatus, getPresence } = usePresence()
+  const status = getStatus(userId)
+  const idle = getPresence(userId)?.idle
+
+  const initials = name
+    .split(" ")
+    .map((n) => n[0])
+    .join("")
+    .slice(0, 2)
+    .toUpperCase()
+
+  const avatar = (
+    <span className={cn("relative inline-flex", className)}>
+      <Avatar className="h-7 w-7">
+        <AvatarFallback className="text-[10px]">{initials || "?"}</AvatarFallback>
+      </Avatar>
+      <PresenceDot status={status} idle={idle} className="absolute -bottom-0.5 -right-0.5" />
+    </span>
+  )
+
+  if (!showTooltip) return avatar
+
+  return (
+    <Tooltip>
+      <TooltipTrigger asChild>{avatar}</TooltipTrigger>
+      <TooltipContent>
+        {name} · {getPresenceLabel(status, idle)}
+      </TooltipContent>
+    </Tooltip>
+  )
+}
@@ -0,0 +1,73 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { cn } from "@/lib/utils"
+import { usePresence } from "@/contexts/presence-context"
+import { PRESENCE_STATUS_OPTIONS, PresenceDot, getPresenceLabel } from "@/components/presence/presence-avatar"
+import type { HumanAgentStatus } from "@/types/human-in-loop"
+
+interface PresenceStatusToggleProps {
+  className?: string
+  // Dark variant for the sidebar
+  variant?: "default" | "sidebar"
+}
+
+export function PresenceStatusToggle({ className, variant = "default" }: PresenceStatusToggleProps) {
+  const { isTracking, myStatus, myManualStatus, isIdle, setMyStatus } = usePresence()
+
+  if (!isTracking) return null
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="ghost"
+          size="sm"
+          className={cn(
+            "h-8 gap-2 px-2",
+            variant === "sidebar" && "text-white hover:bg-white/10 hover:text-white",
+            className
+          )}
+          aria-label="Change availability"
+        >
+          <PresenceDot status={myStatus} idle={isIdle} />
+          <span className="text-xs">{getPresenceLabel(myStatus, isIdle)}</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-48">
+        <DropdownMenuLabel className="text-xs font-normal text-muted-foreground">
+          Availability for handoffs
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        <DropdownMenuRadioGroup
+          value={myManualStatus}
+          onValueChange={(value) => setMyStatus(value as HumanAgentStatus)}
+        >
+          {PRESENCE_STATUS_OPTIONS.map((option) => (
+            <DropdownMenuRadioItem key={option.value} value={option.value} className="gap-2">
+              <PresenceDot status={option.value} />
+              {option.label}
+            </DropdownMenuRadioItem>
+          ))}
+        </DropdownMenuRadioGroup>
+        {isIdle && (
+          <>
+            <DropdownMenuSeparator />
+            <p className="px-2 py-1.5 text-xs text-muted-foreground">
+              You have been idle, so new handoffs are paused until you are back
+            </p>
+          </>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
@@ -0,0 +1,388 @@
+'use client'
+
+import { useMemo } from 'react'
+import { Button } from '@/components/ui/button'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { CalendarClock, Moon, Plus, ShieldAlert, Trash2 } from 'lucide-react'
+import {
+  DIGEST_FREQUENCIES,
+  ESCALATION_TARGETS,
+  NOTIFICATION_PRIORITIES,
+  describeEscalationRule,
+  formatInTimezone,
+  getNextDigestTimes,
+  getQuietHoursEnd,
+  getQuietHoursLength,
+  getTimezones,
+  isInQuietHours,
+} from '@/lib/notifications/schedule'
+import type {
+  DigestSettings,
+  EscalationRule,
+  NotificationData,
+  NotificationPreferences,
+  QuietHoursSettings,
+} from '@/lib/services/notification-service'
+
+interface NotificationDeliveryRulesProps {
+  preferences: NotificationPreferences
+  typeOptions: ReadonlyArray<{ key: NotificationData['type']; label: string }>
+  onChange: (updates: Partial<NotificationPreferences>) => void
+}
+
+export function NotificationDeliveryRules({ preferences, typeOptions, onChange }: NotificationDeliveryRulesProps) {
+  const { quietHours, digest, escalationRules } = preferences
+  const timezones = useMemo(() => {
+    const zones = getTimezones()
+    return zones.includes(quietHours.timezone) ? zones : [quietHours.timezone, ...zones]
+  }, [quietHours.timezone])
+
+  const getTypeLabel = (type: NotificationData['type']) => typeOptions.find((t) => t.key === type)?.label ?? type
+
+  const updateQuietHours = (updates: Partial<QuietHoursSettings>) => {
+    onChange({ quietHours: { ...quietHours, ...updates } })
+  }
+
+  const updateDigest = (updates: Partial<DigestSettings>) => {
+    onChange({ digest: { ...digest, ...updates } })
+  }
+
+  const toggleDigestType = (type: NotificationData['type'], included: boolean) => {
+    updateDigest({
+      types: included ? [...digest.types, type] : digest.types.filter((t) => t !== type),
+    })
+  }
+
+  const updateRule = (id: string, updates: Partial<EscalationRule>) => {
+    onChange({
+      escalationRules: escalationRules.map((rule) => (rule.id === id ? { ...rule, ...updates } : rule)),
+    })
+  }
+
+  const addRule = () => {
+    onChange({
+      escalationRules: [
+        ...escalationRules,
+        {
+          id: `rule-${Date.now()}`,
+          enabled: true,
+          type: 'handoff_requested',
+          minPriority: 'high',
+          unopenedMinutes: 10,
+          notify: 'admins',
+        },
+      ],
+    })
+  }
+
+  const removeRule = (id: string) => {
+    onChange({ escalationRules: escalationRules.filter((rule) => rule.id !== id) })
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Quiet Hours */}
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Moon className="h-5 w-5 text-indigo-600" />
+            <div>
+              <h3 className="text-lg font-medium">Quiet Hours</h3>
+              <p className="text-xs text-muted-foreground">Hold push and email notifications overnight</p>
+            </div>
+          </div>
+          <Switch checked={quietHours.enabled} onCheckedChange={(enabled) => updateQuietHours({ enabled })} />
+        </div>
+
+        {quietHours.enabled && (
+          <div className="grid gap-4 md:grid-cols-3 ml-7">
+            <div className="space-y-2">
+              <Label htmlFor="quiet-start" className="text-xs">From</Label>
+              <Input
+                id="quiet-start"
+                type="time"
+                value={quietHours.start}
+                onChange={(e) => updateQuietHours({ start: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="quiet-end" className="text-xs">Until</Label>
+              <Input
+                id="quiet-end"
+                type="time"
+                value={quietHours.end}
+                onChange={(e) => updateQuietHours({ end: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label className="text-xs">Timezone</Label>
+              <Select value={quietHours.timezone} onValueChange={(timezone) => updateQuietHours({ timezone })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="max-h-72">
+                  {timezones.map((timezone) => (
+                    <SelectItem key={timezone} value={timezone}>
+                      {timezone.replace(/_/g, ' ')}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center space-x-2 md:col-span-3">
+              <Switch
+                id="quiet-allow-critical"
+                checked={quietHours.allowCritical}
+                onCheckedChange={(allowCritical) => updateQuietHours({ allowCritical })}
+              />
+              <Label htmlFor="quiet-allow-critical" className="text-xs">
+                Still deliver critical notifications during quiet hours
+              </Label>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Email Digest */}
+      <div>
+        <div className="flex items-center gap-2 mb-4">
+          <CalendarClock className="h-5 w-5 text-orange-600" />
+          <div>
+            <h3 className="text-lg font-medium">Email Digest</h3>
+            <p className="text-xs text-muted-foreground">Bundle low-priority emails into one message</p>
+          </div>
+        </div>
+
+        <div className="space-y-4 ml-7">
+          <div className="grid gap-4 md:grid-cols-3">
+            <div className="space-y-2">
+              <Label className="text-xs">Frequency</Label>
+              <Select
+                value={digest.frequency}
+                onValueChange={(frequency) => updateDigest({ frequency: frequency as DigestSettings['frequency'] })}
+                disabled={!preferences.email}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {DIGEST_FREQUENCIES.map((frequency) => (
+                    <SelectItem key={frequency.value} value={frequency.value}>
+                      {frequency.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {digest.frequency === 'daily' && (
+              <div className="space-y-2">
+                <Label htmlFor="digest-time" className="text-xs">Send at</Label>
+                <Input
+                  id="digest-time"
+                  type="time"
+                  value={digest.dailyAt}
+                  onChange={(e) => updateDigest({ dailyAt: e.target.value })}
+                />
+              </div>
+            )}
+            {digest.frequency !== 'off' && (
+              <div className="space-y-2">
+                <Label className="text-xs">Include priorities up to</Label>
+                <Select
+                  value={digest.maxPriority}
+                  onValueChange={(maxPriority) => updateDigest({ maxPriority: maxPriority as DigestSettings['maxPriority'] })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="low">Low</SelectItem>
+                    <SelectItem value="medium">Medium</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+          </div>
+
+          {!preferences.email && (
+            <p className="text-xs text-muted-foreground">Turn on the email channel to receive digests</p>
+          )}
+
+          {digest.frequency !== 'off' && (
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+              {typeOptions.map((type) => (
+                <div key={type.key} className="flex items-center space-x-2">
+                  <Checkbox
+                    id={`digest-${type.key}`}
+                    checked={digest.types.includes(type.key)}
+                    onCheckedChange={(checked) => toggleDigestType(type.key, checked === true)}
+                  />
+                  <Label htmlFor={`digest-${type.key}`} className="text-xs">
+                    {type.label}
+                  </Label>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Escalation Rules */}
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <ShieldAlert className="h-5 w-5 text-red-600" />
+            <div>
+              <h3 className="text-lg font-medium">Escalation Rules</h3>
+              <p className="text-xs text-muted-foreground">Alert your admins when an important notification goes unopened</p>
+            </div>
+          </div>
+          <Button variant="outline" size="sm" onClick={addRule}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add Rule
+          </Button>
+        </div>
+
+        <div className="space-y-3 ml-7">
+          {escalationRules.length === 0 && (
+            <p className="text-xs text-muted-foreground">No escalation rules</p>
+          )}
+          {escalationRules.map((rule) => (
+            <div key={rule.id} className="flex flex-wrap items-end gap-3 border rounded-lg p-3">
+              <Switch
+                checked={rule.enabled}
+                onCheckedChange={(enabled) => updateRule(rule.id, { enabled })}
+                className="mb-2"
+              />
+              <div className="space-y-1">
+                <Label className="text-xs">Notification</Label>
+                <Select
+                  value={rule.type}
+                  onValueChange={(type) => updateRule(rule.id, { type: type as EscalationRule['type'] })}
+                >
+                  <SelectTrigger className="w-[180px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {typeOptions.map((type) => (
+                      <SelectItem key={type.key} value={type.key}>
+                        {type.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs">Priority at least</Label>
+                <Select
+                  value={rule.minPriority}
+                  onValueChange={(minPriority) =>
+                    updateRule(rule.id, { minPriority: minPriority as EscalationRule['minPriority'] })
+                  }
+                >
+                  <SelectTrigger className="w-[120px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {NOTIFICATION_PRIORITIES.map((priority) => (
+                      <SelectItem key={priority.value} value={priority.value}>
+                        {priority.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs">Unopened for (min)</Label>
+                <Input
+                  type="number"
+                  min={1}
+                  max={1440}
+                  value={rule.unopenedMinutes}
+                  onChange={(e) =>
+                    updateRule(rule.id, { unopenedMinutes: Math.min(1440, Math.max(1, Number(e.target.value) || 1)) })
+                  }
+                  className="w-[110px]"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs">Notify</Label>
+                <Select
+                  value={rule.notify}
+                  onValueChange={(notify) => updateRule(rule.id, { notify: notify as EscalationRule['notify'] })}
+                >
+                  <SelectTrigger className="w-[200px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ESCALATION_TARGETS.map((target) => (
+                      <SelectItem key={target.value} value={target.value}>
+                        {target.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button variant="ghost" size="sm" title="Remove rule" onClick={() => removeRule(rule.id)}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <SchedulePreview preferences={preferences} getTypeLabel={getTypeLabel} />
+    </div>
+  )
+}
+
+function SchedulePreview({
+  preferences,
+  getTypeLabel,
+}: {
+  preferences: NotificationPreferences
+  getTypeLabel: (type: NotificationData['type']) => string
+}) {
+  const { quietHours, digest, escalationRules } = preferences
+  const now = new Date()
+  const quietNow = isInQuietHours(now, quietHours)
+  const digestTimes = preferences.email ? getNextDigestTimes(digest, quietHours, now) : []
+  const activeRules = escalationRules.filter((rule) => rule.enabled)
+  const quietLength = getQuietHoursLength(quietHours)
+
+  return (
+    <div className="rounded-lg border bg-muted/40 p-4 space-y-2 text-sm">
+      <h4 className="font-medium">Schedule Preview</h4>
+      <ul className="space-y-1 text-muted-foreground list-disc ml-5">
+        {quietHours.enabled && quietLength > 0 ? (
+          <li>
+            Quiet every night from {quietHours.start} to {quietHours.end} ({Math.floor(quietLength / 60)}h
+            {quietLength % 60 ? ` ${quietLength % 60}m` : ''}, {quietHours.timezone.replace(/_/g, ' ')})
+            {quietHours.allowCritical && ', critical notifications still come through'}
+            {quietNow && ` — quiet now until ${formatInTimezone(getQuietHoursEnd(now, quietHours), quietHours.timezone)}`}
+          </li>
+        ) : (
+          <li>No quiet hours; notifications are delivered as they happen</li>
+        )}
+        {digestTimes.length > 0 ? (
+          <li>
+            {digest.maxPriority === 'low' ? 'Low' : 'Low and medium'} priority emails for{' '}
+            {digest.types.length > 0 ? digest.types.map(getTypeLabel).join(', ') : 'no types'} are bundled; next digests:{' '}
+            {digestTimes.map((time) => formatInTimezone(time, quietHours.timezone)).join(', ')}
+          </li>
+        ) : (
+          <li>Emails are sent one at a time</li>
+        )}
+        {activeRules.length > 0 ? (
+          activeRules.map((rule) => <li key={rule.id}>{describeEscalationRule(rule, getTypeLabel(rule.type))}</li>)
+        ) : (
+          <li>No escalation rules are active</li>
+        )}
+      </ul>
+    </div>
+  )
+}
@@ -14,15 +14,23 @@ import {
   Monitor,
   Users,
   MessageSquare,
+  MessagesSquare,
+  UserCheck,
   AlertTriangle,
   Megaphone,
   Star,
+  Timer,
+  Lightbulb,
+  Bug,
   Loader2,
   Save,
   RotateCcw
 } from 'lucide-react'
 import { toast } from 'sonner'
 import { notificationService, NotificationPreferences } from '@/lib/services/notification-service'
+import { pushService, type PushPermissionState } from '@/lib/services/push-service'
+import { DEFAULT_DELIVERY_SETTINGS } from '@/lib/notifications/schedule'
+import { NotificationDeliveryRules } from '@/components/settings/notification-delivery-rules'
 import { cn } from '@/lib/utils'
 
 const notificationTypes = [
@@ -53,6 +61,51 @@ const notificationTypes = [
     bgColor: 'bg-blue-100',
     defaultChannels: { email: false, push: true, inApp: true }
   },
+  {
+    key: 'message_received',
+    label: 'New Message',
+    description: 'Messages from leads in conversations assigned to you',
+    icon: MessagesSquare,
+    color: 'text-sky-600',
+    bgColor: 'bg-sky-100',
+    defaultChannels: { email: false, push: true, inApp: true }
+  },
+  {
+    key: 'handoff_requested',
+    label: 'Handoff Requested',
+    description: 'Conversations waiting for a human agent',
+    icon: UserCheck,
+    color: 'text-orange-600',
+    bgColor: 'bg-orange-100',
+    defaultChannels: { email: false, push: true, inApp: true }
+  },
+  {
+    key: 'handoff_escalated',
+    label: 'Handoff Escalated',
+    description: 'Handoffs that missed their SLA and were escalated',
+    icon: Timer,
+    color: 'text-red-600',
+    bgColor: 'bg-red-100',
+    defaultChannels: { email: true, push: true, inApp: true }
+  },
+  {
+    key: 'feature_request_updated',
+    label: 'Feature Request Updates',
+    description: 'Status changes and team replies on feature requests you voted for',
+    icon: Lightbulb,
+    color: 'text-indigo-600',
+    bgColor: 'bg-indigo-100',
+    defaultChannels: { email: true, push: false, inApp: true }
+  },
+  {
+    key: 'issue_resolved',
+    label: 'Issue Resolved',
+    description: 'When an issue you reported has been fixed',
+    icon: Bug,
+    color: 'text-green-600',
+    bgColor: 'bg-green-100',
+    defaultChannels: { email: true, push: false, inApp: true }
+  },
   {
     key: 'system_announcement',
     label: 'System Announcements',
@@ -102,9 +155,13 @@ export function NotificationPreferences() {
   const [isLoading, setIsLoading] = useState(true)
   const [isSaving, setSaving] = useState(false)
   const [hasChanges, setHasChanges] = useState(false)
+  const [pushPermission, setPushPermission] = useState<PushPermissionState>('default')
+  const [isUpdatingPush, setIsUpdatingPush] = useState(false)
+  const [isSendingTest, setIsSendingTest] = useState(false)
 
   useEffect(() => {
     loadPreferences()
+    setPushPermission(pushService.getPermission())
   }, [])
 
   const loadPreferences = async () => {
@@ -121,6 +178,7 @@ export function NotificationPreferences() {
           email: prefs?.email ?? true,
           push: prefs?.push ?? false,
           inApp: prefs?.inApp ?? true,
+          ...DEFAULT_DELIVERY_SETTINGS,
           types: notificationTypes.reduce((acc, type) => ({
             ...acc,
             [type.key]: type.defaultChannels
@@ -138,6 +196,7 @@ export function NotificationPreferences() {
         email: true,
         push: false,
         inApp: true,
+        ...DEFAULT_DELIVERY_SETTINGS,
         types: notificationTypes.reduce((acc, type) => ({
           ...acc,
           [type.key]: type.defaultChannels
@@ -156,6 +215,38 @@ export function NotificationPreferences() {
     setHasChanges(true)
   }
 
+  // Push needs this browser registered with the backend, not just the preference flag
+  const togglePush = async (enabled: boolean) => {
+    try {
+      setIsUpdatingPush(true)
+      if (enabled) {
+        await pushService.subscribe()
+      } else {
+        await pushService.unsubscribe()
+      }
+      updatePreferences({ push: enabled })
+    } catch (error) {
+      console.error('Failed to update push subscription:', error)
+      toast.error(error instanceof Error ? error.message : 'Failed to update push notifications')
+    } finally {
+      setPushPermission(pushService.getPermission())
+      setIsUpdatingPush(false)
+    }
+  }
+
+  const sendTestPush = async () => {
+    try {
+      setIsSendingTest(true)
+      await pushService.sendTestPush()
+      toast.success('Test notification sent')
+    } catch (error) {
+      console.error('Failed to send test push:', error)
+      toast.error('Failed to send test notification')
+    } finally {
+      setIsSendingTest(false)
+    }
+  }
+
   const updateTypePreferences = (
     type: keyof NotificationPreferences['types'],
     channel: keyof NotificationPreferences['types'][keyof NotificationPreferences['types']],
@@ -202,6 +293,7 @@ export function NotificationPreferences() {
       email: true,
       push: false,
       inApp: true,
+      ...DEFAULT_DELIVERY_SETTINGS,
       types: notificationTypes.reduce((acc, type) => ({
         ...acc,
         [type.key]: type.defaultChannels
@@ -274,12 +366,34 @@ export function NotificationPreferences() {
                     <div>
                       <Label className="text-sm font-medium">{channel.label}</Label>
                       <p className="text-xs text-muted-foreground">{channel.description}</p>
+                      {channel.key === 'push' && pushPermission === 'denied' && (
+                        <p className="text-xs text-red-600">Notifications are blocked for this site in your browser settings</p>
+                      )}
+                      {channel.key === 'push' && pushPermission === 'unsupported' && (
+                        <p className="text-xs text-muted-foreground">This browser does not support push notifications</p>
+                      )}
                     </div>
                   </div>
-                  <Switch
-                    checked={preferences[channel.key as keyof Omit<NotificationPreferences, 'types'>] as boolean}
-                    onCheckedChange={(checked) => updatePreferences({ [channel.key]: checked })}
-                  />
+                  {channel.key === 'push' ? (
+                    <div className="flex items-center gap-2">
+                      {preferences.push && pushPermission === 'granted' && (
+                        <Button variant="outline" size="sm" onClick={sendTestPush} disabled={isSendingTest}>
+                          {isSendingTest && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+                          Send Test
+                        </Button>
+                      )}
+                      <Switch
+                        checked={preferences.push}
+                        onCheckedChange={togglePush}
+                        disabled={isUpdatingPush || pushPermission === 'unsupported' || pushPermission === 'denied'}
+                      />
+                    </div>
+                  ) : (
+                    <Switch
+                      checked={preferences[channel.key as keyof Omit<NotificationPreferences, 'types'>] as boolean}
+                      onCheckedChange={(checked) => updatePreferences({ [channel.key]: checked })}
+                    />
+                  )}
                 </div>
               )
             })}
@@ -345,6 +459,15 @@ export function NotificationPreferences() {
 
         <Separator />
 
+        {/* Quiet Hours, Digests and Escalation */}
+        <NotificationDeliveryRules
+          preferences={preferences}
+          typeOptions={notificationTypes}
+          onChange={updatePreferences}
+        />
+
+        <Separator />
+
         {/* Action Buttons */}
         <div className="flex items-center justify-between pt-4">
           <Button
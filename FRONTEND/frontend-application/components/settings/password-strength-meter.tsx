@@ -0,0 +1,58 @@
+'use client'
+
+import { Check, X } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { PASSWORD_RULES } from '@/lib/validation/schemas'
+
+const STRENGTH_LEVELS = [
+  { label: 'Too weak', color: 'bg-red-500', text: 'text-red-600' },
+  { label: 'Weak', color: 'bg-orange-500', text: 'text-orange-600' },
+  { label: 'Fair', color: 'bg-yellow-500', text: 'text-yellow-600' },
+  { label: 'Good', color: 'bg-lime-500', text: 'text-lime-600' },
+  { label: 'Strong', color: 'bg-green-500', text: 'text-green-600' },
+] as const
+
+export function getPasswordStrength(password: string) {
+  const passed = PASSWORD_RULES.filter((rule) => rule.test(password)).length
+  // Every rule must pass before a password counts as usable
+  const level = passed === PASSWORD_RULES.length ? 4 : Math.min(3, Math.floor((passed / PASSWORD_RULES.length) * 4))
+  return { passed, isValid: passed === PASSWORD_RULES.length, ...STRENGTH_LEVELS[level]! }
+}
+
+interface PasswordStrengthMeterProps {
+  password: string
+  className?: string
+}
+
+export function PasswordStrengthMeter({ password, className }: PasswordStrengthMeterProps) {
+  if (!password) return null
+
+  const strength = getPasswordStrength(password)
+
+  return (
+    <div className={cn('space-y-2', className)}>
+      <div className="flex items-center gap-2">
+        <div className="flex flex-1 gap-1">
+          {PASSWORD_RULES.map((rule, index) => (
+            <div
+              key={rule.id}
+              className={cn('h-1.5 flex-1 rounded-full', index < strength.passed ? strength.color : 'bg-gray-200')}
+            />
+          ))}
+        </div>
+        <span className={cn('text-xs font-medium', strength.text)}>{strength.label}</span>
+      </div>
+      <ul className="grid grid-cols-2 gap-1">
+        {PASSWORD_RULES.map((rule) => {
+          const met = rule.test(password)
+          return (
+            <li key={rule.id} className={cn('flex items-center gap-1 text-xs', met ? 'text-green-600' : 'text-gray-500')}>
+              {met ? <Check className="h-3 w-3" /> : <X className="h-3 w-3" />}
+              {rule.label}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
@@ -17,12 +17,16 @@ import {
   LogOut,
   HandHeart,
   Bell,
+  Bookmark,
+  Lightbulb,
 } from "lucide-react"
 import { cn } from "@/lib/utils"
 import { Button } from "@/components/ui/button"
 import { Tooltip, TooltipContent, TooltipTrigger, TooltipProvider } from "@/components/ui/tooltip"
 import { useAuth } from "@/contexts/simple-auth-context"
 import { NotificationCenter } from "@/components/notifications/notification-center"
+import { PresenceStatusToggle } from "@/components/presence/presence-status-toggle"
+import { useLeadSegments } from "@/lib/queries/segment-queries"
 import {
   DropdownMenu,
   DropdownMenuContent,
@@ -34,6 +38,7 @@ import {
 
 const bottomNavigation = [
   { name: "Settings", href: "/settings", icon: Settings },
+  { name: "Feature Requests", href: "/feature-requests", icon: Lightbulb },
   { name: "Help", href: "/help", icon: HelpCircle },
 ]
 
@@ -42,6 +47,8 @@ export function Sidebar() {
   const { isCollapsed, setIsCollapsed } = useSidebar()
   const [isMobileOpen, setIsMobileOpen] = useState(false)
   const { user, signOut, canAccessHumanDashboard } = useAuth()
+  const { data: segments = [] } = useLeadSegments({ enabled: !!user })
+  const pinnedSegments = segments.filter((segment) => segment.pinned)
 
   // Dynamic navigation based on user permissions
   const getNavigation = () => {
@@ -175,6 +182,30 @@ export function Sidebar() {
                 <NavItem key={item.name} item={item} />
               ))}
             </nav>
+
+            {/* Pinned lead segments with live counts */}
+            {pinnedSegments.length > 0 && !isCollapsed && (
+              <div className="px-4 pb-4">
+                <p className="px-4 pb-1 text-[11px] font-semibold uppercase tracking-wider text-white/50">Segments</p>
+                <nav className="space-y-0.5">
+                  {pinnedSegments.map((segment) => (
+                    <Link
+                      key={segment.id}
+                      href={`/leads?segment=${segment.id}`}
+                      className="flex items-center justify-between rounded-md px-4 py-1.5 text-sm text-white/80 hover:bg-white/10 hover:text-white transition-colors"
+                    >
+                      <span className="flex items-center min-w-0">
+                        <Bookmark className="h-3.5 w-3.5 mr-3 flex-shrink-0" />
+                        <span className="truncate">{segment.name}</span>
+                      </span>
+                      {segment.lead_count !== undefined && (
+                        <span className="ml-2 rounded-full bg-white/15 px-2 text-xs text-white">{segment.lead_count}</span>
+                      )}
+                    </Link>
+                  ))}
+                </nav>
+              </div>
+            )}
           </div>
 
           {/* User Profile and Notification at Bottom */}
@@ -216,6 +247,7 @@ export function Sidebar() {
                       </DropdownMenu>
                       <NotificationCenter isCollapsed={false} />
                     </div>
+                    <PresenceStatusToggle variant="sidebar" className="mt-2 -ml-2" />
                   </div>
                 )}
               </div>
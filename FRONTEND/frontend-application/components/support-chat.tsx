@@ -1,168 +1,100 @@
 "use client"
 
-import { useState, useEffect, useRef } from "react"
+import { useState, useEffect, useRef, useMemo } from "react"
 import { useAuth } from "@/contexts/simple-auth-context"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
 import { Card } from "@/components/ui/card"
 import { ScrollArea } from "@/components/ui/scroll-area"
-import { Badge } from "@/components/ui/badge"
-import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
-import { 
-  MessageSquare, 
-  X, 
-  Send, 
-  Loader2, 
+import { Avatar, AvatarFallback } from "@/components/ui/avatar"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import {
+  MessageSquare,
+  X,
+  Send,
+  Loader2,
   CheckCircle,
   User,
   HeadphonesIcon,
   Minimize2,
-  Maximize2
+  Maximize2,
+  Plus
 } from "lucide-react"
-import { toast } from "sonner"
 import { format } from "date-fns"
-
-interface Message {
-  id: string
-  message: string
-  senderType: 'user' | 'admin' | 'system'
-  senderName: string
-  createdAt: string
-}
+import {
+  useCreateSupportTicket,
+  useMySupportTickets,
+  useSendSupportMessage,
+  useSupportThread,
+} from "@/lib/queries/support-queries"
+import { useSupportStream } from "@/hooks/use-support-stream"
+import {
+  isSupportTicketActive,
+  SUPPORT_CATEGORY_LABELS,
+  SUPPORT_STATUS_LABELS,
+  SUPPORT_TICKET_CATEGORIES,
+  type SupportTicketCategory,
+} from "@/lib/support/tickets"
 
 interface SupportChatProps {
   className?: string
 }
 
+const SUBJECT_MAX_LENGTH = 80
+
 export function SupportChat({ className }: SupportChatProps) {
   const { user } = useAuth()
   const [isOpen, setIsOpen] = useState(false)
   const [isMinimized, setIsMinimized] = useState(false)
-  const [isLoading, setIsLoading] = useState(false)
-  const [ticketId, setTicketId] = useState<string | null>(null)
-  const [messages, setMessages] = useState<Message[]>([])
+  // null = resume the latest active ticket, 'new' = show the new ticket form
+  const [selectedTicketId, setSelectedTicketId] = useState<string | "new" | null>(null)
   const [inputMessage, setInputMessage] = useState("")
-  const [status, setStatus] = useState<'disconnected' | 'connected' | 'resolved'>('disconnected')
+  const [category, setCategory] = useState<SupportTicketCategory>("general")
   const scrollAreaRef = useRef<HTMLDivElement>(null)
-  const eventSourceRef = useRef<EventSource | null>(null)
 
-  // Start support chat
-  const startChat = async () => {
-    setIsLoading(true)
-    try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/support/start`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await user?.getIdToken()}`
-        },
-        body: JSON.stringify({
-          subject: "Support Chat Request",
-          initialMessage: "User started a support chat",
-          category: 'general'
-        })
-      })
-
-      if (!response.ok) {
-        throw new Error('Failed to start support chat')
-      }
+  const { data: tickets = [], isLoading: ticketsLoading } = useMySupportTickets({ enabled: isOpen })
+  const createTicket = useCreateSupportTicket()
+  const sendMessage = useSendSupportMessage()
 
-      const data = await response.json()
-      setTicketId(data.data.ticketId)
-      setStatus('connected')
-      
-      // Add welcome message
-      setMessages([{
-        id: 'welcome',
-        message: "Hello! How can I help you today? An admin will be with you shortly.",
-        senderType: 'system',
-        senderName: 'System',
-        createdAt: new Date().toISOString()
-      }])
+  const ticketId = useMemo(() => {
+    if (selectedTicketId === "new") return null
+    if (selectedTicketId) return selectedTicketId
+    return tickets.find((ticket) => isSupportTicketActive(ticket.status))?.id ?? null
+  }, [selectedTicketId, tickets])
 
-      // Connect to SSE stream
-      connectToStream(data.data.ticketId)
-      
-    } catch (error) {
-      console.error('Error starting chat:', error)
-      toast.error("Failed to start support chat")
-    } finally {
-      setIsLoading(false)
-    }
-  }
+  const { connected } = useSupportStream({ scope: "app", ticketId, enabled: isOpen })
+  const { data: thread, isLoading: threadLoading } = useSupportThread(isOpen ? ticketId : null, { live: connected })
 
-  // Connect to SSE stream for real-time messages
-  const connectToStream = (ticketId: string) => {
-    if (eventSourceRef.current) {
-      eventSourceRef.current.close()
-    }
+  const ticket = thread?.ticket
+  const messages = thread?.messages ?? []
+  const isLoading = ticketsLoading || (!!ticketId && threadLoading)
+  const isClosed = ticket?.status === "closed"
+  const isResolved = ticket?.status === "resolved"
+  const isSending = createTicket.isPending || sendMessage.isPending
 
-    const eventSource = new EventSource(
-      `${process.env.NEXT_PUBLIC_API_URL}/api/support/stream/${ticketId}`
-    )
+  const handleSubmit = async () => {
+    const text = inputMessage.trim()
+    if (!text || isSending) return
 
-    eventSource.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data)
-        
-        if (data.type === 'message') {
-          setMessages(prev => [...prev, data.message])
-          scrollToBottom()
-        } else if (data.type === 'ticket_resolved') {
-          setStatus('resolved')
-          toast.success("Support ticket has been resolved")
-        }
-      } catch (error) {
-        console.error('Error parsing SSE message:', error)
-      }
-    }
-
-    eventSource.onerror = (error) => {
-      console.error('SSE error:', error)
-      setStatus('disconnected')
-    }
-
-    eventSourceRef.current = eventSource
-  }
-
-  // Send message
-  const sendMessage = async () => {
-    if (!inputMessage.trim() || !ticketId) return
-
-    const tempMessage: Message = {
-      id: `temp-${Date.now()}`,
-      message: inputMessage,
-      senderType: 'user',
-      senderName: user?.email?.split('@')[0] || 'You',
-      createdAt: new Date().toISOString()
-    }
-
-    setMessages(prev => [...prev, tempMessage])
     setInputMessage("")
-
     try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/support/message`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await user?.getIdToken()}`
-        },
-        body: JSON.stringify({
-          ticketId,
-          message: inputMessage
-        })
-      })
-
-      if (!response.ok) {
-        throw new Error('Failed to send message')
+      if (ticketId) {
+        await sendMessage.mutateAsync({ ticketId, message: text })
+      } else {
+        const subject = text.length > SUBJECT_MAX_LENGTH ? `${text.slice(0, SUBJECT_MAX_LENGTH - 1)}…` : text
+        const response = await createTicket.mutateAsync({ subject, message: text, category })
+        setSelectedTicketId(response.ticket.id)
       }
-
-      scrollToBottom()
-    } catch (error) {
-      console.error('Error sending message:', error)
-      toast.error("Failed to send message")
-      // Remove temp message on error
-      setMessages(prev => prev.filter(m => m.id !== tempMessage.id))
+    } catch {
+      // Keep what they typed so it can be sent again
+      setInputMessage(text)
     }
   }
 
@@ -178,62 +110,66 @@ export function SupportChat({ className }: SupportChatProps) {
     }, 100)
   }
 
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (eventSourceRef.current) {
-        eventSourceRef.current.close()
-      }
-    }
-  }, [])
-
   // Auto-scroll on new messages
   useEffect(() => {
     scrollToBottom()
-  }, [messages])
+  }, [messages.length, isMinimized])
+
+  if (!user) return null
 
   // Chat button
   if (!isOpen) {
     return (
       <Button
-        onClick={() => {
-          setIsOpen(true)
-          if (!ticketId) startChat()
-        }}
+        onClick={() => setIsOpen(true)}
         className="fixed bottom-6 right-6 rounded-full h-14 w-14 shadow-lg hover:shadow-xl transition-all z-50"
         size="icon"
+        aria-label="Open support chat"
       >
         <MessageSquare className="h-6 w-6" />
       </Button>
     )
   }
 
+  const statusLabel = ticket
+    ? SUPPORT_STATUS_LABELS[ticket.status]
+    : "New conversation"
+
   // Chat window
   return (
-    <Card className={`fixed bottom-6 right-6 shadow-2xl z-50 transition-all ${
+    <Card className={`fixed bottom-6 right-6 shadow-2xl z-50 transition-all flex flex-col ${
       isMinimized ? 'w-80 h-14' : 'w-96 h-[500px]'
-    } ${className}`}>
+    } ${className ?? ""}`}>
       {/* Header */}
       <div className="flex items-center justify-between p-3 border-b bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-t-lg">
-        <div className="flex items-center gap-2">
-          <HeadphonesIcon className="h-5 w-5" />
-          <div>
-            <h3 className="font-semibold">Support Chat</h3>
+        <div className="flex items-center gap-2 min-w-0">
+          <HeadphonesIcon className="h-5 w-5 flex-shrink-0" />
+          <div className="min-w-0">
+            <h3 className="font-semibold truncate">{ticket?.subject || "Support Chat"}</h3>
             {!isMinimized && (
               <div className="flex items-center gap-2">
                 <div className={`w-2 h-2 rounded-full ${
-                  status === 'connected' ? 'bg-green-400' : 
-                  status === 'resolved' ? 'bg-gray-400' : 'bg-red-400'
+                  !ticket ? 'bg-gray-300' :
+                  isResolved || isClosed ? 'bg-gray-400' :
+                  connected ? 'bg-green-400' : 'bg-yellow-400'
                 }`} />
-                <span className="text-xs">
-                  {status === 'connected' ? 'Connected' : 
-                   status === 'resolved' ? 'Resolved' : 'Disconnected'}
-                </span>
+                <span className="text-xs">{statusLabel}</span>
               </div>
             )}
           </div>
         </div>
         <div className="flex items-center gap-1">
+          {ticketId && (
+            <Button
+              onClick={() => setSelectedTicketId("new")}
+              size="icon"
+              variant="ghost"
+              className="h-7 w-7 text-white hover:bg-white/20"
+              title="New conversation"
+            >
+              <Plus className="h-4 w-4" />
+            </Button>
+          )}
           <Button
             onClick={() => setIsMinimized(!isMinimized)}
             size="icon"
@@ -243,12 +179,7 @@ export function SupportChat({ className }: SupportChatProps) {
             {isMinimized ? <Maximize2 className="h-4 w-4" /> : <Minimize2 className="h-4 w-4" />}
           </Button>
           <Button
-            onClick={() => {
-              setIsOpen(false)
-              if (eventSourceRef.current) {
-                eventSourceRef.current.close()
-              }
-            }}
+            onClick={() => setIsOpen(false)}
             size="icon"
             variant="ghost"
             className="h-7 w-7 text-white hover:bg-white/20"
@@ -261,15 +192,32 @@ export function SupportChat({ className }: SupportChatProps) {
       {!isMinimized && (
         <>
           {/* Messages */}
-          <ScrollArea ref={scrollAreaRef} className="flex-1 p-4 h-[380px]">
+          <ScrollArea ref={scrollAreaRef} className="flex-1 p-4">
             {isLoading ? (
-              <div className="flex items-center justify-center h-full">
+              <div className="flex items-center justify-center h-[340px]">
                 <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
               </div>
-            ) : messages.length === 0 ? (
-              <div className="flex flex-col items-center justify-center h-full text-gray-400">
-                <MessageSquare className="h-12 w-12 mb-2" />
-                <p className="text-sm">No messages yet</p>
+            ) : !ticketId ? (
+              <div className="flex flex-col items-center justify-center h-[300px] text-center text-gray-500">
+                <MessageSquare className="h-12 w-12 mb-2 text-gray-300" />
+                <p className="text-sm font-medium text-gray-700">How can we help?</p>
+                <p className="text-xs mt-1">
+                  Send us a message and someone from the Leadify team will reply here.
+                </p>
+                <div className="w-full mt-4">
+                  <Select value={category} onValueChange={(value) => setCategory(value as SupportTicketCategory)}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {SUPPORT_TICKET_CATEGORIES.map((value) => (
+                        <SelectItem key={value} value={value}>
+                          {SUPPORT_CATEGORY_LABELS[value]}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
               </div>
             ) : (
               <div className="space-y-3">
@@ -277,31 +225,34 @@ export function SupportChat({ className }: SupportChatProps) {
                   <div
                     key={message.id}
                     className={`flex ${
-                      message.senderType === 'user' ? 'justify-end' : 'justify-start'
+                      message.sender_type === 'user' ? 'justify-end' : 'justify-start'
                     }`}
                   >
                     <div className={`flex gap-2 max-w-[80%] ${
-                      message.senderType === 'user' ? 'flex-row-reverse' : ''
+                      message.sender_type === 'user' ? 'flex-row-reverse' : ''
                     }`}>
                       <Avatar className="h-8 w-8">
                         <AvatarFallback>
-                          {message.senderType === 'user' ? <User className="h-4 w-4" /> : 
-                           message.senderType === 'admin' ? <HeadphonesIcon className="h-4 w-4" /> :
+                          {message.sender_type === 'user' ? <User className="h-4 w-4" /> :
+                           message.sender_type === 'admin' ? <HeadphonesIcon className="h-4 w-4" /> :
                            '🤖'}
                         </AvatarFallback>
                       </Avatar>
                       <div>
                         <div className={`rounded-lg px-3 py-2 ${
-                          message.senderType === 'user' 
-                            ? 'bg-blue-600 text-white' 
-                            : message.senderType === 'system'
+                          message.sender_type === 'user'
+                            ? 'bg-blue-600 text-white'
+                            : message.sender_type === 'system'
                             ? 'bg-gray-100 text-gray-700 italic'
                             : 'bg-gray-200 text-gray-900'
                         }`}>
-                          <p className="text-sm">{message.message}</p>
+                          {message.sender_type === 'admin' && message.sender_name && (
+                            <p className="text-xs font-medium text-gray-600 mb-0.5">{message.sender_name}</p>
+                          )}
+                          <p className="text-sm whitespace-pre-wrap">{message.message}</p>
                         </div>
                         <p className="text-xs text-gray-400 mt-1">
-                          {format(new Date(message.createdAt), 'HH:mm')}
+                          {format(new Date(message.created_at), 'HH:mm')}
                         </p>
                       </div>
                     </div>
@@ -311,44 +262,61 @@ export function SupportChat({ className }: SupportChatProps) {
             )}
           </ScrollArea>
 
+          {isResolved && (
+            <div className="px-3 py-2 border-t bg-green-50">
+              <div className="flex items-center gap-2 text-green-700">
+                <CheckCircle className="h-4 w-4" />
+                <span className="text-xs">Marked resolved. Reply if you still need help.</span>
+              </div>
+            </div>
+          )}
+
           {/* Input */}
-          {status !== 'resolved' && (
+          {isClosed ? (
+            <div className="p-3 border-t bg-gray-50 flex items-center justify-between gap-2">
+              <span className="text-sm text-gray-600">This conversation is closed</span>
+              <Button size="sm" onClick={() => setSelectedTicketId("new")}>
+                New conversation
+              </Button>
+            </div>
+          ) : (
             <div className="p-3 border-t">
-              <form 
+              <form
                 onSubmit={(e) => {
                   e.preventDefault()
-                  sendMessage()
+                  handleSubmit()
                 }}
-                className="flex gap-2"
+                className="flex gap-2 items-end"
               >
-                <Input
-                  value={inputMessage}
-                  onChange={(e) => setInputMessage(e.target.value)}
-                  placeholder="Type your message..."
-                  disabled={status !== 'connected' || isLoading}
-                  className="flex-1"
-                />
-                <Button 
+                {ticketId ? (
+                  <Input
+                    value={inputMessage}
+                    onChange={(e) => setInputMessage(e.target.value)}
+                    placeholder="Type your message..."
+                    disabled={isLoading}
+                    className="flex-1"
+                  />
+                ) : (
+                  <Textarea
+                    value={inputMessage}
+                    onChange={(e) => setInputMessage(e.target.value)}
+                    placeholder="Describe what you need help with..."
+                    rows={2}
+                    className="flex-1 resize-none"
+                  />
+                )}
+                <Button
                   type="submit"
                   size="icon"
-                  disabled={!inputMessage.trim() || status !== 'connected' || isLoading}
+                  disabled={!inputMessage.trim() || isSending || isLoading}
                 >
-                  <Send className="h-4 w-4" />
+                  {isSending ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
                 </Button>
               </form>
             </div>
           )}
-
-          {status === 'resolved' && (
-            <div className="p-3 border-t bg-green-50">
-              <div className="flex items-center gap-2 text-green-700">
-                <CheckCircle className="h-4 w-4" />
-                <span className="text-sm">This ticket has been resolved</span>
-              </div>
-            </div>
-          )}
         </>
       )}
     </Card>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,201 @@
+"use client"
+
+import { useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { ScrollArea } from "@/components/ui/scroll-area"
+import { Badge } from "@/components/ui/badge"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Loader2, Pencil, Plus, Trash2 } from "lucide-react"
+import {
+  useDeleteSupportCannedReply,
+  useSaveSupportCannedReply,
+  useSupportCannedReplies,
+} from "@/lib/queries/support-queries"
+import {
+  CANNED_REPLY_PLACEHOLDER_KEYS,
+  SUPPORT_CATEGORY_LABELS,
+  SUPPORT_TICKET_CATEGORIES,
+  type SupportTicketCategory,
+} from "@/lib/support/tickets"
+import type { SupportCannedReply } from "@/lib/validation/schemas"
+
+interface CannedRepliesDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+}
+
+interface ReplyDraft {
+  id?: string
+  title: string
+  body: string
+  category: SupportTicketCategory | null
+}
+
+const EMPTY_DRAFT: ReplyDraft = { title: "", body: "", category: null }
+
+export function CannedRepliesDialog({ open, onOpenChange }: CannedRepliesDialogProps) {
+  const { data: replies = [], isLoading } = useSupportCannedReplies()
+  const saveReply = useSaveSupportCannedReply()
+  const deleteReply = useDeleteSupportCannedReply()
+  const [draft, setDraft] = useState<ReplyDraft>(EMPTY_DRAFT)
+
+  const handleEdit = (reply: SupportCannedReply) => {
+    setDraft({ id: reply.id, title: reply.title, body: reply.body, category: reply.category })
+  }
+
+  const handleSave = () => {
+    if (!draft.title.trim() || !draft.body.trim()) return
+    saveReply.mutate(
+      { ...draft, title: draft.title.trim(), body: draft.body.trim() },
+      { onSuccess: () => setDraft(EMPTY_DRAFT) }
+    )
+  }
+
+  const handleDelete = (reply: SupportCannedReply) => {
+    if (!confirm(`Delete the canned reply "${reply.title}"?`)) return
+    deleteReply.mutate(reply.id)
+    if (draft.id === reply.id) setDraft(EMPTY_DRAFT)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Canned Replies</DialogTitle>
+          <DialogDescription>
+            Shared by the whole support team. Use{" "}
+            {CANNED_REPLY_PLACEHOLDER_KEYS.map((key, index) => (
+              <span key={key}>
+                {index > 0 && ", "}
+                <code className="text-xs">{`{{${key}}}`}</code>
+              </span>
+            ))}{" "}
+            to fill in ticket details.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <ScrollArea className="h-[360px] pr-3">
+            {isLoading ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+              </div>
+            ) : replies.length === 0 ? (
+              <p className="text-sm text-muted-foreground py-8 text-center">No canned replies yet</p>
+            ) : (
+              <div className="space-y-2">
+                {replies.map((reply) => (
+                  <div
+                    key={reply.id}
+                    className={`p-3 border rounded-lg ${draft.id === reply.id ? "border-blue-500 bg-blue-50" : ""}`}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium truncate">{reply.title}</p>
+                        {reply.category && (
+                          <Badge variant="outline" className="mt-1 text-xs">
+                            {SUPPORT_CATEGORY_LABELS[reply.category]}
+                          </Badge>
+                        )}
+                      </div>
+                      <div className="flex gap-1">
+                        <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => handleEdit(reply)}>
+                          <Pencil className="h-3.5 w-3.5" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-7 w-7 text-red-600"
+                          onClick={() => handleDelete(reply)}
+                        >
+                          <Trash2 className="h-3.5 w-3.5" />
+                        </Button>
+                      </div>
+                    </div>
+                    <p className="text-xs text-muted-foreground mt-2 line-clamp-2">{reply.body}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </ScrollArea>
+
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h4 className="text-sm font-medium">{draft.id ? "Edit reply" : "New reply"}</h4>
+              {draft.id && (
+                <Button variant="ghost" size="sm" onClick={() => setDraft(EMPTY_DRAFT)}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  New
+                </Button>
+              )}
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="canned-reply-title">Title</Label>
+              <Input
+                id="canned-reply-title"
+                value={draft.title}
+                onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                placeholder="e.g. Refund processed"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label>Category</Label>
+              <Select
+                value={draft.category ?? "any"}
+                onValueChange={(value) =>
+                  setDraft({ ...draft, category: value === "any" ? null : (value as SupportTicketCategory) })
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="any">Any category</SelectItem>
+                  {SUPPORT_TICKET_CATEGORIES.map((category) => (
+                    <SelectItem key={category} value={category}>
+                      {SUPPORT_CATEGORY_LABELS[category]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="canned-reply-body">Message</Label>
+              <Textarea
+                id="canned-reply-body"
+                value={draft.body}
+                onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+                rows={7}
+                placeholder="Hi {{customer_name}}, ..."
+              />
+            </div>
+            <Button
+              className="w-full"
+              onClick={handleSave}
+              disabled={!draft.title.trim() || !draft.body.trim() || saveReply.isPending}
+            >
+              {saveReply.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {draft.id ? "Save Changes" : "Add Reply"}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
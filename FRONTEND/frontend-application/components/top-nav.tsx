@@ -14,6 +14,7 @@ import {
 } from "@/components/ui/dropdown-menu"
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
 import { Button } from "@/components/ui/button"
+import { PresenceStatusToggle } from "@/components/presence/presence-status-toggle"
 import React from "react"
 
 export function TopNav() {
@@ -48,6 +49,7 @@ export function TopNav() {
           </nav>
         </div>
         <div className="flex items-center gap-4">
+          <PresenceStatusToggle />
           <ThemeToggle />
           {user && (
             <DropdownMenu>
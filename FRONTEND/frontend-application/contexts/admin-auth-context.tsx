@@ -2,6 +2,13 @@
 
 import React, { createContext, useContext, useEffect, useState } from "react"
 import { useRouter } from "next/navigation"
+import {
+  clearSession,
+  loadSession,
+  onSessionChange,
+  saveSession,
+  type ClientSession,
+} from "@/lib/auth/session-client"
 
 interface AdminUser {
   id: string
@@ -30,42 +37,32 @@ export function AdminAuthProvider({ children }: { children: React.ReactNode }) {
   
   const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
 
-  // Initialize auth from localStorage
+  // Restore the admin session from its cookies
   useEffect(() => {
-    const initAuth = () => {
-      const savedToken = localStorage.getItem('admin_token')
-      const savedUser = localStorage.getItem('admin_user')
-      
-      if (savedToken && savedUser) {
-        try {
-          const parsedUser = JSON.parse(savedUser)
-          setToken(savedToken)
-          setAdminUser(parsedUser)
-          
-          // Verify token is still valid
-          fetch(`${API_URL}/api/admin/verify`, {
-            headers: {
-              'Authorization': `Bearer ${savedToken}`
-            }
-          }).then(response => {
-            if (!response.ok) {
-              // Token is invalid, clear it
-              signOut()
-            }
-          }).catch(() => {
-            // Network error, keep the session for now
-          })
-        } catch (error) {
-          console.error('Error parsing saved admin user:', error)
-          localStorage.removeItem('admin_token')
-          localStorage.removeItem('admin_user')
-        }
+    const applySession = (session: ClientSession<AdminUser> | null) => {
+      setToken(session?.token ?? null)
+      setAdminUser(session ? { ...session.user, permissions: session.user.permissions || [] } : null)
+    }
+
+    const initAuth = async () => {
+      // Move sessions saved by older builds into cookies once
+      const legacyToken = localStorage.getItem('admin_token')
+      if (legacyToken) {
+        localStorage.removeItem('admin_token')
+        localStorage.removeItem('admin_user')
+        await saveSession('admin', { token: legacyToken }).catch(() => null)
       }
-      
+
+      applySession(await loadSession<AdminUser>('admin'))
       setIsLoading(false)
     }
 
+    const unsubscribe = onSessionChange((scope, session) => {
+      if (scope === 'admin') applySession(session as ClientSession<AdminUser> | null)
+    })
+
     initAuth()
+    return unsubscribe
   }, [])
 
   const signIn = async (email: string, password: string) => {
@@ -84,29 +81,19 @@ export function AdminAuthProvider({ children }: { children: React.ReactNode }) {
 
     const data = await response.json()
     
-    // Store admin credentials
-    const userData: AdminUser = {
-      id: data.user.id,
-      email: data.user.email,
-      name: data.user.full_name || data.user.email.split('@')[0],
-      role: data.user.role,
-      permissions: data.user.permissions || []
-    }
-
-    setAdminUser(userData)
-    setToken(data.token)
-    
-    // Save to localStorage
-    localStorage.setItem('admin_token', data.token)
-    localStorage.setItem('admin_user', JSON.stringify(userData))
+    // Role and permissions are filled in by the session route from /api/admin/verify
+    await saveSession<AdminUser>('admin', {
+      token: data.token,
+      refreshToken: data.refreshToken ?? data.refresh_token,
+      user: {
+        email: data.user.email,
+        name: data.user.full_name || data.user.email.split('@')[0],
+      },
+    })
   }
 
   const signOut = () => {
-    setAdminUser(null)
-    setToken(null)
-    localStorage.removeItem('admin_token')
-    localStorage.removeItem('admin_user')
-    router.push("/admin/login")
+    clearSession('admin').finally(() => router.push("/admin/login"))
   }
 
   const getAuthHeaders = () => {
@@ -0,0 +1,86 @@
+"use client"
+
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react'
+import { useAuth } from '@/contexts/simple-auth-context'
+import { presenceService, type PresenceState } from '@/lib/services/presence-service'
+import type { HumanAgentStatus } from '@/types/human-in-loop'
+
+interface PresenceContextType {
+  presence: Record<string, PresenceState>
+  myStatus: HumanAgentStatus
+  myManualStatus: HumanAgentStatus
+  isIdle: boolean
+  isTracking: boolean
+  setMyStatus: (status: HumanAgentStatus) => void
+  // Users who are not connected are offline regardless of their last saved status
+  getStatus: (userId: string | null | undefined) => HumanAgentStatus
+  getPresence: (userId: string | null | undefined) => PresenceState | undefined
+}
+
+const PresenceContext = createContext<PresenceContextType | undefined>(undefined)
+
+export function PresenceProvider({ children }: { children: React.ReactNode }) {
+  const { user, getAuthHeaders, canAccessHumanDashboard } = useAuth()
+  const [presence, setPresence] = useState<Record<string, PresenceState>>({})
+  const [ownStatus, setOwnStatus] = useState(() => presenceService.getOwnStatus())
+
+  const isTracking = !!user && canAccessHumanDashboard
+
+  useEffect(() => {
+    if (!user?.id || !user.organizationId) return
+
+    const handleSync = (state: Record<string, PresenceState>) => setPresence(state)
+    const handleStatus = (status: ReturnType<typeof presenceService.getOwnStatus>) => setOwnStatus(status)
+
+    presenceService.on('sync', handleSync)
+    presenceService.on('status', handleStatus)
+    presenceService.start({
+      userId: user.id,
+      name: user.name,
+      organizationId: user.organizationId,
+      authHeaders: getAuthHeaders as () => Promise<Record<string, string>>,
+      track: isTracking,
+    })
+
+    return () => {
+      presenceService.off('sync', handleSync)
+      presenceService.off('status', handleStatus)
+      presenceService.stop()
+    }
+  }, [user?.id, user?.name, user?.organizationId, isTracking, getAuthHeaders])
+
+  const getPresence = useCallback(
+    (userId: string | null | undefined) => (userId ? presence[userId] : undefined),
+    [presence]
+  )
+
+  const getStatus = useCallback(
+    (userId: string | null | undefined): HumanAgentStatus => getPresence(userId)?.status ?? 'offline',
+    [getPresence]
+  )
+
+  return (
+    <PresenceContext.Provider
+      value={{
+        presence,
+        myStatus: ownStatus.status,
+        myManualStatus: ownStatus.manualStatus,
+        isIdle: ownStatus.idle,
+        isTracking,
+        setMyStatus: (status) => presenceService.setStatus(status),
+        getStatus,
+        getPresence,
+      }}
+    >
+      {children}
+    </PresenceContext.Provider>
+  )
+}
+
+export function usePresence() {
+  const context = useContext(PresenceContext)
+  if (context === undefined) {
+    throw new Error('usePresence must be used within a PresenceProvider')
+  }
+  return context
+}
@@ -1,8 +1,17 @@
 "use client"
 
 import type React from "react"
-import { createContext, useContext, useEffect, useState } from "react"
+import { createContext, useCallback, useContext, useEffect, useState } from "react"
 import { useRouter } from "next/navigation"
+import { pushService } from "@/lib/services/push-service"
+import {
+  clearSession,
+  getAccessToken,
+  loadSession,
+  onSessionChange,
+  saveSession,
+  updateSession,
+} from "@/lib/auth/session-client"
 
 interface User {
   id: string
@@ -52,93 +61,41 @@ export function SimpleAuthProvider({ children }: { children: React.ReactNode })
 
   useEffect(() => {
     const initializeAuth = async () => {
-      // Check for existing token in localStorage
-      const savedToken = localStorage.getItem('auth_token')
-      const savedUser = localStorage.getItem('auth_user')
-      
-      if (savedToken && savedUser) {
-        try {
-          const parsedUser = JSON.parse(savedUser)
-          setToken(savedToken)
-          setUser(parsedUser)
-          debugLog('Restored user session from localStorage')
-          
-          // If user doesn't have organization data or has the placeholder, try to fetch it
-          if (!parsedUser.organizationId || parsedUser.organizationId === 'user-organization' || !parsedUser.hasOrganization) {
-            debugLog('User missing organization data, attempting refresh')
-            const organizationData = await fetchOrganizationData(savedToken, parsedUser.id)
-            const hasOrganization = organizationData !== null
-            const organizationId = organizationData?.id || ''
-
-            if (hasOrganization || organizationId) {
-              const updatedUser = {
-                ...parsedUser,
-                organizationId: organizationId,
-                hasOrganization: hasOrganization,
-                role: organizationData?.role || parsedUser.role || 'agent',
-              }
-              setUser(updatedUser)
-              localStorage.setItem('auth_user', JSON.stringify(updatedUser))
-              debugLog('Updated user with organization data', { role: organizationData?.role, organizationId })
-            }
-          }
-        } catch (error) {
-          debugLog('Error parsing saved user', error)
+      try {
+        // Sessions used to live in localStorage; move them into cookies once
+        const legacyToken = localStorage.getItem('auth_token')
+        const legacyUser = localStorage.getItem('auth_user')
+        if (legacyToken) {
           localStorage.removeItem('auth_token')
           localStorage.removeItem('auth_user')
+          await saveSession<User>('app', {
+            token: legacyToken,
+            user: legacyUser ? JSON.parse(legacyUser) : undefined,
+          }).catch(() => debugLog('Legacy session token was rejected'))
+        }
+
+        const session = await loadSession<User>('app')
+        if (session) {
+          setToken(session.token)
+          setUser(session.user)
+          debugLog('Restored user session from cookie')
         }
+      } catch (error) {
+        debugLog('Error restoring session', error)
       }
       
       setLoading(false)
     }
 
     initializeAuth()
-  }, [])
-
-  const fetchOrganizationData = async (token: string, userId: string) => {
-    try {
-      debugLog('Fetching organization data via members API')
-      const response = await fetch(`${API_URL}/api/organization/members`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-      })
 
-      if (response.ok) {
-        const membersData = await response.json()
-        debugLog('Organization members data received', { count: Array.isArray(membersData) ? membersData.length : membersData.members?.length })
-        
-        // Extract organizationId and members from the response
-        const organizationId = membersData.organizationId
-        const members = Array.isArray(membersData) ? membersData : membersData.members || []
-        const currentUserMember = members.find((member: any) => 
-          member.id === userId // Check by user ID
-        )
-
-        if (currentUserMember && organizationId) {
-          debugLog('Found user in organization', { role: currentUserMember.role, organizationId })
-          // Return organization data with actual organization ID
-          return {
-            id: organizationId, // Use the actual organization ID from backend
-            name: 'Organization',
-            role: currentUserMember.role,
-            memberSince: currentUserMember.createdAt
-          }
-        } else {
-          debugLog('User not found in any organization')
-          return null
-        }
-      } else {
-        debugLog(`Error fetching organization members: ${response.status}`)
-        return null
-      }
-    } catch (error) {
-      debugLog('Error fetching organization', error)
-      return null
-    }
-  }
+    // Silent refreshes hand us a new token; a failed refresh means the session is over
+    return onSessionChange((scope, session) => {
+      if (scope !== 'app') return
+      setToken(session?.token ?? null)
+      setUser((session?.user as User | undefined) ?? null)
+    })
+  }, [])
 
   const signIn = async (email: string, password: string) => {
     try {
@@ -192,37 +149,29 @@ export function SimpleAuthProvider({ children }: { children: React.ReactNode })
             const tokenPayload = JSON.parse(atob(data.token.split('.')[1]))
             debugLog('Token decoded', { sub: tokenPayload.sub })
             
-            // Fetch organization data
-            const userId = data.user.id || tokenPayload.sub
-            const organizationData = await fetchOrganizationData(data.token, userId)
-            const hasOrganization = organizationData !== null
-            const organizationId = organizationData?.id || ''
-            
-            debugLog('Organization check', {
-              hasOrganization,
-              organizationId,
-              role: organizationData?.role
-            })
-            
             const userData: User = {
               id: data.user.id || tokenPayload.sub,
               email: data.user.email || tokenPayload.email,
               name: tokenPayload.user_metadata?.full_name || data.user.name || 'User',
-              role: organizationData?.role || 'agent',
-              organizationId: organizationId,
-              hasOrganization: hasOrganization,
+              // Filled in from the organization membership when the session is created
+              role: 'agent',
+              organizationId: '',
+              hasOrganization: false,
               isHumanAgent: true,
               humanAgentId: data.user.id || tokenPayload.sub,
             }
             
-            setUser(userData)
-            setToken(data.token)
-            
-            // Save to localStorage
-            localStorage.setItem('auth_token', data.token)
-            localStorage.setItem('auth_user', JSON.stringify(userData))
+            // Role and organization are confirmed server-side before the session cookie is set
+            const session = await saveSession<User>('app', {
+              token: data.token,
+              refreshToken: data.refreshToken ?? data.refresh_token ?? data.session?.refresh_token,
+              user: userData,
+            })
+
+            setUser({ ...userData, ...session.user })
+            setToken(session.token)
             
-            debugLog('User session saved to localStorage')
+            debugLog('User session saved to cookie')
             return; // Success!
           }
           
@@ -298,12 +247,14 @@ export function SimpleAuthProvider({ children }: { children: React.ReactNode })
           humanAgentId: data.user.id || tokenPayload.sub,
         }
 
-        setUser(userData)
-        setToken(data.session.access_token)
-        
-        // Save to localStorage
-        localStorage.setItem('auth_token', data.session.access_token)
-        localStorage.setItem('auth_user', JSON.stringify(userData))
+        const session = await saveSession<User>('app', {
+          token: data.session.access_token,
+          refreshToken: data.session.refresh_token,
+          user: userData,
+        })
+
+        setUser({ ...userData, ...session.user })
+        setToken(session.token)
         
         debugLog('User session saved after signup')
       } else {
@@ -319,20 +270,27 @@ export function SimpleAuthProvider({ children }: { children: React.ReactNode })
   }
 
   const signOut = async () => {
+    // Runs while the token is still valid so the backend stops pushing to this browser
+    await pushService.removeSubscription()
+
+    await clearSession('app')
     setUser(null)
     setToken(null)
-    localStorage.removeItem('auth_token')
-    localStorage.removeItem('auth_user')
     router.push("/auth")
     debugLog('User signed out')
   }
 
-  const getAuthHeaders = async () => {
-    return token ? { Authorization: `Bearer ${token}` } : {}
-  }
+  // Stable so effects that depend on it don't re-run on every render; the token itself is refreshed
+  // by the session client
+  const getAuthHeaders = useCallback(async () => {
+    const accessToken = await getAccessToken('app')
+    return accessToken ? { Authorization: `Bearer ${accessToken}` } : {}
+  }, [])
 
+  // The refresh token is httpOnly and never leaves the cookie
   const getTokens = async () => {
-    return token ? { accessToken: token, refreshToken: '' } : null
+    const accessToken = await getAccessToken('app')
+    return accessToken ? { accessToken, refreshToken: '' } : null
   }
 
   const refreshUserOrganization = async () => {
@@ -343,39 +301,19 @@ export function SimpleAuthProvider({ children }: { children: React.ReactNode })
 
     try {
       debugLog('Refreshing user organization')
-      const organizationData = await fetchOrganizationData(token, user.id)
-      const hasOrganization = organizationData !== null
-      const organizationId = organizationData?.id || ''
-
-      debugLog('Refreshed organization data', {
-        hasOrganization,
-        organizationId,
-        role: organizationData?.role
-      })
-
-      // Update user data with new organization info
-      const updatedUser = {
-        ...user,
-        organizationId: organizationId,
-        hasOrganization: hasOrganization,
-        role: organizationData?.role || user.role || 'agent',
+      const session = await updateSession<User>('app')
+      if (session) {
+        setUser(session.user)
+        debugLog('User organization data refreshed', { role: session.user.role })
       }
-
-      setUser(updatedUser)
-      localStorage.setItem('auth_user', JSON.stringify(updatedUser))
-      debugLog('User organization data refreshed', { role: organizationData?.role })
     } catch (error) {
       debugLog('Error refreshing organization', error)
     }
   }
 
   const updateUserName = (name: string) => {
-    setUser((prev) => {
-      if (!prev) return null
-      const updated = { ...prev, name }
-      localStorage.setItem('auth_user', JSON.stringify(updated))
-      return updated
-    })
+    setUser((prev) => (prev ? { ...prev, name } : null))
+    updateSession<User>('app', { name }).catch((error) => debugLog('Error saving user name', error))
   }
 
   // Simplified role detection
@@ -2,25 +2,36 @@ import { useState, useEffect } from 'react'
 import { apiCall } from '@/lib/api'
 import { useAuth } from "@/contexts/simple-auth-context"
 import { BANTConfig, transformDBToFrontend, transformFrontendToDB } from '@/utils/bant-transform'
+import { validateBantConfig } from '@/lib/bant/versions'
+import type { BantConfigVersion } from '@/lib/validation/schemas'
 
 interface UseBANTConfigResult {
+  // The draft if there is one, otherwise the published version
   config: BANTConfig | null
+  versions: BantConfigVersion[]
+  draft: BantConfigVersion | null
+  publishedVersion: BantConfigVersion | null
   loading: boolean
   error: string | null
   fetchConfig: () => Promise<void>
   saveConfig: (config: BANTConfig) => Promise<void>
+  publishDraft: (notes?: string) => Promise<void>
+  discardDraft: () => Promise<void>
+  rollbackToVersion: (versionId: string) => Promise<void>
   deleteConfig: () => Promise<void>
 }
 
 export function useBANTConfig(agentId: string): UseBANTConfigResult {
   const { getAuthHeaders } = useAuth()
   const [config, setConfig] = useState<BANTConfig | null>(null)
+  const [versions, setVersions] = useState<BantConfigVersion[]>([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
 
   const fetchConfig = async () => {
     if (!agentId || agentId === '') {
       setConfig(null)
+      setVersions([])
       setLoading(false)
       return
     }
@@ -31,10 +42,10 @@ export function useBANTConfig(agentId: string): UseBANTConfigResult {
     try {
       const headers = await getAuthHeaders()
       
-      // Try to fetch config - 404 is expected if no config exists
+      // Try to fetch versions - 404 is expected if no config exists
       let response
       try {
-        response = await apiCall(`/api/agents/${agentId}/bant-config`, {
+        response = await apiCall(`/api/agents/${agentId}/bant-config/versions`, {
           method: 'GET',
           headers
         })
@@ -51,26 +62,26 @@ export function useBANTConfig(agentId: string): UseBANTConfigResult {
       if (response?.success === false && response?.error?.code === 'NOT_FOUND') {
         // No config exists yet, this is normal
         setConfig(null)
+        setVersions([])
         setError(null)
         return
       }
       
-      if (response && response.data && response.data.config) {
-        // Transform the database format to match frontend expectations
-        const transformedConfig = transformDBToFrontend(response.data.config)
-        setConfig(transformedConfig)
-      } else if (response && response.config) {
-        setConfig(response.config)
-      } else {
-        // No config exists yet, this is normal
-        setConfig(null)
-      }
+      const fetchedVersions: BantConfigVersion[] = response?.data?.versions ?? response?.versions ?? []
+      const working =
+        fetchedVersions.find((version) => version.status === 'draft') ??
+        fetchedVersions.find((version) => version.status === 'published')
+
+      setVersions(fetchedVersions)
+      // Transform the database format to match frontend expectations
+      setConfig(working ? transformDBToFrontend(working.config) : null)
     } catch (err: any) {
       // Handle 404 as a normal case (no config exists)
       if (err?.status === 404 || err?.details?.error?.code === 'NOT_FOUND' || 
           (err?.message && err.message.includes('404')) ||
           (err?.details && typeof err.details === 'object' && err.details.error?.code === 'NOT_FOUND')) {
         setConfig(null)
+        setVersions([])
         setError(null) // Clear any error since this is expected
         return
       }
@@ -87,6 +98,7 @@ export function useBANTConfig(agentId: string): UseBANTConfigResult {
     }
   }
 
+  // Saving only updates the draft; leads keep being scored with the published version
   const saveConfig = async (newConfig: BANTConfig) => {
     if (!agentId) {
       throw new Error('Agent ID is required')
@@ -96,19 +108,9 @@ export function useBANTConfig(agentId: string): UseBANTConfigResult {
     setError(null)
 
     try {
-      // Calculate weights total for validation
-      const totalWeight = newConfig.budget_weight + newConfig.authority_weight + 
-                         newConfig.need_weight + newConfig.timeline_weight + 
-                         newConfig.contact_weight
-
-      if (totalWeight !== 100) {
-        throw new Error('Weights must total exactly 100%')
-      }
-
-      // Validate thresholds
-      if (newConfig.priority_threshold <= newConfig.hot_threshold || 
-          newConfig.hot_threshold <= newConfig.warm_threshold) {
-        throw new Error('Thresholds must be in descending order: Priority > Hot > Warm')
+      const validationError = validateBantConfig(newConfig)
+      if (validationError) {
+        throw new Error(validationError)
       }
 
       const headers = await getAuthHeaders()
@@ -116,19 +118,14 @@ export function useBANTConfig(agentId: string): UseBANTConfigResult {
       // Transform the frontend format to match database expectations
       const dbConfig = transformFrontendToDB(newConfig)
       
-      const response = await apiCall(`/api/agents/${agentId}/bant-config`, {
-        method: 'POST',
+      const response = await apiCall<any>(`/api/agents/${agentId}/bant-config/draft`, {
+        method: 'PUT',
         headers,
         body: dbConfig
       })
 
-      if (response?.data?.config) {
-        // Don't set the raw response, let fetchConfig handle the transformation
-        // setConfig(response.data.config)
-      } else if (response?.config) {
-        // setConfig(response.config)
-      } else {
-        throw new Error('Failed to save BANT configuration - no config returned')
+      if (!response?.data?.version && !response?.version) {
+        throw new Error('Failed to save BANT configuration - no draft returned')
       }
 
       // Refresh to get the transformed config
@@ -142,6 +139,42 @@ export function useBANTConfig(agentId: string): UseBANTConfigResult {
     }
   }
 
+  // Runs a version action (publish, discard, rollback) and reloads the version list
+  const runVersionAction = async (endpoint: string, method: string, failureMessage: string, body?: unknown) => {
+    if (!agentId) {
+      throw new Error('Agent ID is required')
+    }
+
+    setLoading(true)
+    setError(null)
+
+    try {
+      const headers = await getAuthHeaders()
+      await apiCall(`/api/agents/${agentId}/bant-config${endpoint}`, {
+        method,
+        headers,
+        body
+      })
+
+      await fetchConfig()
+    } catch (err) {
+      console.error(`${failureMessage}:`, err)
+      setError(err instanceof Error ? err.message : failureMessage)
+      throw err
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const publishDraft = (notes?: string) =>
+    runVersionAction('/draft/publish', 'POST', 'Failed to publish BANT configuration', { notes: notes?.trim() || undefined })
+
+  const discardDraft = () => runVersionAction('/draft', 'DELETE', 'Failed to discard BANT configuration draft')
+
+  // Publishes a copy of an older version, so history only ever grows
+  const rollbackToVersion = (versionId: string) =>
+    runVersionAction(`/versions/${versionId}/rollback`, 'POST', 'Failed to roll back BANT configuration')
+
   const deleteConfig = async () => {
     if (!agentId) {
       throw new Error('Agent ID is required')
@@ -157,7 +190,8 @@ export function useBANTConfig(agentId: string): UseBANTConfigResult {
         headers
       })
 
-      setConfig(null)
+      // The server archives the published version rather than removing it
+      await fetchConfig()
     } catch (err) {
       console.error('Error deleting BANT config:', err)
       setError(err instanceof Error ? err.message : 'Failed to delete BANT configuration')
@@ -175,10 +209,16 @@ export function useBANTConfig(agentId: string): UseBANTConfigResult {
 
   return {
     config,
+    versions,
+    draft: versions.find((version) => version.status === 'draft') ?? null,
+    publishedVersion: versions.find((version) => version.status === 'published') ?? null,
     loading,
     error,
     fetchConfig,
     saveConfig,
+    publishDraft,
+    discardDraft,
+    rollbackToVersion,
     deleteConfig
   }
 }
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react'
+
+// Current time in ms, refreshed on an interval for live countdowns
+export function useNow(interval: number = 1000): number {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setNow(Date.now())
+    }, interval)
+
+    return () => {
+      clearInterval(timer)
+    }
+  }, [interval])
+
+  return now
+}
\ No newline at end of file
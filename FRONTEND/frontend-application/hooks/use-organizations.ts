@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react'
 import { toast } from 'sonner'
+import { getAccessToken } from '@/lib/auth/session-client'
 
 interface OrganizationSummary {
   totalOrganizations: number
@@ -61,8 +62,8 @@ export function useOrganizations(page = 1, limit = 20, search = '') {
 
   const fetchOrganizations = useCallback(async () => {
     // Check for admin token first
-    const adminToken = localStorage.getItem('admin_token')
-    const authToken = localStorage.getItem('auth_token')
+    const adminToken = await getAccessToken('admin')
+    const authToken = await getAccessToken('app')
     const token = adminToken || authToken
     
     if (!token) {
@@ -173,8 +174,8 @@ export function useOrganizationDetail(organizationId: string, timeRange = '30d')
 
   const fetchOrganizationDetail = useCallback(async () => {
     // Check for admin token first
-    const adminToken = localStorage.getItem('admin_token')
-    const authToken = localStorage.getItem('auth_token')
+    const adminToken = await getAccessToken('admin')
+    const authToken = await getAccessToken('app')
     const token = adminToken || authToken
     
     if (!token || !organizationId) {
@@ -305,8 +306,8 @@ export function useOrganizationAnalytics(
 
   const fetchAnalytics = useCallback(async () => {
     // Check for admin token first
-    const adminToken = localStorage.getItem('admin_token')
-    const authToken = localStorage.getItem('auth_token')
+    const adminToken = await getAccessToken('admin')
+    const authToken = await getAccessToken('app')
     const token = adminToken || authToken
     
     if (!token || !organizationId) {
@@ -0,0 +1,30 @@
+import { useMemo } from 'react'
+import { useAuth } from '@/contexts/simple-auth-context'
+import { useOrganizationPermissions } from '@/lib/queries/permission-queries'
+import { normalizeRole, resolvePermissions, type Permission } from '@/lib/auth/permissions'
+
+/**
+ * Effective permissions of the signed-in member. Until the organization's templates have loaded
+ * this uses the default template for the member's role.
+ */
+export function usePermissions() {
+  const { user } = useAuth()
+  const { data, isLoading } = useOrganizationPermissions({ enabled: !!user?.hasOrganization })
+
+  return useMemo(() => {
+    const member = data?.members.find((m) => m.user_id === user?.id)
+    const role = normalizeRole(member?.role ?? user?.role)
+    const permissions = user ? resolvePermissions(role, data?.roleTemplates, member?.overrides) : new Set<Permission>()
+
+    return {
+      role,
+      permissions,
+      isLoading,
+      can: (permission: Permission) => permissions.has(permission),
+    }
+  }, [data, isLoading, user])
+}
+
+export function usePermission(permission: Permission): boolean {
+  return usePermissions().can(permission)
+}
@@ -0,0 +1,101 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { useQueryClient } from "@tanstack/react-query"
+import { getAccessToken } from "@/lib/auth/session-client"
+import { getSupportRealtimeClient } from "@/lib/support/realtime"
+import { appendSupportMessage, supportKeys, type SupportScope } from "@/lib/queries/support-queries"
+import type { SupportMessage } from "@/lib/validation/schemas"
+
+interface UseSupportStreamOptions {
+  scope: SupportScope
+  // Customers follow one ticket; admins follow the whole queue when this is omitted
+  ticketId?: string | null
+  enabled?: boolean
+}
+
+/**
+ * Streams new support messages and ticket changes into the query cache over Supabase Realtime.
+ * RLS decides what arrives, so the channel is authorized with the scope's own token on the scope's
+ * own client: customers only see their tickets and never see internal notes. Returns whether the
+ * channel is live; the support queries poll while it isn't.
+ */
+export function useSupportStream({ scope, ticketId, enabled = true }: UseSupportStreamOptions) {
+  const queryClient = useQueryClient()
+  const [connected, setConnected] = useState(false)
+
+  useEffect(() => {
+    if (!enabled || (scope === "app" && !ticketId)) {
+      setConnected(false)
+      return
+    }
+
+    const supabase = getSupportRealtimeClient(scope)
+    if (!supabase) return
+
+    let channel: ReturnType<typeof supabase.channel> | null = null
+    let cancelled = false
+
+    const start = async () => {
+      const token = await getAccessToken(scope)
+      if (token) {
+        await supabase.realtime.setAuth(token)
+      }
+      if (cancelled) return
+
+      const messageFilter = ticketId ? { filter: `ticket_id=eq.${ticketId}` } : {}
+      const ticketFilter = ticketId ? { filter: `id=eq.${ticketId}` } : {}
+
+      channel = supabase
+        .channel(`support:${scope}:${ticketId || "queue"}`)
+        .on(
+          "postgres_changes",
+          { event: "INSERT", schema: "public", table: "support_messages", ...messageFilter },
+          (payload: any) => {
+            if (!payload.new) return
+            const message = payload.new as SupportMessage
+            appendSupportMessage(queryClient, scope, message)
+            if (scope === "admin") {
+              queryClient.invalidateQueries({ queryKey: supportKeys.tickets("admin") })
+            }
+          }
+        )
+        .on(
+          "postgres_changes",
+          { event: "*", schema: "public", table: "support_tickets", ...ticketFilter },
+          (payload: any) => {
+            const changedId = payload.new?.id || payload.old?.id
+            if (changedId) {
+              queryClient.invalidateQueries({ queryKey: supportKeys.messages(scope, changedId) })
+            }
+            queryClient.invalidateQueries({ queryKey: supportKeys.tickets(scope) })
+          }
+        )
+        .subscribe((status: string) => {
+          if (cancelled) return
+          setConnected(status === "SUBSCRIBED")
+          if (status === "SUBSCRIBED") {
+            // Catch up on anything sent while we were connecting
+            queryClient.invalidateQueries({
+              queryKey: ticketId ? supportKeys.messages(scope, ticketId) : supportKeys.tickets(scope),
+            })
+          }
+        })
+    }
+
+    start().catch((error) => {
+      console.error("[Support Stream] Failed to start Realtime subscription:", error)
+      setConnected(false)
+    })
+
+    return () => {
+      cancelled = true
+      setConnected(false)
+      if (channel) {
+        supabase.removeChannel(channel)
+      }
+    }
+  }, [scope, ticketId, enabled, queryClient])
+
+  return { connected }
+}
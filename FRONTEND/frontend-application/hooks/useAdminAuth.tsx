@@ -2,6 +2,7 @@
 
 import { useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
+import { loadSession, getAccessToken, clearSession } from '@/lib/auth/session-client'
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
 
@@ -25,12 +26,12 @@ export function useAdminAuth() {
       try {
         console.log('[useAdminAuth] Starting admin check...')
         
-        // Get admin token from localStorage (for admin dashboard)
-        const adminToken = localStorage.getItem('admin_token')
-        const adminUser = localStorage.getItem('admin_user')
-        // Fallback to regular auth token if no admin token
-        const authToken = adminToken || localStorage.getItem('auth_token')
-        const authUser = adminUser || localStorage.getItem('auth_user')
+        // Admin session first (for admin dashboard)
+        const adminToken = await getAccessToken('admin')
+        // Fallback to the regular app session if there is no admin session
+        const scope = adminToken ? 'admin' : 'app'
+        const authToken = adminToken || await getAccessToken('app')
+        const authUser = (await loadSession(scope))?.user
         
         console.log('[useAdminAuth] Admin token found:', !!adminToken)
         console.log('[useAdminAuth] Auth token found:', !!authToken)
@@ -44,14 +45,8 @@ export function useAdminAuth() {
           return
         }
 
-        // Parse user data if available
         if (authUser) {
-          try {
-            const user = JSON.parse(authUser)
-            console.log('[useAdminAuth] User email:', user.email)
-          } catch (e) {
-            console.error('[useAdminAuth] Error parsing user data:', e)
-          }
+          console.log('[useAdminAuth] User email:', authUser.email)
         }
 
         // Check admin access via API
@@ -77,11 +72,8 @@ export function useAdminAuth() {
           console.log('[useAdminAuth] ❌ Authentication failed, token may be expired')
           setIsAdmin(false)
           setError('Authentication failed. Please sign in again.')
-          // Clear invalid token
-          localStorage.removeItem('admin_token')
-          localStorage.removeItem('admin_user')
-          localStorage.removeItem('auth_token')
-          localStorage.removeItem('auth_user')
+          // Clear the session the invalid token came from
+          await clearSession(scope)
           router.push('/admin/login')
         } else {
           console.error('[useAdminAuth] Unexpected response:', response.status)
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react'
 import { toast } from 'sonner'
+import { getAccessToken } from '@/lib/auth/session-client'
 
 export interface TeamMember {
   id: string
@@ -33,9 +34,9 @@ export function useTeamMembers() {
     setError(null)
 
     try {
-      // Get admin token from localStorage
-      const adminToken = localStorage.getItem('admin_token')
-      const authToken = localStorage.getItem('auth_token')
+      // Prefer the admin session, fall back to the app session
+      const adminToken = await getAccessToken('admin')
+      const authToken = await getAccessToken('app')
       const token = adminToken || authToken
       
       if (!token) {
@@ -75,8 +76,8 @@ export function useTeamMembers() {
 
   const updateTeamMember = useCallback(async (memberId: string, updates: { role?: string; is_active?: boolean }) => {
     try {
-      const adminToken = localStorage.getItem('admin_token')
-      const authToken = localStorage.getItem('auth_token')
+      const adminToken = await getAccessToken('admin')
+      const authToken = await getAccessToken('app')
       const token = adminToken || authToken
       
       if (!token) {
@@ -0,0 +1,92 @@
+/**
+ * Lead funnel analytics
+ * Conversations → contact captured → BANT-qualified → priority/hot.
+ * A lead is BANT-qualified once budget, authority, need and timeline are all answered.
+ */
+
+export type FunnelStageKey = 'conversations' | 'contact_captured' | 'bant_qualified' | 'priority_hot'
+
+export type BantDimension = 'budget' | 'authority' | 'need' | 'timeline' | 'contact'
+
+export type FunnelSource = 'web' | 'facebook' | 'embed'
+
+export interface FunnelFilters {
+  from?: Date
+  to?: Date
+  agentId?: string
+  source?: FunnelSource | 'all'
+}
+
+export type FunnelCounts = Record<FunnelStageKey, number>
+
+export interface FunnelBreakdownRow extends FunnelCounts {
+  key: string
+  label: string
+}
+
+export interface BantDropoffRow {
+  dimension: BantDimension
+  // Conversations that reached this question / answered it
+  reached: number
+  answered: number
+}
+
+export interface LeadFunnelResponse {
+  totals: FunnelCounts
+  by_agent: FunnelBreakdownRow[]
+  by_source: FunnelBreakdownRow[]
+  bant_dropoff: BantDropoffRow[]
+}
+
+export const FUNNEL_STAGES: { key: FunnelStageKey; label: string; description: string; color: string }[] = [
+  { key: 'conversations', label: 'Conversations', description: 'Chats started with an AI agent', color: '#6366f1' },
+  { key: 'contact_captured', label: 'Contact Captured', description: 'Shared a mobile number or email', color: '#3b82f6' },
+  { key: 'bant_qualified', label: 'BANT Qualified', description: 'Answered budget, authority, need and timeline', color: '#f97316' },
+  { key: 'priority_hot', label: 'Priority / Hot', description: 'Classified as hot or priority', color: '#ef4444' },
+]
+
+export const BANT_DIMENSION_LABELS: Record<BantDimension, string> = {
+  budget: 'Budget',
+  authority: 'Authority',
+  need: 'Need',
+  timeline: 'Timeline',
+  contact: 'Contact',
+}
+
+export const FUNNEL_SOURCES: { value: FunnelSource; label: string }[] = [
+  { value: 'web', label: 'Website' },
+  { value: 'facebook', label: 'Facebook' },
+  { value: 'embed', label: 'Embedded Widget' },
+]
+
+export const EMPTY_FUNNEL_COUNTS: FunnelCounts = {
+  conversations: 0,
+  contact_captured: 0,
+  bant_qualified: 0,
+  priority_hot: 0,
+}
+
+/**
+ * Percentage of `from` that reached `to`, rounded to one decimal
+ */
+export function getConversionRate(to: number, from: number): number {
+  if (!from) return 0
+  return Math.round((to / from) * 1000) / 10
+}
+
+/**
+ * Build the query string for GET /api/analytics/funnel
+ */
+export function buildFunnelQuery(filters: FunnelFilters): string {
+  const params = new URLSearchParams()
+  if (filters.from) params.set('from', filters.from.toISOString())
+  if (filters.to) {
+    // Include the whole end day
+    const end = new Date(filters.to)
+    end.setHours(23, 59, 59, 999)
+    params.set('to', end.toISOString())
+  }
+  if (filters.agentId && filters.agentId !== 'all') params.set('agent_id', filters.agentId)
+  if (filters.source && filters.source !== 'all') params.set('source', filters.source)
+  return params.toString()
+}
@@ -3,6 +3,34 @@
  * Basic fetch wrapper with auth headers and minimal error handling
  */
 
+import type { ExistingLeadContact, LeadImportContacts, LeadImportResponse } from './leads/import'
+import type { LeadFunnelResponse } from './analytics/funnel'
+import type {
+  AuditLogEntry,
+  ConversationSearchResult,
+  FeatureRequest,
+  FeatureRequestComment,
+  HandoffRoutingDecision,
+  HandoffRoutingSettings,
+  HandoffSlaPolicy,
+  HandoffSlaReport,
+  HumanAgentRoutingProfile,
+  LeadSegment,
+  MemberPermissions,
+  OrganizationPermissions,
+  SupportAgent,
+  SupportCannedReply,
+  SupportMessage,
+  SupportTicket,
+} from './validation/schemas'
+import type { LeadSegmentInput } from './leads/segments'
+import type { HandoffRoutingProfileUpdate } from './handoff/routing'
+import type { PermissionOverrides, RoleTemplates } from './auth/permissions'
+import type { LeadScoreSnapshot } from './bant/simulation'
+import type { SupportTicketCategory, SupportTicketPriority, SupportTicketStatus } from './support/tickets'
+import type { AdminIssueUpdate } from './issues/triage'
+import { getAuthorizationScope, refreshSession } from './auth/session-client'
+
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001"
 
 // Simple error class
@@ -26,7 +54,7 @@ interface ApiOptions {
 
 // Simple API client with basic functionality
 class SimpleApiClient {
-  private async request<T>(endpoint: string, options: ApiOptions = {}): Promise<T> {
+  private async request<T>(endpoint: string, options: ApiOptions = {}, isRetry = false): Promise<T> {
     const url = `${API_BASE_URL}${endpoint}`
     const { method = 'GET', headers = {}, body } = options
 
@@ -53,6 +81,17 @@ class SimpleApiClient {
         body: requestBody,
       })
 
+      // Expired access token: refresh the session that issued it once and replay the request with the new token
+      if (response.status === 401 && !isRetry && headers.Authorization) {
+        const session = await refreshSession(getAuthorizationScope(headers.Authorization) ?? 'app')
+        if (session?.token && `Bearer ${session.token}` !== headers.Authorization) {
+          return this.request<T>(endpoint, {
+            ...options,
+            headers: { ...headers, Authorization: `Bearer ${session.token}` },
+          }, true)
+        }
+      }
+
       // Parse response
       let data: any
       const contentType = response.headers.get('content-type')
@@ -142,12 +181,26 @@ export const api = {
     return apiClient.delete(`/api/agents/${id}`, headers)
   },
 
+  // Per-dimension scores of an agent's leads, used by the BANT scoring simulator
+  async getAgentLeadScores(agentId: string, headers: Record<string, string>) {
+    return apiClient.get<{ leads: LeadScoreSnapshot[] }>(`/api/agents/${agentId}/lead-scores`, headers)
+  },
+
+  // Re-scores the given leads with the agent's published BANT config
+  async rescoreAgentLeads(agentId: string, leadIds: string[], headers: Record<string, string>) {
+    return apiClient.post<{ updated: number }>(`/api/agents/${agentId}/bant-config/rescore`, { lead_ids: leadIds }, headers)
+  },
+
   // Lead endpoints
   async getLeads(headers: Record<string, string>, params?: string) {
     const endpoint = params ? `/api/leads?${params}` : '/api/leads'
     return apiClient.get(endpoint, headers)
   },
 
+  async getLead(id: string, headers: Record<string, string>) {
+    return apiClient.get(`/api/leads/${id}`, headers)
+  },
+
   async createLead(data: any, headers: Record<string, string>) {
     return apiClient.post('/api/leads', data, headers)
   },
@@ -156,6 +209,43 @@ export const api = {
     return apiClient.put(`/api/leads/${id}`, data, headers)
   },
 
+  async importLeads(leads: any[], headers: Record<string, string>) {
+    return apiClient.post<LeadImportResponse>('/api/leads/import', { leads }, headers)
+  },
+
+  async findExistingLeadContacts(contacts: LeadImportContacts, headers: Record<string, string>) {
+    return apiClient.post<{ leads: ExistingLeadContact[] }>('/api/leads/import/duplicates', contacts, headers)
+  },
+
+  // Lead segment endpoints
+  async getLeadSegments(headers: Record<string, string>) {
+    return apiClient.get<{ segments: LeadSegment[] }>('/api/lead-segments', headers)
+  },
+
+  async createLeadSegment(data: LeadSegmentInput, headers: Record<string, string>) {
+    return apiClient.post<{ segment: LeadSegment }>('/api/lead-segments', data, headers)
+  },
+
+  async updateLeadSegment(id: string, data: Partial<LeadSegmentInput>, headers: Record<string, string>) {
+    return apiClient.put<{ segment: LeadSegment }>(`/api/lead-segments/${id}`, data, headers)
+  },
+
+  async deleteLeadSegment(id: string, headers: Record<string, string>) {
+    return apiClient.delete(`/api/lead-segments/${id}`, headers)
+  },
+
+  async setLeadSegmentPinned(id: string, pinned: boolean, headers: Record<string, string>) {
+    return apiClient.put(`/api/lead-segments/${id}/pin`, { pinned }, headers)
+  },
+
+  async updateLeadStatus(id: string, data: { status: string; reason?: string }, headers: Record<string, string>) {
+    return apiClient.put(`/api/leads/${id}/status`, data, headers)
+  },
+
+  async getLeadStatusHistory(id: string, headers: Record<string, string>) {
+    return apiClient.get(`/api/leads/${id}/status-history`, headers)
+  },
+
   // Conversation endpoints
   async getConversations(headers: Record<string, string>) {
     return apiClient.get('/api/conversations', headers)
@@ -169,6 +259,13 @@ export const api = {
     return apiClient.post(`/api/conversations/${conversationId}/messages`, data, headers)
   },
 
+  async searchConversations(query: string, headers: Record<string, string>) {
+    return apiClient.get<{ results: ConversationSearchResult[]; total: number }>(
+      `/api/conversations/search?${query}`,
+      headers
+    )
+  },
+
   // Organization endpoints
   async getOrganizations(headers: Record<string, string>) {
     return apiClient.get('/api/organizations', headers)
@@ -186,6 +283,168 @@ export const api = {
     return apiClient.post('/api/organization/invite', data, headers)
   },
 
+  // Organization permission endpoints
+  async getOrganizationPermissions(headers: Record<string, string>) {
+    return apiClient.get<OrganizationPermissions>('/api/organization/permissions', headers)
+  },
+
+  async updateRoleTemplates(roleTemplates: RoleTemplates, headers: Record<string, string>) {
+    return apiClient.put<{ roleTemplates: RoleTemplates }>('/api/organization/permissions/roles', { roleTemplates }, headers)
+  },
+
+  async updateMemberPermissions(userId: string, overrides: PermissionOverrides, headers: Record<string, string>) {
+    return apiClient.put<{ member: MemberPermissions }>(
+      `/api/organization/permissions/members/${userId}`,
+      { overrides },
+      headers
+    )
+  },
+
+  // Audit log endpoints (the admin endpoint needs an admin-scope token)
+  async getAuditLogs(params: string, headers: Record<string, string>) {
+    return apiClient.get<{ entries: AuditLogEntry[]; total: number }>(`/api/organization/audit-logs?${params}`, headers)
+  },
+
+  async getAdminAuditLogs(params: string, headers: Record<string, string>) {
+    return apiClient.get<{ entries: AuditLogEntry[]; total: number }>(`/api/admin/audit-logs?${params}`, headers)
+  },
+
+  // Support ticket endpoints for the signed-in customer (SupportChat)
+  async getSupportTickets(headers: Record<string, string>) {
+    return apiClient.get<{ tickets: SupportTicket[] }>('/api/support/tickets', headers)
+  },
+
+  async createSupportTicket(
+    data: { subject: string; message: string; category: SupportTicketCategory },
+    headers: Record<string, string>
+  ) {
+    return apiClient.post<{ ticket: SupportTicket; messages: SupportMessage[] }>('/api/support/tickets', data, headers)
+  },
+
+  async getSupportTicketMessages(ticketId: string, headers: Record<string, string>) {
+    return apiClient.get<{ ticket: SupportTicket; messages: SupportMessage[] }>(
+      `/api/support/tickets/${ticketId}/messages`,
+      headers
+    )
+  },
+
+  async sendSupportMessage(ticketId: string, message: string, headers: Record<string, string>) {
+    return apiClient.post<{ message: SupportMessage }>(`/api/support/tickets/${ticketId}/messages`, { message }, headers)
+  },
+
+  // Support queue endpoints (admin-scope token)
+  async getAdminSupportTickets(params: string, headers: Record<string, string>) {
+    const endpoint = params ? `/api/admin/support/tickets?${params}` : '/api/admin/support/tickets'
+    return apiClient.get<{ tickets: SupportTicket[] }>(endpoint, headers)
+  },
+
+  async getAdminSupportTicketMessages(ticketId: string, headers: Record<string, string>) {
+    return apiClient.get<{ ticket: SupportTicket; messages: SupportMessage[] }>(
+      `/api/admin/support/tickets/${ticketId}/messages`,
+      headers
+    )
+  },
+
+  async updateAdminSupportTicket(
+    ticketId: string,
+    data: { status?: SupportTicketStatus; priority?: SupportTicketPriority; assigned_to?: string | null },
+    headers: Record<string, string>
+  ) {
+    return apiClient.patch<{ ticket: SupportTicket }>(`/api/admin/support/tickets/${ticketId}`, data, headers)
+  },
+
+  async sendAdminSupportMessage(
+    ticketId: string,
+    data: { message: string; is_internal?: boolean },
+    headers: Record<string, string>
+  ) {
+    return apiClient.post<{ message: SupportMessage }>(`/api/admin/support/tickets/${ticketId}/messages`, data, headers)
+  },
+
+  async getSupportAgents(headers: Record<string, string>) {
+    return apiClient.get<{ agents: SupportAgent[] }>('/api/admin/support/agents', headers)
+  },
+
+  async getSupportCannedReplies(headers: Record<string, string>) {
+    return apiClient.get<{ replies: SupportCannedReply[] }>('/api/admin/support/canned-replies', headers)
+  },
+
+  async saveSupportCannedReply(
+    data: Pick<SupportCannedReply, 'title' | 'body' | 'category'> & { id?: string },
+    headers: Record<string, string>
+  ) {
+    const { id, ...reply } = data
+    return id
+      ? apiClient.put<{ reply: SupportCannedReply }>(`/api/admin/support/canned-replies/${id}`, reply, headers)
+      : apiClient.post<{ reply: SupportCannedReply }>('/api/admin/support/canned-replies', reply, headers)
+  },
+
+  async deleteSupportCannedReply(id: string, headers: Record<string, string>) {
+    return apiClient.delete(`/api/admin/support/canned-replies/${id}`, headers)
+  },
+
+  // Feature request portal endpoints
+  async getFeatureRequests(params: string, headers: Record<string, string>) {
+    const endpoint = params ? `/api/feature-requests?${params}` : '/api/feature-requests'
+    return apiClient.get<{ requests: FeatureRequest[] }>(endpoint, headers)
+  },
+
+  async getFeatureRequest(id: string, headers: Record<string, string>) {
+    return apiClient.get<{ request: FeatureRequest; comments: FeatureRequestComment[]; duplicates: FeatureRequest[] }>(
+      `/api/feature-requests/${id}`,
+      headers
+    )
+  },
+
+  async createFeatureRequest(data: { requested_feature: string; reason: string }, headers: Record<string, string>) {
+    return apiClient.post<{ success: boolean; data?: { id: string } }>('/api/feature-requests', data, headers)
+  },
+
+  async setFeatureRequestVote(id: string, voted: boolean, headers: Record<string, string>) {
+    const endpoint = `/api/feature-requests/${id}/vote`
+    return voted
+      ? apiClient.post<{ request: FeatureRequest }>(endpoint, undefined, headers)
+      : apiClient.delete<{ request: FeatureRequest }>(endpoint, headers)
+  },
+
+  async addFeatureRequestComment(
+    id: string,
+    data: { comment: string; parent_id?: string | null },
+    headers: Record<string, string>
+  ) {
+    return apiClient.post<{ comment: FeatureRequestComment }>(`/api/feature-requests/${id}/comments`, data, headers)
+  },
+
+  // Feature request moderation (admin-scope token)
+  async getAdminFeatureRequestComments(id: string, headers: Record<string, string>) {
+    return apiClient.get<{ comments: FeatureRequestComment[] }>(`/api/admin/feature-requests/${id}/comments`, headers)
+  },
+
+  async addAdminFeatureRequestComment(
+    id: string,
+    data: { comment: string; parent_id?: string | null },
+    headers: Record<string, string>
+  ) {
+    return apiClient.post<{ comment: FeatureRequestComment }>(`/api/admin/feature-requests/${id}/comments`, data, headers)
+  },
+
+  async mergeFeatureRequest(id: string, targetId: string, headers: Record<string, string>) {
+    return apiClient.post<{ request: FeatureRequest }>(
+      `/api/admin/feature-requests/${id}/merge`,
+      { target_id: targetId },
+      headers
+    )
+  },
+
+  // Issue triage (admin-scope token)
+  async updateAdminIssue(id: string, updates: AdminIssueUpdate, headers: Record<string, string>) {
+    return apiClient.put<{ success: boolean }>(`/api/admin/issues/${id}`, updates, headers)
+  },
+
+  async mergeIssue(id: string, targetId: string, headers: Record<string, string>) {
+    return apiClient.post<{ success: boolean }>(`/api/admin/issues/${id}/merge`, { target_id: targetId }, headers)
+  },
+
   // Human-in-loop endpoints
   async requestHandoff(conversationId: string, data: any, headers: Record<string, string>) {
     return apiClient.post(`/api/conversations/${conversationId}/request-handoff`, data, headers)
@@ -209,11 +468,53 @@ export const api = {
     return apiClient.post(`/api/conversations/${conversationId}/send-message`, data, headers)
   },
 
+  // Handoff routing endpoints
+  async getHandoffRoutingSettings(headers: Record<string, string>) {
+    return apiClient.get<{ settings: HandoffRoutingSettings }>('/api/handoff-routing/settings', headers)
+  },
+
+  async updateHandoffRoutingSettings(data: Partial<HandoffRoutingSettings>, headers: Record<string, string>) {
+    return apiClient.put<{ settings: HandoffRoutingSettings }>('/api/handoff-routing/settings', data, headers)
+  },
+
+  async getHandoffRoutingAgents(headers: Record<string, string>) {
+    return apiClient.get<{ agents: HumanAgentRoutingProfile[] }>('/api/handoff-routing/agents', headers)
+  },
+
+  async updateHandoffRoutingAgent(id: string, data: HandoffRoutingProfileUpdate, headers: Record<string, string>) {
+    return apiClient.put<{ agent: HumanAgentRoutingProfile }>(`/api/handoff-routing/agents/${id}`, data, headers)
+  },
+
+  async getHandoffRoutingAudit(params: string, headers: Record<string, string>) {
+    return apiClient.get<{ decisions: HandoffRoutingDecision[]; total: number }>(
+      `/api/handoff-routing/audit?${params}`,
+      headers
+    )
+  },
+
+  // Handoff SLA endpoints
+  async getHandoffSlaPolicy(headers: Record<string, string>) {
+    return apiClient.get<{ policy: HandoffSlaPolicy }>('/api/handoff-sla/policy', headers)
+  },
+
+  async updateHandoffSlaPolicy(data: HandoffSlaPolicy, headers: Record<string, string>) {
+    return apiClient.put<{ policy: HandoffSlaPolicy }>('/api/handoff-sla/policy', data, headers)
+  },
+
+  async getHandoffSlaReport(params: string, headers: Record<string, string>) {
+    return apiClient.get<HandoffSlaReport>(`/api/handoff-sla/report?${params}`, headers)
+  },
+
   // Analytics endpoints
   async getAnalytics(headers: Record<string, string>) {
     return apiClient.get('/api/analytics', headers)
   },
 
+  async getLeadFunnel(params: string, headers: Record<string, string>) {
+    const endpoint = params ? `/api/analytics/funnel?${params}` : '/api/analytics/funnel'
+    return apiClient.get<LeadFunnelResponse>(endpoint, headers)
+  },
+
   async getDashboardStats(headers: Record<string, string>) {
     return apiClient.get('/api/dashboard/stats', headers)
   },
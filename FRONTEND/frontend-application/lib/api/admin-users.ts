@@ -5,6 +5,7 @@
 
 import { config } from '@/lib/config';
 import { createClient } from '@supabase/supabase-js';
+import { getAccessToken } from '@/lib/auth/session-client';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL!;
@@ -69,9 +70,9 @@ class AdminUsersAPI {
     let token: string | null = null;
     
     // First check for admin token (for admin dashboard)
-    token = localStorage.getItem('admin_token');
+    token = await getAccessToken('admin');
     if (token) {
-      console.log('[AdminUsersAPI] Using admin_token from localStorage');
+      console.log('[AdminUsersAPI] Using admin session token');
     } else {
       // Try to get the current session from Supabase if available
       if (supabase) {
@@ -84,10 +85,10 @@ class AdminUsersAPI {
         }
       }
       
-      // Fallback to localStorage for simple auth
+      // Fallback to the simple auth session
       if (!token) {
-        token = localStorage.getItem('auth_token');
-        console.log('[AdminUsersAPI] Using auth_token from localStorage:', !!token);
+        token = await getAccessToken('app');
+        console.log('[AdminUsersAPI] Using app session token:', !!token);
         
         if (!token) {
           throw new Error('No authentication token found');
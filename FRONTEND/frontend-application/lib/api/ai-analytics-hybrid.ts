@@ -5,6 +5,7 @@
 
 import axios from 'axios';
 import { createClient } from '@supabase/supabase-js';
+import { getAccessToken } from '@/lib/auth/session-client';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
@@ -25,8 +26,8 @@ const api = axios.create({
 
 // Add auth token to requests - check both auth systems
 api.interceptors.request.use(async (config) => {
-  // First try to get token from localStorage (simple-auth)
-  const simpleAuthToken = localStorage.getItem('auth_token');
+  // First try the simple-auth session
+  const simpleAuthToken = await getAccessToken('app');
   if (simpleAuthToken) {
     console.log('[AI Analytics] Using simple auth token');
     config.headers.Authorization = `Bearer ${simpleAuthToken}`;
@@ -5,6 +5,7 @@
 
 import axios from 'axios';
 import { createClient } from '@supabase/supabase-js';
+import { getAccessToken } from '@/lib/auth/session-client';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
@@ -26,18 +27,18 @@ const api = axios.create({
 // Add auth token to requests
 api.interceptors.request.use(async (config) => {
   // First check for admin token (for admin dashboard)
-  const adminToken = typeof window !== 'undefined' ? localStorage.getItem('admin_token') : null;
+  const adminToken = typeof window !== 'undefined' ? await getAccessToken('admin') : null;
   
   if (adminToken) {
     config.headers.Authorization = `Bearer ${adminToken}`;
-    console.log('[AI Analytics API] Using admin_token from localStorage');
+    console.log('[AI Analytics API] Using admin session token');
   } else {
     // Try regular auth token (SimpleAuthProvider)
-    const authToken = typeof window !== 'undefined' ? localStorage.getItem('auth_token') : null;
+    const authToken = typeof window !== 'undefined' ? await getAccessToken('app') : null;
     
     if (authToken) {
       config.headers.Authorization = `Bearer ${authToken}`;
-      console.log('[AI Analytics API] Using auth_token from localStorage');
+      console.log('[AI Analytics API] Using app session token');
     } else if (supabase) {
       // Fallback to Supabase session if no simple auth token
       const { data: { session } } = await supabase.auth.getSession();
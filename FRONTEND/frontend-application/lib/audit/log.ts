@@ -0,0 +1,129 @@
+/**
+ * Audit log
+ * Database triggers append an entry (actor, target, before/after of the changed fields, IP and
+ * user agent) whenever agents, BANT configs, members, role templates or handoffs change. Entries
+ * can't be edited or deleted. Organizations read their own log; /admin reads across organizations.
+ */
+
+import { ApiError } from '@/lib/api-simple'
+import type { AuditLogEntry } from '@/lib/validation/schemas'
+
+export type AuditLogScope = 'organization' | 'admin'
+
+export interface AuditLogParams {
+  limit: number
+  offset: number
+  action?: string
+  targetType?: string
+  actor?: string
+  organizationId?: string
+  start?: string
+  end?: string
+}
+
+export interface AuditChange {
+  field: string
+  before: unknown
+  after: unknown
+}
+
+export const AUDIT_ACTIONS: { value: string; label: string }[] = [
+  { value: 'bant_config.updated', label: 'BANT config updated' },
+  { value: 'leads.rescored', label: 'Leads re-scored' },
+  { value: 'agent.updated', label: 'Agent updated' },
+  { value: 'agent.deleted', label: 'Agent deleted' },
+  { value: 'member.removed', label: 'Member removed' },
+  { value: 'member.updated', label: 'Member role or permissions changed' },
+  { value: 'organization.roles_updated', label: 'Role templates changed' },
+  { value: 'conversation.transferred_to_ai', label: 'Conversation returned to AI' },
+]
+
+export const AUDIT_TARGET_TYPES: { value: string; label: string }[] = [
+  { value: 'agent', label: 'Agents' },
+  { value: 'member', label: 'Members' },
+  { value: 'organization', label: 'Organization' },
+  { value: 'conversation', label: 'Conversations' },
+]
+
+export const AUDIT_LOG_ENDPOINTS: Record<AuditLogScope, string> = {
+  organization: '/api/organization/audit-logs',
+  admin: '/api/admin/audit-logs',
+}
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+
+/**
+ * Unknown actions (added server-side before the UI knows them) fall back to the raw key
+ */
+export function getAuditActionLabel(action: string): string {
+  return AUDIT_ACTIONS.find((candidate) => candidate.value === action)?.label ?? action
+}
+
+export function buildAuditLogQuery(params: AuditLogParams): string {
+  const query = new URLSearchParams({
+    limit: String(params.limit),
+    offset: String(params.offset),
+  })
+  if (params.action) query.set('action', params.action)
+  if (params.targetType) query.set('target_type', params.targetType)
+  if (params.actor?.trim()) query.set('actor', params.actor.trim())
+  if (params.organizationId) query.set('organization_id', params.organizationId)
+  if (params.start) query.set('start', params.start)
+  if (params.end) query.set('end', params.end)
+  return query.toString()
+}
+
+/**
+ * One row per changed field, in a stable order for the diff view
+ */
+export function getAuditChanges(entry: AuditLogEntry): AuditChange[] {
+  const { before, after } = entry.changes
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort()
+  return fields.map((field) => ({ field, before: before[field], after: after[field] }))
+}
+
+export function formatAuditValue(value: unknown): string {
+  if (value === undefined || value === null) return '—'
+  if (typeof value === 'string') return value
+  return JSON.stringify(value, null, 2)
+}
+
+/**
+ * Export the filtered log as CSV. The backend renders the file so exports aren't capped by the
+ * page size.
+ */
+export async function downloadAuditLogExport(
+  scope: AuditLogScope,
+  headers: Record<string, string>,
+  params: Omit<AuditLogParams, 'limit' | 'offset'>
+): Promise<void> {
+  const endpoint = `${AUDIT_LOG_ENDPOINTS[scope]}/export`
+  const query = new URLSearchParams(buildAuditLogQuery({ ...params, limit: 0, offset: 0 }))
+  query.delete('limit')
+  query.delete('offset')
+  query.set('format', 'csv')
+
+  const response = await fetch(`${API_BASE_URL}${endpoint}?${query.toString()}`, { headers })
+
+  if (!response.ok) {
+    let message = `HTTP ${response.status}`
+    try {
+      const data = await response.json()
+      message = data?.message || data?.error || message
+    } catch {
+      // Non-JSON error body, keep the status message
+    }
+    throw new ApiError(response.status, message, endpoint)
+  }
+
+  const blob = await response.blob()
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Revoking right away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,61 @@
+/**
+ * Supabase auth calls behind the /api/user account routes
+ * The admin client uses the service role key, so only import this from route handlers.
+ */
+
+import { createClient, type Session, type SupabaseClient } from '@supabase/supabase-js'
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL || ''
+const SUPABASE_ANON_KEY = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY || ''
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+
+// Server clients hold at most one short-lived session in memory
+const CLIENT_OPTIONS = {
+  auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
+}
+
+export function createAuthClient(): SupabaseClient {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    throw new Error('Supabase auth is not configured')
+  }
+  return createClient(SUPABASE_URL, SUPABASE_ANON_KEY, CLIENT_OPTIONS)
+}
+
+export function createAdminClient(): SupabaseClient {
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY must be set for account changes')
+  }
+  return createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, CLIENT_OPTIONS)
+}
+
+/**
+ * Check the current password by signing in again. Returns the new session (and the client
+ * holding it) or null when the password is wrong or belongs to a different user.
+ */
+export async function reauthenticate(
+  userId: string,
+  email: string,
+  password: string
+): Promise<{ client: SupabaseClient; session: Session } | null> {
+  const client = createAuthClient()
+  const { data, error } = await client.auth.signInWithPassword({ email, password })
+
+  if (error || !data.session) return null
+  if (data.session.user.id !== userId) {
+    await endSession(client)
+    return null
+  }
+  return { client, session: data.session }
+}
+
+/**
+ * Revoke the session a server client is holding so it does not linger until expiry
+ */
+export async function endSession(client: SupabaseClient) {
+  const { error } = await client.auth.signOut({ scope: 'local' })
+  if (error) console.error('[Account] Failed to end temporary session:', error.message)
+}
+
+export function getAppOrigin(fallback: string) {
+  return process.env.NEXT_PUBLIC_APP_URL || fallback
+}
@@ -0,0 +1,120 @@
+/**
+ * Organization permission model
+ * A member's permissions are their role's template (organizations can customize templates) with
+ * per-member overrides applied on top. Shared by usePermission(), the matrix editor and
+ * middleware.ts, so keep it free of React and Node APIs.
+ */
+
+export const PERMISSIONS = {
+  'leads.view': { group: 'Leads', label: 'View leads', description: 'See leads and their BANT scores' },
+  'leads.edit': { group: 'Leads', label: 'Edit leads', description: 'Change lead details and pipeline status' },
+  'leads.assign': { group: 'Leads', label: 'Assign leads', description: 'Assign leads to agents' },
+  'leads.import': { group: 'Leads', label: 'Import and export', description: 'Import leads from CSV and export lists' },
+  'segments.manage': { group: 'Leads', label: 'Manage shared segments', description: "Edit or delete other members' segments" },
+  'agents.view': { group: 'AI Agents', label: 'View agents', description: 'See AI agents and their configuration' },
+  'agents.edit': { group: 'AI Agents', label: 'Edit agents', description: 'Create, configure and delete AI agents' },
+  'conversations.view': { group: 'Conversations', label: 'View conversations', description: 'Read conversation transcripts' },
+  'handoff.accept': { group: 'Handoff', label: 'Accept handoffs', description: 'Take over conversations from the AI' },
+  'handoff.transfer_any': { group: 'Handoff', label: 'Transfer any conversation', description: "Transfer or return conversations owned by other agents" },
+  'handoff.manage': { group: 'Handoff', label: 'Manage routing and SLAs', description: 'Change routing rules, SLA targets and the handoff queue' },
+  'analytics.view': { group: 'Analytics', label: 'View analytics', description: 'See dashboards and reports' },
+  'members.invite': { group: 'Team', label: 'Invite members', description: 'Send organization invitations' },
+  'members.manage': { group: 'Team', label: 'Manage members', description: 'Change roles, permissions and remove members' },
+  'organization.edit': { group: 'Organization', label: 'Edit organization', description: 'Update organization details and AI context' },
+  'audit.view': { group: 'Organization', label: 'View audit log', description: 'See and export the history of changes made in the organization' },
+  'billing.view': { group: 'Billing', label: 'View billing', description: 'See plan, usage and invoices' },
+  'billing.manage': { group: 'Billing', label: 'Manage billing', description: 'Change plan and payment details' },
+} as const
+
+export type Permission = keyof typeof PERMISSIONS
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS) as [Permission, ...Permission[]]
+
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'moderator', 'agent', 'viewer'] as const
+
+export type OrganizationRole = (typeof ORGANIZATION_ROLES)[number]
+
+export const ROLE_LABELS: Record<OrganizationRole, string> = {
+  owner: 'Owner',
+  admin: 'Admin',
+  moderator: 'Moderator',
+  agent: 'Agent',
+  viewer: 'Viewer',
+}
+
+// Permission true = granted on top of the role, false = taken away from it
+export type PermissionOverrides = Partial<Record<Permission, boolean>>
+
+export type RoleTemplates = Partial<Record<OrganizationRole, Permission[]>>
+
+export const DEFAULT_ROLE_TEMPLATES: Record<OrganizationRole, Permission[]> = {
+  owner: PERMISSION_KEYS,
+  admin: PERMISSION_KEYS.filter((permission) => permission !== 'billing.manage'),
+  moderator: [
+    'leads.view',
+    'leads.edit',
+    'leads.assign',
+    'leads.import',
+    'segments.manage',
+    'agents.view',
+    'agents.edit',
+    'conversations.view',
+    'handoff.accept',
+    'handoff.transfer_any',
+    'handoff.manage',
+    'analytics.view',
+    'members.invite',
+  ],
+  agent: ['leads.view', 'leads.edit', 'agents.view', 'conversations.view', 'handoff.accept', 'analytics.view'],
+  viewer: ['leads.view', 'agents.view', 'conversations.view', 'analytics.view'],
+}
+
+// Owners always keep everything so an organization can't lock itself out
+export const LOCKED_ROLES: OrganizationRole[] = ['owner']
+
+// Older role names still stored in organization_members and user profiles
+const ROLE_ALIASES: Record<string, OrganizationRole> = {
+  member: 'agent',
+  human_agent: 'agent',
+}
+
+export function isPermission(value: unknown): value is Permission {
+  return typeof value === 'string' && value in PERMISSIONS
+}
+
+export function normalizeRole(role: string | null | undefined): OrganizationRole {
+  if (!role) return 'viewer'
+  if ((ORGANIZATION_ROLES as readonly string[]).includes(role)) return role as OrganizationRole
+  return ROLE_ALIASES[role] ?? 'viewer'
+}
+
+export function getRolePermissions(role: string | null | undefined, templates?: RoleTemplates | null): Permission[] {
+  const normalized = normalizeRole(role)
+  if (LOCKED_ROLES.includes(normalized)) return DEFAULT_ROLE_TEMPLATES[normalized]
+  return (templates?.[normalized] ?? DEFAULT_ROLE_TEMPLATES[normalized]).filter(isPermission)
+}
+
+export function resolvePermissions(
+  role: string | null | undefined,
+  templates?: RoleTemplates | null,
+  overrides?: PermissionOverrides | null
+): Set<Permission> {
+  const permissions = new Set(getRolePermissions(role, templates))
+  if (LOCKED_ROLES.includes(normalizeRole(role))) return permissions
+
+  Object.entries(overrides ?? {}).forEach(([permission, granted]) => {
+    if (!isPermission(permission)) return
+    if (granted) permissions.add(permission)
+    else permissions.delete(permission)
+  })
+  return permissions
+}
+
+export function groupPermissions() {
+  const groups = new Map<string, Permission[]>()
+  PERMISSION_KEYS.forEach((permission) => {
+    const group = PERMISSIONS[permission].group
+    groups.set(group, [...(groups.get(group) ?? []), permission])
+  })
+  return Array.from(groups, ([name, permissions]) => ({ name, permissions }))
+}
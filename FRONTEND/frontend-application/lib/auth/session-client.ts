@@ -0,0 +1,187 @@
+'use client'
+
+/**
+ * Browser side of cookie sessions
+ * Keeps the access token in memory only and refreshes it through /api/session/refresh shortly
+ * before it expires. Non-React code (API clients, services) reads tokens from here too.
+ */
+
+import {
+  SESSION_REFRESH_MARGIN,
+  isTokenExpiring,
+  type SessionScope,
+  type SessionUser,
+} from './session'
+
+export interface ClientSession<TUser = SessionUser> {
+  token: string
+  expiresAt: number | null
+  user: TUser
+}
+
+type SessionListener = (scope: SessionScope, session: ClientSession | null) => void
+
+// undefined = not loaded yet, null = signed out
+const sessions: Partial<Record<SessionScope, ClientSession | null>> = {}
+const pendingLoads: Partial<Record<SessionScope, Promise<ClientSession | null>>> = {}
+const pendingRefreshes: Partial<Record<SessionScope, Promise<ClientSession | null>>> = {}
+const refreshTimers: Partial<Record<SessionScope, ReturnType<typeof setTimeout>>> = {}
+const listeners = new Set<SessionListener>()
+
+async function sessionRequest(
+  scope: SessionScope,
+  path: string,
+  init: RequestInit = {}
+): Promise<ClientSession | null> {
+  const response = await fetch(`/api/session${path}?scope=${scope}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers },
+    credentials: 'same-origin',
+    cache: 'no-store',
+  })
+
+  if (response.status === 401) return null
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.message || `Session request failed: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+function setSession(scope: SessionScope, session: ClientSession | null) {
+  sessions[scope] = session
+
+  const timer = refreshTimers[scope]
+  if (timer) clearTimeout(timer)
+  delete refreshTimers[scope]
+
+  // Silent refresh a minute before expiry
+  if (session?.expiresAt) {
+    const delay = Math.max(0, session.expiresAt - Date.now() - SESSION_REFRESH_MARGIN)
+    refreshTimers[scope] = setTimeout(() => {
+      refreshSession(scope).catch(() => undefined)
+    }, delay)
+  }
+
+  listeners.forEach((listener) => listener(scope, session))
+}
+
+export function onSessionChange(listener: SessionListener) {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+export async function loadSession<TUser = SessionUser>(scope: SessionScope = 'app'): Promise<ClientSession<TUser> | null> {
+  if (sessions[scope] !== undefined) return sessions[scope] as ClientSession<TUser> | null
+
+  if (!pendingLoads[scope]) {
+    pendingLoads[scope] = sessionRequest(scope, '')
+      .catch((error) => {
+        console.error('[Session] Failed to load session:', error)
+        return null
+      })
+      .then((session) => {
+        setSession(scope, session)
+        return session
+      })
+      .finally(() => {
+        delete pendingLoads[scope]
+      })
+  }
+
+  return pendingLoads[scope] as Promise<ClientSession<TUser> | null>
+}
+
+/**
+ * Concurrent callers (e.g. several requests that all got a 401) share one refresh
+ */
+export function refreshSession(scope: SessionScope = 'app'): Promise<ClientSession | null> {
+  if (!pendingRefreshes[scope]) {
+    pendingRefreshes[scope] = sessionRequest(scope, '/refresh', { method: 'POST' })
+      .then(
+        (session) => {
+          setSession(scope, session)
+          return session
+        },
+        (error) => {
+          // Network trouble is not a sign-out; keep the session and let the next request try again
+          console.error('[Session] Failed to refresh session:', error)
+          return sessions[scope] ?? null
+        }
+      )
+      .finally(() => {
+        delete pendingRefreshes[scope]
+      })
+  }
+
+  return pendingRefreshes[scope]!
+}
+
+export async function saveSession<TUser = SessionUser>(
+  scope: SessionScope,
+  tokens: { token: string; refreshToken?: string | null; user?: Partial<TUser> }
+): Promise<ClientSession<TUser>> {
+  const session = await sessionRequest(scope, '', {
+    method: 'POST',
+    body: JSON.stringify({ token: tokens.token, refreshToken: tokens.refreshToken, user: tokens.user }),
+  })
+  if (!session) {
+    throw new Error('The server rejected the session token')
+  }
+
+  setSession(scope, session)
+  return session as ClientSession<TUser>
+}
+
+/**
+ * Update profile fields and pick up role or organization changes
+ */
+export async function updateSession<TUser = SessionUser>(
+  scope: SessionScope,
+  user: Partial<TUser> = {}
+): Promise<ClientSession<TUser> | null> {
+  const session = await sessionRequest(scope, '', {
+    method: 'PATCH',
+    body: JSON.stringify({ user }),
+  })
+
+  setSession(scope, session)
+  return session as ClientSession<TUser> | null
+}
+
+export async function clearSession(scope: SessionScope = 'app') {
+  try {
+    await fetch(`/api/session?scope=${scope}`, { method: 'DELETE', credentials: 'same-origin' })
+  } finally {
+    setSession(scope, null)
+  }
+}
+
+/**
+ * A usable access token, refreshing first when the current one is about to expire
+ */
+export async function getAccessToken(scope: SessionScope = 'app'): Promise<string | null> {
+  const session = await loadSession(scope)
+  if (!session) return null
+
+  if (isTokenExpiring(session.expiresAt)) {
+    return (await refreshSession(scope))?.token ?? null
+  }
+  return session.token
+}
+
+/**
+ * The scope whose current session issued an Authorization header, so a 401 refreshes the right session
+ */
+export function getAuthorizationScope(authorization: string): SessionScope | null {
+  const scopes = Object.keys(sessions) as SessionScope[]
+  return scopes.find((scope) => sessions[scope] && `Bearer ${sessions[scope]!.token}` === authorization) ?? null
+}
+
+export async function getAuthorizationHeader(scope: SessionScope = 'app'): Promise<Record<string, string>> {
+  const token = await getAccessToken(scope)
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
@@ -0,0 +1,166 @@
+/**
+ * Server-side half of cookie sessions, used by the /api/session route handlers
+ */
+
+import { NextResponse, type NextRequest } from 'next/server'
+import {
+  SESSION_COOKIES,
+  SESSION_MAX_AGE,
+  SESSION_REFRESH_ENDPOINTS,
+  getCookieOptions,
+  getTokenExpiry,
+  signSessionUser,
+  verifySessionUser,
+  type SessionScope,
+  type SessionTokens,
+  type SessionUser,
+} from './session'
+import { resolvePermissions } from './permissions'
+
+const API_URL = process.env.API_URL || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+
+// Profile fields the browser may set; role and organization always come from the API
+const CLIENT_PROFILE_FIELDS = ['name', 'email', 'isHumanAgent', 'humanAgentId'] as const
+
+export async function readSession(request: NextRequest, scope: SessionScope) {
+  const names = SESSION_COOKIES[scope]
+  return {
+    token: request.cookies.get(names.access)?.value ?? null,
+    refreshToken: request.cookies.get(names.refresh)?.value ?? null,
+    user: await verifySessionUser(request.cookies.get(names.user)?.value),
+  }
+}
+
+export async function setSessionCookies(
+  response: NextResponse,
+  scope: SessionScope,
+  tokens: SessionTokens,
+  user?: SessionUser
+) {
+  const names = SESSION_COOKIES[scope]
+  const expiresAt = getTokenExpiry(tokens.token)
+  const accessMaxAge = expiresAt ? Math.max(0, Math.floor((expiresAt - Date.now()) / 1000)) : 60 * 60
+
+  response.cookies.set(names.access, tokens.token, getCookieOptions(accessMaxAge))
+  if (tokens.refreshToken) {
+    response.cookies.set(names.refresh, tokens.refreshToken, getCookieOptions(SESSION_MAX_AGE))
+  }
+  if (user) {
+    response.cookies.set(names.user, await signSessionUser(user), getCookieOptions(SESSION_MAX_AGE))
+  }
+}
+
+export function clearSessionCookies(response: NextResponse, scope: SessionScope) {
+  Object.values(SESSION_COOKIES[scope]).forEach((name) => response.cookies.delete(name))
+  return response
+}
+
+export function unauthorized(scope: SessionScope, message = 'Not signed in') {
+  return clearSessionCookies(NextResponse.json({ message }, { status: 401 }), scope)
+}
+
+export function pickClientProfile(profile: Record<string, unknown> | undefined) {
+  const picked: Record<string, unknown> = {}
+  CLIENT_PROFILE_FIELDS.forEach((field) => {
+    if (profile && profile[field] !== undefined) picked[field] = profile[field]
+  })
+  return picked
+}
+
+/**
+ * Trade a refresh token for new tokens; providers that rotate refresh tokens return a new one
+ */
+export async function refreshWithBackend(scope: SessionScope, refreshToken: string): Promise<SessionTokens | null> {
+  try {
+    const response = await fetch(`${API_URL}${SESSION_REFRESH_ENDPOINTS[scope]}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+      cache: 'no-store',
+    })
+    if (!response.ok) return null
+
+    const data = await response.json()
+    const token = data.token ?? data.access_token ?? data.session?.access_token
+    if (!token) return null
+
+    return {
+      token,
+      refreshToken: data.refreshToken ?? data.refresh_token ?? data.session?.refresh_token ?? refreshToken,
+    }
+  } catch (error) {
+    console.error('[Session] Token refresh failed:', error)
+    return null
+  }
+}
+
+/**
+ * Build the cookie user from what the API says about this token. Returns null when the API
+ * rejects the token, so a forged role can never end up in a signed cookie.
+ */
+export async function resolveSessionUser(
+  scope: SessionScope,
+  token: string,
+  profile: Record<string, unknown>
+): Promise<SessionUser | null> {
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }
+
+  try {
+    if (scope === 'admin') {
+      const response = await fetch(`${API_URL}/api/admin/verify`, { headers, cache: 'no-store' })
+      if (!response.ok) return null
+
+      const data = await response.json().catch(() => ({}))
+      const admin = data.user ?? data.data?.user ?? data
+      if (!admin?.id || !admin?.role) return null
+
+      return {
+        ...profile,
+        id: admin.id,
+        email: admin.email ?? String(profile.email ?? ''),
+        name: String(profile.name ?? admin.full_name ?? admin.email ?? 'Admin'),
+        role: admin.role,
+        permissions: admin.permissions ?? [],
+      }
+    }
+
+    const payload = JSON.parse(atob((token.split('.')[1] ?? '').replace(/-/g, '+').replace(/_/g, '/')))
+    const userId: string | undefined = payload.sub
+    if (!userId) return null
+
+    const response = await fetch(`${API_URL}/api/organization/members`, { headers, cache: 'no-store' })
+    if (response.status === 401 || response.status === 403) return null
+
+    const membersData = response.ok ? await response.json() : {}
+    const members: any[] = Array.isArray(membersData) ? membersData : membersData.members || []
+    const member = members.find((m) => m.id === userId)
+    const organizationId = member ? membersData.organizationId || '' : ''
+    const role = member?.role || 'agent'
+
+    // Effective permissions go in the signed cookie so middleware can guard routes by permission
+    let roleTemplates = null
+    let overrides = null
+    if (organizationId) {
+      const permissionsResponse = await fetch(`${API_URL}/api/organization/permissions`, { headers, cache: 'no-store' })
+      if (permissionsResponse.ok) {
+        const permissionsData = await permissionsResponse.json().catch(() => ({}))
+        roleTemplates = permissionsData.roleTemplates ?? null
+        overrides = permissionsData.members?.find((m: any) => m.user_id === userId)?.overrides ?? null
+      }
+    }
+
+    return {
+      ...profile,
+      id: userId,
+      email: String(profile.email ?? payload.email ?? ''),
+      name: String(profile.name ?? payload.user_metadata?.full_name ?? 'User'),
+      role,
+      organizationId,
+      hasOrganization: !!organizationId,
+      permissions: Array.from(resolvePermissions(role, roleTemplates, overrides)),
+    }
+  } catch (error) {
+    console.error('[Session] Failed to resolve session user:', error)
+    return null
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Cookie sessions
+ * Tokens live in httpOnly cookies set by the /api/session route handlers, so page scripts never
+ * see the refresh token. The access token is handed to the browser in memory only (see
+ * session-client.ts) because the API is on another origin and still expects a Bearer header.
+ * Shared by the route handlers and middleware.ts, so it must stay Edge-runtime safe.
+ */
+
+export type SessionScope = 'app' | 'admin'
+
+// Minimal user profile kept in the signed cookie; middleware reads role from it
+export interface SessionUser {
+  id: string
+  email: string
+  name: string
+  role: string
+  [key: string]: unknown
+}
+
+export interface SessionTokens {
+  token: string
+  refreshToken?: string | null
+}
+
+export const SESSION_COOKIES: Record<SessionScope, { access: string; refresh: string; user: string }> = {
+  app: { access: 'leadify_access', refresh: 'leadify_refresh', user: 'leadify_user' },
+  admin: { access: 'leadify_admin_access', refresh: 'leadify_admin_refresh', user: 'leadify_admin_user' },
+}
+
+// Backend endpoints that trade a refresh token for a new access token
+export const SESSION_REFRESH_ENDPOINTS: Record<SessionScope, string> = {
+  app: '/api/auth/refresh',
+  admin: '/api/admin/refresh',
+}
+
+export const SESSION_MAX_AGE = 30 * 24 * 60 * 60 // 30 days, in seconds
+// Refresh this long before the access token expires
+export const SESSION_REFRESH_MARGIN = 60 * 1000
+
+const DEV_SESSION_SECRET = 'leadify-dev-session-secret'
+
+export function getSessionScope(value: string | null | undefined): SessionScope {
+  return value === 'admin' ? 'admin' : 'app'
+}
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = ''
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function base64UrlDecode(value: string): string {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4)
+  return atob(padded)
+}
+
+/**
+ * Expiry of a JWT in milliseconds, or null when the token has none or cannot be read
+ */
+export function getTokenExpiry(token: string): number | null {
+  try {
+    const payload = JSON.parse(base64UrlDecode(token.split('.')[1] ?? ''))
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null
+  } catch {
+    return null
+  }
+}
+
+export function isTokenExpiring(expiresAt: number | null, margin = SESSION_REFRESH_MARGIN): boolean {
+  return expiresAt !== null && expiresAt - margin <= Date.now()
+}
+
+function getSessionSecret(): string {
+  const secret = process.env.SESSION_SECRET
+  if (secret) return secret
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set to sign session cookies')
+  }
+  return DEV_SESSION_SECRET
+}
+
+async function hmac(value: string): Promise<string> {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(getSessionSecret()),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value))
+  return base64UrlEncode(new Uint8Array(signature))
+}
+
+/**
+ * The user cookie is signed so middleware can trust the role without calling the API
+ */
+export async function signSessionUser(user: SessionUser): Promise<string> {
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(user)))
+  return `${payload}.${await hmac(payload)}`
+}
+
+export async function verifySessionUser(value: string | undefined): Promise<SessionUser | null> {
+  if (!value) return null
+
+  const [payload, signature] = value.split('.')
+  if (!payload || !signature) return null
+
+  try {
+    if ((await hmac(payload)) !== signature) return null
+
+    const bytes = Uint8Array.from(base64UrlDecode(payload), (char) => char.charCodeAt(0))
+    return JSON.parse(new TextDecoder().decode(bytes)) as SessionUser
+  } catch {
+    return null
+  }
+}
+
+export function getCookieOptions(maxAge: number) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax' as const,
+    path: '/',
+    maxAge,
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Qualification frameworks
+ * A BANT config is now a list of user-defined dimensions (key, weight, criteria, question) plus the
+ * priority/hot/warm thresholds. Configs saved before frameworks existed only have the fixed
+ * budget/authority/need/timeline/contact fields; getDimensions() reads those as BANT, and
+ * withDimensions() keeps writing them for any dimension with a BANT key so older scoring code and
+ * rollbacks to pre-framework versions keep working.
+ */
+
+import type {
+  BANTConfig,
+  CriteriaItem,
+  QualificationDimension,
+  QualificationFrameworkId,
+} from '@/utils/bant-transform'
+
+export type { QualificationDimension, QualificationFrameworkId }
+
+export const BANT_DIMENSION_KEYS = ['budget', 'authority', 'need', 'timeline', 'contact'] as const
+
+export type BantDimensionKey = (typeof BANT_DIMENSION_KEYS)[number]
+
+const BANT_DIMENSIONS: Record<BantDimensionKey, Pick<QualificationDimension, 'label' | 'criteria_type'>> = {
+  budget: { label: 'Budget', criteria_type: 'budget' },
+  authority: { label: 'Authority', criteria_type: 'authority' },
+  need: { label: 'Need', criteria_type: 'text' },
+  timeline: { label: 'Timeline', criteria_type: 'timeline' },
+  contact: { label: 'Contact', criteria_type: 'text' },
+}
+
+export const QUALIFICATION_FRAMEWORKS: { id: QualificationFrameworkId; label: string; description: string }[] = [
+  { id: 'bant', label: 'BANT', description: 'Budget, Authority, Need, Timeline and Contact' },
+  { id: 'champ', label: 'CHAMP', description: 'Challenges, Authority, Money, Prioritization' },
+  { id: 'meddic', label: 'MEDDIC', description: 'Metrics, Economic buyer, Decision criteria and process, Pain, Champion' },
+  { id: 'custom', label: 'Custom', description: 'Your own dimensions, e.g. for rentals or commercial space' },
+]
+
+// Starting points when switching framework; BANT uses the editor's default config instead
+export const FRAMEWORK_PRESETS: Record<Exclude<QualificationFrameworkId, 'bant'>, QualificationDimension[]> = {
+  champ: [
+    {
+      key: 'challenges',
+      label: 'Challenges',
+      weight: 30,
+      question: 'What is the main problem you are trying to solve with this property?',
+      criteria: [
+        { type: 'urgent', points: 30, label: 'Urgent, clearly described problem' },
+        { type: 'general', points: 15, label: 'General interest' },
+      ],
+    },
+    {
+      key: 'authority',
+      label: 'Authority',
+      weight: 25,
+      question: 'Who else is involved in making this decision?',
+      criteria: [
+        { type: 'single', points: 25, label: 'Sole decision maker' },
+        { type: 'shared', points: 15, label: 'Shared decision' },
+      ],
+    },
+    {
+      key: 'money',
+      label: 'Money',
+      weight: 20,
+      question: 'What budget have you set aside for this?',
+      criteria: [
+        { type: 'confirmed', points: 20, label: 'Budget confirmed' },
+        { type: 'estimated', points: 10, label: 'Rough estimate' },
+      ],
+    },
+    {
+      key: 'prioritization',
+      label: 'Prioritization',
+      weight: 25,
+      question: 'How high a priority is this compared to your other plans?',
+      criteria: [
+        { type: 'top', points: 25, label: 'Top priority' },
+        { type: 'later', points: 10, label: 'Nice to have' },
+      ],
+    },
+  ],
+  meddic: [
+    {
+      key: 'metrics',
+      label: 'Metrics',
+      weight: 15,
+      question: 'What return or outcome are you expecting from this property?',
+      criteria: [{ type: 'quantified', points: 15, label: 'Quantified goal' }],
+    },
+    {
+      key: 'economic_buyer',
+      label: 'Economic Buyer',
+      weight: 20,
+      question: 'Who signs off on the final purchase?',
+      criteria: [{ type: 'identified', points: 20, label: 'Economic buyer identified' }],
+    },
+    {
+      key: 'decision_criteria',
+      label: 'Decision Criteria',
+      weight: 15,
+      question: 'What will you compare when choosing between properties?',
+      criteria: [{ type: 'defined', points: 15, label: 'Criteria defined' }],
+    },
+    {
+      key: 'decision_process',
+      label: 'Decision Process',
+      weight: 15,
+      question: 'What steps are left before you can commit?',
+      criteria: [{ type: 'mapped', points: 15, label: 'Process mapped' }],
+    },
+    {
+      key: 'identify_pain',
+      label: 'Identify Pain',
+      weight: 20,
+      question: 'What happens if you don\'t find the right property soon?',
+      criteria: [{ type: 'clear', points: 20, label: 'Clear pain point' }],
+    },
+    {
+      key: 'champion',
+      label: 'Champion',
+      weight: 15,
+      question: 'Is anyone pushing for this decision on your side?',
+      criteria: [{ type: 'present', points: 15, label: 'Internal champion' }],
+    },
+  ],
+  custom: [
+    {
+      key: 'move_in_date',
+      label: 'Move-in Date',
+      weight: 30,
+      criteria_type: 'timeline',
+      question: 'When would you like to move in?',
+      criteria: [
+        { timeAmount: 1, timeUnit: 'months', points: 30, label: '1 months' },
+        { timeAmount: 3, timeUnit: 'months', points: 15, label: '3 months' },
+      ],
+    },
+    {
+      key: 'financing',
+      label: 'Financing Pre-approval',
+      weight: 30,
+      question: 'Have you been pre-approved for financing?',
+      criteria: [
+        { type: 'pre_approved', points: 30, label: 'Pre-approved' },
+        { type: 'in_progress', points: 15, label: 'Application in progress' },
+      ],
+    },
+    {
+      key: 'property_type',
+      label: 'Property Type',
+      weight: 20,
+      question: 'What type of property are you looking for?',
+      criteria: [
+        { type: 'matches', points: 20, label: 'Matches our listings' },
+        { type: 'flexible', points: 10, label: 'Flexible' },
+      ],
+    },
+    {
+      key: 'budget',
+      label: 'Budget',
+      weight: 20,
+      criteria_type: 'budget',
+      question: 'What monthly budget do you have in mind?',
+      criteria: [
+        { section: 'thousands', amount: 5, points: 20, label: '$5K' },
+        { section: 'thousands', amount: 2, points: 10, label: '$2K' },
+      ],
+    },
+  ],
+}
+
+// Per-dimension result stored on leads (leads.dimension_scores)
+export interface LeadDimensionScore {
+  key: string
+  label: string
+  score: number
+  // Dimension weight at scoring time, i.e. the maximum score
+  weight: number
+}
+
+export function isBantDimensionKey(key: string): key is BantDimensionKey {
+  return (BANT_DIMENSION_KEYS as readonly string[]).includes(key)
+}
+
+type DimensionSource = Partial<Pick<BANTConfig, 'dimensions'>> &
+  Partial<Record<`${BantDimensionKey}_weight`, number>> &
+  Partial<Record<`${BantDimensionKey}_criteria`, CriteriaItem[]>>
+
+export function getFramework(config: Pick<BANTConfig, 'framework'>): QualificationFrameworkId {
+  return config.framework ?? 'bant'
+}
+
+/**
+ * Dimensions of a config, reading pre-framework configs as BANT
+ */
+export function getDimensions(config: DimensionSource): QualificationDimension[] {
+  if (config.dimensions && config.dimensions.length > 0) {
+    return config.dimensions
+  }
+
+  return BANT_DIMENSION_KEYS.map((key) => ({
+    key,
+    ...BANT_DIMENSIONS[key],
+    weight: config[`${key}_weight`] ?? 0,
+    criteria: config[`${key}_criteria`] ?? [],
+  }))
+}
+
+/**
+ * Returns `config` with new dimensions, mirroring BANT-keyed ones into the legacy fields
+ */
+export function withDimensions<T extends BANTConfig>(
+  config: T,
+  dimensions: QualificationDimension[],
+  framework: QualificationFrameworkId = getFramework(config)
+): T {
+  const legacyFields = Object.fromEntries(
+    BANT_DIMENSION_KEYS.flatMap((key) => {
+      const dimension = dimensions.find((candidate) => candidate.key === key)
+      return [
+        [`${key}_weight`, dimension?.weight ?? 0],
+        [`${key}_criteria`, dimension?.criteria ?? []],
+      ]
+    })
+  )
+
+  return { ...config, ...legacyFields, framework, dimensions }
+}
+
+/**
+ * Dimensions the agent asks a question for; contact details are collected on every conversation
+ */
+export function getQuestionDimensions(dimensions: QualificationDimension[]): QualificationDimension[] {
+  return dimensions.filter((dimension) => dimension.key !== 'contact')
+}
+
+export function getTotalWeight(dimensions: QualificationDimension[]): number {
+  return dimensions.reduce((sum, dimension) => sum + dimension.weight, 0)
+}
+
+/**
+ * snake_case key for a new dimension, unique within `existingKeys`
+ */
+export function createDimensionKey(label: string, existingKeys: string[]): string {
+  const base =
+    label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'dimension'
+
+  let key = base
+  let suffix = 2
+  while (existingKeys.includes(key)) {
+    key = `${base}_${suffix}`
+    suffix += 1
+  }
+  return key
+}
+
+/**
+ * Set one dimension's weight; if the total goes over 100 the excess is taken from the others
+ * in proportion to their weight
+ */
+export function setDimensionWeight(
+  dimensions: QualificationDimension[],
+  key: string,
+  value: number
+): QualificationDimension[] {
+  const next = dimensions.map((dimension) => (dimension.key === key ? { ...dimension, weight: value } : { ...dimension }))
+  const total = getTotalWeight(next)
+  if (total <= 100) return next
+
+  const others = next.filter((dimension) => dimension.key !== key)
+  const otherTotal = getTotalWeight(others)
+
+  if (otherTotal === 0) {
+    return next.map((dimension) => (dimension.key === key ? { ...dimension, weight: 100 } : dimension))
+  }
+
+  const excess = total - 100
+  others.forEach((dimension) => {
+    dimension.weight = Math.max(0, dimension.weight - Math.round(excess * (dimension.weight / otherTotal)))
+  })
+
+  // Rounding can leave the total a point or two off; settle it on the largest other dimension
+  const drift = 100 - getTotalWeight(next)
+  if (drift !== 0) {
+    const largest = others.reduce((max, dimension) => (dimension.weight > max.weight ? dimension : max))
+    largest.weight += drift
+  }
+
+  return next
+}
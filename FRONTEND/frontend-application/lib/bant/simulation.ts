@@ -0,0 +1,134 @@
+/**
+ * BANT scoring simulator
+ * Replays proposed weights and thresholds against leads that are already scored. Each stored
+ * dimension score is points out of that dimension's weight at scoring time, so it is rescaled to
+ * the proposed weight; the AI isn't asked again. rescore_leads_with_published_bant() (last defined
+ * in migrate-qualification-frameworks.sql) applies the same formula when changes are applied.
+ */
+
+import type { BANTConfig } from '@/utils/bant-transform'
+import {
+  getDimensions,
+  isBantDimensionKey,
+  type BantDimensionKey,
+  type LeadDimensionScore,
+} from '@/lib/bant/frameworks'
+
+export const LEAD_CLASSIFICATIONS = ['priority', 'hot', 'warm', 'cold'] as const
+
+export type LeadClassification = (typeof LEAD_CLASSIFICATIONS)[number]
+
+export type BantScoringConfig = Pick<
+  BANTConfig,
+  `${BantDimensionKey}_weight` | 'priority_threshold' | 'hot_threshold' | 'warm_threshold' | 'dimensions'
+>
+
+export interface LeadScoreSnapshot {
+  id: string
+  full_name: string | null
+  lead_score: number | null
+  lead_classification: string | null
+  budget_score: number | null
+  authority_score: number | null
+  need_score: number | null
+  timeline_score: number | null
+  contact_score: number | null
+  // Set for leads scored with a framework; older leads only have the BANT columns
+  dimension_scores?: LeadDimensionScore[] | null
+  bant_config_version: number | null
+}
+
+export interface SimulatedLead {
+  lead: LeadScoreSnapshot
+  currentScore: number
+  currentClassification: LeadClassification
+  proposedScore: number
+  proposedClassification: LeadClassification
+}
+
+export interface ScoringSimulation {
+  results: SimulatedLead[]
+  // transitions[from][to] = number of leads
+  transitions: Record<LeadClassification, Record<LeadClassification, number>>
+  changed: SimulatedLead[]
+  currentCounts: Record<LeadClassification, number>
+  proposedCounts: Record<LeadClassification, number>
+}
+
+export function classifyScore(score: number, config: BantScoringConfig): LeadClassification {
+  if (score >= config.priority_threshold) return 'priority'
+  if (score >= config.hot_threshold) return 'hot'
+  if (score >= config.warm_threshold) return 'warm'
+  return 'cold'
+}
+
+export function normalizeClassification(value: string | null | undefined): LeadClassification | null {
+  const normalized = value?.toLowerCase()
+  return (LEAD_CLASSIFICATIONS as readonly string[]).includes(normalized ?? '') ? (normalized as LeadClassification) : null
+}
+
+export function getLeadDimensionScore(lead: LeadScoreSnapshot, key: string): number {
+  const scored = lead.dimension_scores?.find((score) => score.key === key)
+  if (scored) return scored.score
+  return (isBantDimensionKey(key) ? lead[`${key}_score`] : null) ?? 0
+}
+
+/**
+ * Score a lead under `proposed`, given the config it was originally scored with. Dimensions the
+ * lead was never scored on (added since) contribute nothing.
+ */
+export function rescoreLead(lead: LeadScoreSnapshot, scoredWith: BantScoringConfig, proposed: BantScoringConfig): number {
+  const previousWeights = new Map(getDimensions(scoredWith).map((dimension) => [dimension.key, dimension.weight]))
+
+  const total = getDimensions(proposed).reduce((sum, dimension) => {
+    const previousWeight = previousWeights.get(dimension.key) ?? 0
+    if (previousWeight <= 0) return sum
+    // Clamp in case a dimension was scored above its weight
+    const share = Math.min(Math.max(getLeadDimensionScore(lead, dimension.key) / previousWeight, 0), 1)
+    return sum + share * dimension.weight
+  }, 0)
+
+  return Math.round(total)
+}
+
+function emptyCounts(): Record<LeadClassification, number> {
+  return { priority: 0, hot: 0, warm: 0, cold: 0 }
+}
+
+/**
+ * @param getScoredWith - Config each lead was scored with (usually from its bant_config_version)
+ */
+export function simulateScoring(
+  leads: LeadScoreSnapshot[],
+  proposed: BantScoringConfig,
+  getScoredWith: (lead: LeadScoreSnapshot) => BantScoringConfig
+): ScoringSimulation {
+  const transitions = Object.fromEntries(
+    LEAD_CLASSIFICATIONS.map((classification) => [classification, emptyCounts()])
+  ) as ScoringSimulation['transitions']
+  const currentCounts = emptyCounts()
+  const proposedCounts = emptyCounts()
+
+  const results = leads.map((lead) => {
+    const scoredWith = getScoredWith(lead)
+    const currentScore = lead.lead_score ?? 0
+    const currentClassification =
+      normalizeClassification(lead.lead_classification) ?? classifyScore(currentScore, scoredWith)
+    const proposedScore = rescoreLead(lead, scoredWith, proposed)
+    const proposedClassification = classifyScore(proposedScore, proposed)
+
+    transitions[currentClassification][proposedClassification] += 1
+    currentCounts[currentClassification] += 1
+    proposedCounts[proposedClassification] += 1
+
+    return { lead, currentScore, currentClassification, proposedScore, proposedClassification }
+  })
+
+  return {
+    results,
+    transitions,
+    changed: results.filter((result) => result.currentClassification !== result.proposedClassification),
+    currentCounts,
+    proposedCounts,
+  }
+}
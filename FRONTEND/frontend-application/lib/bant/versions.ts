@@ -0,0 +1,136 @@
+/**
+ * BANT config versions
+ * Each agent has at most one draft and one published version; publishing a draft archives the
+ * previous version, and rolling back publishes a copy of an older one. Leads are stamped with the
+ * version that scored them (leads.bant_config_version), so changing a threshold only affects leads
+ * scored after the new version is published.
+ */
+
+import type { BANTConfig, CriteriaItem } from '@/utils/bant-transform'
+import type { BantConfigVersion } from '@/lib/validation/schemas'
+import { QUALIFICATION_FRAMEWORKS, getDimensions, getFramework, getTotalWeight } from '@/lib/bant/frameworks'
+
+export interface BantConfigChange {
+  field: string
+  label: string
+  before: string
+  after: string
+}
+
+const THRESHOLD_FIELDS: { field: keyof BANTConfig; label: string }[] = [
+  { field: 'priority_threshold', label: 'Priority threshold' },
+  { field: 'hot_threshold', label: 'Hot threshold' },
+  { field: 'warm_threshold', label: 'Warm threshold' },
+]
+
+export function getVersionLabel(version: Pick<BantConfigVersion, 'version'>): string {
+  return `v${version.version}`
+}
+
+/**
+ * Same rules the server enforces before a version can be saved or published
+ */
+export function validateBantConfig(config: BANTConfig): string | null {
+  const dimensions = getDimensions(config)
+
+  if (dimensions.length === 0) {
+    return 'Add at least one dimension'
+  }
+
+  if (dimensions.some((dimension) => !dimension.label.trim())) {
+    return 'Every dimension needs a name'
+  }
+
+  if (getTotalWeight(dimensions) !== 100) {
+    return 'Weights must total exactly 100%'
+  }
+
+  if (config.priority_threshold <= config.hot_threshold || config.hot_threshold <= config.warm_threshold) {
+    return 'Thresholds must be in descending order: Priority > Hot > Warm'
+  }
+
+  return null
+}
+
+function describeCriteria(items: CriteriaItem[]): Map<string, number> {
+  return new Map(items.map((item) => [item.label, item.points]))
+}
+
+function getFrameworkLabel(config: BANTConfig): string {
+  const framework = getFramework(config)
+  return QUALIFICATION_FRAMEWORKS.find((candidate) => candidate.id === framework)?.label ?? framework
+}
+
+/**
+ * Human-readable differences between two configs; dimensions are matched by key and criteria by label
+ */
+export function diffBantConfigs(before: BANTConfig | null, after: BANTConfig): BantConfigChange[] {
+  const changes: BantConfigChange[] = []
+
+  if (before && getFramework(before) !== getFramework(after)) {
+    changes.push({ field: 'framework', label: 'Framework', before: getFrameworkLabel(before), after: getFrameworkLabel(after) })
+  }
+
+  const previousDimensions = new Map((before ? getDimensions(before) : []).map((dimension) => [dimension.key, dimension]))
+  const nextDimensions = getDimensions(after)
+
+  nextDimensions.forEach((dimension) => {
+    const previous = previousDimensions.get(dimension.key)
+    const field = `dimensions.${dimension.key}`
+
+    if (previous?.weight !== dimension.weight) {
+      changes.push({
+        field,
+        label: `${dimension.label} weight`,
+        before: previous ? `${previous.weight} pts` : '—',
+        after: `${dimension.weight} pts`,
+      })
+    }
+
+    if (previous && previous.label !== dimension.label) {
+      changes.push({ field, label: 'Dimension name', before: previous.label, after: dimension.label })
+    }
+
+    const previousCriteria = describeCriteria(previous?.criteria ?? [])
+    const nextCriteria = describeCriteria(dimension.criteria)
+
+    nextCriteria.forEach((points, criteria) => {
+      const previousPoints = previousCriteria.get(criteria)
+      if (previousPoints === undefined) {
+        changes.push({ field, label: `${dimension.label}: ${criteria}`, before: '—', after: `${points} pts` })
+      } else if (previousPoints !== points) {
+        changes.push({ field, label: `${dimension.label}: ${criteria}`, before: `${previousPoints} pts`, after: `${points} pts` })
+      }
+    })
+    previousCriteria.forEach((points, criteria) => {
+      if (!nextCriteria.has(criteria)) {
+        changes.push({ field, label: `${dimension.label}: ${criteria}`, before: `${points} pts`, after: 'Removed' })
+      }
+    })
+  })
+
+  previousDimensions.forEach((dimension, key) => {
+    if (!nextDimensions.some((candidate) => candidate.key === key)) {
+      changes.push({ field: `dimensions.${key}`, label: dimension.label, before: `${dimension.weight} pts`, after: 'Removed' })
+    }
+  })
+
+  THRESHOLD_FIELDS.forEach(({ field, label }) => {
+    const previous = before?.[field]
+    const next = after[field]
+    if (previous !== next) {
+      changes.push({
+        field,
+        label,
+        before: previous === undefined ? '—' : `${previous} points`,
+        after: next === undefined ? '—' : `${next} points`,
+      })
+    }
+  })
+
+  if ((before?.bant_scoring_prompt ?? '') !== (after.bant_scoring_prompt ?? '')) {
+    changes.push({ field: 'bant_scoring_prompt', label: 'Scoring prompt', before: 'Previous prompt', after: 'Edited' })
+  }
+
+  return changes
+}
@@ -3,6 +3,8 @@ export const config = {
   API_URL: process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001',
   SUPABASE_URL: process.env.NEXT_PUBLIC_SUPABASE_URL!,
   SUPABASE_ANON_KEY: process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY!,
+  // Public half of the backend's Web Push key pair; fetched from the API when not set
+  VAPID_PUBLIC_KEY: process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY || '',
 } as const
 
 // Validate that required environment variables are set
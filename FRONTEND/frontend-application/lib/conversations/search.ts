@@ -0,0 +1,95 @@
+/**
+ * Conversation search
+ * Full-text search over message content within the caller's organization, ranked by relevance.
+ * The server returns a snippet per matching message with the matched words wrapped in
+ * SNIPPET_MARK_START / SNIPPET_MARK_END; the UI splits on those instead of rendering HTML.
+ */
+
+import type { FunnelSource } from '@/lib/analytics/funnel'
+import type { ConversationMode } from '@/lib/validation/schemas'
+
+// Control characters, so they can't collide with anything a lead typed
+export const SNIPPET_MARK_START = '\u0002'
+export const SNIPPET_MARK_END = '\u0003'
+
+export const CONVERSATION_MODE_LABELS: Record<ConversationMode, string> = {
+  ai: 'AI',
+  handoff_requested: 'Handoff requested',
+  human: 'Human agent',
+}
+
+// handoff_requested is no longer written (database/scripts/remove-handoff-requested-mode.sql)
+export const CONVERSATION_SEARCH_MODES: ConversationMode[] = ['ai', 'human']
+
+// Shorter queries match too much of every conversation to be useful
+export const MIN_SEARCH_QUERY_LENGTH = 2
+
+export interface ConversationSearchFilters {
+  query: string
+  agentId?: string | 'all'
+  source?: FunnelSource | 'all'
+  mode?: ConversationMode | 'all'
+  from?: Date
+  to?: Date
+}
+
+/**
+ * Build the query string for GET /api/conversations/search
+ */
+export function buildConversationSearchQuery(filters: ConversationSearchFilters, limit = 25): string {
+  const params = new URLSearchParams()
+  params.set('q', filters.query.trim())
+  if (filters.agentId && filters.agentId !== 'all') params.set('agent_id', filters.agentId)
+  if (filters.source && filters.source !== 'all') params.set('source', filters.source)
+  if (filters.mode && filters.mode !== 'all') params.set('mode', filters.mode)
+  if (filters.from) params.set('from', filters.from.toISOString())
+  if (filters.to) {
+    // Include the whole end day
+    const end = new Date(filters.to)
+    end.setHours(23, 59, 59, 999)
+    params.set('to', end.toISOString())
+  }
+  params.set('limit', String(limit))
+  return params.toString()
+}
+
+export function isSearchableQuery(query: string): boolean {
+  return query.trim().length >= MIN_SEARCH_QUERY_LENGTH
+}
+
+export interface SnippetSegment {
+  text: string
+  highlighted: boolean
+}
+
+export function splitHighlightedSnippet(snippet: string): SnippetSegment[] {
+  const segments: SnippetSegment[] = []
+  let highlighted = false
+  let text = ''
+
+  const flush = () => {
+    if (text) segments.push({ text, highlighted })
+    text = ''
+  }
+
+  for (const char of snippet) {
+    if (char === SNIPPET_MARK_START || char === SNIPPET_MARK_END) {
+      flush()
+      highlighted = char === SNIPPET_MARK_START
+    } else {
+      text += char
+    }
+  }
+  flush()
+
+  return segments
+}
+
+/**
+ * Handoff conversations live on /handoff, everything else on /conversations
+ */
+export function getConversationHref(result: { conversation_id: string; message_id: string; mode: ConversationMode }): string {
+  const page = result.mode === 'ai' ? '/conversations' : '/handoff'
+  const params = new URLSearchParams({ conversationId: result.conversation_id, messageId: result.message_id })
+  return `${page}?${params.toString()}`
+}
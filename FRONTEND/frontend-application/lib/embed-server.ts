@@ -0,0 +1,34 @@
+/**
+ * Server-side lookup of an agent's widget settings, used by the /embed page and middleware
+ * GET /api/embed/:agentId/config is public and only exposes whether embedding is on and where
+ * (get_agent_embed_config in migrate-agent-embed-widget.sql)
+ */
+
+const API_URL = process.env.API_URL || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+
+export interface AgentEmbedConfig {
+  enabled: boolean
+  allowedDomains: string[]
+}
+
+/**
+ * Null when the agent doesn't exist or the backend can't be reached, so the widget stays hidden
+ */
+export async function getAgentEmbedConfig(agentId: string): Promise<AgentEmbedConfig | null> {
+  try {
+    const response = await fetch(`${API_URL}/api/embed/${encodeURIComponent(agentId)}/config`, {
+      // Settings changes show up on customer sites within a minute
+      next: { revalidate: 60 },
+    })
+    if (!response.ok) return null
+
+    const data: { embed_enabled?: boolean; allowed_domains?: string[] | null } = await response.json()
+    return {
+      enabled: data.embed_enabled === true,
+      allowedDomains: Array.isArray(data.allowed_domains) ? data.allowed_domains : [],
+    }
+  } catch (error) {
+    console.error('[Embed] Failed to load widget settings:', error)
+    return null
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Embeddable chat widget helpers
+ * Shared by the agent settings card (snippet generation) and the /embed iframe page
+ */
+
+export type EmbedPosition = 'bottom-right' | 'bottom-left'
+
+export interface EmbedSettings {
+  primaryColor: string
+  position: EmbedPosition
+  title: string
+  greeting: string
+  launcherText: string
+  allowedDomains: string[]
+}
+
+export const DEFAULT_EMBED_SETTINGS: EmbedSettings = {
+  primaryColor: '#2563eb',
+  position: 'bottom-right',
+  title: 'Chat with us',
+  greeting: 'Hi there! Looking for a property? Ask me anything.',
+  launcherText: 'Chat',
+  allowedDomains: [],
+}
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/
+
+/**
+ * Merge stored settings from the backend with the defaults so older agents
+ * without embed_settings still render a usable widget
+ */
+export function normalizeEmbedSettings(settings?: Partial<EmbedSettings> | null): EmbedSettings {
+  const provided = Object.fromEntries(
+    Object.entries(settings || {}).filter(([, value]) => value !== undefined && value !== null)
+  ) as Partial<EmbedSettings>
+  const merged = { ...DEFAULT_EMBED_SETTINGS, ...provided }
+  return {
+    ...merged,
+    primaryColor: HEX_COLOR.test(merged.primaryColor) ? merged.primaryColor : DEFAULT_EMBED_SETTINGS.primaryColor,
+    position: merged.position === 'bottom-left' ? 'bottom-left' : 'bottom-right',
+    allowedDomains: Array.isArray(merged.allowedDomains) ? merged.allowedDomains : [],
+  }
+}
+
+/**
+ * Parse a comma/newline separated list of domains into clean hostnames
+ */
+export function parseAllowedDomains(value: string): string[] {
+  return value
+    .split(/[\s,]+/)
+    .map((domain) => domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, ''))
+    .filter(Boolean)
+}
+
+/**
+ * Base URL the widget script and iframe are served from
+ */
+export function getEmbedBaseUrl(): string {
+  const url = process.env.NEXT_PUBLIC_APP_URL || (typeof window !== 'undefined' ? window.location.origin : '')
+  return url.replace(/\/$/, '')
+}
+
+/**
+ * Build the <script> snippet an organization pastes into their listing site
+ */
+export function buildEmbedSnippet(agentId: string, settings: EmbedSettings, baseUrl = getEmbedBaseUrl()): string {
+  const attributes = [
+    `src="${baseUrl}/embed/widget.js"`,
+    `data-agent-id="${agentId}"`,
+    `data-color="${settings.primaryColor}"`,
+    `data-position="${settings.position}"`,
+    `data-title="${escapeAttribute(settings.title)}"`,
+    `data-launcher-text="${escapeAttribute(settings.launcherText)}"`,
+  ]
+
+  if (settings.greeting) {
+    attributes.push(`data-greeting="${escapeAttribute(settings.greeting)}"`)
+  }
+
+  return `<!-- Leadify chat widget -->\n<script async ${attributes.join('\n  ')}></script>`
+}
+
+/**
+ * Read widget theming passed through the iframe query string by widget.js
+ */
+export function embedSettingsFromSearchParams(
+  searchParams: Record<string, string | string[] | undefined>
+): EmbedSettings {
+  const read = (key: string) => {
+    const value = searchParams[key]
+    return Array.isArray(value) ? value[0] : value
+  }
+
+  return normalizeEmbedSettings({
+    primaryColor: read('color') || undefined,
+    position: read('position') as EmbedPosition | undefined,
+    title: read('title') || undefined,
+    greeting: read('greeting') || undefined,
+    launcherText: read('launcherText') || undefined,
+  })
+}
+
+/**
+ * Whether a hostname is one of the allowed domains or a subdomain of one.
+ * An empty list allows any site.
+ */
+export function isEmbedHostAllowed(hostname: string, allowedDomains: string[]): boolean {
+  if (allowedDomains.length === 0) return true
+  const host = hostname.toLowerCase()
+  return allowedDomains.some((domain) => host === domain || host.endsWith(`.${domain}`))
+}
+
+/**
+ * Origin of the page embedding the widget, from the `parent` param widget.js adds.
+ * Null when it is missing, malformed or not on an allowed domain.
+ */
+export function getAllowedParentOrigin(parent: string | undefined, allowedDomains: string[]): string | null {
+  if (!parent) return null
+  try {
+    const url = new URL(parent)
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null
+    return isEmbedHostAllowed(url.hostname, allowedDomains) ? url.origin : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Content-Security-Policy for the /embed iframe, so browsers refuse to render it on other sites
+ */
+export function buildEmbedFrameAncestors(allowedDomains: string[]): string {
+  if (allowedDomains.length === 0) return 'frame-ancestors *'
+  return `frame-ancestors ${allowedDomains.flatMap((domain) => [domain, `*.${domain}`]).join(' ')}`
+}
+
+function escapeAttribute(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
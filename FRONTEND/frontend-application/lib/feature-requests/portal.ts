@@ -0,0 +1,120 @@
+/**
+ * Feature request portal
+ * Every signed-in customer sees the same board of feature requests, can vote once per request and
+ * discuss them; the Leadify team replies from /admin/feature-requests. Requests an admin marks as a
+ * duplicate are merged into another one: their votes move over (still one per user) and the portal
+ * sends people to the surviving request. Voters are notified when a request changes status.
+ */
+
+import type { FeatureRequestComment } from '@/lib/validation/schemas'
+
+export const FEATURE_REQUEST_STATUSES = [
+  'submitted',
+  'under_review',
+  'planned',
+  'in_development',
+  'completed',
+  'on_hold',
+  'rejected',
+] as const
+
+export type FeatureRequestStatus = (typeof FEATURE_REQUEST_STATUSES)[number]
+
+// The road from idea to release, shown as progress on each request
+export const FEATURE_REQUEST_PROGRESS: FeatureRequestStatus[] = [
+  'submitted',
+  'under_review',
+  'planned',
+  'in_development',
+  'completed',
+]
+
+export const FEATURE_REQUEST_STATUS_LABELS: Record<FeatureRequestStatus, string> = {
+  submitted: 'Submitted',
+  under_review: 'Under Review',
+  planned: 'Planned',
+  in_development: 'In Development',
+  completed: 'Completed',
+  on_hold: 'On Hold',
+  rejected: 'Not Planned',
+}
+
+export const FEATURE_REQUEST_STATUS_COLORS: Record<FeatureRequestStatus, string> = {
+  submitted: 'bg-gray-100 text-gray-800 border-gray-300',
+  under_review: 'bg-blue-100 text-blue-800 border-blue-300',
+  planned: 'bg-purple-100 text-purple-800 border-purple-300',
+  in_development: 'bg-indigo-100 text-indigo-800 border-indigo-300',
+  completed: 'bg-green-100 text-green-800 border-green-300',
+  on_hold: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  rejected: 'bg-red-100 text-red-800 border-red-300',
+}
+
+export const FEATURE_REQUEST_SORTS = [
+  { value: 'top', label: 'Most votes' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'updated', label: 'Recently updated' },
+] as const
+
+export type FeatureRequestSort = (typeof FEATURE_REQUEST_SORTS)[number]['value']
+
+export interface FeatureRequestFilters {
+  status?: FeatureRequestStatus | 'all'
+  sort?: FeatureRequestSort
+  search?: string
+  // Only requests the user submitted or voted for
+  mine?: boolean
+}
+
+export function buildFeatureRequestQuery(filters: FeatureRequestFilters): string {
+  const params = new URLSearchParams()
+  if (filters.status && filters.status !== 'all') params.set('status', filters.status)
+  if (filters.sort) params.set('sort', filters.sort)
+  if (filters.search?.trim()) params.set('search', filters.search.trim())
+  if (filters.mine) params.set('mine', 'true')
+  return params.toString()
+}
+
+/**
+ * Position on FEATURE_REQUEST_PROGRESS, or -1 for requests that left it (on hold, not planned)
+ */
+export function getFeatureRequestProgress(status: FeatureRequestStatus): number {
+  return FEATURE_REQUEST_PROGRESS.indexOf(status)
+}
+
+export interface FeatureRequestCommentThread {
+  comment: FeatureRequestComment
+  replies: FeatureRequestComment[]
+}
+
+/**
+ * Group comments into top-level threads with their replies, oldest first. Replies to replies
+ * are shown under the thread's top-level comment; replies whose parent was deleted become threads.
+ */
+export function buildCommentThreads(comments: FeatureRequestComment[]): FeatureRequestCommentThread[] {
+  const byId = new Map(comments.map((comment) => [comment.id, comment]))
+  const sorted = [...comments].sort((a, b) => a.created_at.localeCompare(b.created_at))
+
+  const rootOf = (comment: FeatureRequestComment): FeatureRequestComment => {
+    let current = comment
+    const seen = new Set<string>()
+    while (current.parent_id && !seen.has(current.id)) {
+      seen.add(current.id)
+      const parent = byId.get(current.parent_id)
+      if (!parent) break
+      current = parent
+    }
+    return current
+  }
+
+  const threads = new Map<string, FeatureRequestCommentThread>()
+  sorted.forEach((comment) => {
+    const root = rootOf(comment)
+    if (root.id === comment.id) {
+      threads.set(comment.id, { comment, replies: [] })
+    } else {
+      threads.get(root.id)?.replies.push(comment)
+    }
+  })
+
+  return Array.from(threads.values())
+}
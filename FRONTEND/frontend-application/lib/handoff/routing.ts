@@ -0,0 +1,117 @@
+/**
+ * Handoff routing
+ * route_handoff (migrate-handoff-routing.sql) picks a human agent for each new handoff using the
+ * organization's strategy and records every decision (with the candidates it considered) in the
+ * routing audit. Eligibility here mirrors route_handoff so the settings screen can show who is in the rotation.
+ */
+
+import type {
+  HandoffRoutingExclusion,
+  HandoffRoutingSettings,
+  HandoffRoutingStrategy,
+  HumanAgentRoutingProfile,
+} from '@/lib/validation/schemas'
+
+export type HandoffRoutingProfileUpdate = Partial<
+  Pick<HumanAgentRoutingProfile, 'is_active' | 'specialties' | 'max_concurrent_conversations'>
+>
+
+export interface HandoffRoutingAuditParams {
+  limit: number
+  offset: number
+  agentId?: string
+  outcome?: 'assigned' | 'queued' | 'manual'
+}
+
+export const HANDOFF_ROUTING_STRATEGIES: {
+  value: HandoffRoutingStrategy
+  label: string
+  description: string
+}[] = [
+  {
+    value: 'manual',
+    label: 'Manual',
+    description: 'Handoffs wait in the queue until an agent accepts them.',
+  },
+  {
+    value: 'round_robin',
+    label: 'Round-robin',
+    description: 'Rotate through eligible agents, starting with whoever was assigned least recently.',
+  },
+  {
+    value: 'least_loaded',
+    label: 'Least loaded',
+    description: 'Assign to the eligible agent with the lowest share of their capacity in use.',
+  },
+  {
+    value: 'skill_match',
+    label: 'Skill match',
+    description: 'Prefer agents whose specialties match the handoff reason and lead, then fall back.',
+  },
+  {
+    value: 'priority_first',
+    label: 'Priority first',
+    description: 'Route urgent and high priority handoffs before normal ones, each to the least loaded agent.',
+  },
+]
+
+export const HANDOFF_ROUTING_FALLBACKS: { value: HandoffRoutingSettings['fallback_strategy']; label: string }[] = [
+  { value: 'least_loaded', label: 'Least loaded agent' },
+  { value: 'round_robin', label: 'Next agent in rotation' },
+  { value: 'queue', label: 'Leave in queue' },
+]
+
+export const HANDOFF_ROUTING_EXCLUSION_LABELS: Record<HandoffRoutingExclusion, string> = {
+  inactive: 'Inactive',
+  offline: 'Offline',
+  busy: 'Busy',
+  at_capacity: 'At capacity',
+  no_skill_match: 'No matching specialty',
+}
+
+export function getRoutingStrategyLabel(strategy: HandoffRoutingStrategy): string {
+  return HANDOFF_ROUTING_STRATEGIES.find((s) => s.value === strategy)?.label || strategy
+}
+
+/**
+ * Why an agent would be skipped for the next handoff, or null if they are in the rotation.
+ * Skill matching depends on the handoff itself, so it is only evaluated server-side.
+ */
+export function getRoutingExclusion(
+  profile: HumanAgentRoutingProfile,
+  settings: HandoffRoutingSettings
+): HandoffRoutingExclusion | null {
+  if (!profile.is_active) return 'inactive'
+  if (settings.only_available && profile.status === 'offline') return 'offline'
+  if (settings.only_available && profile.status === 'busy') return 'busy'
+  if (settings.respect_capacity && profile.current_conversation_count >= profile.max_concurrent_conversations) {
+    return 'at_capacity'
+  }
+  return null
+}
+
+/**
+ * Share of an agent's capacity in use, 0-100
+ */
+export function getAgentLoad(profile: Pick<HumanAgentRoutingProfile, 'current_conversation_count' | 'max_concurrent_conversations'>): number {
+  if (profile.max_concurrent_conversations <= 0) return 100
+  return Math.min(100, Math.round((profile.current_conversation_count / profile.max_concurrent_conversations) * 100))
+}
+
+/**
+ * Specialties are stored lowercase and de-duplicated so skill matching is case-insensitive
+ */
+export function normalizeSpecialties(input: string | string[]): string[] {
+  const values = Array.isArray(input) ? input : input.split(',')
+  return Array.from(new Set(values.map((value) => value.trim().toLowerCase()).filter(Boolean)))
+}
+
+export function buildRoutingAuditQuery(params: HandoffRoutingAuditParams): string {
+  const query = new URLSearchParams({
+    limit: String(params.limit),
+    offset: String(params.offset),
+  })
+  if (params.agentId) query.set('agent_id', params.agentId)
+  if (params.outcome) query.set('outcome', params.outcome)
+  return query.toString()
+}
@@ -0,0 +1,98 @@
+/**
+ * Handoff SLA
+ * Each priority has a target for accepting a handoff and for resolving it, measured from requested_at.
+ * Deadlines are stored on the handoff when it is requested and escalate_overdue_handoffs escalates
+ * the ones that miss the accept target; the helpers here drive the live
+ * countdowns on /handoff and the compliance report.
+ */
+
+import type { HandoffSlaAgentReport, HandoffSlaPolicy } from '@/lib/validation/schemas'
+
+export type HandoffSlaPriority = keyof HandoffSlaPolicy['targets']
+export type HandoffSlaStatus = 'on_track' | 'at_risk' | 'breached'
+
+export interface HandoffSlaState {
+  deadline: Date
+  remainingMs: number
+  status: HandoffSlaStatus
+}
+
+export interface HandoffSlaReportParams {
+  start: string
+  end: string
+}
+
+export const HANDOFF_SLA_PRIORITIES: { value: HandoffSlaPriority; label: string }[] = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' },
+]
+
+// Share of the target left when a countdown turns amber
+const AT_RISK_THRESHOLD = 0.25
+
+/**
+ * Map a HandoffPriority (1-3) or the string priority returned by /api/conversations/handoffs
+ */
+export function getSlaPriority(priority: number | string | undefined): HandoffSlaPriority {
+  if (priority === 3 || priority === 'urgent') return 'urgent'
+  if (priority === 2 || priority === 'high') return 'high'
+  return 'normal'
+}
+
+/**
+ * dueAt is the accept_due_at / resolve_due_at stamped on the handoff when it was requested,
+ * so a later policy change doesn't move the deadline
+ */
+export function getSlaState(requestedAt: string, dueAt: string, now: number = Date.now()): HandoffSlaState {
+  const deadline = new Date(dueAt)
+  const targetMs = Math.max(deadline.getTime() - new Date(requestedAt).getTime(), 0)
+  const remainingMs = deadline.getTime() - now
+
+  let status: HandoffSlaStatus = 'on_track'
+  if (remainingMs <= 0) status = 'breached'
+  else if (remainingMs <= targetMs * AT_RISK_THRESHOLD) status = 'at_risk'
+
+  return { deadline, remainingMs, status }
+}
+
+/**
+ * "4:59" under an hour, "1h 05m" above; sign is ignored so overdue times read the same way
+ */
+export function formatSlaCountdown(ms: number): string {
+  const totalSeconds = Math.floor(Math.abs(ms) / 1000)
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`
+  return `${minutes}:${String(seconds).padStart(2, '0')}`
+}
+
+export function formatDurationSeconds(seconds: number | null | undefined): string {
+  if (seconds === null || seconds === undefined) return '—'
+  if (seconds < 60) return `${Math.round(seconds)}s`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`
+  return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`
+}
+
+/**
+ * Percentage of handled handoffs accepted within the SLA, or null when there is nothing to measure
+ */
+export function getSlaComplianceRate(report: Pick<HandoffSlaAgentReport, 'handled' | 'accepted_within_sla'>): number | null {
+  if (report.handled === 0) return null
+  return Math.round((report.accepted_within_sla / report.handled) * 100)
+}
+
+/**
+ * Average seconds from request to acceptance (HandoffStats.averageResponseTime)
+ */
+export function getAverageResponseTime(handoffs: { requested_at?: string; assigned_at?: string | null }[]): number {
+  const durations = handoffs
+    .filter((h) => h.requested_at && h.assigned_at)
+    .map((h) => (new Date(h.assigned_at!).getTime() - new Date(h.requested_at!).getTime()) / 1000)
+    .filter((seconds) => seconds >= 0)
+
+  if (durations.length === 0) return 0
+  return durations.reduce((sum, seconds) => sum + seconds, 0) / durations.length
+}
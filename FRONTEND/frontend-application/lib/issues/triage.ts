@@ -0,0 +1,191 @@
+/**
+ * Issue triage
+ * Reported issues are grouped by how much their subject and description overlap so admins can link
+ * duplicates to one issue. A linked duplicate is closed and follows the issue it points at; when
+ * that issue is resolved, everyone who reported it (duplicates included) is notified by the server.
+ */
+
+export const ISSUE_STATUSES = ['open', 'investigating', 'in_progress', 'resolved', 'closed', 'wont_fix'] as const
+
+export type IssueStatus = (typeof ISSUE_STATUSES)[number]
+
+// Still waiting on someone from the team
+export const ACTIVE_ISSUE_STATUSES: IssueStatus[] = ['open', 'investigating', 'in_progress']
+
+export interface TriageIssue {
+  id: string
+  subject: string
+  description: string
+  status: IssueStatus
+  priority: 'urgent' | 'high' | 'medium' | 'low'
+  assigned_to: string | null
+  duplicate_of_id?: string | null
+  created_at: string
+}
+
+export interface AdminIssueUpdate {
+  status?: IssueStatus
+  assigned_to?: string | null
+  resolution_notes?: string
+}
+
+export function isIssueActive(issue: Pick<TriageIssue, 'status' | 'duplicate_of_id'>): boolean {
+  return !issue.duplicate_of_id && ACTIVE_ISSUE_STATUSES.includes(issue.status)
+}
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'when', 'from', 'have', 'has', 'was', 'were', 'are',
+  'not', 'but', 'can', 'cannot', 'cant', 'does', 'doesnt', 'dont', 'its', 'into', 'after', 'before',
+  'there', 'then', 'than', 'just', 'also', 'any', 'all', 'our', 'your', 'you', 'they', 'them',
+  'some', 'get', 'got', 'page', 'please', 'issue', 'problem', 'error', 'working', 'work', 'works',
+])
+
+export function tokenizeIssueText(text: string): Set<string> {
+  return new Set(
+    text
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length >= 3 && !STOP_WORDS.has(token))
+  )
+}
+
+function jaccard(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 || b.size === 0) return 0
+  let shared = 0
+  a.forEach((token) => {
+    if (b.has(token)) shared++
+  })
+  return shared / (a.size + b.size - shared)
+}
+
+interface IssueTokens {
+  subject: Set<string>
+  body: Set<string>
+}
+
+function tokensFor(issue: Pick<TriageIssue, 'subject' | 'description'>): IssueTokens {
+  return {
+    subject: tokenizeIssueText(issue.subject),
+    body: tokenizeIssueText(`${issue.subject} ${issue.description}`),
+  }
+}
+
+// Subjects are short and written to summarize, so they count for more than the description
+const SUBJECT_WEIGHT = 0.6
+
+function tokenSimilarity(a: IssueTokens, b: IssueTokens): number {
+  return SUBJECT_WEIGHT * jaccard(a.subject, b.subject) + (1 - SUBJECT_WEIGHT) * jaccard(a.body, b.body)
+}
+
+/**
+ * 0 (nothing in common) to 1 (same words in subject and description)
+ */
+export function issueSimilarity(
+  a: Pick<TriageIssue, 'subject' | 'description'>,
+  b: Pick<TriageIssue, 'subject' | 'description'>
+): number {
+  return tokenSimilarity(tokensFor(a), tokensFor(b))
+}
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.35
+
+export interface SimilarIssue<T extends TriageIssue> {
+  issue: T
+  score: number
+}
+
+/**
+ * Active issues most like `issue`, best match first
+ */
+export function findSimilarIssues<T extends TriageIssue>(
+  issue: T,
+  issues: T[],
+  { threshold = DEFAULT_SIMILARITY_THRESHOLD, limit = 5 }: { threshold?: number; limit?: number } = {}
+): SimilarIssue<T>[] {
+  const target = tokensFor(issue)
+  return issues
+    .filter((candidate) => candidate.id !== issue.id && isIssueActive(candidate))
+    .map((candidate) => ({ issue: candidate, score: tokenSimilarity(target, tokensFor(candidate)) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
+
+export interface SimilarIssueGroup<T extends TriageIssue> {
+  // The oldest report; the others are linked to it when the group is merged
+  primary: T
+  duplicates: T[]
+}
+
+/**
+ * Cluster active issues whose similarity clears the threshold. A chain of close matches ends up in
+ * one group, so a group can hold two issues that only look alike through a third.
+ */
+export function groupSimilarIssues<T extends TriageIssue>(
+  issues: T[],
+  threshold = DEFAULT_SIMILARITY_THRESHOLD
+): SimilarIssueGroup<T>[] {
+  const active = issues.filter(isIssueActive)
+  const tokens = active.map(tokensFor)
+  const parent = active.map((_, index) => index)
+
+  const find = (index: number): number => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]!]!
+      index = parent[index]!
+    }
+    return index
+  }
+
+  for (let i = 0; i < active.length; i++) {
+    for (let j = i + 1; j < active.length; j++) {
+      if (tokenSimilarity(tokens[i]!, tokens[j]!) >= threshold) {
+        parent[find(i)] = find(j)
+      }
+    }
+  }
+
+  const clusters = new Map<number, T[]>()
+  active.forEach((issue, index) => {
+    const root = find(index)
+    clusters.set(root, [...(clusters.get(root) || []), issue])
+  })
+
+  return Array.from(clusters.values())
+    .filter((cluster) => cluster.length > 1)
+    .map((cluster) => {
+      const [primary, ...duplicates] = [...cluster].sort((a, b) => a.created_at.localeCompare(b.created_at))
+      return { primary: primary!, duplicates }
+    })
+    .sort((a, b) => b.duplicates.length - a.duplicates.length)
+}
+
+export interface IssueAssignee {
+  user_id: string
+  name: string | null
+  email: string
+}
+
+export interface IssueWorkload {
+  assignee: IssueAssignee
+  active: number
+  // Urgent and high priority issues among the active ones
+  pressing: number
+}
+
+/**
+ * Active issues per team member, lightest load first so it doubles as an assignment suggestion
+ */
+export function buildIssueWorkload(issues: TriageIssue[], assignees: IssueAssignee[]): IssueWorkload[] {
+  const active = issues.filter(isIssueActive)
+  return assignees
+    .map((assignee) => {
+      const assigned = active.filter((issue) => issue.assigned_to === assignee.user_id)
+      return {
+        assignee,
+        active: assigned.length,
+        pressing: assigned.filter((issue) => issue.priority === 'urgent' || issue.priority === 'high').length,
+      }
+    })
+    .sort((a, b) => a.active - b.active || a.pressing - b.pressing)
+}
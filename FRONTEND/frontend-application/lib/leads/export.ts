@@ -0,0 +1,109 @@
+/**
+ * Lead export (CSV / XLSX)
+ * The backend renders the file; this module builds the request from the current
+ * filters and hands the response to the browser as a download.
+ */
+
+import { ApiError } from '@/lib/api-simple'
+
+export type LeadExportFormat = 'csv' | 'xlsx'
+
+export interface LeadExportFilters {
+  classification?: string
+  agent?: string
+  search?: string
+  status?: string
+  source?: string
+  temperature?: string
+  // Active saved segment, same as GET /api/leads?segment_id=
+  segment_id?: string
+}
+
+// Column order of the exported sheet; includes the full BANT breakdown
+export const LEAD_EXPORT_COLUMNS = [
+  'full_name',
+  'email',
+  'mobile_number',
+  'source',
+  'status',
+  'lead_classification',
+  'lead_score',
+  'budget_score',
+  'authority_score',
+  'need_score',
+  'timeline_score',
+  'contact_score',
+  'budget_range',
+  'authority',
+  'need',
+  'timeline',
+  'lead_score_justification',
+  'bant_config_version',
+  'agent_name',
+  'assigned_human_agent',
+  'created_at',
+] as const
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+
+/**
+ * Build the export query string, skipping "all" / empty filter values
+ */
+export function buildLeadExportQuery(format: LeadExportFormat, filters: LeadExportFilters = {}): string {
+  const params = new URLSearchParams({ format, columns: LEAD_EXPORT_COLUMNS.join(',') })
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value && value !== 'all') {
+      params.set(key, value.trim())
+    }
+  })
+
+  return params.toString()
+}
+
+/**
+ * Request an export and trigger the browser download
+ * @param endpoint - Export endpoint, e.g. /api/leads/export
+ */
+export async function downloadLeadExport(
+  endpoint: string,
+  headers: Record<string, string>,
+  format: LeadExportFormat,
+  filters: LeadExportFilters = {}
+): Promise<void> {
+  const response = await fetch(`${API_BASE_URL}${endpoint}?${buildLeadExportQuery(format, filters)}`, {
+    headers,
+  })
+
+  if (!response.ok) {
+    let message = `HTTP ${response.status}`
+    try {
+      const data = await response.json()
+      message = data?.message || data?.error || message
+    } catch {
+      // Non-JSON error body, keep the status message
+    }
+    throw new ApiError(response.status, message, endpoint)
+  }
+
+  const blob = await response.blob()
+  const filename =
+    getFilenameFromDisposition(response.headers.get('content-disposition')) ||
+    `leads-${new Date().toISOString().slice(0, 10)}.${format}`
+
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Revoking right away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+function getFilenameFromDisposition(disposition: string | null): string | null {
+  if (!disposition) return null
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition)
+  return match?.[1] ? decodeURIComponent(match[1]) : null
+}
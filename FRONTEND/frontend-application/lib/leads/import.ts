@@ -0,0 +1,266 @@
+/**
+ * Lead import (CSV)
+ * Parses an uploaded CSV, maps its columns onto lead fields, validates each row
+ * against leadImportRowSchema and flags duplicates by email / phone.
+ */
+
+import { leadImportRowSchema, type LeadImportRow } from '@/lib/validation/schemas'
+
+export type LeadImportField =
+  | 'full_name'
+  | 'mobile_number'
+  | 'email'
+  | 'budget_range'
+  | 'timeline'
+  | 'authority'
+  | 'need'
+  | 'source'
+  | 'notes'
+
+export interface LeadImportFieldConfig {
+  key: LeadImportField
+  label: string
+  required?: boolean
+  aliases: string[]
+}
+
+export const LEAD_IMPORT_FIELDS: LeadImportFieldConfig[] = [
+  { key: 'full_name', label: 'Full Name', required: true, aliases: ['name', 'full name', 'fullname', 'client', 'contact'] },
+  { key: 'mobile_number', label: 'Mobile Number', aliases: ['mobile', 'phone', 'phone number', 'contact number', 'cell'] },
+  { key: 'email', label: 'Email', aliases: ['email address', 'e-mail'] },
+  { key: 'budget_range', label: 'Budget Range', aliases: ['budget', 'price range'] },
+  { key: 'timeline', label: 'Timeline', aliases: ['timeframe', 'move in', 'purchase timeline'] },
+  { key: 'authority', label: 'Authority', aliases: ['decision maker', 'buyer type'] },
+  { key: 'need', label: 'Need', aliases: ['property type', 'requirement', 'interest'] },
+  { key: 'source', label: 'Source', aliases: ['lead source', 'channel', 'portal'] },
+  { key: 'notes', label: 'Notes', aliases: ['note', 'comments', 'remarks'] },
+]
+
+// Column index per lead field; unmapped fields are left out
+export type LeadImportMapping = Partial<Record<LeadImportField, number>>
+
+export interface ParsedCsv {
+  headers: string[]
+  rows: string[][]
+}
+
+export type LeadImportRowStatus = 'valid' | 'invalid' | 'duplicate'
+
+export interface LeadImportRowResult {
+  rowNumber: number
+  status: LeadImportRowStatus
+  data: LeadImportRow | null
+  errors: string[]
+}
+
+// Per-row outcome reported by POST /api/leads/import (the server re-checks duplicates)
+export interface LeadImportServerResult {
+  row_number: number
+  status: 'created' | 'skipped' | 'failed'
+  lead_id?: string
+  error?: string
+}
+
+export interface LeadImportResponse {
+  results: LeadImportServerResult[]
+}
+
+export interface ExistingLeadContact {
+  id: string
+  name: string
+  email?: string | null
+  phone?: string | null
+}
+
+// POST /api/leads/import/duplicates, checked against every lead in the organization
+export interface LeadImportContacts {
+  emails: string[]
+  phones: string[]
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF line endings)
+ */
+export function parseCsv(text: string): ParsedCsv {
+  const records: string[][] = []
+  let record: string[] = []
+  let field = ''
+  let inQuotes = false
+  const input = text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const nonEmpty = records.filter((r) => r.some((value) => value.trim() !== ''))
+  const [headers = [], ...rows] = nonEmpty
+
+  return { headers: headers.map((h) => h.trim()), rows }
+}
+
+/**
+ * Guess a mapping from CSV headers by field key, label and aliases
+ */
+export function guessLeadImportMapping(headers: string[]): LeadImportMapping {
+  const mapping: LeadImportMapping = {}
+  const normalized = headers.map((h) => h.toLowerCase().replace(/[_\-]+/g, ' ').trim())
+
+  LEAD_IMPORT_FIELDS.forEach((field) => {
+    const candidates = [field.key.replace(/_/g, ' '), field.label.toLowerCase(), ...field.aliases]
+    const index = normalized.findIndex(
+      (header, i) => candidates.includes(header) && !Object.values(mapping).includes(i)
+    )
+    if (index !== -1) {
+      mapping[field.key] = index
+    }
+  })
+
+  return mapping
+}
+
+export function normalizeEmail(email?: string | null): string {
+  return (email || '').trim().toLowerCase()
+}
+
+// Compare phone numbers on their last 10 digits so +63 / 0 prefixes still match
+export function normalizePhone(phone?: string | null): string {
+  return (phone || '').replace(/\D/g, '').slice(-10)
+}
+
+/**
+ * Normalized emails and phones in the mapped columns, to look up existing leads with
+ */
+export function getLeadImportContacts(rows: string[][], mapping: LeadImportMapping): LeadImportContacts {
+  const emails = new Set<string>()
+  const phones = new Set<string>()
+
+  rows.forEach((row) => {
+    const email = normalizeEmail(readCell(row, mapping.email))
+    const phone = normalizePhone(readCell(row, mapping.mobile_number))
+    if (email) emails.add(email)
+    if (phone) phones.add(phone)
+  })
+
+  return { emails: [...emails].sort(), phones: [...phones].sort() }
+}
+
+function readCell(row: string[], index: number | undefined): string | undefined {
+  if (index === undefined) return undefined
+  const value = row[index]?.trim()
+  return value ? value : undefined
+}
+
+/**
+ * Validate mapped rows and flag duplicates against existing leads and earlier rows in the file
+ */
+export function validateLeadImportRows(
+  rows: string[][],
+  mapping: LeadImportMapping,
+  existingLeads: ExistingLeadContact[] = []
+): LeadImportRowResult[] {
+  const emails = new Map<string, string>()
+  const phones = new Map<string, string>()
+
+  existingLeads.forEach((lead) => {
+    const email = normalizeEmail(lead.email)
+    const phone = normalizePhone(lead.phone)
+    if (email) emails.set(email, `existing lead "${lead.name}"`)
+    if (phone) phones.set(phone, `existing lead "${lead.name}"`)
+  })
+
+  return rows.map((row, index) => {
+    // Row 1 is the header line
+    const rowNumber = index + 2
+    const parsed = leadImportRowSchema.safeParse({
+      name: readCell(row, mapping.full_name) ?? '',
+      phone: readCell(row, mapping.mobile_number),
+      email: readCell(row, mapping.email),
+      budget_range: readCell(row, mapping.budget_range),
+      timeline: readCell(row, mapping.timeline),
+      authority: readCell(row, mapping.authority),
+      need: readCell(row, mapping.need),
+      source: readCell(row, mapping.source),
+      notes: readCell(row, mapping.notes),
+    })
+
+    if (!parsed.success) {
+      return {
+        rowNumber,
+        status: 'invalid' as const,
+        data: null,
+        errors: parsed.error.issues.map((issue) => issue.message),
+      }
+    }
+
+    const email = normalizeEmail(parsed.data.email)
+    const phone = normalizePhone(parsed.data.phone)
+    const duplicateOf = (email && emails.get(email)) || (phone && phones.get(phone))
+
+    if (duplicateOf) {
+      return {
+        rowNumber,
+        status: 'duplicate' as const,
+        data: parsed.data,
+        errors: [`Duplicate of ${duplicateOf}`],
+      }
+    }
+
+    if (email) emails.set(email, `row ${rowNumber}`)
+    if (phone) phones.set(phone, `row ${rowNumber}`)
+
+    return { rowNumber, status: 'valid' as const, data: parsed.data, errors: [] }
+  })
+}
+
+/**
+ * Shape a validated row for POST /api/leads/import
+ */
+export function toLeadImportPayload(row: LeadImportRowResult) {
+  const data = row.data
+  return {
+    row_number: row.rowNumber,
+    full_name: data?.name,
+    mobile_number: data?.phone,
+    email: data?.email,
+    budget_range: data?.budget_range,
+    timeline: data?.timeline,
+    authority: data?.authority,
+    need: data?.need,
+    // leads.source stays 'import'; the file's own source (open house, portal…) is kept as detail
+    source: 'import',
+    source_detail: data?.source,
+    notes: data?.notes,
+  }
+}
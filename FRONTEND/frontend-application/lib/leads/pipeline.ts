@@ -0,0 +1,95 @@
+/**
+ * Lead pipeline stages
+ * Tracks deals past the chatbot's BANT qualification: NEW → CONTACTED → QUALIFIED → CONVERTED / LOST
+ */
+
+import type { Lead } from '@/lib/validation/schemas'
+
+export type LeadStatus = NonNullable<Lead['status']>
+
+export interface LeadStatusHistoryEntry {
+  id: string
+  lead_id: string
+  from_status: LeadStatus | null
+  to_status: LeadStatus
+  changed_by: string | null
+  changed_by_name?: string | null
+  reason?: string | null
+  changed_at: string
+}
+
+export interface LeadStageConfig {
+  value: LeadStatus
+  label: string
+  description: string
+  badgeClassName: string
+  columnClassName: string
+}
+
+export const LEAD_STAGES: LeadStageConfig[] = [
+  {
+    value: 'new',
+    label: 'New',
+    description: 'Captured by the chatbot, not yet contacted',
+    badgeClassName: 'bg-slate-100 text-slate-700',
+    columnClassName: 'border-t-slate-400',
+  },
+  {
+    value: 'contacted',
+    label: 'Contacted',
+    description: 'A broker has reached out',
+    badgeClassName: 'bg-blue-100 text-blue-700',
+    columnClassName: 'border-t-blue-500',
+  },
+  {
+    value: 'qualified',
+    label: 'Qualified',
+    description: 'Confirmed as a serious buyer',
+    badgeClassName: 'bg-purple-100 text-purple-700',
+    columnClassName: 'border-t-purple-500',
+  },
+  {
+    value: 'converted',
+    label: 'Converted',
+    description: 'Deal closed',
+    badgeClassName: 'bg-green-100 text-green-700',
+    columnClassName: 'border-t-green-500',
+  },
+  {
+    value: 'lost',
+    label: 'Lost',
+    description: 'No longer pursuing',
+    badgeClassName: 'bg-red-100 text-red-700',
+    columnClassName: 'border-t-red-500',
+  },
+]
+
+const OPEN_STAGE_ORDER: LeadStatus[] = ['new', 'contacted', 'qualified', 'converted']
+
+export function getLeadStage(status?: string | null): LeadStageConfig {
+  const normalized = (status || 'new').toLowerCase()
+  return LEAD_STAGES.find((stage) => stage.value === normalized) || LEAD_STAGES[0]!
+}
+
+export function normalizeLeadStatus(status?: string | null): LeadStatus {
+  return getLeadStage(status).value
+}
+
+/**
+ * Leads only move forward through the open stages (skipping is allowed),
+ * can be marked lost from any open stage, and lost leads can be reopened.
+ * Converted is terminal.
+ */
+export function canTransitionLead(from: LeadStatus, to: LeadStatus): boolean {
+  if (from === to || from === 'converted') return false
+  if (from === 'lost') return to === 'new' || to === 'contacted'
+  if (to === 'lost') return true
+  return OPEN_STAGE_ORDER.indexOf(to) > OPEN_STAGE_ORDER.indexOf(from)
+}
+
+/**
+ * Moving a lead to lost or reopening it must be explained for the history timeline
+ */
+export function requiresTransitionReason(from: LeadStatus, to: LeadStatus): boolean {
+  return to === 'lost' || from === 'lost'
+}
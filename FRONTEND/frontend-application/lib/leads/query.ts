@@ -0,0 +1,139 @@
+/**
+ * Lead list query state
+ * Server-side pagination (limit/offset), sort and filter parameters for GET /api/leads,
+ * plus the mapping to and from the /leads URL so filtered views can be bookmarked.
+ */
+
+import type { z } from 'zod'
+import type { paginationSchema } from '@/lib/validation/schemas'
+
+// relevance only applies while searching
+export type LeadSortField = 'created_at' | 'full_name' | 'lead_score' | 'status' | 'relevance'
+export type SortOrder = 'asc' | 'desc'
+
+export interface LeadListParams {
+  page: number
+  pageSize: number
+  sortBy: LeadSortField
+  sortOrder: SortOrder
+  classification: string
+  agent: string
+  search: string
+  // Saved segment applied on top of the filters above
+  segment: string | null
+}
+
+export type LeadListFilters = Pick<LeadListParams, 'classification' | 'agent' | 'search'>
+
+export interface LeadListResponse {
+  // Searched lists add a `search` match to each lead (LeadSearchMatch in lib/leads/search.ts)
+  leads: any[]
+  pagination?: z.infer<typeof paginationSchema>
+  // Counts across every page matching the filters
+  stats?: {
+    qualified: number
+    non_qualified: number
+  }
+}
+
+export const LEAD_PAGE_SIZES = [25, 50, 100] as const
+
+// The pipeline board loads every lead matching the filters, this many per request
+export const LEAD_PIPELINE_BATCH_SIZE = 100
+
+export const LEAD_SORT_FIELDS: LeadSortField[] = ['created_at', 'full_name', 'lead_score', 'status', 'relevance']
+
+export const DEFAULT_LEAD_LIST_PARAMS: LeadListParams = {
+  page: 1,
+  pageSize: 25,
+  sortBy: 'created_at',
+  sortOrder: 'desc',
+  classification: 'all',
+  agent: 'all',
+  search: '',
+  segment: null,
+}
+
+/**
+ * Query string for GET /api/leads
+ */
+export function buildLeadListQuery(params: LeadListParams): string {
+  const sortBy = params.sortBy === 'relevance' && !params.search.trim() ? DEFAULT_LEAD_LIST_PARAMS.sortBy : params.sortBy
+  const query = new URLSearchParams({
+    limit: String(params.pageSize),
+    offset: String((params.page - 1) * params.pageSize),
+    sort_by: sortBy,
+    sort_order: params.sortOrder,
+  })
+
+  if (params.classification !== 'all') query.set('classification', params.classification)
+  if (params.agent !== 'all') query.set('agent_id', params.agent)
+  if (params.search.trim()) query.set('search', params.search.trim())
+  if (params.segment) query.set('segment_id', params.segment)
+
+  return query.toString()
+}
+
+/**
+ * Read list params from the page URL, falling back to defaults for missing or invalid values
+ */
+export function leadListParamsFromSearchParams(searchParams: URLSearchParams): LeadListParams {
+  const page = Number(searchParams.get('page'))
+  const pageSize = Number(searchParams.get('pageSize'))
+  const sortBy = searchParams.get('sort') as LeadSortField | null
+  const sortOrder = searchParams.get('order')
+
+  return {
+    page: Number.isInteger(page) && page > 0 ? page : DEFAULT_LEAD_LIST_PARAMS.page,
+    pageSize: (LEAD_PAGE_SIZES as readonly number[]).includes(pageSize) ? pageSize : DEFAULT_LEAD_LIST_PARAMS.pageSize,
+    sortBy: sortBy && LEAD_SORT_FIELDS.includes(sortBy) ? sortBy : DEFAULT_LEAD_LIST_PARAMS.sortBy,
+    sortOrder: sortOrder === 'asc' || sortOrder === 'desc' ? sortOrder : DEFAULT_LEAD_LIST_PARAMS.sortOrder,
+    classification: searchParams.get('classification') || DEFAULT_LEAD_LIST_PARAMS.classification,
+    agent: searchParams.get('agent') || DEFAULT_LEAD_LIST_PARAMS.agent,
+    search: searchParams.get('q') || DEFAULT_LEAD_LIST_PARAMS.search,
+    segment: searchParams.get('segment') || DEFAULT_LEAD_LIST_PARAMS.segment,
+  }
+}
+
+/**
+ * Write list params to a URL query string, leaving defaults out to keep links short
+ */
+export function leadListParamsToSearchParams(params: LeadListParams): URLSearchParams {
+  const searchParams = new URLSearchParams()
+  const defaults = DEFAULT_LEAD_LIST_PARAMS
+
+  if (params.page !== defaults.page) searchParams.set('page', String(params.page))
+  if (params.pageSize !== defaults.pageSize) searchParams.set('pageSize', String(params.pageSize))
+  if (params.sortBy !== defaults.sortBy) searchParams.set('sort', params.sortBy)
+  if (params.sortOrder !== defaults.sortOrder) searchParams.set('order', params.sortOrder)
+  if (params.classification !== defaults.classification) searchParams.set('classification', params.classification)
+  if (params.agent !== defaults.agent) searchParams.set('agent', params.agent)
+  if (params.search) searchParams.set('q', params.search)
+  if (params.segment) searchParams.set('segment', params.segment)
+
+  return searchParams
+}
+
+/**
+ * Searching sorts by relevance until the user picks another column; clearing the search goes back to newest first
+ */
+export function getSortForSearchChange(
+  params: Pick<LeadListParams, 'sortBy' | 'sortOrder' | 'search'>,
+  nextSearch: string
+): Pick<LeadListParams, 'sortBy' | 'sortOrder'> {
+  const wasSearching = !!params.search.trim()
+  const isSearching = !!nextSearch.trim()
+
+  if (isSearching && !wasSearching && params.sortBy === DEFAULT_LEAD_LIST_PARAMS.sortBy) {
+    return { sortBy: 'relevance', sortOrder: 'desc' }
+  }
+  if (!isSearching && params.sortBy === 'relevance') {
+    return { sortBy: DEFAULT_LEAD_LIST_PARAMS.sortBy, sortOrder: DEFAULT_LEAD_LIST_PARAMS.sortOrder }
+  }
+  return { sortBy: params.sortBy, sortOrder: params.sortOrder }
+}
+
+export function getLeadListTotalPages(response: LeadListResponse | undefined, pageSize: number): number {
+  const total = response?.pagination?.total ?? response?.leads.length ?? 0
+  return Math.max(1, Math.ceil(total / pageSize))
+}
@@ -0,0 +1,83 @@
+/**
+ * Lead search
+ * GET /api/leads?search=... and the admin organization leads search both rank leads with search_leads:
+ * typo-tolerant name matching, phone numbers compared without their +63 / 0 prefix, and full-text over
+ * the BANT notes. Each matching lead carries a `search` object with the fields it matched on and
+ * highlights marked the same way as conversation search snippets.
+ */
+
+import { splitHighlightedSnippet, type SnippetSegment } from '@/lib/conversations/search'
+
+export type LeadSearchField = 'full_name' | 'email' | 'mobile_number' | 'details'
+
+export const LEAD_SEARCH_FIELD_LABELS: Record<LeadSearchField, string> = {
+  full_name: 'Name',
+  email: 'Email',
+  mobile_number: 'Phone',
+  details: 'BANT notes',
+}
+
+export const MIN_LEAD_SEARCH_LENGTH = 2
+
+// search_leads' default page size
+export const DEFAULT_LEAD_SEARCH_LIMIT = 25
+
+export interface LeadSearchMatch {
+  rank: number
+  matched_fields: LeadSearchField[]
+  highlights: Partial<Record<Exclude<LeadSearchField, 'details'>, string>>
+}
+
+// GET /api/admin/organizations/:id/leads/search?q=...&limit=...
+export interface LeadSearchResult extends LeadSearchMatch {
+  lead_id: string
+}
+
+export interface LeadSearchResultSummary {
+  leadId: string
+  name: string
+  match: LeadSearchMatch
+}
+
+export function isLeadSearchQuery(query: string): boolean {
+  return query.trim().length >= MIN_LEAD_SEARCH_LENGTH
+}
+
+/**
+ * Same rule as normalize_lead_phone_query in migrate-lead-search.sql, used to tell the user which
+ * digits are being matched
+ */
+export function normalizePhoneQuery(query: string): string | null {
+  const digits = query
+    .replace(/\D/g, '')
+    .replace(/^(63|0)(?=9)/, '')
+    .slice(-10)
+  return digits.length >= 4 ? digits : null
+}
+
+export function getLeadSearchMatch(lead: { search?: LeadSearchMatch | null }): LeadSearchMatch | null {
+  return lead.search && Array.isArray(lead.search.matched_fields) ? lead.search : null
+}
+
+/**
+ * Best matches on the current page, highest rank first
+ */
+export function summarizeLeadSearchResults(
+  leads: { id?: string; full_name?: string; name?: string; search?: LeadSearchMatch | null }[],
+  limit = 5
+): LeadSearchResultSummary[] {
+  return leads
+    .flatMap((lead) => {
+      const match = getLeadSearchMatch(lead)
+      return match && lead.id ? [{ leadId: lead.id, name: lead.full_name || lead.name || 'Unknown Lead', match }] : []
+    })
+    .sort((a, b) => b.match.rank - a.match.rank)
+    .slice(0, limit)
+}
+
+/**
+ * Split a highlighted value, falling back to the plain value when the field didn't match
+ */
+export function getHighlightSegments(value: string, highlight?: string | null): SnippetSegment[] {
+  return highlight ? splitHighlightedSnippet(highlight) : [{ text: value, highlighted: false }]
+}
@@ -0,0 +1,104 @@
+/**
+ * Saved lead views ("smart segments")
+ * A segment is a named set of criteria stored server-side and evaluated by GET /api/leads?segment_id=…
+ * Organization-visible segments are shared with every member; pinning is per user.
+ */
+
+import {
+  leadSegmentCriteriaSchema,
+  type LeadScoreDimension,
+  type LeadSegment,
+  type LeadSegmentCriteria,
+} from '@/lib/validation/schemas'
+import type { LeadListFilters } from '@/lib/leads/query'
+
+export type LeadSegmentInput = Pick<LeadSegment, 'name' | 'description' | 'criteria' | 'visibility'>
+
+export const LEAD_SCORE_DIMENSIONS: { key: LeadScoreDimension; label: string; max: number }[] = [
+  { key: 'budget_score', label: 'Budget', max: 20 },
+  { key: 'authority_score', label: 'Authority', max: 25 },
+  { key: 'need_score', label: 'Need', max: 10 },
+  { key: 'timeline_score', label: 'Timeline', max: 35 },
+  { key: 'contact_score', label: 'Contact', max: 10 },
+]
+
+export const SEGMENT_SOURCES = [
+  { value: 'web', label: 'Website' },
+  { value: 'facebook', label: 'Facebook' },
+  { value: 'embed', label: 'Embedded Widget' },
+  { value: 'import', label: 'Imported' },
+]
+
+export const SEGMENT_CREATED_WITHIN = [
+  { hours: 24, label: 'Last 24 hours' },
+  { hours: 48, label: 'Last 48 hours' },
+  { hours: 24 * 7, label: 'Last 7 days' },
+  { hours: 24 * 30, label: 'Last 30 days' },
+]
+
+export const EMPTY_SEGMENT_CRITERIA: LeadSegmentCriteria = leadSegmentCriteriaSchema.parse({})
+
+/**
+ * Start a new segment from whatever is filtered on /leads right now, including the criteria of the
+ * segment being viewed; the list filters narrow it further
+ */
+export function segmentCriteriaFromFilters(
+  filters: LeadListFilters,
+  activeCriteria: LeadSegmentCriteria | null = null
+): LeadSegmentCriteria {
+  const base = activeCriteria ?? EMPTY_SEGMENT_CRITERIA
+
+  return {
+    ...base,
+    classifications:
+      filters.classification !== 'all'
+        ? leadSegmentCriteriaSchema.shape.classifications.parse([filters.classification])
+        : base.classifications,
+    assignment: filters.agent !== 'all' ? 'assigned' : base.assignment,
+    agentId: filters.agent !== 'all' ? filters.agent : base.agentId,
+    search: filters.search || base.search,
+  }
+}
+
+/**
+ * Short human-readable chips for a segment's criteria
+ */
+export function describeSegmentCriteria(
+  criteria: LeadSegmentCriteria,
+  agents: { id: string; name: string }[] = []
+): string[] {
+  const parts: string[] = []
+
+  if (criteria.classifications.length > 0) {
+    parts.push(criteria.classifications.map((c) => c.charAt(0).toUpperCase() + c.slice(1)).join(' / '))
+  }
+  if (criteria.minScore !== null || criteria.maxScore !== null) {
+    parts.push(`Score ${criteria.minScore ?? 0}–${criteria.maxScore ?? 100}`)
+  }
+  LEAD_SCORE_DIMENSIONS.forEach((dimension) => {
+    const min = criteria.minDimensionScores[dimension.key]
+    if (min !== undefined) parts.push(`${dimension.label} ≥ ${min}`)
+  })
+  if (criteria.sources.length > 0) {
+    parts.push(
+      criteria.sources.map((s) => SEGMENT_SOURCES.find((o) => o.value === s)?.label || s).join(' / ')
+    )
+  }
+  if (criteria.agentId) {
+    parts.push(`Agent: ${agents.find((a) => a.id === criteria.agentId)?.name || 'Unknown'}`)
+  } else if (criteria.assignment !== 'any') {
+    parts.push(criteria.assignment === 'assigned' ? 'Assigned' : 'Unassigned')
+  }
+  if (criteria.notified !== 'any') {
+    parts.push(criteria.notified === 'notified' ? 'Notified' : 'Not notified')
+  }
+  if (criteria.createdWithinHours) {
+    const preset = SEGMENT_CREATED_WITHIN.find((o) => o.hours === criteria.createdWithinHours)
+    parts.push(preset?.label || `Last ${criteria.createdWithinHours}h`)
+  }
+  if (criteria.search) {
+    parts.push(`"${criteria.search}"`)
+  }
+
+  return parts
+}
@@ -0,0 +1,190 @@
+/**
+ * Notification delivery schedule
+ * Quiet hours hold push and email delivery (optionally letting critical notifications through),
+ * digests batch low-priority email, and escalation rules alert org owners and admins about notifications
+ * nobody opened. The server applies all three; these helpers power the settings preview.
+ */
+
+import { addMinutes, startOfMinute } from 'date-fns'
+import type {
+  DigestSettings,
+  EscalationRule,
+  NotificationData,
+  NotificationPreferences,
+  QuietHoursSettings,
+} from '@/lib/services/notification-service'
+
+export type NotificationPriority = NotificationData['priority']
+
+export const NOTIFICATION_PRIORITIES: { value: NotificationPriority; label: string }[] = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' },
+  { value: 'critical', label: 'Critical' },
+]
+
+export const DIGEST_FREQUENCIES: { value: DigestSettings['frequency']; label: string }[] = [
+  { value: 'off', label: 'Off — send each email right away' },
+  { value: 'hourly', label: 'Hourly' },
+  { value: 'daily', label: 'Daily' },
+]
+
+export const ESCALATION_TARGETS: { value: EscalationRule['notify']; label: string }[] = [
+  { value: 'admins', label: 'Org owners and admins' },
+  { value: 'admins_and_moderators', label: 'Org owners, admins and moderators' },
+]
+
+const COMMON_TIMEZONES = [
+  'UTC',
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Los_Angeles',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Berlin',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Australia/Sydney',
+]
+
+const MINUTES_PER_DAY = 24 * 60
+
+export function getBrowserTimezone(): string {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  } catch {
+    return 'UTC'
+  }
+}
+
+export function getTimezones(): string[] {
+  const supportedValuesOf = (Intl as { supportedValuesOf?: (key: string) => string[] }).supportedValuesOf
+  return supportedValuesOf ? supportedValuesOf('timeZone') : COMMON_TIMEZONES
+}
+
+export const DEFAULT_DELIVERY_SETTINGS: Pick<NotificationPreferences, 'quietHours' | 'digest' | 'escalationRules'> = {
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    timezone: getBrowserTimezone(),
+    allowCritical: true,
+  },
+  digest: {
+    frequency: 'off',
+    dailyAt: '08:00',
+    maxPriority: 'low',
+    types: ['lead_created', 'system_announcement', 'marketing'],
+  },
+  escalationRules: [
+    {
+      id: 'unopened-priority-lead',
+      enabled: false,
+      type: 'lead_qualified',
+      minPriority: 'high',
+      unopenedMinutes: 10,
+      notify: 'admins',
+    },
+  ],
+}
+
+export function parseTime(value: string): number {
+  const [hours = 0, minutes = 0] = value.split(':').map(Number)
+  return (hours * 60 + minutes) % MINUTES_PER_DAY
+}
+
+/**
+ * Minutes since midnight in the given timezone
+ */
+export function getZonedMinutes(date: Date, timezone: string): number {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date)
+    const hour = Number(parts.find((part) => part.type === 'hour')?.value ?? 0)
+    const minute = Number(parts.find((part) => part.type === 'minute')?.value ?? 0)
+    return (hour * 60 + minute) % MINUTES_PER_DAY
+  } catch {
+    return date.getUTCHours() * 60 + date.getUTCMinutes()
+  }
+}
+
+export function formatInTimezone(date: Date, timezone: string): string {
+  try {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: 'numeric',
+      minute: '2-digit',
+    }).format(date)
+  } catch {
+    return date.toUTCString()
+  }
+}
+
+// Quiet hours may wrap past midnight (22:00 → 07:00)
+export function isInQuietHours(date: Date, quietHours: QuietHoursSettings): boolean {
+  if (!quietHours.enabled) return false
+
+  const start = parseTime(quietHours.start)
+  const end = parseTime(quietHours.end)
+  if (start === end) return false
+
+  const now = getZonedMinutes(date, quietHours.timezone)
+  return start < end ? now >= start && now < end : now >= start || now < end
+}
+
+export function getQuietHoursEnd(date: Date, quietHours: QuietHoursSettings): Date {
+  const minutesLeft = (parseTime(quietHours.end) - getZonedMinutes(date, quietHours.timezone) + MINUTES_PER_DAY) % MINUTES_PER_DAY
+  return addMinutes(startOfMinute(date), minutesLeft)
+}
+
+export function getQuietHoursLength(quietHours: QuietHoursSettings): number {
+  return (parseTime(quietHours.end) - parseTime(quietHours.start) + MINUTES_PER_DAY) % MINUTES_PER_DAY
+}
+
+/**
+ * Upcoming digest sends; sends that fall in quiet hours move to when quiet hours end
+ */
+export function getNextDigestTimes(
+  digest: DigestSettings,
+  quietHours: QuietHoursSettings,
+  from: Date = new Date(),
+  count = 3
+): Date[] {
+  if (digest.frequency === 'off') return []
+
+  const step = digest.frequency === 'hourly' ? 60 : MINUTES_PER_DAY
+  const now = getZonedMinutes(from, quietHours.timezone)
+  const firstOffset = digest.frequency === 'hourly'
+    ? 60 - (now % 60)
+    : (parseTime(digest.dailyAt) - now + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY
+
+  const times: Date[] = []
+  let candidate = addMinutes(startOfMinute(from), firstOffset)
+
+  // Hourly sends inside quiet hours collapse into one, so look further ahead than count
+  for (let i = 0; times.length < count && i < count + MINUTES_PER_DAY / 60; i++) {
+    const send = isInQuietHours(candidate, quietHours) ? getQuietHoursEnd(candidate, quietHours) : candidate
+    if (!times.some((time) => time.getTime() === send.getTime())) {
+      times.push(send)
+    }
+    candidate = addMinutes(candidate, step)
+  }
+
+  return times
+}
+
+export function describeEscalationRule(rule: EscalationRule, typeLabel: string): string {
+  const priority = NOTIFICATION_PRIORITIES.find((p) => p.value === rule.minPriority)?.label.toLowerCase() ?? rule.minPriority
+  const target = ESCALATION_TARGETS.find((t) => t.value === rule.notify)?.label.toLowerCase() ?? rule.notify
+  const minutes = rule.unopenedMinutes === 1 ? '1 minute' : `${rule.unopenedMinutes} minutes`
+
+  return `If a ${priority}-priority or higher "${typeLabel}" notification is not opened within ${minutes}, notify ${target}`
+}
@@ -3,6 +3,7 @@ import { api } from '@/lib/api'
 import { useAuth } from "@/contexts/simple-auth-context"
 import type { Agent } from '@/lib/validation/schemas'
 import { toast } from 'sonner'
+import { leadKeys } from './lead-queries'
 
 export const agentKeys = {
   all: ['agents'] as const,
@@ -10,6 +11,7 @@ export const agentKeys = {
   list: (filters?: any) => [...agentKeys.lists(), filters] as const,
   details: () => [...agentKeys.all, 'detail'] as const,
   detail: (id: string) => [...agentKeys.details(), id] as const,
+  leadScores: (id: string) => [...agentKeys.detail(id), 'lead-scores'] as const,
 }
 
 export function useAgents() {
@@ -43,4 +45,39 @@ export function useCreateAgent() {
       toast.error(`Failed to create agent: ${error.message}`)
     },
   })
+}
+
+export function useAgentLeadScores(agentId: string, options?: { enabled?: boolean }) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: agentKeys.leadScores(agentId),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      const response = await api.getAgentLeadScores(agentId, headers)
+      return response?.leads ?? []
+    },
+    enabled: !!agentId && (options?.enabled ?? true),
+    staleTime: 60 * 1000, // 1 minute
+  })
+}
+
+export function useRescoreAgentLeads() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async ({ agentId, leadIds }: { agentId: string; leadIds: string[] }) => {
+      const headers = await getAuthHeaders()
+      return api.rescoreAgentLeads(agentId, leadIds, headers)
+    },
+    onSuccess: (data, { agentId, leadIds }) => {
+      queryClient.invalidateQueries({ queryKey: agentKeys.leadScores(agentId) })
+      queryClient.invalidateQueries({ queryKey: leadKeys.all })
+      toast.success(`Re-scored ${data?.updated ?? leadIds.length} leads`)
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to re-score leads: ${error.message}`)
+    },
+  })
 }
\ No newline at end of file
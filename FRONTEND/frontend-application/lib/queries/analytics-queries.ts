@@ -0,0 +1,23 @@
+import { useQuery } from '@tanstack/react-query'
+import { api } from '@/lib/api'
+import { useAuth } from "@/contexts/simple-auth-context"
+import { buildFunnelQuery, type FunnelFilters } from '@/lib/analytics/funnel'
+
+export const analyticsKeys = {
+  all: ['analytics'] as const,
+  funnel: (params: string) => [...analyticsKeys.all, 'funnel', params] as const,
+}
+
+export function useLeadFunnel(filters: FunnelFilters) {
+  const { getAuthHeaders } = useAuth()
+  const params = buildFunnelQuery(filters)
+
+  return useQuery({
+    queryKey: analyticsKeys.funnel(params),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      return api.getLeadFunnel(params, headers)
+    },
+    staleTime: 2 * 60 * 1000, // 2 minutes
+  })
+}
@@ -0,0 +1,30 @@
+import { useQuery } from '@tanstack/react-query'
+import { api } from '@/lib/api'
+import { useAuth } from "@/contexts/simple-auth-context"
+import { getAuthorizationHeader } from '@/lib/auth/session-client'
+import { buildAuditLogQuery, type AuditLogParams, type AuditLogScope } from '@/lib/audit/log'
+
+export const auditKeys = {
+  all: ['audit-logs'] as const,
+  list: (scope: AuditLogScope, params: AuditLogParams) => [...auditKeys.all, scope, params] as const,
+}
+
+/**
+ * Audit log page for the signed-in organization, or across organizations for /admin
+ */
+export function useAuditLogs(scope: AuditLogScope, params: AuditLogParams) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: auditKeys.list(scope, params),
+    queryFn: async () => {
+      const query = buildAuditLogQuery(params)
+      if (scope === 'admin') {
+        return api.getAdminAuditLogs(query, await getAuthorizationHeader('admin'))
+      }
+      return api.getAuditLogs(query, await getAuthHeaders())
+    },
+    placeholderData: (previousData) => previousData,
+    staleTime: 30 * 1000, // 30 seconds
+  })
+}
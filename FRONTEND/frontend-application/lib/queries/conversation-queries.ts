@@ -2,6 +2,11 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { api } from '@/lib/api'
 import { useAuth } from "@/contexts/simple-auth-context"
 import type { Conversation, Message } from '@/lib/validation/schemas'
+import {
+  buildConversationSearchQuery,
+  isSearchableQuery,
+  type ConversationSearchFilters,
+} from '@/lib/conversations/search'
 import { toast } from 'sonner'
 
 export const conversationKeys = {
@@ -11,6 +16,7 @@ export const conversationKeys = {
   details: () => [...conversationKeys.all, 'detail'] as const,
   detail: (id: string) => [...conversationKeys.details(), id] as const,
   messages: (id: string) => [...conversationKeys.detail(id), 'messages'] as const,
+  search: (filters: ConversationSearchFilters) => [...conversationKeys.all, 'search', filters] as const,
 }
 
 export function useConversations() {
@@ -130,4 +136,19 @@ export function useSendMessage() {
       }
     },
   })
+}
+
+export function useConversationSearch(filters: ConversationSearchFilters) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: conversationKeys.search(filters),
+    queryFn: async () => {
+      const response = await api.searchConversations(buildConversationSearchQuery(filters), await getAuthHeaders())
+      return { results: response?.results || [], total: response?.total ?? 0 }
+    },
+    enabled: isSearchableQuery(filters.query),
+    placeholderData: (previousData) => previousData,
+    staleTime: 30 * 1000, // 30 seconds
+  })
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { api } from '@/lib/api'
+import { useAuth } from "@/contexts/simple-auth-context"
+import { getAuthorizationHeader } from '@/lib/auth/session-client'
+import type { FeatureRequest } from '@/lib/validation/schemas'
+import { buildFeatureRequestQuery, type FeatureRequestFilters } from '@/lib/feature-requests/portal'
+import { toast } from 'sonner'
+
+export const featureRequestKeys = {
+  all: ['feature-requests'] as const,
+  lists: () => [...featureRequestKeys.all, 'list'] as const,
+  list: (filters: FeatureRequestFilters) => [...featureRequestKeys.lists(), filters] as const,
+  detail: (id: string) => [...featureRequestKeys.all, 'detail', id] as const,
+  adminComments: (id: string) => [...featureRequestKeys.all, 'admin', 'comments', id] as const,
+}
+
+export function useFeatureRequests(filters: FeatureRequestFilters) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: featureRequestKeys.list(filters),
+    queryFn: async () => {
+      const response = await api.getFeatureRequests(buildFeatureRequestQuery(filters), await getAuthHeaders())
+      return response?.requests || []
+    },
+    placeholderData: (previousData) => previousData,
+    staleTime: 30 * 1000, // 30 seconds
+  })
+}
+
+export function useFeatureRequest(id: string | null) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: featureRequestKeys.detail(id || ''),
+    queryFn: async () => api.getFeatureRequest(id!, await getAuthHeaders()),
+    enabled: !!id,
+    staleTime: 15 * 1000, // 15 seconds
+  })
+}
+
+export function useCreateFeatureRequest() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async (data: { requested_feature: string; reason: string }) => {
+      return api.createFeatureRequest(data, await getAuthHeaders())
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: featureRequestKeys.lists() })
+    },
+  })
+}
+
+/**
+ * Vote or take a vote back; the count updates right away and rolls back if the request fails
+ */
+export function useFeatureRequestVote() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  const applyVote = (request: FeatureRequest, voted: boolean): FeatureRequest =>
+    request.has_voted === voted
+      ? request
+      : { ...request, has_voted: voted, upvotes: Math.max(0, request.upvotes + (voted ? 1 : -1)) }
+
+  return useMutation({
+    mutationFn: async ({ id, voted }: { id: string; voted: boolean }) => {
+      return api.setFeatureRequestVote(id, voted, await getAuthHeaders())
+    },
+    onMutate: async ({ id, voted }) => {
+      await queryClient.cancelQueries({ queryKey: featureRequestKeys.all })
+      const previousLists = queryClient.getQueriesData<FeatureRequest[]>({ queryKey: featureRequestKeys.lists() })
+      const previousDetail = queryClient.getQueryData(featureRequestKeys.detail(id))
+
+      queryClient.setQueriesData<FeatureRequest[]>({ queryKey: featureRequestKeys.lists() }, (requests) =>
+        requests?.map((request) => (request.id === id ? applyVote(request, voted) : request))
+      )
+      queryClient.setQueryData<Awaited<ReturnType<typeof api.getFeatureRequest>>>(
+        featureRequestKeys.detail(id),
+        (detail) => (detail ? { ...detail, request: applyVote(detail.request, voted) } : detail)
+      )
+
+      return { previousLists, previousDetail }
+    },
+    onError: (error: Error, { id }, context) => {
+      context?.previousLists.forEach(([key, data]) => queryClient.setQueryData(key, data))
+      queryClient.setQueryData(featureRequestKeys.detail(id), context?.previousDetail)
+      toast.error(`Failed to save your vote: ${error.message}`)
+    },
+    onSettled: (_data, _error, { id }) => {
+      queryClient.invalidateQueries({ queryKey: featureRequestKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: featureRequestKeys.detail(id) })
+    },
+  })
+}
+
+export function useAddFeatureRequestComment() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async ({ id, comment, parentId }: { id: string; comment: string; parentId?: string | null }) => {
+      return api.addFeatureRequestComment(id, { comment, parent_id: parentId }, await getAuthHeaders())
+    },
+    onSuccess: (_response, { id }) => {
+      queryClient.invalidateQueries({ queryKey: featureRequestKeys.detail(id) })
+      queryClient.invalidateQueries({ queryKey: featureRequestKeys.lists() })
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to post comment: ${error.message}`)
+    },
+  })
+}
+
+// Admin side
+
+export function useAdminFeatureRequestComments(id: string | null) {
+  return useQuery({
+    queryKey: featureRequestKeys.adminComments(id || ''),
+    queryFn: async () => {
+      const response = await api.getAdminFeatureRequestComments(id!, await getAuthorizationHeader('admin'))
+      return response?.comments || []
+    },
+    enabled: !!id,
+  })
+}
+
+export function useAddAdminFeatureRequestComment() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ id, comment, parentId }: { id: string; comment: string; parentId?: string | null }) => {
+      return api.addAdminFeatureRequestComment(id, { comment, parent_id: parentId }, await getAuthorizationHeader('admin'))
+    },
+    onSuccess: (_response, { id }) => {
+      queryClient.invalidateQueries({ queryKey: featureRequestKeys.adminComments(id) })
+      toast.success('Reply posted')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to post reply: ${error.message}`)
+    },
+  })
+}
+
+export function useMergeFeatureRequest() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ id, targetId }: { id: string; targetId: string }) => {
+      return api.mergeFeatureRequest(id, targetId, await getAuthorizationHeader('admin'))
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: featureRequestKeys.all })
+      toast.success('Feature requests merged')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to merge feature requests: ${error.message}`)
+    },
+  })
+}
@@ -1,7 +1,9 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { api } from '@/lib/api'
 import { useAuth } from "@/contexts/simple-auth-context"
-import type { HandoffPriority } from '@/lib/validation/schemas'
+import type { HandoffPriority, HandoffRoutingSettings, HandoffSlaPolicy } from '@/lib/validation/schemas'
+import { buildRoutingAuditQuery, type HandoffRoutingAuditParams, type HandoffRoutingProfileUpdate } from '@/lib/handoff/routing'
+import type { HandoffSlaReportParams } from '@/lib/handoff/sla'
 import { toast } from 'sonner'
 
 export const humanInLoopKeys = {
@@ -10,6 +12,13 @@ export const humanInLoopKeys = {
   priorityQueue: () => [...humanInLoopKeys.all, 'priorityQueue'] as const,
   priorityQueueWithParams: (params: any) => 
     [...humanInLoopKeys.priorityQueue(), params] as const,
+  routing: () => [...humanInLoopKeys.all, 'routing'] as const,
+  routingSettings: () => [...humanInLoopKeys.routing(), 'settings'] as const,
+  routingAgents: () => [...humanInLoopKeys.routing(), 'agents'] as const,
+  routingAudit: (params: HandoffRoutingAuditParams) => [...humanInLoopKeys.routing(), 'audit', params] as const,
+  sla: () => [...humanInLoopKeys.all, 'sla'] as const,
+  slaPolicy: () => [...humanInLoopKeys.sla(), 'policy'] as const,
+  slaReport: (params: HandoffSlaReportParams) => [...humanInLoopKeys.sla(), 'report', params] as const,
 }
 
 export function useHumanAgentDashboard() {
@@ -196,5 +205,134 @@ export function useSendHumanAgentMessage() {
   })
 }
 
+export function useHandoffRoutingSettings() {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: humanInLoopKeys.routingSettings(),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      const response = await api.getHandoffRoutingSettings(headers)
+      return response.settings
+    },
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  })
+}
+
+export function useUpdateHandoffRoutingSettings() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async (data: Partial<HandoffRoutingSettings>) => {
+      const headers = await getAuthHeaders()
+      return api.updateHandoffRoutingSettings(data, headers)
+    },
+    onSuccess: (response) => {
+      queryClient.setQueryData(humanInLoopKeys.routingSettings(), response.settings)
+      toast.success('Routing settings saved')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to save routing settings: ${error.message}`)
+    },
+  })
+}
+
+export function useHandoffRoutingAgents() {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: humanInLoopKeys.routingAgents(),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      const response = await api.getHandoffRoutingAgents(headers)
+      return response.agents || []
+    },
+    staleTime: 30 * 1000, // 30 seconds
+    refetchInterval: 60 * 1000, // Load and availability change as handoffs are routed
+  })
+}
+
+export function useUpdateHandoffRoutingAgent() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async ({ id, data }: { id: string; data: HandoffRoutingProfileUpdate }) => {
+      const headers = await getAuthHeaders()
+      return api.updateHandoffRoutingAgent(id, data, headers)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: humanInLoopKeys.routingAgents() })
+      toast.success('Agent routing profile updated')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to update agent: ${error.message}`)
+    },
+  })
+}
+
+export function useHandoffRoutingAudit(params: HandoffRoutingAuditParams) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: humanInLoopKeys.routingAudit(params),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      return api.getHandoffRoutingAudit(buildRoutingAuditQuery(params), headers)
+    },
+    placeholderData: (previousData) => previousData,
+    staleTime: 30 * 1000, // 30 seconds
+  })
+}
+
+export function useHandoffSlaPolicy() {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: humanInLoopKeys.slaPolicy(),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      const response = await api.getHandoffSlaPolicy(headers)
+      return response.policy
+    },
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  })
+}
+
+export function useUpdateHandoffSlaPolicy() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async (data: HandoffSlaPolicy) => {
+      const headers = await getAuthHeaders()
+      return api.updateHandoffSlaPolicy(data, headers)
+    },
+    onSuccess: (response) => {
+      queryClient.setQueryData(humanInLoopKeys.slaPolicy(), response.policy)
+      queryClient.invalidateQueries({ queryKey: humanInLoopKeys.sla() })
+      toast.success('SLA targets saved')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to save SLA targets: ${error.message}`)
+    },
+  })
+}
+
+export function useHandoffSlaReport(params: HandoffSlaReportParams) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: humanInLoopKeys.slaReport(params),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      return api.getHandoffSlaReport(new URLSearchParams({ ...params }).toString(), headers)
+    },
+    placeholderData: (previousData) => previousData,
+    staleTime: 60 * 1000, // 1 minute
+  })
+}
+
 // Import conversation keys for invalidation
 import { conversationKeys } from './conversation-queries'
\ No newline at end of file
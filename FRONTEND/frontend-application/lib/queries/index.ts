@@ -5,4 +5,11 @@ export * from './lead-queries'
 export * from './conversation-queries'
 export * from './dashboard-queries'
 export * from './organization-queries'
-export * from './human-in-loop-queries'
\ No newline at end of file
+export * from './human-in-loop-queries'
+export * from './analytics-queries'
+export * from './segment-queries'
+export * from './permission-queries'
+export * from './audit-queries'
+export * from './support-queries'
+export * from './feature-request-queries'
+export * from './issue-queries'
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { useMutation } from '@tanstack/react-query'
+import { api } from '@/lib/api'
+import { getAuthorizationHeader } from '@/lib/auth/session-client'
+import type { AdminIssueUpdate } from '@/lib/issues/triage'
+import { toast } from 'sonner'
+
+// The issues page keeps its own polled list, so these mutations leave refreshing it to the caller
+
+export function useUpdateIssue() {
+  return useMutation({
+    mutationFn: async ({ id, updates }: { id: string; updates: AdminIssueUpdate }) => {
+      return api.updateAdminIssue(id, updates, await getAuthorizationHeader('admin'))
+    },
+    onSuccess: (_response, { updates }) => {
+      if (updates.status === 'resolved') {
+        toast.success('Issue resolved, the reporter has been notified')
+      } else {
+        toast.success('Issue updated')
+      }
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to update issue: ${error.message}`)
+    },
+  })
+}
+
+/**
+ * Link one or more issues to the issue they duplicate
+ */
+export function useMergeIssues() {
+  return useMutation({
+    mutationFn: async ({ ids, targetId }: { ids: string[]; targetId: string }) => {
+      const headers = await getAuthorizationHeader('admin')
+      // Sequentially, so merges into the same target don't race each other
+      for (const id of ids) {
+        await api.mergeIssue(id, targetId, headers)
+      }
+    },
+    onSuccess: (_response, { ids }) => {
+      toast.success(ids.length === 1 ? 'Issue linked as a duplicate' : `${ids.length} issues linked as duplicates`)
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to link issues: ${error.message}`)
+    },
+  })
+}
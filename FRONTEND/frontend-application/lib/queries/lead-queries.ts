@@ -1,31 +1,95 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
 import { api } from '@/lib/api'
 import { useAuth } from "@/contexts/simple-auth-context"
 import type { Lead } from '@/lib/validation/schemas'
+import type { LeadStatus, LeadStatusHistoryEntry } from '@/lib/leads/pipeline'
+import { toLeadImportPayload, type LeadImportContacts, type LeadImportRowResult } from '@/lib/leads/import'
+import {
+  LEAD_PIPELINE_BATCH_SIZE,
+  buildLeadListQuery,
+  type LeadListParams,
+  type LeadListResponse,
+} from '@/lib/leads/query'
 import { toast } from 'sonner'
 
 export const leadKeys = {
   all: ['leads'] as const,
   lists: () => [...leadKeys.all, 'list'] as const,
-  list: (filters?: { assignedAgentId?: string }) => 
-    [...leadKeys.lists(), filters] as const,
+  list: (params: LeadListParams) =>
+    [...leadKeys.lists(), params] as const,
+  // Under lists() so optimistic stage moves and invalidations reach the board too
+  pipeline: (params: Omit<LeadListParams, 'page' | 'pageSize'>) =>
+    [...leadKeys.lists(), 'pipeline', params] as const,
   details: () => [...leadKeys.all, 'detail'] as const,
   detail: (id: string) => [...leadKeys.details(), id] as const,
+  statusHistory: (id: string) => [...leadKeys.detail(id), 'status-history'] as const,
+  importDuplicates: (contacts: LeadImportContacts) => [...leadKeys.all, 'import-duplicates', contacts] as const,
 }
 
-export function useLeads(filters?: { assignedAgentId?: string }) {
+export function useLeads(params: LeadListParams, options?: { enabled?: boolean }) {
   const { getAuthHeaders } = useAuth()
 
   return useQuery({
-    queryKey: leadKeys.list(filters),
+    queryKey: leadKeys.list(params),
     queryFn: async () => {
       const headers = await getAuthHeaders()
-      return api.getLeads(headers, filters)
+      const response = (await api.getLeads(headers, buildLeadListQuery(params))) as LeadListResponse | any[]
+      // Older backends return a bare array
+      return Array.isArray(response) ? { leads: response } : { ...response, leads: response?.leads || [] }
     },
+    placeholderData: keepPreviousData, // Keep the current page visible while the next one loads
+    enabled: options?.enabled ?? true,
     staleTime: 1 * 60 * 1000, // 1 minute
   })
 }
 
+// Every lead matching the filters, not just the current table page, so board columns and counts are complete
+export function usePipelineLeads(params: LeadListParams, options?: { enabled?: boolean }) {
+  const { getAuthHeaders } = useAuth()
+  const { page: _page, pageSize: _pageSize, ...filters } = params
+
+  return useQuery({
+    queryKey: leadKeys.pipeline(filters),
+    queryFn: async (): Promise<LeadListResponse> => {
+      const headers = await getAuthHeaders()
+      const leads: any[] = []
+
+      for (let page = 1; ; page++) {
+        const response = (await api.getLeads(
+          headers,
+          buildLeadListQuery({ ...filters, page, pageSize: LEAD_PIPELINE_BATCH_SIZE })
+        )) as LeadListResponse | any[]
+        // Older backends return every lead as a bare array
+        if (Array.isArray(response)) return { leads: response }
+
+        const batch = response?.leads || []
+        leads.push(...batch)
+        const total = response?.pagination?.total ?? leads.length
+        if (batch.length < LEAD_PIPELINE_BATCH_SIZE || leads.length >= total) {
+          return { ...response, leads }
+        }
+      }
+    },
+    enabled: options?.enabled ?? true,
+    staleTime: 1 * 60 * 1000, // 1 minute
+  })
+}
+
+export function useLead(leadId: string | null) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: leadKeys.detail(leadId || ''),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      const response = (await api.getLead(leadId!, headers)) as { lead?: any } | any
+      return response?.lead ?? response
+    },
+    enabled: !!leadId,
+    staleTime: 30 * 1000, // 30 seconds
+  })
+}
+
 export function useAssignAgentToLead() {
   const queryClient = useQueryClient()
   const { getAuthHeaders } = useAuth()
@@ -76,4 +140,94 @@ export function useAssignAgentToLead() {
       queryClient.invalidateQueries({ queryKey: leadKeys.lists() })
     },
   })
-}
\ No newline at end of file
+}
+
+export function useLeadStatusHistory(leadId: string | null) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: leadKeys.statusHistory(leadId || ''),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      const response = (await api.getLeadStatusHistory(leadId!, headers)) as
+        | { history?: LeadStatusHistoryEntry[] }
+        | LeadStatusHistoryEntry[]
+      return Array.isArray(response) ? response : response?.history || []
+    },
+    enabled: !!leadId,
+    staleTime: 30 * 1000, // 30 seconds
+  })
+}
+
+export function useUpdateLeadStatus() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async ({ leadId, status, reason }: { leadId: string; status: LeadStatus; reason?: string }) => {
+      const headers = await getAuthHeaders()
+      return api.updateLeadStatus(leadId, { status, reason }, headers)
+    },
+    // Optimistically move the lead on every cached page
+    onMutate: async ({ leadId, status }) => {
+      await queryClient.cancelQueries({ queryKey: leadKeys.lists() })
+
+      const previousLists = queryClient.getQueriesData<LeadListResponse>({ queryKey: leadKeys.lists() })
+
+      queryClient.setQueriesData<LeadListResponse>({ queryKey: leadKeys.lists() }, (old) => {
+        if (!old) return old
+        return {
+          ...old,
+          leads: old.leads.map((lead) => (lead.id === leadId ? { ...lead, status } : lead)),
+        }
+      })
+
+      return { previousLists }
+    },
+    onError: (error: Error, _, context) => {
+      context?.previousLists.forEach(([queryKey, data]) => {
+        queryClient.setQueryData(queryKey, data)
+      })
+      toast.error(`Failed to update lead stage: ${error.message}`)
+    },
+    onSettled: (_, __, variables) => {
+      queryClient.invalidateQueries({ queryKey: leadKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: leadKeys.detail(variables.leadId) })
+    },
+  })
+}
+
+// Existing leads sharing an email or phone with the file, across every page of the list
+export function useExistingLeadContacts(contacts: LeadImportContacts, options?: { enabled?: boolean }) {
+  const { getAuthHeaders } = useAuth()
+  const hasContacts = contacts.emails.length > 0 || contacts.phones.length > 0
+
+  return useQuery({
+    queryKey: leadKeys.importDuplicates(contacts),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      const response = await api.findExistingLeadContacts(contacts, headers)
+      return response?.leads || []
+    },
+    enabled: (options?.enabled ?? true) && hasContacts,
+    staleTime: 0,
+  })
+}
+
+export function useImportLeads() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async (rows: LeadImportRowResult[]) => {
+      const headers = await getAuthHeaders()
+      return api.importLeads(rows.map(toLeadImportPayload), headers)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: leadKeys.lists() })
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to import leads: ${error.message}`)
+    },
+  })
+}
@@ -0,0 +1,71 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { api } from '@/lib/api'
+import { useAuth } from "@/contexts/simple-auth-context"
+import type { OrganizationPermissions } from '@/lib/validation/schemas'
+import type { PermissionOverrides, RoleTemplates } from '@/lib/auth/permissions'
+import { updateSession } from '@/lib/auth/session-client'
+import { toast } from 'sonner'
+
+export const permissionKeys = {
+  all: ['organization-permissions'] as const,
+  organization: () => [...permissionKeys.all, 'organization'] as const,
+}
+
+export function useOrganizationPermissions(options?: { enabled?: boolean }) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: permissionKeys.organization(),
+    queryFn: async (): Promise<OrganizationPermissions> => {
+      const headers = await getAuthHeaders()
+      const response = await api.getOrganizationPermissions(headers)
+      return {
+        roleTemplates: response?.roleTemplates ?? {},
+        members: response?.members ?? [],
+      }
+    },
+    enabled: options?.enabled ?? true,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  })
+}
+
+export function useUpdateRoleTemplates() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async (roleTemplates: RoleTemplates) => {
+      const headers = await getAuthHeaders()
+      return api.updateRoleTemplates(roleTemplates, headers)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: permissionKeys.all })
+      // Route guards read permissions from the session cookie
+      updateSession('app').catch(() => undefined)
+      toast.success('Role permissions saved')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to save role permissions: ${error.message}`)
+    },
+  })
+}
+
+export function useUpdateMemberPermissions() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async ({ userId, overrides }: { userId: string; overrides: PermissionOverrides }) => {
+      const headers = await getAuthHeaders()
+      return api.updateMemberPermissions(userId, overrides, headers)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: permissionKeys.all })
+      updateSession('app').catch(() => undefined)
+      toast.success('Member permissions saved')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to save member permissions: ${error.message}`)
+    },
+  })
+}
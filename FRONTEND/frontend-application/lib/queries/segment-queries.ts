@@ -0,0 +1,119 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { api } from '@/lib/api'
+import { useAuth } from "@/contexts/simple-auth-context"
+import type { LeadSegment } from '@/lib/validation/schemas'
+import type { LeadSegmentInput } from '@/lib/leads/segments'
+import { leadKeys } from './lead-queries'
+import { toast } from 'sonner'
+
+export const segmentKeys = {
+  all: ['lead-segments'] as const,
+  lists: () => [...segmentKeys.all, 'list'] as const,
+}
+
+export function useLeadSegments(options?: { enabled?: boolean }) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: segmentKeys.lists(),
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      const response = await api.getLeadSegments(headers)
+      return response?.segments || []
+    },
+    enabled: options?.enabled ?? true,
+    staleTime: 30 * 1000, // 30 seconds
+    refetchInterval: 60 * 1000, // Keep pinned segment counts live
+  })
+}
+
+export function useCreateLeadSegment() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async (data: LeadSegmentInput) => {
+      const headers = await getAuthHeaders()
+      return api.createLeadSegment(data, headers)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: segmentKeys.lists() })
+      toast.success('Segment saved')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to save segment: ${error.message}`)
+    },
+  })
+}
+
+export function useUpdateLeadSegment() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async ({ id, data }: { id: string; data: Partial<LeadSegmentInput> }) => {
+      const headers = await getAuthHeaders()
+      return api.updateLeadSegment(id, data, headers)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: segmentKeys.lists() })
+      // Lists filtered by this segment need re-evaluating
+      queryClient.invalidateQueries({ queryKey: leadKeys.lists() })
+      toast.success('Segment updated')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to update segment: ${error.message}`)
+    },
+  })
+}
+
+export function useDeleteLeadSegment() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async (id: string) => {
+      const headers = await getAuthHeaders()
+      return api.deleteLeadSegment(id, headers)
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: segmentKeys.lists() })
+      toast.success('Segment deleted')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to delete segment: ${error.message}`)
+    },
+  })
+}
+
+export function usePinLeadSegment() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async ({ id, pinned }: { id: string; pinned: boolean }) => {
+      const headers = await getAuthHeaders()
+      return api.setLeadSegmentPinned(id, pinned, headers)
+    },
+    // Optimistic update so the sidebar reacts immediately
+    onMutate: async ({ id, pinned }) => {
+      await queryClient.cancelQueries({ queryKey: segmentKeys.lists() })
+      const previousSegments = queryClient.getQueryData<LeadSegment[]>(segmentKeys.lists())
+
+      queryClient.setQueryData<LeadSegment[]>(segmentKeys.lists(), (old) =>
+        old?.map((segment) => (segment.id === id ? { ...segment, pinned } : segment))
+      )
+
+      return { previousSegments }
+    },
+    onError: (error: Error, _, context) => {
+      if (context?.previousSegments) {
+        queryClient.setQueryData(segmentKeys.lists(), context.previousSegments)
+      }
+      toast.error(`Failed to pin segment: ${error.message}`)
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: segmentKeys.lists() })
+    },
+  })
+}
@@ -0,0 +1,255 @@
+import { useQuery, useMutation, useQueryClient, type QueryClient } from '@tanstack/react-query'
+import { api } from '@/lib/api'
+import { useAuth } from "@/contexts/simple-auth-context"
+import { getAuthorizationHeader } from '@/lib/auth/session-client'
+import type { SupportCannedReply, SupportMessage, SupportTicket } from '@/lib/validation/schemas'
+import {
+  buildSupportQueueQuery,
+  SUPPORT_STATUS_LABELS,
+  type SupportQueueFilters,
+  type SupportTicketCategory,
+  type SupportTicketPriority,
+  type SupportTicketStatus,
+} from '@/lib/support/tickets'
+import { toast } from 'sonner'
+
+// 'app' is the customer's own tickets, 'admin' the support queue
+export type SupportScope = 'app' | 'admin'
+
+export const supportKeys = {
+  all: ['support'] as const,
+  tickets: (scope: SupportScope) => [...supportKeys.all, scope, 'tickets'] as const,
+  ticketList: (scope: SupportScope, filters?: SupportQueueFilters) => [...supportKeys.tickets(scope), filters] as const,
+  messages: (scope: SupportScope, ticketId: string) => [...supportKeys.all, scope, 'messages', ticketId] as const,
+  agents: () => [...supportKeys.all, 'admin', 'agents'] as const,
+  cannedReplies: () => [...supportKeys.all, 'admin', 'canned-replies'] as const,
+}
+
+// Polling while the realtime channel is down
+const SUPPORT_FALLBACK_POLL_INTERVAL = 5 * 1000 // 5 seconds
+
+interface SupportThread {
+  ticket: SupportTicket
+  messages: SupportMessage[]
+}
+
+/**
+ * Add a message to a cached thread (from a send response or the realtime stream), ignoring
+ * ones already there
+ */
+export function appendSupportMessage(
+  queryClient: QueryClient,
+  scope: SupportScope,
+  message: SupportMessage
+) {
+  queryClient.setQueryData<SupportThread>(supportKeys.messages(scope, message.ticket_id), (thread) => {
+    if (!thread || thread.messages.some((existing) => existing.id === message.id)) return thread
+    return { ...thread, messages: [...thread.messages, message] }
+  })
+}
+
+// Customer side
+
+export function useMySupportTickets(options?: { enabled?: boolean }) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: supportKeys.ticketList('app'),
+    queryFn: async () => {
+      const response = await api.getSupportTickets(await getAuthHeaders())
+      return response?.tickets || []
+    },
+    enabled: options?.enabled ?? true,
+    staleTime: 30 * 1000, // 30 seconds
+  })
+}
+
+export function useSupportThread(ticketId: string | null, options?: { live?: boolean }) {
+  const { getAuthHeaders } = useAuth()
+
+  return useQuery({
+    queryKey: supportKeys.messages('app', ticketId || ''),
+    queryFn: async () => api.getSupportTicketMessages(ticketId!, await getAuthHeaders()),
+    enabled: !!ticketId,
+    refetchInterval: options?.live ? false : SUPPORT_FALLBACK_POLL_INTERVAL,
+  })
+}
+
+export function useCreateSupportTicket() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async (data: { subject: string; message: string; category: SupportTicketCategory }) => {
+      return api.createSupportTicket(data, await getAuthHeaders())
+    },
+    onSuccess: (response) => {
+      queryClient.setQueryData<SupportThread>(supportKeys.messages('app', response.ticket.id), response)
+      queryClient.invalidateQueries({ queryKey: supportKeys.tickets('app') })
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to start support chat: ${error.message}`)
+    },
+  })
+}
+
+export function useSendSupportMessage() {
+  const queryClient = useQueryClient()
+  const { getAuthHeaders } = useAuth()
+
+  return useMutation({
+    mutationFn: async ({ ticketId, message }: { ticketId: string; message: string }) => {
+      return api.sendSupportMessage(ticketId, message, await getAuthHeaders())
+    },
+    onSuccess: (response) => {
+      appendSupportMessage(queryClient, 'app', response.message)
+      // The reply may have reopened the ticket
+      queryClient.invalidateQueries({ queryKey: supportKeys.messages('app', response.message.ticket_id) })
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to send message: ${error.message}`)
+    },
+  })
+}
+
+// Admin side
+
+export function useSupportQueue(filters: SupportQueueFilters, options?: { live?: boolean }) {
+  return useQuery({
+    queryKey: supportKeys.ticketList('admin', filters),
+    queryFn: async () => {
+      const response = await api.getAdminSupportTickets(
+        buildSupportQueueQuery(filters),
+        await getAuthorizationHeader('admin')
+      )
+      return response?.tickets || []
+    },
+    placeholderData: (previousData) => previousData,
+    staleTime: 15 * 1000, // 15 seconds
+    refetchInterval: options?.live ? 60 * 1000 : SUPPORT_FALLBACK_POLL_INTERVAL,
+  })
+}
+
+export function useAdminSupportThread(ticketId: string | null, options?: { live?: boolean }) {
+  return useQuery({
+    queryKey: supportKeys.messages('admin', ticketId || ''),
+    queryFn: async () => api.getAdminSupportTicketMessages(ticketId!, await getAuthorizationHeader('admin')),
+    enabled: !!ticketId,
+    refetchInterval: options?.live ? false : SUPPORT_FALLBACK_POLL_INTERVAL,
+  })
+}
+
+export function useUpdateSupportTicket() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({
+      ticketId,
+      ...data
+    }: {
+      ticketId: string
+      status?: SupportTicketStatus
+      priority?: SupportTicketPriority
+      assigned_to?: string | null
+    }) => {
+      return api.updateAdminSupportTicket(ticketId, data, await getAuthorizationHeader('admin'))
+    },
+    onSuccess: (response, variables) => {
+      queryClient.setQueryData<SupportThread>(supportKeys.messages('admin', response.ticket.id), (thread) =>
+        thread ? { ...thread, ticket: response.ticket } : thread
+      )
+      queryClient.invalidateQueries({ queryKey: supportKeys.tickets('admin') })
+      queryClient.invalidateQueries({ queryKey: supportKeys.agents() })
+
+      if (variables.status) {
+        toast.success(`Ticket marked ${SUPPORT_STATUS_LABELS[variables.status].toLowerCase()}`)
+      } else if (variables.assigned_to !== undefined) {
+        toast.success(variables.assigned_to ? 'Ticket assigned' : 'Ticket unassigned')
+      } else {
+        toast.success('Ticket updated')
+      }
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to update ticket: ${error.message}`)
+    },
+  })
+}
+
+export function useSendAdminSupportMessage() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ ticketId, message, isInternal }: { ticketId: string; message: string; isInternal?: boolean }) => {
+      return api.sendAdminSupportMessage(
+        ticketId,
+        { message, is_internal: isInternal },
+        await getAuthorizationHeader('admin')
+      )
+    },
+    onSuccess: (response) => {
+      appendSupportMessage(queryClient, 'admin', response.message)
+      // Replies move the ticket to waiting_user and set first_response_at
+      queryClient.invalidateQueries({ queryKey: supportKeys.messages('admin', response.message.ticket_id) })
+      queryClient.invalidateQueries({ queryKey: supportKeys.tickets('admin') })
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to send reply: ${error.message}`)
+    },
+  })
+}
+
+export function useSupportAgents() {
+  return useQuery({
+    queryKey: supportKeys.agents(),
+    queryFn: async () => {
+      const response = await api.getSupportAgents(await getAuthorizationHeader('admin'))
+      return response?.agents || []
+    },
+    staleTime: 60 * 1000, // 1 minute
+  })
+}
+
+export function useSupportCannedReplies() {
+  return useQuery({
+    queryKey: supportKeys.cannedReplies(),
+    queryFn: async () => {
+      const response = await api.getSupportCannedReplies(await getAuthorizationHeader('admin'))
+      return response?.replies || []
+    },
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  })
+}
+
+export function useSaveSupportCannedReply() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (data: Pick<SupportCannedReply, 'title' | 'body' | 'category'> & { id?: string }) => {
+      return api.saveSupportCannedReply(data, await getAuthorizationHeader('admin'))
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: supportKeys.cannedReplies() })
+      toast.success('Canned reply saved')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to save canned reply: ${error.message}`)
+    },
+  })
+}
+
+export function useDeleteSupportCannedReply() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (id: string) => {
+      return api.deleteSupportCannedReply(id, await getAuthorizationHeader('admin'))
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: supportKeys.cannedReplies() })
+      toast.success('Canned reply deleted')
+    },
+    onError: (error: Error) => {
+      toast.error(`Failed to delete canned reply: ${error.message}`)
+    },
+  })
+}
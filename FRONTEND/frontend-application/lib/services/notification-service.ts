@@ -3,11 +3,12 @@
 import { toast } from 'sonner'
 import { config } from '@/lib/config'
 import { createClient } from '@supabase/supabase-js'
+import { DEFAULT_DELIVERY_SETTINGS } from '@/lib/notifications/schedule'
 
 export interface NotificationData {
   id: string
   userId: string
-  type: 'lead_created' | 'lead_qualified' | 'conversation_started' | 'system_announcement' | 'marketing'
+  type: 'lead_created' | 'lead_qualified' | 'conversation_started' | 'message_received' | 'handoff_requested' | 'handoff_escalated' | 'feature_request_updated' | 'issue_resolved' | 'system_announcement' | 'marketing'
   title: string
   message: string
   priority: 'low' | 'medium' | 'high' | 'urgent' | 'critical'
@@ -18,14 +19,47 @@ export interface NotificationData {
   updatedAt: string
 }
 
+export interface QuietHoursSettings {
+  enabled: boolean
+  start: string // HH:mm in the chosen timezone
+  end: string
+  timezone: string
+  allowCritical: boolean
+}
+
+export interface DigestSettings {
+  frequency: 'off' | 'hourly' | 'daily'
+  dailyAt: string // HH:mm, used by daily digests
+  // Email notifications up to this priority are batched instead of sent one by one
+  maxPriority: 'low' | 'medium'
+  types: NotificationData['type'][]
+}
+
+export interface EscalationRule {
+  id: string
+  enabled: boolean
+  type: NotificationData['type']
+  minPriority: NotificationData['priority']
+  unopenedMinutes: number
+  notify: 'admins' | 'admins_and_moderators'
+}
+
 export interface NotificationPreferences {
   email: boolean
   push: boolean
   inApp: boolean
+  quietHours: QuietHoursSettings
+  digest: DigestSettings
+  escalationRules: EscalationRule[]
   types: {
     lead_created: { email: boolean; push: boolean; inApp: boolean }
     lead_qualified: { email: boolean; push: boolean; inApp: boolean }
     conversation_started: { email: boolean; push: boolean; inApp: boolean }
+    message_received: { email: boolean; push: boolean; inApp: boolean }
+    handoff_requested: { email: boolean; push: boolean; inApp: boolean }
+    handoff_escalated: { email: boolean; push: boolean; inApp: boolean }
+    feature_request_updated: { email: boolean; push: boolean; inApp: boolean }
+    issue_resolved: { email: boolean; push: boolean; inApp: boolean }
     system_announcement: { email: boolean; push: boolean; inApp: boolean }
     marketing: { email: boolean; push: boolean; inApp: boolean }
   }
@@ -89,11 +123,40 @@ async function dedupedNotificationRequest<T>(
   return requestPromise;
 }
 
+/**
+ * Map a notifications row (snake_case) to the shape the UI uses; the REST API already returns camelCase
+ */
+function transformNotification(row: any): NotificationData {
+  return {
+    id: row.id,
+    userId: row.user_id ?? row.userId,
+    type: row.type,
+    title: row.title,
+    message: row.message,
+    priority: row.priority,
+    read: row.read || false,
+    readAt: row.read_at ?? row.readAt ?? null,
+    data: row.data,
+    createdAt: row.created_at ?? row.createdAt,
+    updatedAt: row.updated_at ?? row.updatedAt
+  }
+}
+
+const RECONNECT_BASE_DELAY = 1000 // 1 second
+const RECONNECT_MAX_DELAY = 30 * 1000 // 30 seconds
+const CATCH_UP_LIMIT = 50
+
 class NotificationService {
   private subscription: any = null
   private supabase: any = null
   private baseUrl: string
   private authHeaders: () => Promise<Record<string, string>>
+  private realtimeUserId: string | null = null
+  private realtimeRefCount = 0
+  private reconnectAttempts = 0
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null
+  // Newest notification this tab knows about; reconnects fetch everything after it
+  private lastSeen: { id: string; createdAt: string } | null = null
   private listeners: Map<string, Set<(data: any) => void>> = new Map()
 
   constructor() {
@@ -111,6 +174,11 @@ class NotificationService {
     this.authHeaders = authHeadersProvider
   }
 
+  // Shared Supabase client so other realtime features (presence) reuse this socket
+  getRealtimeClient() {
+    return this.supabase
+  }
+
   // Event listener management
   on(event: string, callback: (data: any) => void) {
     if (!this.listeners.has(event)) {
@@ -127,57 +195,74 @@ class NotificationService {
     this.listeners.get(event)?.forEach(callback => callback(data))
   }
 
-  // Supabase Realtime Connection Management
-  async startRealtimeConnection() {
-    if (this.subscription) {
-      this.supabase.removeChannel(this.subscription)
+  /**
+   * Share one realtime channel for the signed-in user; every caller gets a release function and the
+   * channel closes when the last one lets go
+   */
+  connectRealtime(userId: string): () => void {
+    this.realtimeRefCount++
+
+    if (this.realtimeUserId !== userId) {
+      this.realtimeUserId = userId
+      this.lastSeen = null
+      this.reconnectAttempts = 0
+      this.startRealtimeConnection()
+    } else if (!this.subscription && !this.reconnectTimer) {
+      this.startRealtimeConnection()
     }
 
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      this.realtimeRefCount = Math.max(0, this.realtimeRefCount - 1)
+      if (this.realtimeRefCount === 0) {
+        this.stopRealtimeConnection()
+      }
+    }
+  }
+
+  // Supabase Realtime Connection Management
+  private async startRealtimeConnection() {
+    const userId = this.realtimeUserId
+    if (!userId) return
+
+    this.clearReconnectTimer()
+    this.removeChannel()
+
     try {
-      console.log('[NotificationService] Starting Supabase Realtime connection')
-      
-      // Get current user from auth headers to filter notifications
+      console.log('[NotificationService] Starting Supabase Realtime connection for user:', userId)
+
+      // Realtime checks RLS against this JWT; no Supabase session is needed
       const headers = await this.authHeaders()
       const token = headers.Authorization?.replace('Bearer ', '')
-      
-      // Set Supabase auth token for RLS
       if (token) {
-        await this.supabase.auth.setSession({
-          access_token: token,
-          refresh_token: '' // We'll handle refresh separately
-        })
+        await this.supabase.realtime.setAuth(token)
       }
 
-      // Create realtime subscription for notifications
+      // Stopped or switched user while waiting for the token
+      if (this.realtimeUserId !== userId || this.realtimeRefCount === 0) return
+
       const channel = this.supabase
-        .channel('notifications')
+        .channel(`notifications:${userId}`)
         .on(
           'postgres_changes',
           {
             event: 'INSERT',
             schema: 'public',
-            table: 'notifications'
+            table: 'notifications',
+            filter: `user_id=eq.${userId}`
           },
           (payload: any) => {
             console.log('[NotificationService] New notification received via Realtime:', payload)
-            
+
             if (payload.new) {
-              const notification: NotificationData = {
-                id: payload.new.id,
-                userId: payload.new.user_id,
-                type: payload.new.type,
-                title: payload.new.title,
-                message: payload.new.message,
-                priority: payload.new.priority,
-                read: payload.new.read || false,
-                readAt: payload.new.read_at,
-                data: payload.new.data,
-                createdAt: payload.new.created_at,
-                updatedAt: payload.new.updated_at
+              const notification = transformNotification(payload.new)
+              if (this.isNewerThanLastSeen(notification)) {
+                this.rememberLastSeen([notification])
+                this.clearCache()
+                this.emit('notification', notification)
               }
-              
-              this.emit('notification', notification)
-              this.showToastNotification(notification)
             }
           }
         )
@@ -186,25 +271,27 @@ class NotificationService {
           {
             event: 'UPDATE',
             schema: 'public',
-            table: 'notifications'
+            table: 'notifications',
+            filter: `user_id=eq.${userId}`
           },
           (payload: any) => {
             console.log('[NotificationService] Notification updated via Realtime:', payload)
             this.emit('notification-updated', payload.new)
           }
         )
-        .subscribe((status) => {
+        .subscribe((status: string) => {
+          // Ignore late callbacks from a channel we already replaced or removed
+          if (this.subscription !== channel) return
+
           console.log('[NotificationService] Realtime subscription status:', status)
-          
+
           if (status === 'SUBSCRIBED') {
+            this.reconnectAttempts = 0
             this.emit('connected', { connected: true })
-          } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+            this.catchUp()
+          } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
             this.emit('error', { status })
-            
-            // Reconnect after delay
-            setTimeout(() => {
-              this.startRealtimeConnection()
-            }, 5000)
+            this.scheduleReconnect()
           }
         })
 
@@ -212,19 +299,107 @@ class NotificationService {
 
     } catch (error) {
       console.error('[NotificationService] Failed to start Realtime connection:', error)
-      throw error
+      this.scheduleReconnect()
     }
   }
 
-  stopRealtimeConnection() {
+  private stopRealtimeConnection() {
+    this.clearReconnectTimer()
+    this.reconnectAttempts = 0
+
     if (this.subscription) {
-      this.supabase.removeChannel(this.subscription)
-      this.subscription = null
+      this.removeChannel()
       this.emit('disconnected', { connected: false })
     }
   }
 
-  private showToastNotification(notification: NotificationData) {
+  private removeChannel() {
+    if (!this.subscription) return
+
+    const channel = this.subscription
+    this.subscription = null
+    this.supabase.removeChannel(channel)
+  }
+
+  // Exponential backoff with jitter so a backend restart doesn't get every tab reconnecting at once
+  private scheduleReconnect() {
+    if (this.reconnectTimer || this.realtimeRefCount === 0) return
+
+    this.removeChannel()
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts)
+    const jitter = Math.random() * delay * 0.3
+    this.reconnectAttempts++
+
+    console.log(`[NotificationService] Reconnecting in ${Math.round((delay + jitter) / 1000)}s (attempt ${this.reconnectAttempts})`)
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.startRealtimeConnection()
+    }, delay + jitter)
+  }
+
+  private clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+  }
+
+  /**
+   * Fetch whatever arrived while the channel was down (or between the first list load and subscribing)
+   */
+  private async catchUp() {
+    if (!this.lastSeen) return
+
+    try {
+      const headers = await this.authHeaders()
+      const searchParams = new URLSearchParams({
+        since_id: this.lastSeen.id,
+        limit: CATCH_UP_LIMIT.toString()
+      })
+
+      const response = await fetch(
+        `${this.baseUrl}/api/notifications?${searchParams}`,
+        { headers }
+      )
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch missed notifications: ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      const rows: any[] = Array.isArray(data.data) ? data.data : data.data?.notifications || data.notifications || []
+      const missed = rows
+        .map(transformNotification)
+        .filter(notification => this.isNewerThanLastSeen(notification))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+
+      if (missed.length > 0) {
+        console.log(`[NotificationService] Caught up on ${missed.length} missed notifications`)
+        this.rememberLastSeen(missed)
+        this.clearCache()
+        this.emit('missed-notifications', missed)
+      }
+    } catch (error) {
+      console.error('[NotificationService] Failed to catch up on notifications:', error)
+    }
+  }
+
+  private rememberLastSeen(notifications: NotificationData[]) {
+    notifications.forEach(notification => {
+      if (!notification.createdAt) return
+      if (!this.lastSeen || notification.createdAt > this.lastSeen.createdAt) {
+        this.lastSeen = { id: notification.id, createdAt: notification.createdAt }
+      }
+    })
+  }
+
+  private isNewerThanLastSeen(notification: NotificationData) {
+    if (!this.lastSeen) return true
+    return notification.id !== this.lastSeen.id && notification.createdAt >= this.lastSeen.createdAt
+  }
+
+  // Called by NotificationToaster for each live notification
+  showToastNotification(notification: NotificationData) {
     const priorityColors = {
       low: 'info',
       medium: 'info', 
@@ -306,6 +481,10 @@ class NotificationService {
         
         // Transform API response to match frontend expectations
         if (data.success && Array.isArray(data.data)) {
+          // Filtered lists can skip newer notifications, so only the full list moves the catch-up point
+          if (!params?.type && !params?.priority && params?.read === undefined) {
+            this.rememberLastSeen(data.data)
+          }
           return {
             notifications: data.data,
             unreadCount: data.unread_count || 0,
@@ -410,6 +589,9 @@ class NotificationService {
         email: backendPrefs.emailEnabled ?? true,
         push: backendPrefs.pushEnabled ?? false,
         inApp: backendPrefs.inAppEnabled ?? true,
+        quietHours: { ...DEFAULT_DELIVERY_SETTINGS.quietHours, ...backendPrefs.quietHours },
+        digest: { ...DEFAULT_DELIVERY_SETTINGS.digest, ...backendPrefs.digest },
+        escalationRules: backendPrefs.escalationRules ?? DEFAULT_DELIVERY_SETTINGS.escalationRules,
         types: {
           lead_created: {
             email: backendPrefs.preferences?.lead_created ?? true,
@@ -426,6 +608,31 @@ class NotificationService {
             push: backendPrefs.preferences?.conversation_started ?? true,
             inApp: backendPrefs.preferences?.conversation_started ?? true
           },
+          message_received: {
+            email: backendPrefs.preferences?.message_received ?? false,
+            push: backendPrefs.preferences?.message_received ?? true,
+            inApp: backendPrefs.preferences?.message_received ?? true
+          },
+          handoff_requested: {
+            email: backendPrefs.preferences?.handoff_requested ?? false,
+            push: backendPrefs.preferences?.handoff_requested ?? true,
+            inApp: backendPrefs.preferences?.handoff_requested ?? true
+          },
+          handoff_escalated: {
+            email: backendPrefs.preferences?.handoff_escalated ?? true,
+            push: backendPrefs.preferences?.handoff_escalated ?? true,
+            inApp: backendPrefs.preferences?.handoff_escalated ?? true
+          },
+          feature_request_updated: {
+            email: backendPrefs.preferences?.feature_request_updated ?? true,
+            push: backendPrefs.preferences?.feature_request_updated ?? false,
+            inApp: backendPrefs.preferences?.feature_request_updated ?? true
+          },
+          issue_resolved: {
+            email: backendPrefs.preferences?.issue_resolved ?? true,
+            push: backendPrefs.preferences?.issue_resolved ?? false,
+            inApp: backendPrefs.preferences?.issue_resolved ?? true
+          },
           system_announcement: {
             email: backendPrefs.preferences?.system_announcement ?? true,
             push: backendPrefs.preferences?.system_announcement ?? true,
@@ -455,10 +662,18 @@ class NotificationService {
         emailEnabled: preferences.email,
         pushEnabled: preferences.push,
         inAppEnabled: preferences.inApp,
+        quietHours: preferences.quietHours,
+        digest: preferences.digest,
+        escalationRules: preferences.escalationRules,
         preferences: {
           lead_created: preferences.types?.lead_created?.email || preferences.types?.lead_created?.push || preferences.types?.lead_created?.inApp || false,
           lead_qualified: preferences.types?.lead_qualified?.email || preferences.types?.lead_qualified?.push || preferences.types?.lead_qualified?.inApp || false,
           conversation_started: preferences.types?.conversation_started?.email || preferences.types?.conversation_started?.push || preferences.types?.conversation_started?.inApp || false,
+          message_received: preferences.types?.message_received?.email || preferences.types?.message_received?.push || preferences.types?.message_received?.inApp || false,
+          handoff_requested: preferences.types?.handoff_requested?.email || preferences.types?.handoff_requested?.push || preferences.types?.handoff_requested?.inApp || false,
+          handoff_escalated: preferences.types?.handoff_escalated?.email || preferences.types?.handoff_escalated?.push || preferences.types?.handoff_escalated?.inApp || false,
+          feature_request_updated: preferences.types?.feature_request_updated?.email || preferences.types?.feature_request_updated?.push || preferences.types?.feature_request_updated?.inApp || false,
+          issue_resolved: preferences.types?.issue_resolved?.email || preferences.types?.issue_resolved?.push || preferences.types?.issue_resolved?.inApp || false,
           system_announcement: preferences.types?.system_announcement?.email || preferences.types?.system_announcement?.push || preferences.types?.system_announcement?.inApp || false,
           marketing: preferences.types?.marketing?.email || preferences.types?.marketing?.push || preferences.types?.marketing?.inApp || false
         }
@@ -0,0 +1,222 @@
+'use client'
+
+import { config } from '@/lib/config'
+import { notificationService } from '@/lib/services/notification-service'
+import type { HumanAgentStatus } from '@/types/human-in-loop'
+
+export interface PresenceState {
+  user_id: string
+  name: string
+  status: HumanAgentStatus
+  idle: boolean
+  last_active_at: string
+}
+
+export interface PresenceStartOptions {
+  userId: string
+  name: string
+  organizationId: string
+  authHeaders: () => Promise<Record<string, string>>
+  // Only human agents broadcast their own presence; everyone else just listens
+  track: boolean
+}
+
+const HEARTBEAT_INTERVAL = 30 * 1000 // 30 seconds
+const IDLE_TIMEOUT = 5 * 60 * 1000 // 5 minutes without input
+const STATUS_STORAGE_KEY = 'presenceStatus'
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'] as const
+
+class PresenceService {
+  private channel: any = null
+  private baseUrl: string
+  private options: PresenceStartOptions | null = null
+  private manualStatus: HumanAgentStatus = 'available'
+  private idle = false
+  private lastActivityAt = Date.now()
+  private heartbeatTimer: ReturnType<typeof setInterval> | null = null
+  private idleTimer: ReturnType<typeof setInterval> | null = null
+  private listeners: Map<string, Set<(data: any) => void>> = new Map()
+
+  constructor() {
+    this.baseUrl = config.API_URL
+
+    if (typeof window !== 'undefined') {
+      const saved = localStorage.getItem(STATUS_STORAGE_KEY)
+      if (saved === 'available' || saved === 'busy' || saved === 'offline') {
+        this.manualStatus = saved
+      }
+    }
+  }
+
+  // Event listener management
+  on(event: string, callback: (data: any) => void) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set())
+    }
+    this.listeners.get(event)!.add(callback)
+  }
+
+  off(event: string, callback: (data: any) => void) {
+    this.listeners.get(event)?.delete(callback)
+  }
+
+  private emit(event: string, data: any) {
+    this.listeners.get(event)?.forEach(callback => callback(data))
+  }
+
+  async start(options: PresenceStartOptions) {
+    this.stop()
+    this.options = options
+
+    const supabase = notificationService.getRealtimeClient()
+    if (!supabase) return
+
+    console.log('[PresenceService] Joining presence channel for organization:', options.organizationId)
+
+    const channel = supabase.channel(`presence:${options.organizationId}`, {
+      config: { presence: { key: options.userId } },
+    })
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        this.emit('sync', this.getPresenceMap())
+      })
+      .subscribe(async (status: string) => {
+        if (status === 'SUBSCRIBED' && options.track) {
+          await this.track()
+        }
+      })
+
+    this.channel = channel
+
+    if (options.track) {
+      this.lastActivityAt = Date.now()
+      ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, this.handleActivity, { passive: true }))
+      document.addEventListener('visibilitychange', this.handleActivity)
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL)
+      this.idleTimer = setInterval(() => this.checkIdle(), 15 * 1000)
+      this.heartbeat()
+    }
+
+    this.emit('status', this.getOwnStatus())
+  }
+
+  stop() {
+    if (this.options?.track) {
+      // Tell the server right away instead of waiting for the heartbeat to go stale
+      this.sendHeartbeat('offline', true)
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, this.handleActivity))
+      document.removeEventListener('visibilitychange', this.handleActivity)
+    }
+
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer)
+    if (this.idleTimer) clearInterval(this.idleTimer)
+    this.heartbeatTimer = null
+    this.idleTimer = null
+
+    if (this.channel) {
+      notificationService.getRealtimeClient()?.removeChannel(this.channel)
+      this.channel = null
+    }
+
+    this.options = null
+  }
+
+  setStatus(status: HumanAgentStatus) {
+    this.manualStatus = status
+    localStorage.setItem(STATUS_STORAGE_KEY, status)
+    this.heartbeat()
+    this.emit('status', this.getOwnStatus())
+  }
+
+  getOwnStatus(): { status: HumanAgentStatus; manualStatus: HumanAgentStatus; idle: boolean } {
+    return { status: this.getEffectiveStatus(), manualStatus: this.manualStatus, idle: this.idle }
+  }
+
+  /**
+   * Latest presence per user; a user with several tabs open counts once, using the most recent tab
+   */
+  getPresenceMap(): Record<string, PresenceState> {
+    if (!this.channel) return {}
+
+    const state = this.channel.presenceState() as Record<string, PresenceState[]>
+    const presence: Record<string, PresenceState> = {}
+
+    Object.entries(state).forEach(([userId, metas]) => {
+      const latest = [...metas].sort((a, b) => b.last_active_at.localeCompare(a.last_active_at))[0]
+      if (latest) presence[userId] = latest
+    })
+
+    return presence
+  }
+
+  // An idle agent stays visible but stops receiving routed handoffs
+  private getEffectiveStatus(): HumanAgentStatus {
+    if (this.idle && this.manualStatus === 'available') return 'busy'
+    return this.manualStatus
+  }
+
+  private handleActivity = () => {
+    if (document.visibilityState === 'hidden') return
+
+    this.lastActivityAt = Date.now()
+    if (this.idle) {
+      this.idle = false
+      this.heartbeat()
+      this.emit('status', this.getOwnStatus())
+    }
+  }
+
+  private checkIdle() {
+    if (!this.idle && Date.now() - this.lastActivityAt > IDLE_TIMEOUT) {
+      console.log('[PresenceService] No activity, marking as idle')
+      this.idle = true
+      this.heartbeat()
+      this.emit('status', this.getOwnStatus())
+    }
+  }
+
+  private async track() {
+    if (!this.channel || !this.options?.track) return
+
+    const state: PresenceState = {
+      user_id: this.options.userId,
+      name: this.options.name,
+      status: this.getEffectiveStatus(),
+      idle: this.idle,
+      last_active_at: new Date(this.lastActivityAt).toISOString(),
+    }
+
+    try {
+      await this.channel.track(state)
+    } catch (error) {
+      console.error('[PresenceService] Failed to track presence:', error)
+    }
+  }
+
+  private heartbeat() {
+    this.track()
+    this.sendHeartbeat(this.getEffectiveStatus())
+  }
+
+  // Persist status (set_my_presence) so server-side routing and notifications can skip offline agents
+  private async sendHeartbeat(status: HumanAgentStatus, keepalive = false) {
+    if (!this.options) return
+
+    try {
+      const headers = await this.options.authHeaders()
+      await fetch(`${this.baseUrl}/api/human-agents/presence`, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status, idle: this.idle }),
+        keepalive,
+      })
+    } catch (error) {
+      console.error('[PresenceService] Heartbeat failed:', error)
+    }
+  }
+}
+
+// Export singleton instance
+export const presenceService = new PresenceService()
+export default presenceService
@@ -0,0 +1,197 @@
+'use client'
+
+import { config } from '@/lib/config'
+
+export type PushPermissionState = NotificationPermission | 'unsupported'
+
+const SERVICE_WORKER_URL = '/sw.js'
+
+/**
+ * Web Push keys arrive base64url encoded; PushManager.subscribe needs raw bytes
+ */
+function urlBase64ToUint8Array(base64String: string) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4)
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/')
+  const raw = window.atob(base64)
+  return Uint8Array.from(raw, char => char.charCodeAt(0))
+}
+
+class PushService {
+  private baseUrl: string
+  private authHeaders: (() => Promise<Record<string, string>>) | null = null
+  private vapidPublicKey: string
+  private listeningForRotation = false
+
+  constructor() {
+    this.baseUrl = config.API_URL
+    this.vapidPublicKey = config.VAPID_PUBLIC_KEY
+  }
+
+  // Initialize with auth headers function
+  initialize(authHeadersProvider: () => Promise<Record<string, string>>) {
+    this.authHeaders = authHeadersProvider
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined'
+      && 'serviceWorker' in navigator
+      && 'PushManager' in window
+      && 'Notification' in window
+  }
+
+  getPermission(): PushPermissionState {
+    return this.isSupported() ? Notification.permission : 'unsupported'
+  }
+
+  async getSubscription(): Promise<PushSubscription | null> {
+    if (!this.isSupported()) return null
+
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL)
+    return registration ? registration.pushManager.getSubscription() : null
+  }
+
+  /**
+   * Ask for notification permission and register this browser for push delivery
+   */
+  async subscribe(): Promise<PushSubscription> {
+    if (!this.isSupported()) {
+      throw new Error('Push notifications are not supported in this browser')
+    }
+
+    const permission = await Notification.requestPermission()
+    if (permission !== 'granted') {
+      throw new Error('Notification permission was not granted')
+    }
+
+    const registration = await this.registerServiceWorker()
+    const applicationServerKey = urlBase64ToUint8Array(await this.getVapidPublicKey())
+
+    let subscription = await registration.pushManager.getSubscription()
+    if (!subscription) {
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey,
+      })
+    }
+
+    await this.saveSubscription(subscription)
+    return subscription
+  }
+
+  async unsubscribe(): Promise<void> {
+    const subscription = await this.getSubscription()
+    if (!subscription) return
+
+    await this.deleteSubscription(subscription.endpoint)
+    await subscription.unsubscribe()
+  }
+
+  /**
+   * Re-send an existing subscription so the backend ties it to the user who is signed in now
+   */
+  async syncSubscription(): Promise<void> {
+    if (this.getPermission() !== 'granted') return
+
+    try {
+      await this.registerServiceWorker()
+      const subscription = await this.getSubscription()
+      if (subscription) {
+        await this.saveSubscription(subscription)
+      }
+    } catch (error) {
+      console.error('[PushService] Failed to sync push subscription:', error)
+    }
+  }
+
+  // Stop pushing to this browser once the user signs out; the subscription is kept for the next sign-in
+  async removeSubscription(): Promise<void> {
+    try {
+      const subscription = await this.getSubscription()
+      if (subscription) {
+        await this.deleteSubscription(subscription.endpoint)
+      }
+    } catch (error) {
+      console.error('[PushService] Failed to remove push subscription:', error)
+    }
+  }
+
+  async sendTestPush(): Promise<void> {
+    const headers = await this.getHeaders()
+    const response = await fetch(`${this.baseUrl}/api/push/test`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to send test push: ${response.statusText}`)
+    }
+  }
+
+  private async registerServiceWorker() {
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL)
+
+    if (!this.listeningForRotation) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'pushsubscriptionchange') {
+          this.subscribe().catch(error => console.error('[PushService] Failed to renew push subscription:', error))
+        }
+      })
+      this.listeningForRotation = true
+    }
+
+    return registration
+  }
+
+  private async getVapidPublicKey(): Promise<string> {
+    if (this.vapidPublicKey) return this.vapidPublicKey
+
+    const response = await fetch(`${this.baseUrl}/api/push/vapid-public-key`)
+    if (!response.ok) {
+      throw new Error(`Failed to fetch push key: ${response.statusText}`)
+    }
+
+    const data = await response.json()
+    this.vapidPublicKey = data.data?.publicKey || data.publicKey
+    return this.vapidPublicKey
+  }
+
+  private async saveSubscription(subscription: PushSubscription) {
+    const headers = await this.getHeaders()
+    const { endpoint, keys } = subscription.toJSON()
+
+    const response = await fetch(`${this.baseUrl}/api/push/subscriptions`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        endpoint,
+        keys,
+        user_agent: navigator.userAgent,
+      }),
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to save push subscription: ${response.statusText}`)
+    }
+  }
+
+  private async deleteSubscription(endpoint: string) {
+    const headers = await this.getHeaders()
+    const response = await fetch(`${this.baseUrl}/api/push/subscriptions`, {
+      method: 'DELETE',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ endpoint }),
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to delete push subscription: ${response.statusText}`)
+    }
+  }
+
+  private async getHeaders() {
+    return this.authHeaders ? this.authHeaders() : {}
+  }
+}
+
+// Export singleton instance
+export const pushService = new PushService()
+export default pushService
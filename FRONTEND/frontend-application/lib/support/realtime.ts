@@ -0,0 +1,27 @@
+/**
+ * Supabase Realtime clients for the support stream
+ * setAuth applies to every channel on a client, so the admin scope gets its own socket. Customers
+ * reuse the notification client, which is already authorized as the same app user.
+ */
+
+import { createClient, type SupabaseClient } from '@supabase/supabase-js'
+import { notificationService } from '@/lib/services/notification-service'
+import type { SessionScope } from '@/lib/auth/session'
+
+let adminClient: SupabaseClient | null = null
+
+export function getSupportRealtimeClient(scope: SessionScope): SupabaseClient | null {
+  if (scope === 'app') return notificationService.getRealtimeClient()
+
+  if (!adminClient) {
+    const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL
+    const supabaseKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+    if (!supabaseUrl || !supabaseKey) return null
+
+    adminClient = createClient(supabaseUrl, supabaseKey, {
+      // Admin sessions live in the cookie session, not in Supabase Auth
+      auth: { persistSession: false, autoRefreshToken: false },
+    })
+  }
+  return adminClient
+}
@@ -0,0 +1,129 @@
+/**
+ * Support tickets
+ * Customers open tickets from the in-app SupportChat widget; Leadify admins work them from
+ * /admin/support. Statuses and priorities match the support_tickets table. Who is waiting on whom is
+ * kept up to date by the database: a customer message moves the ticket to waiting_admin and a
+ * support reply moves it to waiting_user (see migrate-support-ticketing.sql).
+ */
+
+import type { SupportTicket } from '@/lib/validation/schemas'
+
+export const SUPPORT_TICKET_STATUSES = ['open', 'waiting_admin', 'waiting_user', 'resolved', 'closed'] as const
+
+export type SupportTicketStatus = (typeof SUPPORT_TICKET_STATUSES)[number]
+
+export const SUPPORT_TICKET_PRIORITIES = ['urgent', 'high', 'medium', 'low'] as const
+
+export type SupportTicketPriority = (typeof SUPPORT_TICKET_PRIORITIES)[number]
+
+export const SUPPORT_TICKET_CATEGORIES = ['technical', 'billing', 'general', 'feature_request', 'complaint'] as const
+
+export type SupportTicketCategory = (typeof SUPPORT_TICKET_CATEGORIES)[number]
+
+export const SUPPORT_STATUS_LABELS: Record<SupportTicketStatus, string> = {
+  open: 'Open',
+  waiting_admin: 'Waiting on Support',
+  waiting_user: 'Waiting on Customer',
+  resolved: 'Resolved',
+  closed: 'Closed',
+}
+
+export const SUPPORT_STATUS_COLORS: Record<SupportTicketStatus, string> = {
+  open: 'bg-gray-100 text-gray-700 border-gray-300',
+  waiting_admin: 'bg-yellow-100 text-yellow-700 border-yellow-300',
+  waiting_user: 'bg-blue-100 text-blue-700 border-blue-300',
+  resolved: 'bg-green-100 text-green-700 border-green-300',
+  closed: 'bg-gray-100 text-gray-500 border-gray-200',
+}
+
+export const SUPPORT_PRIORITY_LABELS: Record<SupportTicketPriority, string> = {
+  urgent: 'Urgent',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+}
+
+export const SUPPORT_PRIORITY_COLORS: Record<SupportTicketPriority, string> = {
+  urgent: 'bg-red-100 text-red-700 border-red-300',
+  high: 'bg-orange-100 text-orange-700 border-orange-300',
+  medium: 'bg-blue-100 text-blue-700 border-blue-300',
+  low: 'bg-gray-100 text-gray-600 border-gray-300',
+}
+
+export const SUPPORT_CATEGORY_LABELS: Record<SupportTicketCategory, string> = {
+  technical: 'Technical',
+  billing: 'Billing',
+  general: 'General',
+  feature_request: 'Feature Request',
+  complaint: 'Complaint',
+}
+
+// Status changes an admin can make by hand; support_ticket_status_allowed() enforces the same table
+export const SUPPORT_STATUS_TRANSITIONS: Record<SupportTicketStatus, SupportTicketStatus[]> = {
+  open: ['waiting_user', 'resolved', 'closed'],
+  waiting_admin: ['waiting_user', 'resolved', 'closed'],
+  waiting_user: ['waiting_admin', 'resolved', 'closed'],
+  resolved: ['open', 'closed'],
+  closed: ['open'],
+}
+
+/**
+ * Tickets the customer can still write in; a message on a resolved ticket reopens it, closed
+ * tickets are final and the widget starts a new one
+ */
+export function isSupportTicketActive(status: SupportTicketStatus): boolean {
+  return status !== 'closed'
+}
+
+// Tickets that need someone on the support team to act
+export function needsSupportAttention(ticket: Pick<SupportTicket, 'status'>): boolean {
+  return ticket.status === 'open' || ticket.status === 'waiting_admin'
+}
+
+export interface SupportQueueFilters {
+  status?: SupportTicketStatus | 'active' | 'all'
+  priority?: SupportTicketPriority | 'all'
+  // Dev member user id, 'me' for the signed-in admin, or 'unassigned'
+  assignee?: string
+  search?: string
+}
+
+export function buildSupportQueueQuery(filters: SupportQueueFilters): string {
+  const params = new URLSearchParams()
+  if (filters.status && filters.status !== 'all') params.set('status', filters.status)
+  if (filters.priority && filters.priority !== 'all') params.set('priority', filters.priority)
+  if (filters.assignee && filters.assignee !== 'all') params.set('assignee', filters.assignee)
+  if (filters.search?.trim()) params.set('search', filters.search.trim())
+  return params.toString()
+}
+
+export interface CannedReplyContext {
+  customerName?: string | null
+  customerEmail?: string | null
+  agentName?: string | null
+  ticketSubject?: string | null
+}
+
+const CANNED_REPLY_PLACEHOLDERS: Record<string, keyof CannedReplyContext> = {
+  customer_name: 'customerName',
+  customer_email: 'customerEmail',
+  agent_name: 'agentName',
+  ticket_subject: 'ticketSubject',
+}
+
+export const CANNED_REPLY_PLACEHOLDER_KEYS = Object.keys(CANNED_REPLY_PLACEHOLDERS)
+
+/**
+ * Fill {{customer_name}}-style placeholders; unknown or empty ones fall back to something that
+ * still reads naturally ("there" for a missing name)
+ */
+export function fillCannedReply(body: string, context: CannedReplyContext): string {
+  return body.replace(/\{\{\s*([a-z_]+)\s*\}\}/g, (match, placeholder: string) => {
+    const field = CANNED_REPLY_PLACEHOLDERS[placeholder]
+    if (!field) return match
+
+    const value = context[field]?.trim()
+    if (value) return field === 'customerName' ? value.split(' ')[0] ?? value : value
+    return field === 'customerName' ? 'there' : ''
+  })
+}
@@ -1,4 +1,11 @@
 import { z } from 'zod'
+import { ORGANIZATION_ROLES, PERMISSION_KEYS } from '@/lib/auth/permissions'
+import {
+  SUPPORT_TICKET_CATEGORIES,
+  SUPPORT_TICKET_PRIORITIES,
+  SUPPORT_TICKET_STATUSES,
+} from '@/lib/support/tickets'
+import { FEATURE_REQUEST_STATUSES } from '@/lib/feature-requests/portal'
 
 // Base schemas for common data types
 export const uuidSchema = z.string().uuid()
@@ -6,7 +13,8 @@ export const emailSchema = z.string().email()
 export const dateStringSchema = z.string().datetime()
 
 // User schemas
-export const userRoleSchema = z.enum(['admin', 'moderator', 'agent', 'human_agent'])
+// Organization roles; 'member' and 'human_agent' are older names for 'agent'
+export const userRoleSchema = z.enum([...ORGANIZATION_ROLES, 'member', 'human_agent'])
 
 export const userSchema = z.object({
   id: uuidSchema,
@@ -142,6 +150,24 @@ export const conversationSchema = z.object({
 })
 
 export type Conversation = z.infer<typeof conversationSchema>
+export type ConversationMode = z.infer<typeof conversationModeSchema>
+
+// One matching message from GET /api/conversations/search (see lib/conversations/search.ts)
+export const conversationSearchResultSchema = z.object({
+  message_id: uuidSchema,
+  conversation_id: uuidSchema,
+  sender: z.enum(['user', 'ai', 'human_agent']),
+  snippet: z.string(),
+  rank: z.number(),
+  sent_at: dateStringSchema,
+  agent_id: uuidSchema.nullable(),
+  agent_name: z.string().nullable(),
+  source: z.string().nullable(),
+  mode: conversationModeSchema,
+  lead_name: z.string().nullable(),
+})
+
+export type ConversationSearchResult = z.infer<typeof conversationSearchResultSchema>
 
 export const conversationsListResponseSchema = z.object({
   conversations: z.array(conversationSchema),
@@ -223,6 +249,122 @@ export const priorityQueueResponseSchema = z.object({
   pagination: paginationSchema,
 })
 
+// Handoff routing schemas (auto-assignment of handoffs to human agents)
+export const handoffRoutingStrategySchema = z.enum([
+  'manual',
+  'round_robin',
+  'least_loaded',
+  'skill_match',
+  'priority_first',
+])
+
+export const handoffRoutingSettingsSchema = z.object({
+  strategy: handoffRoutingStrategySchema.default('manual'),
+  respect_capacity: z.boolean().default(true),
+  only_available: z.boolean().default(true),
+  // Used by skill_match when no agent has the required specialty
+  fallback_strategy: z.enum(['round_robin', 'least_loaded', 'queue']).default('least_loaded'),
+  // Lets urgent handoffs go to an agent one over their limit instead of waiting in the queue
+  urgent_overflow: z.boolean().default(false),
+  updated_at: dateStringSchema.optional(),
+  updated_by_name: z.string().optional(),
+})
+
+export const humanAgentRoutingProfileSchema = z.object({
+  id: uuidSchema,
+  user_id: uuidSchema,
+  display_name: z.string(),
+  email: emailSchema.optional(),
+  is_active: z.boolean(),
+  status: humanAgentStatusSchema,
+  specialties: z.array(z.string()).default([]),
+  max_concurrent_conversations: z.number().int().min(1).max(50),
+  current_conversation_count: z.number().int().min(0),
+  last_assigned_at: dateStringSchema.nullable().optional(),
+})
+
+export const handoffRoutingExclusionSchema = z.enum([
+  'inactive',
+  'offline',
+  'busy',
+  'at_capacity',
+  'no_skill_match',
+])
+
+export const handoffRoutingCandidateSchema = z.object({
+  agent_id: uuidSchema,
+  display_name: z.string(),
+  eligible: z.boolean(),
+  excluded_reason: handoffRoutingExclusionSchema.nullable(),
+  current_conversation_count: z.number(),
+  max_concurrent_conversations: z.number(),
+  matched_specialties: z.array(z.string()).default([]),
+})
+
+export const handoffRoutingDecisionSchema = z.object({
+  id: uuidSchema,
+  handoff_id: uuidSchema,
+  conversation_id: uuidSchema,
+  lead_name: z.string().optional(),
+  priority: handoffPrioritySchema,
+  strategy: handoffRoutingStrategySchema,
+  outcome: z.enum(['assigned', 'queued', 'manual']),
+  assigned_to: uuidSchema.nullable(),
+  assigned_agent_name: z.string().nullable(),
+  reason: z.string(),
+  required_specialties: z.array(z.string()).default([]),
+  candidates: z.array(handoffRoutingCandidateSchema).default([]),
+  decided_at: dateStringSchema,
+})
+
+export type HandoffRoutingStrategy = z.infer<typeof handoffRoutingStrategySchema>
+export type HandoffRoutingSettings = z.infer<typeof handoffRoutingSettingsSchema>
+export type HumanAgentRoutingProfile = z.infer<typeof humanAgentRoutingProfileSchema>
+export type HandoffRoutingExclusion = z.infer<typeof handoffRoutingExclusionSchema>
+export type HandoffRoutingDecision = z.infer<typeof handoffRoutingDecisionSchema>
+
+// Handoff SLA schemas (targets are minutes from requested_at)
+export const handoffSlaTargetSchema = z.object({
+  accept_minutes: z.number().int().min(1),
+  resolve_minutes: z.number().int().min(1),
+})
+
+export const handoffSlaPolicySchema = z.object({
+  targets: z.object({
+    normal: handoffSlaTargetSchema.default({ accept_minutes: 30, resolve_minutes: 240 }),
+    high: handoffSlaTargetSchema.default({ accept_minutes: 10, resolve_minutes: 120 }),
+    urgent: handoffSlaTargetSchema.default({ accept_minutes: 5, resolve_minutes: 60 }),
+  }).default({}),
+  escalation: z.object({
+    enabled: z.boolean().default(true),
+    raise_priority: z.boolean().default(true),
+    notify_admins: z.boolean().default(true),
+    reassign: z.boolean().default(false),
+  }).default({}),
+  updated_at: dateStringSchema.optional(),
+})
+
+export const handoffSlaAgentReportSchema = z.object({
+  agent_id: uuidSchema,
+  display_name: z.string(),
+  handled: z.number(),
+  accepted_within_sla: z.number(),
+  resolved_within_sla: z.number(),
+  breaches: z.number(),
+  escalations: z.number(),
+  average_response_seconds: z.number().nullable(),
+  average_resolution_seconds: z.number().nullable(),
+})
+
+export const handoffSlaReportSchema = z.object({
+  agents: z.array(handoffSlaAgentReportSchema),
+  totals: handoffSlaAgentReportSchema.omit({ agent_id: true, display_name: true }),
+})
+
+export type HandoffSlaPolicy = z.infer<typeof handoffSlaPolicySchema>
+export type HandoffSlaAgentReport = z.infer<typeof handoffSlaAgentReportSchema>
+export type HandoffSlaReport = z.infer<typeof handoffSlaReportSchema>
+
 // Profile/Settings schemas
 export const profileResponseSchema = z.object({
   id: uuidSchema,
@@ -252,6 +394,144 @@ export const organizationMembersResponseSchema = z.object({
   members: z.array(organizationMemberSchema),
 })
 
+// Permission schemas (see lib/auth/permissions.ts for the catalog and role templates)
+export const permissionSchema = z.enum(PERMISSION_KEYS)
+
+export const permissionOverridesSchema = z.record(permissionSchema, z.boolean())
+
+export const roleTemplatesSchema = z.record(z.enum(ORGANIZATION_ROLES), z.array(permissionSchema))
+
+export const memberPermissionsSchema = z.object({
+  user_id: uuidSchema,
+  name: z.string().nullable().optional(),
+  email: z.string().nullable().optional(),
+  role: userRoleSchema,
+  overrides: permissionOverridesSchema.default({}),
+})
+
+export const organizationPermissionsSchema = z.object({
+  // Only customized roles are present; the rest use DEFAULT_ROLE_TEMPLATES
+  roleTemplates: roleTemplatesSchema.default({}),
+  members: z.array(memberPermissionsSchema).default([]),
+})
+
+export type MemberPermissions = z.infer<typeof memberPermissionsSchema>
+export type OrganizationPermissions = z.infer<typeof organizationPermissionsSchema>
+
+// Audit log schemas (entries are append-only; see lib/audit/log.ts for action labels)
+export const auditLogEntrySchema = z.object({
+  id: uuidSchema,
+  organization_id: uuidSchema.nullable(),
+  organization_name: z.string().nullable().optional(),
+  actor_id: uuidSchema.nullable(),
+  actor_email: z.string().nullable(),
+  actor_type: z.enum(['member', 'platform_admin', 'system']),
+  action: z.string(),
+  target_type: z.string(),
+  target_id: z.string().nullable(),
+  target_label: z.string().nullable(),
+  changes: z.object({
+    before: z.record(z.unknown()).default({}),
+    after: z.record(z.unknown()).default({}),
+  }).default({}),
+  ip_address: z.string().nullable(),
+  user_agent: z.string().nullable(),
+  created_at: dateStringSchema,
+})
+
+export type AuditLogEntry = z.infer<typeof auditLogEntrySchema>
+
+// Support ticket schemas (see lib/support/tickets.ts for statuses, transitions and labels)
+export const supportTicketSchema = z.object({
+  id: uuidSchema,
+  organization_id: uuidSchema.nullable(),
+  organization_name: z.string().nullable().optional(),
+  user_id: uuidSchema.nullable(),
+  user_email: z.string(),
+  user_name: z.string().nullable(),
+  subject: z.string().nullable(),
+  category: z.enum(SUPPORT_TICKET_CATEGORIES).nullable(),
+  status: z.enum(SUPPORT_TICKET_STATUSES),
+  priority: z.enum(SUPPORT_TICKET_PRIORITIES),
+  assigned_to: uuidSchema.nullable(),
+  assigned_to_name: z.string().nullable().optional(),
+  created_at: dateStringSchema,
+  updated_at: dateStringSchema,
+  last_message_at: dateStringSchema,
+  first_response_at: dateStringSchema.nullable(),
+  resolved_at: dateStringSchema.nullable(),
+  closed_at: dateStringSchema.nullable(),
+  total_messages: z.number().default(0),
+  // Customer messages since support last replied (admin queue only)
+  unread_count: z.number().optional(),
+})
+
+export const supportMessageSchema = z.object({
+  id: uuidSchema,
+  ticket_id: uuidSchema,
+  sender_type: z.enum(['user', 'admin', 'system']),
+  sender_id: uuidSchema.nullable(),
+  sender_name: z.string().nullable(),
+  message: z.string(),
+  // Internal notes are only returned to admins
+  is_internal: z.boolean().default(false),
+  created_at: dateStringSchema,
+})
+
+export const supportCannedReplySchema = z.object({
+  id: uuidSchema,
+  title: z.string(),
+  body: z.string(),
+  category: z.enum(SUPPORT_TICKET_CATEGORIES).nullable(),
+  created_by: uuidSchema.nullable(),
+  updated_at: dateStringSchema,
+})
+
+export const supportAgentSchema = z.object({
+  user_id: uuidSchema,
+  name: z.string().nullable(),
+  email: z.string(),
+  open_tickets: z.number().default(0),
+})
+
+export type SupportTicket = z.infer<typeof supportTicketSchema>
+export type SupportMessage = z.infer<typeof supportMessageSchema>
+export type SupportCannedReply = z.infer<typeof supportCannedReplySchema>
+export type SupportAgent = z.infer<typeof supportAgentSchema>
+
+// Feature request portal schemas (see lib/feature-requests/portal.ts); authors are shown by name only
+export const featureRequestSchema = z.object({
+  id: uuidSchema,
+  requested_feature: z.string(),
+  reason: z.string(),
+  status: z.enum(FEATURE_REQUEST_STATUSES),
+  author_name: z.string().nullable(),
+  upvotes: z.number().default(0),
+  comment_count: z.number().default(0),
+  has_voted: z.boolean().default(false),
+  is_own: z.boolean().default(false),
+  // Set when an admin merged this request into another one
+  merged_into_id: uuidSchema.nullable().default(null),
+  merged_into_title: z.string().nullable().optional(),
+  status_changed_at: dateStringSchema.nullable().optional(),
+  created_at: dateStringSchema,
+  updated_at: dateStringSchema,
+})
+
+export const featureRequestCommentSchema = z.object({
+  id: uuidSchema,
+  feature_request_id: uuidSchema,
+  parent_id: uuidSchema.nullable().default(null),
+  author_name: z.string().nullable(),
+  comment: z.string(),
+  is_admin_comment: z.boolean().default(false),
+  is_own: z.boolean().default(false),
+  created_at: dateStringSchema,
+})
+
+export type FeatureRequest = z.infer<typeof featureRequestSchema>
+export type FeatureRequestComment = z.infer<typeof featureRequestCommentSchema>
+
 // File upload response schema
 export const fileUploadResponseSchema = z.object({
   url: z.string().url(),
@@ -296,6 +576,25 @@ export const agentCreateRequestSchema = z.object({
 
 export const agentUpdateRequestSchema = agentCreateRequestSchema.partial()
 
+// BANT config version schemas (config holds the database format, see utils/bant-transform.ts)
+export const bantConfigVersionStatusSchema = z.enum(['draft', 'published', 'archived'])
+
+export const bantConfigVersionSchema = z.object({
+  id: uuidSchema,
+  agent_id: uuidSchema,
+  version: z.number().int().min(1),
+  status: bantConfigVersionStatusSchema,
+  config: z.record(z.unknown()),
+  notes: z.string().nullable().optional(),
+  based_on_version: z.number().int().nullable().optional(),
+  created_by_email: z.string().nullable().optional(),
+  created_at: dateStringSchema,
+  published_at: dateStringSchema.nullable().optional(),
+})
+
+export type BantConfigVersionStatus = z.infer<typeof bantConfigVersionStatusSchema>
+export type BantConfigVersion = z.infer<typeof bantConfigVersionSchema>
+
 // Lead management schemas
 export const leadCreateRequestSchema = z.object({
   name: z.string().min(1).max(100),
@@ -307,6 +606,63 @@ export const leadCreateRequestSchema = z.object({
 
 export const leadUpdateRequestSchema = leadCreateRequestSchema.partial()
 
+// Lead import schema (one mapped CSV row; id/org/timestamps are assigned by the server)
+export const leadImportRowSchema = leadSchema
+  .pick({ email: true, phone: true, source: true, notes: true })
+  .extend({
+    name: z.string().trim().min(1, 'Full name is required').max(100),
+    budget_range: z.string().optional(),
+    timeline: z.string().optional(),
+    authority: z.string().optional(),
+    need: z.string().optional(),
+  })
+  .refine((row) => !!row.email || !!row.phone, {
+    message: 'Email or mobile number is required',
+    path: ['email'],
+  })
+
+export type LeadImportRow = z.infer<typeof leadImportRowSchema>
+
+// Lead segment schemas (saved views evaluated server-side against GET /api/leads)
+export const leadScoreDimensionSchema = z.enum([
+  'budget_score',
+  'authority_score',
+  'need_score',
+  'timeline_score',
+  'contact_score',
+])
+
+export const leadSegmentCriteriaSchema = z.object({
+  classifications: z.array(z.enum(['priority', 'hot', 'warm', 'cold'])).default([]),
+  sources: z.array(z.string()).default([]),
+  minScore: z.number().min(0).max(100).nullable().default(null),
+  maxScore: z.number().min(0).max(100).nullable().default(null),
+  minDimensionScores: z.record(leadScoreDimensionSchema, z.number().min(0)).default({}),
+  assignment: z.enum(['any', 'assigned', 'unassigned']).default('any'),
+  agentId: uuidSchema.nullable().default(null),
+  notified: z.enum(['any', 'notified', 'not_notified']).default('any'),
+  createdWithinHours: z.number().positive().nullable().default(null),
+  search: z.string().default(''),
+})
+
+export const leadSegmentSchema = z.object({
+  id: uuidSchema,
+  name: z.string().min(1).max(60),
+  description: z.string().nullable().optional(),
+  criteria: leadSegmentCriteriaSchema,
+  visibility: z.enum(['private', 'organization']),
+  pinned: z.boolean().default(false),
+  created_by: uuidSchema,
+  created_by_name: z.string().optional(),
+  lead_count: z.number().optional(),
+  created_at: dateStringSchema,
+  updated_at: dateStringSchema.optional(),
+})
+
+export type LeadScoreDimension = z.infer<typeof leadScoreDimensionSchema>
+export type LeadSegmentCriteria = z.infer<typeof leadSegmentCriteriaSchema>
+export type LeadSegment = z.infer<typeof leadSegmentSchema>
+
 // Settings schemas
 export const settingsSchema = z.object({
   theme: z.enum(['light', 'dark', 'system']).optional(),
@@ -319,6 +675,55 @@ export const settingsSchema = z.object({
   timezone: z.string().optional(),
 })
 
+// Account security schemas (checked in the settings forms and again by /api/user/*)
+export const PASSWORD_MIN_LENGTH = 8
+// bcrypt ignores anything past 72 bytes
+export const PASSWORD_MAX_LENGTH = 72
+
+export const PASSWORD_RULES = [
+  { id: 'length', label: `At least ${PASSWORD_MIN_LENGTH} characters`, test: (value: string) => value.length >= PASSWORD_MIN_LENGTH },
+  { id: 'lowercase', label: 'A lowercase letter', test: (value: string) => /[a-z]/.test(value) },
+  { id: 'uppercase', label: 'An uppercase letter', test: (value: string) => /[A-Z]/.test(value) },
+  { id: 'number', label: 'A number', test: (value: string) => /[0-9]/.test(value) },
+  { id: 'symbol', label: 'A symbol', test: (value: string) => /[^A-Za-z0-9]/.test(value) },
+] as const
+
+export const passwordSchema = z
+  .string()
+  .max(PASSWORD_MAX_LENGTH, `Password must be at most ${PASSWORD_MAX_LENGTH} characters`)
+  .superRefine((value, ctx) => {
+    const missing = PASSWORD_RULES.filter((rule) => !rule.test(value))
+    if (missing.length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Password needs: ${missing.map((rule) => rule.label.toLowerCase()).join(', ')}`,
+      })
+    }
+  })
+
+export const changePasswordRequestSchema = z
+  .object({
+    currentPassword: z.string().min(1, 'Current password is required'),
+    newPassword: passwordSchema,
+  })
+  .refine((data) => data.newPassword !== data.currentPassword, {
+    message: 'New password must be different from the current password',
+    path: ['newPassword'],
+  })
+
+export const changeEmailRequestSchema = z.object({
+  newEmail: emailSchema.transform((value) => value.trim().toLowerCase()),
+  currentPassword: z.string().min(1, 'Current password is required'),
+})
+
+export const confirmEmailRequestSchema = z.object({
+  tokenHash: z.string().min(1),
+})
+
+export type PasswordRule = (typeof PASSWORD_RULES)[number]
+export type ChangePasswordRequest = z.infer<typeof changePasswordRequestSchema>
+export type ChangeEmailRequest = z.infer<typeof changeEmailRequestSchema>
+
 // Error response schemas
 export const validationErrorSchema = z.object({
   field: z.string(),
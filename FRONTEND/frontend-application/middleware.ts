@@ -1,19 +1,111 @@
 import { NextResponse } from 'next/server';
 import type { NextRequest } from 'next/server';
+import { SESSION_COOKIES, verifySessionUser, type SessionScope, type SessionUser } from '@/lib/auth/session';
+import { isPermission, resolvePermissions, type Permission } from '@/lib/auth/permissions';
+import { buildEmbedFrameAncestors } from '@/lib/embed';
+import { getAgentEmbedConfig } from '@/lib/embed-server';
+
+interface RouteGuard {
+  prefix: string;
+  scope: SessionScope;
+  loginPath: string;
+  // Roles allowed in (admin scope) or permission required (app scope); omit both to allow any signed-in user
+  roles?: string[];
+  permission?: Permission;
+  // Where signed-in users without access are sent
+  fallbackPath?: string;
+}
+
+// Most specific prefixes first; the first match wins
+const ROUTE_GUARDS: RouteGuard[] = [
+  { prefix: '/handoff/routing', scope: 'app', loginPath: '/auth', permission: 'handoff.manage', fallbackPath: '/handoff' },
+  { prefix: '/handoff/sla', scope: 'app', loginPath: '/auth', permission: 'handoff.manage', fallbackPath: '/handoff' },
+  { prefix: '/handoff', scope: 'app', loginPath: '/auth' },
+  { prefix: '/dashboard', scope: 'app', loginPath: '/auth' },
+  { prefix: '/leads', scope: 'app', loginPath: '/auth' },
+  { prefix: '/organization/audit', scope: 'app', loginPath: '/auth', permission: 'audit.view', fallbackPath: '/organization' },
+  { prefix: '/admin', scope: 'admin', loginPath: '/admin/login', roles: ['developer', 'admin', 'super_admin'] },
+];
+
+const PUBLIC_PATHS = ['/admin/login'];
+
+function matchesPrefix(pathname: string, prefix: string) {
+  return pathname === prefix || pathname.startsWith(`${prefix}/`);
+}
+
+// Cookies written before permissions were added only carry the role
+function getUserPermissions(user: SessionUser): Set<Permission> {
+  if (Array.isArray(user.permissions)) return new Set(user.permissions.filter(isPermission));
+  return resolvePermissions(user.role);
+}
+
+function redirectTo(request: NextRequest, pathname: string, returnTo?: string) {
+  const url = request.nextUrl.clone();
+  url.pathname = pathname;
+  url.search = '';
+  if (returnTo) url.searchParams.set('redirect', returnTo);
+  return NextResponse.redirect(url);
+}
+
+/**
+ * Cookie check only; the API still validates the token on every request. An expired access
+ * cookie is fine as long as the refresh cookie is there, since the page refreshes it on load.
+ */
+async function checkRouteGuard(request: NextRequest, guard: RouteGuard) {
+  const { pathname, search } = request.nextUrl;
+  const cookies = SESSION_COOKIES[guard.scope];
+  const hasTokens = request.cookies.has(cookies.access) || request.cookies.has(cookies.refresh);
+  const user = await verifySessionUser(request.cookies.get(cookies.user)?.value);
+
+  if (!hasTokens || !user) {
+    return redirectTo(request, guard.loginPath, `${pathname}${search}`);
+  }
+
+  const allowed =
+    (!guard.roles || guard.roles.includes(user.role)) &&
+    (!guard.permission || getUserPermissions(user).has(guard.permission));
+  if (!allowed) {
+    console.log(`[Auth Middleware] ${user.role} denied for ${pathname}`);
+    return redirectTo(request, guard.fallbackPath ?? guard.loginPath);
+  }
+
+  return null;
+}
+
+/**
+ * The widget iframe may only be framed by the agent's allowed domains. Unknown or disabled
+ * agents get `frame-ancestors 'none'`; the page itself returns a 404 for them.
+ */
+async function withEmbedFramePolicy(request: NextRequest, response: NextResponse) {
+  const agentId = request.nextUrl.pathname.split('/')[2];
+  const config = agentId ? await getAgentEmbedConfig(agentId) : null;
+  const policy = config?.enabled ? buildEmbedFrameAncestors(config.allowedDomains) : "frame-ancestors 'none'";
+  response.headers.set('Content-Security-Policy', policy);
+  return response;
+}
 
 export async function middleware(request: NextRequest) {
+  const start = Date.now();
+  const { pathname } = request.nextUrl;
+
   // Skip middleware for static assets and Next.js internals
   if (
-    request.nextUrl.pathname.startsWith('/_next') ||
-    request.nextUrl.pathname.includes('/api/_next') ||
-    request.nextUrl.pathname.includes('.') // static files with extensions
+    pathname.startsWith('/_next') ||
+    pathname.includes('/api/_next') ||
+    pathname.includes('.') // static files with extensions
   ) {
     return NextResponse.next();
   }
 
-  // Simple logging middleware - auth handled by Supabase client-side
-  console.log(`[Auth Middleware] ${request.method} ${request.nextUrl.pathname} - 0ms`);
-  return NextResponse.next();
+  const guard = PUBLIC_PATHS.includes(pathname)
+    ? undefined
+    : ROUTE_GUARDS.find((candidate) => matchesPrefix(pathname, candidate.prefix));
+  const blocked = guard ? await checkRouteGuard(request, guard) : null;
+
+  console.log(`[Auth Middleware] ${request.method} ${pathname} - ${Date.now() - start}ms`);
+  if (blocked) return blocked;
+
+  return matchesPrefix(pathname, '/embed') ? withEmbedFramePolicy(request, NextResponse.next()) : NextResponse.next();
 }
 
 export const config = {
@@ -26,6 +118,6 @@ export const config = {
      * - favicon.ico (favicon file)
      * - public files
      */
-    '/((?!api|_next/static|_next/image|favicon.ico|.*\\..*).*)' 
+    '/((?!api|_next/static|_next/image|favicon.ico|.*\\..*).*)'
   ],
-};
\ No newline at end of file
+};
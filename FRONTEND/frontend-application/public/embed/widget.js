@@ -0,0 +1,107 @@
+/**
+ * Leadify embeddable chat widget loader
+ *
+ * Usage:
+ *   <script async src="https://app.example.com/embed/widget.js" data-agent-id="AGENT_ID"></script>
+ *
+ * Optional attributes: data-color, data-position (bottom-right | bottom-left),
+ * data-title, data-greeting, data-launcher-text
+ *
+ * Framework-free on purpose: it runs on third-party listing sites, so it only
+ * injects a launcher button and an iframe pointing at /embed/{agentId}.
+ */
+(function () {
+  'use strict'
+
+  if (window.LeadifyWidget) return
+
+  var script = document.currentScript || (function () {
+    var scripts = document.querySelectorAll('script[data-agent-id]')
+    return scripts[scripts.length - 1]
+  })()
+
+  if (!script) return
+
+  var agentId = script.getAttribute('data-agent-id')
+  if (!agentId) {
+    console.warn('[Leadify Widget] Missing data-agent-id attribute')
+    return
+  }
+
+  var origin = new URL(script.src, window.location.href).origin
+  var color = /^#[0-9a-fA-F]{6}$/.test(script.getAttribute('data-color') || '')
+    ? script.getAttribute('data-color')
+    : '#2563eb'
+  var position = script.getAttribute('data-position') === 'bottom-left' ? 'left' : 'right'
+  var launcherText = script.getAttribute('data-launcher-text') || 'Chat'
+
+  var params = new URLSearchParams({
+    color: color,
+    position: position === 'left' ? 'bottom-left' : 'bottom-right',
+    parent: window.location.origin,
+  })
+  ;['title', 'greeting', 'launcher-text'].forEach(function (name) {
+    var value = script.getAttribute('data-' + name)
+    if (value) params.set(name === 'launcher-text' ? 'launcherText' : name, value)
+  })
+
+  var isOpen = false
+
+  var container = document.createElement('div')
+  container.setAttribute('data-leadify-widget', agentId)
+  container.style.cssText =
+    'position:fixed;bottom:20px;' + position + ':20px;z-index:2147483000;' +
+    'display:flex;flex-direction:column;align-items:' + (position === 'left' ? 'flex-start' : 'flex-end') + ';gap:12px;'
+
+  var frame = document.createElement('iframe')
+  frame.title = 'Chat'
+  frame.src = origin + '/embed/' + encodeURIComponent(agentId) + '?' + params.toString()
+  frame.setAttribute('allow', 'clipboard-write')
+  frame.style.cssText =
+    'display:none;width:370px;height:560px;max-width:calc(100vw - 40px);max-height:calc(100vh - 100px);' +
+    'border:0;border-radius:16px;background:#fff;box-shadow:0 12px 40px rgba(0,0,0,0.18);'
+
+  var launcher = document.createElement('button')
+  launcher.type = 'button'
+  launcher.setAttribute('aria-label', launcherText)
+  launcher.textContent = launcherText
+  launcher.style.cssText =
+    'border:0;cursor:pointer;border-radius:9999px;padding:14px 22px;font:600 15px/1 system-ui,-apple-system,sans-serif;' +
+    'color:#fff;background:' + color + ';box-shadow:0 6px 20px rgba(0,0,0,0.2);'
+
+  function setOpen(open) {
+    isOpen = open
+    frame.style.display = open ? 'block' : 'none'
+    launcher.textContent = open ? '×' : launcherText
+    launcher.setAttribute('aria-expanded', String(open))
+  }
+
+  launcher.addEventListener('click', function () {
+    setOpen(!isOpen)
+  })
+
+  // The iframe asks to close itself from its header button
+  window.addEventListener('message', function (event) {
+    if (event.origin !== origin || !event.data || event.data.source !== 'leadify-embed') return
+    if (event.data.type === 'close') setOpen(false)
+  })
+
+  container.appendChild(frame)
+  container.appendChild(launcher)
+
+  function mount() {
+    document.body.appendChild(container)
+  }
+
+  if (document.body) {
+    mount()
+  } else {
+    document.addEventListener('DOMContentLoaded', mount)
+  }
+
+  window.LeadifyWidget = {
+    open: function () { setOpen(true) },
+    close: function () { setOpen(false) },
+    toggle: function () { setOpen(!isOpen) },
+  }
+})()
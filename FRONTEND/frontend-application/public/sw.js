@@ -0,0 +1,66 @@
+/**
+ * Leadify service worker
+ * Shows Web Push notifications sent by the backend, even when no dashboard tab is open
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('push', (event) => {
+  let payload = {}
+  try {
+    payload = event.data ? event.data.json() : {}
+  } catch {
+    payload = { title: 'Leadify', body: event.data ? event.data.text() : '' }
+  }
+
+  const title = payload.title || 'Leadify'
+  const options = {
+    body: payload.body || payload.message || '',
+    icon: payload.icon || '/placeholder-logo.png',
+    badge: '/placeholder-logo.png',
+    // Same tag replaces the previous notification instead of stacking (e.g. several messages in one conversation)
+    tag: payload.tag || payload.type,
+    renotify: !!payload.tag,
+    requireInteraction: payload.priority === 'urgent' || payload.priority === 'critical',
+    timestamp: payload.createdAt ? new Date(payload.createdAt).getTime() : Date.now(),
+    data: {
+      url: payload.url || '/',
+      notificationId: payload.notificationId || null,
+      type: payload.type || null,
+    },
+  }
+
+  event.waitUntil(self.registration.showNotification(title, options))
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      // Reuse an open dashboard tab when there is one
+      const existing = windows.find((client) => client.url.startsWith(self.location.origin))
+      if (existing) {
+        return existing.focus().then((client) => client.navigate ? client.navigate(url) : client)
+      }
+      return self.clients.openWindow(url)
+    })
+  )
+})
+
+// The browser rotated the subscription; open tabs re-register it with the backend
+self.addEventListener('pushsubscriptionchange', (event) => {
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      windows.forEach((client) => client.postMessage({ type: 'pushsubscriptionchange' }))
+    })
+  )
+})
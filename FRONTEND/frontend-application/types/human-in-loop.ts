@@ -202,7 +202,7 @@ export interface SortOptions {
 export interface HandoffStats {
   totalHandoffs: number
   pendingHandoffs: number
-  averageResponseTime: number
+  averageResponseTime: number // seconds from request to acceptance, see getAverageResponseTime
   handoffsByPriority: Record<HandoffPriority, number>
   handoffsByAgent: Record<string, number>
 }
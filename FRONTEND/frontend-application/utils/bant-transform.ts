@@ -7,6 +7,27 @@ export interface CriteriaItem {
   type?: string
   points: number
   label: string
+  // Budget criteria
+  section?: string
+  amount?: number
+  // Timeline criteria
+  timeAmount?: number
+  timeUnit?: string
+}
+
+export type QualificationFrameworkId = 'bant' | 'champ' | 'meddic' | 'custom'
+
+// One scored dimension of a qualification framework (see lib/bant/frameworks.ts)
+export interface QualificationDimension {
+  key: string
+  label: string
+  description?: string
+  weight: number
+  criteria: CriteriaItem[]
+  // Which criteria editor to show; defaults to free-text labels
+  criteria_type?: 'budget' | 'authority' | 'timeline' | 'text'
+  // Default question the agent asks to qualify this dimension
+  question?: string
 }
 
 export interface BANTConfig {
@@ -27,6 +48,9 @@ export interface BANTConfig {
   warm_threshold: number
   bant_scoring_prompt?: string
   criteria_prompt?: string  // AI-generated scoring criteria prompt
+  // Configs saved before frameworks existed have neither; they are plain BANT
+  framework?: QualificationFrameworkId
+  dimensions?: QualificationDimension[]
   created_at?: string
   updated_at?: string
 }
@@ -48,7 +72,11 @@ export function transformDBToFrontend(dbConfig: any): BANTConfig {
     timeline_criteria: ensureCriteriaArray(dbConfig.timeline_criteria?.ranges || dbConfig.timeline_criteria),
     
     // Contact criteria - ensure it's an array
-    contact_criteria: ensureCriteriaArray(dbConfig.contact_criteria)
+    contact_criteria: ensureCriteriaArray(dbConfig.contact_criteria),
+
+    dimensions: Array.isArray(dbConfig.dimensions)
+      ? dbConfig.dimensions.map((dimension: any) => ({ ...dimension, criteria: ensureCriteriaArray(dimension.criteria) }))
+      : undefined
   }
 }
 
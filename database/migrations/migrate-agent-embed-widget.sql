@@ -0,0 +1,52 @@
+-- Embeddable Website Chat Widget Migration
+-- Run this in Supabase SQL Editor to store per-agent widget settings
+
+-- Per-agent widget toggle and theming (color, position, title, greeting, allowed domains)
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS embed_enabled BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS embed_settings JSONB DEFAULT '{}'::jsonb;
+
+-- Anonymous widget visitors are identified by a browser-scoped visitor id
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS visitor_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_visitor
+ON conversations(agent_id, visitor_id)
+WHERE visitor_id IS NOT NULL;
+
+-- Leads captured through the widget keep the 'embed' source
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'leads_source_check'
+    ) THEN
+        ALTER TABLE leads DROP CONSTRAINT leads_source_check;
+    END IF;
+
+    ALTER TABLE leads
+    ADD CONSTRAINT leads_source_check
+    -- Keeps 'import' (migrate-lead-import.sql) so re-running this doesn't reject imported leads
+    CHECK (source IN ('website', 'web', 'facebook', 'embed', 'import'));
+END $$;
+
+-- What the public /embed page needs to decide whether, and where, the widget may render.
+-- Widget visitors are anonymous, so this exposes nothing beyond the toggle and allowed domains.
+CREATE OR REPLACE FUNCTION get_agent_embed_config(embed_agent_id UUID)
+RETURNS TABLE (embed_enabled BOOLEAN, allowed_domains JSONB) AS $$
+    SELECT COALESCE(a.embed_enabled, false),
+           COALESCE(a.embed_settings -> 'allowedDomains', '[]'::jsonb)
+    FROM agents a
+    WHERE a.id = embed_agent_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_agent_embed_config(UUID) TO anon, authenticated;
+
+-- Verify the columns were added
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'agents'
+AND column_name IN ('embed_enabled', 'embed_settings')
+ORDER BY column_name;
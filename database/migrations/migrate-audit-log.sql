@@ -0,0 +1,310 @@
+-- Audit Log Migration
+-- Run this in Supabase SQL Editor to record an append-only trail of organization and admin actions
+-- Requires migrate-organization-permissions.sql (member_has_permission)
+--
+-- Changes are captured by triggers, so they are logged however they reach the database.
+-- The actor, IP and user agent come from the PostgREST request; a backend writing with the
+-- service role should pass them on first:
+--   SELECT set_config('app.audit_actor', '<user id>', true),
+--          set_config('app.audit_ip', '<client ip>', true),
+--          set_config('app.audit_user_agent', '<user agent>', true);
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- NULL for platform-level actions that don't belong to an organization. Not a foreign key:
+    -- entries can't be updated, and the trail is kept after the organization is deleted.
+    organization_id UUID,
+    actor_id UUID,
+    actor_email TEXT,
+    actor_type TEXT NOT NULL DEFAULT 'member'
+        CHECK (actor_type IN ('member', 'platform_admin', 'system')),
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id TEXT,
+    target_label TEXT,
+    -- {"before": {...}, "after": {...}} with only the fields that changed
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Earlier installs created organization_id with ON DELETE SET NULL, which the append-only
+-- trigger rejects, so organizations could not be deleted
+ALTER TABLE audit_logs DROP CONSTRAINT IF EXISTS audit_logs_organization_id_fkey;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_org_created ON audit_logs(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs(target_type, target_id);
+
+-- Append-only: entries can't be edited or removed, even by the service role
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only
+    BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs;
+CREATE TRIGGER audit_logs_no_truncate
+    BEFORE TRUNCATE ON audit_logs
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Top-level keys whose values differ, as {"before": {...}, "after": {...}}
+CREATE OR REPLACE FUNCTION audit_jsonb_diff(old_row JSONB, new_row JSONB, ignored TEXT[] DEFAULT ARRAY['updated_at'])
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'before', COALESCE(jsonb_object_agg(key, old_row -> key) FILTER (WHERE old_row ? key), '{}'::jsonb),
+        'after', COALESCE(jsonb_object_agg(key, new_row -> key) FILTER (WHERE new_row ? key), '{}'::jsonb)
+    )
+    FROM (
+        SELECT key FROM jsonb_object_keys(COALESCE(old_row, '{}'::jsonb)) AS key
+        UNION
+        SELECT key FROM jsonb_object_keys(COALESCE(new_row, '{}'::jsonb)) AS key
+    ) keys
+    WHERE NOT key = ANY(ignored)
+    AND (old_row -> key) IS DISTINCT FROM (new_row -> key);
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION record_audit_event(
+    org_id UUID,
+    event_action TEXT,
+    event_target_type TEXT,
+    event_target_id TEXT,
+    event_target_label TEXT DEFAULT NULL,
+    event_changes JSONB DEFAULT '{}'::jsonb
+)
+RETURNS UUID AS $$
+DECLARE
+    headers JSONB;
+    event_actor UUID;
+    event_actor_email TEXT;
+    event_actor_type TEXT := 'member';
+    event_ip TEXT;
+    event_user_agent TEXT;
+    log_id UUID;
+BEGIN
+    BEGIN
+        headers := NULLIF(current_setting('request.headers', true), '')::jsonb;
+    EXCEPTION WHEN others THEN
+        headers := NULL;
+    END;
+
+    BEGIN
+        event_actor := COALESCE(NULLIF(current_setting('app.audit_actor', true), '')::uuid, auth.uid());
+    EXCEPTION WHEN others THEN
+        event_actor := auth.uid();
+    END;
+
+    event_ip := COALESCE(
+        NULLIF(current_setting('app.audit_ip', true), ''),
+        NULLIF(trim(split_part(headers ->> 'x-forwarded-for', ',', 1)), ''),
+        headers ->> 'x-real-ip'
+    );
+    event_user_agent := COALESCE(NULLIF(current_setting('app.audit_user_agent', true), ''), headers ->> 'user-agent');
+
+    IF event_actor IS NULL THEN
+        event_actor_type := 'system';
+    ELSE
+        SELECT email INTO event_actor_email FROM auth.users WHERE id = event_actor;
+
+        IF EXISTS (
+            SELECT 1 FROM dev_members
+            WHERE dev_members.user_id = event_actor
+            AND dev_members.is_active = true
+        ) AND NOT EXISTS (
+            SELECT 1 FROM organization_members
+            WHERE organization_members.organization_id = org_id
+            AND organization_members.user_id = event_actor
+        ) THEN
+            event_actor_type := 'platform_admin';
+        END IF;
+    END IF;
+
+    INSERT INTO audit_logs (
+        organization_id, actor_id, actor_email, actor_type, action,
+        target_type, target_id, target_label, changes, ip_address, user_agent
+    )
+    VALUES (
+        org_id, event_actor, event_actor_email, event_actor_type, event_action,
+        event_target_type, event_target_id, event_target_label, COALESCE(event_changes, '{}'::jsonb),
+        event_ip, event_user_agent
+    )
+    RETURNING id INTO log_id;
+
+    RETURN log_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend may write entries directly; members would otherwise be able to forge them
+REVOKE ALL ON FUNCTION record_audit_event(UUID, TEXT, TEXT, TEXT, TEXT, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION record_audit_event(UUID, TEXT, TEXT, TEXT, TEXT, JSONB) TO service_role;
+
+-- Agents: BANT config edits are logged separately from other settings
+CREATE OR REPLACE FUNCTION audit_agent_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    diff JSONB;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        -- Skipped when the whole organization is being deleted
+        IF EXISTS (SELECT 1 FROM organizations WHERE id = OLD.organization_id) THEN
+            PERFORM record_audit_event(OLD.organization_id, 'agent.deleted', 'agent', OLD.id::text, OLD.name,
+                jsonb_build_object('before', to_jsonb(OLD), 'after', '{}'::jsonb));
+        END IF;
+        RETURN OLD;
+    END IF;
+
+    IF OLD.bant_config IS DISTINCT FROM NEW.bant_config THEN
+        PERFORM record_audit_event(NEW.organization_id, 'bant_config.updated', 'agent', NEW.id::text, NEW.name,
+            audit_jsonb_diff(COALESCE(OLD.bant_config, '{}'::jsonb), COALESCE(NEW.bant_config, '{}'::jsonb), ARRAY[]::TEXT[]));
+    END IF;
+
+    diff := audit_jsonb_diff(to_jsonb(OLD), to_jsonb(NEW), ARRAY['updated_at', 'bant_config']);
+    IF diff -> 'after' <> '{}'::jsonb THEN
+        PERFORM record_audit_event(NEW.organization_id, 'agent.updated', 'agent', NEW.id::text, NEW.name, diff);
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_agents ON agents;
+CREATE TRIGGER audit_agents
+    AFTER UPDATE OR DELETE ON agents
+    FOR EACH ROW EXECUTE FUNCTION audit_agent_changes();
+
+-- Members: removals, role changes and permission overrides
+CREATE OR REPLACE FUNCTION audit_member_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    member_email TEXT;
+    diff JSONB;
+BEGIN
+    SELECT email INTO member_email FROM auth.users WHERE id = COALESCE(NEW.user_id, OLD.user_id);
+
+    IF TG_OP = 'DELETE' THEN
+        -- Cascaded from deleting the organization: its members weren't removed one by one
+        IF EXISTS (SELECT 1 FROM organizations WHERE id = OLD.organization_id) THEN
+            PERFORM record_audit_event(OLD.organization_id, 'member.removed', 'member', OLD.user_id::text, member_email,
+                jsonb_build_object('before', jsonb_build_object('role', OLD.role), 'after', '{}'::jsonb));
+        END IF;
+        RETURN OLD;
+    END IF;
+
+    diff := audit_jsonb_diff(
+        jsonb_build_object('role', OLD.role, 'permission_overrides', OLD.permission_overrides),
+        jsonb_build_object('role', NEW.role, 'permission_overrides', NEW.permission_overrides)
+    );
+    IF diff -> 'after' <> '{}'::jsonb THEN
+        PERFORM record_audit_event(NEW.organization_id, 'member.updated', 'member', NEW.user_id::text, member_email, diff);
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_organization_members ON organization_members;
+CREATE TRIGGER audit_organization_members
+    AFTER UPDATE OR DELETE ON organization_members
+    FOR EACH ROW EXECUTE FUNCTION audit_member_changes();
+
+-- Organizations: role templates from the permissions matrix
+CREATE OR REPLACE FUNCTION audit_organization_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.role_permissions IS DISTINCT FROM NEW.role_permissions THEN
+        PERFORM record_audit_event(NEW.id, 'organization.roles_updated', 'organization', NEW.id::text, NEW.name,
+            audit_jsonb_diff(OLD.role_permissions, NEW.role_permissions, ARRAY[]::TEXT[]));
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_organizations ON organizations;
+CREATE TRIGGER audit_organizations
+    AFTER UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION audit_organization_changes();
+
+-- Conversations: handing a conversation back to the AI
+CREATE OR REPLACE FUNCTION audit_conversation_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.mode = 'ai' AND OLD.mode IS DISTINCT FROM 'ai' THEN
+        PERFORM record_audit_event(NEW.organization_id, 'conversation.transferred_to_ai', 'conversation', NEW.id::text, NULL,
+            audit_jsonb_diff(
+                jsonb_build_object('mode', OLD.mode, 'handoff_status', OLD.handoff_status, 'assigned_human_agent', OLD.assigned_human_agent),
+                jsonb_build_object('mode', NEW.mode, 'handoff_status', NEW.handoff_status, 'assigned_human_agent', NEW.assigned_human_agent)
+            ));
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_conversations ON conversations;
+CREATE TRIGGER audit_conversations
+    AFTER UPDATE OF mode ON conversations
+    FOR EACH ROW EXECUTE FUNCTION audit_conversation_changes();
+
+-- audit.view is new; admins and owners get it by default
+CREATE OR REPLACE FUNCTION default_role_permissions(member_role TEXT)
+RETURNS TEXT[] AS $$
+    SELECT CASE member_role
+        WHEN 'owner' THEN ARRAY[
+            'leads.view', 'leads.edit', 'leads.assign', 'leads.import', 'segments.manage',
+            'agents.view', 'agents.edit', 'conversations.view',
+            'handoff.accept', 'handoff.transfer_any', 'handoff.manage', 'analytics.view',
+            'members.invite', 'members.manage', 'organization.edit', 'audit.view', 'billing.view', 'billing.manage'
+        ]
+        WHEN 'admin' THEN ARRAY[
+            'leads.view', 'leads.edit', 'leads.assign', 'leads.import', 'segments.manage',
+            'agents.view', 'agents.edit', 'conversations.view',
+            'handoff.accept', 'handoff.transfer_any', 'handoff.manage', 'analytics.view',
+            'members.invite', 'members.manage', 'organization.edit', 'audit.view', 'billing.view'
+        ]
+        WHEN 'moderator' THEN ARRAY[
+            'leads.view', 'leads.edit', 'leads.assign', 'leads.import', 'segments.manage',
+            'agents.view', 'agents.edit', 'conversations.view',
+            'handoff.accept', 'handoff.transfer_any', 'handoff.manage', 'analytics.view',
+            'members.invite'
+        ]
+        WHEN 'agent' THEN ARRAY[
+            'leads.view', 'leads.edit', 'agents.view', 'conversations.view', 'handoff.accept', 'analytics.view'
+        ]
+        ELSE ARRAY['leads.view', 'agents.view', 'conversations.view', 'analytics.view']
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
+
+-- No INSERT/UPDATE/DELETE policies: entries are only written by the SECURITY DEFINER functions above
+CREATE POLICY "Members with audit.view can read their organization's log" ON audit_logs
+    FOR SELECT USING (
+        organization_id IS NOT NULL
+        AND member_has_permission(organization_id, auth.uid(), 'audit.view')
+    );
+
+CREATE POLICY "Platform admins can read every log" ON audit_logs
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM dev_members
+            WHERE dev_members.user_id = auth.uid()
+            AND dev_members.is_active = true
+            AND dev_members.role IN ('admin', 'super_admin')
+        )
+    );
+
+-- Verify the table and triggers were created
+SELECT event_object_table, trigger_name
+FROM information_schema.triggers
+WHERE trigger_name IN ('audit_agents', 'audit_organization_members', 'audit_organizations', 'audit_conversations')
+ORDER BY event_object_table;
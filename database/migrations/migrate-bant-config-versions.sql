@@ -0,0 +1,267 @@
+-- BANT Config Versions Migration
+-- Run this in Supabase SQL Editor to version BANT configurations (draft / published / archived)
+-- and stamp each lead with the version that scored it
+-- Requires migrate-organization-permissions.sql (member_has_permission)
+--
+-- The backend scores leads with custom_bant_configs (one row per agent, see CUSTOM_BANT_GUIDE.md).
+-- Publishing copies the version into that row and into agents.bant_config, so the scorer always
+-- reads the published version; publish_bant_config_draft() and rollback_bant_config() are the only
+-- ways to update either.
+
+CREATE TABLE IF NOT EXISTS bant_config_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL CHECK (version >= 1),
+    status TEXT NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'published', 'archived')),
+    config JSONB NOT NULL DEFAULT '{}'::jsonb,
+    notes TEXT,
+    -- Set on rollbacks and on drafts started from a published version
+    based_on_version INTEGER,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    published_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    published_at TIMESTAMPTZ,
+    UNIQUE (agent_id, version)
+);
+
+-- At most one draft and one published version per agent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bant_config_versions_one_draft
+ON bant_config_versions(agent_id) WHERE status = 'draft';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bant_config_versions_one_published
+ON bant_config_versions(agent_id) WHERE status = 'published';
+
+CREATE INDEX IF NOT EXISTS idx_bant_config_versions_agent
+ON bant_config_versions(agent_id, version DESC);
+
+ALTER TABLE agents
+ADD COLUMN IF NOT EXISTS bant_config_version_id UUID REFERENCES bant_config_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS bant_config_version_id UUID REFERENCES bant_config_versions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS bant_config_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_leads_bant_config_version ON leads(bant_config_version_id);
+
+-- Published and archived versions are history: only drafts can be edited
+CREATE OR REPLACE FUNCTION protect_bant_config_versions()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status <> 'draft' AND (NEW.config IS DISTINCT FROM OLD.config OR NEW.version <> OLD.version) THEN
+        RAISE EXCEPTION 'BANT config v% is % and can no longer be edited', OLD.version, OLD.status;
+    END IF;
+
+    IF OLD.status = 'archived' AND NEW.status <> 'archived' THEN
+        RAISE EXCEPTION 'Archived versions are restored with rollback_bant_config()';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bant_config_versions_protect ON bant_config_versions;
+CREATE TRIGGER bant_config_versions_protect
+    BEFORE UPDATE ON bant_config_versions
+    FOR EACH ROW EXECUTE FUNCTION protect_bant_config_versions();
+
+-- Write a config into the agent's custom_bant_configs row; keys that aren't columns are ignored
+CREATE OR REPLACE FUNCTION sync_custom_bant_config(target_agent UUID, published_config JSONB)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE custom_bant_configs c
+    SET budget_weight = r.budget_weight,
+        authority_weight = r.authority_weight,
+        need_weight = r.need_weight,
+        timeline_weight = r.timeline_weight,
+        contact_weight = r.contact_weight,
+        budget_criteria = r.budget_criteria,
+        authority_criteria = r.authority_criteria,
+        need_criteria = r.need_criteria,
+        timeline_criteria = r.timeline_criteria,
+        contact_criteria = r.contact_criteria,
+        priority_threshold = r.priority_threshold,
+        hot_threshold = r.hot_threshold,
+        warm_threshold = r.warm_threshold,
+        updated_at = NOW()
+    FROM jsonb_populate_record(NULL::custom_bant_configs, published_config) r
+    WHERE c.agent_id = target_agent;
+
+    IF NOT FOUND THEN
+        INSERT INTO custom_bant_configs (
+            agent_id, budget_weight, authority_weight, need_weight, timeline_weight, contact_weight,
+            budget_criteria, authority_criteria, need_criteria, timeline_criteria, contact_criteria,
+            priority_threshold, hot_threshold, warm_threshold
+        )
+        SELECT target_agent, r.budget_weight, r.authority_weight, r.need_weight, r.timeline_weight, r.contact_weight,
+               r.budget_criteria, r.authority_criteria, r.need_criteria, r.timeline_criteria, r.contact_criteria,
+               r.priority_threshold, r.hot_threshold, r.warm_threshold
+        FROM jsonb_populate_record(NULL::custom_bant_configs, published_config) r;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION sync_custom_bant_config(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_custom_bant_config(UUID, JSONB) TO service_role;
+
+CREATE OR REPLACE FUNCTION publish_bant_config_draft(target_agent UUID, publish_notes TEXT DEFAULT NULL)
+RETURNS UUID AS $$
+DECLARE
+    draft_version bant_config_versions%ROWTYPE;
+BEGIN
+    SELECT * INTO draft_version
+    FROM bant_config_versions
+    WHERE agent_id = target_agent AND status = 'draft'
+    FOR UPDATE;
+
+    IF draft_version.id IS NULL THEN
+        RAISE EXCEPTION 'Agent % has no BANT config draft to publish', target_agent;
+    END IF;
+
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT member_has_permission(draft_version.organization_id, auth.uid(), 'agents.edit')
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to publish BANT configs for this agent';
+    END IF;
+
+    UPDATE bant_config_versions
+    SET status = 'archived'
+    WHERE agent_id = target_agent AND status = 'published';
+
+    UPDATE bant_config_versions
+    SET status = 'published',
+        notes = COALESCE(publish_notes, notes),
+        published_by = auth.uid(),
+        published_at = NOW()
+    WHERE id = draft_version.id;
+
+    UPDATE agents
+    SET bant_config = draft_version.config,
+        bant_config_version_id = draft_version.id
+    WHERE id = target_agent;
+
+    PERFORM sync_custom_bant_config(target_agent, draft_version.config);
+
+    RETURN draft_version.id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Rolling back publishes a new version with the old config, so history is never rewritten
+CREATE OR REPLACE FUNCTION rollback_bant_config(target_version UUID)
+RETURNS UUID AS $$
+DECLARE
+    source_version bant_config_versions%ROWTYPE;
+    next_version INTEGER;
+    new_id UUID;
+BEGIN
+    SELECT * INTO source_version FROM bant_config_versions WHERE id = target_version;
+
+    IF source_version.id IS NULL THEN
+        RAISE EXCEPTION 'BANT config version % not found', target_version;
+    END IF;
+
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT member_has_permission(source_version.organization_id, auth.uid(), 'agents.edit')
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to roll back BANT configs for this agent';
+    END IF;
+
+    -- A rollback replaces any pending draft
+    DELETE FROM bant_config_versions
+    WHERE agent_id = source_version.agent_id AND status = 'draft';
+
+    SELECT COALESCE(MAX(version), 0) + 1 INTO next_version
+    FROM bant_config_versions
+    WHERE agent_id = source_version.agent_id;
+
+    INSERT INTO bant_config_versions (agent_id, organization_id, version, status, config, notes, based_on_version, created_by)
+    VALUES (
+        source_version.agent_id, source_version.organization_id, next_version, 'draft', source_version.config,
+        'Rollback to v' || source_version.version, source_version.version, auth.uid()
+    )
+    RETURNING id INTO new_id;
+
+    PERFORM publish_bant_config_draft(source_version.agent_id);
+
+    RETURN new_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION publish_bant_config_draft(UUID, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION publish_bant_config_draft(UUID, TEXT) TO authenticated, service_role;
+REVOKE ALL ON FUNCTION rollback_bant_config(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION rollback_bant_config(UUID) TO authenticated, service_role;
+
+-- Stamp leads with the agent's published version whenever they are (re)scored
+CREATE OR REPLACE FUNCTION stamp_lead_bant_config_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.lead_score IS DISTINCT FROM OLD.lead_score
+        OR NEW.lead_classification IS DISTINCT FROM OLD.lead_classification THEN
+        SELECT v.id, v.version
+        INTO NEW.bant_config_version_id, NEW.bant_config_version
+        FROM agents a
+        JOIN bant_config_versions v ON v.id = a.bant_config_version_id
+        WHERE a.id = NEW.agent_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS leads_stamp_bant_config_version ON leads;
+CREATE TRIGGER leads_stamp_bant_config_version
+    BEFORE INSERT OR UPDATE OF lead_score, lead_classification ON leads
+    FOR EACH ROW EXECUTE FUNCTION stamp_lead_bant_config_version();
+
+-- The config the backend actually scores with wins over whatever agents.bant_config holds
+UPDATE agents
+SET bant_config = to_jsonb(c) - 'id' - 'agent_id' - 'created_at' - 'updated_at'
+FROM custom_bant_configs c
+WHERE c.agent_id = agents.id
+AND agents.bant_config_version_id IS NULL;
+
+-- Existing configs become v1 of each agent's history
+INSERT INTO bant_config_versions (agent_id, organization_id, version, status, config, notes, published_at)
+SELECT id, organization_id, 1, 'published', bant_config, 'Configuration before versioning', NOW()
+FROM agents
+WHERE bant_config IS NOT NULL
+AND bant_config <> '{}'::jsonb
+AND NOT EXISTS (
+    SELECT 1 FROM bant_config_versions WHERE bant_config_versions.agent_id = agents.id
+);
+
+UPDATE agents
+SET bant_config_version_id = v.id
+FROM bant_config_versions v
+WHERE v.agent_id = agents.id
+AND v.status = 'published'
+AND agents.bant_config_version_id IS NULL;
+
+ALTER TABLE bant_config_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view their agents' BANT config versions" ON bant_config_versions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM organization_members
+            WHERE organization_members.organization_id = bant_config_versions.organization_id
+            AND organization_members.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Agent editors can manage drafts" ON bant_config_versions
+    FOR ALL USING (
+        status = 'draft'
+        AND member_has_permission(organization_id, auth.uid(), 'agents.edit')
+    )
+    WITH CHECK (
+        status = 'draft'
+        AND member_has_permission(organization_id, auth.uid(), 'agents.edit')
+    );
+
+-- Verify the versions were backfilled
+SELECT status, COUNT(*) AS versions
+FROM bant_config_versions
+GROUP BY status
+ORDER BY status;
@@ -0,0 +1,110 @@
+-- BANT Scoring Simulator Migration
+-- Run this in Supabase SQL Editor to let agents re-score existing leads with their published BANT config
+-- Requires migrate-bant-config-versions.sql and migrate-audit-log.sql
+--
+-- Mirrors rescoreLead() in lib/bant/simulation.ts: each stored dimension score is points out of the
+-- weight it was scored with, so it is rescaled to the published weight. The AI isn't asked again.
+
+-- Numeric setting from a stored BANT config (weights and thresholds)
+CREATE OR REPLACE FUNCTION bant_config_number(config JSONB, setting TEXT)
+RETURNS NUMERIC AS $$
+    SELECT COALESCE(NULLIF(config ->> setting, '')::numeric, 0);
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION rescore_leads_with_published_bant(target_agent UUID, target_leads UUID[])
+RETURNS INTEGER AS $$
+DECLARE
+    published bant_config_versions%ROWTYPE;
+    lead_row RECORD;
+    scored_with JSONB;
+    dimension TEXT;
+    previous_weight NUMERIC;
+    new_weight NUMERIC;
+    share NUMERIC;
+    rescaled JSONB;
+    total NUMERIC;
+    new_score INTEGER;
+    new_classification TEXT;
+    updated_count INTEGER := 0;
+BEGIN
+    SELECT v.* INTO published
+    FROM agents a
+    JOIN bant_config_versions v ON v.id = a.bant_config_version_id
+    WHERE a.id = target_agent;
+
+    IF published.id IS NULL THEN
+        RAISE EXCEPTION 'Agent % has no published BANT config', target_agent;
+    END IF;
+
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT member_has_permission(published.organization_id, auth.uid(), 'agents.edit')
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to re-score leads for this agent';
+    END IF;
+
+    FOR lead_row IN
+        SELECT l.*, v.config AS version_config
+        FROM leads l
+        LEFT JOIN bant_config_versions v ON v.id = l.bant_config_version_id
+        WHERE l.agent_id = target_agent
+        AND l.id = ANY(target_leads)
+        FOR UPDATE OF l
+    LOOP
+        -- Weights the lead was scored with: its stamped version, or the published one for older leads
+        scored_with := COALESCE(lead_row.version_config, published.config);
+        rescaled := '{}'::jsonb;
+        total := 0;
+
+        FOREACH dimension IN ARRAY ARRAY['budget', 'authority', 'need', 'timeline', 'contact'] LOOP
+            previous_weight := bant_config_number(scored_with, dimension || '_weight');
+            new_weight := bant_config_number(published.config, dimension || '_weight');
+            share := CASE
+                WHEN previous_weight <= 0 THEN 0
+                ELSE LEAST(GREATEST(COALESCE((to_jsonb(lead_row) ->> (dimension || '_score'))::numeric, 0) / previous_weight, 0), 1)
+            END;
+            total := total + share * new_weight;
+            rescaled := rescaled || jsonb_build_object(dimension, ROUND(share * new_weight));
+        END LOOP;
+
+        new_score := ROUND(total);
+        new_classification := CASE
+            WHEN new_score >= bant_config_number(published.config, 'priority_threshold') THEN 'priority'
+            WHEN new_score >= bant_config_number(published.config, 'hot_threshold') THEN 'hot'
+            WHEN new_score >= bant_config_number(published.config, 'warm_threshold') THEN 'warm'
+            ELSE 'cold'
+        END;
+
+        UPDATE leads
+        SET lead_score = new_score,
+            lead_classification = new_classification,
+            budget_score = (rescaled ->> 'budget')::numeric,
+            authority_score = (rescaled ->> 'authority')::numeric,
+            need_score = (rescaled ->> 'need')::numeric,
+            timeline_score = (rescaled ->> 'timeline')::numeric,
+            contact_score = (rescaled ->> 'contact')::numeric,
+            bant_config_version_id = published.id,
+            bant_config_version = published.version
+        WHERE id = lead_row.id;
+
+        updated_count := updated_count + 1;
+    END LOOP;
+
+    PERFORM record_audit_event(
+        published.organization_id, 'leads.rescored', 'agent', target_agent::text, NULL,
+        jsonb_build_object(
+            'before', '{}'::jsonb,
+            'after', jsonb_build_object('bant_config_version', published.version, 'leads', updated_count)
+        )
+    );
+
+    RETURN updated_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION rescore_leads_with_published_bant(UUID, UUID[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION rescore_leads_with_published_bant(UUID, UUID[]) TO authenticated, service_role;
+
+-- Verify the function exists
+SELECT proname, prosecdef
+FROM pg_proc
+WHERE proname IN ('bant_config_number', 'rescore_leads_with_published_bant');
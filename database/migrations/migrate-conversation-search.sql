@@ -0,0 +1,114 @@
+-- Conversation Search Migration
+-- Run this in Supabase SQL Editor to enable full-text search over message content on /conversations and /handoff
+-- Requires migrate-organization-permissions.sql (member_has_permission) and schemas/conversations-table-updates.sql (mode)
+--
+-- search_conversation_messages only looks inside the organization it is given, and refuses callers
+-- without conversations.view there. Snippets mark matched words with chr(2) ... chr(3)
+-- (SNIPPET_MARK_START / SNIPPET_MARK_END in lib/conversations/search.ts) rather than HTML.
+
+-- 1. Indexed search vector over message content
+ALTER TABLE messages
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english'::regconfig, COALESCE(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_conversations_org_mode ON conversations(organization_id, mode);
+
+-- 2. Ranked search with highlighted snippets
+CREATE OR REPLACE FUNCTION search_conversation_messages(
+    q TEXT,
+    org_id UUID,
+    agent_filter UUID DEFAULT NULL,
+    source_filter TEXT DEFAULT NULL,
+    mode_filter TEXT DEFAULT NULL,
+    from_date TIMESTAMPTZ DEFAULT NULL,
+    to_date TIMESTAMPTZ DEFAULT NULL,
+    result_limit INTEGER DEFAULT 25,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    message_id UUID,
+    conversation_id UUID,
+    sender TEXT,
+    snippet TEXT,
+    rank REAL,
+    sent_at TIMESTAMPTZ,
+    agent_id UUID,
+    agent_name TEXT,
+    source TEXT,
+    mode TEXT,
+    lead_name TEXT,
+    total_count BIGINT
+) AS $$
+DECLARE
+    search_query tsquery := websearch_to_tsquery('english', q);
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT member_has_permission(org_id, auth.uid(), 'conversations.view')
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to search conversations in organization %', org_id;
+    END IF;
+
+    -- Only stop words, e.g. "the"
+    IF search_query = ''::tsquery THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    WITH matches AS (
+        SELECT m.id, m.conversation_id, m.sender, m.content, m.created_at,
+               ts_rank_cd(m.search_vector, search_query) AS match_rank,
+               c.agent_id, c.source, c.mode
+        FROM messages m
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE c.organization_id = org_id
+          AND m.search_vector @@ search_query
+          AND (agent_filter IS NULL OR c.agent_id = agent_filter)
+          AND (source_filter IS NULL OR c.source = source_filter)
+          AND (mode_filter IS NULL OR c.mode = mode_filter)
+          AND (from_date IS NULL OR m.created_at >= from_date)
+          AND (to_date IS NULL OR m.created_at <= to_date)
+    ),
+    page AS (
+        SELECT matches.*, COUNT(*) OVER () AS total
+        FROM matches
+        -- Newer messages win ties, which are common for one-word queries
+        ORDER BY match_rank DESC, created_at DESC
+        LIMIT result_limit OFFSET result_offset
+    )
+    SELECT page.id,
+           page.conversation_id,
+           page.sender,
+           -- Only the page gets headlines; ts_headline re-parses the whole message
+           ts_headline('english', page.content, search_query,
+               format('StartSel=%s, StopSel=%s, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "',
+                   chr(2), chr(3))),
+           page.match_rank,
+           page.created_at,
+           page.agent_id,
+           a.name,
+           page.source,
+           page.mode,
+           l.full_name,
+           page.total
+    FROM page
+    LEFT JOIN agents a ON a.id = page.agent_id
+    LEFT JOIN LATERAL (
+        SELECT leads.full_name FROM leads
+        WHERE leads.conversation_id = page.conversation_id
+        ORDER BY leads.created_at DESC
+        LIMIT 1
+    ) l ON true
+    ORDER BY page.match_rank DESC, page.created_at DESC;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION search_conversation_messages(TEXT, UUID, UUID, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION search_conversation_messages(TEXT, UUID, UUID, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER) TO authenticated, service_role;
+
+-- Verify the column, index and function
+SELECT
+    (SELECT COUNT(*) FROM information_schema.columns
+        WHERE table_name = 'messages' AND column_name = 'search_vector') AS search_column,
+    (SELECT COUNT(*) FROM pg_indexes WHERE indexname = 'idx_messages_search_vector') AS search_index,
+    (SELECT COUNT(*) FROM pg_proc WHERE proname = 'search_conversation_messages') AS search_function;
@@ -0,0 +1,295 @@
+-- Feature Request Portal Migration
+-- Run this in Supabase SQL Editor to open feature requests to every customer as a shared board
+-- Requires database/schemas/create-feature-requests-table.sql and admin-dashboard-schema.sql (dev_members)
+--
+-- Requests stay one vote per user (feature_request_votes is UNIQUE per request and user). Comments
+-- can reply to another comment. Admins merge duplicates into the request they keep: votes and
+-- comments move over and the duplicate keeps merged_into_id so old links still resolve. Voters and
+-- the author get a feature_request_updated notification when the status changes or the team replies.
+
+-- 1. Threads, merges and status timestamps
+ALTER TABLE public.feature_request_comments
+    ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES public.feature_request_comments(id) ON DELETE SET NULL;
+
+ALTER TABLE public.feature_requests
+    ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES public.feature_requests(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS comment_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_feature_request_comments_parent ON public.feature_request_comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_feature_requests_merged_into ON public.feature_requests(merged_into_id);
+-- The portal lists open requests by votes
+CREATE INDEX IF NOT EXISTS idx_feature_requests_board
+    ON public.feature_requests(upvotes DESC, created_at DESC) WHERE merged_into_id IS NULL;
+
+UPDATE public.feature_requests fr
+SET comment_count = (
+    SELECT COUNT(*) FROM public.feature_request_comments frc WHERE frc.feature_request_id = fr.id
+);
+
+-- 2. Keep comment_count in step with the comments table
+CREATE OR REPLACE FUNCTION update_feature_request_comment_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE public.feature_requests SET comment_count = comment_count + 1 WHERE id = NEW.feature_request_id;
+    ELSIF TG_OP = 'DELETE' THEN
+        UPDATE public.feature_requests SET comment_count = GREATEST(comment_count - 1, 0) WHERE id = OLD.feature_request_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS update_comment_count_on_comment ON public.feature_request_comments;
+CREATE TRIGGER update_comment_count_on_comment
+    AFTER INSERT OR DELETE ON public.feature_request_comments
+    FOR EACH ROW EXECUTE FUNCTION update_feature_request_comment_count();
+
+-- 3. Notify the author and everyone who voted
+CREATE OR REPLACE FUNCTION notify_feature_request_followers(
+    request_id UUID,
+    notification_title TEXT,
+    notification_message TEXT,
+    skip_user_id UUID
+)
+RETURNS VOID AS $$
+    INSERT INTO notifications (user_id, type, title, message, link, data)
+    SELECT follower.user_id,
+           'feature_request_updated',
+           notification_title,
+           notification_message,
+           '/feature-requests/' || request_id,
+           jsonb_build_object('feature_request_id', request_id)
+    FROM (
+        SELECT user_id FROM public.feature_request_votes WHERE feature_request_id = request_id
+        UNION
+        SELECT user_id FROM public.feature_requests WHERE id = request_id
+    ) follower
+    WHERE follower.user_id IS NOT NULL
+      AND follower.user_id IS DISTINCT FROM skip_user_id;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Internal to the triggers below
+REVOKE ALL ON FUNCTION notify_feature_request_followers(UUID, TEXT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION feature_request_before_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        NEW.status_changed_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS feature_requests_before_status_change ON public.feature_requests;
+CREATE TRIGGER feature_requests_before_status_change
+    BEFORE UPDATE OF status ON public.feature_requests
+    FOR EACH ROW EXECUTE FUNCTION feature_request_before_status_change();
+
+CREATE OR REPLACE FUNCTION feature_request_after_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Followers of a merged duplicate hear about it through the request it was merged into
+    IF NEW.status IS DISTINCT FROM OLD.status AND NEW.merged_into_id IS NULL THEN
+        PERFORM notify_feature_request_followers(
+            NEW.id,
+            'Feature request ' || CASE NEW.status
+                WHEN 'under_review' THEN 'under review'
+                WHEN 'in_development' THEN 'in development'
+                WHEN 'rejected' THEN 'not planned'
+                WHEN 'on_hold' THEN 'on hold'
+                ELSE NEW.status
+            END,
+            NEW.requested_feature,
+            auth.uid()
+        );
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS feature_requests_after_status_change ON public.feature_requests;
+CREATE TRIGGER feature_requests_after_status_change
+    AFTER UPDATE OF status ON public.feature_requests
+    FOR EACH ROW EXECUTE FUNCTION feature_request_after_status_change();
+
+CREATE OR REPLACE FUNCTION feature_request_comment_after_insert()
+RETURNS TRIGGER AS $$
+DECLARE
+    request_title TEXT;
+BEGIN
+    IF NEW.is_admin_comment THEN
+        SELECT requested_feature INTO request_title FROM public.feature_requests WHERE id = NEW.feature_request_id;
+        PERFORM notify_feature_request_followers(
+            NEW.feature_request_id,
+            'The Leadify team replied',
+            request_title,
+            NEW.user_id
+        );
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS feature_request_comments_after_insert ON public.feature_request_comments;
+CREATE TRIGGER feature_request_comments_after_insert
+    AFTER INSERT ON public.feature_request_comments
+    FOR EACH ROW EXECUTE FUNCTION feature_request_comment_after_insert();
+
+-- 4. Merge a duplicate into the request to keep
+CREATE OR REPLACE FUNCTION merge_feature_request(source_id UUID, target_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT EXISTS (
+            SELECT 1 FROM dev_members dm
+            WHERE dm.user_id = auth.uid() AND dm.is_active = true
+        )
+    ) THEN
+        RAISE EXCEPTION 'Only the Leadify team can merge feature requests';
+    END IF;
+
+    IF source_id = target_id THEN
+        RAISE EXCEPTION 'A feature request cannot be merged into itself';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.feature_requests WHERE id = target_id AND merged_into_id IS NOT NULL) THEN
+        RAISE EXCEPTION 'Feature request % has itself been merged', target_id;
+    END IF;
+
+    -- Voters of both keep a single vote; the upvote trigger moves the counts
+    INSERT INTO public.feature_request_votes (feature_request_id, user_id, created_at)
+    SELECT target_id, user_id, created_at
+    FROM public.feature_request_votes
+    WHERE feature_request_id = source_id
+    ON CONFLICT (feature_request_id, user_id) DO NOTHING;
+
+    DELETE FROM public.feature_request_votes WHERE feature_request_id = source_id;
+
+    UPDATE public.feature_request_comments SET feature_request_id = target_id WHERE feature_request_id = source_id;
+
+    -- Earlier duplicates of the source follow it
+    UPDATE public.feature_requests SET merged_into_id = target_id WHERE merged_into_id = source_id;
+    UPDATE public.feature_requests SET merged_into_id = target_id WHERE id = source_id;
+
+    UPDATE public.feature_requests fr
+    SET comment_count = (
+        SELECT COUNT(*) FROM public.feature_request_comments frc WHERE frc.feature_request_id = fr.id
+    )
+    WHERE fr.id IN (source_id, target_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION merge_feature_request(UUID, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION merge_feature_request(UUID, UUID) TO authenticated, service_role;
+
+-- 5. RLS: the board is shared by every signed-in customer, not just their organization
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE tablename = 'feature_requests' AND policyname = 'Signed-in users can view the feature request board'
+    ) THEN
+        CREATE POLICY "Signed-in users can view the feature request board" ON public.feature_requests
+            FOR SELECT USING (auth.uid() IS NOT NULL);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE tablename = 'feature_request_comments' AND policyname = 'Signed-in users can view feature request comments'
+    ) THEN
+        CREATE POLICY "Signed-in users can view feature request comments" ON public.feature_request_comments
+            FOR SELECT USING (auth.uid() IS NOT NULL);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE tablename = 'feature_request_comments' AND policyname = 'Signed-in users can comment on open requests'
+    ) THEN
+        CREATE POLICY "Signed-in users can comment on open requests" ON public.feature_request_comments
+            FOR INSERT WITH CHECK (
+                user_id = auth.uid()
+                AND is_admin_comment = false
+                AND EXISTS (
+                    SELECT 1 FROM public.feature_requests fr
+                    WHERE fr.id = feature_request_id AND fr.merged_into_id IS NULL
+                )
+            );
+    END IF;
+END $$;
+
+-- The baseline comment policy let any member post as the team (is_admin_comment = true)
+DROP POLICY IF EXISTS "Users can create comments" ON public.feature_request_comments;
+DROP POLICY IF EXISTS "Leadify team can reply to feature requests" ON public.feature_request_comments;
+CREATE POLICY "Leadify team can reply to feature requests" ON public.feature_request_comments
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid()
+        AND EXISTS (
+            SELECT 1 FROM dev_members dm
+            WHERE dm.user_id = auth.uid() AND dm.is_active = true
+        )
+    );
+
+-- Authors can still edit their own request and comments ("Users can update own feature requests",
+-- "Users can update own comments"), but triage fields belong to the Leadify team. Counters and merges
+-- are written by the triggers and merge_feature_request above, which run nested (pg_trigger_depth() > 1)
+-- or as a team member.
+CREATE OR REPLACE FUNCTION is_feature_request_team_write()
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(auth.jwt() ->> 'role', '') = 'service_role'
+        OR pg_trigger_depth() > 1
+        OR EXISTS (
+            SELECT 1 FROM dev_members dm
+            WHERE dm.user_id = auth.uid() AND dm.is_active = true
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION protect_feature_request_triage_fields()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (
+        NEW.status IS DISTINCT FROM OLD.status
+        OR NEW.upvotes IS DISTINCT FROM OLD.upvotes
+        OR NEW.merged_into_id IS DISTINCT FROM OLD.merged_into_id
+        OR NEW.comment_count IS DISTINCT FROM OLD.comment_count
+    ) AND NOT is_feature_request_team_write() THEN
+        RAISE EXCEPTION 'Only the Leadify team can change the status, votes or merge of a feature request';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS feature_requests_protect_triage_fields ON public.feature_requests;
+CREATE TRIGGER feature_requests_protect_triage_fields
+    BEFORE UPDATE ON public.feature_requests
+    FOR EACH ROW EXECUTE FUNCTION protect_feature_request_triage_fields();
+
+CREATE OR REPLACE FUNCTION protect_feature_request_comment_author()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.is_admin_comment IS DISTINCT FROM OLD.is_admin_comment AND NOT is_feature_request_team_write() THEN
+        RAISE EXCEPTION 'Only the Leadify team can post team replies';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS feature_request_comments_protect_author ON public.feature_request_comments;
+CREATE TRIGGER feature_request_comments_protect_author
+    BEFORE UPDATE ON public.feature_request_comments
+    FOR EACH ROW EXECUTE FUNCTION protect_feature_request_comment_author();
+
+-- Verify the new columns and triggers
+SELECT
+    (SELECT COUNT(*) FROM information_schema.columns
+        WHERE (table_name = 'feature_requests' AND column_name IN ('merged_into_id', 'status_changed_at', 'comment_count'))
+        OR (table_name = 'feature_request_comments' AND column_name = 'parent_id')) AS new_columns,
+    (SELECT COUNT(*) FROM pg_trigger WHERE tgname IN (
+        'update_comment_count_on_comment',
+        'feature_requests_before_status_change',
+        'feature_requests_after_status_change',
+        'feature_request_comments_after_insert',
+        'feature_requests_protect_triage_fields',
+        'feature_request_comments_protect_author'
+    )) AS triggers;
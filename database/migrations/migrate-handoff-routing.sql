@@ -0,0 +1,323 @@
+-- Handoff Routing Migration
+-- Run this in Supabase SQL Editor to enable automatic assignment of handoffs
+-- to human agents (round-robin, least loaded, skill match, priority first)
+-- Requires migrate-organization-permissions.sql (member_has_permission)
+
+-- Availability and rotation position for each human agent
+ALTER TABLE human_agent_profiles
+ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'available';
+
+ALTER TABLE human_agent_profiles
+ADD COLUMN IF NOT EXISTS last_assigned_at TIMESTAMPTZ;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'human_agent_profiles_status_check'
+    ) THEN
+        ALTER TABLE human_agent_profiles
+        ADD CONSTRAINT human_agent_profiles_status_check
+        CHECK (status IN ('available', 'busy', 'offline'));
+    END IF;
+END $$;
+
+-- One routing configuration per organization
+CREATE TABLE IF NOT EXISTS handoff_routing_settings (
+    organization_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+    strategy TEXT NOT NULL DEFAULT 'manual'
+        CHECK (strategy IN ('manual', 'round_robin', 'least_loaded', 'skill_match', 'priority_first')),
+    respect_capacity BOOLEAN NOT NULL DEFAULT true,
+    only_available BOOLEAN NOT NULL DEFAULT true,
+    fallback_strategy TEXT NOT NULL DEFAULT 'least_loaded'
+        CHECK (fallback_strategy IN ('round_robin', 'least_loaded', 'queue')),
+    urgent_overflow BOOLEAN NOT NULL DEFAULT false,
+    updated_by UUID REFERENCES auth.users(id),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Audit of every routing decision and the candidates that were considered
+CREATE TABLE IF NOT EXISTS handoff_routing_decisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    handoff_id UUID NOT NULL REFERENCES conversation_handoffs(id) ON DELETE CASCADE,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    strategy TEXT NOT NULL,
+    outcome TEXT NOT NULL CHECK (outcome IN ('assigned', 'queued', 'manual')),
+    assigned_to UUID REFERENCES auth.users(id),
+    reason TEXT NOT NULL,
+    required_specialties TEXT[] DEFAULT '{}',
+    candidates JSONB NOT NULL DEFAULT '[]'::jsonb,
+    decided_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE conversation_handoffs
+ADD COLUMN IF NOT EXISTS routing_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_routing_decisions_org ON handoff_routing_decisions(organization_id, decided_at DESC);
+CREATE INDEX IF NOT EXISTS idx_routing_decisions_assigned_to ON handoff_routing_decisions(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_routing_decisions_handoff ON handoff_routing_decisions(handoff_id);
+CREATE INDEX IF NOT EXISTS idx_human_agent_profiles_rotation
+ON human_agent_profiles(organization_id, is_active, status, last_assigned_at);
+
+ALTER TABLE handoff_routing_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE handoff_routing_decisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view routing settings" ON handoff_routing_settings
+    FOR SELECT USING (
+        organization_id IN (
+            SELECT organization_id FROM organization_members
+            WHERE user_id = auth.uid()
+        )
+    );
+
+-- Same permission route_pending_handoffs checks, so owners and overrides are covered
+DROP POLICY IF EXISTS "Admins can manage routing settings" ON handoff_routing_settings;
+CREATE POLICY "Admins can manage routing settings" ON handoff_routing_settings
+    FOR ALL USING (
+        member_has_permission(organization_id, auth.uid(), 'handoff.manage')
+    )
+    WITH CHECK (
+        member_has_permission(organization_id, auth.uid(), 'handoff.manage')
+    );
+
+DROP POLICY IF EXISTS "Admins can view routing decisions" ON handoff_routing_decisions;
+CREATE POLICY "Admins can view routing decisions" ON handoff_routing_decisions
+    FOR SELECT USING (
+        member_has_permission(organization_id, auth.uid(), 'handoff.manage')
+    );
+
+DROP POLICY IF EXISTS "Admins can update human agent profiles" ON human_agent_profiles;
+CREATE POLICY "Admins can update human agent profiles" ON human_agent_profiles
+    FOR UPDATE USING (
+        member_has_permission(organization_id, auth.uid(), 'handoff.manage')
+    )
+    WITH CHECK (
+        member_has_permission(organization_id, auth.uid(), 'handoff.manage')
+    );
+
+-- Pick an agent for a pending handoff with the organization's strategy and log the decision.
+-- Eligibility matches getRoutingExclusion in lib/handoff/routing.ts. Returns the assigned user, or NULL
+-- when the handoff stays in the queue.
+CREATE OR REPLACE FUNCTION route_handoff(target_handoff_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    handoff conversation_handoffs%ROWTYPE;
+    settings handoff_routing_settings%ROWTYPE;
+    handoff_text TEXT;
+    required TEXT[];
+    candidate_list JSONB;
+    chosen RECORD;
+    effective_strategy TEXT;
+    decision_outcome TEXT;
+    decision_reason TEXT;
+BEGIN
+    SELECT * INTO handoff FROM conversation_handoffs WHERE id = target_handoff_id FOR UPDATE;
+    IF NOT FOUND OR handoff.status <> 'pending' OR handoff.assigned_to IS NOT NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT * INTO settings FROM handoff_routing_settings WHERE organization_id = handoff.organization_id;
+    IF NOT FOUND THEN
+        settings.strategy := 'manual';
+    END IF;
+
+    IF settings.strategy = 'manual' THEN
+        INSERT INTO handoff_routing_decisions (organization_id, handoff_id, conversation_id, strategy, outcome, reason)
+        VALUES (handoff.organization_id, handoff.id, handoff.conversation_id, 'manual', 'manual',
+            'Manual routing: waiting for an agent to accept');
+        RETURN NULL;
+    END IF;
+
+    -- Specialties named in the handoff reason, notes or the lead's need
+    handoff_text := lower(concat_ws(' ', handoff.reason, handoff.notes, (
+        SELECT l.need_details FROM leads l
+        WHERE l.conversation_id = handoff.conversation_id
+        ORDER BY l.created_at DESC LIMIT 1
+    )));
+    IF settings.strategy = 'skill_match' THEN
+        SELECT COALESCE(array_agg(DISTINCT specialty), '{}') INTO required
+        FROM human_agent_profiles p, unnest(p.specialties) AS specialty
+        WHERE p.organization_id = handoff.organization_id
+        AND specialty <> ''
+        AND handoff_text LIKE '%' || lower(specialty) || '%';
+    ELSE
+        required := '{}';
+    END IF;
+
+    CREATE TEMP TABLE IF NOT EXISTS routing_candidates (
+        user_id UUID, profile_id UUID, display_name TEXT, load REAL, last_assigned_at TIMESTAMPTZ,
+        current_count INTEGER, max_count INTEGER, matched TEXT[], excluded_reason TEXT
+    ) ON COMMIT DROP;
+    TRUNCATE routing_candidates;
+
+    INSERT INTO routing_candidates
+    SELECT p.user_id, p.id, p.display_name,
+           COALESCE(p.current_conversation_count, 0)::REAL / GREATEST(COALESCE(p.max_concurrent_conversations, 1), 1),
+           p.last_assigned_at,
+           COALESCE(p.current_conversation_count, 0),
+           COALESCE(p.max_concurrent_conversations, 5),
+           ARRAY(SELECT unnest(COALESCE(p.specialties, '{}')) INTERSECT SELECT unnest(required)),
+           CASE
+               WHEN NOT COALESCE(p.is_active, false) THEN 'inactive'
+               WHEN settings.only_available AND p.status = 'offline' THEN 'offline'
+               WHEN settings.only_available AND p.status = 'busy' THEN 'busy'
+               WHEN settings.respect_capacity
+                    AND COALESCE(p.current_conversation_count, 0) >= COALESCE(p.max_concurrent_conversations, 5)
+                    -- urgent_overflow lets an urgent handoff take an agent one over their limit
+                    AND NOT (settings.urgent_overflow AND handoff.priority = 'urgent'
+                             AND COALESCE(p.current_conversation_count, 0) < COALESCE(p.max_concurrent_conversations, 5) + 1)
+                   THEN 'at_capacity'
+           END
+    FROM human_agent_profiles p
+    WHERE p.organization_id = handoff.organization_id;
+
+    effective_strategy := settings.strategy;
+
+    IF settings.strategy = 'skill_match' THEN
+        UPDATE routing_candidates SET excluded_reason = 'no_skill_match'
+        WHERE excluded_reason IS NULL AND cardinality(required) > 0 AND cardinality(matched) = 0;
+
+        -- Nobody with the specialty is free: fall back, or leave it for an agent to accept
+        IF cardinality(required) > 0 AND NOT EXISTS (SELECT 1 FROM routing_candidates WHERE excluded_reason IS NULL) THEN
+            IF settings.fallback_strategy <> 'queue' THEN
+                UPDATE routing_candidates SET excluded_reason = NULL WHERE excluded_reason = 'no_skill_match';
+            END IF;
+            effective_strategy := settings.fallback_strategy;
+        ELSE
+            effective_strategy := 'least_loaded';
+        END IF;
+    END IF;
+
+    SELECT jsonb_agg(jsonb_build_object(
+        'agent_id', c.user_id,
+        'display_name', c.display_name,
+        'eligible', c.excluded_reason IS NULL,
+        'excluded_reason', c.excluded_reason,
+        'current_conversation_count', c.current_count,
+        'max_concurrent_conversations', c.max_count,
+        'matched_specialties', to_jsonb(c.matched)
+    ) ORDER BY c.display_name)
+    INTO candidate_list
+    FROM routing_candidates c;
+
+    SELECT * INTO chosen
+    FROM routing_candidates c
+    WHERE c.excluded_reason IS NULL
+    AND effective_strategy <> 'queue'
+    ORDER BY
+        -- round_robin: whoever was assigned least recently; otherwise the lowest share of capacity in use
+        CASE WHEN effective_strategy = 'round_robin' THEN NULL ELSE c.load END ASC NULLS FIRST,
+        c.last_assigned_at ASC NULLS FIRST,
+        c.display_name
+    LIMIT 1;
+
+    IF chosen.user_id IS NULL THEN
+        decision_outcome := 'queued';
+        decision_reason := CASE
+            WHEN effective_strategy = 'queue' THEN 'No agent with a matching specialty is available'
+            ELSE 'No eligible agent is available'
+        END;
+    ELSE
+        decision_outcome := 'assigned';
+        decision_reason := CASE settings.strategy
+            WHEN 'round_robin' THEN 'Next in rotation'
+            WHEN 'least_loaded' THEN format('Lowest load (%s of %s)', chosen.current_count, chosen.max_count)
+            WHEN 'priority_first' THEN format('%s priority, lowest load (%s of %s)', initcap(handoff.priority), chosen.current_count, chosen.max_count)
+            WHEN 'skill_match' THEN CASE
+                WHEN cardinality(chosen.matched) > 0 THEN 'Specialty match: ' || array_to_string(chosen.matched, ', ')
+                WHEN cardinality(required) > 0 THEN 'No specialty match, fell back to ' || replace(effective_strategy, '_', ' ')
+                ELSE format('No specialty requested, lowest load (%s of %s)', chosen.current_count, chosen.max_count)
+            END
+        END;
+
+        UPDATE conversation_handoffs
+        SET assigned_to = chosen.user_id,
+            status = 'assigned',
+            assigned_at = NOW(),
+            routing_reason = decision_reason
+        WHERE id = handoff.id;
+
+        UPDATE conversations
+        SET handoff_status = 'assigned',
+            assigned_human_agent = chosen.user_id
+        WHERE id = handoff.conversation_id;
+
+        UPDATE human_agent_profiles
+        SET current_conversation_count = COALESCE(current_conversation_count, 0) + 1,
+            last_assigned_at = NOW()
+        WHERE id = chosen.profile_id;
+
+        INSERT INTO notifications (user_id, type, title, message, link)
+        VALUES (chosen.user_id, 'handoff_requested', 'Handoff assigned to you',
+            'A ' || handoff.priority || ' priority conversation was routed to you: ' || decision_reason,
+            '/handoff?conversationId=' || handoff.conversation_id);
+    END IF;
+
+    INSERT INTO handoff_routing_decisions (
+        organization_id, handoff_id, conversation_id, strategy, outcome, assigned_to, reason,
+        required_specialties, candidates
+    )
+    VALUES (
+        handoff.organization_id, handoff.id, handoff.conversation_id, settings.strategy, decision_outcome,
+        chosen.user_id, decision_reason, required, COALESCE(candidate_list, '[]'::jsonb)
+    );
+
+    RETURN chosen.user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Route the organization's queue, highest priority and oldest first, e.g. after an agent comes
+-- online or an escalation hands a handoff back. Returns how many were assigned.
+CREATE OR REPLACE FUNCTION route_pending_handoffs(org_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    pending RECORD;
+    assigned INTEGER := 0;
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT member_has_permission(org_id, auth.uid(), 'handoff.manage')
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to route handoffs in organization %', org_id;
+    END IF;
+
+    FOR pending IN
+        SELECT id FROM conversation_handoffs
+        WHERE organization_id = org_id AND status = 'pending' AND assigned_to IS NULL
+        ORDER BY CASE priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 ELSE 3 END, requested_at
+    LOOP
+        IF route_handoff(pending.id) IS NOT NULL THEN
+            assigned := assigned + 1;
+        END IF;
+    END LOOP;
+
+    RETURN assigned;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Internal to the trigger below and the backend
+REVOKE ALL ON FUNCTION route_handoff(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION route_handoff(UUID) TO service_role;
+REVOKE ALL ON FUNCTION route_pending_handoffs(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION route_pending_handoffs(UUID) TO authenticated, service_role;
+
+CREATE OR REPLACE FUNCTION route_new_handoff()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM route_handoff(NEW.id);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS conversation_handoffs_route ON conversation_handoffs;
+CREATE TRIGGER conversation_handoffs_route
+    AFTER INSERT ON conversation_handoffs
+    FOR EACH ROW
+    WHEN (NEW.status = 'pending' AND NEW.assigned_to IS NULL)
+    EXECUTE FUNCTION route_new_handoff();
+
+-- Verify the tables were created
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('handoff_routing_settings', 'handoff_routing_decisions')
+ORDER BY table_name;
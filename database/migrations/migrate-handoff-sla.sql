@@ -0,0 +1,186 @@
+-- Handoff SLA Migration
+-- Run this in Supabase SQL Editor to add per-priority SLA targets and
+-- automatic escalation of handoffs that are not accepted in time
+-- Requires migrate-handoff-routing.sql (route_handoff)
+
+-- One SLA policy per organization; targets are minutes from requested_at
+CREATE TABLE IF NOT EXISTS handoff_sla_policies (
+    organization_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+    targets JSONB NOT NULL DEFAULT '{
+        "normal": {"accept_minutes": 30, "resolve_minutes": 240},
+        "high": {"accept_minutes": 10, "resolve_minutes": 120},
+        "urgent": {"accept_minutes": 5, "resolve_minutes": 60}
+    }'::jsonb,
+    escalation_enabled BOOLEAN NOT NULL DEFAULT true,
+    escalation_raise_priority BOOLEAN NOT NULL DEFAULT true,
+    escalation_notify_admins BOOLEAN NOT NULL DEFAULT true,
+    escalation_reassign BOOLEAN NOT NULL DEFAULT false,
+    updated_by UUID REFERENCES auth.users(id),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Auto-routed handoffs are assigned before an agent accepts them, so acceptance is tracked separately
+ALTER TABLE conversation_handoffs
+ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMPTZ;
+
+ALTER TABLE conversation_handoffs
+ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMPTZ;
+
+ALTER TABLE conversation_handoffs
+ADD COLUMN IF NOT EXISTS escalation_count INTEGER DEFAULT 0;
+
+-- Targets in effect when the handoff was requested, so policy changes don't rewrite history
+ALTER TABLE conversation_handoffs
+ADD COLUMN IF NOT EXISTS accept_due_at TIMESTAMPTZ;
+
+ALTER TABLE conversation_handoffs
+ADD COLUMN IF NOT EXISTS resolve_due_at TIMESTAMPTZ;
+
+-- Stamp the organization's current targets on each new handoff (defaults when it has no policy)
+CREATE OR REPLACE FUNCTION set_handoff_sla_due_times()
+RETURNS TRIGGER AS $$
+DECLARE
+    target JSONB;
+BEGIN
+    SELECT p.targets -> CASE WHEN NEW.priority IN ('high', 'urgent') THEN NEW.priority ELSE 'normal' END
+    INTO target
+    FROM handoff_sla_policies p
+    WHERE p.organization_id = NEW.organization_id;
+
+    target := COALESCE(target, CASE NEW.priority
+        WHEN 'urgent' THEN '{"accept_minutes": 5, "resolve_minutes": 60}'::jsonb
+        WHEN 'high' THEN '{"accept_minutes": 10, "resolve_minutes": 120}'::jsonb
+        ELSE '{"accept_minutes": 30, "resolve_minutes": 240}'::jsonb
+    END);
+
+    NEW.requested_at := COALESCE(NEW.requested_at, NOW());
+    NEW.accept_due_at := COALESCE(NEW.accept_due_at,
+        NEW.requested_at + make_interval(mins => (target ->> 'accept_minutes')::INTEGER));
+    NEW.resolve_due_at := COALESCE(NEW.resolve_due_at,
+        NEW.requested_at + make_interval(mins => (target ->> 'resolve_minutes')::INTEGER));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS conversation_handoffs_sla_due_times ON conversation_handoffs;
+CREATE TRIGGER conversation_handoffs_sla_due_times
+    BEFORE INSERT ON conversation_handoffs
+    FOR EACH ROW
+    EXECUTE FUNCTION set_handoff_sla_due_times();
+
+-- Backfill handoffs that were open before this migration
+UPDATE conversation_handoffs h
+SET accept_due_at = COALESCE(h.accept_due_at, h.requested_at + make_interval(mins => (t.target ->> 'accept_minutes')::INTEGER)),
+    resolve_due_at = COALESCE(h.resolve_due_at, h.requested_at + make_interval(mins => (t.target ->> 'resolve_minutes')::INTEGER))
+FROM (
+    SELECT h2.id, COALESCE(
+        p.targets -> CASE WHEN h2.priority IN ('high', 'urgent') THEN h2.priority ELSE 'normal' END,
+        CASE h2.priority
+            WHEN 'urgent' THEN '{"accept_minutes": 5, "resolve_minutes": 60}'::jsonb
+            WHEN 'high' THEN '{"accept_minutes": 10, "resolve_minutes": 120}'::jsonb
+            ELSE '{"accept_minutes": 30, "resolve_minutes": 240}'::jsonb
+        END
+    ) AS target
+    FROM conversation_handoffs h2
+    LEFT JOIN handoff_sla_policies p ON p.organization_id = h2.organization_id
+) t
+WHERE t.id = h.id
+AND h.status IN ('pending', 'assigned')
+AND (h.accept_due_at IS NULL OR h.resolve_due_at IS NULL)
+AND h.requested_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_conversation_handoffs_accept_due
+ON conversation_handoffs(accept_due_at)
+WHERE accepted_at IS NULL AND status IN ('pending', 'assigned');
+
+-- Escalate every handoff past its accept target. Each run escalates a handoff at most once
+-- per target window, so a handoff ignored for three windows has escalation_count = 3.
+-- Reassignment clears the assignee and hands the handoff back to route_handoff.
+CREATE OR REPLACE FUNCTION escalate_overdue_handoffs()
+RETURNS INTEGER AS $$
+DECLARE
+    handoff RECORD;
+    escalated INTEGER := 0;
+BEGIN
+    FOR handoff IN
+        SELECT h.*, p.escalation_raise_priority, p.escalation_notify_admins, p.escalation_reassign
+        FROM conversation_handoffs h
+        JOIN handoff_sla_policies p ON p.organization_id = h.organization_id
+        WHERE p.escalation_enabled
+        AND h.accepted_at IS NULL
+        AND h.status IN ('pending', 'assigned')
+        AND h.accept_due_at IS NOT NULL
+        AND NOW() > h.accept_due_at + (h.accept_due_at - h.requested_at) * COALESCE(h.escalation_count, 0)
+    LOOP
+        UPDATE conversation_handoffs
+        SET escalated_at = NOW(),
+            escalation_count = COALESCE(escalation_count, 0) + 1,
+            priority = CASE
+                WHEN handoff.escalation_raise_priority AND priority IN ('low', 'normal') THEN 'high'
+                WHEN handoff.escalation_raise_priority AND priority = 'high' THEN 'urgent'
+                ELSE priority
+            END,
+            assigned_to = CASE WHEN handoff.escalation_reassign THEN NULL ELSE assigned_to END,
+            status = CASE WHEN handoff.escalation_reassign THEN 'pending' ELSE status END
+        WHERE id = handoff.id;
+
+        IF handoff.escalation_reassign THEN
+            PERFORM route_handoff(handoff.id);
+        END IF;
+
+        IF handoff.escalation_notify_admins THEN
+            INSERT INTO notifications (user_id, type, title, message, link)
+            SELECT m.user_id,
+                   'handoff_escalated',
+                   'Handoff escalated',
+                   'A ' || handoff.priority || ' priority handoff has not been accepted within its SLA',
+                   '/handoff?conversationId=' || handoff.conversation_id
+            FROM organization_members m
+            WHERE m.organization_id = handoff.organization_id
+            AND m.role IN ('admin', 'moderator');
+        END IF;
+
+        escalated := escalated + 1;
+    END LOOP;
+
+    RETURN escalated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION escalate_overdue_handoffs() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION escalate_overdue_handoffs() TO service_role;
+
+-- Run the escalation check every minute with pg_cron. Without the extension the backend has to
+-- call escalate_overdue_handoffs() on the same schedule.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+        PERFORM cron.schedule('escalate-overdue-handoffs', '* * * * *', 'SELECT escalate_overdue_handoffs()');
+    END IF;
+END $$;
+
+ALTER TABLE handoff_sla_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view SLA policy" ON handoff_sla_policies
+    FOR SELECT USING (
+        organization_id IN (
+            SELECT organization_id FROM organization_members
+            WHERE user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Admins can manage SLA policy" ON handoff_sla_policies
+    FOR ALL USING (
+        organization_id IN (
+            SELECT organization_id FROM organization_members
+            WHERE user_id = auth.uid()
+            AND role IN ('admin', 'moderator')
+        )
+    );
+
+-- Verify the columns were added
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'conversation_handoffs'
+AND column_name IN ('accepted_at', 'escalated_at', 'escalation_count', 'accept_due_at', 'resolve_due_at')
+ORDER BY column_name;
@@ -0,0 +1,87 @@
+-- Human Agent Presence Migration
+-- Run this in Supabase SQL Editor to track human agent availability from
+-- client heartbeats (POST /api/human-agents/presence every 30 seconds)
+
+-- Requires migrate-handoff-routing.sql (adds human_agent_profiles.status)
+ALTER TABLE human_agent_profiles
+ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;
+
+ALTER TABLE human_agent_profiles
+ADD COLUMN IF NOT EXISTS is_idle BOOLEAN DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_human_agent_profiles_last_seen
+ON human_agent_profiles(organization_id, last_seen_at);
+
+-- Agents whose browser stopped sending heartbeats (closed tab, lost connection) go offline
+-- after two missed beats
+CREATE OR REPLACE FUNCTION mark_stale_human_agents_offline()
+RETURNS INTEGER AS $$
+DECLARE
+    updated INTEGER;
+BEGIN
+    UPDATE human_agent_profiles
+    SET status = 'offline',
+        is_idle = false
+    WHERE status <> 'offline'
+    AND (last_seen_at IS NULL OR last_seen_at < NOW() - INTERVAL '90 seconds');
+
+    GET DIAGNOSTICS updated = ROW_COUNT;
+    RETURN updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION mark_stale_human_agents_offline() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION mark_stale_human_agents_offline() TO service_role;
+
+-- Sweep every minute with pg_cron. Without the extension the backend has to call
+-- mark_stale_human_agents_offline() on the same schedule.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+        PERFORM cron.schedule('mark-stale-human-agents-offline', '* * * * *', 'SELECT mark_stale_human_agents_offline()');
+    END IF;
+END $$;
+
+-- Heartbeat from POST /api/human-agents/presence. Agents can only change their own availability;
+-- capacity, specialties and activation stay with admins.
+CREATE OR REPLACE FUNCTION set_my_presence(new_status TEXT, idle BOOLEAN DEFAULT false)
+RETURNS VOID AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF new_status NOT IN ('available', 'busy', 'offline') THEN
+        RAISE EXCEPTION 'Invalid presence status: %', new_status;
+    END IF;
+
+    UPDATE human_agent_profiles
+    SET status = new_status,
+        is_idle = COALESCE(idle, false),
+        last_seen_at = NOW()
+    WHERE user_id = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION set_my_presence(TEXT, BOOLEAN) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION set_my_presence(TEXT, BOOLEAN) TO authenticated;
+
+-- Agents that routing and handoff notifications should target; offline agents are skipped.
+-- Runs with the caller's permissions so human_agent_profiles RLS still applies.
+CREATE OR REPLACE VIEW online_human_agents
+WITH (security_invoker = true) AS
+SELECT *
+FROM human_agent_profiles
+WHERE is_active = true
+AND status <> 'offline'
+AND last_seen_at >= NOW() - INTERVAL '90 seconds';
+
+-- Agents update their presence through set_my_presence, not by writing the row
+DROP POLICY IF EXISTS "Human agents can update their own presence" ON human_agent_profiles;
+
+-- Verify the columns were added
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'human_agent_profiles'
+AND column_name IN ('status', 'last_seen_at', 'is_idle')
+ORDER BY column_name;
@@ -0,0 +1,120 @@
+-- Issue Triage Migration
+-- Run this in Supabase SQL Editor to support duplicate linking and resolution notices on /admin/issues
+-- Requires database/schemas/admin-dashboard-schema.sql (issues, issue_activities, dev_members)
+--
+-- Similar issues are grouped in the admin UI (lib/issues/triage.ts); linking one as a duplicate
+-- closes it and points it at the issue being kept. When an issue moves to resolved, its reporter and
+-- the reporters of every linked duplicate get an issue_resolved notification.
+
+-- 1. Duplicate links
+ALTER TABLE public.issues
+    ADD COLUMN IF NOT EXISTS duplicate_of_id UUID REFERENCES public.issues(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_issues_duplicate_of ON public.issues(duplicate_of_id);
+-- Workload counts active issues per assignee
+CREATE INDEX IF NOT EXISTS idx_issues_assigned_status ON public.issues(assigned_to, status);
+
+-- 2. Link an issue to the one it duplicates
+CREATE OR REPLACE FUNCTION merge_issue(source_id UUID, target_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    source public.issues%ROWTYPE;
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT EXISTS (
+            SELECT 1 FROM dev_members dm
+            WHERE dm.user_id = auth.uid() AND dm.is_active = true
+        )
+    ) THEN
+        RAISE EXCEPTION 'Only the team can link issues';
+    END IF;
+
+    IF source_id = target_id THEN
+        RAISE EXCEPTION 'An issue cannot be a duplicate of itself';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.issues WHERE id = target_id AND duplicate_of_id IS NOT NULL) THEN
+        RAISE EXCEPTION 'Issue % is itself a duplicate', target_id;
+    END IF;
+
+    SELECT * INTO source FROM public.issues WHERE id = source_id FOR UPDATE;
+
+    -- Issues already linked to the source follow it
+    UPDATE public.issues SET duplicate_of_id = target_id WHERE duplicate_of_id = source_id;
+
+    UPDATE public.issues
+    SET duplicate_of_id = target_id,
+        status = 'closed',
+        closed_at = COALESCE(closed_at, NOW())
+    WHERE id = source_id;
+
+    -- Keep the duplicate's tags and recording on the issue being worked on
+    UPDATE public.issues
+    SET tags = ARRAY(SELECT DISTINCT unnest(COALESCE(tags, ARRAY[]::TEXT[]) || COALESCE(source.tags, ARRAY[]::TEXT[]))),
+        posthog_recording_url = COALESCE(posthog_recording_url, source.posthog_recording_url)
+    WHERE id = target_id;
+
+    INSERT INTO public.issue_activities (issue_id, user_id, action, old_value, new_value, comment)
+    VALUES
+        (source_id, auth.uid(), 'closed', jsonb_build_object('status', source.status),
+            jsonb_build_object('status', 'closed', 'duplicate_of_id', target_id), 'Linked as a duplicate'),
+        (target_id, auth.uid(), 'updated', NULL,
+            jsonb_build_object('linked_duplicate_id', source_id), 'Duplicate linked: ' || source.subject);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION merge_issue(UUID, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION merge_issue(UUID, UUID) TO authenticated, service_role;
+
+-- 3. Tell reporters when their issue is resolved
+CREATE OR REPLACE FUNCTION issue_before_resolve()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'resolved' AND OLD.status IS DISTINCT FROM 'resolved' THEN
+        NEW.resolved_at := COALESCE(NEW.resolved_at, NOW());
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS issues_before_resolve ON public.issues;
+CREATE TRIGGER issues_before_resolve
+    BEFORE UPDATE OF status ON public.issues
+    FOR EACH ROW EXECUTE FUNCTION issue_before_resolve();
+
+CREATE OR REPLACE FUNCTION issue_after_resolve()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'resolved' AND OLD.status IS DISTINCT FROM 'resolved' THEN
+        INSERT INTO notifications (user_id, type, title, message, data)
+        SELECT reporter.user_id,
+               'issue_resolved',
+               'Your issue has been resolved',
+               reporter.subject || COALESCE(': ' || NULLIF(NEW.resolution_notes, ''), ''),
+               jsonb_build_object('issue_id', reporter.id, 'resolved_issue_id', NEW.id)
+        FROM (
+            SELECT DISTINCT ON (user_id) id, user_id, subject
+            FROM public.issues
+            WHERE (id = NEW.id OR duplicate_of_id = NEW.id) AND user_id IS NOT NULL
+            -- One notice per reporter, naming the resolved issue when they filed it themselves
+            ORDER BY user_id, (id = NEW.id) DESC, created_at
+        ) reporter;
+
+        INSERT INTO public.issue_activities (issue_id, user_id, action, old_value, new_value, comment)
+        VALUES (NEW.id, auth.uid(), 'resolved', jsonb_build_object('status', OLD.status),
+            jsonb_build_object('status', NEW.status), NULLIF(NEW.resolution_notes, ''));
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS issues_after_resolve ON public.issues;
+CREATE TRIGGER issues_after_resolve
+    AFTER UPDATE OF status ON public.issues
+    FOR EACH ROW EXECUTE FUNCTION issue_after_resolve();
+
+-- Verify the column and triggers
+SELECT
+    (SELECT COUNT(*) FROM information_schema.columns
+        WHERE table_name = 'issues' AND column_name = 'duplicate_of_id') AS duplicate_column,
+    (SELECT COUNT(*) FROM pg_trigger WHERE tgname IN ('issues_before_resolve', 'issues_after_resolve')) AS triggers;
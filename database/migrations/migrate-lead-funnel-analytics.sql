@@ -0,0 +1,39 @@
+-- Lead Funnel Analytics Migration
+-- Run this in Supabase SQL Editor to back the /analytics funnel
+-- Stages: conversation → contact captured → BANT qualified → priority/hot
+
+-- One row per conversation with the funnel flags of the lead it produced (if any)
+CREATE OR REPLACE VIEW lead_funnel_facts
+WITH (security_invoker = true) AS
+SELECT
+    c.id AS conversation_id,
+    c.organization_id,
+    c.agent_id,
+    COALESCE(c.source, 'web') AS source,
+    c.started_at,
+    l.id AS lead_id,
+    (l.id IS NOT NULL AND (l.mobile_number IS NOT NULL OR l.email IS NOT NULL)) AS contact_captured,
+    (l.budget_range IS NOT NULL) AS budget_answered,
+    (l.authority IS NOT NULL) AS authority_answered,
+    (l.need IS NOT NULL) AS need_answered,
+    (l.timeline IS NOT NULL) AS timeline_answered,
+    (
+        l.budget_range IS NOT NULL
+        AND l.authority IS NOT NULL
+        AND l.need IS NOT NULL
+        AND l.timeline IS NOT NULL
+    ) AS bant_qualified,
+    (LOWER(l.lead_classification) IN ('hot', 'priority')) AS priority_hot
+FROM conversations c
+LEFT JOIN leads l ON l.conversation_id = c.id;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_org_started
+ON conversations(organization_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_leads_conversation
+ON leads(conversation_id);
+
+-- Verify the view was created
+SELECT table_name
+FROM information_schema.views
+WHERE table_name = 'lead_funnel_facts';
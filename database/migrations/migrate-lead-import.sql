@@ -0,0 +1,58 @@
+-- Lead CSV Import Migration
+-- Run this in Supabase SQL Editor to accept leads imported from CSV files
+-- (open houses, property portals, spreadsheets)
+
+-- Where an imported lead originally came from, as written in the file
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS source_detail TEXT;
+
+-- Imported leads use the 'import' source
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'leads_source_check'
+    ) THEN
+        ALTER TABLE leads DROP CONSTRAINT leads_source_check;
+    END IF;
+
+    ALTER TABLE leads
+    ADD CONSTRAINT leads_source_check
+    CHECK (source IN ('website', 'web', 'facebook', 'embed', 'import'));
+END $$;
+
+-- Duplicate detection looks leads up by email and phone within an organization
+CREATE INDEX IF NOT EXISTS idx_leads_org_email
+ON leads(organization_id, LOWER(email))
+WHERE email IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leads_org_mobile
+ON leads(organization_id, mobile_number)
+WHERE mobile_number IS NOT NULL;
+
+-- Phones are compared on their last 10 digits (normalizePhone in lib/leads/import.ts)
+CREATE INDEX IF NOT EXISTS idx_leads_org_mobile_last10
+ON leads(organization_id, RIGHT(regexp_replace(mobile_number, '\D', '', 'g'), 10))
+WHERE mobile_number IS NOT NULL;
+
+-- Existing leads that share an email or phone with an import file, for POST /api/leads/import/duplicates.
+-- Runs as the caller, so RLS keeps the lookup inside their organization.
+CREATE OR REPLACE FUNCTION find_existing_lead_contacts(org_id UUID, candidate_emails TEXT[], candidate_phones TEXT[])
+RETURNS TABLE (id UUID, name TEXT, email TEXT, phone TEXT) AS $$
+    SELECT l.id, l.full_name, l.email, l.mobile_number
+    FROM leads l
+    WHERE l.organization_id = org_id
+    AND (
+        LOWER(l.email) = ANY(candidate_emails)
+        OR RIGHT(regexp_replace(l.mobile_number, '\D', '', 'g'), 10) = ANY(candidate_phones)
+    );
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION find_existing_lead_contacts(UUID, TEXT[], TEXT[]) TO authenticated;
+
+-- Verify the column was added
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'leads'
+AND column_name IN ('source_detail')
+ORDER BY column_name;
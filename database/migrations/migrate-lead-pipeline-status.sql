@@ -0,0 +1,81 @@
+-- Lead Pipeline Stages Migration
+-- Run this in Supabase SQL Editor to track leads past BANT qualification
+-- Stages: new → contacted → qualified → converted / lost
+
+-- Current pipeline stage on the lead itself (BANT lead_classification is unchanged)
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'new';
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+UPDATE leads SET status = 'new' WHERE status IS NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'leads_status_check'
+    ) THEN
+        ALTER TABLE leads
+        ADD CONSTRAINT leads_status_check
+        CHECK (status IN ('new', 'contacted', 'qualified', 'converted', 'lost'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_leads_status
+ON leads(organization_id, status);
+
+-- Who moved a lead and why
+CREATE TABLE IF NOT EXISTS lead_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    from_status TEXT CHECK (from_status IN ('new', 'contacted', 'qualified', 'converted', 'lost')),
+    to_status TEXT NOT NULL CHECK (to_status IN ('new', 'contacted', 'qualified', 'converted', 'lost')),
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reason TEXT,
+    changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_status_history_lead
+ON lead_status_history(lead_id, changed_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_lead_status_history_org
+ON lead_status_history(organization_id, changed_at DESC);
+
+-- Enable RLS
+ALTER TABLE lead_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Organization members can view lead status history" ON lead_status_history
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM organization_members
+            WHERE organization_members.organization_id = lead_status_history.organization_id
+            AND organization_members.user_id = auth.uid()
+        )
+    );
+
+-- Members record their own changes, and only for leads in their organization
+DROP POLICY IF EXISTS "Organization members can record lead status changes" ON lead_status_history;
+CREATE POLICY "Organization members can record lead status changes" ON lead_status_history
+    FOR INSERT WITH CHECK (
+        changed_by = auth.uid()
+        AND EXISTS (
+            SELECT 1 FROM organization_members
+            WHERE organization_members.organization_id = lead_status_history.organization_id
+            AND organization_members.user_id = auth.uid()
+        )
+        AND EXISTS (
+            SELECT 1 FROM leads
+            WHERE leads.id = lead_status_history.lead_id
+            AND leads.organization_id = lead_status_history.organization_id
+        )
+    );
+
+-- Verify the columns were added
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'leads'
+AND column_name IN ('status', 'status_changed_at')
+ORDER BY column_name;
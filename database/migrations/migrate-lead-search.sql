@@ -0,0 +1,167 @@
+-- Lead Search Migration
+-- Run this in Supabase SQL Editor to back the /leads and admin organization leads search with ranked, typo-tolerant matching
+-- Requires migrate-leads-organization-id.sql (organization_id) and migrate-organization-permissions.sql (member_has_permission)
+--
+-- Replaces the ILIKE chain in database/scripts/update-search-leads-fuzzy.sql. Names match through trigram
+-- word similarity, so "Jhon Dela Cruz" still finds "John dela Cruz". Phone numbers are compared on their
+-- last 10 digits, as lead import duplicate detection does (normalizePhone in lib/leads/import.ts), so
+-- +63 917..., 0917... and 917... are the same number. Highlights use chr(2) ... chr(3) like conversation search.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 1. Normalized phone and indexed search columns
+CREATE OR REPLACE FUNCTION normalize_lead_phone(phone TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(RIGHT(regexp_replace(COALESCE(phone, ''), '\D', '', 'g'), 10), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Partial numbers have no last 10 digits to compare, so drop the +63 / 0 prefix in front of a mobile number instead
+CREATE OR REPLACE FUNCTION normalize_lead_phone_query(q TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(RIGHT(regexp_replace(regexp_replace(COALESCE(q, ''), '\D', '', 'g'), '^(63|0)(?=9)', ''), 10), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS mobile_normalized TEXT
+    GENERATED ALWAYS AS (normalize_lead_phone(mobile_number)) STORED;
+
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple'::regconfig, COALESCE(full_name, '')), 'A') ||
+        setweight(to_tsvector('simple'::regconfig, COALESCE(email, '')), 'B') ||
+        setweight(to_tsvector('english'::regconfig,
+            COALESCE(need_details, '') || ' ' || COALESCE(budget_details, '') || ' ' || COALESCE(authority_details, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_leads_full_name_trgm ON leads USING GIN (full_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_leads_email_trgm ON leads USING GIN (email gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_leads_mobile_normalized_trgm ON leads USING GIN (mobile_normalized gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_leads_search_vector ON leads USING GIN (search_vector);
+
+-- 2. Wrap the words of a value that match any word of the query
+CREATE OR REPLACE FUNCTION highlight_lead_match(value TEXT, q TEXT)
+RETURNS TEXT AS $$
+    SELECT string_agg(
+        CASE WHEN EXISTS (
+            SELECT 1 FROM regexp_split_to_table(lower(q), '\s+') AS term
+            WHERE term <> ''
+              AND (lower(word) LIKE term || '%' OR similarity(lower(word), term) >= 0.4)
+        ) THEN chr(2) || word || chr(3) ELSE word END,
+        ' ' ORDER BY position
+    )
+    FROM regexp_split_to_table(value, '\s+') WITH ORDINALITY AS words(word, position);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- 3. Ranked search
+CREATE OR REPLACE FUNCTION search_leads(
+    q TEXT,
+    org_id UUID,
+    result_limit INTEGER DEFAULT 25,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    lead_id UUID,
+    rank REAL,
+    matched_fields TEXT[],
+    highlights JSONB,
+    total_count BIGINT
+) AS $$
+DECLARE
+    term TEXT := btrim(COALESCE(q, ''));
+    phone_query TEXT := normalize_lead_phone_query(q);
+    text_query tsquery := websearch_to_tsquery('simple', btrim(COALESCE(q, '')));
+    details_query tsquery := websearch_to_tsquery('english', btrim(COALESCE(q, '')));
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT member_has_permission(org_id, auth.uid(), 'leads.view')
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to search leads in organization %', org_id;
+    END IF;
+
+    IF length(term) < 2 THEN
+        RETURN;
+    END IF;
+
+    -- Fewer than four digits match half the phone book
+    IF length(COALESCE(phone_query, '')) < 4 THEN
+        phone_query := NULL;
+    END IF;
+
+    RETURN QUERY
+    WITH candidates AS (
+        SELECT l.id, l.created_at, l.full_name, l.email, l.mobile_number,
+               COALESCE(word_similarity(term, l.full_name), 0) AS name_score,
+               CASE WHEN l.email ILIKE '%' || term || '%' THEN 1.0
+                    ELSE COALESCE(word_similarity(term, l.email), 0) END AS email_score,
+               CASE WHEN phone_query IS NOT NULL AND l.mobile_normalized LIKE '%' || phone_query || '%' THEN 1.0
+                    ELSE 0 END AS phone_score,
+               ts_rank_cd(l.search_vector, text_query || details_query) AS text_score
+        FROM leads l
+        WHERE l.organization_id = org_id
+          AND (
+              term <% l.full_name
+              OR l.email ILIKE '%' || term || '%'
+              OR term <% l.email
+              OR (phone_query IS NOT NULL AND l.mobile_normalized LIKE '%' || phone_query || '%')
+              OR l.search_vector @@ (text_query || details_query)
+          )
+    ),
+    ranked AS (
+        SELECT candidates.*,
+               -- Identity fields outrank a mention in the BANT notes
+               GREATEST(name_score, email_score * 0.9, phone_score, LEAST(text_score, 1) * 0.5)::REAL AS score,
+               COUNT(*) OVER () AS total
+        FROM candidates
+        ORDER BY score DESC, created_at DESC
+        LIMIT result_limit OFFSET result_offset
+    )
+    SELECT ranked.id,
+           ranked.score,
+           array_remove(ARRAY[
+               CASE WHEN name_score >= 0.3 THEN 'full_name' END,
+               CASE WHEN email_score >= 0.3 THEN 'email' END,
+               CASE WHEN phone_score > 0 THEN 'mobile_number' END,
+               CASE WHEN text_score > 0 AND GREATEST(name_score, email_score, phone_score) < 0.3 THEN 'details' END
+           ], NULL),
+           jsonb_strip_nulls(jsonb_build_object(
+               'full_name', CASE WHEN name_score >= 0.3 THEN highlight_lead_match(ranked.full_name, term) END,
+               'email', CASE WHEN email_score >= 0.3 THEN chr(2) || ranked.email || chr(3) END,
+               'mobile_number', CASE WHEN phone_score > 0 THEN chr(2) || ranked.mobile_number || chr(3) END
+           )),
+           ranked.total
+    FROM ranked
+    ORDER BY ranked.score DESC, ranked.created_at DESC;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER
+-- Below the 0.6 default so one or two mistyped letters in a name still match
+SET pg_trgm.word_similarity_threshold = 0.3;
+
+REVOKE ALL ON FUNCTION search_leads(TEXT, UUID, INTEGER, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION search_leads(TEXT, UUID, INTEGER, INTEGER) TO authenticated, service_role;
+
+-- 4. Keep the old entry point for existing callers, now ranked by relevance.
+-- org_id is no longer optional: a search never spans organizations.
+DROP FUNCTION IF EXISTS search_leads_fuzzy(TEXT, UUID);
+
+CREATE OR REPLACE FUNCTION search_leads_fuzzy(q TEXT, org_id UUID)
+RETURNS SETOF leads AS $$
+    SELECT l.*
+    FROM search_leads(q, org_id, 1000, 0) s
+    JOIN leads l ON l.id = s.lead_id
+    ORDER BY s.rank DESC, l.created_at DESC;
+$$ LANGUAGE sql STABLE;
+
+REVOKE ALL ON FUNCTION search_leads_fuzzy(TEXT, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION search_leads_fuzzy(TEXT, UUID) TO authenticated, service_role;
+
+COMMENT ON FUNCTION search_leads_fuzzy(TEXT, UUID) IS 'Deprecated: use search_leads, which pages and returns highlights';
+
+-- Verify the columns, indexes and function
+SELECT
+    (SELECT COUNT(*) FROM information_schema.columns
+        WHERE table_name = 'leads' AND column_name IN ('mobile_normalized', 'search_vector')) AS search_columns,
+    (SELECT COUNT(*) FROM pg_indexes
+        WHERE indexname IN ('idx_leads_full_name_trgm', 'idx_leads_email_trgm',
+                            'idx_leads_mobile_normalized_trgm', 'idx_leads_search_vector')) AS search_indexes,
+    (SELECT COUNT(*) FROM pg_proc WHERE proname = 'search_leads') AS search_function;
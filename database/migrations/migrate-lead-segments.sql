@@ -0,0 +1,87 @@
+-- Lead Segments Migration
+-- Run this in Supabase SQL Editor to store saved lead views ("smart segments")
+-- Criteria are evaluated live by GET /api/leads?segment_id=... so counts stay current
+
+CREATE TABLE IF NOT EXISTS lead_segments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    criteria JSONB NOT NULL DEFAULT '{}'::jsonb,
+    visibility TEXT NOT NULL DEFAULT 'private'
+        CHECK (visibility IN ('private', 'organization')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Pinning is per user, so a shared segment can be pinned by some members and not others
+CREATE TABLE IF NOT EXISTS lead_segment_pins (
+    segment_id UUID NOT NULL REFERENCES lead_segments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    pinned_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (segment_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_segments_org ON lead_segments(organization_id, visibility);
+CREATE INDEX IF NOT EXISTS idx_lead_segments_created_by ON lead_segments(created_by);
+CREATE INDEX IF NOT EXISTS idx_lead_segment_pins_user ON lead_segment_pins(user_id);
+
+-- Segment criteria filter on these columns
+CREATE INDEX IF NOT EXISTS idx_leads_org_created_at ON leads(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_org_lead_score ON leads(organization_id, lead_score);
+
+ALTER TABLE lead_segments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lead_segment_pins ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view shared and own segments" ON lead_segments
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM organization_members
+            WHERE organization_members.organization_id = lead_segments.organization_id
+            AND organization_members.user_id = auth.uid()
+        )
+        AND (visibility = 'organization' OR created_by = auth.uid())
+    );
+
+CREATE POLICY "Members can create segments" ON lead_segments
+    FOR INSERT WITH CHECK (
+        created_by = auth.uid()
+        AND EXISTS (
+            SELECT 1 FROM organization_members
+            WHERE organization_members.organization_id = lead_segments.organization_id
+            AND organization_members.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Owners and admins can update segments" ON lead_segments
+    FOR UPDATE USING (
+        created_by = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM organization_members
+            WHERE organization_members.organization_id = lead_segments.organization_id
+            AND organization_members.user_id = auth.uid()
+            AND organization_members.role IN ('admin', 'moderator')
+        )
+    );
+
+CREATE POLICY "Owners and admins can delete segments" ON lead_segments
+    FOR DELETE USING (
+        created_by = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM organization_members
+            WHERE organization_members.organization_id = lead_segments.organization_id
+            AND organization_members.user_id = auth.uid()
+            AND organization_members.role IN ('admin', 'moderator')
+        )
+    );
+
+CREATE POLICY "Users manage their own pins" ON lead_segment_pins
+    FOR ALL USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+-- Verify the tables were created
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('lead_segments', 'lead_segment_pins')
+ORDER BY table_name;
@@ -0,0 +1,112 @@
+-- Notification Delivery Rules Migration
+-- Run this in Supabase SQL Editor to store quiet hours, email digests and escalation rules
+-- Settings are saved through PUT /api/notifications/preferences as quietHours, digest and escalationRules
+
+ALTER TABLE IF EXISTS notification_preferences
+ADD COLUMN IF NOT EXISTS quiet_hours JSONB DEFAULT '{"enabled": false, "start": "22:00", "end": "07:00", "timezone": "UTC", "allowCritical": true}'::jsonb;
+
+ALTER TABLE IF EXISTS notification_preferences
+ADD COLUMN IF NOT EXISTS digest JSONB DEFAULT '{"frequency": "off", "dailyAt": "08:00", "maxPriority": "low", "types": []}'::jsonb;
+
+ALTER TABLE IF EXISTS notification_preferences
+ADD COLUMN IF NOT EXISTS escalation_rules JSONB DEFAULT '[]'::jsonb;
+
+-- Columns the dashboard already reads but early notifications tables did not have
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT 'medium';
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS data JSONB;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_unread_created_at
+ON notifications(created_at)
+WHERE read = false AND escalated_at IS NULL;
+
+-- Emails held for the next digest (or until quiet hours end)
+CREATE TABLE IF NOT EXISTS notification_digest_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    notification_id UUID NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+    scheduled_for TIMESTAMPTZ NOT NULL,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, notification_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_digest_items_due
+ON notification_digest_items(scheduled_for)
+WHERE sent_at IS NULL;
+
+ALTER TABLE notification_digest_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own digest items" ON notification_digest_items
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE OR REPLACE FUNCTION notification_priority_rank(priority TEXT)
+RETURNS INTEGER AS $$
+    SELECT CASE priority
+        WHEN 'low' THEN 1
+        WHEN 'medium' THEN 2
+        WHEN 'high' THEN 3
+        WHEN 'urgent' THEN 4
+        WHEN 'critical' THEN 5
+        ELSE 0
+    END
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Copies unopened notifications to org owners and admins (and moderators, if the rule says so) once a
+-- recipient's escalation rule times out. Each notification escalates at most once.
+CREATE OR REPLACE FUNCTION escalate_unopened_notifications()
+RETURNS INTEGER AS $$
+DECLARE
+    escalated INTEGER := 0;
+    item RECORD;
+BEGIN
+    FOR item IN
+        SELECT DISTINCT ON (n.id)
+            n.id, n.user_id, n.type, n.title, n.message, om.organization_id, rule->>'notify' AS notify
+        FROM notifications n
+        JOIN notification_preferences np ON np.user_id = n.user_id
+        CROSS JOIN LATERAL jsonb_array_elements(COALESCE(np.escalation_rules, '[]'::jsonb)) AS rule
+        JOIN organization_members om ON om.user_id = n.user_id
+        WHERE n.read = false
+        AND n.escalated_at IS NULL
+        AND NOT COALESCE(n.data ? 'escalated_from', false)
+        AND COALESCE((rule->>'enabled')::boolean, false)
+        AND n.type = rule->>'type'
+        AND notification_priority_rank(n.priority) >= notification_priority_rank(rule->>'minPriority')
+        AND n.created_at < NOW() - make_interval(mins => COALESCE((rule->>'unopenedMinutes')::int, 10))
+        ORDER BY n.id, (rule->>'unopenedMinutes')::int
+    LOOP
+        INSERT INTO notifications (user_id, type, title, message, priority, data)
+        SELECT om.user_id, item.type, 'Unopened: ' || item.title, item.message, 'urgent',
+               jsonb_build_object('escalated_from', item.id, 'original_recipient_id', item.user_id)
+        FROM organization_members om
+        WHERE om.organization_id = item.organization_id
+        AND om.user_id <> item.user_id
+        AND (om.role IN ('owner', 'admin') OR (item.notify = 'admins_and_moderators' AND om.role = 'moderator'));
+
+        UPDATE notifications SET escalated_at = NOW() WHERE id = item.id;
+        escalated := escalated + 1;
+    END LOOP;
+
+    RETURN escalated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION escalate_unopened_notifications() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION escalate_unopened_notifications() TO service_role;
+
+-- Check for unopened notifications every minute with pg_cron. Without the extension the backend
+-- has to call escalate_unopened_notifications() on the same schedule.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+        PERFORM cron.schedule('escalate-unopened-notifications', '* * * * *', 'SELECT escalate_unopened_notifications()');
+    END IF;
+END $$;
+
+-- Verify the columns were added
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'notification_preferences' AND column_name IN ('quiet_hours', 'digest', 'escalation_rules'))
+OR (table_name = 'notifications' AND column_name IN ('priority', 'data', 'escalated_at'))
+ORDER BY table_name, column_name;
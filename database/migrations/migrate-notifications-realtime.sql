@@ -0,0 +1,35 @@
+-- Notifications Realtime Migration
+-- Run this in Supabase SQL Editor to scope realtime notification events to their recipient
+-- The dashboard subscribes with filter user_id=eq.<id>; RLS makes sure nobody can widen that filter
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE tablename = 'notifications' AND policyname = 'Users can view their own notifications'
+    ) THEN
+        CREATE POLICY "Users can view their own notifications" ON notifications
+            FOR SELECT USING (user_id = auth.uid());
+    END IF;
+END $$;
+
+-- Catch-up after a reconnect reads GET /api/notifications?since_id=..., i.e. newest rows per user
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created_at ON notifications(user_id, created_at DESC);
+
+-- Realtime only streams tables in this publication
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND tablename = 'notifications'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE notifications;
+    END IF;
+END $$;
+
+-- Verify the table is published
+SELECT pubname, tablename
+FROM pg_publication_tables
+WHERE tablename = 'notifications';
@@ -0,0 +1,89 @@
+-- Organization Permissions Migration
+-- Run this in Supabase SQL Editor to add role templates and per-member permission overrides
+-- Keep the defaults below in sync with DEFAULT_ROLE_TEMPLATES in lib/auth/permissions.ts
+
+-- Roles: owner, admin, moderator, agent, viewer ('member' and 'human_agent' are read as 'agent')
+ALTER TABLE organization_members DROP CONSTRAINT IF EXISTS organization_members_role_check;
+ALTER TABLE organization_members
+    ADD CONSTRAINT organization_members_role_check
+    CHECK (role IN ('owner', 'admin', 'moderator', 'agent', 'viewer', 'member', 'human_agent'));
+
+-- Per-organization template edits, keyed by role; roles missing here use the defaults
+ALTER TABLE organizations
+    ADD COLUMN IF NOT EXISTS role_permissions JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- {"leads.assign": true, "billing.view": false}: true grants on top of the role, false revokes
+ALTER TABLE organization_members
+    ADD COLUMN IF NOT EXISTS permission_overrides JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE OR REPLACE FUNCTION default_role_permissions(member_role TEXT)
+RETURNS TEXT[] AS $$
+    SELECT CASE member_role
+        WHEN 'owner' THEN ARRAY[
+            'leads.view', 'leads.edit', 'leads.assign', 'leads.import', 'segments.manage',
+            'agents.view', 'agents.edit', 'conversations.view',
+            'handoff.accept', 'handoff.transfer_any', 'handoff.manage', 'analytics.view',
+            'members.invite', 'members.manage', 'organization.edit', 'billing.view', 'billing.manage'
+        ]
+        WHEN 'admin' THEN ARRAY[
+            'leads.view', 'leads.edit', 'leads.assign', 'leads.import', 'segments.manage',
+            'agents.view', 'agents.edit', 'conversations.view',
+            'handoff.accept', 'handoff.transfer_any', 'handoff.manage', 'analytics.view',
+            'members.invite', 'members.manage', 'organization.edit', 'billing.view'
+        ]
+        WHEN 'moderator' THEN ARRAY[
+            'leads.view', 'leads.edit', 'leads.assign', 'leads.import', 'segments.manage',
+            'agents.view', 'agents.edit', 'conversations.view',
+            'handoff.accept', 'handoff.transfer_any', 'handoff.manage', 'analytics.view',
+            'members.invite'
+        ]
+        WHEN 'agent' THEN ARRAY[
+            'leads.view', 'leads.edit', 'agents.view', 'conversations.view', 'handoff.accept', 'analytics.view'
+        ]
+        ELSE ARRAY['leads.view', 'agents.view', 'conversations.view', 'analytics.view']
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Same resolution order as resolvePermissions(): override, then organization template, then default
+CREATE OR REPLACE FUNCTION member_has_permission(org_id UUID, member_user_id UUID, permission TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    member_role TEXT;
+    overrides JSONB;
+    templates JSONB;
+BEGIN
+    SELECT
+        CASE WHEN om.role IN ('member', 'human_agent') THEN 'agent' ELSE om.role END,
+        om.permission_overrides,
+        o.role_permissions
+    INTO member_role, overrides, templates
+    FROM organization_members om
+    JOIN organizations o ON o.id = om.organization_id
+    WHERE om.organization_id = org_id
+    AND om.user_id = member_user_id;
+
+    IF member_role IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    IF member_role = 'owner' THEN
+        RETURN TRUE;
+    END IF;
+
+    IF overrides ? permission THEN
+        RETURN (overrides ->> permission)::BOOLEAN;
+    END IF;
+
+    IF templates ? member_role THEN
+        RETURN templates -> member_role ? permission;
+    END IF;
+
+    RETURN permission = ANY(default_role_permissions(member_role));
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Verify the columns were added
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'organizations' AND column_name = 'role_permissions')
+   OR (table_name = 'organization_members' AND column_name = 'permission_overrides');
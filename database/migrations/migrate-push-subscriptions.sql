@@ -0,0 +1,38 @@
+-- Push Subscriptions Migration
+-- Run this in Supabase SQL Editor to store Web Push subscriptions per browser
+-- The backend signs pushes with its VAPID key pair (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY) and
+-- sends one for every notification whose type has the "push" channel enabled
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    user_agent TEXT,
+    -- Push services answer 404/410 once a subscription is gone; the backend deletes it after that
+    failure_count INTEGER NOT NULL DEFAULT 0,
+    last_success_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_org ON push_subscriptions(organization_id);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+-- A browser belongs to whoever signed in last; re-subscribing moves the endpoint to that user
+CREATE POLICY "Users can view their own push subscriptions" ON push_subscriptions
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can manage their own push subscriptions" ON push_subscriptions
+    FOR ALL USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+-- Verify the table was created
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'push_subscriptions'
+ORDER BY ordinal_position;
@@ -0,0 +1,303 @@
+-- Qualification Frameworks Migration
+-- Run this in Supabase SQL Editor to let agents qualify leads with user-defined dimensions
+-- (BANT, CHAMP, MEDDIC or custom) instead of the fixed Budget/Authority/Need/Timeline/Contact set
+-- Requires migrate-bant-scoring-simulator.sql (bant_config_number, rescore_leads_with_published_bant)
+-- and migrate-bant-config-versions.sql (sync_custom_bant_config)
+--
+-- Configs gain "framework" and a "dimensions" array of {key, label, weight, criteria, criteria_type,
+-- question}. The legacy *_weight / *_criteria keys are kept for BANT-keyed dimensions, so existing
+-- configs convert losslessly and older scoring code keeps reading them. Scoring writes
+-- leads.dimension_scores; the five *_score columns keep mirroring the BANT-keyed dimensions.
+
+-- 1. Criteria arrays, whichever of the stored shapes ({ranges}, {levels}, {categories}, plain array) they use
+CREATE OR REPLACE FUNCTION bant_criteria_array(criteria JSONB)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(
+        CASE
+            WHEN jsonb_typeof(item) = 'string' THEN jsonb_build_object(
+                'type', lower(regexp_replace(item #>> '{}', '\s+', '_', 'g')),
+                'label', item #>> '{}',
+                'points', 10
+            )
+            ELSE item
+        END
+    ), '[]'::jsonb)
+    FROM jsonb_array_elements(
+        CASE
+            WHEN jsonb_typeof(criteria) = 'array' THEN criteria
+            WHEN jsonb_typeof(criteria -> 'ranges') = 'array' THEN criteria -> 'ranges'
+            WHEN jsonb_typeof(criteria -> 'levels') = 'array' THEN criteria -> 'levels'
+            WHEN jsonb_typeof(criteria -> 'categories') = 'array' THEN criteria -> 'categories'
+            ELSE '[]'::jsonb
+        END
+    ) AS item;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Dimensions of a config; configs from before frameworks are read as BANT (mirrors getDimensions())
+CREATE OR REPLACE FUNCTION bant_config_dimensions(config JSONB)
+RETURNS JSONB AS $$
+    SELECT CASE
+        WHEN jsonb_typeof(config -> 'dimensions') = 'array' AND jsonb_array_length(config -> 'dimensions') > 0
+            THEN config -> 'dimensions'
+        ELSE (
+            SELECT jsonb_agg(jsonb_build_object(
+                'key', legacy.key,
+                'label', legacy.label,
+                'criteria_type', legacy.criteria_type,
+                'weight', bant_config_number(config, legacy.key || '_weight'),
+                'criteria', bant_criteria_array(config -> (legacy.key || '_criteria'))
+            ) ORDER BY legacy.position)
+            FROM (VALUES
+                (1, 'budget', 'Budget', 'budget'),
+                (2, 'authority', 'Authority', 'authority'),
+                (3, 'need', 'Need', 'text'),
+                (4, 'timeline', 'Timeline', 'timeline'),
+                (5, 'contact', 'Contact', 'text')
+            ) AS legacy(position, key, label, criteria_type)
+        )
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Score of one dimension from a lead row (as JSONB): dimension_scores first, then the legacy column
+CREATE OR REPLACE FUNCTION lead_dimension_score(lead_data JSONB, dimension_key TEXT)
+RETURNS NUMERIC AS $$
+    SELECT COALESCE(
+        (
+            SELECT (score ->> 'score')::numeric
+            FROM jsonb_array_elements(
+                CASE WHEN jsonb_typeof(lead_data -> 'dimension_scores') = 'array'
+                    THEN lead_data -> 'dimension_scores' ELSE '[]'::jsonb END
+            ) AS score
+            WHERE score ->> 'key' = dimension_key
+            LIMIT 1
+        ),
+        NULLIF(lead_data ->> (dimension_key || '_score'), '')::numeric,
+        0
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- 2. Questions are keyed by dimension instead of the four BANT categories
+ALTER TABLE agent_bant_questions DROP CONSTRAINT IF EXISTS agent_bant_questions_category_check;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'agent_bant_questions_category_key_check'
+    ) THEN
+        ALTER TABLE agent_bant_questions
+        ADD CONSTRAINT agent_bant_questions_category_key_check CHECK (category ~ '^[a-z0-9_]+$');
+    END IF;
+END $$;
+
+-- 3. Per-dimension lead scores: [{key, label, score, weight}]
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS dimension_scores JSONB;
+
+-- 4. Spell out the dimensions of existing configs
+UPDATE agents
+SET bant_config = bant_config || jsonb_build_object(
+    'framework', 'bant',
+    'dimensions', bant_config_dimensions(bant_config)
+)
+WHERE bant_config IS NOT NULL
+AND bant_config <> '{}'::jsonb
+AND NOT bant_config ? 'dimensions';
+
+-- custom_bant_configs is what the backend scores with, so it carries the dimensions too
+ALTER TABLE custom_bant_configs
+ADD COLUMN IF NOT EXISTS framework TEXT NOT NULL DEFAULT 'bant',
+ADD COLUMN IF NOT EXISTS dimensions JSONB;
+
+UPDATE custom_bant_configs
+SET dimensions = bant_config_dimensions(to_jsonb(custom_bant_configs))
+WHERE dimensions IS NULL;
+
+-- Publishing now copies the framework and dimensions as well
+CREATE OR REPLACE FUNCTION sync_custom_bant_config(target_agent UUID, published_config JSONB)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE custom_bant_configs c
+    SET budget_weight = r.budget_weight,
+        authority_weight = r.authority_weight,
+        need_weight = r.need_weight,
+        timeline_weight = r.timeline_weight,
+        contact_weight = r.contact_weight,
+        budget_criteria = r.budget_criteria,
+        authority_criteria = r.authority_criteria,
+        need_criteria = r.need_criteria,
+        timeline_criteria = r.timeline_criteria,
+        contact_criteria = r.contact_criteria,
+        priority_threshold = r.priority_threshold,
+        hot_threshold = r.hot_threshold,
+        warm_threshold = r.warm_threshold,
+        framework = COALESCE(r.framework, 'bant'),
+        dimensions = bant_config_dimensions(published_config),
+        updated_at = NOW()
+    FROM jsonb_populate_record(NULL::custom_bant_configs, published_config) r
+    WHERE c.agent_id = target_agent;
+
+    IF NOT FOUND THEN
+        INSERT INTO custom_bant_configs (
+            agent_id, budget_weight, authority_weight, need_weight, timeline_weight, contact_weight,
+            budget_criteria, authority_criteria, need_criteria, timeline_criteria, contact_criteria,
+            priority_threshold, hot_threshold, warm_threshold, framework, dimensions
+        )
+        SELECT target_agent, r.budget_weight, r.authority_weight, r.need_weight, r.timeline_weight, r.contact_weight,
+               r.budget_criteria, r.authority_criteria, r.need_criteria, r.timeline_criteria, r.contact_criteria,
+               r.priority_threshold, r.hot_threshold, r.warm_threshold, COALESCE(r.framework, 'bant'),
+               bant_config_dimensions(published_config)
+        FROM jsonb_populate_record(NULL::custom_bant_configs, published_config) r;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Adding the dimensions doesn't change what a version scores, so history is updated in place
+ALTER TABLE bant_config_versions DISABLE TRIGGER bant_config_versions_protect;
+
+UPDATE bant_config_versions
+SET config = config || jsonb_build_object(
+    'framework', 'bant',
+    'dimensions', bant_config_dimensions(config)
+)
+WHERE config <> '{}'::jsonb
+AND NOT config ? 'dimensions';
+
+ALTER TABLE bant_config_versions ENABLE TRIGGER bant_config_versions_protect;
+
+-- Existing leads get dimension_scores from their BANT columns, weighted by the config that scored them
+UPDATE leads
+SET dimension_scores = (
+    SELECT jsonb_agg(jsonb_build_object(
+        'key', dimension ->> 'key',
+        'label', dimension ->> 'label',
+        'score', lead_dimension_score(to_jsonb(leads), dimension ->> 'key'),
+        'weight', COALESCE((dimension ->> 'weight')::numeric, 0)
+    ))
+    FROM jsonb_array_elements(bant_config_dimensions(scoring.config)) AS dimension
+)
+FROM (
+    SELECT l.id, COALESCE(v.config, a.bant_config) AS config
+    FROM leads l
+    JOIN agents a ON a.id = l.agent_id
+    LEFT JOIN bant_config_versions v ON v.id = l.bant_config_version_id
+    WHERE l.dimension_scores IS NULL
+    AND l.lead_score IS NOT NULL
+    AND COALESCE(v.config, a.bant_config, '{}'::jsonb) <> '{}'::jsonb
+) AS scoring
+WHERE leads.id = scoring.id;
+
+-- 5. Re-scoring works on dimensions (replaces the BANT-only version)
+CREATE OR REPLACE FUNCTION rescore_leads_with_published_bant(target_agent UUID, target_leads UUID[])
+RETURNS INTEGER AS $$
+DECLARE
+    published bant_config_versions%ROWTYPE;
+    published_dimensions JSONB;
+    lead_row RECORD;
+    dimension RECORD;
+    previous_weights JSONB;
+    previous_weight NUMERIC;
+    new_weight NUMERIC;
+    share NUMERIC;
+    new_scores JSONB;
+    scores_holder JSONB;
+    total NUMERIC;
+    new_score INTEGER;
+    new_classification TEXT;
+    updated_count INTEGER := 0;
+BEGIN
+    SELECT v.* INTO published
+    FROM agents a
+    JOIN bant_config_versions v ON v.id = a.bant_config_version_id
+    WHERE a.id = target_agent;
+
+    IF published.id IS NULL THEN
+        RAISE EXCEPTION 'Agent % has no published BANT config', target_agent;
+    END IF;
+
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' AND (
+        auth.uid() IS NULL OR NOT member_has_permission(published.organization_id, auth.uid(), 'agents.edit')
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to re-score leads for this agent';
+    END IF;
+
+    published_dimensions := bant_config_dimensions(published.config);
+
+    FOR lead_row IN
+        SELECT l.id, to_jsonb(l) AS data, v.config AS version_config
+        FROM leads l
+        LEFT JOIN bant_config_versions v ON v.id = l.bant_config_version_id
+        WHERE l.agent_id = target_agent
+        AND l.id = ANY(target_leads)
+        FOR UPDATE OF l
+    LOOP
+        -- Weights the lead was scored with: its stamped version, or the published one for older leads
+        SELECT COALESCE(jsonb_object_agg(d ->> 'key', COALESCE((d ->> 'weight')::numeric, 0)), '{}'::jsonb)
+        INTO previous_weights
+        FROM jsonb_array_elements(bant_config_dimensions(COALESCE(lead_row.version_config, published.config))) AS d;
+
+        new_scores := '[]'::jsonb;
+        total := 0;
+
+        FOR dimension IN SELECT value FROM jsonb_array_elements(published_dimensions) LOOP
+            previous_weight := COALESCE((previous_weights ->> (dimension.value ->> 'key'))::numeric, 0);
+            new_weight := COALESCE((dimension.value ->> 'weight')::numeric, 0);
+            -- Dimensions the lead was never scored on (added since) contribute nothing
+            share := CASE
+                WHEN previous_weight <= 0 THEN 0
+                ELSE LEAST(GREATEST(lead_dimension_score(lead_row.data, dimension.value ->> 'key') / previous_weight, 0), 1)
+            END;
+            total := total + share * new_weight;
+            new_scores := new_scores || jsonb_build_array(jsonb_build_object(
+                'key', dimension.value ->> 'key',
+                'label', dimension.value ->> 'label',
+                'score', ROUND(share * new_weight),
+                'weight', new_weight
+            ));
+        END LOOP;
+
+        new_score := ROUND(total);
+        new_classification := CASE
+            WHEN new_score >= bant_config_number(published.config, 'priority_threshold') THEN 'priority'
+            WHEN new_score >= bant_config_number(published.config, 'hot_threshold') THEN 'hot'
+            WHEN new_score >= bant_config_number(published.config, 'warm_threshold') THEN 'warm'
+            ELSE 'cold'
+        END;
+        scores_holder := jsonb_build_object('dimension_scores', new_scores);
+
+        UPDATE leads
+        SET lead_score = new_score,
+            lead_classification = new_classification,
+            dimension_scores = new_scores,
+            budget_score = lead_dimension_score(scores_holder, 'budget'),
+            authority_score = lead_dimension_score(scores_holder, 'authority'),
+            need_score = lead_dimension_score(scores_holder, 'need'),
+            timeline_score = lead_dimension_score(scores_holder, 'timeline'),
+            contact_score = lead_dimension_score(scores_holder, 'contact'),
+            bant_config_version_id = published.id,
+            bant_config_version = published.version
+        WHERE id = lead_row.id;
+
+        updated_count := updated_count + 1;
+    END LOOP;
+
+    PERFORM record_audit_event(
+        published.organization_id, 'leads.rescored', 'agent', target_agent::text, NULL,
+        jsonb_build_object(
+            'before', '{}'::jsonb,
+            'after', jsonb_build_object('bant_config_version', published.version, 'leads', updated_count)
+        )
+    );
+
+    RETURN updated_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION rescore_leads_with_published_bant(UUID, UUID[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION rescore_leads_with_published_bant(UUID, UUID[]) TO authenticated, service_role;
+
+-- Verify configs and leads were converted
+SELECT
+    (SELECT COUNT(*) FROM agents WHERE bant_config ? 'dimensions') AS agents_with_dimensions,
+    (SELECT COUNT(*) FROM custom_bant_configs WHERE dimensions IS NOT NULL) AS scoring_configs_with_dimensions,
+    (SELECT COUNT(*) FROM bant_config_versions WHERE config ? 'dimensions') AS versions_with_dimensions,
+    (SELECT COUNT(*) FROM leads WHERE dimension_scores IS NOT NULL) AS leads_with_dimension_scores;
@@ -0,0 +1,210 @@
+-- Support Ticketing Migration
+-- Run this in Supabase SQL Editor to connect the in-app SupportChat widget to the admin Support queue
+-- Requires database/schemas/admin-dashboard-schema.sql (support_tickets, support_messages, dev_members)
+--
+-- Messages drive the ticket: a customer message moves it to waiting_admin (reopening a resolved
+-- ticket), a support reply moves it to waiting_user and sets first_response_at. Manual status
+-- changes follow SUPPORT_STATUS_TRANSITIONS in lib/support/tickets.ts. Internal notes
+-- (is_internal) are never visible to the customer, over the API or over Realtime.
+
+-- 1. Canned replies shared by the support team; {{customer_name}}-style placeholders are filled client-side
+CREATE TABLE IF NOT EXISTS support_canned_replies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    body TEXT NOT NULL,
+    -- NULL = offered for every category
+    category TEXT CHECK (category IN ('technical', 'billing', 'general', 'feature_request', 'complaint')),
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_support_canned_replies_title ON support_canned_replies(title);
+
+-- Queue ordering and the customer's "latest ticket" lookup
+CREATE INDEX IF NOT EXISTS idx_support_tickets_last_message ON support_tickets(last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_support_tickets_user_last_message ON support_tickets(user_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_support_messages_ticket_created ON support_messages(ticket_id, created_at);
+
+-- 2. Manual status changes and their timestamps
+CREATE OR REPLACE FUNCTION support_ticket_status_allowed(from_status TEXT, to_status TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT from_status = to_status OR (from_status, to_status) IN (
+        ('open', 'waiting_user'), ('open', 'resolved'), ('open', 'closed'),
+        ('waiting_admin', 'waiting_user'), ('waiting_admin', 'resolved'), ('waiting_admin', 'closed'),
+        ('waiting_user', 'waiting_admin'), ('waiting_user', 'resolved'), ('waiting_user', 'closed'),
+        ('resolved', 'open'), ('resolved', 'closed'),
+        ('closed', 'open'),
+        -- A customer replying to a resolved ticket
+        ('resolved', 'waiting_admin')
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION support_ticket_before_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        IF NOT support_ticket_status_allowed(OLD.status, NEW.status) THEN
+            RAISE EXCEPTION 'Support ticket can''t move from % to %', OLD.status, NEW.status;
+        END IF;
+
+        IF NEW.status = 'resolved' THEN
+            NEW.resolved_at := NOW();
+        ELSIF NEW.status = 'closed' THEN
+            NEW.closed_at := NOW();
+        ELSE
+            NEW.resolved_at := NULL;
+            NEW.closed_at := NULL;
+        END IF;
+    END IF;
+
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS support_tickets_before_update ON support_tickets;
+CREATE TRIGGER support_tickets_before_update
+    BEFORE UPDATE ON support_tickets
+    FOR EACH ROW EXECUTE FUNCTION support_ticket_before_update();
+
+-- 3. New messages update counters, first response and who the ticket is waiting on
+CREATE OR REPLACE FUNCTION support_message_after_insert()
+RETURNS TRIGGER AS $$
+DECLARE
+    ticket support_tickets%ROWTYPE;
+BEGIN
+    SELECT * INTO ticket FROM support_tickets WHERE id = NEW.ticket_id FOR UPDATE;
+
+    IF NEW.sender_type = 'user' AND ticket.status = 'closed' THEN
+        RAISE EXCEPTION 'Support ticket % is closed', NEW.ticket_id;
+    END IF;
+
+    -- Internal notes don't count as a reply and don't move the ticket
+    IF NEW.is_internal THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE support_tickets
+    SET last_message_at = NEW.created_at,
+        total_messages = COALESCE(total_messages, 0) + 1,
+        user_messages = COALESCE(user_messages, 0) + CASE WHEN NEW.sender_type = 'user' THEN 1 ELSE 0 END,
+        admin_messages = COALESCE(admin_messages, 0) + CASE WHEN NEW.sender_type = 'admin' THEN 1 ELSE 0 END,
+        first_response_at = CASE
+            WHEN NEW.sender_type = 'admin' THEN COALESCE(first_response_at, NEW.created_at)
+            ELSE first_response_at
+        END,
+        status = CASE
+            -- Still 'open' until support has answered once
+            WHEN NEW.sender_type = 'user' AND status IN ('waiting_user', 'resolved') THEN 'waiting_admin'
+            WHEN NEW.sender_type = 'admin' AND status IN ('open', 'waiting_admin') THEN 'waiting_user'
+            ELSE status
+        END
+    WHERE id = NEW.ticket_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Replaces the counters kept by update_ticket_counts in admin-dashboard-schema.sql, which would
+-- otherwise count every message twice
+DROP TRIGGER IF EXISTS update_ticket_counts ON support_messages;
+
+DROP TRIGGER IF EXISTS support_messages_after_insert ON support_messages;
+CREATE TRIGGER support_messages_after_insert
+    AFTER INSERT ON support_messages
+    FOR EACH ROW EXECUTE FUNCTION support_message_after_insert();
+
+-- Recount tickets that picked up double counts while both triggers were installed
+UPDATE support_tickets t
+SET total_messages = counts.total,
+    user_messages = counts.from_user,
+    admin_messages = counts.from_admin
+FROM (
+    SELECT ticket_id,
+           COUNT(*) AS total,
+           COUNT(*) FILTER (WHERE sender_type = 'user') AS from_user,
+           COUNT(*) FILTER (WHERE sender_type = 'admin') AS from_admin
+    FROM support_messages
+    WHERE is_internal = false
+    GROUP BY ticket_id
+) counts
+WHERE counts.ticket_id = t.id
+AND t.total_messages IS DISTINCT FROM counts.total;
+
+-- 4. RLS: customers only write as themselves and never see internal notes
+DROP POLICY IF EXISTS "Users can send messages to their tickets" ON support_messages;
+CREATE POLICY "Users can send messages to their tickets" ON support_messages
+    FOR INSERT WITH CHECK (
+        (
+            sender_type = 'user'
+            AND sender_id = auth.uid()
+            AND is_internal = false
+            AND EXISTS (
+                SELECT 1 FROM support_tickets st
+                WHERE st.id = ticket_id AND st.user_id = auth.uid()
+            )
+        ) OR
+        EXISTS (
+            SELECT 1 FROM dev_members dm
+            WHERE dm.user_id = auth.uid() AND dm.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Users can view messages in their tickets" ON support_messages;
+CREATE POLICY "Users can view messages in their tickets" ON support_messages
+    FOR SELECT USING (
+        (
+            is_internal = false
+            AND EXISTS (
+                SELECT 1 FROM support_tickets st
+                WHERE st.id = ticket_id AND st.user_id = auth.uid()
+            )
+        ) OR
+        EXISTS (
+            SELECT 1 FROM dev_members dm
+            WHERE dm.user_id = auth.uid() AND dm.is_active = true
+        )
+    );
+
+ALTER TABLE support_canned_replies ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE tablename = 'support_canned_replies' AND policyname = 'Admins can manage canned replies'
+    ) THEN
+        CREATE POLICY "Admins can manage canned replies" ON support_canned_replies
+            FOR ALL USING (
+                EXISTS (
+                    SELECT 1 FROM dev_members dm
+                    WHERE dm.user_id = auth.uid() AND dm.is_active = true
+                )
+            );
+    END IF;
+END $$;
+
+-- 5. Both sides stream tickets and messages over Realtime
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND tablename = 'support_tickets'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE support_tickets;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND tablename = 'support_messages'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE support_messages;
+    END IF;
+END $$;
+
+-- Verify the triggers and publication
+SELECT
+    (SELECT COUNT(*) FROM pg_trigger WHERE tgname IN ('support_tickets_before_update', 'support_messages_after_insert')) AS triggers,
+    (SELECT COUNT(*) FROM pg_publication_tables WHERE pubname = 'supabase_realtime'
+        AND tablename IN ('support_tickets', 'support_messages')) AS published_tables;